@@ -9,11 +9,15 @@ const serviceManager = require('./services/ServiceManager');
 var indexRouter = require('./routes/index');
 var usersRouter = require('./routes/users');
 var tradingRouter = require('./routes/trading');
+var authRouter = require('./routes/auth');
+var botRouter = require('./routes/bot');
+const { authenticate } = require('./middleware/auth');
 
 var app = express();
 
 app.use(logger('dev'));
-app.use(express.json());
+// Keep the raw body, Discord signs the exact bytes it sends
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
@@ -33,9 +37,14 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Resolve API keys and session cookies before the routes check roles
+app.use(authenticate);
+
 app.use('/', indexRouter);
+app.use('/auth', authRouter);
 app.use('/users', usersRouter);
 app.use('/trading', tradingRouter);
+app.use('/bot', botRouter);
 
 // Initialize services when app starts (skip during testing)
 if (process.env.SKIP_SERVICE_INIT !== 'true') {
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Auth Command Script
+ * Manage users and API keys for the HTTP API (e.g. create the first admin)
+ */
+
+const readline = require('readline');
+const databaseService = require('../services/DatabaseService');
+const AuthService = require('../services/AuthService');
+
+/**
+ * Parse --key=value flags
+ * @param {Array} args - Raw command line arguments
+ * @returns {Object} - Parsed flags
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      flags[match[1]] = match[2] !== undefined ? match[2] : 'true';
+    }
+  }
+  return flags;
+}
+
+/**
+ * Ask for a password without echoing it
+ * @param {string} question - Prompt
+ * @returns {Promise<string>}
+ */
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    // Hide what is typed after the prompt
+    rl._writeToOutput = () => {};
+  });
+}
+
+/**
+ * Create an auth service that talks to the database directly
+ * @returns {Promise<AuthService>}
+ */
+async function initializeAuth() {
+  await databaseService.init();
+  const authService = new AuthService();
+  authService.databaseService = databaseService;
+  await authService.init();
+  return authService;
+}
+
+async function main() {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const flags = parseFlags(process.argv.slice(2));
+  const command = args[0];
+
+  try {
+    const authService = await initializeAuth();
+
+    switch (command) {
+      case 'create-user': {
+        const [, username, role = 'viewer'] = args;
+        const password = flags.password || await promptPassword(`Password for ${username}: `);
+        const user = await authService.createUser(username, password, role);
+        console.log(`✅ Created ${user.role} user ${user.username}`);
+        break;
+      }
+
+      case 'set-role': {
+        const [, username, role] = args;
+        const user = await authService.updateUser(username, { role });
+        console.log(`✅ ${user.username} is now ${user.role}`);
+        break;
+      }
+
+      case 'set-password': {
+        const [, username] = args;
+        const password = flags.password || await promptPassword(`New password for ${username}: `);
+        await authService.updateUser(username, { password });
+        console.log(`✅ Password changed for ${username}, existing sessions ended`);
+        break;
+      }
+
+      case 'disable-user':
+      case 'enable-user': {
+        const [, username] = args;
+        const user = await authService.updateUser(username, { active: command === 'enable-user' });
+        console.log(`✅ ${user.username} ${user.active ? 'enabled' : 'disabled'}`);
+        break;
+      }
+
+      case 'users': {
+        const users = await databaseService.getUsers();
+        console.log('\n👤 Users:');
+        users.forEach(user => {
+          console.log(`   ${user.active ? '🟢' : '⚪'} ${user.username.padEnd(24)} ${user.role.padEnd(8)} last login ${user.last_login_at || 'never'}`);
+        });
+        break;
+      }
+
+      case 'create-key': {
+        const [, name, role = 'viewer'] = args;
+        const apiKey = await authService.createApiKey(name, role, 'cli');
+        console.log(`✅ Created ${apiKey.role} API key #${apiKey.id} "${apiKey.name}"`);
+        console.log(`   ${apiKey.key}`);
+        console.log('   Store it now - it cannot be shown again');
+        break;
+      }
+
+      case 'keys': {
+        const keys = await databaseService.getApiKeys(flags.revoked === 'true');
+        console.log('\n🔑 API keys:');
+        keys.forEach(key => {
+          console.log(`   #${key.id} ${key.key_prefix}... ${key.name.padEnd(24)} ${key.role.padEnd(8)} last used ${key.last_used_at || 'never'}${key.revoked_at ? ` (revoked ${key.revoked_at})` : ''}`);
+        });
+        break;
+      }
+
+      case 'revoke-key': {
+        const revoked = await authService.revokeApiKey(parseInt(args[1]));
+        console.log(revoked ? `✅ API key #${args[1]} revoked` : `❌ No active API key #${args[1]}`);
+        break;
+      }
+
+      default:
+        console.log(`
+Usage: node commands/auth.js <command> [options]
+
+Commands:
+  create-user <username> [viewer|trader|admin] [--password=...]
+                          - Create a user (prompts for the password)
+  set-role <username> <role>
+  set-password <username> [--password=...]
+  disable-user <username> / enable-user <username>
+  users                   - List users
+  create-key <name> [viewer|trader|admin]
+                          - Create an API key (shown once)
+  keys [--revoked=true]   - List API keys
+  revoke-key <id>         - Revoke an API key
+
+Roles: viewer (read only, dry runs), trader (live trades, closing positions),
+       admin (configuration, users and API keys)
+
+Examples:
+  node commands/auth.js create-user alice admin
+  node commands/auth.js create-key grafana viewer
+        `);
+        break;
+    }
+
+    await databaseService.shutdown();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Auth command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  initializeAuth,
+  promptPassword
+};
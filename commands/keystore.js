@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Keystore Command Script
+ * Create, import and re-encrypt the encrypted wallet keystore used instead of PRIVATE_KEY
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const keystore = require('../utils/keystore');
+
+const DEFAULT_KEYSTORE_PATH = path.join(__dirname, '..', 'data', 'keystore.json');
+
+/**
+ * Parse --key=value flags
+ * @param {Array} args - Raw command line arguments
+ * @returns {Object} - Parsed flags
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      flags[match[1]] = match[2] !== undefined ? match[2] : 'true';
+    }
+  }
+  return flags;
+}
+
+/**
+ * Read a passphrase from --<flag>=<fd>, else prompt for it
+ * @param {Object} flags - Parsed flags
+ * @param {string} flag - Flag holding a file descriptor
+ * @param {string} question - Prompt
+ * @param {boolean} confirm - Ask twice (new passphrases)
+ * @returns {Promise<string>}
+ */
+async function getPassphrase(flags, flag, question, confirm = false) {
+  if (flags[flag] !== undefined) {
+    return keystore.readPassphraseFromFd(parseInt(flags[flag]));
+  }
+
+  const passphrase = await keystore.promptHidden(question);
+  if (confirm && passphrase !== await keystore.promptHidden('Repeat passphrase: ')) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+/**
+ * Encrypt a key and write the keystore
+ * @param {string} privateKey - Private key
+ * @param {string} keystorePath - Destination
+ * @param {Object} flags - Parsed flags
+ * @returns {Promise<string>} - Wallet address (eth|...)
+ */
+async function saveNewKeystore(privateKey, keystorePath, flags) {
+  if (fs.existsSync(keystorePath) && flags.force !== 'true') {
+    throw new Error(`${keystorePath} already exists (use rotate, or --force to overwrite)`);
+  }
+
+  const passphrase = await getPassphrase(flags, 'passphrase-fd', 'New keystore passphrase: ', true);
+  keystore.validatePassphrase(passphrase);
+
+  keystore.writeKeystoreFile(keystorePath, keystore.encryptKeystore(privateKey, passphrase));
+  return `eth|${keystore.privateKeyToAddress(privateKey)}`;
+}
+
+/**
+ * Print the settings that switch the bot to a keystore
+ * @param {string} keystorePath - Keystore path
+ * @param {string} walletAddress - Wallet address
+ */
+function printSetup(keystorePath, walletAddress) {
+  console.log(`\n   Set in .env:`);
+  console.log(`   KEYSTORE_PATH=${keystorePath}`);
+  console.log(`   WALLET_ADDRESS=${walletAddress}`);
+  console.log('   and remove PRIVATE_KEY - the bot refuses to start with both');
+}
+
+async function main() {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const flags = parseFlags(process.argv.slice(2));
+  const command = args[0];
+  const keystorePath = path.resolve(flags.path || process.env.KEYSTORE_PATH || DEFAULT_KEYSTORE_PATH);
+
+  try {
+    switch (command) {
+      case 'create': {
+        const walletAddress = await saveNewKeystore(keystore.generatePrivateKey(), keystorePath, flags);
+        console.log(`✅ Created a new wallet in ${keystorePath}`);
+        console.log(`   Address: ${walletAddress} - fund it before trading live`);
+        printSetup(keystorePath, walletAddress);
+        break;
+      }
+
+      case 'import': {
+        const privateKey = keystore.normalizePrivateKey(
+          process.env.PRIVATE_KEY || await keystore.promptHidden('Private key (hex): ')
+        );
+        const walletAddress = `eth|${keystore.privateKeyToAddress(privateKey)}`;
+        if (process.env.WALLET_ADDRESS && !keystore.isSameAddress(process.env.WALLET_ADDRESS, walletAddress)) {
+          throw new Error(`Private key belongs to ${walletAddress}, not WALLET_ADDRESS ${process.env.WALLET_ADDRESS}`);
+        }
+
+        await saveNewKeystore(privateKey, keystorePath, flags);
+        console.log(`✅ Imported ${walletAddress} into ${keystorePath}`);
+        printSetup(keystorePath, walletAddress);
+        break;
+      }
+
+      case 'rotate': {
+        const current = keystore.readKeystoreFile(keystorePath);
+        const privateKey = keystore.decryptKeystore(
+          current,
+          await getPassphrase(flags, 'passphrase-fd', `Current passphrase for ${keystorePath}: `)
+        );
+
+        const passphrase = await getPassphrase(flags, 'new-passphrase-fd', 'New keystore passphrase: ', true);
+        keystore.validatePassphrase(passphrase);
+
+        // Fresh salt and IV, same wallet
+        keystore.writeKeystoreFile(keystorePath, keystore.encryptKeystore(privateKey, passphrase, { kdfParams: current.crypto.kdfparams }));
+        console.log(`✅ Re-encrypted ${keystorePath} with the new passphrase`);
+        break;
+      }
+
+      case 'address': {
+        console.log(`eth|${keystore.toChecksumAddress(keystore.readKeystoreFile(keystorePath).address)}`);
+        break;
+      }
+
+      default:
+        console.log(`
+Usage: node commands/keystore.js <command> [options]
+
+Commands:
+  create                  - Generate a new wallet key and encrypt it
+  import                  - Encrypt the existing key (PRIVATE_KEY from .env, else prompts for it)
+  rotate                  - Re-encrypt the keystore with a new passphrase
+  address                 - Print the keystore's wallet address
+
+Options:
+  --path=<file>           - Keystore file (default: KEYSTORE_PATH or data/keystore.json)
+  --passphrase-fd=<fd>    - Read the (current) passphrase from a file descriptor instead of prompting
+  --new-passphrase-fd=<fd> - Read the new passphrase for rotate from a file descriptor
+  --force                 - Overwrite an existing keystore on create / import
+
+The keystore is the bot's own scrypt / AES-256-GCM format: it is not an Ethereum v3
+keystore and cannot be opened by geth, MetaMask or other wallet tools.
+
+At startup the bot unlocks KEYSTORE_PATH with the passphrase from KEYSTORE_PASSPHRASE_FD,
+or asks for it when started from a terminal.
+
+Examples:
+  node commands/keystore.js import
+  node commands/keystore.js rotate
+  KEYSTORE_PASSPHRASE_FD=3 npm start 3< /run/secrets/keystore-passphrase
+        `);
+        break;
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Keystore command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  getPassphrase
+};
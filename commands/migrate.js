@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Command Script
+ * Inspect, apply and roll back versioned schema migrations
+ */
+
+// Migrations are driven explicitly from this script
+process.env.DB_AUTO_MIGRATE = 'false';
+
+const databaseService = require('../services/DatabaseService');
+
+/**
+ * Parse --key=value flags
+ * @param {Array} args - Raw command line arguments
+ * @returns {Object} - Parsed flags
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      flags[match[1]] = match[2] !== undefined ? match[2] : 'true';
+    }
+  }
+  return flags;
+}
+
+/**
+ * Print migration status
+ * @returns {Promise<Object>} - Migration status
+ */
+async function showStatus() {
+  const status = await databaseService.getMigrationStatus();
+
+  console.log(`\n📦 Schema version: ${status.currentVersion} (${status.pending} pending)`);
+  status.migrations.forEach(migration => {
+    const marker = migration.applied ? '✅' : '⏳';
+    const suffix = migration.missing ? ' (file missing)' : '';
+    const appliedAt = migration.appliedAt ? ` - applied ${migration.appliedAt}` : '';
+    console.log(`   ${marker} ${String(migration.version).padStart(3, '0')}_${migration.name}${suffix}${appliedAt}`);
+  });
+
+  return status;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'status';
+  const flags = parseFlags(args.slice(1));
+
+  try {
+    await databaseService.init();
+
+    switch (command) {
+      case 'status':
+        await showStatus();
+        break;
+
+      case 'up': {
+        const applied = await databaseService.migrate({ to: flags.to ? parseInt(flags.to) : null });
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s): ${applied.map(m => m.version).join(', ')}`
+          : '✅ Schema is up to date');
+        break;
+      }
+
+      case 'down': {
+        const rolledBack = await databaseService.rollbackMigrations({
+          steps: flags.steps ? parseInt(flags.steps) : 1,
+          to: flags.to !== undefined ? parseInt(flags.to) : null
+        });
+        console.log(rolledBack.length > 0
+          ? `↩️  Rolled back ${rolledBack.length} migration(s): ${rolledBack.map(m => m.version).join(', ')}`
+          : '✅ Nothing to roll back');
+        break;
+      }
+
+      default:
+        console.log(`
+Usage: node commands/migrate.js <command> [options]
+
+Commands:
+  status              - Show applied and pending migrations
+  up [--to=N]         - Apply pending migrations (optionally up to version N)
+  down [--steps=N]    - Roll back the last N migrations (default 1)
+  down --to=N         - Roll back every migration above version N
+
+Examples:
+  npm run migrate status
+  npm run migrate up
+  npm run migrate down -- --steps=2
+        `);
+        break;
+    }
+
+    await databaseService.shutdown();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  showStatus,
+  parseFlags
+};
@@ -5,8 +5,13 @@
  * Standalone script for automated trading operations
  */
 
+const fs = require('fs');
 const path = require('path');
 const serviceManager = require('../services/ServiceManager');
+const config = require('../config/ConfigManager');
+const PaperExchange = require('../services/PaperExchange');
+const { registry: strategyRegistry } = require('../strategies');
+const { formatPath } = require('../utils/routing');
 
 async function initializeServices() {
   console.log('🚀 Initializing trading services...');
@@ -21,7 +26,7 @@ async function initializeServices() {
   }
 }
 
-async function runTradingAnalysis(symbol = null) {
+async function runTradingAnalysis(symbol = null, strategy = null) {
   try {
     const priceOracleService = serviceManager.get('priceOracle');
     const tradingService = serviceManager.get('trading');
@@ -51,39 +56,27 @@ async function runTradingAnalysis(symbol = null) {
         return null;
       }
 
-      // Get historical data for DCA analysis
-      const historicalData = await priceOracleService.getDCAData(symbolData.gala_symbol, {
-        lookbackDays: 365,
-        interval: 'daily'
-      });
+      const analyzed = await tradingService.analyzeSymbol(symbolData, { strategy });
 
-      if (!historicalData.success) {
-        console.error(`❌ Failed to fetch historical data for ${symbol}:`, historicalData.error);
+      if (!analyzed.success) {
+        console.error(`❌ Failed to analyze ${symbol}:`, analyzed.error);
         return null;
       }
 
-      // Analyze using DCA strategy
-      const analysis = tradingService.analyzeDCAStrategy(
-        historicalData.data,
-        symbolData.strategy_config?.dca || {
-          investmentAmount: 100,
-          interval: 'daily',
-          volatilityThreshold: 0.15,
-          minInvestmentPeriods: 30
-        }
-      );
+      const { analysis } = analyzed;
 
       // Get current price for context
       const currentPrice = await priceOracleService.getCurrentPrice(symbolData.gala_symbol);
 
       analysisResults[symbol] = {
+        strategy: analyzed.strategy,
         analysis,
         currentPrice: currentPrice.success ? currentPrice : null,
-        historicalDataPoints: historicalData.count,
+        historicalDataPoints: analyzed.historicalDataPoints,
         symbolData
       };
 
-      console.log(`✅ Analysis complete for ${symbol}`);
+      console.log(`✅ Analysis complete for ${symbol} (${analyzed.strategy})`);
       console.log(`   Signal: ${analysis.signal}`);
       console.log(`   Confidence: ${(analysis.confidence * 100).toFixed(1)}%`);
       if (currentPrice.success) {
@@ -119,48 +112,35 @@ async function runTradingAnalysis(symbol = null) {
             continue;
           }
           
-          // Get historical data for DCA analysis
-          const historicalData = await priceOracleService.getDCAData(symbolData.gala_symbol, {
-            lookbackDays: 365,
-            interval: 'daily'
-          });
+          const analyzed = await tradingService.analyzeSymbol(symbolData, { strategy });
 
-          if (!historicalData.success) {
-            console.error(`   ❌ Failed to fetch data for ${symbolData.symbol}: ${historicalData.error}`);
+          if (!analyzed.success) {
+            console.error(`   ❌ Failed to analyze ${symbolData.symbol}: ${analyzed.error}`);
             
-            // For now, create a placeholder analysis indicating data unavailable
             analysisResults[symbolData.symbol] = {
               success: false,
               error: 'Price oracle data unavailable',
-              details: historicalData.error,
+              details: analyzed.error,
               note: 'The Gala price oracle may not have data for this token, or the API may be experiencing issues'
             };
             continue;
           }
 
-          // Analyze using DCA strategy
-          const analysis = tradingService.analyzeDCAStrategy(
-            historicalData.data,
-            symbolData.strategy_config?.dca || {
-              investmentAmount: 100,
-              interval: 'daily',
-              volatilityThreshold: 0.15,
-              minInvestmentPeriods: 30
-            }
-          );
+          const { analysis } = analyzed;
 
           // Get current price for context
           const currentPrice = await priceOracleService.getCurrentPrice(symbolData.gala_symbol);
 
           analysisResults[symbolData.symbol] = {
             success: true,
+            strategy: analyzed.strategy,
             analysis,
             currentPrice: currentPrice.success ? currentPrice : null,
-            historicalDataPoints: historicalData.count,
+            historicalDataPoints: analyzed.historicalDataPoints,
             symbolData
           };
 
-          console.log(`   ✅ ${symbolData.symbol}: ${analysis.signal} (${(analysis.confidence * 100).toFixed(1)}% confidence)`);
+          console.log(`   ✅ ${symbolData.symbol}: ${analysis.signal} (${(analysis.confidence * 100).toFixed(1)}% confidence, ${analyzed.strategy})`);
 
         } catch (error) {
           console.error(`   ❌ Error analyzing ${symbolData.symbol}:`, error.message);
@@ -180,7 +160,26 @@ async function runTradingAnalysis(symbol = null) {
   }
 }
 
-async function executeTradingStrategy() {
+/**
+ * List registered strategies with their defaults
+ * @returns {Array} - Strategy descriptions
+ */
+function listStrategies() {
+  const strategies = strategyRegistry.list();
+
+  console.log(`\n🧩 Registered strategies (${strategies.length})`);
+  strategies.forEach(strategy => {
+    console.log(`\n   ${strategy.name} - ${strategy.description}`);
+    console.log(`   Minimum confidence: ${strategy.minimumConfidence}, lookback: ${strategy.dataRequirements.lookbackDays} days`);
+    Object.entries(strategy.configSchema).forEach(([key, field]) => {
+      console.log(`     ${key} (${field.type}, default ${JSON.stringify(field.default)}): ${field.description}`);
+    });
+  });
+
+  return strategies;
+}
+
+async function executeTradingStrategy(wallet = null) {
   console.log('🚀 Executing automated trading strategy...');
   
   const tradingService = serviceManager.get('trading');
@@ -199,7 +198,7 @@ async function executeTradingStrategy() {
     const buySignals = Object.entries(analysisResults).filter(([symbol, result]) => {
       return result.success && 
              result.analysis.signal === 'BUY' && 
-             result.analysis.confidence >= 0.7;
+             strategyRegistry.get(result.strategy).isActionable(result.analysis, 0.7);
     });
 
     if (buySignals.length === 0) {
@@ -218,7 +217,8 @@ async function executeTradingStrategy() {
           symbol,
           result.symbolData.min_trade_amount,
           {
-            dryRun: process.env.DRY_RUN_MODE === 'true'
+            dryRun: process.env.DRY_RUN_MODE === 'true',
+            wallet: wallet ?? tradingService.getWalletForStrategy(result.strategy).id
           }
         );
 
@@ -249,6 +249,727 @@ async function executeTradingStrategy() {
   }
 }
 
+async function runBacktest(strategy = 'golden_cross', symbol = null, flags = {}) {
+  const backtestService = serviceManager.get('backtest');
+
+  const options = {
+    strategy,
+    symbol,
+    file: flags.file || null,
+    startDate: flags.from || null,
+    endDate: flags.to || null,
+    save: flags.save !== 'false'
+  };
+
+  if (flags.capital) options.initialCapital = parseFloat(flags.capital);
+  if (flags.amount) options.tradeAmount = parseFloat(flags.amount);
+  if (flags.slippage) options.slippage = parseFloat(flags.slippage);
+  if (flags.fee) options.feeRate = parseFloat(flags.fee);
+
+  const result = await backtestService.runBacktest(options);
+
+  if (!result.success) {
+    console.error(`❌ Backtest failed: ${result.error}`);
+    return result;
+  }
+
+  console.log(`\n🧪 Backtest Results - ${result.strategy.toUpperCase()} ${symbol || options.file}`);
+  console.log(`   Period: ${result.periodStart} → ${result.periodEnd} (${result.bars} bars from ${result.source})`);
+  console.log(`   Capital: ${result.initialCapital} → ${result.finalEquity.toFixed(4)} (${(result.totalReturn * 100).toFixed(2)}%)`);
+  console.log(`   Trades: ${result.totalTrades} closed lots, ${result.fills} fills, win rate ${(result.winRate * 100).toFixed(1)}%`);
+  console.log(`   Max Drawdown: ${(result.maxDrawdown * 100).toFixed(2)}%`);
+  console.log(`   Sharpe Ratio: ${result.sharpeRatio !== null ? result.sharpeRatio.toFixed(2) : 'N/A'}`);
+  console.log(`   Fees Paid: ${result.totalFees.toFixed(4)}`);
+  if (result.performanceId) {
+    console.log(`   Saved to strategy_performance with ID ${result.performanceId}`);
+  }
+
+  return result;
+}
+
+/**
+ * Manage the paper exchange account (EXCHANGE_MODE=paper)
+ * @param {string} action - balances | fund | seed | reset
+ * @param {Array} args - Action arguments
+ * @param {Object} flags - Parsed flags (--wallet for another wallet's account)
+ */
+async function managePaperAccount(action = 'balances', args = [], flags = {}) {
+  const tradingService = serviceManager.get('trading');
+
+  if (!tradingService.isPaperTrading()) {
+    console.error('❌ Paper exchange is not enabled. Set EXCHANGE_MODE=paper');
+    return null;
+  }
+
+  const wallet = tradingService.getWalletContext(flags.wallet || null);
+  const paperExchange = wallet.gSwap;
+  const databaseService = serviceManager.get('database');
+
+  switch (action) {
+    case 'fund': {
+      const [token, amount] = args;
+      if (!token || isNaN(parseFloat(amount))) {
+        console.error('❌ Usage: paper fund <token> <amount>');
+        return null;
+      }
+      const balance = await paperExchange.fund(token, parseFloat(amount));
+      console.log(`✅ ${token} balance is now ${balance}`);
+      return balance;
+    }
+
+    case 'seed': {
+      const [tokenA, tokenB, reserveA, reserveB, feeTier] = args;
+      if (!tokenA || !tokenB || isNaN(parseFloat(reserveA)) || isNaN(parseFloat(reserveB))) {
+        console.error('❌ Usage: paper seed <tokenA> <tokenB> <reserveA> <reserveB> [feeTier]');
+        return null;
+      }
+      const pool = await paperExchange.seedPool(
+        tokenA, tokenB, parseFloat(reserveA), parseFloat(reserveB), feeTier ? parseInt(feeTier) : 3000
+      );
+      console.log(`✅ Pool ${pool.token0}/${pool.token1} @ ${pool.fee_tier}: ${pool.reserve0} / ${pool.reserve1}`);
+      return pool;
+    }
+
+    case 'reset':
+      await databaseService.resetPaperAccount(wallet.address);
+      await paperExchange.init(PaperExchange.parseBalances(tradingService.config.get('PAPER_INITIAL_BALANCES')));
+      console.log('✅ Paper account reset to initial balances');
+      return true;
+
+    default: {
+      const balances = await databaseService.getPaperBalances(wallet.address);
+      console.log(`\n📝 Paper balances for ${wallet.name} (${wallet.address}):`);
+      balances.forEach(row => console.log(`   ${row.token}: ${row.quantity}`));
+      if (balances.length === 0) {
+        console.log('   (empty)');
+      }
+      return balances;
+    }
+  }
+}
+
+/**
+ * Inspect and close open positions
+ * @param {string} action - list | show | close
+ * @param {Array} args - Action arguments
+ * @param {Object} flags - Parsed flags (--percent for close, --strategy and --wallet for list)
+ */
+async function managePositions(action = 'list', args = [], flags = {}) {
+  const databaseService = serviceManager.get('database');
+
+  switch (action) {
+    case 'show': {
+      const position = await databaseService.getPosition(parseInt(args[0]));
+      if (!position) {
+        console.error('❌ Usage: positions show <positionId>');
+        return null;
+      }
+      const fills = await databaseService.getPositionFills(position.id);
+      const remaining = position.token_amount - (position.closed_token_amount || 0);
+      console.log(`\n📊 Position ${position.id} (${position.symbol}, ${position.strategy}) - ${position.status}`);
+      console.log(`   Entry: ${position.entry_amount} GALA -> ${position.token_amount} ${position.token_symbol} @ ${position.entry_price}`);
+      console.log(`   Remaining: ${remaining} ${position.token_symbol}, realized PnL ${(position.realized_pnl || 0).toFixed(4)} GALA`);
+      fills.forEach(fill => {
+        const pnl = fill.realized_pnl !== null ? `, PnL ${fill.realized_pnl.toFixed(4)} GALA` : '';
+        console.log(`   ${fill.created_at} ${fill.action}: ${fill.token_amount} ${position.token_symbol} / ${fill.gala_amount} GALA${pnl}`);
+      });
+      return { position, fills };
+    }
+
+    case 'close': {
+      const positionId = parseInt(args[0]);
+      const percentage = flags.percent !== undefined ? parseFloat(flags.percent) : 100;
+      if (isNaN(positionId) || !(percentage > 0 && percentage <= 100)) {
+        console.error('❌ Usage: positions close <positionId> [--percent=1-100]');
+        return null;
+      }
+      const result = await serviceManager.get('trading').closePosition(positionId, { percentage });
+      if (result.success) {
+        console.log(`✅ Closed ${percentage}% of position ${positionId}: received ${result.finalGalaAmount} GALA (${result.finalPnL.percentagePnL.toFixed(2)}%)`);
+      } else {
+        console.error(`❌ Failed to close position ${positionId}: ${result.error}`);
+      }
+      return result;
+    }
+
+    default: {
+      const wallet = flags.wallet ? await databaseService.getWallet(flags.wallet) : null;
+      if (flags.wallet && !wallet) {
+        console.error(`❌ Unknown wallet: ${flags.wallet}`);
+        return null;
+      }
+      const positions = await databaseService.getOpenPositions(flags.strategy || null, wallet ? wallet.id : null);
+      console.log(`\n📊 Open positions${wallet ? ` in ${wallet.name}` : ''} (${positions.length}):`);
+      positions.forEach(position => {
+        const remaining = position.token_amount - (position.closed_token_amount || 0);
+        console.log(`   #${position.id} ${position.symbol} [${position.strategy}, wallet ${position.wallet_id}]: ${remaining}/${position.token_amount} ${position.token_symbol}, entry ${position.entry_price}, realized ${(position.realized_pnl || 0).toFixed(4)} GALA`);
+      });
+      return positions;
+    }
+  }
+}
+
+/**
+ * List, add and update wallets
+ * @param {string} action - list | add | update
+ * @param {Array} args - Wallet name (add) or id / name (update)
+ * @param {Object} flags - --address, --keystore, --strategies=a,b, --max-open-positions, --max-token-exposure,
+ *                         --daily-loss-limit (empty value clears an override), --active, --default
+ */
+async function manageWallets(action = 'list', args = [], flags = {}) {
+  const tradingService = serviceManager.get('trading');
+  const settings = {
+    address: flags.address,
+    keystore_path: flags.keystore !== undefined ? (flags.keystore && path.resolve(flags.keystore)) : undefined,
+    strategies: flags.strategies,
+    max_open_positions: flags['max-open-positions'],
+    max_token_exposure: flags['max-token-exposure'],
+    daily_loss_limit: flags['daily-loss-limit'],
+    is_active: flags.active,
+    is_default: flags.default
+  };
+
+  switch (action) {
+    case 'add': {
+      if (!args[0]) {
+        throw new Error('Usage: wallets add <name> --address=eth|... | --keystore=<file> [--strategies=dca]');
+      }
+      const wallet = await tradingService.createWallet({ name: args[0], ...settings });
+      console.log(`✅ Added wallet ${wallet.name} (#${wallet.id}) ${wallet.address}`);
+      return wallet;
+    }
+
+    case 'update': {
+      if (!args[0]) {
+        throw new Error('Usage: wallets update <wallet> [--strategies=...] [--max-open-positions=N] [--active=false] [--default]');
+      }
+      const wallet = await tradingService.updateWallet(args[0], settings);
+      console.log(`✅ Updated wallet ${wallet.name} (#${wallet.id})`);
+      return wallet;
+    }
+
+    default: {
+      const wallets = await serviceManager.get('database').getWallets();
+      console.log('\n👛 Wallets:');
+      wallets.forEach(wallet => {
+        const limits = [
+          wallet.max_open_positions !== null ? `max ${wallet.max_open_positions} positions` : null,
+          wallet.max_token_exposure !== null ? `max ${(wallet.max_token_exposure * 100).toFixed(1)}% per token` : null,
+          wallet.daily_loss_limit !== null ? `daily loss ${wallet.daily_loss_limit} GALA` : null
+        ].filter(Boolean);
+        const state = !wallet.is_active ? 'inactive' : (tradingService.wallets.has(wallet.id) ? 'loaded' : 'NOT LOADED');
+        console.log(`   #${wallet.id} ${wallet.name}${wallet.is_default ? ' (default)' : ''} ${wallet.address || tradingService.walletAddress} [${state}]`);
+        console.log(`      strategies: ${wallet.strategies.length > 0 ? wallet.strategies.join(', ') : (wallet.is_default ? 'all others' : 'none')}, limits: ${limits.length > 0 ? limits.join(', ') : 'RISK_* defaults'}`);
+      });
+      return wallets;
+    }
+  }
+}
+
+/**
+ * Show the valued portfolio, its net-worth history, or take snapshots now
+ * @param {string} action - show | history | snapshot
+ * @param {Object} flags - --wallet=name, --days=N, --interval=1h|1d
+ */
+async function managePortfolio(action = 'show', flags = {}) {
+  const portfolioService = serviceManager.get('portfolio');
+  const formatUsd = value => (value === null ? 'n/a' : `$${value.toFixed(2)}`);
+
+  switch (action) {
+    case 'snapshot': {
+      const result = await portfolioService.takeSnapshots();
+      result.snapshots.forEach(snapshot => {
+        console.log(`📸 ${snapshot.wallet}: ${formatUsd(snapshot.totalUsd)}${snapshot.totalGala !== null ? ` (${snapshot.totalGala.toFixed(4)} GALA)` : ''}`);
+      });
+      result.errors.forEach(err => console.log(`❌ ${err.wallet}: ${err.error}`));
+      return result;
+    }
+
+    case 'history': {
+      const history = await portfolioService.getNetWorthSeries(flags.wallet || null, {
+        days: parseFloat(flags.days) || 30,
+        interval: flags.interval || '1d'
+      });
+      console.log(`\n📈 Net worth of ${history.wallet} (${history.points.length} point(s)):`);
+      history.points.forEach(point => {
+        console.log(`   ${point.timestamp}  ${formatUsd(point.totalUsd)}${point.totalGala !== null ? `  ${point.totalGala.toFixed(4)} GALA` : ''}`);
+      });
+      if (history.change) {
+        const percent = history.change.changePercent !== null ? ` (${history.change.changePercent.toFixed(2)}%)` : '';
+        console.log(`   Change: ${formatUsd(history.change.changeUsd)}${percent}`);
+      }
+      return history;
+    }
+
+    default: {
+      const portfolio = await portfolioService.getPortfolio(flags.wallet || null);
+      console.log(`\n💼 Portfolio of ${portfolio.wallet} (${portfolio.address})${portfolio.paper ? ' [paper]' : ''}:`);
+      portfolio.holdings.forEach(holding => {
+        const allocation = holding.allocation !== null ? `${(holding.allocation * 100).toFixed(1)}%` : 'unpriced';
+        console.log(`   ${holding.symbol.padEnd(8)} ${String(holding.quantity).padStart(16)}  ${formatUsd(holding.valueUsd).padStart(12)}  ${allocation}`);
+      });
+      console.log(`   Total: ${formatUsd(portfolio.totalUsd)}${portfolio.totalGala !== null ? ` (${portfolio.totalGala.toFixed(4)} GALA)` : ''}`);
+      if (portfolio.unpriced.length > 0) {
+        console.log(`   ⚠️  Not priced: ${portfolio.unpriced.join(', ')}`);
+      }
+      return portfolio;
+    }
+  }
+}
+
+/**
+ * Show the latest balance reconciliation, or reconcile every wallet now
+ * @param {string} action - show | run
+ * @param {Object} flags - --wallet=name
+ */
+async function manageReconciliation(action = 'show', flags = {}) {
+  const settlementService = serviceManager.get('settlement');
+  // Stored rows are snake_case, fresh reconciliation rows camelCase
+  const describe = row => {
+    const previous = row.previous_balance !== undefined ? row.previous_balance : row.previousBalance;
+    const tradeDelta = row.trade_delta !== undefined ? row.trade_delta : row.tradeDelta;
+    return `${row.token.padEnd(8)} ${String(row.balance).padStart(16)}` +
+      (previous === null ? '' : `  was ${previous}, trades ${tradeDelta}, off by ${row.discrepancy}`);
+  };
+
+  if (action === 'run') {
+    const result = await settlementService.reconcile();
+    if (result.skipped) {
+      console.log(`⏭️  ${result.skipped}`);
+      return result;
+    }
+    result.wallets.forEach(wallet => {
+      console.log(`${wallet.flagged.length > 0 ? '⚠️ ' : '✅'} ${wallet.wallet}: ${wallet.trades} trade(s) since the last check, ${wallet.pendingTrades} unconfirmed`);
+      wallet.flagged.forEach(row => console.log(`   ${describe(row)}`));
+    });
+    if (result.staleTrades.length > 0) {
+      console.log(`⏳ Still unconfirmed: ${result.staleTrades.map(id => `#${id}`).join(', ')}`);
+    }
+    result.errors.forEach(err => console.log(`❌ ${err.wallet}: ${err.error}`));
+    return result;
+  }
+
+  const report = await settlementService.getReport(flags.wallet || null);
+  console.log(`\n🧾 Reconciliation of ${report.wallet}${report.checkedAt ? ` at ${report.checkedAt}` : ' (never checked)'}:`);
+  report.tokens.forEach(row => console.log(`   ${row.flagged ? '⚠️ ' : '  '} ${describe(row)}`));
+  report.unconfirmed.forEach(trade => {
+    console.log(`   ⏳ #${trade.id} ${trade.side} ${trade.amount} ${trade.symbol} submitted ${trade.executed_at}${trade.watching ? ' (confirming)' : ''}: ${trade.tx_hash}`);
+  });
+  report.mismatches.forEach(trade => {
+    console.log(`   ⚠️  #${trade.id} ${trade.symbol} received ${trade.actual_output}, quoted ${trade.expected_output} (${(trade.fill_deviation * 100).toFixed(2)}%)`);
+  });
+  return report;
+}
+
+/**
+ * List, place, cancel or check limit / stop / OCO orders
+ * @param {string} action - list | limit | stop | oco | cancel | check
+ * @param {Array} args - Action arguments (limit / stop / oco: <buy|sell> <token> <amount> [price]; cancel: <id>)
+ * @param {Object} flags - Command flags (--price, --limit-price, --stop-price, --quote, --expires-in, --wallet, --slippage, --status)
+ */
+async function manageOrders(action = 'list', args = [], flags = {}) {
+  const orderService = serviceManager.get('orders');
+  const pair = order => `${order.token.split('|')[0]}/${order.quote_token.split('|')[0]}`;
+  const describe = order => `#${order.id} ${order.order_type} ${order.side} ${order.amount} ${pair(order)} at ${order.trigger_price}`
+    + `${order.oco_group ? ` (OCO ${order.oco_group})` : ''} - ${order.status}${order.expires_at ? `, expires ${order.expires_at}` : ''}`;
+
+  switch (action) {
+    case 'limit':
+    case 'stop':
+    case 'oco': {
+      const [side, token, amount, price] = args;
+      const data = {
+        type: action,
+        side,
+        token,
+        amount,
+        quoteToken: flags.quote,
+        price: price ?? flags.price,
+        limitPrice: flags['limit-price'],
+        stopPrice: flags['stop-price'],
+        expiresInHours: flags['expires-in'],
+        wallet: flags.wallet || null,
+        slippage: flags.slippage,
+        createdBy: 'cli'
+      };
+      const orders = action === 'oco' ? await orderService.placeOcoOrder(data) : [await orderService.placeOrder(data)];
+      orders.forEach(order => console.log(`📝 Placed ${describe(order)}`));
+      return orders;
+    }
+
+    case 'cancel': {
+      const result = await orderService.cancelOrder(parseInt(args[0]), 'Cancelled from the CLI');
+      console.log(`🚫 Cancelled ${result.cancelled} order(s): ${describe(result.order)}`);
+      return result;
+    }
+
+    case 'check': {
+      const result = await orderService.checkOrders();
+      console.log(`🎯 Checked ${result.checked} order(s): ${result.filled} filled, ${result.failed} failed, ${result.expired} expired`);
+      result.fills.forEach(fill => console.log(`   #${fill.orderId} ${fill.status}${fill.error ? `: ${fill.error}` : ` (trade ${fill.tradeId})`}`));
+      result.errors.forEach(err => console.log(`   ⚠️  #${err.orderId}: ${err.error}`));
+      return result;
+    }
+
+    default: {
+      const orders = await orderService.getOrders({ status: flags.status || null, wallet: flags.wallet || null, limit: parseInt(flags.limit) || 50 });
+      console.log(`\n⏳ Orders (${orders.length}):`);
+      orders.forEach(order => console.log(`   ${describe(order)}${order.error ? ` [${order.error}]` : ''}`));
+      return orders;
+    }
+  }
+}
+
+/**
+ * Quote the routes between two tokens, or swap along the best one
+ * @param {Array} args - <fromToken> <toToken> <amount>
+ * @param {Object} flags - Command flags (--execute, --dry-run, --slippage, --wallet)
+ */
+async function findRoute(args = [], flags = {}) {
+  const [fromToken, toToken, amount] = args;
+  if (!fromToken || !toToken || !amount) {
+    throw new Error('Usage: route <fromToken> <toToken> <amount> [--execute]');
+  }
+  const routerService = serviceManager.get('router');
+
+  if (flags.execute !== 'true') {
+    const { routes, failed } = await routerService.findRoutes(fromToken, toToken, parseFloat(amount));
+    console.log(`\n🧭 Routes for ${amount} ${formatPath([fromToken, toToken])} (${routes.length} quoted, ${failed.length} without pools):`);
+    routes.forEach((route, i) => {
+      const tiers = route.legs.map(leg => leg.feeTier).join('/');
+      console.log(`   ${i === 0 ? '★' : ' '} ${formatPath(route.path).padEnd(36)} ${String(route.amountOut).padStart(20)}  impact ${(route.priceImpact * 100).toFixed(2)}%  fees ${tiers}`);
+    });
+    return routes;
+  }
+
+  const result = await routerService.executeRoute(fromToken, toToken, parseFloat(amount), {
+    slippage: flags.slippage ? parseFloat(flags.slippage) : undefined,
+    dryRun: flags['dry-run'] !== undefined ? flags['dry-run'] === 'true' : undefined,
+    wallet: flags.wallet || null
+  });
+  console.log(`${result.success ? '✅' : '❌'} ${formatPath(result.path)}: ${result.amountIn} -> ${result.amountOut}${result.parentTradeId ? ` (route #${result.parentTradeId})` : ''}${result.dryRun ? ' [dry run]' : ''}`);
+  result.legs.forEach((leg, i) => console.log(`   ${i + 1}. ${formatPath([leg.fromToken, leg.toToken])} ${leg.amountIn} -> ${leg.amountOut} (trade ${leg.tradeId})`));
+  if (result.error) {
+    console.log(`   ⚠️  ${result.error}`);
+  }
+  if (result.rollback) {
+    console.log(`   ↩️  Rollback ${result.rollback.success ? 'done' : 'failed'}: holding ${result.rollback.amount} ${formatPath([result.rollback.token])}`);
+  }
+  return result;
+}
+
+/**
+ * Run, list or inspect TWAP / iceberg orders
+ * @param {string} action - list | show | twap | iceberg
+ * @param {Array} args - Action arguments (twap / iceberg: <fromToken> <toToken> <amount>; show: <id>)
+ * @param {Object} flags - Command flags (--slices, --interval, --max-impact, --max-move, --slippage, --wallet, --dry-run, --status)
+ */
+async function manageAlgoOrders(action = 'list', args = [], flags = {}) {
+  const executionService = serviceManager.get('execution');
+  const describe = order => `#${order.id} ${order.execution_algo.toUpperCase()} ${order.side} ${order.symbol} filled ${order.amount}`
+    + ` at ${order.price} - ${order.status}${order.dry_run ? ' [simulated]' : ''}`;
+
+  switch (action) {
+    case 'twap':
+    case 'iceberg': {
+      const [fromToken, toToken, amount] = args;
+      // Runs in the foreground, so the command exits once the last slice is done
+      const result = await executionService.execute({
+        algo: action,
+        fromToken,
+        toToken,
+        amount,
+        slices: flags.slices,
+        intervalSeconds: flags.interval,
+        maxImpact: flags['max-impact'],
+        maxPriceMove: flags['max-move'],
+        slippage: flags.slippage,
+        dryRun: flags['dry-run'] !== undefined ? flags['dry-run'] === 'true' : undefined,
+        wallet: flags.wallet || null
+      });
+      console.log(`🧊 ${action.toUpperCase()} order #${result.parentTradeId} ${result.status}: filled ${result.filled} of ${result.requested} in ${result.slices.length} slice(s), average price ${result.averagePrice}`);
+      if (result.reason) {
+        console.log(`   ⚠️  Stopped: ${result.reason}`);
+      }
+      return result;
+    }
+
+    case 'show': {
+      const { order, slices } = await executionService.getAlgoOrder(parseInt(args[0]));
+      console.log(`\n🧊 ${describe(order)}`);
+      console.log(`   ${order.notes}`);
+      slices.forEach((slice, i) => console.log(`   ${i + 1}. #${slice.id} ${slice.amount} -> ${slice.total_value} at ${slice.price} - ${slice.status} (${slice.executed_at})`));
+      return { order, slices };
+    }
+
+    default: {
+      const orders = await executionService.getAlgoOrders({ status: flags.status || null, limit: parseInt(flags.limit) || 50 });
+      console.log(`\n🧊 Algo orders (${orders.length}):`);
+      orders.forEach(order => console.log(`   ${describe(order)}`));
+      return orders;
+    }
+  }
+}
+
+/**
+ * Show the lot-based PnL report
+ * @param {Object} flags - --method=fifo|lifo|average, --mode=live|simulated, --wallet, --strategy, --symbol,
+ *                         --from, --to, --period=day|week|month|year, --lots
+ */
+async function showPnL(flags = {}) {
+  const report = await serviceManager.get('accounting').getPnLReport({
+    method: flags.method,
+    mode: flags.mode,
+    wallet: flags.wallet || null,
+    strategy: flags.strategy || null,
+    symbol: flags.symbol || null,
+    from: flags.from || null,
+    to: flags.to || null,
+    period: flags.period || 'month',
+    includeLots: flags.lots === 'true'
+  });
+  const gala = value => `${value >= 0 ? '+' : ''}${value.toFixed(4)}`;
+  const { totals } = report;
+
+  console.log(`\n💰 PnL (${report.method.toUpperCase()}, ${report.mode}${report.from || report.to ? `, ${report.from || '…'} to ${report.to || 'now'}` : ''}):`);
+  console.log(`   Realized: ${gala(totals.realizedPnL)} GALA over ${totals.closedLots} closed lot(s)`);
+  console.log(`   Unrealized: ${gala(totals.unrealizedPnL)} GALA on ${totals.openLots} open lot(s) (cost ${totals.openCost.toFixed(4)}, value ${totals.marketValue.toFixed(4)})`);
+  console.log(`   Fees: ${totals.fees.toFixed(4)} GALA (already in the amounts above)`);
+  if (totals.unmatchedProceeds > 0) {
+    console.log(`   ⚠️  ${totals.unmatchedProceeds.toFixed(4)} GALA of sales had no recorded purchase (no cost basis)`);
+  }
+  if (report.unpriced.length > 0) {
+    console.log(`   ⚠️  Not priced: ${report.unpriced.join(', ')}`);
+  }
+
+  console.log('\n   By symbol:');
+  report.bySymbol.forEach(row => {
+    console.log(`   ${row.symbol.padEnd(10)} realized ${gala(row.realizedPnL).padStart(12)}  unrealized ${row.unpriced ? '         n/a' : gala(row.unrealizedPnL).padStart(12)}  fees ${row.fees.toFixed(4)}`);
+  });
+  console.log('\n   By strategy:');
+  report.byStrategy.forEach(row => {
+    console.log(`   ${row.strategy.padEnd(14)} realized ${gala(row.realizedPnL).padStart(12)}  unrealized ${gala(row.unrealizedPnL).padStart(12)}`);
+  });
+  console.log(`\n   By ${report.period}:`);
+  report.byPeriod.forEach(row => {
+    console.log(`   ${row.period.padEnd(10)} realized ${gala(row.realizedPnL).padStart(12)}  fees ${row.fees.toFixed(4)}  (${row.closedLots} lot(s))`);
+  });
+
+  if (report.closedLots) {
+    console.log('\n   Closed lots:');
+    report.closedLots.forEach(lot => {
+      console.log(`   ${lot.closedAt} ${lot.token} ${lot.quantity} cost ${lot.cost.toFixed(4)} proceeds ${lot.proceeds.toFixed(4)} → ${gala(lot.realizedPnL)} (trades ${lot.openTradeId ?? 'avg'} → ${lot.closeTradeId})`);
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Export trade history as CSV for accounting and tax tools
+ * @param {string} format - trades | disposals | koinly | cointracker
+ * @param {Object} flags - Command flags (--from, --to, --mode, --wallet, --strategy, --method, --out)
+ */
+async function exportTrades(format = 'trades', flags = {}) {
+  const file = await serviceManager.get('accounting').exportTrades(format.toLowerCase(), {
+    method: flags.method,
+    mode: flags.mode || 'live',
+    wallet: flags.wallet || null,
+    strategy: flags.strategy || null,
+    from: flags.from || null,
+    to: flags.to || null
+  });
+
+  const out = path.resolve(flags.out || file.filename);
+  fs.writeFileSync(out, file.content);
+  console.log(`📄 Exported ${file.rows} row(s) as ${file.format} to ${out}`);
+
+  return file;
+}
+
+/**
+ * Show risk status or control the kill switch
+ * @param {string} action - status | halt | resume
+ * @param {Array} args - Action arguments (halt reason)
+ */
+async function manageRisk(action = 'status', args = []) {
+  const riskManager = serviceManager.get('riskManager');
+
+  switch (action) {
+    case 'halt': {
+      const killSwitch = await riskManager.engageKillSwitch(args.join(' ') || 'Engaged manually');
+      console.log(`🚨 Kill switch engaged: ${killSwitch.reason}`);
+      return killSwitch;
+    }
+
+    case 'resume': {
+      const killSwitch = await riskManager.resetKillSwitch();
+      console.log('✅ Kill switch reset, live trading resumed');
+      return killSwitch;
+    }
+
+    default: {
+      const status = await riskManager.getStatus();
+      const { limits, killSwitch, dailyPnL } = status;
+      console.log('\n🛡️  Risk status:');
+      console.log(`   Kill switch: ${killSwitch.engaged ? `ENGAGED since ${killSwitch.engagedAt} (${killSwitch.reason})` : 'off'}`);
+      console.log(`   Open positions: ${status.openPositions}/${limits.maxOpenPositions || '∞'}`);
+      console.log(`   Max token exposure: ${limits.maxTokenExposure ? `${(limits.maxTokenExposure * 100).toFixed(1)}%` : 'disabled'}`);
+      console.log(`   Daily realized PnL: ${dailyPnL.live.realizedPnL.toFixed(4)} GALA live, ${dailyPnL.simulated.realizedPnL.toFixed(4)} GALA simulated (limit ${limits.dailyLossLimit || 'disabled'})`);
+      status.exposure.forEach(row => {
+        console.log(`   ${row.gala_symbol}: ${row.positions} position(s), ${row.cost_basis.toFixed(4)} GALA committed`);
+      });
+      if (status.wallets.length > 1) {
+        status.wallets.forEach(wallet => {
+          console.log(`   Wallet ${wallet.name}: ${wallet.openPositions}/${wallet.limits.maxOpenPositions || '∞'} positions, daily PnL ${wallet.dailyPnL.live.realizedPnL.toFixed(4)} GALA live (limit ${wallet.limits.walletDailyLossLimit || 'none'})`);
+        });
+      }
+      return status;
+    }
+  }
+}
+
+/**
+ * Show or control scheduled jobs
+ * @param {string} action - list | runs | run | enable | disable | sync | pause | resume
+ * @param {Array} args - Action arguments (job name)
+ * @param {Object} flags - {limit, status}
+ */
+async function manageJobs(action = 'list', args = [], flags = {}) {
+  const scheduler = serviceManager.get('scheduler');
+  const databaseService = serviceManager.get('database');
+  const name = args[0];
+
+  if (['run', 'enable', 'disable'].includes(action) && !name) {
+    throw new Error(`Usage: jobs ${action} <name>`);
+  }
+
+  switch (action) {
+    case 'pause': {
+      const state = await scheduler.pauseAutomatedTrading('cli');
+      console.log(`⏸️  Automated trading paused since ${state.pausedAt} (by ${state.pausedBy})`);
+      return state;
+    }
+
+    case 'resume': {
+      const state = await scheduler.resumeAutomatedTrading('cli');
+      console.log('▶️  Automated trading resumed');
+      return state;
+    }
+
+    case 'sync': {
+      const jobs = await scheduler.syncJobs();
+      console.log(`✅ ${jobs.length} job(s) scheduled`);
+      return jobs;
+    }
+
+    case 'run': {
+      const outcome = await scheduler.runJobNow(name);
+      console.log(`${outcome.status === 'SUCCEEDED' ? '✅' : '❌'} ${name}: ${outcome.status}${outcome.error ? ` - ${outcome.error}` : ''}`);
+      if (outcome.result) {
+        console.log(JSON.stringify(outcome.result, null, 2));
+      }
+      return outcome;
+    }
+
+    case 'enable':
+    case 'disable': {
+      const job = await scheduler.setJobEnabled(name, action === 'enable');
+      console.log(`✅ ${job.name} ${job.enabled ? `enabled, next run ${job.next_run_at}` : 'disabled'}`);
+      return job;
+    }
+
+    case 'runs': {
+      const runs = await databaseService.getJobRuns({
+        jobName: name || null,
+        status: flags.status ? flags.status.toUpperCase() : null,
+        limit: parseInt(flags.limit) || 20
+      });
+      console.log(`\n🧾 Job runs${name ? ` for ${name}` : ''}:`);
+      runs.forEach(run => {
+        console.log(`   #${run.id} ${run.job_name} ${run.status}${run.catch_up ? ' (catch-up)' : ''} scheduled ${run.scheduled_for}, started ${run.started_at}${run.finished_at ? `, finished ${run.finished_at}` : ''}${run.error ? ` - ${run.error}` : ''}`);
+      });
+      return runs;
+    }
+
+    default: {
+      const { jobs, pause } = await scheduler.getStatus();
+      if (pause.paused) {
+        console.log(`⏸️  Automated trading paused since ${pause.pausedAt} (by ${pause.pausedBy})`);
+      }
+      if (jobs.length === 0) {
+        console.log('No scheduled jobs yet - run `jobs sync` or start `monitor`');
+        return jobs;
+      }
+      console.log('\n🗓️  Scheduled jobs:');
+      jobs.forEach(job => {
+        const lastRun = job.lastRun ? `${job.lastRun.status} at ${job.lastRun.started_at}` : 'never run';
+        console.log(`   ${job.enabled ? '🟢' : '⚪'} ${job.name.padEnd(24)} ${job.schedule.padEnd(14)} next ${job.next_run_at || '-'} | last ${lastRun}`);
+      });
+      return jobs;
+    }
+  }
+}
+
+/**
+ * Register the bot commands with Discord and the Telegram webhook
+ * @param {string} action - register | status
+ * @param {Array} args - Public base URL of this server (for the Telegram webhook)
+ */
+async function manageBot(action = 'status', args = []) {
+  const botCommands = serviceManager.get('botCommands');
+
+  switch (action) {
+    case 'register': {
+      const baseUrl = args[0];
+
+      if (config.get('DISCORD_APPLICATION_ID')) {
+        const commands = await botCommands.registerDiscordCommands();
+        console.log(`✅ Registered ${commands.length} Discord slash commands`);
+      }
+
+      if (baseUrl) {
+        const webhookUrl = `${baseUrl.replace(/\/$/, '')}/bot/telegram/webhook`;
+        await botCommands.registerTelegramWebhook(webhookUrl);
+        console.log(`✅ Telegram webhook set to ${webhookUrl}`);
+      } else {
+        console.log('ℹ️  Pass the public base URL to register the Telegram webhook: bot register https://<host>');
+      }
+      return;
+    }
+
+    default: {
+      const status = botCommands.getStatus();
+      console.log('\n🤖 Bot commands:');
+      for (const platform of ['discord', 'telegram']) {
+        console.log(`   ${platform}: ${status[platform].enabled ? `enabled, ${status[platform].allowedUsers} allowed user(s)` : 'not configured'}`);
+      }
+      return status;
+    }
+  }
+}
+
+/**
+ * Parse --key=value flags from command line arguments
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} - {positional, flags}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (const arg of args) {
+    if (arg.startsWith('--')) {
+      const [key, ...value] = arg.slice(2).split('=');
+      flags[key] = value.length > 0 ? value.join('=') : 'true';
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
+
 async function main() {
   console.log('🎯 Gala Trading Bot - Command Line Interface');
   console.log('==========================================');
@@ -260,7 +981,7 @@ async function main() {
   }
 
   // Get command line arguments
-  const args = process.argv.slice(2);
+  const { positional: args, flags } = parseArgs(process.argv.slice(2));
   const command = args[0];
   const symbol = args[1];
 
@@ -268,7 +989,7 @@ async function main() {
     switch (command) {
       case 'analyze':
         console.log('📊 Running market analysis...');
-        const results = await runTradingAnalysis(symbol);
+        const results = await runTradingAnalysis(symbol, flags.strategy || null);
         if (results) {
           console.log('\n📈 Analysis Results:');
           console.log(JSON.stringify(results, null, 2));
@@ -277,111 +998,110 @@ async function main() {
 
       case 'trade':
         console.log('💰 Executing trading strategy...');
-        await executeTradingStrategy();
+        await executeTradingStrategy(flags.wallet || null);
         break;
 
-      case 'monitor':
-        console.log('👀 Starting continuous monitoring with auto-execution...');
+      case 'monitor': {
+        console.log('👀 Starting the job scheduler with auto-execution...');
         console.log('🔥 TRADES WILL BE EXECUTED AUTOMATICALLY WHEN CONDITIONS ARE MET');
         console.log('Press Ctrl+C to stop');
-        
-        // Get monitoring interval from environment or default to 5 minutes
-        const monitorInterval = parseInt(process.env.MONITOR_INTERVAL_MINUTES || '5') * 60 * 1000;
-        console.log(`📊 Monitoring interval: ${monitorInterval / 60000} minutes`);
-        
-        // Run automated trading every interval
-        setInterval(async () => {
-          console.log(`\n⏰ ${new Date().toLocaleTimeString()} - Running automated trading cycle...`);
-          
-          try {
-            const tradingService = serviceManager.get('trading');
-            if (!tradingService) {
-              console.error('❌ TradingService not available');
-              return;
-            }
-
-            // FIRST: Check open positions for conditional buyback
-            console.log('🔍 Checking open positions for buyback conditions...');
-            const positionResult = await tradingService.monitorOpenPositions('dca');
-            
-            if (positionResult.success) {
-              console.log(`📊 Position monitoring: ${positionResult.positionsChecked} checked, ${positionResult.buybacksExecuted} buybacks executed`);
-              
-              if (positionResult.buybacksExecuted > 0) {
-                console.log('💰 Buyback Results:');
-                positionResult.results.filter(r => r.buybackExecuted).forEach(result => {
-                  console.log(`   ${result.symbol}: ${result.decision} - Final PnL: ${result.final_pnl?.percentagePnL?.toFixed(2)}%`);
-                });
-              }
-              
-              if (positionResult.buybacksFailed > 0) {
-                console.log('❌ Failed Buybacks:');
-                positionResult.results.filter(r => r.buybackFailed).forEach(result => {
-                  console.log(`   ${result.symbol}: ${result.error || 'Unknown error'}`);
-                });
-              }
-            } else {
-              console.error('❌ Position monitoring failed:', positionResult.error);
-            }
-
-            // SECOND: Execute new automated trading (SELL signals)
-            const result = await tradingService.executeAutomatedTrading({
-              strategy: 'dca',
-              minimumConfidence: 0.7,
-              sendNotifications: true
-            });
-
-            if (result.success) {
-              console.log(`✅ Trading cycle completed: ${result.tradesExecuted} trades executed`);
-              if (result.tradeResults.length > 0) {
-                console.log('📈 Trade Results:');
-                result.tradeResults.forEach(trade => {
-                  console.log(`   ${trade.symbol}: ${trade.signal} (${(trade.confidence * 100).toFixed(1)}% confidence) - ${trade.trade?.success ? 'SUCCESS' : 'FAILED'}`);
-                });
-              }
-            } else {
-              console.error('❌ Trading cycle failed:', result.error);
-            }
-
-            if (result.errors.length > 0) {
-              console.log('⚠️ Errors during analysis:');
-              result.errors.forEach(err => {
-                console.log(`   ${err.symbol}: ${err.error}`);
-              });
-            }
-
-          } catch (error) {
-            console.error('❌ Error in automated trading cycle:', error);
-          }
-        }, monitorInterval);
-        
-        // Keep the process alive
-        process.on('SIGINT', () => {
+
+        const scheduler = serviceManager.get('scheduler');
+        const overrides = flags.strategy ? { strategy: flags.strategy } : {};
+
+        process.on('SIGINT', async () => {
           console.log('\n👋 Stopping automated trading monitor...');
+          scheduler.stop();
+          await serviceManager.shutdownAll();
           process.exit(0);
         });
-        
-        // Run initial trading cycle
-        console.log('🚀 Running initial trading cycle...');
-        try {
-          const tradingService = serviceManager.get('trading');
-          if (tradingService) {
-            // Check positions first
-            console.log('🔍 Checking open positions for buyback conditions...');
-            const positionResult = await tradingService.monitorOpenPositions('dca');
-            console.log(`📊 Initial position check: ${positionResult.positionsChecked} positions, ${positionResult.buybacksExecuted} buybacks executed`);
-            
-            // Then run trading analysis
-            const result = await tradingService.executeAutomatedTrading({
-              strategy: 'dca',
-              minimumConfidence: 0.7,
-              sendNotifications: true
-            });
-            console.log(`✅ Initial cycle completed: ${result.tradesExecuted} trades executed`);
-          }
-        } catch (error) {
-          console.error('❌ Error in initial trading cycle:', error);
-        }
+
+        // Runs missed while the bot was down are caught up on the first tick
+        const outcomes = await scheduler.start({ overrides });
+        const { jobs } = await scheduler.getStatus();
+        console.log('\n🗓️  Scheduled jobs:');
+        jobs.filter(job => job.enabled).forEach(job => {
+          console.log(`   ${job.name.padEnd(24)} ${job.schedule.padEnd(14)} next ${job.next_run_at}`);
+        });
+        outcomes.forEach(outcome => {
+          console.log(`   ${outcome.job}: ${outcome.status}${outcome.catchUp ? ' (catch-up)' : ''}${outcome.error ? ` - ${outcome.error}` : ''}`);
+        });
+        break;
+      }
+
+      case 'jobs':
+        // Usage: jobs [list|runs [name]|run <name>|enable <name>|disable <name>|sync|pause|resume]
+        await manageJobs(args[1], args.slice(2), flags);
+        break;
+
+      case 'bot':
+        // Usage: bot [status|register [public base url]]
+        await manageBot(args[1], args.slice(2));
+        break;
+
+      case 'strategies':
+        listStrategies();
+        break;
+
+      case 'backtest':
+        // Usage: backtest <strategy> [symbol] [--file=path] [--from=date] [--to=date]
+        console.log('🧪 Running strategy backtest...');
+        await runBacktest(args[1] || 'golden_cross', args[2] || null, flags);
+        break;
+
+      case 'paper':
+        // Usage: paper [balances|fund|seed|reset] ... [--wallet=name]
+        await managePaperAccount(args[1], args.slice(2), flags);
+        break;
+
+      case 'positions':
+        // Usage: positions [list [--wallet=name]|show <id>|close <id> [--percent=N]]
+        await managePositions(args[1], args.slice(2), flags);
+        break;
+
+      case 'wallets':
+        // Usage: wallets [list|add <name>|update <wallet>] [--address=...] [--keystore=...] [--strategies=...]
+        await manageWallets(args[1], args.slice(2), flags);
+        break;
+
+      case 'portfolio':
+        // Usage: portfolio [show|history|snapshot] [--wallet=name] [--days=N] [--interval=1h|1d]
+        await managePortfolio(args[1], flags);
+        break;
+
+      case 'reconcile':
+        // Usage: reconcile [show|run] [--wallet=name]
+        await manageReconciliation(args[1], flags);
+        break;
+
+      case 'orders':
+        // Usage: orders [list|limit|stop|oco|cancel|check] ... [--wallet=name] [--expires-in=hours]
+        await manageOrders(args[1], args.slice(2), flags);
+        break;
+
+      case 'route':
+        // Usage: route <fromToken> <toToken> <amount> [--execute] [--dry-run=true] [--wallet=name] [--slippage=0.01]
+        await findRoute(args.slice(1), flags);
+        break;
+
+      case 'algo':
+        // Usage: algo [list|show <id>|twap|iceberg <fromToken> <toToken> <amount>] [--slices=N] [--interval=seconds] [--max-impact] [--max-move]
+        await manageAlgoOrders(args[1], args.slice(2), flags);
+        break;
+
+      case 'pnl':
+        // Usage: pnl [--method=fifo|lifo|average] [--mode=live|simulated] [--from=date] [--to=date] [--period=month]
+        await showPnL(flags);
+        break;
+
+      case 'export':
+        // Usage: export [trades|disposals|koinly|cointracker] [--from=date] [--to=date] [--mode=live|simulated|all] [--out=file]
+        await exportTrades(args[1], flags);
+        break;
+
+      case 'risk':
+        // Usage: risk [status|halt <reason>|resume]
+        await manageRisk(args[1], args.slice(2));
         break;
 
       default:
@@ -389,15 +1109,82 @@ async function main() {
 Usage: node commands/trading.js <command> [symbol]
 
 Commands:
-  analyze [symbol]  - Analyze market conditions (all symbols or specific symbol)
-  trade            - Execute automated trading strategy based on signals
-  monitor          - Continuously monitor and analyze market conditions
+  analyze [symbol] [--strategy=name]
+                   - Analyze market conditions (all symbols or specific symbol)
+  trade [--wallet=name]
+                   - Execute automated trading strategy based on signals
+  monitor [--strategy=name]
+                   - Run the job scheduler: strategy runs per symbol, position
+                     monitoring, the daily summary and portfolio snapshots on
+                     their cron schedules
+  jobs [list|runs [name]|run <name>|enable <name>|disable <name>|sync|pause|resume]
+                   - Show scheduled jobs and their runs, run a job now, toggle it,
+                     or pause / resume every trading job
+  bot [status|register [url]]
+                   - Show Discord / Telegram command settings, or register the
+                     Discord slash commands and the Telegram webhook
+  strategies       - List registered strategies and their config schema
+  backtest <strategy> [symbol] [--file=path] [--from=date] [--to=date]
+                   - Replay price history through a registered strategy
+                     (--capital, --amount, --slippage, --fee, --save=false)
+  paper [balances|fund|seed|reset] [--wallet=name]
+                   - Manage the simulated account when EXCHANGE_MODE=paper
+  positions [list [--wallet=name]|show <id>|close <id> [--percent=N]]
+                   - List open positions, show fills, or close part of a position
+  wallets [list|add <name>|update <wallet>]
+                   - List wallets, or add / update one (--address, --keystore,
+                     --strategies=dca,..., --max-open-positions, --max-token-exposure,
+                     --daily-loss-limit, --active=false, --default)
+  portfolio [show|history|snapshot] [--wallet=name]
+                   - Value every token of a wallet in USD and GALA, show its
+                     net-worth history (--days, --interval), or snapshot all wallets
+  reconcile [show|run] [--wallet=name]
+                   - Show the last balance check with unconfirmed and mismatched
+                     live trades, or check every wallet against its trades now
+  orders [list|limit|stop|oco|cancel|check]
+                   - List orders (--status), place one (<buy|sell> <token> <amount> <price>,
+                     oco with --limit-price and --stop-price; --quote, --expires-in,
+                     --wallet, --slippage), cancel <id>, or check triggers now
+  route <fromToken> <toToken> <amount> [--execute]
+                   - Quote direct and multi-hop routes (through ROUTER_INTERMEDIATE_TOKENS),
+                     or swap along the best one (--dry-run=true, --wallet, --slippage)
+  algo [list|show <id>|twap|iceberg <fromToken> <toToken> <amount>]
+                   - Split a swap into slices: twap in --slices equal parts every
+                     --interval seconds, iceberg sized by --max-impact per slice;
+                     stops when the price moves --max-move against the first slice
+                     (--slippage, --wallet, --dry-run=true)
+  pnl [--method=fifo|lifo|average] [--mode=live|simulated]
+                   - Realized (per closed lot) and unrealized PnL with fees, by symbol,
+                     strategy and period (--from, --to, --period, --wallet,
+                     --strategy, --symbol, --lots)
+  export [trades|disposals|koinly|cointracker]
+                   - Write trade history as CSV: the full ledger, cost basis and
+                     proceeds per sale, or a tax tool import (--from, --to,
+                     --mode=live|simulated|all, --wallet, --strategy, --method, --out)
+  risk [status|halt <reason>|resume]
+                   - Show risk limits and usage, or engage / reset the kill switch
 
 Examples:
   node commands/trading.js analyze          # Analyze all symbols
   node commands/trading.js analyze GALA     # Analyze specific symbol
+  node commands/trading.js analyze GALA --strategy=mean_reversion
   node commands/trading.js trade            # Execute trades based on signals
   node commands/trading.js monitor          # Start continuous monitoring
+  node commands/trading.js jobs runs strategy:GALA --limit=10
+  node commands/trading.js backtest golden_cross GALA
+  node commands/trading.js backtest dca --file=./data/gala-daily.csv
+  node commands/trading.js paper fund "GUSDC|Unit|none|none" 250
+  node commands/trading.js paper seed "GALA|Unit|none|none" "GUSDC|Unit|none|none" 5000000 100000 3000
+  node commands/trading.js positions close 12 --percent=50
+  node commands/trading.js portfolio history --days=90 --interval=1d
+  node commands/trading.js reconcile run
+  node commands/trading.js orders limit sell GUSDC 5 25 --expires-in=24
+  node commands/trading.js orders oco sell GUSDC 5 --limit-price=25 --stop-price=18
+  node commands/trading.js route "GUSDC|Unit|none|none" "GWETH|Unit|none|none" 25 --execute --dry-run=true
+  node commands/trading.js algo twap "GALA|Unit|none|none" "GUSDC|Unit|none|none" 5000 --slices=10 --interval=120
+  node commands/trading.js pnl --method=lifo --from=2025-01-01 --period=week
+  node commands/trading.js export koinly --from=2025-01-01 --to=2025-12-31T23:59:59Z --out=./koinly-2025.csv
+  node commands/trading.js wallets add dca --keystore=./data/dca-keystore.json --strategies=dca --max-open-positions=3
         `);
         break;
     }
@@ -441,5 +1228,20 @@ if (require.main === module) {
 module.exports = {
   initializeServices,
   runTradingAnalysis,
-  executeTradingStrategy
+  executeTradingStrategy,
+  listStrategies,
+  runBacktest,
+  managePaperAccount,
+  managePositions,
+  manageWallets,
+  managePortfolio,
+  manageReconciliation,
+  manageOrders,
+  findRoute,
+  manageAlgoOrders,
+  showPnL,
+  exportTrades,
+  manageRisk,
+  manageJobs,
+  manageBot
 };
\ No newline at end of file
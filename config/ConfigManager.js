@@ -1,5 +1,12 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const { decryptKeystore, readKeystoreFile, readPassphraseFromFd, promptHidden, privateKeyToAddress, isSameAddress } = require('../utils/keystore');
+
+// The signing key is kept out of this.config so get(), getAll() and logged config never carry it
+let privateKey = null;
+
+// A file descriptor can only be read once; extra wallet keystores reuse the passphrase read from it
+let fdPassphrase = null;
 
 class ConfigManager {
   constructor() {
@@ -18,15 +25,20 @@ class ConfigManager {
     // Load environment variables
     dotenv.config();
 
+    // With a keystore the key stays encrypted until unlockPrivateKey()
+    privateKey = process.env.KEYSTORE_PATH ? null : (process.env.PRIVATE_KEY || null);
+    fdPassphrase = null;
+
     // Define configuration with defaults and validation
     this.config = {
       // Environment
       NODE_ENV: process.env.NODE_ENV || 'development',
       PORT: parseInt(process.env.PORT) || 3000,
 
-      // Blockchain Configuration
-      PRIVATE_KEY: process.env.PRIVATE_KEY,
+      // Blockchain Configuration (PRIVATE_KEY is read separately, see getPrivateKey())
       WALLET_ADDRESS: process.env.WALLET_ADDRESS,
+      KEYSTORE_PATH: process.env.KEYSTORE_PATH, // Encrypted keystore used instead of PRIVATE_KEY
+      KEYSTORE_PASSPHRASE_FD: process.env.KEYSTORE_PASSPHRASE_FD !== undefined ? parseInt(process.env.KEYSTORE_PASSPHRASE_FD) : null, // Read the passphrase from this fd instead of prompting
 
       // Trading Parameters
       DRY_RUN_MODE: process.env.DRY_RUN_MODE === 'true' || true, // Default to true for safety
@@ -35,17 +47,122 @@ class ConfigManager {
       MAX_TRADE_AMOUNT: parseFloat(process.env.MAX_TRADE_AMOUNT) || 100,
       MIN_TIME_BETWEEN_TRADES_MS: parseInt(process.env.MIN_TIME_BETWEEN_TRADES_MS) || 3600000,
 
+      // Pre-trade Price Guards (per-symbol limits on monitored_symbols override these)
+      MAX_PRICE_IMPACT: process.env.MAX_PRICE_IMPACT !== undefined ? parseFloat(process.env.MAX_PRICE_IMPACT) : 0.02, // Reject quotes with more price impact, 0 = disabled
+      MAX_ORACLE_DEVIATION: process.env.MAX_ORACLE_DEVIATION !== undefined ? parseFloat(process.env.MAX_ORACLE_DEVIATION) : 0.05, // Reject quotes this far off the oracle price, 0 = disabled
+      QUOTE_MAX_AGE_MS: process.env.QUOTE_MAX_AGE_MS !== undefined ? parseInt(process.env.QUOTE_MAX_AGE_MS) : 10000, // Re-quote before submitting when the quote is older, 0 = never
+
+      // Position Exit Rules (defaults for new open positions)
+      POSITION_TRAILING_STOP: parseFloat(process.env.POSITION_TRAILING_STOP) || 0, // 0.03 = exit on 3% retrace from best PnL, 0 = disabled
+      POSITION_TAKE_PROFIT_LADDER: process.env.POSITION_TAKE_PROFIT_LADDER || '', // "pnl:portion,..." e.g. "0.03:0.5,0.06:0.5"
+      POSITION_MAX_HOLDING_HOURS: parseFloat(process.env.POSITION_MAX_HOLDING_HOURS) || 0, // 0 = no time exit
+      POSITION_SCALE_IN: process.env.POSITION_SCALE_IN === 'true', // Add to the strategy's open position for a token instead of opening another
+
+      // Risk Management (checked before every swap)
+      RISK_MAX_TOKEN_EXPOSURE: process.env.RISK_MAX_TOKEN_EXPOSURE !== undefined ? parseFloat(process.env.RISK_MAX_TOKEN_EXPOSURE) : 0.5, // Share of portfolio per token, 0 = disabled
+      RISK_MAX_OPEN_POSITIONS: process.env.RISK_MAX_OPEN_POSITIONS !== undefined ? parseInt(process.env.RISK_MAX_OPEN_POSITIONS) : 10, // 0 = disabled
+      RISK_DAILY_LOSS_LIMIT: parseFloat(process.env.RISK_DAILY_LOSS_LIMIT) || 0, // Realized GALA loss per UTC day that engages the kill switch, 0 = disabled
+
+      // Strategies
+      STRATEGY_PLUGINS: process.env.STRATEGY_PLUGINS || '', // Comma separated module paths registering extra strategies
+
+      // Scheduler (cron expressions, UTC)
+      SCHEDULE_STRATEGY: process.env.SCHEDULE_STRATEGY || `*/${parseInt(process.env.MONITOR_INTERVAL_MINUTES) || 5} * * * *`, // Strategy run per trading symbol
+      SCHEDULE_POSITION_MONITOR: process.env.SCHEDULE_POSITION_MONITOR || process.env.SCHEDULE_STRATEGY || `*/${parseInt(process.env.MONITOR_INTERVAL_MINUTES) || 5} * * * *`, // Open position exit checks
+      SCHEDULE_DAILY_SUMMARY: process.env.SCHEDULE_DAILY_SUMMARY || '0 0 * * *', // Daily summary notification
+      SCHEDULE_PORTFOLIO_SNAPSHOT: process.env.SCHEDULE_PORTFOLIO_SNAPSHOT || '0 * * * *', // Wallet valuation snapshots for the net-worth history
+      SCHEDULE_ORDER_MONITOR: process.env.SCHEDULE_ORDER_MONITOR || '* * * * *', // Limit / stop order trigger checks
+      SCHEDULE_RECONCILIATION: process.env.SCHEDULE_RECONCILIATION || '*/30 * * * *', // On-chain balances checked against the trades table
+      SCHEDULER_TICK_MS: parseInt(process.env.SCHEDULER_TICK_MS) || 30000, // How often due jobs are checked
+      SCHEDULER_LOCK_TTL_MS: parseInt(process.env.SCHEDULER_LOCK_TTL_MS) || 1800000, // Locks of crashed runs expire after this long
+      SCHEDULER_MAX_CATCH_UP_HOURS: process.env.SCHEDULER_MAX_CATCH_UP_HOURS !== undefined ? parseFloat(process.env.SCHEDULER_MAX_CATCH_UP_HOURS) : 24, // Missed runs older than this are skipped, 0 = never catch up
+
+      // Paper Trading
+      EXCHANGE_MODE: process.env.EXCHANGE_MODE || 'live', // 'live' or 'paper'
+      PAPER_INITIAL_BALANCES: process.env.PAPER_INITIAL_BALANCES || 'GALA|Unit|none|none=1000,GUSDC|Unit|none|none=100',
+      PAPER_POOL_LIQUIDITY_USD: parseFloat(process.env.PAPER_POOL_LIQUIDITY_USD) || 100000,
+
+      // Portfolio and accounting
+      PORTFOLIO_SNAPSHOT_RETENTION_DAYS: process.env.PORTFOLIO_SNAPSHOT_RETENTION_DAYS !== undefined ? parseFloat(process.env.PORTFOLIO_SNAPSHOT_RETENTION_DAYS) : 365, // Older snapshots are pruned, 0 = keep forever
+      PNL_LOT_METHOD: process.env.PNL_LOT_METHOD || 'fifo', // Lot matching for realized PnL: fifo, lifo or average
+
+      // Orders
+      ORDER_DEFAULT_EXPIRY_HOURS: process.env.ORDER_DEFAULT_EXPIRY_HOURS !== undefined ? parseFloat(process.env.ORDER_DEFAULT_EXPIRY_HOURS) : 168, // Expiry of orders placed without one, 0 = good until cancelled
+
+      // Execution algorithms (TWAP / iceberg)
+      EXECUTION_TWAP_SLICES: parseInt(process.env.EXECUTION_TWAP_SLICES) || 5, // Default number of TWAP slices
+      EXECUTION_SLICE_INTERVAL_SECONDS: process.env.EXECUTION_SLICE_INTERVAL_SECONDS !== undefined ? parseFloat(process.env.EXECUTION_SLICE_INTERVAL_SECONDS) : 60, // Default wait between slices
+      EXECUTION_MAX_SLICE_IMPACT: parseFloat(process.env.EXECUTION_MAX_SLICE_IMPACT) || 0.01, // Iceberg slices are halved until their quoted price impact is below this (0.01 = 1%)
+      EXECUTION_MAX_PRICE_MOVE: parseFloat(process.env.EXECUTION_MAX_PRICE_MOVE) || 0.03, // Abort when the quoted price moves this far against the first slice (0.03 = 3%)
+      EXECUTION_MAX_SLICES: parseInt(process.env.EXECUTION_MAX_SLICES) || 20, // Upper bound on the slices of one order
+
+      // Multi-hop routing
+      ROUTER_INTERMEDIATE_TOKENS: process.env.ROUTER_INTERMEDIATE_TOKENS || 'GALA|Unit|none|none,GUSDC|Unit|none|none,GWETH|Unit|none|none', // Tokens a route may pass through
+      ROUTER_MAX_HOPS: parseInt(process.env.ROUTER_MAX_HOPS) || 3, // Most swaps in one route
+
+      // Confirmations and reconciliation (live swaps)
+      CONFIRMATION_TIMEOUT_MS: parseInt(process.env.CONFIRMATION_TIMEOUT_MS) || 60000, // How long a swap waits for its transaction before returning
+      CONFIRMATION_POLL_INTERVAL_MS: parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS) || 5000, // Wallet balance polls while waiting
+      CONFIRMATION_MAX_WAIT_MS: parseInt(process.env.CONFIRMATION_MAX_WAIT_MS) || 900000, // Unconfirmed swaps are polled in the background this long, then reported
+      CONFIRMATION_MISMATCH_THRESHOLD: parseFloat(process.env.CONFIRMATION_MISMATCH_THRESHOLD) || 0.01, // Flag fills this far from their quote (0.01 = 1%)
+      RECONCILIATION_TOLERANCE: process.env.RECONCILIATION_TOLERANCE !== undefined ? parseFloat(process.env.RECONCILIATION_TOLERANCE) : 0.001, // Balance discrepancy allowed, relative to the balance
+
       // Yahoo Finance Configuration
       YAHOO_SYMBOL: process.env.YAHOO_SYMBOL || 'GALA-USD',
       PRICE_CACHE_TIMEOUT_MS: parseInt(process.env.PRICE_CACHE_TIMEOUT_MS) || 60000,
+      PRICE_SYNC_MAX_PAGES: parseInt(process.env.PRICE_SYNC_MAX_PAGES) || 20,
 
       // External APIs
       COINMARKETCAP_API_KEY: process.env.COINMARKETCAP_API_KEY,
+      NOTIFICATION_MIN_INTERVAL_MS: parseInt(process.env.NOTIFICATION_MIN_INTERVAL_MS) || 1000, // Per channel
+      NOTIFICATION_MAX_ATTEMPTS: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 8, // Then dead-lettered
+      NOTIFICATION_RETRY_BASE_MS: parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 5000, // Doubles each attempt
+      NOTIFICATION_RETRY_MAX_MS: parseInt(process.env.NOTIFICATION_RETRY_MAX_MS) || 3600000, // Backoff cap
+      NOTIFICATION_OUTBOX_POLL_MS: parseInt(process.env.NOTIFICATION_OUTBOX_POLL_MS) || 5000, // Outbox worker interval
+
+      // Notification Channels (each enabled when configured; *_EVENTS lists the events it receives, empty = all)
       DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL,
-      NOTIFICATION_MIN_INTERVAL_MS: parseInt(process.env.NOTIFICATION_MIN_INTERVAL_MS) || 1000,
+      DISCORD_EVENTS: process.env.DISCORD_EVENTS || '',
+      SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL,
+      SLACK_EVENTS: process.env.SLACK_EVENTS || '',
+      TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
+      TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID,
+      TELEGRAM_API_URL: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+      TELEGRAM_EVENTS: process.env.TELEGRAM_EVENTS || '',
+      SMTP_HOST: process.env.SMTP_HOST,
+      SMTP_PORT: parseInt(process.env.SMTP_PORT) || null, // Defaults to 465 when SMTP_SECURE, else 587
+      SMTP_SECURE: process.env.SMTP_SECURE === 'true', // Implicit TLS; otherwise STARTTLS is used when offered
+      SMTP_USER: process.env.SMTP_USER,
+      SMTP_PASS: process.env.SMTP_PASS,
+      SMTP_ALLOW_INSECURE_AUTH: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true', // Send credentials without TLS (local relays only)
+      EMAIL_FROM: process.env.EMAIL_FROM,
+      EMAIL_TO: process.env.EMAIL_TO, // Comma separated recipients
+      EMAIL_EVENTS: process.env.EMAIL_EVENTS || '',
+      NOTIFY_WEBHOOK_URL: process.env.NOTIFY_WEBHOOK_URL, // Generic JSON webhook
+      NOTIFY_WEBHOOK_SECRET: process.env.NOTIFY_WEBHOOK_SECRET, // Signs bodies in X-Signature-256
+      NOTIFY_WEBHOOK_EVENTS: process.env.NOTIFY_WEBHOOK_EVENTS || '',
+
+      // Authentication (API keys or session login, roles viewer < trader < admin)
+      AUTH_ENABLED: process.env.AUTH_ENABLED !== 'false', // Only disable on a trusted local network
+      AUTH_SESSION_TTL_HOURS: parseFloat(process.env.AUTH_SESSION_TTL_HOURS) || 12,
+
+      // Bot Commands (Discord interactions endpoint / Telegram webhook, only allowlisted users)
+      DISCORD_PUBLIC_KEY: process.env.DISCORD_PUBLIC_KEY, // Application public key, verifies interaction signatures
+      DISCORD_APPLICATION_ID: process.env.DISCORD_APPLICATION_ID, // Used to register slash commands
+      DISCORD_BOT_TOKEN: process.env.DISCORD_BOT_TOKEN, // Used to register slash commands
+      DISCORD_ALLOWED_USER_IDS: process.env.DISCORD_ALLOWED_USER_IDS || '', // Comma separated
+      TELEGRAM_WEBHOOK_SECRET: process.env.TELEGRAM_WEBHOOK_SECRET, // Sent by Telegram with every update
+      TELEGRAM_ALLOWED_USER_IDS: process.env.TELEGRAM_ALLOWED_USER_IDS || '', // Comma separated
+      BOT_CONFIRM_TTL_MS: parseInt(process.env.BOT_CONFIRM_TTL_MS) || 60000, // Confirmation codes expire after this
+
+      // Backtesting
+      BACKTEST_SLIPPAGE: parseFloat(process.env.BACKTEST_SLIPPAGE) || 0.005,
+      BACKTEST_FEE_RATE: parseFloat(process.env.BACKTEST_FEE_RATE) || 0.003,
+      BACKTEST_INITIAL_CAPITAL: parseFloat(process.env.BACKTEST_INITIAL_CAPITAL) || 1000,
 
       // Database
       DB_PATH: process.env.DB_PATH || path.join(__dirname, '..', 'data', 'trading.db'),
+      DB_AUTO_MIGRATE: process.env.DB_AUTO_MIGRATE !== 'false', // Apply pending migrations on startup
 
       // Logging
       LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -82,6 +199,73 @@ class ConfigManager {
     return { ...this.config };
   }
 
+  /**
+   * Load the signing key, decrypting KEYSTORE_PATH when set
+   * The keystore passphrase is read from KEYSTORE_PASSPHRASE_FD, else asked for on the terminal
+   * @param {string} passphrase - Keystore passphrase (skips the fd and the prompt)
+   * @returns {Promise<string|null>} - Private key, null when neither PRIVATE_KEY nor KEYSTORE_PATH is set
+   */
+  async unlockPrivateKey(passphrase = null) {
+    if (!this.isInitialized) {
+      this.init();
+    }
+    if (privateKey || !this.config.KEYSTORE_PATH) {
+      return privateKey;
+    }
+
+    privateKey = await this.unlockWalletKey(this.config.KEYSTORE_PATH, this.config.WALLET_ADDRESS, passphrase, 'WALLET_ADDRESS');
+    return privateKey;
+  }
+
+  /**
+   * Decrypt a wallet keystore and check it holds the key for the expected address
+   * Used for KEYSTORE_PATH and for the keystores of additional wallets; the key is returned, not kept
+   * @param {string} keystorePath - Keystore file
+   * @param {string} walletAddress - Expected address (eth|...)
+   * @param {string} passphrase - Keystore passphrase (skips the fd and the prompt)
+   * @param {string} label - How the address is named in the mismatch error
+   * @returns {Promise<string>} - Private key
+   */
+  async unlockWalletKey(keystorePath, walletAddress, passphrase = null, label = 'wallet address') {
+    if (!this.isInitialized) {
+      this.init();
+    }
+
+    if (passphrase === null) {
+      if (this.config.KEYSTORE_PASSPHRASE_FD !== null) {
+        fdPassphrase = fdPassphrase ?? readPassphraseFromFd(this.config.KEYSTORE_PASSPHRASE_FD);
+        passphrase = fdPassphrase;
+      } else if (process.stdin.isTTY) {
+        passphrase = await promptHidden(`🔐 Passphrase for ${keystorePath}: `);
+      } else {
+        throw new Error('Keystore is locked: set KEYSTORE_PASSPHRASE_FD or start the bot from a terminal');
+      }
+    }
+
+    const key = decryptKeystore(readKeystoreFile(keystorePath), passphrase);
+    const address = privateKeyToAddress(key);
+    if (!isSameAddress(walletAddress, address)) {
+      throw new Error(`Keystore key belongs to eth|${address}, not ${label} ${walletAddress}`);
+    }
+
+    return key;
+  }
+
+  /**
+   * Get the signing key loaded from PRIVATE_KEY or an unlocked keystore
+   * @returns {string} Private key
+   * @throws {Error} If the keystore has not been unlocked
+   */
+  getPrivateKey() {
+    if (!this.isInitialized) {
+      this.init();
+    }
+    if (!privateKey) {
+      throw new Error(this.config.KEYSTORE_PATH ? 'Keystore is locked' : 'PRIVATE_KEY is not configured');
+    }
+    return privateKey;
+  }
+
   /**
    * Check if running in development mode
    * @returns {boolean}
@@ -111,8 +295,9 @@ class ConfigManager {
    * @throws {Error} If required configuration is missing
    */
   validate() {
-    const required = ['PRIVATE_KEY', 'WALLET_ADDRESS'];
-    const missing = [];
+    const required = ['WALLET_ADDRESS'];
+    // Paper trading simulates swaps without signing them
+    const missing = privateKey || this.config.KEYSTORE_PATH || this.config.EXCHANGE_MODE === 'paper' ? [] : ['PRIVATE_KEY'];
 
     for (const key of required) {
       if (!this.config[key]) {
@@ -124,6 +309,10 @@ class ConfigManager {
       throw new Error(`Missing required configuration: ${missing.join(', ')}`);
     }
 
+    if (this.config.KEYSTORE_PATH && process.env.PRIVATE_KEY) {
+      throw new Error('PRIVATE_KEY and KEYSTORE_PATH are both set - remove PRIVATE_KEY from the environment once it is in the keystore');
+    }
+
     // Validate wallet address format (only if provided)
     if (this.config.WALLET_ADDRESS && !this.config.WALLET_ADDRESS.startsWith('eth|')) {
       throw new Error('WALLET_ADDRESS must be in format: eth|123...abc');
@@ -143,11 +332,18 @@ class ConfigManager {
     const masked = { ...this.config };
     
     // Mask sensitive values
-    if (masked.PRIVATE_KEY) {
-      masked.PRIVATE_KEY = `${masked.PRIVATE_KEY.substring(0, 8)}...`;
+    if (privateKey) {
+      masked.PRIVATE_KEY = `${privateKey.substring(0, 8)}...`;
     }
-    if (masked.DISCORD_WEBHOOK_URL) {
-      masked.DISCORD_WEBHOOK_URL = `${masked.DISCORD_WEBHOOK_URL.substring(0, 50)}...`;
+    for (const key of ['DISCORD_WEBHOOK_URL', 'SLACK_WEBHOOK_URL', 'NOTIFY_WEBHOOK_URL']) {
+      if (masked[key]) {
+        masked[key] = `${masked[key].substring(0, 50)}...`;
+      }
+    }
+    for (const key of ['TELEGRAM_BOT_TOKEN', 'SMTP_PASS', 'NOTIFY_WEBHOOK_SECRET', 'DISCORD_BOT_TOKEN', 'TELEGRAM_WEBHOOK_SECRET']) {
+      if (masked[key]) {
+        masked[key] = '***';
+      }
     }
 
     return masked;
@@ -0,0 +1,154 @@
+/**
+ * Auth middleware - authenticate() resolves the caller once per request,
+ * requireRole() guards routes (viewer < trader < admin)
+ *
+ * Credentials: Authorization: Bearer <api key>, X-API-Key: <api key>, or the session cookie set by POST /auth/login
+ */
+
+const SESSION_COOKIE = 'gtb_session';
+
+let authService = null;
+
+/**
+ * Get auth service (lazy initialization)
+ * @returns {AuthService} Auth service instance
+ */
+function getAuthService() {
+  if (!authService) {
+    const ServiceManager = require('../services/ServiceManager');
+    authService = ServiceManager.get('auth');
+  }
+  return authService;
+}
+
+/**
+ * Use a specific auth service instead of the registered one (tests)
+ * @param {AuthService} service - Auth service
+ */
+function setAuthService(service) {
+  authService = service;
+}
+
+/**
+ * Read the API key sent with a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getApiKey(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Resolve the caller into req.auth ({type, id, name, role}, null when anonymous)
+ * An invalid API key is rejected right away; an invalid session cookie is just ignored
+ */
+async function authenticate(req, res, next) {
+  req.auth = null;
+
+  try {
+    const auth = getAuthService();
+    if (!auth.enabled) {
+      return next();
+    }
+
+    const apiKey = getApiKey(req);
+    if (apiKey) {
+      req.auth = await auth.authenticateApiKey(apiKey);
+      if (!req.auth) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid API key',
+          timestamp: new Date().toISOString()
+        });
+      }
+      return next();
+    }
+
+    const sessionToken = req.cookies?.[SESSION_COOKIE];
+    if (sessionToken) {
+      req.auth = await auth.authenticateSession(sessionToken);
+    }
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require at least a role
+ * @param {string} role - viewer | trader | admin
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const auth = getAuthService();
+    if (!auth.enabled) {
+      return next();
+    }
+
+    if (!req.auth) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!auth.hasRole(req.auth.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires the ${role} role (you have ${req.auth.role})`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require the trader role for live swaps; dry runs only need viewer
+ * @param {Function} isDryRun - (req) => whether the request will run as a dry run
+ * @returns {Function} - Express middleware
+ */
+function requireTraderForLive(isDryRun) {
+  const viewer = requireRole('viewer');
+  const trader = requireRole('trader');
+
+  return (req, res, next) => {
+    let dryRun;
+    try {
+      dryRun = isDryRun(req);
+    } catch (error) {
+      dryRun = false; // Can't tell, treat it as live
+    }
+    return (dryRun ? viewer : trader)(req, res, next);
+  };
+}
+
+/**
+ * Whether a request body's dryRun flag asks for a dry run
+ * @param {*} value - dryRun from the body
+ * @returns {boolean|undefined} - undefined when not set
+ */
+function parseDryRun(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return value === true || value === 'true';
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  authenticate,
+  requireRole,
+  requireTraderForLive,
+  parseDryRun,
+  getAuthService,
+  setAuthService
+};
@@ -0,0 +1,144 @@
+/**
+ * Initial schema - core trading tables
+ * Idempotent so databases created before versioned migrations adopt it cleanly
+ */
+
+/**
+ * Add a column, ignoring databases that already have it
+ * @param {DatabaseService} db - Database service
+ * @param {string} table - Table name
+ * @param {string} definition - Column definition
+ */
+async function addColumnIfMissing(db, table, definition) {
+  try {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  } catch (error) {
+    if (!error.message.includes('duplicate column name')) {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  description: 'Create monitored_symbols, trades, price_history, strategy_performance, system_logs and open_positions',
+
+  async up(db) {
+    // Monitored symbols table
+    await db.run(`CREATE TABLE IF NOT EXISTS monitored_symbols (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL UNIQUE,
+      display_name TEXT NOT NULL,
+      yahoo_symbol TEXT NOT NULL,
+      gala_symbol TEXT NOT NULL,
+      is_active BOOLEAN NOT NULL DEFAULT 1,
+      trading_enabled BOOLEAN NOT NULL DEFAULT 1,
+      min_trade_amount REAL DEFAULT 1,
+      max_trade_amount REAL DEFAULT 100,
+      strategy_config TEXT, -- JSON string for strategy-specific config
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Trades table
+    await db.run(`CREATE TABLE IF NOT EXISTS trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      strategy TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL CHECK(side IN ('BUY', 'SELL')),
+      amount REAL NOT NULL,
+      price REAL NOT NULL,
+      total_value REAL NOT NULL,
+      slippage REAL NOT NULL,
+      fee REAL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING', 'COMPLETED', 'FAILED', 'CANCELLED')),
+      tx_hash TEXT,
+      dry_run BOOLEAN NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      executed_at DATETIME,
+      notes TEXT
+    )`);
+
+    // Price history table
+    await db.run(`CREATE TABLE IF NOT EXISTS price_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol TEXT NOT NULL,
+      price REAL NOT NULL,
+      volume REAL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      source TEXT DEFAULT 'yahoo_finance'
+    )`);
+
+    // Strategy performance table
+    await db.run(`CREATE TABLE IF NOT EXISTS strategy_performance (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      strategy_name TEXT NOT NULL,
+      period_start DATETIME NOT NULL,
+      period_end DATETIME NOT NULL,
+      total_trades INTEGER DEFAULT 0,
+      winning_trades INTEGER DEFAULT 0,
+      losing_trades INTEGER DEFAULT 0,
+      total_pnl REAL DEFAULT 0,
+      max_drawdown REAL DEFAULT 0,
+      sharpe_ratio REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // System logs table
+    await db.run(`CREATE TABLE IF NOT EXISTS system_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      service TEXT NOT NULL,
+      level TEXT NOT NULL CHECK(level IN ('INFO', 'WARN', 'ERROR', 'DEBUG')),
+      message TEXT NOT NULL,
+      details TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Open positions table - tracks positions waiting for buyback
+    await db.run(`CREATE TABLE IF NOT EXISTS open_positions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      strategy TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      token_symbol TEXT NOT NULL, -- The token we're holding (e.g., 'GUSDC', 'GWETH')
+      gala_symbol TEXT NOT NULL, -- The GalaChain token identifier
+      entry_trade_id INTEGER NOT NULL, -- Reference to the initial SELL trade
+      entry_price REAL NOT NULL, -- Price when we sold GALA for the token
+      entry_amount REAL NOT NULL, -- Amount of GALA we sold
+      token_amount REAL NOT NULL, -- Amount of tokens we received
+      profit_threshold REAL NOT NULL DEFAULT 0.05, -- +5% profit threshold
+      loss_threshold REAL NOT NULL DEFAULT -0.02, -- -2% loss threshold
+      retry_count INTEGER DEFAULT 0, -- Number of buyback retry attempts
+      status TEXT NOT NULL DEFAULT 'OPEN' CHECK(status IN ('OPEN', 'CLOSED', 'FAILED')),
+      close_trade_id INTEGER, -- Reference to the buyback trade when closed
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME,
+      notes TEXT,
+      FOREIGN KEY (entry_trade_id) REFERENCES trades(id),
+      FOREIGN KEY (close_trade_id) REFERENCES trades(id)
+    )`);
+
+    // Columns added to early databases by hand (previously migrate_db.js)
+    await addColumnIfMissing(db, 'monitored_symbols', 'gala_symbol TEXT');
+    await addColumnIfMissing(db, 'open_positions', 'retry_count INTEGER DEFAULT 0');
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_monitored_symbols_active ON monitored_symbols(is_active, trading_enabled)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_trades_symbol_created ON trades(symbol, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_price_history_symbol_timestamp ON price_history(symbol, timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_strategy_performance_name ON strategy_performance(strategy_name)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_system_logs_service_timestamp ON system_logs(service, timestamp)');
+
+    // Backfill gala_symbol for GALA rows created before the column existed
+    await db.run(
+      `UPDATE monitored_symbols SET gala_symbol = 'GALA|Unit|none|none'
+       WHERE symbol = 'GALA' AND (gala_symbol IS NULL OR gala_symbol = '')`
+    );
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS open_positions');
+    await db.run('DROP TABLE IF EXISTS system_logs');
+    await db.run('DROP TABLE IF EXISTS strategy_performance');
+    await db.run('DROP TABLE IF EXISTS price_history');
+    await db.run('DROP TABLE IF EXISTS trades');
+    await db.run('DROP TABLE IF EXISTS monitored_symbols');
+  }
+};
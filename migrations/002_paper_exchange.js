@@ -0,0 +1,52 @@
+/**
+ * Paper exchange - simulated balances, pools and swap receipts
+ */
+
+module.exports = {
+  description: 'Create paper_balances, paper_pools and paper_transactions',
+
+  async up(db) {
+    // Paper exchange balances - simulated wallet holdings per token
+    await db.run(`CREATE TABLE IF NOT EXISTS paper_balances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet_address TEXT NOT NULL,
+      token TEXT NOT NULL, -- GalaChain token identifier (e.g., 'GALA|Unit|none|none')
+      quantity REAL NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(wallet_address, token)
+    )`);
+
+    // Paper exchange pools - constant-product reserves per pair and fee tier
+    await db.run(`CREATE TABLE IF NOT EXISTS paper_pools (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token0 TEXT NOT NULL, -- Lexicographically smaller token identifier
+      token1 TEXT NOT NULL,
+      fee_tier INTEGER NOT NULL,
+      reserve0 REAL NOT NULL,
+      reserve1 REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(token0, token1, fee_tier)
+    )`);
+
+    // Paper exchange transactions - simulated swap receipts
+    await db.run(`CREATE TABLE IF NOT EXISTS paper_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL UNIQUE,
+      wallet_address TEXT NOT NULL,
+      token_in TEXT NOT NULL,
+      token_out TEXT NOT NULL,
+      fee_tier INTEGER NOT NULL,
+      amount_in REAL NOT NULL,
+      amount_out REAL NOT NULL,
+      fee REAL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS paper_transactions');
+    await db.run('DROP TABLE IF EXISTS paper_pools');
+    await db.run('DROP TABLE IF EXISTS paper_balances');
+  }
+};
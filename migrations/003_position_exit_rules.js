@@ -0,0 +1,27 @@
+/**
+ * Position exit rules - trailing stops, take-profit ladders and time-based exits
+ */
+
+module.exports = {
+  description: 'Add trailing stop, take-profit ladder, holding period and partial close columns to open_positions',
+
+  async up(db) {
+    await db.run('ALTER TABLE open_positions ADD COLUMN high_water_pnl REAL'); // Best PnL % seen while open
+    await db.run('ALTER TABLE open_positions ADD COLUMN trailing_stop REAL'); // Retrace from high_water_pnl that triggers exit (0.03 = 3%)
+    await db.run('ALTER TABLE open_positions ADD COLUMN take_profit_ladder TEXT'); // JSON [{pnl: 0.03, portion: 0.5}, ...]
+    await db.run('ALTER TABLE open_positions ADD COLUMN ladder_step INTEGER DEFAULT 0'); // Ladder levels already filled
+    await db.run('ALTER TABLE open_positions ADD COLUMN max_holding_hours REAL'); // Time-based exit, NULL = no limit
+    await db.run('ALTER TABLE open_positions ADD COLUMN closed_token_amount REAL DEFAULT 0'); // Tokens already bought back
+    await db.run('ALTER TABLE open_positions ADD COLUMN realized_gala REAL DEFAULT 0'); // GALA received from buybacks so far
+    await db.run('ALTER TABLE open_positions ADD COLUMN exit_reason TEXT'); // Rule that fired the last buyback
+  },
+
+  async down(db) {
+    for (const column of [
+      'exit_reason', 'realized_gala', 'closed_token_amount', 'max_holding_hours',
+      'ladder_step', 'take_profit_ladder', 'trailing_stop', 'high_water_pnl'
+    ]) {
+      await db.run(`ALTER TABLE open_positions DROP COLUMN ${column}`);
+    }
+  }
+};
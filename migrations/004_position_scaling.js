@@ -0,0 +1,45 @@
+/**
+ * Position scaling - partial closes with realized PnL and scale-ins with a weighted-average entry
+ */
+
+module.exports = {
+  description: 'Add cost basis and realized PnL columns to open_positions and create position_fills',
+
+  async up(db) {
+    await db.run('ALTER TABLE open_positions ADD COLUMN closed_cost_basis REAL DEFAULT 0'); // GALA cost of tokens already bought back
+    await db.run('ALTER TABLE open_positions ADD COLUMN realized_pnl REAL DEFAULT 0'); // GALA PnL realized by (partial) closes
+    await db.run('ALTER TABLE open_positions ADD COLUMN scale_count INTEGER DEFAULT 0'); // Number of times the position was added to
+
+    // Position fills - every open, scale-in and (partial) close of a position
+    await db.run(`CREATE TABLE IF NOT EXISTS position_fills (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      position_id INTEGER NOT NULL,
+      trade_id INTEGER, -- Trade that produced the fill
+      action TEXT NOT NULL CHECK(action IN ('OPEN', 'SCALE_IN', 'PARTIAL_CLOSE', 'CLOSE')),
+      token_amount REAL NOT NULL, -- Tokens received (OPEN/SCALE_IN) or bought back (closes)
+      gala_amount REAL, -- GALA spent (OPEN/SCALE_IN) or received (closes)
+      cost_basis REAL, -- GALA cost of the tokens bought back (closes only)
+      realized_pnl REAL, -- gala_amount - cost_basis (closes only)
+      exit_reason TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (position_id) REFERENCES open_positions(id),
+      FOREIGN KEY (trade_id) REFERENCES trades(id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_position_fills_position ON position_fills(position_id, created_at)');
+
+    // Tokens already bought back were closed at the average entry cost
+    await db.run(
+      `UPDATE open_positions SET closed_cost_basis = entry_amount * closed_token_amount / token_amount
+       WHERE closed_token_amount > 0 AND token_amount > 0`
+    );
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_position_fills_position');
+    await db.run('DROP TABLE IF EXISTS position_fills');
+    for (const column of ['scale_count', 'realized_pnl', 'closed_cost_basis']) {
+      await db.run(`ALTER TABLE open_positions DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Risk controls - persisted risk manager state (kill switch)
+ */
+
+module.exports = {
+  description: 'Create risk_state for the risk manager kill switch',
+
+  async up(db) {
+    // Risk state - key/value JSON that must survive restarts
+    await db.run(`CREATE TABLE IF NOT EXISTS risk_state (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL, -- JSON encoded state
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Daily loss limit scans completed trades by execution time
+    await db.run('CREATE INDEX IF NOT EXISTS idx_trades_status_executed ON trades(status, executed_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_trades_status_executed');
+    await db.run('DROP TABLE IF EXISTS risk_state');
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Scheduler - cron-style job definitions, persisted job runs and cross-process locks
+ */
+
+module.exports = {
+  description: 'Create scheduled_jobs, job_runs and job_locks for the job scheduler',
+
+  async up(db) {
+    // Scheduled jobs - one row per job with its cron schedule and next due time
+    await db.run(`CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      name TEXT PRIMARY KEY, -- e.g. 'strategy:GALA', 'position_monitor'
+      job_type TEXT NOT NULL, -- Handler registered with the scheduler
+      schedule TEXT NOT NULL, -- Cron expression (minute hour day-of-month month day-of-week, UTC)
+      payload TEXT, -- JSON handler options
+      enabled BOOLEAN NOT NULL DEFAULT 1,
+      catch_up BOOLEAN NOT NULL DEFAULT 1, -- Run once after a restart if a run was missed
+      last_run_at DATETIME, -- Scheduled time of the last run
+      next_run_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Job runs - every start, finish and skip of a scheduled job
+    await db.run(`CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_name TEXT NOT NULL,
+      scheduled_for DATETIME NOT NULL, -- Cron time the run belongs to
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME,
+      status TEXT NOT NULL CHECK(status IN ('RUNNING', 'SUCCEEDED', 'FAILED', 'SKIPPED')),
+      catch_up BOOLEAN NOT NULL DEFAULT 0, -- Run made up after the scheduler was down
+      owner TEXT, -- host:pid of the scheduler that ran the job
+      result TEXT, -- JSON summary returned by the handler
+      error TEXT
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status)');
+
+    // Job locks - held while a job runs so overlapping runs are skipped, even across processes
+    await db.run(`CREATE TABLE IF NOT EXISTS job_locks (
+      job_name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      locked_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL -- Locks of crashed schedulers expire instead of blocking forever
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS job_locks');
+    await db.run('DROP INDEX IF EXISTS idx_job_runs_status');
+    await db.run('DROP INDEX IF EXISTS idx_job_runs_job');
+    await db.run('DROP TABLE IF EXISTS job_runs');
+    await db.run('DROP TABLE IF EXISTS scheduled_jobs');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Notification outbox - notifications are stored per channel before delivery
+ * so a failed or rate-limited delivery is retried instead of lost
+ */
+
+module.exports = {
+  description: 'Create notifications_outbox for durable notification delivery',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS notifications_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event TEXT NOT NULL, -- trade, buyback, error, summary, ...
+      channel TEXT NOT NULL, -- discord, slack, telegram, email, webhook
+      message TEXT NOT NULL, -- JSON channel-neutral message
+      status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING', 'SENDING', 'SENT', 'DEAD')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME NOT NULL, -- Backoff / retry_after of the channel
+      last_error TEXT,
+      sent_at DATETIME,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_outbox_due ON notifications_outbox(status, next_attempt_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_outbox_channel ON notifications_outbox(channel, status)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_outbox_channel');
+    await db.run('DROP INDEX IF EXISTS idx_outbox_due');
+    await db.run('DROP TABLE IF EXISTS notifications_outbox');
+  }
+};
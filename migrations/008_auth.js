@@ -0,0 +1,49 @@
+/**
+ * Authentication - users with hashed passwords, API keys and login sessions
+ * Passwords are stored as scrypt hashes, API keys and session tokens as SHA-256 hashes
+ */
+
+module.exports = {
+  description: 'Create users, api_keys and sessions for route authentication',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL, -- scrypt$N$r$p$salt$hash
+      role TEXT NOT NULL CHECK(role IN ('viewer', 'trader', 'admin')),
+      active BOOLEAN NOT NULL DEFAULT 1,
+      last_login_at DATETIME,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL, -- First characters, to recognize a key in listings
+      key_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK(role IN ('viewer', 'trader', 'admin')),
+      created_by TEXT,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME NOT NULL
+    )`);
+
+    await db.run(`CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_sessions_expires');
+    await db.run('DROP TABLE IF EXISTS sessions');
+    await db.run('DROP TABLE IF EXISTS api_keys');
+    await db.run('DROP TABLE IF EXISTS users');
+  }
+};
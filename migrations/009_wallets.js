@@ -0,0 +1,47 @@
+/**
+ * Multiple wallets - each with its own signer, strategies and risk limits
+ * Trades and open positions are tagged with the wallet that executed them; wallet 1 is the
+ * main wallet from WALLET_ADDRESS / PRIVATE_KEY (or KEYSTORE_PATH) that existed before
+ */
+
+module.exports = {
+  description: 'Create wallets and tag trades and open_positions with wallet_id',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS wallets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      address TEXT, -- eth|...; NULL = WALLET_ADDRESS
+      keystore_path TEXT, -- Encrypted key; NULL = PRIVATE_KEY / KEYSTORE_PATH
+      strategies TEXT, -- JSON list of strategies routed to this wallet, NULL = none
+      max_open_positions INTEGER, -- Risk limit overrides, NULL = RISK_* setting
+      max_token_exposure REAL,
+      daily_loss_limit REAL,
+      is_default BOOLEAN NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT 1,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )`);
+
+    const now = new Date().toISOString();
+    await db.run(
+      `INSERT OR IGNORE INTO wallets (id, name, is_default, is_active, created_at, updated_at)
+       VALUES (1, 'main', 1, 1, ?, ?)`,
+      [now, now]
+    );
+
+    // Everything recorded so far was traded by the main wallet
+    await db.run('ALTER TABLE trades ADD COLUMN wallet_id INTEGER NOT NULL DEFAULT 1');
+    await db.run('ALTER TABLE open_positions ADD COLUMN wallet_id INTEGER NOT NULL DEFAULT 1');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_trades_wallet_executed ON trades(wallet_id, executed_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_open_positions_wallet_status ON open_positions(wallet_id, status)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_open_positions_wallet_status');
+    await db.run('DROP INDEX IF EXISTS idx_trades_wallet_executed');
+    await db.run('ALTER TABLE open_positions DROP COLUMN wallet_id');
+    await db.run('ALTER TABLE trades DROP COLUMN wallet_id');
+    await db.run('DROP TABLE IF EXISTS wallets');
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Portfolio snapshots - periodic valuation of every token a wallet holds
+ * Totals are kept in columns for the net-worth series, the per-token breakdown as JSON
+ */
+
+module.exports = {
+  description: 'Create portfolio_snapshots for wallet valuation history',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet_id INTEGER NOT NULL DEFAULT 1,
+      total_usd REAL NOT NULL,
+      total_gala REAL, -- NULL when GALA itself could not be priced
+      gala_price_usd REAL,
+      holdings TEXT NOT NULL, -- JSON [{symbol, galaSymbol, quantity, priceUsd, valueUsd, valueGala, allocation}]
+      unpriced TEXT, -- JSON list of held tokens without a price, NULL = none
+      paper BOOLEAN NOT NULL DEFAULT 0, -- Simulated PaperExchange balances
+      taken_at DATETIME NOT NULL
+    )`);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_portfolio_snapshots_wallet_taken ON portfolio_snapshots(wallet_id, taken_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_portfolio_snapshots_wallet_taken');
+    await db.run('DROP TABLE IF EXISTS portfolio_snapshots');
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Pending orders - limit and stop orders waiting for an oracle price trigger
+ * The two legs of an OCO pair share oco_group (the first leg's id); a fill cancels the other leg
+ */
+
+module.exports = {
+  description: 'Create pending_orders for limit, stop and OCO orders',
+
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS pending_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet_id INTEGER NOT NULL DEFAULT 1,
+      order_type TEXT NOT NULL CHECK(order_type IN ('LIMIT', 'STOP')),
+      side TEXT NOT NULL CHECK(side IN ('BUY', 'SELL')), -- BUY spends quote_token on token, SELL the reverse
+      token TEXT NOT NULL, -- gala_symbol of the traded token
+      quote_token TEXT NOT NULL DEFAULT 'GALA|Unit|none|none',
+      amount REAL NOT NULL, -- In quote_token for BUY, in token for SELL
+      trigger_price REAL NOT NULL, -- Token price in quote_token units
+      slippage REAL, -- NULL = default slippage
+      status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING', 'TRIGGERED', 'FILLED', 'FAILED', 'CANCELLED', 'EXPIRED')),
+      oco_group INTEGER,
+      expires_at DATETIME, -- NULL = good until cancelled
+      triggered_at DATETIME,
+      trigger_observed_price REAL,
+      trade_id INTEGER, -- trades row of the fill
+      error TEXT,
+      created_by TEXT,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )`);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_pending_orders_status ON pending_orders(status, expires_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_pending_orders_oco ON pending_orders(oco_group)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_pending_orders_oco');
+    await db.run('DROP INDEX IF EXISTS idx_pending_orders_status');
+    await db.run('DROP TABLE IF EXISTS pending_orders');
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Execution algorithms - a TWAP or iceberg order is a parent trade whose fills are child trades
+ * The parent row carries execution_algo and the aggregate fill (amount, average price, total value);
+ * totals and lot accounting count the child trades only
+ */
+
+module.exports = {
+  description: 'Tag trades with execution_algo (parent orders) and parent_trade_id (slices)',
+
+  async up(db) {
+    await db.run('ALTER TABLE trades ADD COLUMN execution_algo TEXT'); // twap or iceberg on parent rows, NULL otherwise
+    await db.run('ALTER TABLE trades ADD COLUMN parent_trade_id INTEGER'); // Parent row of a slice
+    await db.run('CREATE INDEX IF NOT EXISTS idx_trades_parent ON trades(parent_trade_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_trades_parent');
+    await db.run('ALTER TABLE trades DROP COLUMN parent_trade_id');
+    await db.run('ALTER TABLE trades DROP COLUMN execution_algo');
+  }
+};
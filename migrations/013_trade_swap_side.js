@@ -0,0 +1,58 @@
+/**
+ * Trade side SWAP - routed swaps have legs between two non-GALA tokens (e.g. GUSDC -> GWETH)
+ * SQLite cannot alter a CHECK constraint, so trades is rebuilt with SWAP allowed in side.
+ * Lot accounting and exports skip SWAP rows; only GALA/TOKEN legs open and close lots
+ */
+
+const TRADE_COLUMNS = `id, strategy, symbol, side, amount, price, total_value, slippage, fee, status, tx_hash, dry_run,
+  created_at, executed_at, notes, wallet_id, execution_algo, parent_trade_id`;
+
+/**
+ * Rebuild trades with a side constraint
+ * @param {Object} db - Database handle
+ * @param {string} sides - SQL list of allowed sides
+ * @param {string} where - Filter on the copied rows
+ */
+async function rebuildTrades(db, sides, where = '') {
+  await db.run(`CREATE TABLE trades_rebuild (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    strategy TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    side TEXT NOT NULL CHECK(side IN (${sides})),
+    amount REAL NOT NULL,
+    price REAL NOT NULL,
+    total_value REAL NOT NULL,
+    slippage REAL NOT NULL,
+    fee REAL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING', 'COMPLETED', 'FAILED', 'CANCELLED')),
+    tx_hash TEXT,
+    dry_run BOOLEAN NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    executed_at DATETIME,
+    notes TEXT,
+    wallet_id INTEGER NOT NULL DEFAULT 1,
+    execution_algo TEXT,
+    parent_trade_id INTEGER
+  )`);
+  await db.run(`INSERT INTO trades_rebuild (${TRADE_COLUMNS}) SELECT ${TRADE_COLUMNS} FROM trades ${where}`);
+  await db.run('DROP TABLE trades');
+  await db.run('ALTER TABLE trades_rebuild RENAME TO trades');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_trades_symbol_created ON trades(symbol, created_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_trades_status_executed ON trades(status, executed_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_trades_wallet_executed ON trades(wallet_id, executed_at)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_trades_parent ON trades(parent_trade_id)');
+}
+
+module.exports = {
+  description: "Allow side 'SWAP' in trades for legs between two non-GALA tokens",
+
+  async up(db) {
+    await rebuildTrades(db, "'BUY', 'SELL', 'SWAP'");
+  },
+
+  async down(db) {
+    // SWAP rows cannot satisfy the old constraint
+    await rebuildTrades(db, "'BUY', 'SELL'", "WHERE side != 'SWAP'");
+  }
+};
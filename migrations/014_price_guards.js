@@ -0,0 +1,18 @@
+/**
+ * Pre-trade price guards - per-symbol limits on quote price impact and quote-vs-oracle deviation
+ * NULL falls back to MAX_PRICE_IMPACT / MAX_ORACLE_DEVIATION
+ */
+
+module.exports = {
+  description: 'Add max_price_impact and max_oracle_deviation to monitored_symbols',
+
+  async up(db) {
+    await db.run('ALTER TABLE monitored_symbols ADD COLUMN max_price_impact REAL'); // 0.02 = reject quotes moving the pool more than 2%
+    await db.run('ALTER TABLE monitored_symbols ADD COLUMN max_oracle_deviation REAL'); // 0.05 = reject quotes more than 5% off the oracle price
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE monitored_symbols DROP COLUMN max_oracle_deviation');
+    await db.run('ALTER TABLE monitored_symbols DROP COLUMN max_price_impact');
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Trade confirmations and balance reconciliation
+ * Live swaps stay PENDING until their transaction confirms; the fill then replaces the quoted price and
+ * total_value, keeping the quote in expected_output. balance_reconciliations stores each wallet's on-chain
+ * balances and how far their change since the previous check differs from what the trades imply
+ */
+
+module.exports = {
+  description: 'Add confirmation columns to trades and create balance_reconciliations',
+
+  async up(db) {
+    await db.run('ALTER TABLE trades ADD COLUMN expected_output REAL'); // Quoted output when the swap was submitted
+    await db.run('ALTER TABLE trades ADD COLUMN actual_output REAL'); // Output the confirmed transaction delivered
+    await db.run('ALTER TABLE trades ADD COLUMN fill_deviation REAL'); // (actual - expected) / expected
+    await db.run('ALTER TABLE trades ADD COLUMN confirmed_at DATETIME');
+
+    await db.run(`CREATE TABLE IF NOT EXISTS balance_reconciliations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet_id INTEGER NOT NULL DEFAULT 1,
+      token TEXT NOT NULL, -- Token symbol as the wallet reports it (GALA, GUSDC, ...)
+      balance REAL NOT NULL, -- On-chain balance at checked_at
+      previous_balance REAL, -- NULL on a wallet's first check
+      trade_delta REAL NOT NULL DEFAULT 0, -- Net change the confirmed trades since the previous check imply
+      discrepancy REAL NOT NULL DEFAULT 0, -- (balance - previous_balance) - trade_delta
+      flagged BOOLEAN NOT NULL DEFAULT 0,
+      pending_trades INTEGER NOT NULL DEFAULT 0, -- Unconfirmed live trades of the wallet at checked_at
+      checked_at DATETIME NOT NULL
+    )`);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_balance_reconciliations_wallet ON balance_reconciliations(wallet_id, checked_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_balance_reconciliations_wallet');
+    await db.run('DROP TABLE IF EXISTS balance_reconciliations');
+    for (const column of ['confirmed_at', 'fill_deviation', 'actual_output', 'expected_output']) {
+      await db.run(`ALTER TABLE trades DROP COLUMN ${column}`);
+    }
+  }
+};
@@ -0,0 +1,213 @@
+/**
+ * Base Channel - Interface implemented by every notification channel
+ * NotificationService builds one channel-neutral message per event and each channel
+ * renders it with its own formatter, so a channel only decides format and transport
+ *
+ * Message shape: {event, content, title, description, color, fields: [{name, value, inline}], footer: {text}, timestamp}
+ * Text may use **bold** markup, formatters translate it to the channel's syntax
+ */
+
+// Events NotificationService emits, used to validate routing rules
+const NOTIFICATION_EVENTS = [
+  'startup',
+  'test',
+  'signal',
+  'trade',
+  'swap',
+  'buyback',
+  'close_all',
+  'summary',
+  'daily_summary',
+  'risk',
+  'settlement',
+  'error'
+];
+
+/**
+ * Parse an events routing rule
+ * @param {string|string[]} events - "error,risk", ['summary'], '*' or empty for every event
+ * @returns {string[]|null} - Routed events, null = all events
+ */
+function parseEvents(events) {
+  const list = typeof events === 'string'
+    ? events.split(',').map(event => event.trim()).filter(Boolean)
+    : events || [];
+
+  if (list.length === 0 || list.includes('*')) {
+    return null;
+  }
+
+  const unknown = list.filter(event => !NOTIFICATION_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification event: ${unknown.join(', ')} (available: ${NOTIFICATION_EVENTS.join(', ')})`);
+  }
+
+  return list;
+}
+
+/**
+ * Strip **bold** markup for channels that only take plain text
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function toPlainText(text) {
+  return String(text ?? '').replace(/\*\*(.+?)\*\*/g, '$1');
+}
+
+/**
+ * Delivery failure with retry hints for the outbox
+ */
+class DeliveryError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - {status, retryAfterMs: wait requested by the endpoint, retryable}
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.status = details.status ?? null;
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.retryable = details.retryable !== false;
+  }
+}
+
+/**
+ * Read the wait a rate-limited endpoint asks for
+ * Discord sends retry_after (seconds) in the body, Telegram in parameters.retry_after, others a Retry-After header
+ * @param {Response} response - 429 response
+ * @param {string} text - Response body
+ * @returns {number|null} - Milliseconds to wait
+ */
+function getRetryAfterMs(response, text) {
+  try {
+    const body = JSON.parse(text);
+    const seconds = body.retry_after ?? body.parameters?.retry_after;
+    if (Number.isFinite(Number(seconds))) {
+      return Math.ceil(Number(seconds) * 1000);
+    }
+  } catch (error) {
+    // Not JSON, fall back to the header
+  }
+
+  const header = response.headers.get('retry-after');
+  if (header === null) return null;
+  if (Number.isFinite(Number(header))) return Math.ceil(Number(header) * 1000);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+class BaseChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.name - Channel name used in logs, status and routing (e.g. 'telegram')
+   * @param {string|string[]} options.events - Events routed to this channel, empty = all
+   * @param {number} options.minInterval - Minimum milliseconds between two messages
+   * @param {number} options.timeoutMs - Delivery timeout
+   */
+  constructor(options = {}) {
+    const { name, events = null, minInterval = 1000, timeoutMs = 10000 } = options;
+
+    if (!name) {
+      throw new Error('Channel name is required');
+    }
+
+    this.name = name;
+    this.events = parseEvents(events);
+    this.minInterval = minInterval;
+    this.timeoutMs = timeoutMs;
+    this.lastSentTime = 0;
+  }
+
+  /**
+   * Whether this channel's routing rule takes an event
+   * @param {string} event - Event name
+   * @returns {boolean}
+   */
+  accepts(event) {
+    return this.events === null || this.events.includes(event);
+  }
+
+  /**
+   * Render a message for this channel
+   * @param {Object} message - Channel-neutral message
+   * @returns {*} - Channel payload passed to deliver()
+   */
+  format(message) {
+    throw new Error(`Channel ${this.name} does not implement format()`);
+  }
+
+  /**
+   * Deliver a formatted payload
+   * @param {*} payload - Result of format()
+   * @returns {Promise<void>} - Rejects on delivery failure
+   */
+  async deliver(payload) {
+    throw new Error(`Channel ${this.name} does not implement deliver()`);
+  }
+
+  /**
+   * Format and deliver a message with rate limiting
+   * @param {Object} message - Channel-neutral message
+   * @returns {Promise<void>} - Rejects on delivery failure
+   */
+  async send(message) {
+    const now = Date.now();
+    if (now - this.lastSentTime < this.minInterval) {
+      await new Promise(resolve => setTimeout(resolve, this.minInterval - (now - this.lastSentTime)));
+    }
+
+    try {
+      await this.deliver(this.format(message));
+    } finally {
+      this.lastSentTime = Date.now();
+    }
+  }
+
+  /**
+   * POST a JSON body, rejecting with a DeliveryError on non-2xx responses
+   * @param {string} url - Endpoint
+   * @param {Object} body - JSON body
+   * @param {Object} headers - Extra headers
+   * @returns {Promise<Response>}
+   */
+  async postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new DeliveryError(`HTTP ${response.status}: ${errorText}`, {
+        status: response.status,
+        retryAfterMs: response.status === 429 ? getRetryAfterMs(response, errorText) : null,
+        // Other client errors (bad URL, revoked token) will not succeed on retry
+        retryable: response.status >= 500 || response.status === 408 || response.status === 429
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Describe the channel for status output
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      name: this.name,
+      events: this.events || ['*'],
+      lastSentTime: this.lastSentTime
+    };
+  }
+}
+
+BaseChannel.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+BaseChannel.DeliveryError = DeliveryError;
+BaseChannel.parseEvents = parseEvents;
+BaseChannel.toPlainText = toPlainText;
+
+module.exports = BaseChannel;
@@ -0,0 +1,47 @@
+const BaseChannel = require('./BaseChannel');
+
+/**
+ * Discord Channel - Posts messages as webhook embeds
+ */
+class DiscordChannel extends BaseChannel {
+  /**
+   * @param {Object} options - {webhookUrl, events, minInterval}
+   */
+  constructor(options = {}) {
+    super({ name: 'discord', ...options });
+
+    if (!options.webhookUrl) {
+      throw new Error('Discord channel requires a webhook URL');
+    }
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  /**
+   * Render a message as a Discord webhook payload
+   * @param {Object} message - Channel-neutral message
+   * @returns {Object} - {content, embeds}
+   */
+  format(message) {
+    const { content, title, description, color, fields = [], footer, timestamp } = message;
+
+    const embed = {
+      title,
+      description,
+      color,
+      fields: fields.map(field => ({ name: field.name, value: String(field.value), inline: Boolean(field.inline) })),
+      timestamp: timestamp || new Date().toISOString(),
+      footer: footer || { text: 'Gala Trading Bot' }
+    };
+
+    return {
+      ...(content ? { content } : {}),
+      embeds: [embed]
+    };
+  }
+
+  async deliver(payload) {
+    await this.postJson(this.webhookUrl, payload);
+  }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const BaseChannel = require('./BaseChannel');
+const { sendMail } = require('./smtpClient');
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 encode a body wrapped at 76 characters
+ * @param {string} text - Body
+ * @returns {string}
+ */
+function encodeBody(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n').trimEnd();
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert **bold** markup and line breaks to HTML
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function toHtml(text) {
+  return escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>').replace(/\n/g, '<br>');
+}
+
+/**
+ * Email Channel - Sends messages through an SMTP relay as text and HTML email
+ */
+class EmailChannel extends BaseChannel {
+  /**
+   * @param {Object} options - {host, port, secure, user, pass, allowInsecureAuth, from, to, subjectPrefix, events, minInterval}
+   */
+  constructor(options = {}) {
+    super({ name: 'email', ...options });
+
+    const to = typeof options.to === 'string'
+      ? options.to.split(',').map(address => address.trim()).filter(Boolean)
+      : options.to || [];
+
+    if (!options.host || !options.from || to.length === 0) {
+      throw new Error('Email channel requires an SMTP host, a from address and at least one recipient');
+    }
+
+    this.smtp = {
+      host: options.host,
+      port: options.port || (options.secure ? 465 : 587),
+      secure: Boolean(options.secure),
+      user: options.user || null,
+      pass: options.pass || null,
+      timeoutMs: this.timeoutMs,
+      rejectUnauthorized: options.rejectUnauthorized !== false,
+      allowInsecureAuth: Boolean(options.allowInsecureAuth)
+    };
+    this.from = options.from; // "Gala Bot <bot@example.com>" or a bare address
+    this.fromAddress = options.from.match(/<([^>]+)>/)?.[1] || options.from;
+    this.to = to;
+    this.subjectPrefix = options.subjectPrefix ?? '[Gala Trading Bot]';
+  }
+
+  /**
+   * Render a message as a multipart text / HTML email
+   * @param {Object} message - Channel-neutral message
+   * @returns {Object} - {subject, text, html, source}
+   */
+  format(message) {
+    const { content, title, description, fields = [], footer, timestamp } = message;
+    const plainTitle = BaseChannel.toPlainText(title || content || 'Notification');
+    const subject = [this.subjectPrefix, plainTitle].filter(Boolean).join(' ');
+    const sentAt = timestamp || new Date().toISOString();
+
+    const text = [
+      plainTitle,
+      '',
+      content && content !== title ? BaseChannel.toPlainText(content) : null,
+      description ? BaseChannel.toPlainText(description) : null,
+      '',
+      ...fields.map(field => `${BaseChannel.toPlainText(field.name)}: ${BaseChannel.toPlainText(field.value)}`),
+      '',
+      `${footer?.text || 'Gala Trading Bot'} - ${sentAt}`
+    ].filter(line => line !== null).join('\n');
+
+    const html = [
+      `<h2>${escapeHtml(plainTitle)}</h2>`,
+      content && content !== title ? `<p>${toHtml(content)}</p>` : '',
+      description ? `<p>${toHtml(description)}</p>` : '',
+      fields.length > 0
+        ? `<table cellpadding="4">${fields.map(field => `<tr><th align="left">${escapeHtml(BaseChannel.toPlainText(field.name))}</th><td>${toHtml(field.value)}</td></tr>`).join('')}</table>`
+        : '',
+      `<p><small>${escapeHtml(footer?.text || 'Gala Trading Bot')} - ${escapeHtml(sentAt)}</small></p>`
+    ].join('\n');
+
+    const boundary = `gala-${crypto.randomBytes(8).toString('hex')}`;
+    const source = [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date(sentAt).toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${this.fromAddress.split('@')[1] || 'localhost'}>`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBody(text),
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBody(html),
+      `--${boundary}--`
+    ].join('\r\n');
+
+    return { subject, text, html, source };
+  }
+
+  async deliver(payload) {
+    await sendMail(this.smtp, { from: this.fromAddress, to: this.to }, payload.source);
+  }
+
+  describe() {
+    return { ...super.describe(), host: this.smtp.host, to: this.to };
+  }
+}
+
+module.exports = EmailChannel;
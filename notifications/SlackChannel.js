@@ -0,0 +1,75 @@
+const BaseChannel = require('./BaseChannel');
+
+// Slack allows at most 10 fields per section block
+const MAX_FIELDS_PER_SECTION = 10;
+
+/**
+ * Convert **bold** markup to Slack mrkdwn
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function toMrkdwn(text) {
+  return String(text ?? '').replace(/\*\*(.+?)\*\*/g, '*$1*');
+}
+
+/**
+ * Slack Channel - Posts messages to an incoming webhook as Block Kit blocks
+ */
+class SlackChannel extends BaseChannel {
+  /**
+   * @param {Object} options - {webhookUrl, events, minInterval}
+   */
+  constructor(options = {}) {
+    super({ name: 'slack', ...options });
+
+    if (!options.webhookUrl) {
+      throw new Error('Slack channel requires a webhook URL');
+    }
+    this.webhookUrl = options.webhookUrl;
+  }
+
+  /**
+   * Render a message as Slack blocks
+   * @param {Object} message - Channel-neutral message
+   * @returns {Object} - {text, blocks}
+   */
+  format(message) {
+    const { content, title, description, fields = [], footer, timestamp } = message;
+    const blocks = [];
+
+    if (title) {
+      blocks.push({ type: 'header', text: { type: 'plain_text', text: BaseChannel.toPlainText(title).substring(0, 150), emoji: true } });
+    }
+
+    const intro = [content, description].filter(Boolean).map(toMrkdwn).join('\n');
+    if (intro) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: intro.substring(0, 3000) } });
+    }
+
+    for (let i = 0; i < fields.length; i += MAX_FIELDS_PER_SECTION) {
+      blocks.push({
+        type: 'section',
+        fields: fields.slice(i, i + MAX_FIELDS_PER_SECTION).map(field => ({
+          type: 'mrkdwn',
+          text: `*${BaseChannel.toPlainText(field.name)}*\n${toMrkdwn(field.value)}`.substring(0, 2000)
+        }))
+      });
+    }
+
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `${footer?.text || 'Gala Trading Bot'} • ${timestamp || new Date().toISOString()}` }]
+    });
+
+    return {
+      text: BaseChannel.toPlainText(title || content || description || ''), // Fallback for notifications
+      blocks
+    };
+  }
+
+  async deliver(payload) {
+    await this.postJson(this.webhookUrl, payload);
+  }
+}
+
+module.exports = SlackChannel;
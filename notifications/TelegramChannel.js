@@ -0,0 +1,86 @@
+const BaseChannel = require('./BaseChannel');
+
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Escape text for Telegram's legacy Markdown, keeping **bold** markup as bold
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function toTelegramMarkdown(text) {
+  return String(text ?? '')
+    .split('**')
+    .map((part, index) => {
+      const escaped = part.replace(/([_*`[])/g, '\\$1');
+      return index % 2 === 1 && escaped ? `*${escaped}*` : escaped;
+    })
+    .join('');
+}
+
+/**
+ * Telegram Channel - Sends Markdown messages to a chat through the Bot API
+ */
+class TelegramChannel extends BaseChannel {
+  /**
+   * @param {Object} options - {botToken, chatId, apiUrl, events, minInterval}
+   */
+  constructor(options = {}) {
+    super({ name: 'telegram', ...options });
+
+    if (!options.botToken || !options.chatId) {
+      throw new Error('Telegram channel requires a bot token and chat id');
+    }
+    this.botToken = options.botToken;
+    this.chatId = options.chatId;
+    this.apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+  }
+
+  /**
+   * Render a message as a Telegram sendMessage request
+   * @param {Object} message - Channel-neutral message
+   * @returns {Object} - {chat_id, text, parse_mode}
+   */
+  format(message) {
+    const { content, title, description, fields = [], footer } = message;
+    const lines = [];
+
+    if (title) lines.push(`*${toTelegramMarkdown(BaseChannel.toPlainText(title))}*`);
+    if (content && content !== title) lines.push(toTelegramMarkdown(content));
+    if (description) lines.push('', toTelegramMarkdown(description));
+
+    if (fields.length > 0) {
+      lines.push('');
+      fields.forEach(field => {
+        lines.push(`*${toTelegramMarkdown(BaseChannel.toPlainText(field.name))}:* ${toTelegramMarkdown(field.value)}`);
+      });
+    }
+
+    if (footer?.text) lines.push('', `_${toTelegramMarkdown(footer.text)}_`);
+
+    return {
+      chat_id: this.chatId,
+      text: lines.join('\n').substring(0, MAX_MESSAGE_LENGTH),
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    };
+  }
+
+  async deliver(payload) {
+    const response = await this.postJson(`${this.apiUrl}/bot${this.botToken}/sendMessage`, payload);
+    const result = await response.json();
+
+    if (!result.ok) {
+      throw new BaseChannel.DeliveryError(`Telegram API error: ${result.description || 'unknown error'}`, {
+        status: result.error_code,
+        retryAfterMs: result.parameters?.retry_after ? result.parameters.retry_after * 1000 : null
+      });
+    }
+  }
+
+  describe() {
+    return { ...super.describe(), chatId: this.chatId };
+  }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const BaseChannel = require('./BaseChannel');
+
+/**
+ * Webhook Channel - Posts the message as plain JSON to any HTTP endpoint
+ * With a secret, the body is signed in an X-Signature-256 header (sha256=<hex HMAC>)
+ */
+class WebhookChannel extends BaseChannel {
+  /**
+   * @param {Object} options - {url, secret, events, minInterval}
+   */
+  constructor(options = {}) {
+    super({ name: 'webhook', ...options });
+
+    if (!options.url) {
+      throw new Error('Webhook channel requires a URL');
+    }
+    this.url = options.url;
+    this.secret = options.secret || null;
+  }
+
+  /**
+   * Render a message as plain JSON
+   * @param {Object} message - Channel-neutral message
+   * @returns {Object} - {event, title, description, content, fields, footer, timestamp, source}
+   */
+  format(message) {
+    const { event, content, title, description, color, fields = [], footer, timestamp } = message;
+
+    return {
+      event,
+      title: BaseChannel.toPlainText(title),
+      description: description ? BaseChannel.toPlainText(description) : null,
+      content: content ? BaseChannel.toPlainText(content) : null,
+      color: color !== undefined ? `#${color.toString(16).padStart(6, '0')}` : null,
+      fields: fields.map(field => ({ name: BaseChannel.toPlainText(field.name), value: BaseChannel.toPlainText(field.value) })),
+      footer: footer?.text || null,
+      timestamp: timestamp || new Date().toISOString(),
+      source: 'gala-trading-bot'
+    };
+  }
+
+  async deliver(payload) {
+    const body = JSON.stringify(payload);
+    const headers = {};
+
+    if (this.secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    await this.postJson(this.url, body, headers);
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,87 @@
+/**
+ * Notification channels and the factory building them from config
+ * A channel is enabled when its settings are present, its *_EVENTS setting routes
+ * events to it (e.g. TELEGRAM_EVENTS=error,risk and EMAIL_EVENTS=summary,daily_summary)
+ */
+
+const BaseChannel = require('./BaseChannel');
+const DiscordChannel = require('./DiscordChannel');
+const SlackChannel = require('./SlackChannel');
+const TelegramChannel = require('./TelegramChannel');
+const EmailChannel = require('./EmailChannel');
+const WebhookChannel = require('./WebhookChannel');
+
+/**
+ * Build the configured channels
+ * @param {Object} config - ConfigManager (anything with get(key))
+ * @returns {BaseChannel[]} - Enabled channels
+ */
+function createChannels(config) {
+  const get = key => config.get(key);
+  const common = { minInterval: get('NOTIFICATION_MIN_INTERVAL_MS') ?? 1000 };
+  const channels = [];
+
+  if (get('DISCORD_WEBHOOK_URL')) {
+    channels.push(new DiscordChannel({
+      ...common,
+      webhookUrl: get('DISCORD_WEBHOOK_URL'),
+      events: get('DISCORD_EVENTS')
+    }));
+  }
+
+  if (get('SLACK_WEBHOOK_URL')) {
+    channels.push(new SlackChannel({
+      ...common,
+      webhookUrl: get('SLACK_WEBHOOK_URL'),
+      events: get('SLACK_EVENTS')
+    }));
+  }
+
+  if (get('TELEGRAM_BOT_TOKEN')) {
+    channels.push(new TelegramChannel({
+      ...common,
+      botToken: get('TELEGRAM_BOT_TOKEN'),
+      chatId: get('TELEGRAM_CHAT_ID'),
+      apiUrl: get('TELEGRAM_API_URL'),
+      events: get('TELEGRAM_EVENTS')
+    }));
+  }
+
+  if (get('SMTP_HOST')) {
+    channels.push(new EmailChannel({
+      ...common,
+      host: get('SMTP_HOST'),
+      port: get('SMTP_PORT'),
+      secure: get('SMTP_SECURE'),
+      user: get('SMTP_USER'),
+      pass: get('SMTP_PASS'),
+      allowInsecureAuth: get('SMTP_ALLOW_INSECURE_AUTH'),
+      from: get('EMAIL_FROM'),
+      to: get('EMAIL_TO'),
+      events: get('EMAIL_EVENTS')
+    }));
+  }
+
+  if (get('NOTIFY_WEBHOOK_URL')) {
+    channels.push(new WebhookChannel({
+      ...common,
+      url: get('NOTIFY_WEBHOOK_URL'),
+      secret: get('NOTIFY_WEBHOOK_SECRET'),
+      events: get('NOTIFY_WEBHOOK_EVENTS')
+    }));
+  }
+
+  return channels;
+}
+
+module.exports = {
+  createChannels,
+  NOTIFICATION_EVENTS: BaseChannel.NOTIFICATION_EVENTS,
+  DeliveryError: BaseChannel.DeliveryError,
+  BaseChannel,
+  DiscordChannel,
+  SlackChannel,
+  TelegramChannel,
+  EmailChannel,
+  WebhookChannel
+};
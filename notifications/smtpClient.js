@@ -0,0 +1,234 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Minimal SMTP client - enough to hand a text message to a relay
+ * Supports implicit TLS (port 465), STARTTLS when the server offers it, and AUTH PLAIN / LOGIN.
+ * Credentials are only sent over TLS unless allowInsecureAuth is set
+ */
+class SMTPConnection {
+  /**
+   * @param {Object} options - {host, port, secure, timeoutMs, rejectUnauthorized}
+   */
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+  }
+
+  /**
+   * Open the connection and read the greeting
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    const { host, port, secure, timeoutMs, rejectUnauthorized = true } = this.options;
+
+    await new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      };
+      this.socket = secure
+        ? tls.connect({ host, port, servername: host, rejectUnauthorized }, onConnect)
+        : net.connect({ host, port }, onConnect);
+      this.socket.once('error', reject);
+    });
+
+    this.attach(timeoutMs);
+    await this.expect([220]);
+  }
+
+  /**
+   * Listen for response lines on the current socket
+   * @param {number} timeoutMs - Idle timeout
+   */
+  attach(timeoutMs) {
+    this.socket.setEncoding('utf8');
+    this.socket.setTimeout(timeoutMs, () => this.fail(new Error('SMTP connection timed out')));
+    this.socket.on('data', chunk => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf('\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(index + 1);
+      }
+      this.flush();
+    });
+    this.socket.on('error', error => this.fail(error));
+    this.socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  /**
+   * Reject the pending response with a connection error
+   * @param {Error} error - Error
+   */
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  /**
+   * Resolve the pending response once its last line (code followed by a space) arrived
+   */
+  flush() {
+    if (!this.waiting) return;
+
+    const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1) return;
+
+    const lines = this.lines.splice(0, last + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({
+      code: parseInt(lines[lines.length - 1].slice(0, 3), 10),
+      lines: lines.map(line => line.slice(4))
+    });
+  }
+
+  /**
+   * Wait for a response with one of the expected codes
+   * @param {number[]} codes - Accepted reply codes
+   * @returns {Promise<Object>} - {code, lines}
+   */
+  async expect(codes) {
+    if (this.error) throw this.error;
+
+    const response = await new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+
+    if (!codes.includes(response.code)) {
+      throw new Error(`SMTP error ${response.code}: ${response.lines.join(' ')}`);
+    }
+    return response;
+  }
+
+  /**
+   * Send a command and wait for its response
+   * @param {string} line - Command
+   * @param {number[]} codes - Accepted reply codes
+   * @returns {Promise<Object>} - {code, lines}
+   */
+  async command(line, codes) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes);
+  }
+
+  /**
+   * Upgrade the connection with STARTTLS
+   * @returns {Promise<void>}
+   */
+  async startTLS() {
+    await this.command('STARTTLS', [220]);
+
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+
+    await new Promise((resolve, reject) => {
+      this.socket = tls.connect({
+        socket: plain,
+        servername: this.options.host,
+        rejectUnauthorized: this.options.rejectUnauthorized !== false
+      }, resolve);
+      this.socket.once('error', reject);
+    });
+
+    this.attach(this.options.timeoutMs);
+  }
+
+  /**
+   * Say goodbye and close the socket
+   */
+  async close() {
+    if (!this.socket) return;
+    try {
+      if (!this.error) {
+        await this.command('QUIT', [221]);
+      }
+    } catch (error) {
+      // The message was already accepted
+    } finally {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+    }
+  }
+}
+
+/**
+ * Dot-stuff a message body and normalize line endings for DATA
+ * @param {string} data - Message source
+ * @returns {string}
+ */
+function encodeData(data) {
+  return data.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+/**
+ * Send a message through an SMTP server
+ * @param {Object} options - {host, port, secure, user, pass, name, timeoutMs, rejectUnauthorized, allowInsecureAuth}
+ * @param {Object} envelope - {from, to: string[]}
+ * @param {string} data - Full message source (headers and body)
+ * @returns {Promise<Object>} - {accepted: string[], response}
+ */
+async function sendMail(options, envelope, data) {
+  const { user, pass, name = os.hostname(), secure = false, allowInsecureAuth = false } = options;
+  const connection = new SMTPConnection({ timeoutMs: 10000, ...options });
+
+  try {
+    await connection.connect();
+
+    let ehlo = await connection.command(`EHLO ${name}`, [250]);
+    const supports = keyword => ehlo.lines.some(line => line.toUpperCase().startsWith(keyword));
+
+    let encrypted = secure;
+    if (!secure && supports('STARTTLS')) {
+      await connection.startTLS();
+      encrypted = true;
+      ehlo = await connection.command(`EHLO ${name}`, [250]);
+    }
+
+    // A server that does not offer STARTTLS (or had it stripped in transit) would receive the password in cleartext
+    if (user && !encrypted && !allowInsecureAuth) {
+      throw new Error(`SMTP server ${options.host} did not offer STARTTLS: refusing to send credentials without TLS`);
+    }
+
+    if (user) {
+      if (supports('AUTH') && ehlo.lines.some(line => /AUTH.*PLAIN/i.test(line))) {
+        const token = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${token}`, [235]);
+      } else {
+        await connection.command('AUTH LOGIN', [334]);
+        await connection.command(Buffer.from(user).toString('base64'), [334]);
+        await connection.command(Buffer.from(pass || '').toString('base64'), [235]);
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${envelope.from}>`, [250]);
+    for (const recipient of envelope.to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+
+    await connection.command('DATA', [354]);
+    const response = await connection.command(`${encodeData(data)}\r\n.`, [250]);
+
+    return { accepted: envelope.to, response: response.lines.join(' ') };
+  } finally {
+    await connection.close();
+  }
+}
+
+module.exports = {
+  sendMail,
+  encodeData
+};
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const { SESSION_COOKIE, requireRole, getAuthService } = require('../middleware/auth');
+
+/**
+ * Auth routes - Session login for the trading panel, user and API key management
+ */
+
+/**
+ * POST /auth/login
+ * Log in and set the session cookie
+ * Body: { username, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'username and password are required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const session = await getAuthService().login(username, password);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict', // Keeps other sites from riding the session (CSRF)
+      secure: req.secure,
+      expires: new Date(session.expiresAt)
+    });
+
+    res.json({
+      success: true,
+      user: session.user,
+      expiresAt: session.expiresAt,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * End the session and clear the cookie
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await getAuthService().logout(req.cookies?.[SESSION_COOKIE]);
+    res.clearCookie(SESSION_COOKIE);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /auth/me
+ * The authenticated caller
+ */
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    authEnabled: getAuthService().enabled,
+    user: req.auth ? { type: req.auth.type, name: req.auth.name, role: req.auth.role, expiresAt: req.auth.expiresAt } : null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /auth/users
+ * List users
+ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await getAuthService().getDatabaseService().getUsers();
+
+    res.json({
+      success: true,
+      users,
+      count: users.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting users:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /auth/users
+ * Create a user
+ * Body: { username, password, role: 'viewer'|'trader'|'admin' }
+ */
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body;
+    const user = await getAuthService().createUser(username, password, role);
+
+    res.status(201).json({
+      success: true,
+      user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /auth/users/:username
+ * Change a user's role, active flag or password
+ * Body: { role?, active?, password? }
+ */
+router.put('/users/:username', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, active, password } = req.body;
+    const user = await getAuthService().updateUser(req.params.username, { role, active, password });
+
+    res.json({
+      success: true,
+      user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(error.message.startsWith('Unknown user') ? 404 : 400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /auth/keys
+ * List API keys (never the keys themselves)
+ * Query: revoked=true to include revoked keys
+ */
+router.get('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const keys = await getAuthService().getDatabaseService().getApiKeys(req.query.revoked === 'true');
+
+    res.json({
+      success: true,
+      keys,
+      count: keys.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /auth/keys
+ * Create an API key - the response is the only time the key is shown
+ * Body: { name, role: 'viewer'|'trader'|'admin' }
+ */
+router.post('/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role = 'viewer' } = req.body;
+    const apiKey = await getAuthService().createApiKey(name, role, req.auth?.name || null);
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /auth/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const revoked = await getAuthService().revokeApiKey(parseInt(req.params.id));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: `Active API key not found: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
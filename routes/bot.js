@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const serviceManager = require('../services/ServiceManager');
+
+/**
+ * Bot routes - Inbound Discord interactions and Telegram updates
+ * Requests are authenticated by the platform (Ed25519 signature / webhook secret),
+ * users by the allowlists in BotCommandService
+ */
+
+/**
+ * POST /bot/discord/interactions
+ * Discord interactions endpoint (set as the application's Interactions Endpoint URL)
+ */
+router.post('/discord/interactions', async (req, res) => {
+  try {
+    const botCommands = serviceManager.get('botCommands');
+
+    if (!botCommands.isPlatformEnabled('discord')) {
+      return res.status(404).json({ success: false, error: 'Discord commands not configured' });
+    }
+
+    const verified = botCommands.verifyDiscordRequest(
+      req.get('X-Signature-Ed25519'),
+      req.get('X-Signature-Timestamp'),
+      req.rawBody
+    );
+    if (!verified) {
+      return res.status(401).json({ success: false, error: 'Invalid request signature' });
+    }
+
+    res.json(await botCommands.handleDiscordInteraction(req.body));
+
+  } catch (error) {
+    console.error('Error handling Discord interaction:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /bot/telegram/webhook
+ * Telegram bot webhook (registered with `node commands/trading.js bot register <public url>`)
+ */
+router.post('/telegram/webhook', async (req, res) => {
+  try {
+    const botCommands = serviceManager.get('botCommands');
+
+    if (!botCommands.isPlatformEnabled('telegram')) {
+      return res.status(404).json({ success: false, error: 'Telegram commands not configured' });
+    }
+
+    if (!botCommands.verifyTelegramRequest(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+      return res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+    }
+
+    // Telegram runs the method in the response body; anything else just acknowledges the update
+    const reply = await botCommands.handleTelegramUpdate(req.body);
+    res.json(reply || { ok: true });
+
+  } catch (error) {
+    console.error('Error handling Telegram update:', error);
+    // A non-2xx makes Telegram redeliver the update, so acknowledge it anyway
+    res.json({ ok: false });
+  }
+});
+
+module.exports = router;
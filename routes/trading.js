@@ -1,25 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const serviceManager = require('../services/ServiceManager');
+const { registry: strategyRegistry } = require('../strategies');
+const { requireRole, requireTraderForLive, parseDryRun } = require('../middleware/auth');
 
 /**
- * Trading routes - Golden Cross strategy implementation
+ * Trading routes - Strategy analysis, execution and position management
+ * Reading needs the viewer role, trading and closing positions the trader role
+ * (dry runs excepted), configuration changes the admin role
  */
 
+// Requests without dryRun follow the trading service's DRY_RUN_MODE
+const isDryRunRequest = req => parseDryRun(req.body.dryRun) ?? serviceManager.get('trading').isDryRun;
+
+router.use(requireRole('viewer'));
+
 /**
  * GET /trading/analyze
- * Analyze current market conditions and generate trading signals
+ * Analyze current market conditions and generate trading signals with each symbol's strategy
  * Query params: symbol (optional) - analyze specific symbol, defaults to all symbols
+ *               strategy (optional) - registered strategy to use instead of the symbols' configured ones
  */
 router.get('/analyze', async (req, res) => {
   try {
-    const yahooService = serviceManager.get('yahooFinance');
+    const priceOracleService = serviceManager.get('priceOracle');
     const tradingService = serviceManager.get('trading');
     const databaseService = serviceManager.get('database');
     
     const requestedSymbol = req.query.symbol;
+    const requestedStrategy = req.query.strategy || null;
     const analysisResults = {};
 
+    if (requestedStrategy && !strategyRegistry.has(requestedStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown strategy: ${requestedStrategy}`,
+        strategies: strategyRegistry.names(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
     if (requestedSymbol) {
       // Analyze specific symbol
       const symbolData = await databaseService.getMonitoredSymbol(requestedSymbol);
@@ -33,38 +53,26 @@ router.get('/analyze', async (req, res) => {
         });
       }
 
-      // Get historical data for Golden Cross analysis
-      const historicalData = await yahooService.getGoldenCrossData(symbolData.yahoo_symbol, {
-        lookbackDays: 250
-      });
+      const analyzed = await tradingService.analyzeSymbol(symbolData, { strategy: requestedStrategy });
 
-      if (!historicalData.success) {
+      if (!analyzed.success) {
         return res.status(500).json({
           success: false,
-          error: 'Failed to fetch historical data',
+          error: 'Failed to analyze symbol',
           symbol: requestedSymbol,
-          details: historicalData.error,
+          details: analyzed.error,
           timestamp: new Date().toISOString()
         });
       }
 
-      // Analyze using Golden Cross strategy
-      const analysis = tradingService.analyzeGoldenCrossStrategy(
-        historicalData.prices,
-        symbolData.strategy_config?.golden_cross || {
-          shortPeriod: 50,
-          longPeriod: 200,
-          useRSI: true
-        }
-      );
-
       // Get current price for context
-      const currentPrice = await yahooService.getCurrentPrice(symbolData.yahoo_symbol);
+      const currentPrice = await priceOracleService.getCurrentPrice(symbolData.gala_symbol);
 
       analysisResults[requestedSymbol] = {
-        analysis,
+        strategy: analyzed.strategy,
+        analysis: analyzed.analysis,
         currentPrice: currentPrice.success ? currentPrice : null,
-        historicalDataPoints: historicalData.count,
+        historicalDataPoints: analyzed.historicalDataPoints,
         symbolData
       };
 
@@ -83,50 +91,29 @@ router.get('/analyze', async (req, res) => {
 
       // Analyze each symbol concurrently
       const analysisPromises = symbols.map(async (symbolData) => {
-        try {
-          // Get historical data for Golden Cross analysis
-          const historicalData = await yahooService.getGoldenCrossData(symbolData.yahoo_symbol, {
-            lookbackDays: 250
-          });
-
-          if (!historicalData.success) {
-            return {
-              symbol: symbolData.symbol,
-              success: false,
-              error: 'Failed to fetch historical data',
-              details: historicalData.error
-            };
-          }
-
-          // Analyze using Golden Cross strategy
-          const analysis = tradingService.analyzeGoldenCrossStrategy(
-            historicalData.prices,
-            symbolData.strategy_config?.golden_cross || {
-              shortPeriod: 50,
-              longPeriod: 200,
-              useRSI: true
-            }
-          );
-
-          // Get current price for context
-          const currentPrice = await yahooService.getCurrentPrice(symbolData.yahoo_symbol);
+        const analyzed = await tradingService.analyzeSymbol(symbolData, { strategy: requestedStrategy });
 
-          return {
-            symbol: symbolData.symbol,
-            success: true,
-            analysis,
-            currentPrice: currentPrice.success ? currentPrice : null,
-            historicalDataPoints: historicalData.count,
-            symbolData
-          };
-
-        } catch (error) {
+        if (!analyzed.success) {
           return {
             symbol: symbolData.symbol,
             success: false,
-            error: error.message
+            error: 'Failed to analyze symbol',
+            details: analyzed.error
           };
         }
+
+        // Get current price for context
+        const currentPrice = await priceOracleService.getCurrentPrice(symbolData.gala_symbol);
+
+        return {
+          symbol: symbolData.symbol,
+          success: true,
+          strategy: analyzed.strategy,
+          analysis: analyzed.analysis,
+          currentPrice: currentPrice.success ? currentPrice : null,
+          historicalDataPoints: analyzed.historicalDataPoints,
+          symbolData
+        };
       });
 
       const results = await Promise.all(analysisPromises);
@@ -155,15 +142,28 @@ router.get('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * GET /trading/strategies
+ * List registered strategies with their config schema and data requirements
+ */
+router.get('/strategies', (req, res) => {
+  res.json({
+    success: true,
+    strategies: strategyRegistry.list(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * POST /trading/execute
  * Execute a trade based on Golden Cross strategy
- * Body: { amount: number, minimumConfidence?: number, dryRun?: boolean }
+ * Body: { amount: number, minimumConfidence?: number, dryRun?: boolean, wallet?: id or name }
+ * Without wallet the trade goes to the wallet running golden_cross, else the default wallet
  * TESTED MANUALLY - NEEDS IMPROVEMENTS
  */
-router.post('/execute', async (req, res) => {
+router.post('/execute', requireTraderForLive(isDryRunRequest), async (req, res) => {
   try {
-    const { amount, minimumConfidence = 0.6, dryRun } = req.body;
+    const { amount, minimumConfidence = 0.6, dryRun, wallet } = req.body;
 
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -198,7 +198,8 @@ router.post('/execute', async (req, res) => {
       amount,
       { 
         minimumConfidence,
-        dryRun: dryRun !== undefined ? dryRun : tradingService.isDryRun
+        dryRun: dryRun !== undefined ? dryRun : tradingService.isDryRun,
+        wallet
       }
     );
 
@@ -233,8 +234,9 @@ router.post('/execute', async (req, res) => {
 
 /**
  * GET /trading/quote
- * Get quote for a potential swap
+ * Get quote for a potential swap, with every fee tier ranked by output
  * Query params: fromToken, toToken, amount
+ * The fee of each tier is given in the input token and in GALA
  * TESTED MANUALLY - WORKS
  */
 router.get('/quote', async (req, res) => {
@@ -251,10 +253,13 @@ router.get('/quote', async (req, res) => {
     const tradingService = serviceManager.get('trading');
     
     const quote = await tradingService.getQuote(fromToken, toToken, parseFloat(amount));
+    const comparison = await tradingService.compareFeeTiers(fromToken, toToken, parseFloat(amount));
 
     res.json({
       success: true,
       quote: quote,
+      feeTiers: comparison.tiers,
+      unavailableFeeTiers: comparison.unavailable,
       timestamp: new Date().toISOString()
     });
 
@@ -268,6 +273,78 @@ router.get('/quote', async (req, res) => {
   }
 });
 
+/**
+ * GET /trading/routes
+ * Quote every route from one token to another, direct and through the intermediate tokens, best output first
+ * Query params: fromToken, toToken, amount
+ */
+router.get('/routes', async (req, res) => {
+  try {
+    const { fromToken, toToken, amount } = req.query;
+
+    if (!fromToken || !toToken || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromToken, toToken, and amount are required'
+      });
+    }
+
+    const result = await serviceManager.get('router').findRoutes(fromToken, toToken, parseFloat(amount));
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error finding routes:', error);
+    res.status(/^(No route|Invalid|Cannot route)/.test(error.message) ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/routes/execute
+ * Swap along the best route; a failed later leg swaps the filled legs back
+ * Body: { fromToken, toToken, amount, path? (token list to use instead of the best route), slippage?, dryRun?, wallet? }
+ */
+router.post('/routes/execute', requireTraderForLive(isDryRunRequest), async (req, res) => {
+  try {
+    const { fromToken, toToken, amount, path, slippage, wallet } = req.body;
+
+    if (!fromToken || !toToken || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromToken, toToken, and amount are required'
+      });
+    }
+
+    const result = await serviceManager.get('router').executeRoute(fromToken, toToken, parseFloat(amount), {
+      path: Array.isArray(path) ? path : undefined,
+      slippage,
+      dryRun: parseDryRun(req.body.dryRun),
+      wallet
+    });
+
+    res.status(result.success ? 200 : 500).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error executing route:', error);
+    res.status(/^(No route|Invalid|Cannot route|Unknown)/.test(error.message) ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /trading/status
  * Get trading service status and configuration
@@ -367,14 +444,25 @@ router.get('/history', async (req, res) => {
 
 /**
  * POST /trading/test-notification
- * Send a test notification (for testing Discord webhook)
+ * Send a test notification through the configured channels
+ * Body: { type: 'signal'|'trade'|'error'|'test', message, channel: only send a 'test' message to this channel }
  * TESTED MANUALLY - WORKS
  */
-router.post('/test-notification', async (req, res) => {
+router.post('/test-notification', requireRole('admin'), async (req, res) => {
   try {
     const notificationService = serviceManager.get('notification');
     
-    const { type = 'test', message = 'Test notification from trading API' } = req.body;
+    const { type = 'test', message = 'Test notification from trading API', channel = null } = req.body;
+
+    const channelNames = notificationService.getStatus().channels.map(c => c.name);
+    if (channel && !channelNames.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        error: `Notification channel not configured: ${channel}`,
+        channels: channelNames,
+        timestamp: new Date().toISOString()
+      });
+    }
 
     let result = false;
 
@@ -412,15 +500,12 @@ router.post('/test-notification', async (req, res) => {
         break;
         
       default:
-        result = await notificationService.sendWebhook({
+        result = await notificationService.notify('test', {
           content: message,
-          embeds: [{
-            title: 'Test Notification',
-            description: 'This is a test notification from the trading API',
-            color: 0x0099ff,
-            timestamp: new Date().toISOString()
-          }]
-        });
+          title: 'Test Notification',
+          description: 'This is a test notification from the trading API',
+          color: 0x0099ff
+        }, channel ? { channels: [channel] } : {});
     }
 
     res.json({
@@ -440,6 +525,122 @@ router.post('/test-notification', async (req, res) => {
   }
 });
 
+/**
+ * GET /trading/notifications
+ * Inspect the notification outbox
+ * Query: status (PENDING|SENDING|SENT|DEAD), channel, event, limit
+ */
+router.get('/notifications', async (req, res) => {
+  try {
+    const databaseService = serviceManager.get('database');
+    const notifications = await databaseService.getOutboxNotifications({
+      status: req.query.status ? req.query.status.toUpperCase() : null,
+      channel: req.query.channel || null,
+      event: req.query.event || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+    const stats = await databaseService.getOutboxStats();
+
+    res.json({
+      success: true,
+      notifications,
+      count: notifications.length,
+      stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/notifications/replay
+ * Replay failed notifications with a fresh attempt count
+ * Body: { channel: only this channel, status: 'DEAD' (default) or 'PENDING' to retry now }
+ */
+router.post('/notifications/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const notificationService = serviceManager.get('notification');
+    const { channel = null, status = 'DEAD' } = req.body;
+
+    if (!['DEAD', 'PENDING'].includes(String(status).toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be DEAD or PENDING',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await notificationService.replayNotifications({ channel, status: String(status).toUpperCase() });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error replaying notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/notifications/:id/replay
+ * Replay a single notification
+ */
+router.post('/notifications/:id/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const databaseService = serviceManager.get('database');
+    const notificationService = serviceManager.get('notification');
+    const id = parseInt(req.params.id);
+
+    const notification = await databaseService.getOutboxNotification(id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: `Notification not found: ${req.params.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (notification.status === 'SENT' || notification.status === 'SENDING') {
+      return res.status(400).json({
+        success: false,
+        error: `Notification ${id} is ${notification.status}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await notificationService.replayNotifications({ id, status: notification.status });
+
+    res.json({
+      success: true,
+      ...result,
+      notification: await databaseService.getOutboxNotification(id),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error replaying notification:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * Symbols Management Routes
  */
@@ -511,7 +712,7 @@ router.get('/symbols/:symbol', async (req, res) => {
  * POST /trading/symbols
  * Add or update a monitored symbol
  */
-router.post('/symbols', async (req, res) => {
+router.post('/symbols', requireRole('admin'), async (req, res) => {
   try {
     const databaseService = serviceManager.get('database');
     const symbolData = req.body;
@@ -533,6 +734,19 @@ router.post('/symbols', async (req, res) => {
       });
     }
 
+    // strategy_config must name a registered strategy with a valid config
+    if (symbolData.strategy_config?.strategy) {
+      try {
+        strategyRegistry.resolve(symbolData);
+      } catch (configError) {
+        return res.status(400).json({
+          success: false,
+          error: configError.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
     const result = await databaseService.upsertMonitoredSymbol(symbolData);
 
     res.json({
@@ -555,7 +769,7 @@ router.post('/symbols', async (req, res) => {
  * PUT /trading/symbols/:symbol/status
  * Toggle symbol active status
  */
-router.put('/symbols/:symbol/status', async (req, res) => {
+router.put('/symbols/:symbol/status', requireRole('admin'), async (req, res) => {
   try {
     const databaseService = serviceManager.get('database');
     const symbol = req.params.symbol;
@@ -600,7 +814,7 @@ router.put('/symbols/:symbol/status', async (req, res) => {
  * DELETE /trading/symbols/:symbol
  * Remove a monitored symbol
  */
-router.delete('/symbols/:symbol', async (req, res) => {
+router.delete('/symbols/:symbol', requireRole('admin'), async (req, res) => {
   try {
     const databaseService = serviceManager.get('database');
     const symbol = req.params.symbol;
@@ -691,11 +905,148 @@ router.get('/historical', async (req, res) => {
   }
 });
 
+/**
+ * GET /trading/candles
+ * Get OHLC candles aggregated from stored price oracle samples
+ * Query params: symbol (required, monitored symbol or gala_symbol), interval (1m|5m|1h|1d, default 1h),
+ *   startDate, endDate, limit, sync (default true)
+ */
+router.get('/candles', async (req, res) => {
+  try {
+    const { symbol, interval = '1h', startDate, endDate, limit } = req.query;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'symbol is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const databaseService = serviceManager.get('database');
+    const priceOracleService = serviceManager.get('priceOracle');
+
+    // Accept either a monitored symbol or a raw gala_symbol
+    const symbolData = await databaseService.getMonitoredSymbol(symbol);
+    const galaSymbol = symbolData?.gala_symbol || symbol;
+
+    const result = await priceOracleService.getCandles(galaSymbol, interval, {
+      startDate,
+      endDate,
+      limit: limit ? parseInt(limit) : null,
+      sync: req.query.sync !== 'false'
+    });
+
+    if (!result.success) {
+      const statusCode = result.error.startsWith('Unsupported') ? 400 : 500;
+      return res.status(statusCode).json({ ...result, timestamp: new Date().toISOString() });
+    }
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting candles:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Run a backtest from request parameters and send the result
+ * @param {Object} res - Express response
+ * @param {Object} params - Query string or body parameters
+ * @param {boolean} save - Store the result in strategy_performance
+ */
+const sendBacktest = async (res, params, save) => {
+  try {
+    const {
+      symbol,
+      strategy = 'golden_cross',
+      startDate,
+      endDate,
+      initialCapital,
+      tradeAmount,
+      slippage,
+      feeRate,
+      minimumConfidence
+    } = params;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'symbol is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const backtestService = serviceManager.get('backtest');
+
+    const options = {
+      strategy,
+      symbol,
+      startDate,
+      endDate,
+      save
+    };
+
+    // Only override service defaults when explicitly provided
+    if (initialCapital !== undefined) options.initialCapital = parseFloat(initialCapital);
+    if (tradeAmount !== undefined) options.tradeAmount = parseFloat(tradeAmount);
+    if (slippage !== undefined) options.slippage = parseFloat(slippage);
+    if (feeRate !== undefined) options.feeRate = parseFloat(feeRate);
+    if (minimumConfidence !== undefined) options.minimumConfidence = parseFloat(minimumConfidence);
+
+    const result = await backtestService.runBacktest(options);
+
+    if (!result.success) {
+      const statusCode = result.error.startsWith('Unsupported') ? 400 :
+                        result.error.startsWith('No historical') ? 404 : 500;
+      return res.status(statusCode).json(result);
+    }
+
+    if (String(params.equityCurve) === 'false') {
+      delete result.equityCurve;
+    }
+
+    res.status(save ? 201 : 200).json(result);
+
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * GET /trading/backtest
+ * Replay stored price history through a strategy and report simulated performance, without storing it
+ * Query params: symbol (required), strategy (golden_cross|dca, default golden_cross),
+ *   startDate, endDate, initialCapital, tradeAmount, slippage, feeRate, minimumConfidence,
+ *   equityCurve (default true)
+ */
+router.get('/backtest', (req, res) => sendBacktest(res, req.query, false));
+
+/**
+ * POST /trading/backtest
+ * Run a backtest and store its performance in strategy_performance
+ * Body: the GET /trading/backtest query params
+ */
+router.post('/backtest', requireRole('trader'), (req, res) => sendBacktest(res, req.body, true));
+
 // Test endpoint for executing trades on a specific symbol
-router.post('/symbol/:symbol/trade', async (req, res) => {
+router.post('/symbol/:symbol/trade', requireTraderForLive(isDryRunRequest), async (req, res) => {
   try {
     const { symbol } = req.params;
-    let { amount, toToken, dryRun } = req.body;
+    let { amount, toToken, dryRun, scaleIn, wallet } = req.body;
     // Convert toToken to a gala_symbol format if needed
     // e.g. 'TOKEN|Unit|none|none'
     if (toToken && !toToken.startsWith('G')) {
@@ -709,7 +1060,7 @@ router.post('/symbol/:symbol/trade', async (req, res) => {
     const result = await tradingService.executeSwapForSymbol(
       symbol, 
       amount, 
-      { toToken, dryRun }
+      { toToken, dryRun, scaleIn, wallet }
     );
     
     res.json(result);
@@ -719,14 +1070,800 @@ router.post('/symbol/:symbol/trade', async (req, res) => {
   }
 });
 
+/**
+ * GET /trading/positions
+ * Get open positions
+ * Query params: strategy (optional), wallet (optional) - wallet id or name
+ */
+router.get('/positions', async (req, res) => {
+  try {
+    const databaseService = serviceManager.get('database');
+    const wallet = req.query.wallet ? await databaseService.getWallet(req.query.wallet) : null;
+
+    if (req.query.wallet && !wallet) {
+      return res.status(404).json({
+        success: false,
+        error: `Wallet ${req.query.wallet} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const positions = await databaseService.getOpenPositions(req.query.strategy || null, wallet ? wallet.id : null);
+
+    res.json({
+      success: true,
+      positions,
+      count: positions.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting positions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/positions/:id
+ * Get a position with its fills (open, scale-ins and partial closes with realized PnL)
+ */
+router.get('/positions/:id', async (req, res) => {
+  try {
+    const databaseService = serviceManager.get('database');
+    const position = await databaseService.getPosition(parseInt(req.params.id));
+
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: `Position ${req.params.id} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const fills = await databaseService.getPositionFills(position.id);
+
+    res.json({
+      success: true,
+      position,
+      fills,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting position:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/positions/:id/close
+ * Close a percentage of an open position and convert it back to GALA
+ * Body: { percentage?: number } - Share of the remaining tokens to close (default 100)
+ */
+router.post('/positions/:id/close', requireRole('trader'), async (req, res) => {
+  try {
+    const positionId = parseInt(req.params.id);
+    const percentage = req.body.percentage !== undefined ? parseFloat(req.body.percentage) : 100;
+
+    if (!(percentage > 0 && percentage <= 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'percentage must be greater than 0 and at most 100',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const databaseService = serviceManager.get('database');
+    const position = await databaseService.getPosition(positionId);
+
+    if (!position || position.status !== 'OPEN') {
+      return res.status(404).json({
+        success: false,
+        error: `Open position ${req.params.id} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const tradingService = serviceManager.get('trading');
+    const result = await tradingService.closePosition(positionId, { percentage });
+
+    res.status(result.success ? 200 : 500).json({
+      ...result,
+      position: await databaseService.getPosition(positionId),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error closing position:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/risk
+ * Get risk limits, current exposure, daily realized PnL and kill switch state
+ */
+router.get('/risk', async (req, res) => {
+  try {
+    const riskManager = serviceManager.get('riskManager');
+    const status = await riskManager.getStatus();
+
+    res.json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting risk status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/risk/kill-switch
+ * Engage or reset the kill switch
+ * Body: { engaged: boolean, reason?: string }
+ */
+router.post('/risk/kill-switch', requireRole('trader'), async (req, res) => {
+  try {
+    const { engaged, reason = 'Engaged manually' } = req.body;
+
+    if (typeof engaged !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'engaged must be a boolean',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const riskManager = serviceManager.get('riskManager');
+    const killSwitch = engaged
+      ? await riskManager.engageKillSwitch(reason)
+      : await riskManager.resetKillSwitch();
+
+    res.json({
+      success: true,
+      killSwitch,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating kill switch:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/wallets
+ * Wallets with their strategies, risk limit overrides and whether their signer is loaded
+ */
+router.get('/wallets', async (req, res) => {
+  try {
+    const databaseService = serviceManager.get('database');
+    const tradingService = serviceManager.get('trading');
+    const wallets = await databaseService.getWallets();
+
+    res.json({
+      success: true,
+      wallets: wallets.map(wallet => ({
+        ...wallet,
+        address: wallet.address || tradingService.walletAddress,
+        loaded: tradingService.wallets.has(wallet.id)
+      })),
+      count: wallets.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting wallets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/wallets
+ * Add a wallet
+ * Body: { name, address?, keystore_path?, strategies?: string[], max_open_positions?, max_token_exposure?, daily_loss_limit? }
+ * A keystore_path is required to trade live from any address other than WALLET_ADDRESS
+ */
+router.post('/wallets', requireRole('admin'), async (req, res) => {
+  try {
+    const wallet = await serviceManager.get('trading').createWallet(req.body);
+
+    res.status(201).json({
+      success: true,
+      wallet,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adding wallet:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /trading/wallets/:wallet
+ * Update a wallet by id or name
+ * Body: any POST /trading/wallets field except name, plus is_active and is_default
+ */
+router.put('/wallets/:wallet', requireRole('admin'), async (req, res) => {
+  try {
+    const wallet = await serviceManager.get('trading').updateWallet(req.params.wallet, req.body);
+
+    res.json({
+      success: true,
+      wallet,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating wallet:', error);
+    res.status(error.message.startsWith('Unknown wallet') ? 404 : 400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/portfolio
+ * Current allocation: every token of a wallet valued in USD and GALA
+ * Query params: wallet (optional) - wallet id or name, defaults to the default wallet
+ */
+router.get('/portfolio', async (req, res) => {
+  try {
+    const portfolio = await serviceManager.get('portfolio').getPortfolio(req.query.wallet || null);
+
+    res.json({
+      success: true,
+      portfolio,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting portfolio:', error);
+    res.status(error.message.startsWith('Unknown') ? 404 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/portfolio/history
+ * Net-worth series from the stored portfolio snapshots
+ * Query params: wallet (optional) - wallet id or name
+ *               days (optional, default 30) - lookback
+ *               interval (optional) - '1h' or '1d' keeps one point per bucket
+ */
+router.get('/portfolio/history', async (req, res) => {
+  try {
+    const history = await serviceManager.get('portfolio').getNetWorthSeries(req.query.wallet || null, {
+      days: parseFloat(req.query.days) || 30,
+      interval: req.query.interval || null
+    });
+
+    res.json({
+      success: true,
+      ...history,
+      count: history.points.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting portfolio history:', error);
+    let status = 500;
+    if (error.message.startsWith('Unknown wallet')) {
+      status = 404;
+    } else if (error.message.startsWith('Unsupported candle interval')) {
+      status = 400;
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/portfolio/snapshot
+ * Value every wallet now and store the snapshots (the scheduler does this on SCHEDULE_PORTFOLIO_SNAPSHOT)
+ */
+router.post('/portfolio/snapshot', requireRole('trader'), async (req, res) => {
+  try {
+    const result = await serviceManager.get('portfolio').takeSnapshots();
+
+    res.status(201).json({
+      success: result.errors.length === 0,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error taking portfolio snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/reconciliation
+ * Latest balance reconciliation of a wallet, its unconfirmed live trades and fills that missed their quote
+ * Query params: wallet (optional) - wallet id or name, defaults to the default wallet
+ */
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const report = await serviceManager.get('settlement').getReport(req.query.wallet || null);
+
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting reconciliation:', error);
+    res.status(error.message.startsWith('Unknown') ? 404 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/reconciliation
+ * Reconcile every wallet now (the scheduler does this on SCHEDULE_RECONCILIATION)
+ */
+router.post('/reconciliation', requireRole('trader'), async (req, res) => {
+  try {
+    const result = await serviceManager.get('settlement').reconcile();
+
+    res.status(201).json({
+      success: result.errors.length === 0,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error reconciling balances:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/pnl
+ * Lot-based PnL: realized per closed lot, unrealized marked to oracle prices, and fees,
+ * by symbol, strategy and period
+ * Query params: method (optional) - fifo, lifo or average, defaults to PNL_LOT_METHOD
+ *               mode (optional) - live or simulated, defaults to the trading mode
+ *               wallet, strategy, symbol (optional) - filters
+ *               from, to (optional) - ISO dates bounding realized PnL and fees
+ *               period (optional, default month) - day, week, month or year
+ *               lots (optional) - 'true' includes the open and closed lots
+ */
+router.get('/pnl', async (req, res) => {
+  try {
+    const report = await serviceManager.get('accounting').getPnLReport({
+      method: req.query.method ? req.query.method.toLowerCase() : undefined,
+      mode: req.query.mode || undefined,
+      wallet: req.query.wallet || null,
+      strategy: req.query.strategy || null,
+      symbol: req.query.symbol || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      period: req.query.period || 'month',
+      includeLots: req.query.lots === 'true'
+    });
+
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting PnL report:', error);
+    let status = 500;
+    if (error.message.startsWith('Unknown wallet')) {
+      status = 404;
+    } else if (/^(Unknown|Invalid)/.test(error.message)) {
+      status = 400;
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/export
+ * Download trade history as CSV for accounting and tax tools
+ * Query params: format (optional, default trades) - trades, disposals (cost basis and proceeds per sale),
+ *                                                   koinly or cointracker
+ *               mode (optional, default live) - live, simulated or all (not for disposals)
+ *               wallet, strategy (optional) - filters
+ *               from, to (optional) - ISO dates bounding the exported trades or sales
+ *               method (optional) - lot method for disposals, defaults to PNL_LOT_METHOD
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const file = await serviceManager.get('accounting').exportTrades(
+      (req.query.format || 'trades').toLowerCase(),
+      {
+        method: req.query.method ? req.query.method.toLowerCase() : undefined,
+        mode: req.query.mode || 'live',
+        wallet: req.query.wallet || null,
+        strategy: req.query.strategy || null,
+        from: req.query.from || null,
+        to: req.query.to || null
+      }
+    );
+
+    res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+
+  } catch (error) {
+    console.error('Error exporting trades:', error);
+    let status = 500;
+    if (error.message.startsWith('Unknown wallet')) {
+      status = 404;
+    } else if (/^(Unknown|Invalid)/.test(error.message)) {
+      status = 400;
+    }
+    res.status(status).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Status of an order error: unknown orders 404, validation errors 400
+ * @param {Error} error - Order or execution service error
+ * @returns {number}
+ */
+const orderErrorStatus = error => {
+  if (/^Unknown (algo )?order/.test(error.message)) {
+    return 404;
+  }
+  return /^(Unknown|Invalid)/.test(error.message) ? 400 : 500;
+};
+
+/**
+ * GET /trading/orders
+ * Limit, stop and OCO orders, newest first
+ * Query params: status (optional) - PENDING, TRIGGERED, FILLED, FAILED, CANCELLED or EXPIRED
+ *               wallet (optional) - wallet id or name
+ *               limit (optional, default 100)
+ */
+router.get('/orders', async (req, res) => {
+  try {
+    const orders = await serviceManager.get('orders').getOrders({
+      status: req.query.status || null,
+      wallet: req.query.wallet || null,
+      limit: parseInt(req.query.limit) || 100
+    });
+
+    res.json({
+      success: true,
+      orders,
+      count: orders.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting orders:', error);
+    res.status(orderErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/orders
+ * Place an order, filled by the order monitor once the oracle price reaches its trigger
+ * Body: { type: 'limit' | 'stop' | 'oco', side: 'buy' | 'sell', token, quoteToken? (default GALA), amount,
+ *         price (limit / stop), limitPrice + stopPrice (oco), expiresAt? | expiresInHours?, wallet?, slippage? }
+ * Prices are the token's price in quote token units; BUY amounts are in the quote token, SELL amounts in the token
+ */
+router.post('/orders', requireRole('trader'), async (req, res) => {
+  try {
+    const orderService = serviceManager.get('orders');
+    const data = { ...req.body, createdBy: req.auth?.name || null };
+    const orders = String(req.body.type || '').toLowerCase() === 'oco'
+      ? await orderService.placeOcoOrder(data)
+      : [await orderService.placeOrder(data)];
+
+    res.status(201).json({
+      success: true,
+      orders,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error placing order:', error);
+    res.status(orderErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /trading/orders/:id
+ * Cancel a pending order (cancels both legs of an OCO pair)
+ */
+router.delete('/orders/:id', requireRole('trader'), async (req, res) => {
+  try {
+    const result = await serviceManager.get('orders').cancelOrder(
+      parseInt(req.params.id),
+      `Cancelled by ${req.auth?.name || 'api'}`
+    );
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(orderErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/orders/check
+ * Check pending orders against current prices now instead of waiting for the order monitor
+ */
+router.post('/orders/check', requireRole('trader'), async (req, res) => {
+  try {
+    const result = await serviceManager.get('orders').checkOrders();
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error checking orders:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/algo-orders
+ * TWAP and iceberg orders with their aggregate fill, newest first
+ * Query params: status (optional) - PENDING (executing), COMPLETED, CANCELLED (stopped after a partial fill) or FAILED
+ *               limit (optional, default 50)
+ */
+router.get('/algo-orders', async (req, res) => {
+  try {
+    const orders = await serviceManager.get('execution').getAlgoOrders({
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      orders,
+      count: orders.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting algo orders:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/algo-orders/:id
+ * An algo order with its slices (child trades)
+ */
+router.get('/algo-orders/:id', async (req, res) => {
+  try {
+    const result = await serviceManager.get('execution').getAlgoOrder(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting algo order:', error);
+    res.status(orderErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /trading/algo-orders
+ * Split a swap into slices executed in the background; poll GET /trading/algo-orders/:id for progress
+ * Body: { algo: 'twap' | 'iceberg', fromToken, toToken, amount, slices? (twap), intervalSeconds?,
+ *         maxImpact? (iceberg, fraction per slice), maxPriceMove? (fraction), slippage?, dryRun?, wallet? }
+ */
+router.post('/algo-orders', requireTraderForLive(isDryRunRequest), async (req, res) => {
+  try {
+    const { parentTradeId, order } = await serviceManager.get('execution').start({
+      ...req.body,
+      dryRun: parseDryRun(req.body.dryRun)
+    });
+
+    res.status(202).json({
+      success: true,
+      id: parentTradeId,
+      algo: order.algo,
+      amount: order.amount,
+      slices: order.plan ? order.plan.length : null,
+      dryRun: order.dryRun,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error starting algo order:', error);
+    res.status(orderErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /trading/algo-orders/:id
+ * Stop a running algo order before its next slice; filled slices are kept
+ */
+router.delete('/algo-orders/:id', requireRole('trader'), async (req, res) => {
+  try {
+    const order = await serviceManager.get('execution').cancel(parseInt(req.params.id));
+
+    res.json({
+      success: true,
+      order,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error cancelling algo order:', error);
+    res.status(orderErrorStatus(error)).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/jobs
+ * Scheduled jobs with their next run time and latest run
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const scheduler = serviceManager.get('scheduler');
+    const status = await scheduler.getStatus();
+
+    res.json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting scheduled jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /trading/jobs/runs
+ * Recorded job runs, newest first
+ * Query params: job (optional), status (optional), limit (optional, default 50)
+ */
+router.get('/jobs/runs', async (req, res) => {
+  try {
+    const databaseService = serviceManager.get('database');
+    const runs = await databaseService.getJobRuns({
+      jobName: req.query.job || null,
+      status: req.query.status ? req.query.status.toUpperCase() : null,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      runs,
+      count: runs.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error getting job runs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /trading/close-all
  * Close all open positions and convert them back to GALA
- * Body: { force: boolean } - Force close all positions regardless of profit/loss thresholds
+ * Body: { force: boolean, wallet?: id or name } - Force close all positions regardless of profit/loss thresholds,
+ *       only the positions of one wallet when given
  */
-router.post('/close-all', async (req, res) => {
+router.post('/close-all', requireRole('trader'), async (req, res) => {
   try {
-    const { force = false } = req.body;
+    const { force = false, wallet = null } = req.body;
     
     const tradingService = serviceManager.get('trading');
     
@@ -739,7 +1876,7 @@ router.post('/close-all', async (req, res) => {
     }
 
     // Execute close all positions operation
-    const result = await tradingService.closeAllPositions({ force });
+    const result = await tradingService.closeAllPositions({ force, wallet });
 
     res.json({
       success: result.success,
@@ -4,11 +4,16 @@ var router = express.Router();
 var dotenv = require('dotenv');
 dotenv.config();
 const yahooFinance = require('yahoo-finance2').default;
-/* GET users listing. */
-router.get('/', async function(req, res, next) {
+const config = require('../config/ConfigManager');
+const { requireRole, requireTraderForLive, parseDryRun } = require('../middleware/auth');
+
+router.use(requireRole('viewer'));
+
+/* GET users listing - sells GALA for GUSDC on the live pool */
+router.get('/', requireRole('trader'), async function(req, res, next) {
   await GSwap.events.connectEventSocket();
   const gSwap = new GSwap({
-    signer: new PrivateKeySigner(process.env.PRIVATE_KEY),
+    signer: new PrivateKeySigner(config.getPrivateKey()),
   });
 
   const GALA_SELLING_AMOUNT = 10; // Amount of GALA to sell
@@ -39,28 +44,26 @@ router.get('/', async function(req, res, next) {
   res.send('respond with a resource');
 });
 
+// Every token of the wallet (?wallet=id or name, default wallet otherwise), valued in USD and GALA
 router.get('/get-balance', async function(req, res, next) {
-const gSwap = new GSwap();
-
-// Get wallet's token balances
-const assets = await gSwap.assets.getUserAssets(
-  process.env.WALLET_ADDRESS,
-  1, // page number (optional, default: 1)
-  20, // limit per page (optional, default: 10)
-);
-
-console.log(`Wallet has ${assets.count} different tokens`);
-
-// Display each token
-assets.tokens.forEach((token) => {
-  console.log(`${token.symbol}: ${token.quantity} (${token.name})`);
-  console.log(`  Decimals: ${token.decimals}`);
-  console.log(`  Image: ${token.image}`);
-});
-  res.send({
-    assets,
-    asset_count: assets.count,
-  });
+  try {
+    const serviceManager = require('../services/ServiceManager');
+    const portfolio = await serviceManager.get('portfolio').getPortfolio(req.query.wallet || null);
+
+    res.json({
+      success: true,
+      ...portfolio,
+      asset_count: portfolio.holdings.length
+    });
+
+  } catch (error) {
+    console.error('Error getting wallet balance:', error);
+    res.status(error.message.startsWith('Unknown') ? 404 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
 });
 
 router.get('/get-gala-balance', async function(req, res, next) {
@@ -76,13 +79,14 @@ router.get('/get-gala-balance', async function(req, res, next) {
       });
     }
 
-    // Get GALA balance
-    const balanceResult = await tradingService.getGalaBalance();
+    // Get GALA balance (?wallet=id or name, default wallet otherwise)
+    const balanceResult = await tradingService.getGalaBalance(req.query.wallet || null);
     
     console.log('GALA Balance Check:', balanceResult);
     
     res.json({
       success: balanceResult.success,
+      wallet: balanceResult.wallet,
       gala_balance: balanceResult.balance,
       has_gala: balanceResult.hasGala,
       message: balanceResult.message,
@@ -117,9 +121,10 @@ router.get('/get-history', async function(req, res, next) {
   });
 });
 
-router.post('/execute-swap', async function(req, res, next) {
+// Without dryRun: true the swap is live
+router.post('/execute-swap', requireTraderForLive(req => parseDryRun(req.body.dryRun) === true), async function(req, res, next) {
   try {
-    const { fromToken, toToken, amount, dryRun } = req.body;
+    const { fromToken, toToken, amount, dryRun, wallet } = req.body;
     
     // Validate required parameters
     if (!fromToken || !toToken || !amount) {
@@ -150,7 +155,8 @@ router.post('/execute-swap', async function(req, res, next) {
       parseFloat(amount),
       {
         dryRun: dryRun === true || dryRun === 'true',
-        sendNotification: true
+        sendNotification: true,
+        wallet: wallet || null
       }
     );
 
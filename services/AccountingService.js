@@ -0,0 +1,271 @@
+const BaseService = require('./BaseService');
+const { matchLots, summarizeLots, LOT_METHODS } = require('../utils/lots');
+const { EXPORT_FORMATS, describeTrade, renderTrades, renderDisposals } = require('../utils/taxExport');
+const { parseDbTimestamp } = require('../utils/pnl');
+
+const GALA_SYMBOL = 'GALA|Unit|none|none';
+const PRICE_SOURCE = 'price_oracle';
+const PRICE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Oldest GALA/USD sample used to value an export row
+
+/**
+ * Accounting Service - Lot-based PnL over the trades table
+ * Realized PnL per closed lot (FIFO, LIFO or average cost), unrealized PnL of open lots
+ * marked to oracle prices, and fees, broken down by symbol, strategy and period
+ */
+class AccountingService extends BaseService {
+  constructor() {
+    super('AccountingService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.portfolioService = null;
+    this.lotMethod = 'fifo'; // Default lot matching method
+  }
+
+  /**
+   * Initialize the accounting settings
+   */
+  async onInit() {
+    this.lotMethod = String(this.config.get('PNL_LOT_METHOD', 'fifo')).toLowerCase();
+    if (!LOT_METHODS.includes(this.lotMethod)) {
+      throw new Error(`PNL_LOT_METHOD must be one of ${LOT_METHODS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Get portfolio service (lazy initialization)
+   * @returns {PortfolioService} Portfolio service instance
+   */
+  getPortfolioService() {
+    if (!this.portfolioService) {
+      const ServiceManager = require('./ServiceManager');
+      this.portfolioService = ServiceManager.get('portfolio');
+    }
+    return this.portfolioService;
+  }
+
+  /**
+   * Get the GALA price of tokens from the oracle's USD prices
+   * @param {string[]} tokens - Token symbols as stored on trades (e.g. 'GUSDC')
+   * @returns {Promise<Object>} - token -> GALA per token, null when unpriced
+   */
+  async getGalaPrices(tokens) {
+    const prices = {};
+    if (tokens.length === 0) {
+      return prices;
+    }
+
+    const portfolioService = this.getPortfolioService();
+    const symbols = await this.getDatabaseService().getMonitoredSymbols(false);
+    const symbolMap = new Map(symbols.filter(row => row.gala_symbol).map(row => [row.symbol, row.gala_symbol]));
+    const galaPriceUsd = await portfolioService.getUsdPrice(GALA_SYMBOL);
+
+    for (const token of tokens) {
+      const priceUsd = galaPriceUsd
+        ? await portfolioService.getUsdPrice(portfolioService.resolveGalaSymbol({ symbol: token }, symbolMap))
+        : null;
+      prices[token] = priceUsd !== null ? priceUsd / galaPriceUsd : null;
+    }
+
+    return prices;
+  }
+
+  /**
+   * Build the PnL report
+   * Lots are matched over every trade up to `to`; realized PnL and fees count within [from, to],
+   * lots still open at `to` are marked to current oracle prices
+   * @param {Object} options - {method, mode: 'live' | 'simulated', wallet, strategy, symbol, from, to, period, includeLots}
+   * @returns {Promise<Object>} - {method, mode, wallet, strategy, symbol, from, to, period, totals, bySymbol, byStrategy, byPeriod, unmatched, unpriced}
+   *                              plus openLots and closedLots with includeLots
+   */
+  async getPnLReport(options = {}) {
+    const tradingService = this.getTradingService();
+    const {
+      method = this.lotMethod,
+      mode = tradingService.isDryRun || tradingService.isPaperTrading() ? 'simulated' : 'live',
+      wallet = null,
+      strategy = null,
+      symbol = null,
+      from = null,
+      to = null,
+      period = 'month',
+      includeLots = false
+    } = options;
+
+    if (!['live', 'simulated'].includes(mode)) {
+      throw new Error(`Unknown mode: ${mode}. Use live or simulated`);
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+      }
+    }
+
+    const databaseService = this.getDatabaseService();
+    let walletRecord = null;
+    if (wallet !== null && wallet !== undefined && wallet !== '') {
+      walletRecord = await databaseService.getWallet(wallet);
+      if (!walletRecord) {
+        throw new Error(`Unknown wallet: ${wallet}`);
+      }
+    }
+
+    const token = symbol ? String(symbol).split('|')[0].replace(/^GALA\//, '') : null;
+    const trades = await databaseService.getCompletedTrades({
+      until: to,
+      dryRun: mode === 'simulated',
+      walletId: walletRecord ? walletRecord.id : null,
+      strategy,
+      symbol: token ? `GALA/${token}` : null
+    });
+
+    const ledger = matchLots(trades, { method });
+    const prices = await this.getGalaPrices([...new Set(ledger.openLots.map(lot => lot.token))]);
+    const { openLots, closedLots, unmatched, ...summary } = summarizeLots(ledger, { from, to, period, prices });
+
+    const report = {
+      method,
+      mode,
+      wallet: walletRecord ? walletRecord.name : null,
+      strategy,
+      symbol: token,
+      from,
+      to,
+      period,
+      ...summary,
+      unmatched,
+      unpriced: Object.keys(prices).filter(key => prices[key] === null)
+    };
+
+    if (includeLots) {
+      report.openLots = openLots;
+      report.closedLots = closedLots;
+    }
+
+    return report;
+  }
+
+  /**
+   * Export trade history as CSV
+   * 'trades' is the full ledger, 'koinly' and 'cointracker' are the tools' import formats and
+   * 'disposals' lists every sale in range with its cost basis and proceeds (lots matched over all earlier trades).
+   * USD values come from the stored oracle GALA/USD samples and stay empty where none is recorded
+   * @param {string} format - 'trades', 'disposals', 'koinly' or 'cointracker'
+   * @param {Object} options - {from, to, mode: 'live' | 'simulated' | 'all', wallet, strategy, method}
+   * @returns {Promise<Object>} - {format, filename, contentType, rows, content}
+   */
+  async exportTrades(format, options = {}) {
+    const { from = null, to = null, mode = 'live', wallet = null, strategy = null, method = this.lotMethod } = options;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format: ${format}. Use one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    if (!['live', 'simulated', 'all'].includes(mode)) {
+      throw new Error(`Unknown mode: ${mode}. Use live, simulated or all`);
+    }
+    if (format === 'disposals' && mode === 'all') {
+      throw new Error('Invalid mode for disposals: live and simulated lots cannot be matched together');
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(Date.parse(value))) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+      }
+    }
+
+    const databaseService = this.getDatabaseService();
+    let walletRecord = null;
+    if (wallet !== null && wallet !== undefined && wallet !== '') {
+      walletRecord = await databaseService.getWallet(wallet);
+      if (!walletRecord) {
+        throw new Error(`Unknown wallet: ${wallet}`);
+      }
+    }
+
+    const wallets = await databaseService.getWallets();
+    const walletNames = new Map(wallets.map(row => [row.id, row.name]));
+    const walletName = walletId => walletNames.get(walletId) || (walletId ? `#${walletId}` : '');
+
+    // GALA/USD at a point in time, memoized per export
+    const galaUsdCache = new Map();
+    const galaUsdAt = async (timestamp) => {
+      if (!timestamp) {
+        return null;
+      }
+      const iso = parseDbTimestamp(timestamp).toISOString();
+      if (!galaUsdCache.has(iso)) {
+        const sample = await databaseService.getPriceAt(GALA_SYMBOL, iso, { source: PRICE_SOURCE, maxAgeMs: PRICE_MAX_AGE_MS });
+        galaUsdCache.set(iso, sample ? sample.price : null);
+      }
+      return galaUsdCache.get(iso);
+    };
+
+    const filters = {
+      until: to,
+      dryRun: mode === 'all' ? null : mode === 'simulated',
+      walletId: walletRecord ? walletRecord.id : null,
+      strategy
+    };
+
+    let rows;
+    let content;
+    if (format === 'disposals') {
+      const ledger = matchLots(await databaseService.getCompletedTrades(filters), { method });
+      const inRange = lot => !from || parseDbTimestamp(lot.closedAt) >= parseDbTimestamp(from);
+
+      rows = [];
+      for (const lot of [...ledger.closedLots, ...ledger.unmatched].filter(inRange)) {
+        rows.push({
+          lot,
+          method,
+          walletName: walletName(lot.walletId),
+          openGalaUsd: await galaUsdAt(lot.openedAt),
+          closeGalaUsd: await galaUsdAt(lot.closedAt)
+        });
+      }
+      rows.sort((a, b) => parseDbTimestamp(a.lot.closedAt) - parseDbTimestamp(b.lot.closedAt));
+      content = renderDisposals(rows);
+    } else {
+      const trades = await databaseService.getCompletedTrades({ ...filters, since: from });
+
+      rows = [];
+      for (const trade of trades.filter(describeTrade)) {
+        rows.push({ trade, walletName: walletName(trade.wallet_id), galaUsd: await galaUsdAt(trade.executed_at) });
+      }
+      content = renderTrades(format, rows);
+    }
+
+    const range = `${from ? String(from).slice(0, 10) : 'start'}_to_${to ? String(to).slice(0, 10) : 'now'}`;
+    return {
+      format,
+      filename: `${format}_${mode}${walletRecord ? `_${walletRecord.name}` : ''}_${range}.csv`,
+      contentType: 'text/csv',
+      rows: rows.length,
+      content
+    };
+  }
+}
+
+module.exports = AccountingService;
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const BaseService = require('./BaseService');
+
+// Roles from least to most privileged; a role includes every permission of the roles before it
+const ROLES = ['viewer', 'trader', 'admin'];
+
+// scrypt cost parameters for password hashes
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// Failed logins per username before it is locked out for LOGIN_LOCKOUT_MS
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Password
+ * @returns {Promise<string>} - scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p }, (error, key) => error ? reject(error) : resolve(key));
+  });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password
+ * @param {string} stored - Result of hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), expected.length, { N: Number(N), r: Number(r), p: Number(p) }, (error, key) => error ? reject(error) : resolve(key));
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Generate a random token
+ * @param {string} prefix - Token prefix (e.g. 'gtb_' for API keys)
+ * @returns {string}
+ */
+function generateToken(prefix = '') {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Hash an API key or session token for storage (they are random, so a plain SHA-256 is enough)
+ * @param {string} token - Token
+ * @returns {string} - Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Auth Service - Users, API keys and login sessions for the HTTP API
+ * Requests authenticate with an API key (Authorization: Bearer / X-API-Key) or a session cookie
+ * from POST /auth/login; routes then require a role (viewer < trader < admin)
+ */
+class AuthService extends BaseService {
+  constructor() {
+    super('AuthService');
+    this.databaseService = null;
+    this.enabled = true;
+    this.sessionTtlHours = 12;
+    this.failedLogins = new Map(); // username -> {count, lockedUntil}
+  }
+
+  /**
+   * Initialize the auth settings
+   */
+  async onInit() {
+    this.enabled = this.config.get('AUTH_ENABLED') !== false;
+    this.sessionTtlHours = parseFloat(this.config.get('AUTH_SESSION_TTL_HOURS', 12));
+
+    if (!this.enabled) {
+      this.logger.warn('⚠️ AUTH_ENABLED=false - every route is open, including live trading');
+      return;
+    }
+
+    const removed = await this.getDatabaseService().deleteExpiredSessions();
+    if (removed > 0) {
+      this.logger.info(`Removed ${removed} expired session(s)`);
+    }
+
+    const users = await this.getDatabaseService().getUsers();
+    const keys = await this.getDatabaseService().getApiKeys();
+    if (users.length === 0 && keys.length === 0) {
+      this.logger.warn('No users or API keys yet - create an admin with: node commands/auth.js create-user <username> admin');
+    }
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Whether a role includes the permissions of another
+   * @param {string} role - Role held
+   * @param {string} required - Role required
+   * @returns {boolean}
+   */
+  hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Validate a role name
+   * @param {string} role - Role
+   */
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role} (available: ${ROLES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Validate a new password
+   * @param {string} password - Password
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 10) {
+      throw new Error('Password must be at least 10 characters');
+    }
+  }
+
+  /**
+   * Create a user
+   * @param {string} username - Username
+   * @param {string} password - Password (at least 10 characters)
+   * @param {string} role - viewer | trader | admin
+   * @returns {Promise<Object>} - Created user
+   */
+  async createUser(username, password, role = 'viewer') {
+    if (!/^[\w.@-]{3,64}$/.test(username || '')) {
+      throw new Error('Username must be 3-64 letters, digits or . _ @ -');
+    }
+    this.validateRole(role);
+    this.validatePassword(password);
+
+    const databaseService = this.getDatabaseService();
+    if (await databaseService.getUserCredentials(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+
+    const user = await databaseService.createUser({ username, password_hash: await hashPassword(password), role });
+    this.logger.info(`👤 Created ${role} user ${username}`);
+    return user;
+  }
+
+  /**
+   * Change a user's role, active flag or password
+   * Deactivating a user or changing their password ends their sessions
+   * @param {string} username - Username
+   * @param {Object} updates - {role, active, password}
+   * @returns {Promise<Object>} - Updated user
+   */
+  async updateUser(username, updates = {}) {
+    const databaseService = this.getDatabaseService();
+    const user = await databaseService.getUserCredentials(username);
+    if (!user) {
+      throw new Error(`Unknown user: ${username}`);
+    }
+
+    const changes = {};
+    if (updates.role !== undefined) {
+      this.validateRole(updates.role);
+      changes.role = updates.role;
+    }
+    if (updates.active !== undefined) {
+      changes.active = Boolean(updates.active);
+    }
+    if (updates.password !== undefined) {
+      this.validatePassword(updates.password);
+      changes.password_hash = await hashPassword(updates.password);
+    }
+
+    const updated = await databaseService.updateUser(user.id, changes);
+    if (changes.password_hash || changes.active === false) {
+      await databaseService.deleteUserSessions(user.id);
+    }
+    return updated;
+  }
+
+  /**
+   * Check a username and password, locking the username out after repeated failures
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} - User, null when the credentials are wrong
+   */
+  async verifyCredentials(username, password) {
+    const failures = this.failedLogins.get(username);
+    if (failures && failures.lockedUntil > Date.now()) {
+      const error = new Error('Too many failed logins, try again later');
+      error.status = 429;
+      throw error;
+    }
+
+    const user = await this.getDatabaseService().getUserCredentials(username);
+    // Hash even for unknown users so response times do not reveal which usernames exist
+    const valid = await verifyPassword(String(password || ''), user?.password_hash || await hashPassword('unknown-user'));
+
+    if (!user || !user.active || !valid) {
+      const count = (failures?.count || 0) + 1;
+      this.failedLogins.set(username, {
+        count: count >= MAX_FAILED_LOGINS ? 0 : count,
+        lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOGIN_LOCKOUT_MS : 0
+      });
+      this.logger.warn(`Failed login for ${username}`);
+      return null;
+    }
+
+    this.failedLogins.delete(username);
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  /**
+   * Log a user in
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} - {token, expiresAt, user}, null when the credentials are wrong
+   */
+  async login(username, password) {
+    const user = await this.verifyCredentials(username, password);
+    if (!user) {
+      return null;
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + this.sessionTtlHours * 60 * 60 * 1000).toISOString();
+    await this.getDatabaseService().createSession(hashToken(token), user.id, expiresAt);
+    await this.getDatabaseService().recordUserLogin(user.id);
+
+    this.logger.info(`🔑 ${user.username} logged in`);
+    return { token, expiresAt, user: { username: user.username, role: user.role } };
+  }
+
+  /**
+   * End a session
+   * @param {string} token - Session token
+   * @returns {Promise<void>}
+   */
+  async logout(token) {
+    if (token) {
+      await this.getDatabaseService().deleteSession(hashToken(token));
+    }
+  }
+
+  /**
+   * Create an API key - the key itself is only returned here
+   * @param {string} name - What the key is for
+   * @param {string} role - viewer | trader | admin
+   * @param {string} createdBy - Who created it
+   * @returns {Promise<Object>} - {key, ...stored key}
+   */
+  async createApiKey(name, role = 'viewer', createdBy = null) {
+    if (!name) {
+      throw new Error('API key name is required');
+    }
+    this.validateRole(role);
+
+    const key = generateToken('gtb_');
+    const stored = await this.getDatabaseService().createApiKey({
+      name,
+      key_prefix: key.substring(0, 12),
+      key_hash: hashToken(key),
+      role,
+      created_by: createdBy
+    });
+
+    this.logger.info(`🔑 Created ${role} API key ${name}`);
+    return { key, ...stored };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} id - Key id
+   * @returns {Promise<boolean>}
+   */
+  async revokeApiKey(id) {
+    return this.getDatabaseService().revokeApiKey(id);
+  }
+
+  /**
+   * Resolve an API key to a principal
+   * @param {string} key - API key
+   * @returns {Promise<Object|null>} - {type: 'api_key', id, name, role}
+   */
+  async authenticateApiKey(key) {
+    const record = await this.getDatabaseService().useApiKey(hashToken(key));
+    return record ? { type: 'api_key', id: record.id, name: record.name, role: record.role } : null;
+  }
+
+  /**
+   * Resolve a session token to a principal
+   * @param {string} token - Session token
+   * @returns {Promise<Object|null>} - {type: 'session', id, name, role, expiresAt}
+   */
+  async authenticateSession(token) {
+    const session = await this.getDatabaseService().getSessionUser(hashToken(token));
+    return session
+      ? { type: 'session', id: session.user_id, name: session.username, role: session.role, expiresAt: session.expires_at }
+      : null;
+  }
+
+  /**
+   * Get service status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isInitialized: this.isInitialized,
+      enabled: this.enabled,
+      roles: ROLES,
+      sessionTtlHours: this.sessionTtlHours
+    };
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.hashPassword = hashPassword;
+AuthService.verifyPassword = verifyPassword;
+AuthService.hashToken = hashToken;
+
+module.exports = AuthService;
@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const BaseService = require('./BaseService');
+const {
+  simulateFill,
+  calculateMaxDrawdown,
+  calculateReturns,
+  calculateSharpeRatio,
+  inferPeriodsPerYear,
+  calculateWinRate,
+  normalizeCandles,
+  parseCandlesCSV
+} = require('../utils/backtest');
+const { registry: strategyRegistry } = require('../strategies');
+
+/**
+ * Backtest Service - Replays historical candles through the registered strategies
+ * and simulates fills to evaluate how a strategy would have performed
+ */
+class BacktestService extends BaseService {
+  constructor() {
+    super('BacktestService');
+    this.databaseService = null;
+    this.defaultSlippage = 0.005; // 0.5% simulated slippage
+    this.defaultFeeRate = 0.003; // 0.3% simulated pool fee
+    this.defaultInitialCapital = 1000; // Starting quote balance
+  }
+
+  /**
+   * Initialize the backtest service
+   */
+  async onInit() {
+    this.defaultSlippage = parseFloat(this.config.get('BACKTEST_SLIPPAGE', '0.005'));
+    this.defaultFeeRate = parseFloat(this.config.get('BACKTEST_FEE_RATE', '0.003'));
+    this.defaultInitialCapital = parseFloat(this.config.get('BACKTEST_INITIAL_CAPITAL', '1000'));
+
+    this.logger.info('Backtest configuration:', {
+      slippage: this.defaultSlippage,
+      feeRate: this.defaultFeeRate,
+      initialCapital: this.defaultInitialCapital
+    });
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Load candles from a CSV/JSON fixture file or from the price_history table
+   * @param {Object} options - Load options
+   * @param {string} options.file - Path to a .csv or .json fixture (optional)
+   * @param {string} options.symbol - Symbol stored in price_history (used when no file given)
+   * @param {string} options.startDate - ISO start date filter (optional)
+   * @param {string} options.endDate - ISO end date filter (optional)
+   * @returns {Promise<Object>} - {candles, source}
+   */
+  async loadCandles(options = {}) {
+    const { file = null, symbol = null, startDate = null, endDate = null } = options;
+
+    let candles;
+    let source;
+
+    if (file) {
+      const filePath = path.resolve(file);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Fixture file not found: ${filePath}`);
+      }
+
+      const content = fs.readFileSync(filePath, 'utf8');
+      if (filePath.toLowerCase().endsWith('.json')) {
+        const parsed = JSON.parse(content);
+        candles = normalizeCandles(Array.isArray(parsed) ? parsed : parsed.data);
+      } else {
+        candles = parseCandlesCSV(content);
+      }
+      source = `file:${path.basename(filePath)}`;
+    } else {
+      if (!symbol) {
+        throw new Error('symbol is required when no fixture file is provided');
+      }
+
+      const databaseService = this.getDatabaseService();
+      const rows = await databaseService.getPriceHistory(symbol, { startDate, endDate });
+      candles = normalizeCandles(rows);
+      source = 'price_history';
+    }
+
+    // Apply date range to fixtures as well
+    const startTime = startDate ? new Date(startDate).getTime() : null;
+    const endTime = endDate ? new Date(endDate).getTime() : null;
+    candles = candles.filter(candle =>
+      (startTime === null || candle.timestamp >= startTime) &&
+      (endTime === null || candle.timestamp <= endTime)
+    );
+
+    return { candles, source };
+  }
+
+  /**
+   * Analyze a single bar with the requested strategy
+   * @param {BaseStrategy} strategy - Registered strategy
+   * @param {Array} history - The strategy's lookback window up to and including the current bar (oldest first)
+   * @param {Object} state - Replay state (lastExecutionTime)
+   * @param {Object} config - Resolved strategy config
+   * @returns {Object} - Analysis result
+   */
+  analyzeBar(strategy, history, state, config = {}) {
+    const currentBar = history[history.length - 1];
+
+    return strategy.evaluate(history, config, {
+      lastExecutionTime: state.lastExecutionTime,
+      currentTime: currentBar.timestamp
+    });
+  }
+
+  /**
+   * Replay candles bar by bar through a strategy and simulate fills
+   * @param {Array} candles - Candles sorted oldest first
+   * @param {Object} options - Simulation options
+   * @returns {Object} - Backtest metrics, trades and equity curve
+   */
+  simulate(candles, options = {}) {
+    const {
+      strategy = 'golden_cross',
+      strategyOptions = {},
+      initialCapital = this.defaultInitialCapital,
+      tradeAmount = 100, // Quote amount per BUY signal
+      slippage = this.defaultSlippage,
+      feeRate = this.defaultFeeRate,
+      minimumConfidence = null, // null = the strategy's own threshold
+      periodsPerYear = null, // null = inferred from the median bar spacing
+      closeAtEnd = true
+    } = options;
+
+    if (!strategyRegistry.has(strategy)) {
+      throw new Error(`Unsupported backtest strategy: ${strategy} (registered: ${strategyRegistry.names().join(', ')})`);
+    }
+
+    const plugin = strategyRegistry.get(strategy);
+    const config = plugin.resolveConfig({ amount: tradeAmount, ...strategyOptions });
+    const confidenceThreshold = minimumConfidence ?? plugin.minimumConfidence;
+
+    if (!Array.isArray(candles) || candles.length === 0) {
+      throw new Error('No candles available for backtest');
+    }
+
+    const annualPeriods = periodsPerYear ?? inferPeriodsPerYear(candles);
+
+    let cash = initialCapital;
+    let lots = []; // Open lots: {units, cost, openedAt}
+    const trades = [];
+    const closedLots = [];
+    const equityCurve = [];
+    const state = { lastExecutionTime: null };
+    let totalFees = 0;
+
+    const sellAll = (candle, reason) => {
+      const units = lots.reduce((sum, lot) => sum + lot.units, 0);
+      if (units <= 0) return;
+
+      const fill = simulateFill({ side: 'SELL', price: candle.close, quantity: units, slippage, feeRate });
+      cash += fill.quoteAmount;
+      totalFees += fill.fee;
+
+      // Allocate proceeds to each lot pro rata to realize per-lot PnL
+      for (const lot of lots) {
+        const proceeds = fill.quoteAmount * (lot.units / units);
+        closedLots.push({
+          openedAt: lot.openedAt,
+          closedAt: candle.date,
+          units: lot.units,
+          cost: lot.cost,
+          proceeds,
+          pnl: proceeds - lot.cost
+        });
+      }
+      lots = [];
+
+      trades.push({ date: candle.date, reason, ...fill });
+    };
+
+    // Each bar sees the lookback the strategy gets live, so a replay stays linear in bars
+    const { lookbackDays, minCandles } = plugin.getDataRequirements(config);
+    const lookbackMs = lookbackDays * 24 * 60 * 60 * 1000;
+    let windowStart = 0;
+
+    for (let i = 0; i < candles.length; i++) {
+      const candle = candles[i];
+      while (i + 1 - windowStart > minCandles && candle.timestamp - candles[windowStart].timestamp > lookbackMs) {
+        windowStart++;
+      }
+      const analysis = this.analyzeBar(plugin, candles.slice(windowStart, i + 1), state, config);
+      const actionable = plugin.isActionable(analysis, confidenceThreshold);
+
+      if (actionable && analysis.signal === 'BUY') {
+        const spend = Math.min(plugin.getTradeAmount(analysis, config, tradeAmount), cash);
+        if (spend > 0) {
+          const fill = simulateFill({ side: 'BUY', price: candle.close, quantity: spend, slippage, feeRate });
+          cash -= fill.quoteAmount;
+          totalFees += fill.fee;
+          lots.push({ units: fill.units, cost: fill.quoteAmount, openedAt: candle.date });
+          trades.push({ date: candle.date, reason: (analysis.reasons || []).join('; '), ...fill });
+          state.lastExecutionTime = candle.timestamp;
+        }
+      } else if (actionable && analysis.signal === 'SELL') {
+        sellAll(candle, (analysis.reasons || []).join('; '));
+      }
+
+      const units = lots.reduce((sum, lot) => sum + lot.units, 0);
+      equityCurve.push({
+        date: candle.date,
+        price: candle.close,
+        cash,
+        units,
+        equity: cash + units * candle.close
+      });
+    }
+
+    if (closeAtEnd && lots.length > 0) {
+      const lastCandle = candles[candles.length - 1];
+      sellAll(lastCandle, 'Backtest ended - position closed');
+      equityCurve[equityCurve.length - 1] = {
+        ...equityCurve[equityCurve.length - 1],
+        cash,
+        units: 0,
+        equity: cash
+      };
+    }
+
+    const equityValues = equityCurve.map(point => point.equity);
+    const finalEquity = equityValues[equityValues.length - 1];
+    const winStats = calculateWinRate(closedLots);
+
+    return {
+      strategy,
+      periodStart: candles[0].date,
+      periodEnd: candles[candles.length - 1].date,
+      bars: candles.length,
+      initialCapital,
+      finalEquity,
+      totalPnL: finalEquity - initialCapital,
+      totalReturn: (finalEquity - initialCapital) / initialCapital,
+      totalFees,
+      fills: trades.length,
+      ...winStats,
+      maxDrawdown: calculateMaxDrawdown(equityValues),
+      sharpeRatio: calculateSharpeRatio(calculateReturns(equityValues), annualPeriods),
+      settings: { tradeAmount, slippage, feeRate, minimumConfidence: confidenceThreshold, periodsPerYear: annualPeriods },
+      trades,
+      closedLots,
+      equityCurve
+    };
+  }
+
+  /**
+   * Run a backtest end to end: load candles, replay, and record performance
+   * @param {Object} options - Backtest options
+   * @param {string} options.strategy - Registered strategy name
+   * @param {string} options.symbol - Monitored symbol or price_history symbol
+   * @param {string} options.file - Optional CSV/JSON fixture instead of price_history
+   * @param {boolean} options.save - Store results in strategy_performance (default: true)
+   * @returns {Promise<Object>} - Backtest result
+   */
+  async runBacktest(options = {}) {
+    const {
+      strategy = 'golden_cross',
+      symbol = null,
+      file = null,
+      startDate = null,
+      endDate = null,
+      save = true,
+      ...simulationOptions
+    } = options;
+
+    try {
+      let historySymbol = symbol;
+      let strategyOptions = simulationOptions.strategyOptions || {};
+
+      // Resolve monitored symbols to the gala_symbol their price history is stored under
+      if (symbol && !file) {
+        const databaseService = this.getDatabaseService();
+        const symbolData = await databaseService.getMonitoredSymbol(symbol);
+        if (symbolData) {
+          historySymbol = symbolData.gala_symbol || symbol;
+          strategyOptions = {
+            ...(symbolData.strategy_config?.[strategy] || {}),
+            ...strategyOptions
+          };
+        }
+      }
+
+      const { candles, source } = await this.loadCandles({ file, symbol: historySymbol, startDate, endDate });
+
+      if (candles.length === 0) {
+        return {
+          success: false,
+          error: `No historical candles found for ${symbol || file}`,
+          strategy,
+          symbol
+        };
+      }
+
+      this.logger.info(`🧪 Backtesting ${strategy.toUpperCase()} on ${symbol || file}: ${candles.length} bars from ${source}`);
+
+      const result = this.simulate(candles, { ...simulationOptions, strategy, strategyOptions });
+
+      let performanceId = null;
+      if (save) {
+        const databaseService = this.getDatabaseService();
+        performanceId = await databaseService.saveStrategyPerformance({
+          strategy_name: `Backtest_${strategy.toUpperCase()}${symbol ? `_${symbol}` : ''}`,
+          period_start: result.periodStart,
+          period_end: result.periodEnd,
+          total_trades: result.totalTrades,
+          winning_trades: result.winningTrades,
+          losing_trades: result.losingTrades,
+          total_pnl: result.totalPnL,
+          max_drawdown: result.maxDrawdown,
+          sharpe_ratio: result.sharpeRatio
+        });
+      }
+
+      this.logger.info(`📊 Backtest complete: PnL ${result.totalPnL.toFixed(4)}, win rate ${(result.winRate * 100).toFixed(1)}%, max drawdown ${(result.maxDrawdown * 100).toFixed(2)}%`);
+
+      return {
+        success: true,
+        symbol,
+        source,
+        performanceId,
+        ...result,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Error running backtest:', error);
+      return {
+        success: false,
+        error: error.message,
+        strategy,
+        symbol,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+}
+
+module.exports = BacktestService;
@@ -0,0 +1,581 @@
+const crypto = require('crypto');
+const BaseService = require('./BaseService');
+const { DiscordChannel, TelegramChannel } = require('../notifications');
+
+// Commands the bots answer; confirm: true asks for a confirmation code before running
+const BOT_COMMANDS = {
+  help: { description: 'List available commands' },
+  status: { description: 'Trading mode, automated trading and kill switch status' },
+  balance: { description: 'GALA wallet balance' },
+  positions: { description: 'Open positions' },
+  closeall: { description: 'Close every open position back to GALA', confirm: true },
+  pause: { description: 'Pause automated trading' },
+  resume: { description: 'Resume automated trading', confirm: true },
+  confirm: { description: 'Confirm a pending action', options: [{ name: 'code', description: 'Confirmation code', required: true }] }
+};
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+
+// Discord interaction types and response types
+const DISCORD_INTERACTION = { PING: 1, APPLICATION_COMMAND: 2, MESSAGE_COMPONENT: 3 };
+const DISCORD_RESPONSE = { PONG: 1, CHANNEL_MESSAGE: 4, DEFERRED_CHANNEL_MESSAGE: 5 };
+const DISCORD_EPHEMERAL = 64;
+
+// DER prefix turning a raw 32 byte Ed25519 public key into an SPKI key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const COLORS = { INFO: 0x0099ff, SUCCESS: 0x00ff00, WARNING: 0xffa500, ERROR: 0xff0000 };
+
+/**
+ * Parse a comma separated list of user ids
+ * @param {string} value - "123,456"
+ * @returns {Set<string>}
+ */
+function parseUserIds(value) {
+  return new Set(String(value || '').split(',').map(id => id.trim()).filter(Boolean));
+}
+
+/**
+ * Bot Command Service - Answers commands sent to the Discord and Telegram bots
+ * Discord posts slash commands to the interactions endpoint, Telegram posts updates to the bot webhook;
+ * both are mapped to the same service calls. Only allowlisted user ids may run commands, and destructive
+ * ones (closeall, resume) only run after the user replies with a single-use confirmation code
+ */
+class BotCommandService extends BaseService {
+  constructor() {
+    super('BotCommandService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.schedulerService = null;
+    this.riskManagerService = null;
+    this.allowedUsers = { discord: new Set(), telegram: new Set() };
+    this.pendingConfirmations = new Map(); // `${platform}:${userId}` -> {command, args, code, expiresAt}
+    this.confirmTtlMs = 60000;
+    this.discordPublicKey = null;
+    this.discordDeadlineMs = 2500; // Discord drops interactions not answered within 3 seconds
+    this.telegramWebhookSecret = null;
+  }
+
+  /**
+   * Initialize the command settings
+   */
+  async onInit() {
+    this.allowedUsers = {
+      discord: parseUserIds(this.config.get('DISCORD_ALLOWED_USER_IDS')),
+      telegram: parseUserIds(this.config.get('TELEGRAM_ALLOWED_USER_IDS'))
+    };
+    this.confirmTtlMs = parseInt(this.config.get('BOT_CONFIRM_TTL_MS', 60000));
+    this.telegramWebhookSecret = this.config.get('TELEGRAM_WEBHOOK_SECRET') || null;
+
+    const publicKey = this.config.get('DISCORD_PUBLIC_KEY');
+    if (publicKey) {
+      this.discordPublicKey = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+        format: 'der',
+        type: 'spki'
+      });
+    }
+
+    for (const platform of ['discord', 'telegram']) {
+      if (this.isPlatformEnabled(platform) && this.allowedUsers[platform].size === 0) {
+        this.logger.warn(`${platform} bot commands enabled without allowed user ids - every command will be refused`);
+      }
+    }
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Get scheduler service (lazy initialization)
+   * @returns {SchedulerService} Scheduler service instance
+   */
+  getSchedulerService() {
+    if (!this.schedulerService) {
+      const ServiceManager = require('./ServiceManager');
+      this.schedulerService = ServiceManager.get('scheduler');
+    }
+    return this.schedulerService;
+  }
+
+  /**
+   * Get risk manager service (lazy initialization)
+   * @returns {RiskManagerService} Risk manager service instance
+   */
+  getRiskManagerService() {
+    if (!this.riskManagerService) {
+      const ServiceManager = require('./ServiceManager');
+      this.riskManagerService = ServiceManager.get('riskManager');
+    }
+    return this.riskManagerService;
+  }
+
+  /**
+   * Whether a platform's inbound endpoint is configured
+   * @param {string} platform - discord | telegram
+   * @returns {boolean}
+   */
+  isPlatformEnabled(platform) {
+    return platform === 'discord' ? this.discordPublicKey !== null : this.telegramWebhookSecret !== null;
+  }
+
+  /**
+   * Whether a user may run commands
+   * @param {string} platform - discord | telegram
+   * @param {string} userId - Platform user id
+   * @returns {boolean}
+   */
+  isAllowed(platform, userId) {
+    return Boolean(userId) && (this.allowedUsers[platform]?.has(String(userId)) || false);
+  }
+
+  /**
+   * Handle a command from an allowlisted user
+   * @param {Object} request - {platform, userId, command, args}
+   * @returns {Promise<Object>} - Channel-neutral reply {title, description, color, fields, confirmCode}
+   */
+  async handleCommand(request) {
+    const { platform, userId, args = [] } = request;
+    const command = String(request.command || '').toLowerCase();
+
+    if (!this.isAllowed(platform, userId)) {
+      this.logger.warn(`Refused /${command} from ${platform} user ${userId} (not allowlisted)`);
+      return { title: '⛔ Not authorized', description: `${platform} user ${userId} may not control this bot`, color: COLORS.ERROR };
+    }
+
+    const definition = BOT_COMMANDS[command];
+    if (!definition) {
+      return { ...this.getHelpReply(), title: `❓ Unknown command /${command}` };
+    }
+
+    this.logger.info(`🤖 ${platform} user ${userId}: /${[command, ...args].join(' ')}`);
+
+    if (command === 'confirm') {
+      return this.confirmAction(platform, userId, args[0]);
+    }
+
+    if (definition.confirm) {
+      return this.requestConfirmation(platform, userId, command, args);
+    }
+
+    return this.runCommand(command, args, `${platform}:${userId}`);
+  }
+
+  /**
+   * Hold a destructive command until the user confirms it
+   * A new request replaces the user's previous pending one
+   * @param {string} platform - discord | telegram
+   * @param {string} userId - Platform user id
+   * @param {string} command - Command name
+   * @param {string[]} args - Command arguments
+   * @returns {Object} - Reply asking for the code
+   */
+  requestConfirmation(platform, userId, command, args) {
+    const code = crypto.randomBytes(3).toString('hex');
+    this.pendingConfirmations.set(`${platform}:${userId}`, {
+      command,
+      args,
+      code,
+      expiresAt: Date.now() + this.confirmTtlMs
+    });
+
+    return {
+      title: `⚠️ Confirm /${command}`,
+      description: `${BOT_COMMANDS[command].description}. Send **/confirm ${code}** within ${Math.round(this.confirmTtlMs / 1000)}s to proceed.`,
+      color: COLORS.WARNING,
+      confirmCode: code
+    };
+  }
+
+  /**
+   * Run a pending command when the code matches
+   * Codes are single-use: a wrong code cancels the pending command
+   * @param {string} platform - discord | telegram
+   * @param {string} userId - Platform user id
+   * @param {string} code - Confirmation code
+   * @returns {Promise<Object>} - Command reply
+   */
+  async confirmAction(platform, userId, code) {
+    const key = `${platform}:${userId}`;
+    const pending = this.pendingConfirmations.get(key);
+    this.pendingConfirmations.delete(key);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      return { title: 'Nothing to confirm', description: 'No pending action, or it expired - send the command again', color: COLORS.WARNING };
+    }
+
+    if (!code || code.toLowerCase() !== pending.code) {
+      return { title: '❌ Wrong confirmation code', description: `/${pending.command} cancelled`, color: COLORS.ERROR };
+    }
+
+    return this.runCommand(pending.command, pending.args, key);
+  }
+
+  /**
+   * Run a command
+   * @param {string} command - Command name
+   * @param {string[]} args - Command arguments
+   * @param {string} requestedBy - `${platform}:${userId}`
+   * @returns {Promise<Object>} - Command reply
+   */
+  async runCommand(command, args, requestedBy) {
+    try {
+      switch (command) {
+        case 'status':
+          return await this.getStatusReply();
+        case 'balance':
+          return await this.getBalanceReply();
+        case 'positions':
+          return await this.getPositionsReply();
+        case 'closeall':
+          return await this.closeAllPositions(args);
+        case 'pause': {
+          const state = await this.getSchedulerService().pauseAutomatedTrading(requestedBy);
+          return { title: '⏸️ Automated trading paused', description: `Paused since ${state.pausedAt} by ${state.pausedBy}`, color: COLORS.WARNING };
+        }
+        case 'resume':
+          await this.getSchedulerService().resumeAutomatedTrading(requestedBy);
+          return { title: '▶️ Automated trading resumed', description: `Resumed by ${requestedBy}`, color: COLORS.SUCCESS };
+        default:
+          return this.getHelpReply();
+      }
+    } catch (error) {
+      this.logger.error(`Bot command /${command} failed:`, error);
+      return { title: `🚨 /${command} failed`, description: error.message, color: COLORS.ERROR };
+    }
+  }
+
+  /**
+   * @returns {Object} - Command list reply
+   */
+  getHelpReply() {
+    return {
+      title: '🤖 Gala Trading Bot commands',
+      description: Object.entries(BOT_COMMANDS)
+        .map(([name, definition]) => `**/${name}**${definition.options ? ` <${definition.options[0].name}>` : ''} - ${definition.description}${definition.confirm ? ' (asks for confirmation)' : ''}`)
+        .join('\n'),
+      color: COLORS.INFO
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} - Trading status reply
+   */
+  async getStatusReply() {
+    const trading = this.getTradingService().getStatus();
+    const pause = await this.getSchedulerService().getPauseState();
+    const { killSwitch } = this.getRiskManagerService();
+
+    return {
+      title: '📟 Trading status',
+      color: pause.paused || killSwitch.engaged ? COLORS.WARNING : COLORS.SUCCESS,
+      fields: [
+        { name: 'Mode', value: `${trading.isDryRun ? 'DRY RUN' : 'LIVE'} (${trading.exchangeMode})`, inline: true },
+        { name: 'Automated trading', value: pause.paused ? `Paused since ${pause.pausedAt} by ${pause.pausedBy}` : 'Running', inline: true },
+        { name: 'Kill switch', value: killSwitch.engaged ? `ENGAGED: ${killSwitch.reason}` : 'off', inline: true },
+        { name: 'Last trade', value: trading.lastTradeTime ? new Date(trading.lastTradeTime).toISOString() : 'none', inline: true },
+        { name: 'Can trade now', value: trading.canTrade ? 'yes' : 'no (cooldown)', inline: true }
+      ]
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} - GALA balance reply
+   */
+  async getBalanceReply() {
+    const balance = await this.getTradingService().getGalaBalance();
+    if (!balance.success) {
+      throw new Error(balance.error);
+    }
+
+    return { title: '💰 GALA balance', description: `**${balance.balance}** GALA`, color: COLORS.INFO };
+  }
+
+  /**
+   * @returns {Promise<Object>} - Open positions reply (first 10)
+   */
+  async getPositionsReply() {
+    const positions = await this.getDatabaseService().getOpenPositions();
+    if (positions.length === 0) {
+      return { title: '📭 No open positions', color: COLORS.INFO };
+    }
+
+    return {
+      title: `📈 ${positions.length} open position(s)`,
+      color: COLORS.INFO,
+      fields: positions.slice(0, 10).map(position => ({
+        name: `#${position.id} ${position.symbol}`,
+        value: `${position.token_amount} ${position.token_symbol} for ${position.entry_amount} GALA (${position.strategy})`
+      })),
+      footer: positions.length > 10 ? { text: `${positions.length - 10} more not shown` } : undefined
+    };
+  }
+
+  /**
+   * Close every open position
+   * @param {string[]} args - ['force'] closes regardless of profit / loss thresholds
+   * @returns {Promise<Object>} - Close all reply
+   */
+  async closeAllPositions(args) {
+    const result = await this.getTradingService().closeAllPositions({ force: args.includes('force') });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      title: '🔄 Close all positions',
+      description: result.message,
+      color: result.positionsFailed > 0 ? COLORS.WARNING : COLORS.SUCCESS,
+      fields: [
+        { name: 'Closed', value: String(result.positionsClosed), inline: true },
+        { name: 'Failed', value: String(result.positionsFailed), inline: true },
+        { name: 'GALA recovered', value: Number(result.totalGalaRecovered || 0).toFixed(4), inline: true }
+      ]
+    };
+  }
+
+  /**
+   * Verify the Ed25519 signature Discord puts on every interaction request
+   * @param {string} signature - X-Signature-Ed25519 header (hex)
+   * @param {string} timestamp - X-Signature-Timestamp header
+   * @param {Buffer} rawBody - Raw request body
+   * @returns {boolean}
+   */
+  verifyDiscordRequest(signature, timestamp, rawBody) {
+    if (!this.discordPublicKey || !signature || !timestamp || !rawBody) {
+      return false;
+    }
+
+    try {
+      return crypto.verify(
+        null,
+        Buffer.concat([Buffer.from(timestamp), rawBody]),
+        this.discordPublicKey,
+        Buffer.from(signature, 'hex')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Answer a Discord interaction
+   * Commands still running near Discord's deadline get a deferred response and their reply is sent as an edit
+   * @param {Object} interaction - Verified interaction payload
+   * @returns {Promise<Object>} - Interaction response
+   */
+  async handleDiscordInteraction(interaction) {
+    if (interaction.type === DISCORD_INTERACTION.PING) {
+      return { type: DISCORD_RESPONSE.PONG };
+    }
+
+    const userId = interaction.member?.user?.id || interaction.user?.id;
+    let command;
+    let args;
+
+    if (interaction.type === DISCORD_INTERACTION.MESSAGE_COMPONENT) {
+      // The confirm button carries the code in its custom id
+      [command, ...args] = String(interaction.data?.custom_id || '').split(':');
+    } else {
+      command = interaction.data?.name;
+      args = (interaction.data?.options || []).map(option => String(option.value));
+    }
+
+    const pending = this.handleCommand({ platform: 'discord', userId, command, args });
+    const reply = await Promise.race([
+      pending,
+      new Promise(resolve => setTimeout(resolve, this.discordDeadlineMs, null))
+    ]);
+
+    if (reply) {
+      return { type: DISCORD_RESPONSE.CHANNEL_MESSAGE, data: this.formatDiscordReply(reply) };
+    }
+
+    pending
+      .then(lateReply => this.editDiscordResponse(interaction, lateReply))
+      .catch(error => this.logger.error('Failed to send deferred Discord reply:', error.message));
+
+    return { type: DISCORD_RESPONSE.DEFERRED_CHANNEL_MESSAGE, data: { flags: DISCORD_EPHEMERAL } };
+  }
+
+  /**
+   * Render a reply as ephemeral Discord message data, with a button for confirmation requests
+   * @param {Object} reply - Channel-neutral reply
+   * @returns {Object}
+   */
+  formatDiscordReply(reply) {
+    const { confirmCode, ...message } = reply;
+    // format() only reads the message, so the notification formatter renders replies too
+    const data = { ...DiscordChannel.prototype.format.call(null, message), flags: DISCORD_EPHEMERAL };
+
+    if (confirmCode) {
+      data.components = [{
+        type: 1,
+        components: [{ type: 2, style: 4, label: 'Confirm', custom_id: `confirm:${confirmCode}` }]
+      }];
+    }
+    return data;
+  }
+
+  /**
+   * Replace a deferred interaction response with the reply
+   * @param {Object} interaction - Interaction payload (application_id, token)
+   * @param {Object} reply - Channel-neutral reply
+   * @returns {Promise<void>}
+   */
+  async editDiscordResponse(interaction, reply) {
+    const response = await fetch(`${DISCORD_API_URL}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.formatDiscordReply(reply)),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+  }
+
+  /**
+   * Verify the secret Telegram sends with every webhook update
+   * @param {string} secret - X-Telegram-Bot-Api-Secret-Token header
+   * @returns {boolean}
+   */
+  verifyTelegramRequest(secret) {
+    if (!this.telegramWebhookSecret || !secret) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.telegramWebhookSecret);
+    const received = Buffer.from(secret);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Answer a Telegram update
+   * The reply is returned as a sendMessage method call, which Telegram runs from the webhook response
+   * @param {Object} update - Verified update payload
+   * @returns {Promise<Object|null>} - sendMessage call, null when the update is not a command
+   */
+  async handleTelegramUpdate(update) {
+    const message = update.message;
+    if (!message?.text?.startsWith('/')) {
+      return null;
+    }
+
+    // "/closeall@GalaBot force" -> closeall, ['force']
+    const [head, ...args] = message.text.trim().split(/\s+/);
+    const command = head.slice(1).split('@')[0];
+
+    const reply = await this.handleCommand({ platform: 'telegram', userId: String(message.from?.id ?? ''), command, args });
+    const { confirmCode, ...replyMessage } = reply;
+
+    return {
+      method: 'sendMessage',
+      // format() only reads chatId, so the notification formatter renders replies too
+      ...TelegramChannel.prototype.format.call({ chatId: message.chat.id }, replyMessage),
+      reply_to_message_id: message.message_id
+    };
+  }
+
+  /**
+   * Register the slash commands with Discord
+   * @returns {Promise<Array>} - Registered commands
+   */
+  async registerDiscordCommands() {
+    const applicationId = this.config.get('DISCORD_APPLICATION_ID');
+    const botToken = this.config.get('DISCORD_BOT_TOKEN');
+    if (!applicationId || !botToken) {
+      throw new Error('DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN are required to register commands');
+    }
+
+    const commands = Object.entries(BOT_COMMANDS).map(([name, definition]) => ({
+      name,
+      description: definition.description,
+      type: 1,
+      options: (definition.options || []).map(option => ({ ...option, type: 3 })) // 3 = string
+    }));
+
+    const response = await fetch(`${DISCORD_API_URL}/applications/${applicationId}/commands`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bot ${botToken}` },
+      body: JSON.stringify(commands),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Discord command registration failed: HTTP ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Point the Telegram bot's webhook at this server and publish the command list
+   * @param {string} webhookUrl - Public URL of POST /bot/telegram/webhook
+   * @returns {Promise<void>}
+   */
+  async registerTelegramWebhook(webhookUrl) {
+    const botToken = this.config.get('TELEGRAM_BOT_TOKEN');
+    if (!botToken || !this.telegramWebhookSecret) {
+      throw new Error('TELEGRAM_BOT_TOKEN and TELEGRAM_WEBHOOK_SECRET are required to register the webhook');
+    }
+
+    const apiUrl = (this.config.get('TELEGRAM_API_URL') || 'https://api.telegram.org').replace(/\/$/, '');
+    const call = async (method, body) => {
+      const response = await fetch(`${apiUrl}/bot${botToken}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(10000)
+      });
+      const result = await response.json();
+      if (!result.ok) {
+        throw new Error(`Telegram ${method} failed: ${result.description || 'unknown error'}`);
+      }
+    };
+
+    await call('setWebhook', { url: webhookUrl, secret_token: this.telegramWebhookSecret, allowed_updates: ['message'] });
+    await call('setMyCommands', {
+      commands: Object.entries(BOT_COMMANDS).map(([command, definition]) => ({ command, description: definition.description }))
+    });
+  }
+
+  /**
+   * Get service status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      serviceName: this.serviceName,
+      isInitialized: this.isInitialized,
+      discord: { enabled: this.isPlatformEnabled('discord'), allowedUsers: this.allowedUsers.discord.size },
+      telegram: { enabled: this.isPlatformEnabled('telegram'), allowedUsers: this.allowedUsers.telegram.size },
+      pendingConfirmations: this.pendingConfirmations.size
+    };
+  }
+}
+
+BotCommandService.BOT_COMMANDS = BOT_COMMANDS;
+
+module.exports = BotCommandService;
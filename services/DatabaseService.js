@@ -2,6 +2,8 @@ const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
 const BaseService = require('./BaseService');
+const MigrationRunner = require('./MigrationRunner');
+const { calculateCostBasis, calculateScaledEntry } = require('../utils/pnl');
 
 /**
  * Database service with singleton pattern for SQLite operations
@@ -11,10 +13,13 @@ class DatabaseService extends BaseService {
     super('DatabaseService');
     this.db = null;
     this.dbPath = null;
+    this.migrationRunner = null;
+    this.isMigrating = false;
+    this.transactionQueue = Promise.resolve();
   }
 
   /**
-   * Initialize database connection and create tables
+   * Initialize database connection and apply schema migrations
    * @returns {Promise<void>}
    */
   async onInit() {
@@ -30,8 +35,13 @@ class DatabaseService extends BaseService {
     // Connect to database
     await this.connect();
     
-    // Create tables
-    await this.createTables();
+    // Apply pending schema migrations (disable with DB_AUTO_MIGRATE=false)
+    if (this.getConfig('DB_AUTO_MIGRATE') === false) {
+      this.logger.info('Automatic migrations disabled - run `npm run migrate up` to update the schema');
+      return;
+    }
+
+    await this.migrate();
     
     // Initialize default symbols if none exist
     await this.initializeDefaultSymbols();
@@ -56,161 +66,66 @@ class DatabaseService extends BaseService {
   }
 
   /**
-   * Create database tables
-   * @returns {Promise<void>}
+   * Get the schema migration runner
+   * @returns {MigrationRunner} Migration runner bound to this database
    */
-  async createTables() {
-    const tables = [
-      // Monitored symbols table
-      `CREATE TABLE IF NOT EXISTS monitored_symbols (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        symbol TEXT NOT NULL UNIQUE,
-        display_name TEXT NOT NULL,
-        yahoo_symbol TEXT NOT NULL,
-        gala_symbol TEXT NOT NULL,
-        is_active BOOLEAN NOT NULL DEFAULT 1,
-        trading_enabled BOOLEAN NOT NULL DEFAULT 1,
-        min_trade_amount REAL DEFAULT 1,
-        max_trade_amount REAL DEFAULT 100,
-        strategy_config TEXT, -- JSON string for strategy-specific config
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Trades table
-      `CREATE TABLE IF NOT EXISTS trades (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        strategy TEXT NOT NULL,
-        symbol TEXT NOT NULL,
-        side TEXT NOT NULL CHECK(side IN ('BUY', 'SELL')),
-        amount REAL NOT NULL,
-        price REAL NOT NULL,
-        total_value REAL NOT NULL,
-        slippage REAL NOT NULL,
-        fee REAL DEFAULT 0,
-        status TEXT NOT NULL DEFAULT 'PENDING' CHECK(status IN ('PENDING', 'COMPLETED', 'FAILED', 'CANCELLED')),
-        tx_hash TEXT,
-        dry_run BOOLEAN NOT NULL DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        executed_at DATETIME,
-        notes TEXT
-      )`,
-
-      // Price history table
-      `CREATE TABLE IF NOT EXISTS price_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        symbol TEXT NOT NULL,
-        price REAL NOT NULL,
-        volume REAL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        source TEXT DEFAULT 'yahoo_finance'
-      )`,
-
-      // Strategy performance table
-      `CREATE TABLE IF NOT EXISTS strategy_performance (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        strategy_name TEXT NOT NULL,
-        period_start DATETIME NOT NULL,
-        period_end DATETIME NOT NULL,
-        total_trades INTEGER DEFAULT 0,
-        winning_trades INTEGER DEFAULT 0,
-        losing_trades INTEGER DEFAULT 0,
-        total_pnl REAL DEFAULT 0,
-        max_drawdown REAL DEFAULT 0,
-        sharpe_ratio REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // System logs table
-      `CREATE TABLE IF NOT EXISTS system_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        service TEXT NOT NULL,
-        level TEXT NOT NULL CHECK(level IN ('INFO', 'WARN', 'ERROR', 'DEBUG')),
-        message TEXT NOT NULL,
-        details TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Open positions table - tracks positions waiting for buyback
-      `CREATE TABLE IF NOT EXISTS open_positions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        strategy TEXT NOT NULL,
-        symbol TEXT NOT NULL,
-        token_symbol TEXT NOT NULL, -- The token we're holding (e.g., 'GUSDC', 'GWETH')
-        gala_symbol TEXT NOT NULL, -- The GalaChain token identifier
-        entry_trade_id INTEGER NOT NULL, -- Reference to the initial SELL trade
-        entry_price REAL NOT NULL, -- Price when we sold GALA for the token
-        entry_amount REAL NOT NULL, -- Amount of GALA we sold
-        token_amount REAL NOT NULL, -- Amount of tokens we received
-        profit_threshold REAL NOT NULL DEFAULT 0.05, -- +5% profit threshold
-        loss_threshold REAL NOT NULL DEFAULT -0.02, -- -2% loss threshold
-        retry_count INTEGER DEFAULT 0, -- Number of buyback retry attempts
-        status TEXT NOT NULL DEFAULT 'OPEN' CHECK(status IN ('OPEN', 'CLOSED', 'FAILED')),
-        close_trade_id INTEGER, -- Reference to the buyback trade when closed
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        closed_at DATETIME,
-        notes TEXT,
-        FOREIGN KEY (entry_trade_id) REFERENCES trades(id),
-        FOREIGN KEY (close_trade_id) REFERENCES trades(id)
-      )`
-    ];
-
-    for (const tableSql of tables) {
-      await this.run(tableSql);
+  getMigrationRunner() {
+    if (!this.migrationRunner) {
+      this.migrationRunner = new MigrationRunner(this);
     }
+    return this.migrationRunner;
+  }
 
-    // Add gala_symbol column if it doesn't exist (migration for existing databases)
+  /**
+   * Run schema migration work, allowing queries before the service is initialized
+   * @param {Function} work - Async work using the migration runner
+   * @returns {Promise<*>} Result of the work
+   */
+  async withMigrations(work) {
+    this.isMigrating = true;
     try {
-      await this.run(`ALTER TABLE monitored_symbols ADD COLUMN gala_symbol TEXT`);
-      this.logger.info('Added gala_symbol column to monitored_symbols table');
-    } catch (error) {
-      // Column might already exist, which is fine
-      if (!error.message.includes('duplicate column name')) {
-        this.logger.warn('Error adding gala_symbol column:', error.message);
-      }
+      return await work(this.getMigrationRunner());
+    } finally {
+      this.isMigrating = false;
     }
+  }
 
-    // Add retry_count column to open_positions if it doesn't exist (migration for existing databases)
-    try {
-      await this.run(`ALTER TABLE open_positions ADD COLUMN retry_count INTEGER DEFAULT 0`);
-      this.logger.info('Added retry_count column to open_positions table');
-    } catch (error) {
-      // Column might already exist, which is fine
-      if (!error.message.includes('duplicate column name')) {
-        this.logger.warn('Error adding retry_count column:', error.message);
-      }
+  /**
+   * Apply pending schema migrations
+   * @param {Object} options - Options passed to MigrationRunner.up ({to})
+   * @returns {Promise<Array>} Applied migrations
+   */
+  async migrate(options = {}) {
+    const applied = await this.withMigrations(runner => runner.up(options));
+
+    for (const migration of applied) {
+      this.logger.info(`Applied migration ${migration.version}_${migration.name}`);
     }
 
-    // Create indexes for better performance
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_monitored_symbols_active ON monitored_symbols(is_active, trading_enabled)',
-      'CREATE INDEX IF NOT EXISTS idx_trades_symbol_created ON trades(symbol, created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_price_history_symbol_timestamp ON price_history(symbol, timestamp)',
-      'CREATE INDEX IF NOT EXISTS idx_strategy_performance_name ON strategy_performance(strategy_name)',
-      'CREATE INDEX IF NOT EXISTS idx_system_logs_service_timestamp ON system_logs(service, timestamp)'
-    ];
+    return applied;
+  }
 
-    for (const indexSql of indexes) {
-      await this.run(indexSql);
-    }
+  /**
+   * Roll back schema migrations
+   * @param {Object} options - Options passed to MigrationRunner.down ({steps, to})
+   * @returns {Promise<Array>} Rolled back migrations
+   */
+  async rollbackMigrations(options = {}) {
+    const rolledBack = await this.withMigrations(runner => runner.down(options));
 
-    this.logger.info('Database tables and indexes created successfully');
-    
-    // Update existing GALA symbol with gala_symbol if missing
-    try {
-      const existingGala = await this.get(
-        "SELECT * FROM monitored_symbols WHERE symbol = 'GALA'"
-      );
-      
-      if (existingGala && !existingGala.gala_symbol) {
-        await this.run(
-          `UPDATE monitored_symbols SET gala_symbol = 'GALA|Unit|none|none' WHERE symbol = 'GALA'`
-        );
-        this.logger.info("Updated GALA symbol with gala_symbol format");
-      }
-    } catch (error) {
-      this.logger.warn("Error updating GALA symbol with gala_symbol:", error.message);
+    for (const migration of rolledBack) {
+      this.logger.info(`Rolled back migration ${migration.version}_${migration.name}`);
     }
+
+    return rolledBack;
+  }
+
+  /**
+   * Get schema migration status
+   * @returns {Promise<Object>} Status {currentVersion, pending, migrations}
+   */
+  async getMigrationStatus() {
+    return await this.withMigrations(runner => runner.status());
   }
 
   /**
@@ -221,7 +136,7 @@ class DatabaseService extends BaseService {
    */
   async run(sql, params = []) {
     // Don't check initialization during table creation
-    if (!this.isInitialized && !sql.includes('CREATE TABLE') && !sql.includes('CREATE INDEX')) {
+    if (!this.isInitialized && !this.isMigrating && !sql.includes('CREATE TABLE') && !sql.includes('CREATE INDEX')) {
       this.ensureInitialized();
     }
     
@@ -247,7 +162,7 @@ class DatabaseService extends BaseService {
    */
   async get(sql, params = []) {
     // Don't check initialization during setup queries
-    if (!this.isInitialized && !sql.includes('sqlite_master') && !sql.includes('SELECT 1')) {
+    if (!this.isInitialized && !this.isMigrating && !sql.includes('sqlite_master') && !sql.includes('SELECT 1')) {
       this.ensureInitialized();
     }
     
@@ -270,7 +185,7 @@ class DatabaseService extends BaseService {
    */
   async all(sql, params = []) {
     // Don't check initialization during setup queries
-    if (!this.isInitialized && !sql.includes('sqlite_master')) {
+    if (!this.isInitialized && !this.isMigrating && !sql.includes('sqlite_master')) {
       this.ensureInitialized();
     }
     
@@ -287,51 +202,65 @@ class DatabaseService extends BaseService {
 
   /**
    * Execute multiple statements in a transaction
+   * SQLite allows one transaction per connection, so overlapping callers are queued and run one after another
    * @param {Array} statements - Array of {sql, params} objects
    * @returns {Promise<Array>} Array of results
    */
   async transaction(statements) {
     this.ensureInitialized();
-    
+
+    const result = this.transactionQueue.then(() => this.runTransaction(statements));
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Run statements inside BEGIN/COMMIT, rolling back on the first error
+   * @param {Array} statements - Array of {sql, params} objects
+   * @returns {Promise<Array>} Array of results
+   */
+  runTransaction(statements) {
+    const db = this.db;
+
     return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION');
-        
-        const results = [];
-        let completed = 0;
-        let hasError = false;
-
-        const executeNext = (index) => {
-          if (index >= statements.length) {
-            if (!hasError) {
-              this.db.run('COMMIT', (err) => {
-                if (err) {
-                  reject(err);
-                } else {
-                  resolve(results);
-                }
-              });
-            }
-            return;
-          }
+      const results = [];
+
+      const fail = (err) => {
+        db.run('ROLLBACK', () => reject(err));
+      };
 
-          const { sql, params } = statements[index];
-          this.db.run(sql, params, function(err) {
-            if (err && !hasError) {
-              hasError = true;
-              this.db.run('ROLLBACK');
-              reject(err);
-            } else if (!hasError) {
-              results.push({
-                changes: this.changes,
-                lastID: this.lastID
-              });
-              executeNext(index + 1);
+      const executeNext = (index) => {
+        if (index >= statements.length) {
+          db.run('COMMIT', (err) => {
+            if (err) {
+              fail(err);
+            } else {
+              resolve(results);
             }
           });
-        };
+          return;
+        }
+
+        const { sql, params } = statements[index];
+        db.run(sql, params, function(err) {
+          if (err) {
+            fail(err);
+          } else {
+            results.push({
+              changes: this.changes,
+              lastID: this.lastID
+            });
+            executeNext(index + 1);
+          }
+        });
+      };
 
-        executeNext(0);
+      db.run('BEGIN TRANSACTION', (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          executeNext(0);
+        }
       });
     });
   }
@@ -386,6 +315,32 @@ class DatabaseService extends BaseService {
     }
   }
 
+  /**
+   * Get the monitored symbol trading a GalaChain token
+   * @param {string} galaSymbol - GalaChain token identifier (e.g. 'GUSDC|Unit|none|none')
+   * @returns {Promise<Object|null>} Symbol data or null
+   */
+  async getMonitoredSymbolByToken(galaSymbol) {
+    try {
+      const result = await this.get(
+        'SELECT * FROM monitored_symbols WHERE gala_symbol = ? ORDER BY is_active DESC, id LIMIT 1',
+        [galaSymbol]
+      );
+
+      if (!result) return null;
+
+      return {
+        ...result,
+        strategy_config: result.strategy_config ? JSON.parse(result.strategy_config) : null,
+        is_active: !!result.is_active,
+        trading_enabled: !!result.trading_enabled
+      };
+    } catch (error) {
+      this.logger.error('Error getting monitored symbol by token:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add or update a monitored symbol
    * @param {Object} symbolData - Symbol data to insert/update
@@ -401,7 +356,9 @@ class DatabaseService extends BaseService {
       trading_enabled = true,
       min_trade_amount = 1,
       max_trade_amount = 100,
-      strategy_config = null
+      strategy_config = null,
+      max_price_impact = null,
+      max_oracle_deviation = null
     } = symbolData;
 
     if (!gala_symbol) {
@@ -423,10 +380,12 @@ class DatabaseService extends BaseService {
           `UPDATE monitored_symbols 
            SET display_name = ?, yahoo_symbol = ?, gala_symbol = ?, is_active = ?, trading_enabled = ?,
                min_trade_amount = ?, max_trade_amount = ?, strategy_config = ?,
+               max_price_impact = ?, max_oracle_deviation = ?,
                updated_at = CURRENT_TIMESTAMP
            WHERE symbol = ?`,
           [display_name, yahoo_symbol, gala_symbol, is_active ? 1 : 0, trading_enabled ? 1 : 0,
-           min_trade_amount, max_trade_amount, strategyConfigStr, symbol]
+           min_trade_amount, max_trade_amount, strategyConfigStr,
+           max_price_impact, max_oracle_deviation, symbol]
         );
         
         return { action: 'updated', changes: result.changes, symbol };
@@ -435,10 +394,10 @@ class DatabaseService extends BaseService {
         const result = await this.run(
           `INSERT INTO monitored_symbols 
            (symbol, display_name, yahoo_symbol, gala_symbol, is_active, trading_enabled,
-            min_trade_amount, max_trade_amount, strategy_config)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            min_trade_amount, max_trade_amount, strategy_config, max_price_impact, max_oracle_deviation)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [symbol, display_name, yahoo_symbol, gala_symbol, is_active ? 1 : 0, trading_enabled ? 1 : 0,
-           min_trade_amount, max_trade_amount, strategyConfigStr]
+           min_trade_amount, max_trade_amount, strategyConfigStr, max_price_impact, max_oracle_deviation]
         );
         
         return { action: 'inserted', id: result.lastID, symbol };
@@ -653,21 +612,27 @@ class DatabaseService extends BaseService {
       tx_hash = null,
       dry_run = false,
       executed_at = null,
-      notes = null
+      notes = null,
+      wallet_id = 1,
+      execution_algo = null,
+      parent_trade_id = null,
+      expected_output = null
     } = tradeData;
 
     try {
       const sql = `
         INSERT INTO trades (
           strategy, symbol, side, amount, price, total_value, 
-          slippage, fee, status, tx_hash, dry_run, executed_at, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          slippage, fee, status, tx_hash, dry_run, executed_at, notes, wallet_id,
+          execution_algo, parent_trade_id, expected_output
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       const result = await this.run(sql, [
         strategy, symbol, side, amount, price, total_value,
         slippage, fee, status, tx_hash, dry_run ? 1 : 0, 
-        executed_at || new Date().toISOString(), notes
+        executed_at || new Date().toISOString(), notes, wallet_id,
+        execution_algo, parent_trade_id, expected_output
       ]);
 
       this.logger.info(`Trade logged: ${strategy} ${side} ${amount} ${symbol}`, {
@@ -686,10 +651,11 @@ class DatabaseService extends BaseService {
   /**
    * Get the last trade execution time for a specific strategy
    * @param {string} strategy - Strategy name (e.g., 'DCA', 'GoldenCross')
-   * @param {string} symbol - Symbol to filter by (optional)
+   * @param {string|string[]} symbol - Symbol or symbols to filter by (optional)
+   * @param {Object} options - {dryRun: false leaves out dry run trades, a live bot is not dated by simulated ones}
    * @returns {Promise<string|null>} - Last execution timestamp or null
    */
-  async getLastTradeExecution(strategy, symbol = null) {
+  async getLastTradeExecution(strategy, symbol = null, options = {}) {
     try {
       let sql = `
         SELECT executed_at
@@ -699,8 +665,13 @@ class DatabaseService extends BaseService {
       const params = [strategy];
 
       if (symbol) {
-        sql += ' AND symbol = ?';
-        params.push(symbol);
+        const symbols = Array.isArray(symbol) ? symbol : [symbol];
+        sql += ` AND symbol IN (${symbols.map(() => '?').join(', ')})`;
+        params.push(...symbols);
+      }
+
+      if (options.dryRun === false) {
+        sql += ' AND dry_run = 0';
       }
 
       sql += ' ORDER BY executed_at DESC LIMIT 1';
@@ -726,7 +697,8 @@ class DatabaseService extends BaseService {
       offset = 0,
       startDate = null,
       endDate = null,
-      status = null
+      status = null,
+      walletId = null
     } = options;
 
     try {
@@ -738,6 +710,11 @@ class DatabaseService extends BaseService {
         params.push(symbol);
       }
 
+      if (walletId) {
+        sql += ' AND wallet_id = ?';
+        params.push(walletId);
+      }
+
       if (status) {
         sql += ' AND status = ?';
         params.push(status);
@@ -783,7 +760,7 @@ class DatabaseService extends BaseService {
           AVG(slippage) as avg_slippage,
           SUM(fee) as total_fees
         FROM trades 
-        WHERE strategy = ? AND status = 'COMPLETED'
+        WHERE strategy = ? AND status = 'COMPLETED' AND execution_algo IS NULL
       `;
       const params = [strategy];
 
@@ -811,188 +788,2564 @@ class DatabaseService extends BaseService {
   }
 
   /**
-   * Close database connection
-   * @returns {Promise<void>}
+   * Get completed trades in execution order, for lot accounting and exports
+   * Parent rows of execution algorithms are left out, their slices are the trades. A completed route to or
+   * from GALA is the opposite: its parent is one GALA/TOKEN swap, its legs only passed the intermediate
+   * tokens through. Routes between two other tokens pass through GALA, so their legs are the GALA/TOKEN
+   * swaps; legs of failed routes, and their rollbacks, are kept as they settled
+   * @param {Object} options - {since, until, dryRun, walletId, strategy, symbol (e.g. 'GALA/GUSDC')}
+   * @returns {Promise<Array>} - Trade records (oldest first)
    */
-  async shutdown() {
-    await super.shutdown();
-    
-    if (this.db) {
-      return new Promise((resolve) => {
-        this.db.close((err) => {
-          if (err) {
-            this.logger.error('Error closing database:', err);
-          } else {
-            this.logger.info('Database connection closed');
-          }
-          resolve();
-        });
-      });
+  async getCompletedTrades(options = {}) {
+    const { since = null, until = null, dryRun = null, walletId = null, strategy = null, symbol = null } = options;
+
+    const conditions = [
+      "status = 'COMPLETED'",
+      "(execution_algo IS NULL OR (execution_algo = 'route' AND side != 'SWAP'))",
+      `NOT EXISTS (
+        SELECT 1 FROM trades route
+        WHERE route.id = trades.parent_trade_id AND route.execution_algo = 'route'
+          AND route.status = 'COMPLETED' AND route.side != 'SWAP'
+      )`
+    ];
+    const params = [];
+    if (since) {
+      conditions.push('executed_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('executed_at <= ?');
+      params.push(until);
+    }
+    if (dryRun !== null) {
+      conditions.push('dry_run = ?');
+      params.push(dryRun ? 1 : 0);
+    }
+    if (walletId) {
+      conditions.push('wallet_id = ?');
+      params.push(walletId);
+    }
+    if (strategy) {
+      conditions.push('strategy = ?');
+      params.push(strategy);
+    }
+    if (symbol) {
+      conditions.push('symbol = ?');
+      params.push(symbol);
+    }
+
+    try {
+      return await this.all(
+        `SELECT * FROM trades WHERE ${conditions.join(' AND ')} ORDER BY executed_at ASC, id ASC`,
+        params
+      );
+    } catch (error) {
+      this.logger.error('Error getting completed trades:', error);
+      throw error;
     }
   }
 
   /**
-   * Create an open position record
-   * @param {Object} positionData - Position data
-   * @returns {Promise<number>} - Position ID
+   * Get a trade by id
+   * @param {number} id - Trade id
+   * @returns {Promise<Object|null>}
    */
-  async createOpenPosition(positionData) {
-    const {
-      strategy,
-      symbol,
-      token_symbol,
-      gala_symbol,
-      entry_trade_id,
-      entry_price,
-      entry_amount,
-      token_amount,
-      profit_threshold = 0.05,
-      loss_threshold = -0.02,
-      notes = null
-    } = positionData;
-
+  async getTrade(id) {
     try {
-      const sql = `
-        INSERT INTO open_positions (
-          strategy, symbol, token_symbol, gala_symbol,
-          entry_trade_id, entry_price, entry_amount, token_amount,
-          profit_threshold, loss_threshold, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      const result = await this.run(sql, [
-        strategy, symbol, token_symbol, gala_symbol,
-        entry_trade_id, entry_price, entry_amount, token_amount,
-        profit_threshold, loss_threshold, notes
-      ]);
-
-      this.logger.info(`Open position created: ${strategy} ${symbol} -> ${token_symbol}`, {
-        positionId: result.lastID,
-        entryPrice: entry_price,
-        tokenAmount: token_amount
-      });
-
-      return result.lastID;
+      return (await this.get('SELECT * FROM trades WHERE id = ?', [id])) || null;
     } catch (error) {
-      this.logger.error('Error creating open position:', error);
+      this.logger.error('Error getting trade:', error);
       throw error;
     }
   }
 
   /**
-   * Get all open positions
-   * @param {string} strategy - Strategy name (optional)
-   * @returns {Promise<Array>} - Array of open position records
+   * Get the slices of an execution algorithm order, in execution order
+   * @param {number} parentTradeId - Parent trade id
+   * @returns {Promise<Array>}
    */
-  async getOpenPositions(strategy = null) {
+  async getChildTrades(parentTradeId) {
     try {
-      let sql = `SELECT * FROM open_positions WHERE status = 'OPEN'`;
-      const params = [];
-
-      if (strategy) {
-        sql += ' AND strategy = ?';
-        params.push(strategy);
-      }
+      return await this.all('SELECT * FROM trades WHERE parent_trade_id = ? ORDER BY id ASC', [parentTradeId]);
+    } catch (error) {
+      this.logger.error('Error getting child trades:', error);
+      throw error;
+    }
+  }
 
-      sql += ' ORDER BY created_at ASC';
+  /**
+   * List execution algorithm orders (parent trades), newest first
+   * @param {Object} options - {algos: execution_algo values (all when omitted), status, limit}
+   * @returns {Promise<Array>}
+   */
+  async getParentTrades(options = {}) {
+    const { algos = null, status = null, limit = 50 } = options;
+
+    const conditions = ['execution_algo IS NOT NULL'];
+    const params = [];
+    if (algos) {
+      conditions.push(`execution_algo IN (${algos.map(() => '?').join(', ')})`);
+      params.push(...algos);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
 
-      return await this.all(sql, params);
+    try {
+      return await this.all(
+        `SELECT * FROM trades WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+      );
     } catch (error) {
-      this.logger.error('Error getting open positions:', error);
+      this.logger.error('Error getting parent trades:', error);
       throw error;
     }
   }
 
   /**
-   * Close an open position
-   * @param {number} positionId - Position ID
-   * @param {number} closeTradeId - ID of the closing trade
-   * @param {string} notes - Optional notes
-   * @returns {Promise<boolean>} - Success status
+   * Record the aggregate fill of an execution algorithm order on its parent trade
+   * The parent's fee is the sum of its children's fees
+   * @param {number} id - Parent trade id
+   * @param {Object} fill - {amount: input filled, price: average fill price, total_value: output received, status, notes}
+   * @returns {Promise<void>}
    */
-  async closePosition(positionId, closeTradeId, notes = null) {
+  async finishParentTrade(id, fill) {
+    const { amount, price, total_value, status, notes = null } = fill;
+
     try {
-      const sql = `
-        UPDATE open_positions 
-        SET status = 'CLOSED', close_trade_id = ?, closed_at = ?, notes = ?
-        WHERE id = ? AND status = 'OPEN'
-      `;
+      await this.run(
+        `UPDATE trades
+         SET amount = ?, price = ?, total_value = ?, status = ?, notes = ?, executed_at = ?,
+             fee = (SELECT COALESCE(SUM(fee), 0) FROM trades WHERE parent_trade_id = ?)
+         WHERE id = ?`,
+        [amount, price, total_value, status, notes, new Date().toISOString(), id, id]
+      );
+    } catch (error) {
+      this.logger.error('Error finishing parent trade:', error);
+      throw error;
+    }
+  }
 
-      const result = await this.run(sql, [
-        closeTradeId,
-        new Date().toISOString(),
-        notes,
-        positionId
-      ]);
+  /**
+   * Record the confirmation of a submitted swap
+   * A confirmed fill replaces the quoted price and total_value; a failed one only changes status and notes
+   * @param {number} id - Trade id
+   * @param {Object} fill - {status, actual_output, price, total_value, fill_deviation, notes}
+   * @returns {Promise<void>}
+   */
+  async confirmTrade(id, fill) {
+    const { status, actual_output = null, price = null, total_value = null, fill_deviation = null, notes = null } = fill;
 
-      if (result.changes > 0) {
-        this.logger.info(`Position closed: ${positionId} with trade ${closeTradeId}`);
-        return true;
-      } else {
-        this.logger.warn(`No open position found with ID: ${positionId}`);
-        return false;
-      }
+    try {
+      await this.run(
+        `UPDATE trades
+         SET status = ?, actual_output = ?, price = COALESCE(?, price), total_value = COALESCE(?, total_value),
+             fill_deviation = ?, notes = COALESCE(?, notes), confirmed_at = ?
+         WHERE id = ?`,
+        [status, actual_output, price, total_value, fill_deviation, notes, new Date().toISOString(), id]
+      );
     } catch (error) {
-      this.logger.error('Error closing position:', error);
+      this.logger.error('Error confirming trade:', error);
       throw error;
     }
   }
 
   /**
-   * Mark a position as failed
-   * @param {number} positionId - Position ID
-   * @param {string} notes - Failure reason
-   * @returns {Promise<boolean>} - Success status
+   * List live swaps still waiting for their transaction to confirm, oldest first
+   * @param {Object} options - {walletId, before: only trades executed before this ISO timestamp}
+   * @returns {Promise<Array>}
    */
-  async markPositionFailed(positionId, notes) {
+  async getUnconfirmedTrades(options = {}) {
+    const { walletId = null, before = null } = options;
+
+    const conditions = ["status = 'PENDING'", 'dry_run = 0', 'execution_algo IS NULL', 'tx_hash IS NOT NULL'];
+    const params = [];
+    if (walletId) {
+      conditions.push('wallet_id = ?');
+      params.push(walletId);
+    }
+    if (before) {
+      conditions.push('executed_at < ?');
+      params.push(before);
+    }
+
     try {
-      const sql = `
-        UPDATE open_positions 
-        SET status = 'FAILED', notes = ?
-        WHERE id = ? AND status = 'OPEN'
-      `;
+      return await this.all(`SELECT * FROM trades WHERE ${conditions.join(' AND ')} ORDER BY executed_at ASC`, params);
+    } catch (error) {
+      this.logger.error('Error getting unconfirmed trades:', error);
+      throw error;
+    }
+  }
 
-      const result = await this.run(sql, [notes, positionId]);
+  /**
+   * List confirmed swaps whose fill differs from the quote by more than a threshold, newest first
+   * @param {number} threshold - Minimum absolute fill_deviation (0.01 = 1%)
+   * @param {Object} options - {since, limit}
+   * @returns {Promise<Array>}
+   */
+  async getFillMismatches(threshold, options = {}) {
+    const { since = null, limit = 50 } = options;
+
+    const conditions = ['fill_deviation IS NOT NULL', 'ABS(fill_deviation) > ?'];
+    const params = [threshold];
+    if (since) {
+      conditions.push('confirmed_at >= ?');
+      params.push(since);
+    }
 
-      if (result.changes > 0) {
-        this.logger.info(`Position marked as failed: ${positionId} - ${notes}`);
-        return true;
-      } else {
-        this.logger.warn(`No open position found with ID: ${positionId}`);
-        return false;
-      }
+    try {
+      return await this.all(
+        `SELECT * FROM trades WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+      );
     } catch (error) {
-      this.logger.error('Error marking position as failed:', error);
+      this.logger.error('Error getting fill mismatches:', error);
       throw error;
     }
   }
 
   /**
-   * Update position retry count and add failure notes
-   * @param {number} positionId - Position ID
-   * @param {number} retryCount - New retry count
-   * @param {string} notes - Failure notes to append
-   * @returns {Promise<boolean>} - Success status
+   * List a wallet's completed live swaps that settled in a time window, for balance reconciliation
+   * Trades count from their confirmation (execution for trades recorded before confirmations were tracked).
+   * Rows without a pair symbol are execution markers, not swaps
+   * @param {number} walletId - Wallet id
+   * @param {string} since - Exclusive ISO lower bound
+   * @param {string} until - Inclusive ISO upper bound
+   * @returns {Promise<Array>}
    */
-  async updatePositionRetry(positionId, retryCount, notes) {
+  async getSettledTradesBetween(walletId, since, until) {
     try {
-      const sql = `
-        UPDATE open_positions 
-        SET retry_count = ?, notes = COALESCE(notes || '\n', '') || ?
-        WHERE id = ? AND status = 'OPEN'
-      `;
+      return await this.all(
+        `SELECT id, symbol, side, amount, total_value, actual_output, confirmed_at, executed_at FROM trades
+         WHERE wallet_id = ? AND status = 'COMPLETED' AND dry_run = 0 AND execution_algo IS NULL
+           AND symbol LIKE '%/%'
+           AND COALESCE(confirmed_at, executed_at) > ? AND COALESCE(confirmed_at, executed_at) <= ?
+         ORDER BY id ASC`,
+        [walletId, since, until]
+      );
+    } catch (error) {
+      this.logger.error('Error getting settled trades:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored price history for a symbol
+   * @param {string} symbol - Symbol as stored in price_history
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} - Array of price records (oldest first)
+   */
+  async getPriceHistory(symbol, options = {}) {
+    const {
+      startDate = null,
+      endDate = null,
+      source = null,
+      limit = null
+    } = options;
+
+    try {
+      let sql = 'SELECT * FROM price_history WHERE symbol = ?';
+      const params = [symbol];
+
+      if (source) {
+        sql += ' AND source = ?';
+        params.push(source);
+      }
+
+      if (startDate) {
+        sql += ' AND timestamp >= ?';
+        params.push(startDate);
+      }
+
+      if (endDate) {
+        sql += ' AND timestamp <= ?';
+        params.push(endDate);
+      }
+
+      sql += ' ORDER BY timestamp ASC';
+
+      if (limit) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+      }
+
+      return await this.all(sql, params);
+    } catch (error) {
+      this.logger.error(`Error getting price history for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store price samples in price_history, skipping samples already stored
+   * @param {Array} samples - Samples {symbol, price, volume, timestamp, source}
+   * @returns {Promise<number>} - Number of new samples stored
+   */
+  async savePriceSamples(samples) {
+    const statements = samples
+      .filter(sample => sample.symbol && !isNaN(parseFloat(sample.price)) && sample.timestamp)
+      .map(sample => {
+        const timestamp = new Date(sample.timestamp).toISOString();
+        const source = sample.source || 'yahoo_finance';
+        return {
+          sql: `INSERT INTO price_history (symbol, price, volume, timestamp, source)
+                SELECT ?, ?, ?, ?, ?
+                WHERE NOT EXISTS (
+                  SELECT 1 FROM price_history WHERE symbol = ? AND source = ? AND timestamp = ?
+                )`,
+          params: [sample.symbol, parseFloat(sample.price), sample.volume || null, timestamp, source,
+                   sample.symbol, source, timestamp]
+        };
+      });
+
+    if (statements.length === 0) {
+      return 0;
+    }
+
+    try {
+      const results = await this.transaction(statements);
+      return results.reduce((total, result) => total + result.changes, 0);
+    } catch (error) {
+      this.logger.error('Error saving price samples:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the timestamp of the newest stored price sample
+   * @param {string} symbol - Symbol as stored in price_history
+   * @param {string} source - Sample source to filter by (optional)
+   * @returns {Promise<string|null>} - ISO timestamp or null when nothing is stored
+   */
+  async getLatestPriceTimestamp(symbol, source = null) {
+    try {
+      let sql = 'SELECT MAX(timestamp) as latest FROM price_history WHERE symbol = ?';
+      const params = [symbol];
+
+      if (source) {
+        sql += ' AND source = ?';
+        params.push(source);
+      }
+
+      const row = await this.get(sql, params);
+      return row ? row.latest : null;
+    } catch (error) {
+      this.logger.error(`Error getting latest price timestamp for ${symbol}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the newest price sample at or before a timestamp
+   * @param {string} symbol - Symbol as stored in price_history
+   * @param {string} timestamp - ISO timestamp
+   * @param {Object} options - {source, maxAgeMs (ignore samples older than this before the timestamp)}
+   * @returns {Promise<Object|null>} - {price, timestamp} or null when no sample qualifies
+   */
+  async getPriceAt(symbol, timestamp, options = {}) {
+    const { source = null, maxAgeMs = null } = options;
+
+    try {
+      let sql = 'SELECT price, timestamp FROM price_history WHERE symbol = ? AND timestamp <= ?';
+      const params = [symbol, timestamp];
+
+      if (source) {
+        sql += ' AND source = ?';
+        params.push(source);
+      }
+
+      if (maxAgeMs) {
+        sql += ' AND timestamp >= ?';
+        params.push(new Date(new Date(timestamp).getTime() - maxAgeMs).toISOString());
+      }
+
+      sql += ' ORDER BY timestamp DESC LIMIT 1';
+
+      const row = await this.get(sql, params);
+      return row || null;
+    } catch (error) {
+      this.logger.error(`Error getting price of ${symbol} at ${timestamp}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record strategy performance metrics (live or backtest)
+   * @param {Object} performanceData - Performance metrics
+   * @returns {Promise<number>} - Performance record ID
+   */
+  async saveStrategyPerformance(performanceData) {
+    const {
+      strategy_name,
+      period_start,
+      period_end,
+      total_trades = 0,
+      winning_trades = 0,
+      losing_trades = 0,
+      total_pnl = 0,
+      max_drawdown = 0,
+      sharpe_ratio = null
+    } = performanceData;
+
+    try {
+      const result = await this.run(
+        `INSERT INTO strategy_performance (
+          strategy_name, period_start, period_end, total_trades, winning_trades,
+          losing_trades, total_pnl, max_drawdown, sharpe_ratio
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [strategy_name, period_start, period_end, total_trades, winning_trades,
+         losing_trades, total_pnl, max_drawdown, sharpe_ratio]
+      );
+
+      this.logger.info(`Strategy performance recorded: ${strategy_name}`, {
+        performanceId: result.lastID,
+        totalTrades: total_trades,
+        totalPnL: total_pnl
+      });
+
+      return result.lastID;
+    } catch (error) {
+      this.logger.error('Error saving strategy performance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recorded strategy performance
+   * @param {string} strategyName - Strategy name to filter by (optional)
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Array>} - Array of performance records (newest first)
+   */
+  async getStrategyPerformance(strategyName = null, limit = 50) {
+    try {
+      let sql = 'SELECT * FROM strategy_performance';
+      const params = [];
+
+      if (strategyName) {
+        sql += ' WHERE strategy_name = ?';
+        params.push(strategyName);
+      }
+
+      sql += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+      params.push(limit);
+
+      return await this.all(sql, params);
+    } catch (error) {
+      this.logger.error('Error getting strategy performance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get paper exchange balances for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Array>} - Array of {token, quantity} records
+   */
+  async getPaperBalances(walletAddress) {
+    try {
+      return await this.all(
+        'SELECT token, quantity, updated_at FROM paper_balances WHERE wallet_address = ? ORDER BY token',
+        [walletAddress]
+      );
+    } catch (error) {
+      this.logger.error('Error getting paper balances:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get paper exchange balance of a single token
+   * @param {string} walletAddress - Wallet address
+   * @param {string} token - Token identifier
+   * @returns {Promise<number>} - Token quantity (0 if none)
+   */
+  async getPaperBalance(walletAddress, token) {
+    try {
+      const row = await this.get(
+        'SELECT quantity FROM paper_balances WHERE wallet_address = ? AND token = ?',
+        [walletAddress, token]
+      );
+      return row ? row.quantity : 0;
+    } catch (error) {
+      this.logger.error(`Error getting paper balance for ${token}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to (or subtract from) a paper exchange balance
+   * @param {string} walletAddress - Wallet address
+   * @param {string} token - Token identifier
+   * @param {number} delta - Quantity to add (negative to subtract)
+   * @returns {Promise<number>} - New token quantity
+   */
+  async adjustPaperBalance(walletAddress, token, delta) {
+    try {
+      await this.run(
+        `INSERT INTO paper_balances (wallet_address, token, quantity) VALUES (?, ?, ?)
+         ON CONFLICT(wallet_address, token)
+         DO UPDATE SET quantity = quantity + excluded.quantity, updated_at = CURRENT_TIMESTAMP`,
+        [walletAddress, token, delta]
+      );
+      return await this.getPaperBalance(walletAddress, token);
+    } catch (error) {
+      this.logger.error(`Error adjusting paper balance for ${token}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all paper exchange balances and transactions for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<boolean>} - Success status
+   */
+  async resetPaperAccount(walletAddress) {
+    try {
+      await this.transaction([
+        { sql: 'DELETE FROM paper_balances WHERE wallet_address = ?', params: [walletAddress] },
+        { sql: 'DELETE FROM paper_transactions WHERE wallet_address = ?', params: [walletAddress] }
+      ]);
+      this.logger.info(`Paper account reset for ${walletAddress}`);
+      return true;
+    } catch (error) {
+      this.logger.error('Error resetting paper account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get paper exchange pools for a token pair
+   * @param {string} token0 - Lexicographically smaller token identifier
+   * @param {string} token1 - Lexicographically larger token identifier
+   * @returns {Promise<Array>} - Array of pools (one per fee tier)
+   */
+  async getPaperPools(token0, token1) {
+    try {
+      return await this.all(
+        'SELECT * FROM paper_pools WHERE token0 = ? AND token1 = ? ORDER BY fee_tier',
+        [token0, token1]
+      );
+    } catch (error) {
+      this.logger.error(`Error getting paper pools for ${token0}/${token1}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or replace the reserves of a paper exchange pool
+   * @param {Object} poolData - Pool {token0, token1, fee_tier, reserve0, reserve1}
+   * @returns {Promise<boolean>} - Success status
+   */
+  async upsertPaperPool(poolData) {
+    const { token0, token1, fee_tier, reserve0, reserve1 } = poolData;
+
+    try {
+      await this.run(
+        `INSERT INTO paper_pools (token0, token1, fee_tier, reserve0, reserve1) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(token0, token1, fee_tier)
+         DO UPDATE SET reserve0 = excluded.reserve0, reserve1 = excluded.reserve1, updated_at = CURRENT_TIMESTAMP`,
+        [token0, token1, fee_tier, reserve0, reserve1]
+      );
+      return true;
+    } catch (error) {
+      this.logger.error('Error upserting paper pool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically settle a paper swap: move balances, update pool reserves and record the receipt
+   * @param {Object} swapData - Settled swap details
+   * @returns {Promise<boolean>} - Success status
+   */
+  async recordPaperSwap(swapData) {
+    const {
+      transaction_id,
+      wallet_address,
+      token_in,
+      token_out,
+      fee_tier,
+      amount_in,
+      amount_out,
+      fee = 0,
+      pool
+    } = swapData;
+
+    try {
+      await this.transaction([
+        {
+          sql: `UPDATE paper_balances SET quantity = quantity - ?, updated_at = CURRENT_TIMESTAMP
+                WHERE wallet_address = ? AND token = ?`,
+          params: [amount_in, wallet_address, token_in]
+        },
+        {
+          sql: `INSERT INTO paper_balances (wallet_address, token, quantity) VALUES (?, ?, ?)
+                ON CONFLICT(wallet_address, token)
+                DO UPDATE SET quantity = quantity + excluded.quantity, updated_at = CURRENT_TIMESTAMP`,
+          params: [wallet_address, token_out, amount_out]
+        },
+        {
+          sql: `UPDATE paper_pools SET reserve0 = ?, reserve1 = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE token0 = ? AND token1 = ? AND fee_tier = ?`,
+          params: [pool.reserve0, pool.reserve1, pool.token0, pool.token1, fee_tier]
+        },
+        {
+          sql: `INSERT INTO paper_transactions (
+                  transaction_id, wallet_address, token_in, token_out, fee_tier, amount_in, amount_out, fee
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          params: [transaction_id, wallet_address, token_in, token_out, fee_tier, amount_in, amount_out, fee]
+        }
+      ]);
+      return true;
+    } catch (error) {
+      this.logger.error('Error recording paper swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get paper exchange transactions for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Array>} - Array of transactions (newest first)
+   */
+  async getPaperTransactions(walletAddress, limit = 50) {
+    try {
+      return await this.all(
+        'SELECT * FROM paper_transactions WHERE wallet_address = ? ORDER BY id DESC LIMIT ?',
+        [walletAddress, limit]
+      );
+    } catch (error) {
+      this.logger.error('Error getting paper transactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close database connection
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await super.shutdown();
+    
+    if (this.db) {
+      return new Promise((resolve) => {
+        this.db.close((err) => {
+          if (err) {
+            this.logger.error('Error closing database:', err);
+          } else {
+            this.logger.info('Database connection closed');
+          }
+          resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Create an open position record
+   * @param {Object} positionData - Position data
+   * @returns {Promise<number>} - Position ID
+   */
+  async createOpenPosition(positionData) {
+    const {
+      strategy,
+      symbol,
+      token_symbol,
+      gala_symbol,
+      entry_trade_id,
+      entry_price,
+      entry_amount,
+      token_amount,
+      profit_threshold = 0.05,
+      loss_threshold = -0.02,
+      trailing_stop = null,
+      take_profit_ladder = null,
+      max_holding_hours = null,
+      notes = null,
+      wallet_id = 1
+    } = positionData;
+
+    try {
+      const sql = `
+        INSERT INTO open_positions (
+          strategy, symbol, token_symbol, gala_symbol,
+          entry_trade_id, entry_price, entry_amount, token_amount,
+          profit_threshold, loss_threshold, trailing_stop, take_profit_ladder,
+          max_holding_hours, notes, wallet_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const result = await this.run(sql, [
+        strategy, symbol, token_symbol, gala_symbol,
+        entry_trade_id, entry_price, entry_amount, token_amount,
+        profit_threshold, loss_threshold, trailing_stop,
+        take_profit_ladder && typeof take_profit_ladder !== 'string' ? JSON.stringify(take_profit_ladder) : take_profit_ladder,
+        max_holding_hours, notes, wallet_id
+      ]);
+
+      await this.run(
+        `INSERT INTO position_fills (position_id, trade_id, action, token_amount, gala_amount, notes)
+         VALUES (?, ?, 'OPEN', ?, ?, ?)`,
+        [result.lastID, entry_trade_id, token_amount, entry_amount, notes]
+      );
+
+      this.logger.info(`Open position created: ${strategy} ${symbol} -> ${token_symbol}`, {
+        positionId: result.lastID,
+        entryPrice: entry_price,
+        tokenAmount: token_amount
+      });
+
+      return result.lastID;
+    } catch (error) {
+      this.logger.error('Error creating open position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all open positions
+   * @param {string} strategy - Strategy name (optional)
+   * @param {number} walletId - Wallet ID (optional)
+   * @returns {Promise<Array>} - Array of open position records
+   */
+  async getOpenPositions(strategy = null, walletId = null) {
+    try {
+      let sql = `SELECT * FROM open_positions WHERE status = 'OPEN'`;
+      const params = [];
+
+      if (strategy) {
+        sql += ' AND strategy = ?';
+        params.push(strategy);
+      }
+
+      if (walletId) {
+        sql += ' AND wallet_id = ?';
+        params.push(walletId);
+      }
+
+      sql += ' ORDER BY created_at ASC';
+
+      return await this.all(sql, params);
+    } catch (error) {
+      this.logger.error('Error getting open positions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a position by ID
+   * @param {number} positionId - Position ID
+   * @returns {Promise<Object|null>} - Position record
+   */
+  async getPosition(positionId) {
+    try {
+      return await this.get('SELECT * FROM open_positions WHERE id = ?', [positionId]) || null;
+    } catch (error) {
+      this.logger.error('Error getting position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the open position for a strategy and token, used to scale into existing positions
+   * @param {string} strategy - Strategy name
+   * @param {string} galaSymbol - GalaChain token identifier held by the position
+   * @param {number} walletId - Wallet holding the position
+   * @returns {Promise<Object|null>} - Oldest matching open position
+   */
+  async findOpenPosition(strategy, galaSymbol, walletId = 1) {
+    try {
+      return await this.get(
+        `SELECT * FROM open_positions WHERE status = 'OPEN' AND strategy = ? AND gala_symbol = ? AND wallet_id = ?
+         ORDER BY created_at ASC, id ASC LIMIT 1`,
+        [strategy, galaSymbol, walletId]
+      ) || null;
+    } catch (error) {
+      this.logger.error('Error finding open position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fills (open, scale-ins and closes) of a position
+   * @param {number} positionId - Position ID
+   * @returns {Promise<Array>} - Fill records, oldest first
+   */
+  async getPositionFills(positionId) {
+    try {
+      return await this.all('SELECT * FROM position_fills WHERE position_id = ? ORDER BY id ASC', [positionId]);
+    } catch (error) {
+      this.logger.error('Error getting position fills:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to an open position, moving its entry price to the weighted average
+   * @param {number} positionId - Position ID
+   * @param {Object} fill - {tradeId, galaAmount, tokenAmount, notes}
+   * @returns {Promise<Object|null>} - Updated position, or null if no open position was found
+   */
+  async scaleIntoPosition(positionId, fill) {
+    const { tradeId = null, galaAmount, tokenAmount, notes = null } = fill;
+
+    try {
+      const position = await this.getPosition(positionId);
+      if (!position || position.status !== 'OPEN') {
+        this.logger.warn(`No open position found with ID: ${positionId}`);
+        return null;
+      }
+
+      const scaled = calculateScaledEntry(position, galaAmount, tokenAmount);
+
+      // The high-water mark belongs to the old entry price, so trailing restarts from the new one
+      await this.transaction([
+        {
+          sql: `UPDATE open_positions
+                SET entry_amount = ?, token_amount = ?, entry_price = ?, high_water_pnl = NULL,
+                    scale_count = COALESCE(scale_count, 0) + 1
+                WHERE id = ? AND status = 'OPEN'`,
+          params: [scaled.entry_amount, scaled.token_amount, scaled.entry_price, positionId]
+        },
+        {
+          sql: `INSERT INTO position_fills (position_id, trade_id, action, token_amount, gala_amount, notes)
+                VALUES (?, ?, 'SCALE_IN', ?, ?, ?)`,
+          params: [positionId, tradeId, tokenAmount, galaAmount, notes]
+        }
+      ]);
+
+      this.logger.info(`Position scaled in: ${positionId} + ${tokenAmount} tokens for ${galaAmount} GALA`, {
+        entryPrice: scaled.entry_price,
+        tokenAmount: scaled.token_amount
+      });
+
+      return { ...position, ...scaled, high_water_pnl: null, scale_count: (position.scale_count || 0) + 1 };
+    } catch (error) {
+      this.logger.error('Error scaling into position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Correct the token amount of an open position once the fill of one of its trades is known
+   * The entry price is recomputed from the remaining tokens and cost
+   * @param {number} positionId - Position ID
+   * @param {number} tradeId - Trade whose fill differed from its quote
+   * @param {number} tokenDelta - Actual minus quoted token amount
+   * @returns {Promise<boolean>} - Whether an open position was updated
+   */
+  async correctPositionFill(positionId, tradeId, tokenDelta) {
+    try {
+      const [result] = await this.transaction([
+        {
+          sql: `UPDATE open_positions
+                SET token_amount = token_amount + ?,
+                    entry_price = CASE WHEN entry_amount - COALESCE(closed_cost_basis, 0) > 0
+                      THEN (token_amount + ? - COALESCE(closed_token_amount, 0)) / (entry_amount - COALESCE(closed_cost_basis, 0))
+                      ELSE entry_price END,
+                    high_water_pnl = NULL
+                WHERE id = ? AND status = 'OPEN'`,
+          params: [tokenDelta, tokenDelta, positionId]
+        },
+        {
+          sql: "UPDATE position_fills SET token_amount = token_amount + ? WHERE position_id = ? AND trade_id = ? AND action = 'SCALE_IN'",
+          params: [tokenDelta, positionId, tradeId]
+        }
+      ]);
+
+      return result.changes > 0;
+    } catch (error) {
+      this.logger.error('Error correcting position fill:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Correct the GALA a position close realized once the fill of its trade is known
+   * Applies to closed positions too: a full close is usually recorded before its swap confirms
+   * @param {number} positionId - Position ID
+   * @param {number} tradeId - Closing trade whose fill differed from its quote
+   * @param {number} galaDelta - Actual minus quoted GALA received
+   * @returns {Promise<boolean>} - Whether a close of the position was updated
+   */
+  async correctPositionClose(positionId, tradeId, galaDelta) {
+    try {
+      const [, fills] = await this.transaction([
+        {
+          sql: `UPDATE open_positions
+                SET realized_gala = COALESCE(realized_gala, 0) + ?,
+                    realized_pnl = COALESCE(realized_pnl, 0) + ?
+                WHERE id = ? AND EXISTS (
+                  SELECT 1 FROM position_fills
+                  WHERE position_id = ? AND trade_id = ? AND action IN ('CLOSE', 'PARTIAL_CLOSE')
+                )`,
+          params: [galaDelta, galaDelta, positionId, positionId, tradeId]
+        },
+        {
+          sql: `UPDATE position_fills
+                SET gala_amount = COALESCE(gala_amount, 0) + ?,
+                    realized_pnl = COALESCE(realized_pnl, 0) + ?
+                WHERE position_id = ? AND trade_id = ? AND action IN ('CLOSE', 'PARTIAL_CLOSE')`,
+          params: [galaDelta, galaDelta, positionId, tradeId]
+        }
+      ]);
+
+      return fills.changes > 0;
+    } catch (error) {
+      this.logger.error('Error correcting position close:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close an open position, fully or partially
+   * Each close records its realized PnL (GALA received minus average cost of the tokens bought back)
+   * @param {number} positionId - Position ID
+   * @param {number} closeTradeId - ID of the closing trade
+   * @param {string} notes - Optional notes
+   * @param {Object} details - Optional exit details {tokenAmount (default: remaining), galaAmount, exitReason, ladderStep}
+   * @returns {Promise<boolean>} - Success status
+   */
+  async closePosition(positionId, closeTradeId, notes = null, details = {}) {
+    const { galaAmount = null, exitReason = null, ladderStep = null } = details;
+
+    try {
+      const position = await this.getPosition(positionId);
+      if (!position || position.status !== 'OPEN') {
+        this.logger.warn(`No open position found with ID: ${positionId}`);
+        return false;
+      }
+
+      const remainingTokens = position.token_amount - (position.closed_token_amount || 0);
+      const tokenAmount = Math.min(details.tokenAmount ?? remainingTokens, remainingTokens);
+      const isPartial = remainingTokens - tokenAmount > 1e-9;
+      const costBasis = calculateCostBasis(position, tokenAmount);
+      const realizedPnL = galaAmount !== null ? galaAmount - costBasis : null;
+
+      const update = isPartial
+        ? {
+          sql: `UPDATE open_positions
+                SET closed_token_amount = COALESCE(closed_token_amount, 0) + ?,
+                    closed_cost_basis = COALESCE(closed_cost_basis, 0) + ?,
+                    realized_gala = COALESCE(realized_gala, 0) + ?,
+                    realized_pnl = COALESCE(realized_pnl, 0) + ?,
+                    ladder_step = COALESCE(?, ladder_step),
+                    exit_reason = COALESCE(?, exit_reason),
+                    retry_count = 0,
+                    notes = COALESCE(notes || '\n', '') || ?
+                WHERE id = ? AND status = 'OPEN'`,
+          params: [tokenAmount, costBasis, galaAmount || 0, realizedPnL || 0, ladderStep, exitReason, notes, positionId]
+        }
+        : {
+          sql: `UPDATE open_positions
+                SET status = 'CLOSED', close_trade_id = ?, closed_at = ?, notes = ?,
+                    closed_token_amount = token_amount,
+                    closed_cost_basis = entry_amount,
+                    realized_gala = COALESCE(realized_gala, 0) + ?,
+                    realized_pnl = COALESCE(realized_pnl, 0) + ?,
+                    exit_reason = COALESCE(?, exit_reason)
+                WHERE id = ? AND status = 'OPEN'`,
+          params: [closeTradeId, new Date().toISOString(), notes, galaAmount || 0, realizedPnL || 0, exitReason, positionId]
+        };
+
+      const [result] = await this.transaction([
+        update,
+        {
+          sql: `INSERT INTO position_fills (
+                  position_id, trade_id, action, token_amount, gala_amount, cost_basis, realized_pnl, exit_reason, notes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          params: [
+            positionId, closeTradeId, isPartial ? 'PARTIAL_CLOSE' : 'CLOSE',
+            tokenAmount, galaAmount, costBasis, realizedPnL, exitReason, notes
+          ]
+        }
+      ]);
+
+      if (result.changes > 0) {
+        this.logger.info(isPartial
+          ? `Position partially closed: ${positionId} - ${tokenAmount}/${remainingTokens} tokens`
+          : `Position closed: ${positionId} with trade ${closeTradeId}`, { realizedPnL });
+        return true;
+      } else {
+        this.logger.warn(`No open position found with ID: ${positionId}`);
+        return false;
+      }
+    } catch (error) {
+      this.logger.error('Error closing position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the best PnL seen for a position (trailing stop high-water mark)
+   * @param {number} positionId - Position ID
+   * @param {number} highWaterPnL - Best PnL percentage seen
+   * @returns {Promise<boolean>} - Success status
+   */
+  async updatePositionHighWater(positionId, highWaterPnL) {
+    try {
+      const result = await this.run(
+        `UPDATE open_positions SET high_water_pnl = ?
+         WHERE id = ? AND status = 'OPEN' AND (high_water_pnl IS NULL OR high_water_pnl < ?)`,
+        [highWaterPnL, positionId, highWaterPnL]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      this.logger.error('Error updating position high-water mark:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a position as failed
+   * @param {number} positionId - Position ID
+   * @param {string} notes - Failure reason
+   * @returns {Promise<boolean>} - Success status
+   */
+  async markPositionFailed(positionId, notes) {
+    try {
+      const sql = `
+        UPDATE open_positions 
+        SET status = 'FAILED', notes = ?
+        WHERE id = ? AND status = 'OPEN'
+      `;
+
+      const result = await this.run(sql, [notes, positionId]);
+
+      if (result.changes > 0) {
+        this.logger.info(`Position marked as failed: ${positionId} - ${notes}`);
+        return true;
+      } else {
+        this.logger.warn(`No open position found with ID: ${positionId}`);
+        return false;
+      }
+    } catch (error) {
+      this.logger.error('Error marking position as failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update position retry count and add failure notes
+   * @param {number} positionId - Position ID
+   * @param {number} retryCount - New retry count
+   * @param {string} notes - Failure notes to append
+   * @returns {Promise<boolean>} - Success status
+   */
+  async updatePositionRetry(positionId, retryCount, notes) {
+    try {
+      const sql = `
+        UPDATE open_positions 
+        SET retry_count = ?, notes = COALESCE(notes || '\n', '') || ?
+        WHERE id = ? AND status = 'OPEN'
+      `;
 
       const result = await this.run(sql, [retryCount, notes, positionId]);
 
-      if (result.changes > 0) {
-        this.logger.info(`Position retry updated: ${positionId} - attempt ${retryCount}`);
-        return true;
+      if (result.changes > 0) {
+        this.logger.info(`Position retry updated: ${positionId} - attempt ${retryCount}`);
+        return true;
+      } else {
+        this.logger.warn(`No open position found with ID: ${positionId}`);
+        return false;
+      }
+    } catch (error) {
+      this.logger.error('Error updating position retry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get GALA committed to open positions, grouped by token
+   * @param {number} walletId - Only positions held by this wallet (optional)
+   * @returns {Promise<Array>} - [{gala_symbol, positions, cost_basis}]
+   */
+  async getOpenPositionExposure(walletId = null) {
+    try {
+      return await this.all(
+        `SELECT gala_symbol, COUNT(*) as positions,
+                SUM(entry_amount - COALESCE(closed_cost_basis, 0)) as cost_basis
+         FROM open_positions WHERE status = 'OPEN'${walletId ? ' AND wallet_id = ?' : ''}
+         GROUP BY gala_symbol`,
+        walletId ? [walletId] : []
+      );
+    } catch (error) {
+      this.logger.error('Error getting open position exposure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the running GALA -> token algo orders and routes that have filled at least one slice or leg
+   * Their slices open no positions: each order opens one when it finishes
+   * @param {number} walletId - Only this wallet's orders (optional)
+   * @returns {Promise<number[]>} - Parent trade ids
+   */
+  async getFilledAlgoOrderIds(walletId = null) {
+    try {
+      const rows = await this.all(
+        `SELECT id FROM trades parent
+         WHERE status = 'PENDING' AND execution_algo IS NOT NULL AND side = 'SELL'${walletId ? ' AND wallet_id = ?' : ''}
+           AND EXISTS (SELECT 1 FROM trades child WHERE child.parent_trade_id = parent.id AND child.status IN ('COMPLETED', 'PENDING'))`,
+        walletId ? [walletId] : []
+      );
+      return rows.map(row => row.id);
+    } catch (error) {
+      this.logger.error('Error getting filled algo orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get realized PnL of completed trades executed since a point in time
+   * Closing trades carry their realized PnL in the position fills they produced
+   * @param {string} since - ISO timestamp
+   * @param {boolean} dryRun - Dry run / paper trades (true) or live trades (false)
+   * @param {number} walletId - Only trades by this wallet (optional)
+   * @returns {Promise<Object>} - {realizedPnL, trades}
+   */
+  async getRealizedPnLSince(since, dryRun = false, walletId = null) {
+    try {
+      const row = await this.get(
+        `SELECT COALESCE(SUM(pf.realized_pnl), 0) as realized_pnl, COUNT(DISTINCT t.id) as trades
+         FROM trades t
+         JOIN position_fills pf ON pf.trade_id = t.id
+         WHERE t.status = 'COMPLETED' AND t.executed_at >= ? AND t.dry_run = ?
+           AND pf.realized_pnl IS NOT NULL${walletId ? ' AND t.wallet_id = ?' : ''}`,
+        walletId ? [since, dryRun ? 1 : 0, walletId] : [since, dryRun ? 1 : 0]
+      );
+      return { realizedPnL: row.realized_pnl, trades: row.trades };
+    } catch (error) {
+      this.logger.error('Error getting realized PnL:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get persisted risk state
+   * @param {string} key - State key (e.g., 'kill_switch')
+   * @returns {Promise<Object|null>} - Parsed state
+   */
+  async getRiskState(key) {
+    try {
+      const row = await this.get('SELECT value, updated_at FROM risk_state WHERE key = ?', [key]);
+      return row ? JSON.parse(row.value) : null;
+    } catch (error) {
+      this.logger.error('Error getting risk state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist risk state
+   * @param {string} key - State key
+   * @param {Object} value - State to store as JSON
+   * @returns {Promise<void>}
+   */
+  async setRiskState(key, value) {
+    try {
+      await this.run(
+        `INSERT INTO risk_state (key, value, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+        [key, JSON.stringify(value), new Date().toISOString()]
+      );
+    } catch (error) {
+      this.logger.error('Error setting risk state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a scheduled job row
+   * @param {Object} row - scheduled_jobs row
+   * @returns {Object|null} - Job with payload parsed and flags as booleans
+   */
+  parseScheduledJob(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      payload: row.payload ? JSON.parse(row.payload) : {},
+      enabled: Boolean(row.enabled),
+      catch_up: Boolean(row.catch_up)
+    };
+  }
+
+  /**
+   * Create or update a scheduled job
+   * next_run_at is kept unless the schedule changed, so a restart does not lose missed runs
+   * @param {Object} jobData - {name, job_type, schedule, payload, catch_up, next_run_at}
+   * @returns {Promise<Object>} - Stored job
+   */
+  async upsertScheduledJob(jobData) {
+    const {
+      name,
+      job_type,
+      schedule,
+      payload = {},
+      catch_up = true,
+      next_run_at
+    } = jobData;
+
+    try {
+      const now = new Date().toISOString();
+      await this.run(
+        `INSERT INTO scheduled_jobs (name, job_type, schedule, payload, catch_up, next_run_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(name) DO UPDATE SET
+           job_type = excluded.job_type,
+           payload = excluded.payload,
+           catch_up = excluded.catch_up,
+           next_run_at = CASE WHEN scheduled_jobs.schedule = excluded.schedule AND scheduled_jobs.next_run_at IS NOT NULL
+                              THEN scheduled_jobs.next_run_at ELSE excluded.next_run_at END,
+           schedule = excluded.schedule,
+           updated_at = excluded.updated_at`,
+        [name, job_type, schedule, JSON.stringify(payload), catch_up ? 1 : 0, next_run_at, now, now]
+      );
+      return await this.getScheduledJob(name);
+    } catch (error) {
+      this.logger.error('Error upserting scheduled job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a scheduled job
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>}
+   */
+  async getScheduledJob(name) {
+    try {
+      return this.parseScheduledJob(await this.get('SELECT * FROM scheduled_jobs WHERE name = ?', [name]));
+    } catch (error) {
+      this.logger.error('Error getting scheduled job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get scheduled jobs
+   * @param {Object} options - {enabledOnly, jobType}
+   * @returns {Promise<Array>}
+   */
+  async getScheduledJobs(options = {}) {
+    const { enabledOnly = false, jobType = null } = options;
+
+    try {
+      let sql = 'SELECT * FROM scheduled_jobs WHERE 1 = 1';
+      const params = [];
+
+      if (enabledOnly) {
+        sql += ' AND enabled = 1';
+      }
+      if (jobType) {
+        sql += ' AND job_type = ?';
+        params.push(jobType);
+      }
+
+      sql += ' ORDER BY name';
+      const rows = await this.all(sql, params);
+      return rows.map(row => this.parseScheduledJob(row));
+    } catch (error) {
+      this.logger.error('Error getting scheduled jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or disable a scheduled job
+   * @param {string} name - Job name
+   * @param {boolean} enabled - Whether the job should run
+   * @param {string} nextRunAt - Next run when enabling (ISO), so a re-enabled job does not catch up
+   * @returns {Promise<boolean>} - Whether a job was updated
+   */
+  async setScheduledJobEnabled(name, enabled, nextRunAt = null) {
+    try {
+      const result = await this.run(
+        `UPDATE scheduled_jobs
+         SET enabled = ?, next_run_at = COALESCE(?, next_run_at), updated_at = ?
+         WHERE name = ?`,
+        [enabled ? 1 : 0, nextRunAt, new Date().toISOString(), name]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      this.logger.error('Error updating scheduled job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove jobs of a type that are no longer wanted (e.g. strategy jobs of deactivated symbols)
+   * @param {string} jobType - Job type
+   * @param {string[]} keepNames - Job names to keep
+   * @returns {Promise<number>} - Jobs removed
+   */
+  async removeStaleScheduledJobs(jobType, keepNames = []) {
+    try {
+      const placeholders = keepNames.map(() => '?').join(', ');
+      const result = await this.run(
+        `DELETE FROM scheduled_jobs WHERE job_type = ?${keepNames.length > 0 ? ` AND name NOT IN (${placeholders})` : ''}`,
+        [jobType, ...keepNames]
+      );
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error removing stale scheduled jobs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a job's scheduled time was handled and set its next due time
+   * @param {string} name - Job name
+   * @param {string} lastRunAt - Scheduled time that was run or skipped (ISO)
+   * @param {string} nextRunAt - Next scheduled time (ISO)
+   * @returns {Promise<void>}
+   */
+  async updateScheduledJobRun(name, lastRunAt, nextRunAt) {
+    try {
+      await this.run(
+        'UPDATE scheduled_jobs SET last_run_at = ?, next_run_at = ?, updated_at = ? WHERE name = ?',
+        [lastRunAt, nextRunAt, new Date().toISOString(), name]
+      );
+    } catch (error) {
+      this.logger.error('Error updating scheduled job run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the start of a job run (or a skipped run when status is SKIPPED)
+   * @param {Object} runData - {job_name, scheduled_for, status, catch_up, owner, error}
+   * @returns {Promise<number>} - Run id
+   */
+  async createJobRun(runData) {
+    const {
+      job_name,
+      scheduled_for,
+      status = 'RUNNING',
+      catch_up = false,
+      owner = null,
+      error = null
+    } = runData;
+
+    try {
+      const now = new Date().toISOString();
+      const result = await this.run(
+        `INSERT INTO job_runs (job_name, scheduled_for, started_at, finished_at, status, catch_up, owner, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [job_name, scheduled_for, now, status === 'RUNNING' ? null : now, status, catch_up ? 1 : 0, owner, error]
+      );
+      return result.lastID;
+    } catch (err) {
+      this.logger.error('Error creating job run:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record the end of a job run
+   * @param {number} runId - Run id
+   * @param {string} status - SUCCEEDED or FAILED
+   * @param {Object} details - {result, error}
+   * @returns {Promise<void>}
+   */
+  async finishJobRun(runId, status, details = {}) {
+    try {
+      await this.run(
+        'UPDATE job_runs SET status = ?, finished_at = ?, result = ?, error = ? WHERE id = ?',
+        [
+          status,
+          new Date().toISOString(),
+          details.result !== undefined ? JSON.stringify(details.result) : null,
+          details.error || null,
+          runId
+        ]
+      );
+    } catch (error) {
+      this.logger.error('Error finishing job run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get job runs, newest first
+   * @param {Object} options - {jobName, status, limit}
+   * @returns {Promise<Array>}
+   */
+  async getJobRuns(options = {}) {
+    const { jobName = null, status = null, limit = 50 } = options;
+
+    try {
+      let sql = 'SELECT * FROM job_runs WHERE 1 = 1';
+      const params = [];
+
+      if (jobName) {
+        sql += ' AND job_name = ?';
+        params.push(jobName);
+      }
+      if (status) {
+        sql += ' AND status = ?';
+        params.push(status);
+      }
+
+      sql += ' ORDER BY started_at DESC, id DESC LIMIT ?';
+      params.push(limit);
+
+      const rows = await this.all(sql, params);
+      return rows.map(row => ({
+        ...row,
+        catch_up: Boolean(row.catch_up),
+        result: row.result ? JSON.parse(row.result) : null
+      }));
+    } catch (error) {
+      this.logger.error('Error getting job runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark runs left RUNNING by a scheduler that died as FAILED
+   * Runs whose job still holds a live lock belong to another process and are left alone
+   * @returns {Promise<number>} - Runs marked failed
+   */
+  async failInterruptedJobRuns() {
+    try {
+      const now = new Date().toISOString();
+      const result = await this.run(
+        `UPDATE job_runs
+         SET status = 'FAILED', finished_at = ?, error = 'Interrupted - scheduler stopped before the run finished'
+         WHERE status = 'RUNNING'
+           AND NOT EXISTS (
+             SELECT 1 FROM job_locks l
+             WHERE l.job_name = job_runs.job_name AND l.owner = job_runs.owner AND l.expires_at > ?
+           )`,
+        [now, now]
+      );
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error failing interrupted job runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the lock of a job so overlapping runs are skipped
+   * An expired lock (its holder crashed) is taken over
+   * @param {string} jobName - Job name
+   * @param {string} owner - Lock holder (host:pid)
+   * @param {number} ttlMs - Lock lifetime in milliseconds
+   * @returns {Promise<boolean>} - Whether the lock was acquired
+   */
+  async acquireJobLock(jobName, owner, ttlMs) {
+    try {
+      const now = new Date();
+      const result = await this.run(
+        `INSERT INTO job_locks (job_name, owner, locked_at, expires_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(job_name) DO UPDATE SET
+           owner = excluded.owner, locked_at = excluded.locked_at, expires_at = excluded.expires_at
+         WHERE job_locks.expires_at <= excluded.locked_at`,
+        [jobName, owner, now.toISOString(), new Date(now.getTime() + ttlMs).toISOString()]
+      );
+      return result.changes === 1;
+    } catch (error) {
+      this.logger.error('Error acquiring job lock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a job lock held by an owner
+   * @param {string} jobName - Job name
+   * @param {string} owner - Lock holder
+   * @returns {Promise<boolean>} - Whether the lock was released
+   */
+  async releaseJobLock(jobName, owner) {
+    try {
+      const result = await this.run('DELETE FROM job_locks WHERE job_name = ? AND owner = ?', [jobName, owner]);
+      return result.changes > 0;
+    } catch (error) {
+      this.logger.error('Error releasing job lock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize trades executed since a point in time (daily summary)
+   * @param {string} since - ISO timestamp
+   * @param {boolean} dryRun - Dry run / paper trades (true) or live trades (false)
+   * @returns {Promise<Object>} - {total, completed, failed, fees (GALA paid by completed trades)}
+   */
+  async getTradeSummarySince(since, dryRun = false) {
+    try {
+      const row = await this.get(
+        `SELECT COUNT(*) as total,
+                SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed,
+                SUM(CASE WHEN status = 'FAILED' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN status = 'COMPLETED' THEN fee ELSE 0 END) as fees
+         FROM trades WHERE executed_at >= ? AND dry_run = ? AND execution_algo IS NULL`,
+        [since, dryRun ? 1 : 0]
+      );
+      return { total: row.total || 0, completed: row.completed || 0, failed: row.failed || 0, fees: row.fees || 0 };
+    } catch (error) {
+      this.logger.error('Error getting trade summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a notifications_outbox row
+   * @param {Object} row - Outbox row
+   * @returns {Object|null} - Row with the message parsed
+   */
+  parseOutboxRow(row) {
+    if (!row) return null;
+    return { ...row, message: JSON.parse(row.message) };
+  }
+
+  /**
+   * Store a notification for each channel it is routed to
+   * @param {string} event - Event name
+   * @param {Object} message - Channel-neutral message
+   * @param {string[]} channels - Channel names
+   * @returns {Promise<number[]>} - Outbox ids, one per channel
+   */
+  async enqueueNotification(event, message, channels) {
+    try {
+      const now = new Date().toISOString();
+      const ids = [];
+
+      for (const channel of channels) {
+        const result = await this.run(
+          `INSERT INTO notifications_outbox (event, channel, message, status, attempts, next_attempt_at, created_at, updated_at)
+           VALUES (?, ?, ?, 'PENDING', 0, ?, ?, ?)`,
+          [event, channel, JSON.stringify(message), now, now, now]
+        );
+        ids.push(result.lastID);
+      }
+
+      return ids;
+    } catch (error) {
+      this.logger.error('Error enqueuing notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an outbox entry
+   * @param {number} id - Outbox id
+   * @returns {Promise<Object|null>}
+   */
+  async getOutboxNotification(id) {
+    try {
+      return this.parseOutboxRow(await this.get('SELECT * FROM notifications_outbox WHERE id = ?', [id]));
+    } catch (error) {
+      this.logger.error('Error getting outbox notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get pending notifications whose next attempt is due, oldest first
+   * @param {number} limit - Maximum entries
+   * @returns {Promise<Array>}
+   */
+  async getDueNotifications(limit = 50) {
+    try {
+      const rows = await this.all(
+        `SELECT * FROM notifications_outbox
+         WHERE status = 'PENDING' AND next_attempt_at <= ?
+         ORDER BY id ASC LIMIT ?`,
+        [new Date().toISOString(), limit]
+      );
+      return rows.map(row => this.parseOutboxRow(row));
+    } catch (error) {
+      this.logger.error('Error getting due notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a pending notification for delivery so concurrent workers do not send it twice
+   * @param {number} id - Outbox id
+   * @returns {Promise<boolean>} - Whether this worker claimed it
+   */
+  async claimNotification(id) {
+    try {
+      const result = await this.run(
+        `UPDATE notifications_outbox SET status = 'SENDING', updated_at = ?
+         WHERE id = ? AND status = 'PENDING'`,
+        [new Date().toISOString(), id]
+      );
+      return result.changes === 1;
+    } catch (error) {
+      this.logger.error('Error claiming notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a notification delivered
+   * @param {number} id - Outbox id
+   * @returns {Promise<void>}
+   */
+  async markNotificationSent(id) {
+    try {
+      const now = new Date().toISOString();
+      await this.run(
+        `UPDATE notifications_outbox
+         SET status = 'SENT', attempts = attempts + 1, sent_at = ?, last_error = NULL, updated_at = ?
+         WHERE id = ?`,
+        [now, now, id]
+      );
+    } catch (error) {
+      this.logger.error('Error marking notification sent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {number} id - Outbox id
+   * @param {string} errorMessage - Delivery error
+   * @param {string|null} nextAttemptAt - Next attempt (ISO), null moves the entry to the dead letters
+   * @returns {Promise<void>}
+   */
+  async markNotificationFailed(id, errorMessage, nextAttemptAt = null) {
+    try {
+      const now = new Date().toISOString();
+      await this.run(
+        `UPDATE notifications_outbox
+         SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at), updated_at = ?
+         WHERE id = ?`,
+        [nextAttemptAt ? 'PENDING' : 'DEAD', errorMessage, nextAttemptAt, now, id]
+      );
+    } catch (error) {
+      this.logger.error('Error marking notification failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a claimed notification back without counting an attempt (e.g. its channel is rate limited)
+   * @param {number} id - Outbox id
+   * @param {string} nextAttemptAt - Next attempt (ISO)
+   * @returns {Promise<void>}
+   */
+  async deferNotification(id, nextAttemptAt) {
+    try {
+      await this.run(
+        `UPDATE notifications_outbox SET status = 'PENDING', next_attempt_at = ?, updated_at = ?
+         WHERE id = ? AND status = 'SENDING'`,
+        [nextAttemptAt, new Date().toISOString(), id]
+      );
+    } catch (error) {
+      this.logger.error('Error deferring notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return notifications stuck in SENDING (the worker died mid-delivery) to the queue
+   * @param {string} olderThan - ISO timestamp, entries claimed before it are requeued
+   * @returns {Promise<number>} - Entries requeued
+   */
+  async requeueStaleNotifications(olderThan) {
+    try {
+      const result = await this.run(
+        `UPDATE notifications_outbox SET status = 'PENDING', updated_at = ?
+         WHERE status = 'SENDING' AND updated_at < ?`,
+        [new Date().toISOString(), olderThan]
+      );
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error requeuing stale notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue failed notifications for delivery again with a fresh attempt count
+   * @param {Object} filters - {id, channel, status: 'DEAD' (default) or 'PENDING'}
+   * @returns {Promise<number>} - Entries replayed
+   */
+  async replayNotifications(filters = {}) {
+    const { id = null, channel = null, status = 'DEAD' } = filters;
+
+    try {
+      const now = new Date().toISOString();
+      let sql = `UPDATE notifications_outbox
+                 SET status = 'PENDING', attempts = 0, next_attempt_at = ?, updated_at = ?
+                 WHERE status = ?`;
+      const params = [now, now, status];
+
+      if (id) {
+        sql += ' AND id = ?';
+        params.push(id);
+      }
+      if (channel) {
+        sql += ' AND channel = ?';
+        params.push(channel);
+      }
+
+      const result = await this.run(sql, params);
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error replaying notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List outbox entries, newest first
+   * @param {Object} filters - {status, channel, event, limit}
+   * @returns {Promise<Array>}
+   */
+  async getOutboxNotifications(filters = {}) {
+    const { status = null, channel = null, event = null, limit = 50 } = filters;
+
+    try {
+      let sql = 'SELECT * FROM notifications_outbox WHERE 1 = 1';
+      const params = [];
+
+      if (status) {
+        sql += ' AND status = ?';
+        params.push(status);
+      }
+      if (channel) {
+        sql += ' AND channel = ?';
+        params.push(channel);
+      }
+      if (event) {
+        sql += ' AND event = ?';
+        params.push(event);
+      }
+
+      sql += ' ORDER BY id DESC LIMIT ?';
+      params.push(limit);
+
+      const rows = await this.all(sql, params);
+      return rows.map(row => this.parseOutboxRow(row));
+    } catch (error) {
+      this.logger.error('Error getting outbox notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count outbox entries by channel and status
+   * @returns {Promise<Array>} - [{channel, status, count}]
+   */
+  async getOutboxStats() {
+    try {
+      return await this.all(
+        `SELECT channel, status, COUNT(*) as count
+         FROM notifications_outbox GROUP BY channel, status ORDER BY channel, status`
+      );
+    } catch (error) {
+      this.logger.error('Error getting outbox stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a user
+   * @param {Object} userData - {username, password_hash, role}
+   * @returns {Promise<Object>} - Created user (without the password hash)
+   */
+  async createUser(userData) {
+    const { username, password_hash, role } = userData;
+
+    try {
+      const now = new Date().toISOString();
+      const result = await this.run(
+        `INSERT INTO users (username, password_hash, role, active, created_at, updated_at)
+         VALUES (?, ?, ?, 1, ?, ?)`,
+        [username, password_hash, role, now, now]
+      );
+      return await this.getUserById(result.lastID);
+    } catch (error) {
+      this.logger.error('Error creating user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user by id (without the password hash)
+   * @param {number} id - User id
+   * @returns {Promise<Object|null>}
+   */
+  async getUserById(id) {
+    try {
+      const row = await this.get(
+        'SELECT id, username, role, active, last_login_at, created_at, updated_at FROM users WHERE id = ?',
+        [id]
+      );
+      return row ? { ...row, active: Boolean(row.active) } : null;
+    } catch (error) {
+      this.logger.error('Error getting user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user by username, including the password hash for verification
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>}
+   */
+  async getUserCredentials(username) {
+    try {
+      const row = await this.get('SELECT * FROM users WHERE username = ?', [username]);
+      return row ? { ...row, active: Boolean(row.active) } : null;
+    } catch (error) {
+      this.logger.error('Error getting user credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List users (without password hashes)
+   * @returns {Promise<Array>}
+   */
+  async getUsers() {
+    try {
+      const rows = await this.all(
+        'SELECT id, username, role, active, last_login_at, created_at, updated_at FROM users ORDER BY username'
+      );
+      return rows.map(row => ({ ...row, active: Boolean(row.active) }));
+    } catch (error) {
+      this.logger.error('Error getting users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's role, active flag or password hash
+   * @param {number} id - User id
+   * @param {Object} updates - {role, active, password_hash}
+   * @returns {Promise<Object|null>} - Updated user
+   */
+  async updateUser(id, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const key of ['role', 'active', 'password_hash']) {
+      if (updates[key] !== undefined) {
+        fields.push(`${key} = ?`);
+        params.push(key === 'active' ? (updates[key] ? 1 : 0) : updates[key]);
+      }
+    }
+
+    try {
+      if (fields.length > 0) {
+        await this.run(
+          `UPDATE users SET ${fields.join(', ')}, updated_at = ? WHERE id = ?`,
+          [...params, new Date().toISOString(), id]
+        );
+      }
+      return await this.getUserById(id);
+    } catch (error) {
+      this.logger.error('Error updating user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a successful login
+   * @param {number} id - User id
+   * @returns {Promise<void>}
+   */
+  async recordUserLogin(id) {
+    try {
+      await this.run('UPDATE users SET last_login_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+    } catch (error) {
+      this.logger.error('Error recording user login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store an API key
+   * @param {Object} keyData - {name, key_prefix, key_hash, role, created_by}
+   * @returns {Promise<Object>} - Stored key (without the hash)
+   */
+  async createApiKey(keyData) {
+    const { name, key_prefix, key_hash, role, created_by = null } = keyData;
+
+    try {
+      const result = await this.run(
+        `INSERT INTO api_keys (name, key_prefix, key_hash, role, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, key_prefix, key_hash, role, created_by, new Date().toISOString()]
+      );
+      return await this.get(
+        'SELECT id, name, key_prefix, role, created_by, last_used_at, revoked_at, created_at FROM api_keys WHERE id = ?',
+        [result.lastID]
+      );
+    } catch (error) {
+      this.logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an active API key by its hash and mark it used
+   * @param {string} keyHash - SHA-256 of the key
+   * @returns {Promise<Object|null>} - Key record
+   */
+  async useApiKey(keyHash) {
+    try {
+      const key = await this.get(
+        'SELECT id, name, key_prefix, role, created_by, created_at FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+        [keyHash]
+      );
+      if (key) {
+        await this.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), key.id]);
+      }
+      return key || null;
+    } catch (error) {
+      this.logger.error('Error using API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List API keys (without hashes)
+   * @param {boolean} includeRevoked - Include revoked keys
+   * @returns {Promise<Array>}
+   */
+  async getApiKeys(includeRevoked = false) {
+    try {
+      return await this.all(
+        `SELECT id, name, key_prefix, role, created_by, last_used_at, revoked_at, created_at FROM api_keys
+         ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'} ORDER BY created_at DESC`
+      );
+    } catch (error) {
+      this.logger.error('Error getting API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {number} id - Key id
+   * @returns {Promise<boolean>} - Whether an active key was revoked
+   */
+  async revokeApiKey(id) {
+    try {
+      const result = await this.run(
+        'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), id]
+      );
+      return result.changes === 1;
+    } catch (error) {
+      this.logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a login session
+   * @param {string} tokenHash - SHA-256 of the session token
+   * @param {number} userId - User id
+   * @param {string} expiresAt - Expiry (ISO)
+   * @returns {Promise<void>}
+   */
+  async createSession(tokenHash, userId, expiresAt) {
+    try {
+      await this.run(
+        'INSERT INTO sessions (token_hash, user_id, expires_at, created_at) VALUES (?, ?, ?, ?)',
+        [tokenHash, userId, expiresAt, new Date().toISOString()]
+      );
+    } catch (error) {
+      this.logger.error('Error creating session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active user of an unexpired session
+   * @param {string} tokenHash - SHA-256 of the session token
+   * @returns {Promise<Object|null>} - {user_id, username, role, expires_at}
+   */
+  async getSessionUser(tokenHash) {
+    try {
+      return await this.get(
+        `SELECT s.user_id, s.expires_at, u.username, u.role
+         FROM sessions s JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = ? AND s.expires_at > ? AND u.active = 1`,
+        [tokenHash, new Date().toISOString()]
+      ) || null;
+    } catch (error) {
+      this.logger.error('Error getting session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a session (logout)
+   * @param {string} tokenHash - SHA-256 of the session token
+   * @returns {Promise<void>}
+   */
+  async deleteSession(tokenHash) {
+    try {
+      await this.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+    } catch (error) {
+      this.logger.error('Error deleting session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every session of a user (password change, deactivation)
+   * @param {number} userId - User id
+   * @returns {Promise<number>} - Deleted sessions
+   */
+  async deleteUserSessions(userId) {
+    try {
+      const result = await this.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error deleting user sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {Promise<number>} - Deleted sessions
+   */
+  async deleteExpiredSessions() {
+    try {
+      const result = await this.run('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error deleting expired sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a wallet row
+   * @param {Object} row - wallets row
+   * @returns {Object|null} - Wallet with strategies parsed and flags as booleans
+   */
+  parseWallet(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      strategies: row.strategies ? JSON.parse(row.strategies) : [],
+      is_default: Boolean(row.is_default),
+      is_active: Boolean(row.is_active)
+    };
+  }
+
+  /**
+   * List wallets, default first
+   * @param {boolean} activeOnly - Skip deactivated wallets
+   * @returns {Promise<Array>}
+   */
+  async getWallets(activeOnly = false) {
+    try {
+      const rows = await this.all(
+        `SELECT * FROM wallets${activeOnly ? ' WHERE is_active = 1' : ''} ORDER BY is_default DESC, id ASC`
+      );
+      return rows.map(row => this.parseWallet(row));
+    } catch (error) {
+      this.logger.error('Error getting wallets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a wallet by id or name
+   * @param {number|string} idOrName - Wallet id or name
+   * @returns {Promise<Object|null>}
+   */
+  async getWallet(idOrName) {
+    try {
+      const byId = /^\d+$/.test(String(idOrName));
+      return this.parseWallet(await this.get(
+        `SELECT * FROM wallets WHERE ${byId ? 'id' : 'name'} = ?`,
+        [byId ? parseInt(idOrName) : idOrName]
+      ));
+    } catch (error) {
+      this.logger.error('Error getting wallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the default wallet, used when a trade does not name one
+   * @returns {Promise<Object|null>}
+   */
+  async getDefaultWallet() {
+    try {
+      return this.parseWallet(await this.get('SELECT * FROM wallets WHERE is_default = 1 ORDER BY id ASC LIMIT 1'));
+    } catch (error) {
+      this.logger.error('Error getting default wallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a wallet
+   * @param {Object} walletData - {name, address, keystore_path, strategies, max_open_positions, max_token_exposure, daily_loss_limit}
+   * @returns {Promise<Object>} - Created wallet
+   */
+  async createWallet(walletData) {
+    const {
+      name,
+      address,
+      keystore_path = null,
+      strategies = [],
+      max_open_positions = null,
+      max_token_exposure = null,
+      daily_loss_limit = null
+    } = walletData;
+
+    try {
+      const now = new Date().toISOString();
+      const result = await this.run(
+        `INSERT INTO wallets (
+          name, address, keystore_path, strategies, max_open_positions, max_token_exposure,
+          daily_loss_limit, is_default, is_active, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 1, ?, ?)`,
+        [
+          name, address, keystore_path, strategies.length > 0 ? JSON.stringify(strategies) : null,
+          max_open_positions, max_token_exposure, daily_loss_limit, now, now
+        ]
+      );
+      return await this.getWallet(result.lastID);
+    } catch (error) {
+      this.logger.error('Error creating wallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a wallet's settings; making it the default unsets the previous default
+   * @param {number} id - Wallet id
+   * @param {Object} updates - Any of the createWallet fields plus is_active, is_default
+   * @returns {Promise<Object|null>} - Updated wallet
+   */
+  async updateWallet(id, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const key of [
+      'address', 'keystore_path', 'strategies', 'max_open_positions', 'max_token_exposure',
+      'daily_loss_limit', 'is_active', 'is_default'
+    ]) {
+      if (updates[key] === undefined) continue;
+      fields.push(`${key} = ?`);
+      if (key === 'strategies') {
+        params.push(updates[key] && updates[key].length > 0 ? JSON.stringify(updates[key]) : null);
+      } else if (key === 'is_active' || key === 'is_default') {
+        params.push(updates[key] ? 1 : 0);
       } else {
-        this.logger.warn(`No open position found with ID: ${positionId}`);
-        return false;
+        params.push(updates[key]);
+      }
+    }
+
+    try {
+      if (fields.length > 0) {
+        const statements = [];
+        if (updates.is_default) {
+          statements.push({ sql: 'UPDATE wallets SET is_default = 0 WHERE id != ?', params: [id] });
+        }
+        statements.push({
+          sql: `UPDATE wallets SET ${fields.join(', ')}, updated_at = ? WHERE id = ?`,
+          params: [...params, new Date().toISOString(), id]
+        });
+        await this.transaction(statements);
       }
+      return await this.getWallet(id);
     } catch (error) {
-      this.logger.error('Error updating position retry:', error);
+      this.logger.error('Error updating wallet:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a portfolio_snapshots row
+   * @param {Object} row - Snapshot row
+   * @returns {Object|null} - Snapshot with holdings (when selected) parsed
+   */
+  parsePortfolioSnapshot(row) {
+    if (!row) return null;
+    const snapshot = {
+      ...row,
+      unpriced: row.unpriced ? JSON.parse(row.unpriced) : [],
+      paper: Boolean(row.paper)
+    };
+    if (row.holdings !== undefined) {
+      snapshot.holdings = JSON.parse(row.holdings);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Store a portfolio valuation
+   * @param {Object} snapshot - {wallet_id, total_usd, total_gala, gala_price_usd, holdings, unpriced, paper, taken_at}
+   * @returns {Promise<number>} - Snapshot id
+   */
+  async savePortfolioSnapshot(snapshot) {
+    const {
+      wallet_id = 1,
+      total_usd,
+      total_gala = null,
+      gala_price_usd = null,
+      holdings = [],
+      unpriced = [],
+      paper = false,
+      taken_at = new Date().toISOString()
+    } = snapshot;
+
+    try {
+      const result = await this.run(
+        `INSERT INTO portfolio_snapshots (
+          wallet_id, total_usd, total_gala, gala_price_usd, holdings, unpriced, paper, taken_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          wallet_id, total_usd, total_gala, gala_price_usd, JSON.stringify(holdings),
+          unpriced.length > 0 ? JSON.stringify(unpriced) : null, paper ? 1 : 0, taken_at
+        ]
+      );
+      return result.lastID;
+    } catch (error) {
+      this.logger.error('Error saving portfolio snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a wallet's portfolio snapshots, oldest first
+   * @param {number} walletId - Wallet id
+   * @param {Object} options - {since, until, paper, limit: most recent snapshots only, withHoldings}
+   * @returns {Promise<Array>}
+   */
+  async getPortfolioSnapshots(walletId, options = {}) {
+    const { since = null, until = null, paper = null, limit = null, withHoldings = false } = options;
+
+    const conditions = ['wallet_id = ?'];
+    const params = [walletId];
+    if (since) {
+      conditions.push('taken_at >= ?');
+      params.push(since);
+    }
+    if (until) {
+      conditions.push('taken_at <= ?');
+      params.push(until);
+    }
+    if (paper !== null) {
+      conditions.push('paper = ?');
+      params.push(paper ? 1 : 0);
+    }
+
+    const columns = withHoldings
+      ? '*'
+      : 'id, wallet_id, total_usd, total_gala, gala_price_usd, unpriced, paper, taken_at';
+    let sql = `SELECT ${columns} FROM portfolio_snapshots WHERE ${conditions.join(' AND ')} ORDER BY taken_at DESC`;
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    try {
+      const rows = await this.all(sql, params);
+      return rows.reverse().map(row => this.parsePortfolioSnapshot(row));
+    } catch (error) {
+      this.logger.error('Error getting portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete portfolio snapshots older than a cutoff
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} - Deleted snapshots
+   */
+  async deletePortfolioSnapshotsBefore(before) {
+    try {
+      const result = await this.run('DELETE FROM portfolio_snapshots WHERE taken_at < ?', [before]);
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error deleting portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store one reconciliation check of a wallet
+   * @param {Array} rows - [{wallet_id, token, balance, previous_balance, trade_delta, discrepancy, flagged, pending_trades, checked_at}]
+   * @returns {Promise<void>}
+   */
+  async saveBalanceReconciliation(rows) {
+    try {
+      await this.transaction(rows.map(row => ({
+        sql: `INSERT INTO balance_reconciliations (
+          wallet_id, token, balance, previous_balance, trade_delta, discrepancy, flagged, pending_trades, checked_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+          row.wallet_id, row.token, row.balance, row.previous_balance ?? null, row.trade_delta || 0,
+          row.discrepancy || 0, row.flagged ? 1 : 0, row.pending_trades || 0, row.checked_at
+        ]
+      })));
+    } catch (error) {
+      this.logger.error('Error saving balance reconciliation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the rows of a wallet's most recent reconciliation check
+   * @param {number} walletId - Wallet id
+   * @returns {Promise<Array>} - Rows of the latest check, empty before the first one
+   */
+  async getLatestBalanceReconciliation(walletId) {
+    try {
+      const rows = await this.all(
+        `SELECT * FROM balance_reconciliations
+         WHERE wallet_id = ? AND checked_at = (SELECT MAX(checked_at) FROM balance_reconciliations WHERE wallet_id = ?)
+         ORDER BY token`,
+        [walletId, walletId]
+      );
+      return rows.map(row => ({ ...row, flagged: !!row.flagged }));
+    } catch (error) {
+      this.logger.error('Error getting latest balance reconciliation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List reconciliation rows, newest first
+   * @param {Object} options - {walletId, flaggedOnly, limit}
+   * @returns {Promise<Array>}
+   */
+  async getBalanceReconciliations(options = {}) {
+    const { walletId = null, flaggedOnly = false, limit = 100 } = options;
+
+    const conditions = [];
+    const params = [];
+    if (walletId) {
+      conditions.push('wallet_id = ?');
+      params.push(walletId);
+    }
+    if (flaggedOnly) {
+      conditions.push('flagged = 1');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      const rows = await this.all(
+        `SELECT * FROM balance_reconciliations ${where} ORDER BY checked_at DESC, token ASC LIMIT ?`,
+        [...params, limit]
+      );
+      return rows.map(row => ({ ...row, flagged: !!row.flagged }));
+    } catch (error) {
+      this.logger.error('Error getting balance reconciliations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a pending order
+   * @param {Object} order - {wallet_id, order_type, side, token, quote_token, amount, trigger_price, slippage, expires_at, created_by}
+   * @returns {Promise<number>} - Order id
+   */
+  async createPendingOrder(order) {
+    try {
+      const [result] = await this.transaction([this.buildPendingOrderInsert(order)]);
+      return result.lastID;
+    } catch (error) {
+      this.logger.error('Error creating pending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the two legs of an OCO pair, grouped under the first leg's id
+   * @param {Object} first - First leg (see createPendingOrder)
+   * @param {Object} second - Second leg
+   * @returns {Promise<number[]>} - Order ids [first, second]
+   */
+  async createOcoOrders(first, second) {
+    try {
+      // last_insert_rowid() is the first leg until the second one is inserted
+      const results = await this.transaction([
+        this.buildPendingOrderInsert(first),
+        { sql: 'UPDATE pending_orders SET oco_group = id WHERE id = last_insert_rowid()', params: [] },
+        this.buildPendingOrderInsert(second, 'last_insert_rowid()')
+      ]);
+      return [results[0].lastID, results[2].lastID];
+    } catch (error) {
+      this.logger.error('Error creating OCO orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the INSERT of a pending order
+   * @param {Object} order - Order fields (see createPendingOrder)
+   * @param {string} ocoGroup - SQL expression of the OCO group, NULL for a single order
+   * @returns {Object} - {sql, params}
+   */
+  buildPendingOrderInsert(order, ocoGroup = 'NULL') {
+    const {
+      wallet_id = 1,
+      order_type,
+      side,
+      token,
+      quote_token = 'GALA|Unit|none|none',
+      amount,
+      trigger_price,
+      slippage = null,
+      expires_at = null,
+      created_by = null
+    } = order;
+    const now = new Date().toISOString();
+
+    return {
+      sql: `INSERT INTO pending_orders (
+        wallet_id, order_type, side, token, quote_token, amount, trigger_price, slippage,
+        status, oco_group, expires_at, created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'PENDING', ${ocoGroup}, ?, ?, ?, ?)`,
+      params: [wallet_id, order_type, side, token, quote_token, amount, trigger_price, slippage, expires_at, created_by, now, now]
+    };
+  }
+
+  /**
+   * Get a pending order by id
+   * @param {number} id - Order id
+   * @returns {Promise<Object|null>}
+   */
+  async getPendingOrder(id) {
+    try {
+      return (await this.get('SELECT * FROM pending_orders WHERE id = ?', [id])) || null;
+    } catch (error) {
+      this.logger.error('Error getting pending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List orders, newest first
+   * @param {Object} options - {status (string or list), walletId, limit}
+   * @returns {Promise<Array>}
+   */
+  async getPendingOrders(options = {}) {
+    const { status = null, walletId = null, limit = 100 } = options;
+
+    const conditions = [];
+    const params = [];
+    if (status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (walletId) {
+      conditions.push('wallet_id = ?');
+      params.push(walletId);
+    }
+
+    let sql = 'SELECT * FROM pending_orders';
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ' ORDER BY id DESC';
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    try {
+      return await this.all(sql, params);
+    } catch (error) {
+      this.logger.error('Error getting pending orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a pending order for execution so concurrent checks do not fill it twice
+   * @param {number} id - Order id
+   * @param {number} observedPrice - Price that triggered it
+   * @returns {Promise<boolean>} - Whether this check claimed it
+   */
+  async claimPendingOrder(id, observedPrice) {
+    try {
+      const now = new Date().toISOString();
+      const result = await this.run(
+        `UPDATE pending_orders SET status = 'TRIGGERED', triggered_at = ?, trigger_observed_price = ?, updated_at = ?
+         WHERE id = ? AND status = 'PENDING'`,
+        [now, observedPrice, now, id]
+      );
+      return result.changes === 1;
+    } catch (error) {
+      this.logger.error('Error claiming pending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of a triggered order
+   * @param {number} id - Order id
+   * @param {string} status - FILLED or FAILED
+   * @param {Object} details - {trade_id, error}
+   * @returns {Promise<void>}
+   */
+  async finishPendingOrder(id, status, details = {}) {
+    try {
+      await this.run(
+        'UPDATE pending_orders SET status = ?, trade_id = ?, error = ?, updated_at = ? WHERE id = ?',
+        [status, details.trade_id || null, details.error || null, new Date().toISOString(), id]
+      );
+    } catch (error) {
+      this.logger.error('Error finishing pending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending order together with the other leg of its OCO pair
+   * @param {number} id - Order id
+   * @param {string} reason - Stored in error
+   * @param {boolean} siblingsOnly - Only cancel the other OCO leg (after a fill)
+   * @returns {Promise<number>} - Cancelled orders
+   */
+  async cancelPendingOrder(id, reason = null, siblingsOnly = false) {
+    try {
+      const result = await this.run(
+        `UPDATE pending_orders SET status = 'CANCELLED', error = ?, updated_at = ?
+         WHERE status = 'PENDING' AND (${siblingsOnly ? '0' : 'id = ?'}
+           OR (oco_group IS NOT NULL AND id != ? AND oco_group = (SELECT oco_group FROM pending_orders WHERE id = ?)))`,
+        siblingsOnly
+          ? [reason, new Date().toISOString(), id, id]
+          : [reason, new Date().toISOString(), id, id, id]
+      );
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error cancelling pending order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire pending orders past their expiry time
+   * @param {string} now - ISO timestamp
+   * @returns {Promise<number>} - Expired orders
+   */
+  async expirePendingOrders(now = new Date().toISOString()) {
+    try {
+      const result = await this.run(
+        `UPDATE pending_orders SET status = 'EXPIRED', updated_at = ?
+         WHERE status = 'PENDING' AND expires_at IS NOT NULL AND expires_at <= ?`,
+        [new Date().toISOString(), now]
+      );
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error expiring pending orders:', error);
       throw error;
     }
   }
@@ -0,0 +1,399 @@
+const BaseService = require('./BaseService');
+const { EXECUTION_ALGOS, planTwapSlices, getPriceMove } = require('../utils/execution');
+
+/**
+ * Execution Service - Splits a large swap into child swaps (slices)
+ * TWAP sends equal slices at a fixed interval; iceberg sizes every slice so its quoted price impact
+ * stays under a limit. Each slice is re-quoted first and the order stops once the price has moved
+ * too far against the first slice. The order is a parent row in trades (execution_algo set) and the
+ * slices are ordinary trades pointing at it through parent_trade_id
+ */
+class ExecutionService extends BaseService {
+  constructor() {
+    super('ExecutionService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.twapSlices = 5;
+    this.sliceIntervalSeconds = 60;
+    this.maxSliceImpact = 0.01;
+    this.maxPriceMove = 0.03;
+    this.maxSlices = 20;
+    this.running = new Map(); // Parent trade id -> {cancelled} of orders executing in this process
+  }
+
+  /**
+   * Initialize the execution defaults
+   */
+  async onInit() {
+    this.twapSlices = parseInt(this.config.get('EXECUTION_TWAP_SLICES', '5'));
+    this.sliceIntervalSeconds = parseFloat(this.config.get('EXECUTION_SLICE_INTERVAL_SECONDS', '60'));
+    this.maxSliceImpact = parseFloat(this.config.get('EXECUTION_MAX_SLICE_IMPACT', '0.01'));
+    this.maxPriceMove = parseFloat(this.config.get('EXECUTION_MAX_PRICE_MOVE', '0.03'));
+    this.maxSlices = parseInt(this.config.get('EXECUTION_MAX_SLICES', '20'));
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Wait between slices (replaced in tests)
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Parse an optional numeric setting
+   * @param {*} value - Requested value
+   * @param {number} fallback - Default when omitted
+   * @param {Function} isValid - Range check
+   * @param {string} name - Field name for the error
+   * @returns {number}
+   */
+  parseSetting(value, fallback, isValid, name) {
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || !isValid(parsed)) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Validate an algo order request
+   * @param {Object} data - See start
+   * @returns {Object} - Normalized order
+   */
+  normalizeOrder(data) {
+    const tradingService = this.getTradingService();
+
+    const algo = String(data.algo || '').toLowerCase();
+    if (!EXECUTION_ALGOS.includes(algo)) {
+      throw new Error(`Invalid algo: ${data.algo}. Use ${EXECUTION_ALGOS.join(' or ')}`);
+    }
+    if (!data.fromToken || !data.toToken) {
+      throw new Error('Invalid order: fromToken and toToken are required');
+    }
+    if (data.fromToken === data.toToken) {
+      throw new Error(`Invalid order: fromToken and toToken are both ${data.fromToken}`);
+    }
+
+    const amount = parseFloat(data.amount);
+    if (!(amount >= tradingService.minTradeAmount)) {
+      throw new Error(`Invalid amount: ${data.amount} (minimum ${tradingService.minTradeAmount})`);
+    }
+
+    const order = {
+      algo,
+      fromToken: data.fromToken,
+      toToken: data.toToken,
+      amount,
+      slices: this.parseSetting(data.slices, this.twapSlices, v => v >= 1 && Number.isInteger(v), 'slices'),
+      intervalSeconds: this.parseSetting(data.intervalSeconds, this.sliceIntervalSeconds, v => v >= 0, 'interval'),
+      maxImpact: this.parseSetting(data.maxImpact, this.maxSliceImpact, v => v > 0 && v < 1, 'max impact'),
+      maxPriceMove: this.parseSetting(data.maxPriceMove, this.maxPriceMove, v => v > 0 && v < 1, 'max price move'),
+      slippage: data.slippage !== undefined && data.slippage !== null && data.slippage !== ''
+        ? this.parseSetting(data.slippage, null, v => v >= 0 && v < 1, 'slippage')
+        : tradingService.defaultSlippage,
+      dryRun: data.dryRun ?? tradingService.isDryRun,
+      strategy: data.strategy || `${algo}_order`,
+      // Throws on unknown or inactive wallets
+      wallet: tradingService.getWalletContext(data.wallet)
+    };
+
+    if (algo === 'twap') {
+      order.plan = planTwapSlices(amount, order.slices, {
+        minSlice: tradingService.minTradeAmount,
+        maxSlice: tradingService.maxTradeAmount
+      });
+      if (order.plan.length > this.maxSlices) {
+        throw new Error(`Invalid order: ${amount} needs ${order.plan.length} slices, the limit is ${this.maxSlices}`);
+      }
+    }
+
+    return order;
+  }
+
+  /**
+   * Quote a slice
+   * @param {Object} order - Normalized order
+   * @param {number} amount - Slice amount
+   * @returns {Promise<Object>} - {price (output per input), priceImpact}
+   */
+  async quoteSlice(order, amount) {
+    const quoteResult = await this.getTradingService().getQuote(order.fromToken, order.toToken, amount);
+    if (!quoteResult.success) {
+      throw new Error(`Failed to get quote: ${quoteResult.error}`);
+    }
+    return {
+      price: Number(quoteResult.outputAmount) / amount,
+      priceImpact: Math.abs(Number(quoteResult.priceImpact) || 0)
+    };
+  }
+
+  /**
+   * Size the next iceberg slice: the largest allowed amount, halved until its price impact is acceptable,
+   * capped at what is left to fill. A remainder too small to trade on its own is never left behind
+   * @param {Object} order - Normalized order
+   * @param {number} remaining - Amount still to fill
+   * @returns {Promise<Object>} - {amount, price, priceImpact}
+   */
+  async sizeIcebergSlice(order, remaining) {
+    const { minTradeAmount, maxTradeAmount } = this.getTradingService();
+
+    let size = maxTradeAmount;
+    let quote = await this.quoteSlice(order, size);
+    while (quote.priceImpact > order.maxImpact && size / 2 >= minTradeAmount) {
+      size /= 2;
+      quote = await this.quoteSlice(order, size);
+    }
+
+    let amount = size;
+    if (remaining <= size) {
+      amount = remaining;
+    } else if (remaining - size < minTradeAmount) {
+      amount = remaining - minTradeAmount >= minTradeAmount ? remaining - minTradeAmount : remaining;
+    }
+
+    return amount === size ? { amount, ...quote } : { amount, ...(await this.quoteSlice(order, amount)) };
+  }
+
+  /**
+   * Start an algo order in the background
+   * @param {Object} data - {algo: twap | iceberg, fromToken, toToken, amount, slices (twap), intervalSeconds,
+   *                        maxImpact (iceberg), maxPriceMove, slippage, dryRun, wallet, strategy}
+   * @returns {Promise<Object>} - {parentTradeId, order, completion: promise of the execution summary}
+   */
+  async start(data) {
+    const order = this.normalizeOrder(data);
+    const tradingService = this.getTradingService();
+
+    const parentTradeId = await tradingService.logTradeExecution({
+      fromToken: order.fromToken,
+      toToken: order.toToken,
+      amount: order.amount,
+      expectedPrice: 0,
+      slippage: order.slippage,
+      status: 'PENDING',
+      dryRun: order.dryRun || tradingService.isPaperTrading(),
+      strategy: order.strategy,
+      walletId: order.wallet.id,
+      executionAlgo: order.algo,
+      notes: `${order.algo.toUpperCase()} order for ${order.amount}`
+    });
+    if (!parentTradeId) {
+      throw new Error('Failed to record the algo order');
+    }
+
+    const state = { cancelled: false };
+    this.running.set(parentTradeId, state);
+    this.logger.info(`🧊 ${order.algo.toUpperCase()} order #${parentTradeId} started: ${order.amount} ${order.fromToken} -> ${order.toToken}`);
+
+    const completion = this.run(parentTradeId, order, state)
+      .catch(async (error) => {
+        this.logger.error(`Algo order #${parentTradeId} crashed:`, error);
+        await this.getDatabaseService().finishParentTrade(parentTradeId, {
+          amount: 0, price: 0, total_value: 0, status: 'FAILED', notes: `Algo order crashed: ${error.message}`
+        }).catch(() => {});
+        return {
+          parentTradeId, algo: order.algo, status: 'FAILED', requested: order.amount,
+          filled: 0, output: 0, averagePrice: 0, slices: [], reason: `Algo order crashed: ${error.message}`
+        };
+      })
+      .finally(() => this.running.delete(parentTradeId));
+
+    return { parentTradeId, order, completion };
+  }
+
+  /**
+   * Run an algo order to completion
+   * @param {Object} data - See start
+   * @returns {Promise<Object>} - Execution summary
+   */
+  async execute(data) {
+    const { completion } = await this.start(data);
+    return completion;
+  }
+
+  /**
+   * Execute the slices of a started order and record the aggregate fill on its parent trade
+   * @param {number} parentTradeId - Parent trade id
+   * @param {Object} order - Normalized order
+   * @param {Object} state - {cancelled}
+   * @returns {Promise<Object>} - {parentTradeId, algo, status, requested, filled, output, averagePrice, slices, reason}
+   */
+  async run(parentTradeId, order, state) {
+    const tradingService = this.getTradingService();
+    const slices = [];
+    let filled = 0;
+    let output = 0;
+    let referencePrice = null;
+    let reason = null;
+    const done = () => (order.plan ? slices.length >= order.plan.length : filled >= order.amount - 1e-9);
+
+    while (!done()) {
+      if (slices.length > 0 && order.intervalSeconds > 0) {
+        await this.sleep(order.intervalSeconds * 1000);
+      }
+      if (state.cancelled) {
+        reason = 'Cancelled';
+        break;
+      }
+      if (slices.length >= this.maxSlices) {
+        reason = `Slice limit of ${this.maxSlices} reached`;
+        break;
+      }
+
+      let slice;
+      try {
+        slice = order.plan
+          ? { amount: order.plan[slices.length], ...(await this.quoteSlice(order, order.plan[slices.length])) }
+          : await this.sizeIcebergSlice(order, order.amount - filled);
+      } catch (error) {
+        reason = error.message;
+        break;
+      }
+
+      referencePrice = referencePrice ?? slice.price;
+      const move = getPriceMove(referencePrice, slice.price);
+      if (move > order.maxPriceMove) {
+        reason = `Price moved ${(move * 100).toFixed(2)}% against the order (limit ${(order.maxPriceMove * 100).toFixed(2)}%)`;
+        break;
+      }
+
+      const result = await tradingService.executeSwap(order.fromToken, order.toToken, slice.amount, {
+        slippage: order.slippage,
+        dryRun: order.dryRun,
+        strategy: order.strategy,
+        wallet: order.wallet.id,
+        parentTradeId,
+        trackPosition: false
+      });
+      if (!result.success) {
+        reason = `Slice ${slices.length + 1} failed: ${result.error}`;
+        break;
+      }
+
+      // Confirmed live slices report what they actually received, the rest their quote
+      const sliceOutput = Number(result.actualOutput ?? result.expectedOutput);
+      filled += slice.amount;
+      output += sliceOutput;
+      slices.push({ tradeId: result.tradeId, amount: slice.amount, output: sliceOutput, price: sliceOutput / slice.amount });
+      this.logger.info(`🧊 Algo order #${parentTradeId} slice ${slices.length}: ${slice.amount} -> ${sliceOutput} (filled ${filled} / ${order.amount})`);
+    }
+
+    const status = reason === null ? 'COMPLETED' : (filled > 0 ? 'CANCELLED' : 'FAILED');
+    const averagePrice = filled > 0 ? output / filled : 0;
+    const notes = `${order.algo.toUpperCase()} order for ${order.amount}: ${slices.length} slice(s) filled ${filled}` +
+      (reason ? `, stopped: ${reason}` : '');
+
+    await this.getDatabaseService().finishParentTrade(parentTradeId, {
+      amount: filled,
+      price: averagePrice,
+      total_value: output,
+      status,
+      notes
+    });
+
+    // The position is the order as a whole, opened at its aggregate fill
+    if (filled > 0 && tradingService.formatTokenName(order.fromToken) === 'GALA') {
+      try {
+        await tradingService.trackOpenPosition({
+          strategy: order.strategy,
+          toToken: order.toToken,
+          tradeId: parentTradeId,
+          executedPrice: averagePrice,
+          galaAmount: filled,
+          tokenAmount: output,
+          walletId: order.wallet.id,
+          notePrefix: order.dryRun ? 'DRY RUN: ' : ''
+        });
+      } catch (positionError) {
+        this.logger.error(`Error creating algo order #${parentTradeId} open position:`, positionError);
+      }
+    }
+
+    this.logger.info(`🧊 Algo order #${parentTradeId} ${status}: ${notes}`);
+    return { parentTradeId, algo: order.algo, status, requested: order.amount, filled, output, averagePrice, slices, reason };
+  }
+
+  /**
+   * Stop a running algo order before its next slice
+   * @param {number} parentTradeId - Parent trade id
+   * @returns {Promise<Object>} - Parent trade
+   */
+  async cancel(parentTradeId) {
+    const parent = await this.getDatabaseService().getTrade(parentTradeId);
+    if (!parent || !EXECUTION_ALGOS.includes(parent.execution_algo)) {
+      throw new Error(`Unknown algo order: ${parentTradeId}`);
+    }
+    const state = this.running.get(parent.id);
+    if (!state) {
+      throw new Error(`Invalid cancel: algo order #${parentTradeId} is not running (${parent.status})`);
+    }
+
+    state.cancelled = true;
+    this.logger.info(`🚫 Algo order #${parentTradeId} cancelled`);
+    return parent;
+  }
+
+  /**
+   * Get an algo order with its slices
+   * @param {number} parentTradeId - Parent trade id
+   * @returns {Promise<Object>} - {order: parent trade, slices: child trades, running}
+   */
+  async getAlgoOrder(parentTradeId) {
+    const databaseService = this.getDatabaseService();
+    const parent = await databaseService.getTrade(parentTradeId);
+    if (!parent || !EXECUTION_ALGOS.includes(parent.execution_algo)) {
+      throw new Error(`Unknown algo order: ${parentTradeId}`);
+    }
+
+    return {
+      order: parent,
+      slices: await databaseService.getChildTrades(parent.id),
+      running: this.running.has(parent.id)
+    };
+  }
+
+  /**
+   * List algo orders, newest first
+   * @param {Object} options - {status, limit}
+   * @returns {Promise<Array>}
+   */
+  async getAlgoOrders(options = {}) {
+    const orders = await this.getDatabaseService().getParentTrades({
+      algos: EXECUTION_ALGOS,
+      status: options.status ? String(options.status).toUpperCase() : null,
+      limit: options.limit || 50
+    });
+    return orders.map(order => ({ ...order, running: this.running.has(order.id) }));
+  }
+}
+
+module.exports = ExecutionService;
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Migration Runner - Applies numbered schema migrations and tracks them in schema_migrations
+ * Each file in migrations/ is named NNN_name.js and exports {description, up(db), down(db)}
+ */
+class MigrationRunner {
+  /**
+   * @param {DatabaseService} databaseService - Database service used to run migrations
+   * @param {string} migrationsDir - Directory containing migration files
+   */
+  constructor(databaseService, migrationsDir = path.join(__dirname, '..', 'migrations')) {
+    this.db = databaseService;
+    this.migrationsDir = migrationsDir;
+  }
+
+  /**
+   * Load migration files sorted by version
+   * @returns {Array} - Migrations {version, name, description, up, down}
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.migrationsDir)) {
+      return [];
+    }
+
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.migrationsDir, file));
+        if (typeof migration.up !== 'function') {
+          throw new Error(`Migration ${file} does not export an up() function`);
+        }
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || '',
+          up: migration.up,
+          down: migration.down || null
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Create the schema_migrations tracking table
+   * @returns {Promise<void>}
+   */
+  async ensureMigrationsTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  /**
+   * Get applied migrations
+   * @returns {Promise<Array>} - Rows from schema_migrations (oldest first)
+   */
+  async getApplied() {
+    await this.ensureMigrationsTable();
+    return await this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Get status of every known migration
+   * @returns {Promise<Object>} - {currentVersion, pending, migrations: [{version, name, applied, appliedAt}]}
+   */
+  async status() {
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const migrations = this.loadMigrations();
+
+    const rows = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: appliedByVersion.has(migration.version),
+      appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+    }));
+
+    // Applied versions whose file is gone are reported so they are not silently ignored
+    for (const row of applied) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        rows.push({ version: row.version, name: row.name, description: '', applied: true, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    rows.sort((a, b) => a.version - b.version);
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      pending: rows.filter(row => !row.applied).length,
+      migrations: rows
+    };
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - Options
+   * @param {number} options.to - Stop after this version (default: latest)
+   * @returns {Promise<Array>} - Applied migrations {version, name}
+   */
+  async up(options = {}) {
+    const { to = null } = options;
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    const pending = this.loadMigrations()
+      .filter(migration => !applied.has(migration.version))
+      .filter(migration => to === null || migration.version <= to);
+
+    const results = [];
+    for (const migration of pending) {
+      await this.runInTransaction(migration, 'up', async () => {
+        await migration.up(this.db);
+        await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+      results.push({ version: migration.version, name: migration.name });
+    }
+
+    return results;
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} options - Options
+   * @param {number} options.steps - Number of migrations to roll back (default: 1)
+   * @param {number} options.to - Roll back every migration above this version (overrides steps)
+   * @returns {Promise<Array>} - Rolled back migrations {version, name}
+   */
+  async down(options = {}) {
+    const { steps = 1, to = null } = options;
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await this.getApplied()).reverse();
+
+    const targets = to !== null
+      ? applied.filter(row => row.version > to)
+      : applied.slice(0, steps);
+
+    const results = [];
+    for (const row of targets) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} is irreversible (no down() function)`);
+      }
+
+      await this.runInTransaction(migration, 'down', async () => {
+        await migration.down(this.db);
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      results.push({ version: migration.version, name: migration.name });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run a migration step inside a transaction, rolling back on failure
+   * @param {Object} migration - Migration being run
+   * @param {string} direction - 'up' or 'down'
+   * @param {Function} work - Async work to perform
+   * @returns {Promise<void>}
+   */
+  async runInTransaction(migration, direction, work) {
+    await this.db.run('BEGIN TRANSACTION');
+    try {
+      await work();
+      await this.db.run('COMMIT');
+    } catch (error) {
+      await this.db.run('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version}_${migration.name} ${direction} failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = MigrationRunner;
@@ -1,16 +1,27 @@
 const BaseService = require('./BaseService');
+const { createChannels } = require('../notifications');
+const { getBackoffDelay } = require('../utils/helpers');
 
 /**
- * Notification Service - Handles Discord webhook notifications and alerts
+ * Notification Service - Builds channel-neutral notifications and routes them to the configured
+ * channels (Discord, Slack, Telegram, email, JSON webhook), each rendering with its own formatter
+ * Every notification is written to the notifications_outbox table before delivery; failed
+ * deliveries are retried by a background worker with exponential backoff (honoring a channel's
+ * retry_after) and end up as dead letters after NOTIFICATION_MAX_ATTEMPTS
  */
 class NotificationService extends BaseService {
   constructor() {
     super('NotificationService');
-    this.webhookUrl = null;
+    this.databaseService = null;
+    this.channels = [];
     this.enabled = false;
-    this.rateLimitQueue = [];
-    this.lastSentTime = 0;
-    this.minInterval = 1000; // Minimum 1 second between messages
+    this.outboxTimer = null;
+    this.processingOutbox = false;
+    this.blockedUntil = new Map(); // Channel name -> time its rate limit lifts (ms)
+    this.maxAttempts = 8;
+    this.retryBaseMs = 5000;
+    this.retryMaxMs = 60 * 60 * 1000;
+    this.outboxPollMs = 5000;
   }
 
   /**
@@ -18,16 +29,22 @@ class NotificationService extends BaseService {
    */
   async onInit() {
     try {
-      this.webhookUrl = this.config.get('DISCORD_WEBHOOK_URL');
-      this.enabled = !!this.webhookUrl;
-      this.minInterval = parseInt(this.config.get('NOTIFICATION_MIN_INTERVAL_MS', '1000'));
+      this.maxAttempts = parseInt(this.config.get('NOTIFICATION_MAX_ATTEMPTS', 8));
+      this.retryBaseMs = parseInt(this.config.get('NOTIFICATION_RETRY_BASE_MS', 5000));
+      this.retryMaxMs = parseInt(this.config.get('NOTIFICATION_RETRY_MAX_MS', 3600000));
+      this.outboxPollMs = parseInt(this.config.get('NOTIFICATION_OUTBOX_POLL_MS', 5000));
+
+      this.channels = createChannels(this.config);
+      this.enabled = this.channels.length > 0;
 
       if (!this.enabled) {
-        this.logger.warn('Discord webhook not configured - notifications disabled');
+        this.logger.warn('No notification channels configured - notifications disabled');
       } else {
-        this.logger.info('Discord notifications enabled');
-        
-        // Test webhook connection
+        this.logger.info(`Notification channels enabled: ${this.channels.map(channel => channel.name).join(', ')}`);
+
+        await this.startOutboxWorker();
+
+        // Test channel connections
         await this.sendTestNotification();
       }
 
@@ -38,77 +55,251 @@ class NotificationService extends BaseService {
     }
   }
 
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
   /**
    * Send a test notification
+   * @returns {Promise<boolean>} - Whether any channel delivered it
    */
   async sendTestNotification() {
-    try {
-      const testPayload = {
-        content: '🤖 Gala Trading Bot - Notification Service Initialized',
-        embeds: [{
-          title: 'System Status',
-          description: 'Discord webhook connection successful',
-          color: 0x00ff00, // Green
-          timestamp: new Date().toISOString(),
-          footer: {
-            text: 'Gala Trading Bot'
-          }
-        }]
-      };
+    const sent = await this.notify('startup', {
+      content: '🤖 Gala Trading Bot - Notification Service Initialized',
+      title: 'System Status',
+      description: `Notification channels connected: ${this.channels.map(channel => channel.name).join(', ')}`,
+      color: 0x00ff00, // Green
+      footer: {
+        text: 'Gala Trading Bot'
+      }
+    });
 
-      await this.sendWebhook(testPayload);
+    if (sent) {
       this.logger.info('Test notification sent successfully');
+    }
+    return sent;
+  }
+
+  /**
+   * Route a notification to every channel that takes its event
+   * The notification is stored in the outbox first and delivered right away;
+   * channels that fail get it again from the outbox worker
+   * @param {string} event - Event name (trade, buyback, error, summary, ...)
+   * @param {Object} message - {content, title, description, color, fields, footer, timestamp}
+   * @param {Object} options - {channels: only send to these channel names}
+   * @returns {Promise<boolean>} - Whether at least one channel delivered it now
+   */
+  async notify(event, message, options = {}) {
+    if (!this.enabled) {
+      this.logger.debug('Notifications disabled, skipping notification');
+      return false;
+    }
 
+    const targets = this.channels.filter(channel =>
+      options.channels ? options.channels.includes(channel.name) : channel.accepts(event)
+    );
+
+    if (targets.length === 0) {
+      this.logger.debug(`No channel routes ${event} notifications`);
+      return false;
+    }
+
+    const notification = {
+      ...message,
+      event,
+      timestamp: message.timestamp || new Date().toISOString()
+    };
+
+    let ids;
+    try {
+      ids = await this.getDatabaseService().enqueueNotification(event, notification, targets.map(channel => channel.name));
     } catch (error) {
-      this.logger.error('Test notification failed:', error);
-      this.enabled = false;
+      this.logger.warn(`Notification outbox unavailable, sending ${event} without retries:`, error.message);
+      const results = await Promise.all(targets.map(channel =>
+        channel.send(notification).then(() => true, sendError => {
+          this.logger.error(`Failed to send ${event} notification to ${channel.name}:`, sendError.message);
+          return false;
+        })
+      ));
+      return results.some(Boolean);
     }
+
+    const results = await Promise.all(ids.map((id, index) => this.deliverOutboxEntry({
+      id,
+      event,
+      channel: targets[index].name,
+      message: notification,
+      attempts: 0
+    })));
+
+    return results.some(Boolean);
   }
 
   /**
-   * Send webhook message with rate limiting
-   * @param {Object} payload - Discord webhook payload
-   * @returns {Promise<boolean>} - Success status
+   * Check whether a channel is waiting out a rate limit
+   * @param {string} channelName - Channel name
+   * @returns {boolean}
    */
-  async sendWebhook(payload) {
-    if (!this.enabled) {
-      this.logger.debug('Notifications disabled, skipping webhook');
+  isChannelBlocked(channelName) {
+    return (this.blockedUntil.get(channelName) || 0) > Date.now();
+  }
+
+  /**
+   * Deliver one outbox entry and record the outcome
+   * A failed attempt is rescheduled with exponential backoff (at least the channel's retry_after),
+   * or moved to the dead letters after maxAttempts or on errors retrying cannot fix
+   * @param {Object} entry - Outbox entry {id, event, channel, message, attempts}
+   * @returns {Promise<boolean>} - Whether it was delivered
+   */
+  async deliverOutboxEntry(entry) {
+    const databaseService = this.getDatabaseService();
+
+    if (!await databaseService.claimNotification(entry.id)) {
+      return false; // Another worker has it
+    }
+
+    const channel = this.channels.find(candidate => candidate.name === entry.channel);
+    if (!channel) {
+      await databaseService.markNotificationFailed(entry.id, `Channel not configured: ${entry.channel}`, null);
+      return false;
+    }
+
+    if (this.isChannelBlocked(channel.name)) {
+      await databaseService.deferNotification(entry.id, new Date(this.blockedUntil.get(channel.name)).toISOString());
       return false;
     }
 
     try {
-      // Rate limiting
-      const now = Date.now();
-      if (now - this.lastSentTime < this.minInterval) {
-        const waitTime = this.minInterval - (now - this.lastSentTime);
-        this.logger.debug(`Rate limiting: waiting ${waitTime}ms`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+      await channel.send(entry.message);
+      await databaseService.markNotificationSent(entry.id);
+      this.logger.debug(`${entry.event} notification ${entry.id} sent to ${channel.name}`);
+      return true;
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+
+      if (error.retryAfterMs) {
+        this.blockedUntil.set(channel.name, Date.now() + error.retryAfterMs);
       }
 
-      const response = await fetch(this.webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload)
-      });
+      let nextAttemptAt = null;
+      if (error.retryable !== false && attempts < this.maxAttempts) {
+        const delay = Math.max(getBackoffDelay(attempts, this.retryBaseMs, this.retryMaxMs), error.retryAfterMs || 0);
+        nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      }
 
-      this.lastSentTime = Date.now();
+      await databaseService.markNotificationFailed(entry.id, error.message, nextAttemptAt);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+      if (nextAttemptAt) {
+        this.logger.warn(`Failed to send ${entry.event} notification ${entry.id} to ${channel.name} (attempt ${attempts}/${this.maxAttempts}), retrying at ${nextAttemptAt}:`, error.message);
+      } else {
+        this.logger.error(`${entry.event} notification ${entry.id} to ${channel.name} moved to dead letters after ${attempts} attempt(s):`, error.message);
       }
+      return false;
+    }
+  }
 
-      this.logger.debug('Webhook sent successfully');
-      return true;
+  /**
+   * Deliver every due outbox entry, one at a time per tick
+   * @param {number} limit - Maximum entries per run
+   * @returns {Promise<Object>} - {processed, sent, failed}
+   */
+  async processOutbox(limit = 50) {
+    const summary = { processed: 0, sent: 0, failed: 0 };
 
-    } catch (error) {
-      this.logger.error('Failed to send webhook:', error);
-      return false;
+    // A slow channel must not let the next poll pick up the same entries
+    if (this.processingOutbox) {
+      return summary;
+    }
+
+    this.processingOutbox = true;
+    try {
+      const due = await this.getDatabaseService().getDueNotifications(limit);
+
+      for (const entry of due) {
+        if (this.isChannelBlocked(entry.channel)) {
+          continue;
+        }
+
+        summary.processed++;
+        if (await this.deliverOutboxEntry(entry)) {
+          summary.sent++;
+        } else {
+          summary.failed++;
+        }
+      }
+    } finally {
+      this.processingOutbox = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Start the background outbox worker
+   * Entries a crashed worker left mid-delivery are queued again first
+   */
+  async startOutboxWorker() {
+    if (this.outboxTimer) {
+      return;
+    }
+
+    const staleBefore = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    const requeued = await this.getDatabaseService().requeueStaleNotifications(staleBefore);
+    if (requeued > 0) {
+      this.logger.warn(`Requeued ${requeued} notification(s) interrupted mid-delivery`);
+    }
+
+    this.outboxTimer = setInterval(() => {
+      this.processOutbox().catch(error => this.logger.error('Notification outbox run failed:', error));
+    }, this.outboxPollMs);
+
+    // Don't keep short-lived commands alive for the worker
+    this.outboxTimer.unref();
+  }
+
+  /**
+   * Stop the background outbox worker
+   */
+  stopOutboxWorker() {
+    if (this.outboxTimer) {
+      clearInterval(this.outboxTimer);
+      this.outboxTimer = null;
     }
   }
 
+  /**
+   * Replay dead (or pending) notifications with a fresh attempt count and deliver them
+   * @param {Object} filters - {id, channel, status}
+   * @returns {Promise<Object>} - {replayed, processed, sent, failed}
+   */
+  async replayNotifications(filters = {}) {
+    const replayed = await this.getDatabaseService().replayNotifications(filters);
+    if (replayed > 0) {
+      for (const channel of filters.channel ? [filters.channel] : this.channels.map(c => c.name)) {
+        this.blockedUntil.delete(channel);
+      }
+    }
+
+    const result = replayed > 0 ? await this.processOutbox() : { processed: 0, sent: 0, failed: 0 };
+    return { replayed, ...result };
+  }
+
+  /**
+   * Stop the outbox worker on shutdown
+   */
+  async shutdown() {
+    this.stopOutboxWorker();
+    await super.shutdown();
+  }
+
   /**
    * Send trading signal notification
    * @param {Object} signal - Trading signal data
@@ -189,12 +380,10 @@ class NotificationService extends BaseService {
         });
       }
 
-      const payload = {
+      return await this.notify('signal', {
         content: `${emoji} **GALA Trading Signal Detected**`,
-        embeds: [embed]
-      };
-
-      return await this.sendWebhook(payload);
+        ...embed
+      });
 
     } catch (error) {
       this.logger.error('Failed to send trading signal notification:', error);
@@ -294,12 +483,10 @@ class NotificationService extends BaseService {
         }
       }
 
-      const payload = {
+      return await this.notify('trade', {
         content: isDryRun ? '🧪 **Dry Run Trade**' : '💰 **Live Trade**',
-        embeds: [embed]
-      };
-
-      return await this.sendWebhook(payload);
+        ...embed
+      });
 
     } catch (error) {
       this.logger.error('Failed to send trade execution notification:', error);
@@ -352,12 +539,10 @@ class NotificationService extends BaseService {
         });
       }
 
-      const payload = {
+      return await this.notify('error', {
         content: '🚨 **System Error**',
-        embeds: [embed]
-      };
-
-      return await this.sendWebhook(payload);
+        ...embed
+      });
 
     } catch (webhookError) {
       this.logger.error('Failed to send error notification:', webhookError);
@@ -365,6 +550,85 @@ class NotificationService extends BaseService {
     }
   }
 
+  /**
+   * Send risk manager alert (rejected trade or kill switch)
+   * @param {Object} alert - {rule, message, trade: {fromToken, toToken, amount, mode, strategy}, killSwitch}
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendRiskAlert(alert) {
+    if (!this.enabled) return false;
+
+    try {
+      const { rule, message, trade = null, killSwitch = null } = alert;
+      const halted = killSwitch && killSwitch.engaged;
+
+      const embed = {
+        title: halted ? '🚨 Kill Switch Engaged' : `🛑 Trade Rejected: ${rule}`,
+        description: message,
+        color: halted ? 0xff0000 : 0xffa500, // Red for halts, orange for rejections
+        fields: [],
+        timestamp: new Date().toISOString(),
+        footer: {
+          text: 'Gala Trading Bot Risk Manager'
+        }
+      };
+
+      if (trade) {
+        embed.fields.push(
+          { name: 'Trade', value: `${trade.amount} ${trade.fromToken.split('|')[0]} → ${trade.toToken.split('|')[0]}`, inline: true },
+          { name: 'Strategy', value: trade.strategy || 'Manual', inline: true },
+          { name: 'Mode', value: trade.mode, inline: true }
+        );
+      }
+
+      if (halted) {
+        embed.fields.push({
+          name: 'Resume',
+          value: 'Live trading stays halted until the kill switch is reset (`POST /trading/risk/kill-switch`)',
+          inline: false
+        });
+      }
+
+      return await this.notify('risk', {
+        content: halted ? '🚨 **Live Trading Halted**' : '🛑 **Risk Check Failed**',
+        ...embed
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to send risk alert:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a settlement alert (fill mismatch, balance discrepancy, unconfirmed trades)
+   * @param {Object} alert - {title, message, fields}
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendSettlementAlert(alert) {
+    if (!this.enabled) return false;
+
+    try {
+      const { title, message, fields = [] } = alert;
+
+      return await this.notify('settlement', {
+        content: '⚠️ **Settlement Check**',
+        title: `⚠️ ${title}`,
+        description: message,
+        color: 0xffa500, // Orange
+        fields: fields.slice(0, 25), // Discord embeds hold at most 25 fields
+        timestamp: new Date().toISOString(),
+        footer: {
+          text: 'Gala Trading Bot Settlement'
+        }
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to send settlement alert:', error);
+      return false;
+    }
+  }
+
   /**
    * Send daily summary notification
    * @param {Object} summary - Daily trading summary
@@ -408,6 +672,14 @@ class NotificationService extends BaseService {
         });
       }
 
+      if (summary.fees) {
+        embed.fields.push({
+          name: 'Fees',
+          value: `${summary.fees.toFixed(4)} GALA`,
+          inline: true
+        });
+      }
+
       if (summary.currentPrice) {
         embed.fields.push({
           name: 'Current GALA Price',
@@ -416,12 +688,10 @@ class NotificationService extends BaseService {
         });
       }
 
-      const payload = {
+      return await this.notify('daily_summary', {
         content: '📊 **Daily Trading Summary**',
-        embeds: [embed]
-      };
-
-      return await this.sendWebhook(payload);
+        ...embed
+      });
 
     } catch (error) {
       this.logger.error('Failed to send daily summary notification:', error);
@@ -438,9 +708,17 @@ class NotificationService extends BaseService {
       serviceName: this.serviceName,
       isInitialized: this.isInitialized,
       enabled: this.enabled,
-      webhookConfigured: !!this.webhookUrl,
-      minInterval: this.minInterval,
-      lastSentTime: this.lastSentTime
+      webhookConfigured: this.channels.some(channel => channel.name === 'discord'),
+      channels: this.channels.map(channel => ({
+        ...channel.describe(),
+        rateLimitedUntil: this.isChannelBlocked(channel.name) ? new Date(this.blockedUntil.get(channel.name)).toISOString() : null
+      })),
+      outbox: {
+        workerRunning: this.outboxTimer !== null,
+        maxAttempts: this.maxAttempts,
+        retryBaseMs: this.retryBaseMs,
+        retryMaxMs: this.retryMaxMs
+      }
     };
   }
 
@@ -457,15 +735,16 @@ class NotificationService extends BaseService {
 
     try {
       const isSuccessful = summary.success && summary.tradesExecuted > 0;
+      const strategyName = (summary.strategy || 'per symbol').toUpperCase();
       const color = isSuccessful ? 0x00ff00 : (summary.success ? 0xffff00 : 0xff0000); // Green, Yellow, Red
       
       let title, description;
       if (isSuccessful) {
         title = `🎯 Automated Trading - ${summary.tradesExecuted} Trade${summary.tradesExecuted > 1 ? 's' : ''} Executed`;
-        description = `Successfully executed ${summary.tradesExecuted} trades using ${summary.strategy.toUpperCase()} strategy`;
+        description = `Successfully executed ${summary.tradesExecuted} trades using ${strategyName} strategy`;
       } else if (summary.success) {
         title = '📊 Automated Trading - No Trades Executed';
-        description = `Analysis completed but no trades met the criteria (${summary.strategy.toUpperCase()} strategy)`;
+        description = `Analysis completed but no trades met the criteria (${strategyName} strategy)`;
       } else {
         title = '❌ Automated Trading - Failed';
         description = `Trading cycle failed: ${summary.error}`;
@@ -479,7 +758,7 @@ class NotificationService extends BaseService {
         fields: [
           {
             name: 'Strategy',
-            value: summary.strategy.toUpperCase(),
+            value: strategyName,
             inline: true
           },
           {
@@ -527,11 +806,7 @@ class NotificationService extends BaseService {
         });
       }
 
-      const payload = {
-        embeds: [embed]
-      };
-
-      const result = await this.sendWebhook(payload);
+      const result = await this.notify('summary', embed);
       if (result) {
         this.logger.info('Trading summary notification sent successfully');
       }
@@ -552,7 +827,7 @@ class NotificationService extends BaseService {
     if (!this.enabled) return false;
 
     try {
-      const { position, currentPrice, finalGalaAmount, finalPnL, swapResult } = buybackData;
+      const { position, currentPrice, finalGalaAmount, finalPnL, swapResult, exitRule = null, partial = false } = buybackData;
       const {
         symbol,
         token_symbol,
@@ -561,6 +836,7 @@ class NotificationService extends BaseService {
         token_amount,
         strategy
       } = position;
+      const tokensSold = buybackData.tokenAmount ?? token_amount;
 
       const isDryRun = swapResult.dryRun;
       const isProfit = finalPnL.percentagePnL > 0;
@@ -570,9 +846,10 @@ class NotificationService extends BaseService {
       const pnlEmoji = isProfit ? '📈' : '📉';
       const actionEmoji = isDryRun ? '🧪' : '🔄';
       
+      const buybackLabel = partial ? 'Partial Buyback' : 'Buyback';
       const title = isDryRun 
-        ? `${actionEmoji} Dry Run Buyback Executed`
-        : `${actionEmoji} Conditional Buyback Executed`;
+        ? `${actionEmoji} Dry Run ${buybackLabel} Executed`
+        : `${actionEmoji} Conditional ${buybackLabel} Executed`;
 
       const pnlSign = finalPnL.percentagePnL >= 0 ? '+' : '';
       const pnlText = `${pnlEmoji} ${pnlSign}${finalPnL.percentagePnL.toFixed(2)}% (${pnlSign}${finalPnL.absolutePnL.toFixed(4)} GALA)`;
@@ -603,7 +880,7 @@ class NotificationService extends BaseService {
           },
           {
             name: 'Exit Details',
-            value: `**Price**: ${currentPrice.toFixed(6)}\n**Tokens**: ${token_amount}`,
+            value: `**Price**: ${currentPrice.toFixed(6)}\n**Tokens**: ${partial ? `${tokensSold} of ${token_amount}` : tokensSold}`,
             inline: true
           },
           {
@@ -633,7 +910,21 @@ class NotificationService extends BaseService {
       }
 
       // Add buyback reason
-      if (finalPnL.percentagePnL >= 5) {
+      if (exitRule) {
+        const exitRuleEmojis = {
+          STOP_LOSS: '🛑',
+          TIME_EXIT: '⏰',
+          TRAILING_STOP: '📉',
+          TAKE_PROFIT_LADDER: '🪜',
+          PROFIT_TARGET: '🎯',
+          MANUAL_CLOSE: '✋'
+        };
+        embed.fields.push({
+          name: 'Exit Rule',
+          value: `${exitRuleEmojis[exitRule.reason] || '🔔'} ${exitRule.reason}: ${exitRule.description}`,
+          inline: false
+        });
+      } else if (finalPnL.percentagePnL >= 5) {
         embed.fields.push({
           name: 'Trigger Reason',
           value: '🎯 Profit target reached (+5%)',
@@ -647,11 +938,7 @@ class NotificationService extends BaseService {
         });
       }
 
-      const payload = {
-        embeds: [embed]
-      };
-
-      const result = await this.sendWebhook(payload);
+      const result = await this.notify('buyback', embed);
       if (result) {
         this.logger.info(`Buyback notification sent for position ${position.id}`);
       }
@@ -754,14 +1041,12 @@ class NotificationService extends BaseService {
         }
       }
 
-      const payload = {
+      const result = await this.notify('close_all', {
         content: isSuccess ? 
           `🎯 Close All Positions completed: **${totalGalaRecovered.toFixed(4)} GALA** recovered from ${positionsClosed} positions` :
           '⚠️ Close All Positions operation failed',
-        embeds: [embed]
-      };
-
-      const result = await this.sendWebhook(payload);
+        ...embed
+      });
       if (result) {
         this.logger.info(`Close all positions notification sent: ${positionsClosed} closed, ${positionsFailed} failed`);
       }
@@ -0,0 +1,345 @@
+const BaseService = require('./BaseService');
+const { ORDER_TYPES, ORDER_SIDES, isOrderTriggered, getOrderSwap, validateOcoPrices } = require('../utils/orders');
+
+const GALA_SYMBOL = 'GALA|Unit|none|none';
+
+/**
+ * Order Service - Limit, stop and OCO orders stored in pending_orders
+ * Every check expires overdue orders, prices each pair from the price oracle and fills
+ * triggered orders through TradingService.executeSwapWithBalanceCheck, so fills are logged,
+ * risk-checked and notified like any other swap
+ */
+class OrderService extends BaseService {
+  constructor() {
+    super('OrderService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.priceOracleService = null;
+    this.defaultExpiryHours = 168; // Expiry of orders placed without one (0 = good until cancelled)
+  }
+
+  /**
+   * Initialize the order settings
+   */
+  async onInit() {
+    this.defaultExpiryHours = parseFloat(this.config.get('ORDER_DEFAULT_EXPIRY_HOURS', '168'));
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Get price oracle service (lazy initialization)
+   * @returns {PriceOracleService} Price oracle service instance
+   */
+  getPriceOracleService() {
+    if (!this.priceOracleService) {
+      const ServiceManager = require('./ServiceManager');
+      this.priceOracleService = ServiceManager.get('priceOracle');
+    }
+    return this.priceOracleService;
+  }
+
+  /**
+   * Resolve a token to its gala_symbol: a gala_symbol as is, else the monitored symbol's
+   * @param {string} token - e.g. 'GUSDC|Unit|none|none' or 'GUSDC'
+   * @returns {Promise<string>}
+   */
+  async resolveToken(token) {
+    if (token.includes('|')) {
+      return token;
+    }
+    const symbolData = await this.getDatabaseService().getMonitoredSymbol(token);
+    return symbolData?.gala_symbol || `${token}|Unit|none|none`;
+  }
+
+  /**
+   * Validate the fields shared by single orders and OCO pairs
+   * @param {Object} data - {side, token, quoteToken, amount, wallet, slippage, expiresAt, expiresInHours}
+   * @returns {Promise<Object>} - pending_orders fields without order_type and trigger_price
+   */
+  async normalizeOrder(data) {
+    const side = String(data.side || '').toUpperCase();
+    if (!ORDER_SIDES.includes(side)) {
+      throw new Error(`Invalid side: ${data.side}. Use buy or sell`);
+    }
+    if (!data.token) {
+      throw new Error('Invalid order: token is required');
+    }
+
+    const token = await this.resolveToken(String(data.token));
+    const quoteToken = await this.resolveToken(String(data.quoteToken || GALA_SYMBOL));
+    if (token === quoteToken) {
+      throw new Error(`Invalid order: token and quote token are both ${token}`);
+    }
+
+    const amount = parseFloat(data.amount);
+    if (!(amount > 0)) {
+      throw new Error(`Invalid amount: ${data.amount}`);
+    }
+
+    let slippage = null;
+    if (data.slippage !== undefined && data.slippage !== null && data.slippage !== '') {
+      slippage = parseFloat(data.slippage);
+      if (!(slippage >= 0 && slippage < 1)) {
+        throw new Error(`Invalid slippage: ${data.slippage} (fraction, e.g. 0.01)`);
+      }
+    }
+
+    let expiresAt = null;
+    if (data.expiresAt) {
+      if (isNaN(Date.parse(data.expiresAt))) {
+        throw new Error(`Invalid expiry: ${data.expiresAt}`);
+      }
+      expiresAt = new Date(data.expiresAt).toISOString();
+    } else {
+      const hours = data.expiresInHours !== undefined && data.expiresInHours !== null && data.expiresInHours !== ''
+        ? parseFloat(data.expiresInHours)
+        : this.defaultExpiryHours;
+      if (isNaN(hours) || hours < 0) {
+        throw new Error(`Invalid expiry: ${data.expiresInHours} hours`);
+      }
+      expiresAt = hours > 0 ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null;
+    }
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new Error(`Invalid expiry: ${expiresAt} is in the past`);
+    }
+
+    // Throws on unknown or inactive wallets
+    const wallet = this.getTradingService().getWalletContext(data.wallet);
+
+    return {
+      wallet_id: wallet.id,
+      side,
+      token,
+      quote_token: quoteToken,
+      amount,
+      slippage,
+      expires_at: expiresAt,
+      created_by: data.createdBy || null
+    };
+  }
+
+  /**
+   * Parse a trigger price
+   * @param {*} value - Price in quote token units
+   * @param {string} name - Field name for the error
+   * @returns {number}
+   */
+  parsePrice(value, name = 'price') {
+    const price = parseFloat(value);
+    if (!(price > 0)) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return price;
+  }
+
+  /**
+   * Place a limit or stop order
+   * @param {Object} data - {type: limit | stop, side: buy | sell, token, quoteToken, amount, price, wallet, slippage,
+   *                        expiresAt | expiresInHours, createdBy}
+   * @returns {Promise<Object>} - Stored order
+   */
+  async placeOrder(data) {
+    const orderType = String(data.type || '').toUpperCase();
+    if (!ORDER_TYPES.includes(orderType)) {
+      throw new Error(`Invalid order type: ${data.type}. Use limit, stop or oco`);
+    }
+
+    const order = {
+      ...(await this.normalizeOrder(data)),
+      order_type: orderType,
+      trigger_price: this.parsePrice(data.price)
+    };
+
+    const databaseService = this.getDatabaseService();
+    const id = await databaseService.createPendingOrder(order);
+    this.logger.info(`📝 ${orderType} ${order.side} order #${id} placed: ${order.amount} at ${order.trigger_price}`);
+    return databaseService.getPendingOrder(id);
+  }
+
+  /**
+   * Place an OCO pair: a limit and a stop order on the same side, a fill of one cancels the other
+   * (e.g. a take profit above and a stop loss below for a SELL)
+   * @param {Object} data - Order fields (see placeOrder) with limitPrice and stopPrice instead of price
+   * @returns {Promise<Array>} - Stored orders [limit, stop]
+   */
+  async placeOcoOrder(data) {
+    const base = await this.normalizeOrder(data);
+    const limitPrice = this.parsePrice(data.limitPrice, 'limit price');
+    const stopPrice = this.parsePrice(data.stopPrice, 'stop price');
+    validateOcoPrices(base.side, limitPrice, stopPrice);
+
+    const databaseService = this.getDatabaseService();
+    const ids = await databaseService.createOcoOrders(
+      { ...base, order_type: 'LIMIT', trigger_price: limitPrice },
+      { ...base, order_type: 'STOP', trigger_price: stopPrice }
+    );
+    this.logger.info(`📝 OCO ${base.side} orders #${ids.join(' / #')} placed: ${base.amount}, limit ${limitPrice}, stop ${stopPrice}`);
+    return Promise.all(ids.map(id => databaseService.getPendingOrder(id)));
+  }
+
+  /**
+   * Cancel a pending order (both legs of an OCO pair)
+   * @param {number} id - Order id
+   * @param {string} reason - Why it was cancelled
+   * @returns {Promise<Object>} - {order, cancelled}
+   */
+  async cancelOrder(id, reason = 'Cancelled manually') {
+    const databaseService = this.getDatabaseService();
+    const order = await databaseService.getPendingOrder(id);
+    if (!order) {
+      throw new Error(`Unknown order: ${id}`);
+    }
+    if (order.status !== 'PENDING') {
+      throw new Error(`Invalid cancel: order #${id} is ${order.status}`);
+    }
+
+    const cancelled = await databaseService.cancelPendingOrder(order.id, reason);
+    this.logger.info(`🚫 Order #${id} cancelled${cancelled > 1 ? ' with its OCO leg' : ''}: ${reason}`);
+    return { order: await databaseService.getPendingOrder(id), cancelled };
+  }
+
+  /**
+   * List orders
+   * @param {Object} options - {status, wallet, limit}
+   * @returns {Promise<Array>}
+   */
+  async getOrders(options = {}) {
+    const { status = null, wallet = null, limit = 100 } = options;
+    const walletId = wallet !== null && wallet !== undefined && wallet !== ''
+      ? this.getTradingService().getWalletContext(wallet).id
+      : null;
+
+    return this.getDatabaseService().getPendingOrders({
+      status: status ? String(status).toUpperCase() : null,
+      walletId,
+      limit
+    });
+  }
+
+  /**
+   * Get the oracle price of a token in quote token units
+   * @param {string} token - gala_symbol
+   * @param {string} quoteToken - gala_symbol
+   * @param {Map} usdPrices - USD price cache for one check
+   * @returns {Promise<number|null>} - null when either side has no price
+   */
+  async getPairPrice(token, quoteToken, usdPrices = new Map()) {
+    const usd = async (symbol) => {
+      if (!usdPrices.has(symbol)) {
+        const result = await this.getPriceOracleService().getCurrentPrice(symbol);
+        usdPrices.set(symbol, result.success && result.price > 0 ? result.price : null);
+      }
+      return usdPrices.get(symbol);
+    };
+
+    const tokenUsd = await usd(token);
+    const quoteUsd = await usd(quoteToken);
+    return tokenUsd !== null && quoteUsd !== null ? tokenUsd / quoteUsd : null;
+  }
+
+  /**
+   * Expire overdue orders and fill the pending orders whose trigger price is reached
+   * @returns {Promise<Object>} - {expired, checked, triggered, filled, failed, fills, errors}
+   */
+  async checkOrders() {
+    const databaseService = this.getDatabaseService();
+    const expired = await databaseService.expirePendingOrders(new Date().toISOString());
+    if (expired > 0) {
+      this.logger.info(`⌛ ${expired} order(s) expired`);
+    }
+
+    const orders = (await databaseService.getPendingOrders({ status: 'PENDING', limit: null })).reverse();
+    const usdPrices = new Map();
+    const summary = { expired, checked: 0, triggered: 0, filled: 0, failed: 0, fills: [], errors: [] };
+
+    for (const order of orders) {
+      const price = await this.getPairPrice(order.token, order.quote_token, usdPrices);
+      if (price === null) {
+        summary.errors.push({ orderId: order.id, error: `No price for ${order.token} / ${order.quote_token}` });
+        continue;
+      }
+
+      summary.checked++;
+      if (!isOrderTriggered(order, price)) {
+        continue;
+      }
+
+      // Another check, or the fill of its OCO leg, may have taken it since the list was read
+      if (!(await databaseService.claimPendingOrder(order.id, price))) {
+        continue;
+      }
+
+      summary.triggered++;
+      const fill = await this.executeOrder(order, price);
+      summary[fill.status === 'FILLED' ? 'filled' : 'failed']++;
+      summary.fills.push(fill);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Fill a claimed order with a swap
+   * @param {Object} order - pending_orders record
+   * @param {number} price - Price that triggered it
+   * @returns {Promise<Object>} - {orderId, status, tradeId, error}
+   */
+  async executeOrder(order, price) {
+    const databaseService = this.getDatabaseService();
+    const { fromToken, toToken, amount } = getOrderSwap(order);
+    this.logger.info(`🎯 ${order.order_type} ${order.side} order #${order.id} triggered at ${price} (trigger ${order.trigger_price})`);
+
+    // A triggered stop or OCO leg cannot wait out the trade cooldown: it would fail and be dropped for good
+    let result;
+    try {
+      result = await this.getTradingService().executeSwapWithBalanceCheck(fromToken, toToken, amount, {
+        slippage: order.slippage ?? undefined,
+        strategy: `${order.order_type.toLowerCase()}_order`,
+        wallet: order.wallet_id,
+        sendNotification: true,
+        bypassCooldown: true
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      await databaseService.finishPendingOrder(order.id, 'FAILED', { trade_id: result.trade?.tradeId, error: result.error });
+      this.logger.warn(`❌ Order #${order.id} failed: ${result.error}`);
+      return { orderId: order.id, status: 'FAILED', tradeId: null, error: result.error };
+    }
+
+    await databaseService.finishPendingOrder(order.id, 'FILLED', { trade_id: result.trade?.tradeId });
+    if (order.oco_group) {
+      await databaseService.cancelPendingOrder(order.id, `OCO leg #${order.id} filled`, true);
+    }
+
+    this.logger.info(`✅ Order #${order.id} filled (trade ${result.trade?.tradeId})`);
+    return { orderId: order.id, status: 'FILLED', tradeId: result.trade?.tradeId || null, error: null };
+  }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const { sortTokens, simulateSwap } = require('../utils/poolMath');
+
+/**
+ * Paper Exchange - Local stand-in for the GSwap SDK client
+ * Implements the quoting/swaps/assets surface used by TradingService, keeping
+ * simulated balances and constant-product pools in SQLite.
+ */
+class PaperExchange {
+  /**
+   * @param {Object} options - Exchange options
+   * @param {string} options.walletAddress - Default wallet for balance operations
+   * @param {number[]} options.feeTiers - Fee tiers to create when seeding pools
+   * @param {number} options.poolLiquidityUsd - USD depth per side when auto-seeding pools
+   * @param {Function} options.priceResolver - async (token) => USD price, used to auto-seed pools
+   * @param {Object} options.databaseService - Database service (resolved lazily if omitted)
+   * @param {Object} options.logger - Logger with info/warn/error/debug
+   */
+  constructor(options = {}) {
+    this.walletAddress = options.walletAddress || null;
+    this.feeTiers = options.feeTiers || [500, 3000, 10000];
+    this.poolLiquidityUsd = options.poolLiquidityUsd || 100000;
+    this.priceResolver = options.priceResolver || null;
+    this.databaseService = options.databaseService || null;
+    this.logger = options.logger || {
+      info: (message, ...args) => console.log('[PaperExchange] INFO:', message, ...args),
+      warn: (message, ...args) => console.warn('[PaperExchange] WARN:', message, ...args),
+      error: (message, ...args) => console.error('[PaperExchange] ERROR:', message, ...args),
+      debug: () => {}
+    };
+
+    // Mirror the GSwap SDK client layout
+    this.quoting = {
+      quoteExactInput: (tokenIn, tokenOut, amountIn, fee) => this.quoteExactInput(tokenIn, tokenOut, amountIn, fee)
+    };
+    this.swaps = {
+      swap: (tokenIn, tokenOut, fee, amount, walletAddress) => this.swap(tokenIn, tokenOut, fee, amount, walletAddress)
+    };
+    this.assets = {
+      getUserAssets: (walletAddress, page, limit) => this.getUserAssets(walletAddress, page, limit)
+    };
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+      if (!this.databaseService) {
+        throw new Error('DatabaseService not available');
+      }
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Fund the wallet with initial balances the first time the paper account is used
+   * @param {Object} initialBalances - Map of token identifier to quantity
+   * @returns {Promise<boolean>} - True if the account was funded
+   */
+  async init(initialBalances = {}) {
+    const databaseService = this.getDatabaseService();
+    const existing = await databaseService.getPaperBalances(this.walletAddress);
+
+    if (existing.length > 0) {
+      this.logger.info(`Paper account loaded with ${existing.length} token balances`);
+      return false;
+    }
+
+    for (const [token, quantity] of Object.entries(initialBalances)) {
+      await databaseService.adjustPaperBalance(this.walletAddress, token, quantity);
+    }
+
+    this.logger.info('Paper account funded with initial balances:', initialBalances);
+    return true;
+  }
+
+  /**
+   * Parse a balance list such as "GALA|Unit|none|none=1000,GUSDC|Unit|none|none=50"
+   * @param {string} value - Comma separated token=quantity pairs
+   * @returns {Object} - Map of token identifier to quantity
+   */
+  static parseBalances(value) {
+    const balances = {};
+    if (!value) {
+      return balances;
+    }
+
+    for (const entry of String(value).split(',')) {
+      const [token, quantity] = entry.split('=').map(part => part && part.trim());
+      const amount = parseFloat(quantity);
+      if (token && !isNaN(amount)) {
+        balances[token] = amount;
+      }
+    }
+
+    return balances;
+  }
+
+  /**
+   * Normalize an SDK token argument to its pipe-delimited identifier
+   * @param {string|Object} token - Token identifier or token class key
+   * @returns {string} - Token identifier
+   */
+  static tokenKey(token) {
+    if (typeof token === 'string') {
+      return token;
+    }
+    return `${token.collection}|${token.category}|${token.type}|${token.additionalKey}`;
+  }
+
+  /**
+   * Credit (or debit with a negative amount) a token balance
+   * @param {string} token - Token identifier
+   * @param {number} amount - Quantity to add
+   * @param {string} walletAddress - Wallet (defaults to the configured wallet)
+   * @returns {Promise<number>} - New balance
+   */
+  async fund(token, amount, walletAddress = this.walletAddress) {
+    return await this.getDatabaseService().adjustPaperBalance(walletAddress, PaperExchange.tokenKey(token), amount);
+  }
+
+  /**
+   * Create or replace pool reserves for a pair
+   * @param {string} tokenA - First token identifier
+   * @param {string} tokenB - Second token identifier
+   * @param {number} reserveA - Reserve of tokenA
+   * @param {number} reserveB - Reserve of tokenB
+   * @param {number} feeTier - Fee tier (500, 3000 or 10000)
+   * @returns {Promise<Object>} - Stored pool
+   */
+  async seedPool(tokenA, tokenB, reserveA, reserveB, feeTier = 3000) {
+    if (!(reserveA > 0) || !(reserveB > 0)) {
+      throw new Error('Pool reserves must be positive');
+    }
+
+    const [token0, token1] = sortTokens(tokenA, tokenB);
+    const pool = {
+      token0,
+      token1,
+      fee_tier: feeTier,
+      reserve0: token0 === tokenA ? reserveA : reserveB,
+      reserve1: token0 === tokenA ? reserveB : reserveA
+    };
+
+    await this.getDatabaseService().upsertPaperPool(pool);
+    this.logger.info(`Paper pool seeded: ${token0}/${token1} @ ${feeTier}`, {
+      reserve0: pool.reserve0,
+      reserve1: pool.reserve1
+    });
+
+    return pool;
+  }
+
+  /**
+   * Get pools for a pair, seeding them from USD prices if none exist yet
+   * @param {string} tokenA - First token identifier
+   * @param {string} tokenB - Second token identifier
+   * @returns {Promise<Array>} - Pools for the pair (one per fee tier)
+   */
+  async getPools(tokenA, tokenB) {
+    const [token0, token1] = sortTokens(tokenA, tokenB);
+    const databaseService = this.getDatabaseService();
+
+    let pools = await databaseService.getPaperPools(token0, token1);
+    if (pools.length > 0 || !this.priceResolver) {
+      return pools;
+    }
+
+    const [price0, price1] = await Promise.all([this.priceResolver(token0), this.priceResolver(token1)]);
+    if (!(price0 > 0) || !(price1 > 0)) {
+      return pools;
+    }
+
+    for (const feeTier of this.feeTiers) {
+      await this.seedPool(token0, token1, this.poolLiquidityUsd / price0, this.poolLiquidityUsd / price1, feeTier);
+    }
+
+    pools = await databaseService.getPaperPools(token0, token1);
+    return pools;
+  }
+
+  /**
+   * Quote an exact input swap on one fee tier, or across all fee tiers returning the best one
+   * @param {string|Object} tokenIn - Token to sell
+   * @param {string|Object} tokenOut - Token to buy
+   * @param {number|string} amountIn - Amount of tokenIn
+   * @param {number} feeTier - Fee tier to quote (all tiers when omitted)
+   * @returns {Promise<Object>} - Quote {inTokenAmount, outTokenAmount, feeTier, priceImpact}
+   */
+  async quoteExactInput(tokenIn, tokenOut, amountIn, feeTier = undefined) {
+    const fromToken = PaperExchange.tokenKey(tokenIn);
+    const toToken = PaperExchange.tokenKey(tokenOut);
+    const amount = Number(amountIn);
+
+    const pools = (await this.getPools(fromToken, toToken))
+      .filter(pool => feeTier === undefined || pool.fee_tier === Number(feeTier));
+    if (pools.length === 0) {
+      throw new Error(`No paper pool for ${fromToken}/${toToken}${feeTier !== undefined ? ` on ${feeTier} fee tier` : ''}`);
+    }
+
+    let best = null;
+    for (const pool of pools) {
+      const result = simulateSwap(pool, fromToken, amount);
+      if (!best || result.amountOut > best.result.amountOut) {
+        best = { pool, result };
+      }
+    }
+
+    return {
+      inTokenAmount: new BigNumber(amount),
+      outTokenAmount: new BigNumber(best.result.amountOut),
+      feeTier: best.pool.fee_tier,
+      priceImpact: new BigNumber(best.result.priceImpact)
+    };
+  }
+
+  /**
+   * Execute an exact input swap against a paper pool
+   * @param {string|Object} tokenIn - Token to sell
+   * @param {string|Object} tokenOut - Token to buy
+   * @param {number} feeTier - Pool fee tier
+   * @param {Object} amount - {exactIn, amountOutMinimum}
+   * @param {string} walletAddress - Wallet executing the swap
+   * @returns {Promise<Object>} - Pending transaction {transactionId, amountOut, wait()}
+   */
+  async swap(tokenIn, tokenOut, feeTier, amount, walletAddress = this.walletAddress) {
+    const fromToken = PaperExchange.tokenKey(tokenIn);
+    const toToken = PaperExchange.tokenKey(tokenOut);
+    const amountIn = Number(amount.exactIn);
+    const databaseService = this.getDatabaseService();
+
+    if (!amountIn || amountIn <= 0) {
+      throw new Error('Paper swap requires a positive exactIn amount');
+    }
+
+    const pools = await this.getPools(fromToken, toToken);
+    const pool = pools.find(p => p.fee_tier === Number(feeTier));
+    if (!pool) {
+      throw new Error(`No paper pool for ${fromToken}/${toToken} on ${feeTier} fee tier`);
+    }
+
+    const balance = await databaseService.getPaperBalance(walletAddress, fromToken);
+    if (balance < amountIn) {
+      throw new Error(`Insufficient paper balance: ${balance} ${fromToken} available, ${amountIn} required`);
+    }
+
+    const result = simulateSwap(pool, fromToken, amountIn);
+    const minimumOut = amount.amountOutMinimum !== undefined ? Number(amount.amountOutMinimum) : 0;
+    if (result.amountOut < minimumOut) {
+      throw new Error(`Slippage exceeded: output ${result.amountOut} below minimum ${minimumOut}`);
+    }
+
+    const transactionId = `paper-${crypto.randomUUID()}`;
+    await databaseService.recordPaperSwap({
+      transaction_id: transactionId,
+      wallet_address: walletAddress,
+      token_in: fromToken,
+      token_out: toToken,
+      fee_tier: pool.fee_tier,
+      amount_in: amountIn,
+      amount_out: result.amountOut,
+      fee: result.fee,
+      pool: { token0: pool.token0, token1: pool.token1, reserve0: result.reserve0, reserve1: result.reserve1 }
+    });
+
+    this.logger.info(`Paper swap settled: ${amountIn} ${fromToken} -> ${result.amountOut} ${toToken}`, {
+      transactionId,
+      feeTier: pool.fee_tier
+    });
+
+    return {
+      transactionId,
+      amountOut: new BigNumber(result.amountOut),
+      feeTier: pool.fee_tier,
+      wait: async () => ({ transactionId, transactionHash: transactionId, status: 'CONFIRMED' })
+    };
+  }
+
+  /**
+   * Get simulated wallet assets in the same shape as the GSwap SDK
+   * @param {string} walletAddress - Wallet address
+   * @param {number} page - Page number (1-based)
+   * @param {number} limit - Tokens per page
+   * @returns {Promise<Object>} - {tokens: [{symbol, quantity, name, decimals, compositeKey}], count}
+   */
+  async getUserAssets(walletAddress = this.walletAddress, page = 1, limit = 10) {
+    const balances = (await this.getDatabaseService().getPaperBalances(walletAddress))
+      .filter(row => row.quantity > 0);
+
+    const start = (page - 1) * limit;
+    const tokens = balances.slice(start, start + limit).map(row => {
+      const symbol = row.token.split('|')[0];
+      return {
+        image: '',
+        name: symbol,
+        symbol,
+        decimals: 8,
+        verify: false,
+        quantity: String(row.quantity),
+        compositeKey: row.token
+      };
+    });
+
+    return { tokens, count: balances.length };
+  }
+}
+
+module.exports = PaperExchange;
@@ -0,0 +1,277 @@
+const BaseService = require('./BaseService');
+const { intervalToMs } = require('../utils/candles');
+
+const GALA_SYMBOL = 'GALA|Unit|none|none';
+
+/**
+ * Portfolio Service - Values every token a wallet holds in USD and GALA
+ * Prices come from the price oracle; snapshots stored in portfolio_snapshots
+ * give the net-worth history of each wallet
+ */
+class PortfolioService extends BaseService {
+  constructor() {
+    super('PortfolioService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.priceOracleService = null;
+    this.retentionDays = 365; // Snapshots older than this are pruned (0 = keep forever)
+  }
+
+  /**
+   * Initialize the portfolio settings
+   */
+  async onInit() {
+    this.retentionDays = parseFloat(this.config.get('PORTFOLIO_SNAPSHOT_RETENTION_DAYS', '365'));
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Get price oracle service (lazy initialization)
+   * @returns {PriceOracleService} Price oracle service instance
+   */
+  getPriceOracleService() {
+    if (!this.priceOracleService) {
+      const ServiceManager = require('./ServiceManager');
+      this.priceOracleService = ServiceManager.get('priceOracle');
+    }
+    return this.priceOracleService;
+  }
+
+  /**
+   * Resolve the gala_symbol of a held token
+   * Paper balances carry it as compositeKey, live tokens are matched against monitored_symbols
+   * @param {Object} token - Token from getUserAssets
+   * @param {Map} symbolMap - symbol -> gala_symbol of the monitored symbols
+   * @returns {string} - Gala symbol format (e.g. 'GUSDC|Unit|none|none')
+   */
+  resolveGalaSymbol(token, symbolMap) {
+    if (token.compositeKey) {
+      return token.compositeKey;
+    }
+    if (token.symbol.includes('|')) {
+      return token.symbol;
+    }
+    return symbolMap.get(token.symbol) || `${token.symbol}|Unit|none|none`;
+  }
+
+  /**
+   * Get the USD price of a token from the oracle
+   * @param {string} galaSymbol - Gala symbol format
+   * @returns {Promise<number|null>} - Price, null when the oracle has none
+   */
+  async getUsdPrice(galaSymbol) {
+    const result = await this.getPriceOracleService().getCurrentPrice(galaSymbol);
+    return result.success && result.price > 0 ? result.price : null;
+  }
+
+  /**
+   * Value every token a wallet holds
+   * Tokens the oracle cannot price are listed in unpriced and left out of the totals
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @returns {Promise<Object>} - {wallet, walletId, address, paper, totalUsd, totalGala, galaPriceUsd, holdings, unpriced, timestamp}
+   */
+  async getPortfolio(wallet = null) {
+    const tradingService = this.getTradingService();
+    const assets = await tradingService.getWalletAssets(wallet);
+    const symbols = await this.getDatabaseService().getMonitoredSymbols(false);
+    const symbolMap = new Map(symbols.filter(row => row.gala_symbol).map(row => [row.symbol, row.gala_symbol]));
+
+    const galaPriceUsd = await this.getUsdPrice(GALA_SYMBOL);
+    const holdings = [];
+    const unpriced = [];
+
+    for (const token of assets.tokens) {
+      const quantity = parseFloat(token.quantity) || 0;
+      if (quantity <= 0) continue;
+
+      const galaSymbol = this.resolveGalaSymbol(token, symbolMap);
+      const isGala = galaSymbol === GALA_SYMBOL;
+      const priceUsd = isGala ? galaPriceUsd : await this.getUsdPrice(galaSymbol);
+      const valueUsd = priceUsd !== null ? quantity * priceUsd : null;
+
+      let valueGala = null;
+      if (isGala) {
+        valueGala = quantity;
+      } else if (valueUsd !== null && galaPriceUsd) {
+        valueGala = valueUsd / galaPriceUsd;
+      }
+
+      if (valueUsd === null) {
+        unpriced.push(galaSymbol);
+      }
+
+      holdings.push({
+        symbol: token.symbol.split('|')[0],
+        galaSymbol,
+        quantity,
+        priceUsd,
+        valueUsd,
+        valueGala,
+        allocation: null
+      });
+    }
+
+    const totalUsd = holdings.reduce((sum, holding) => sum + (holding.valueUsd || 0), 0);
+    const totalGala = galaPriceUsd ? totalUsd / galaPriceUsd : null;
+
+    for (const holding of holdings) {
+      holding.allocation = holding.valueUsd !== null && totalUsd > 0 ? holding.valueUsd / totalUsd : null;
+    }
+    holdings.sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+
+    return {
+      wallet: assets.wallet,
+      walletId: assets.walletId,
+      address: assets.address,
+      paper: tradingService.isPaperTrading(),
+      totalUsd,
+      totalGala,
+      galaPriceUsd,
+      holdings,
+      unpriced,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Value a wallet and store the snapshot
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @returns {Promise<Object>} - Portfolio with the snapshot id
+   */
+  async takeSnapshot(wallet = null) {
+    const portfolio = await this.getPortfolio(wallet);
+
+    const snapshotId = await this.getDatabaseService().savePortfolioSnapshot({
+      wallet_id: portfolio.walletId,
+      total_usd: portfolio.totalUsd,
+      total_gala: portfolio.totalGala,
+      gala_price_usd: portfolio.galaPriceUsd,
+      holdings: portfolio.holdings,
+      unpriced: portfolio.unpriced,
+      paper: portfolio.paper,
+      taken_at: portfolio.timestamp
+    });
+
+    if (portfolio.unpriced.length > 0) {
+      this.logger.warn(`Portfolio snapshot of ${portfolio.wallet} left out unpriced tokens: ${portfolio.unpriced.join(', ')}`);
+    }
+
+    return { ...portfolio, snapshotId };
+  }
+
+  /**
+   * Snapshot every loaded wallet and prune snapshots past the retention period
+   * One failing wallet does not stop the others
+   * @returns {Promise<Object>} - {snapshots: [{wallet, totalUsd, totalGala}], errors, pruned}
+   */
+  async takeSnapshots() {
+    const tradingService = this.getTradingService();
+    const wallets = tradingService.wallets.size > 0
+      ? [...tradingService.wallets.values()]
+      : [tradingService.getWalletContext()];
+
+    const snapshots = [];
+    const errors = [];
+
+    for (const wallet of wallets) {
+      try {
+        const snapshot = await this.takeSnapshot(wallet.id);
+        snapshots.push({ wallet: snapshot.wallet, totalUsd: snapshot.totalUsd, totalGala: snapshot.totalGala });
+      } catch (error) {
+        this.logger.error(`Failed to snapshot wallet ${wallet.name}:`, error.message);
+        errors.push({ wallet: wallet.name, error: error.message });
+      }
+    }
+
+    let pruned = 0;
+    if (this.retentionDays > 0) {
+      const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      pruned = await this.getDatabaseService().deletePortfolioSnapshotsBefore(cutoff);
+    }
+
+    return { snapshots, errors, pruned };
+  }
+
+  /**
+   * Get a wallet's net-worth series from its snapshots
+   * Only snapshots of the current mode (paper or live balances) are included
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @param {Object} options - {days: lookback (default 30), interval: '1h' / '1d' keeps the last snapshot per bucket}
+   * @returns {Promise<Object>} - {wallet, walletId, interval, points: [{timestamp, totalUsd, totalGala, galaPriceUsd}], change}
+   */
+  async getNetWorthSeries(wallet = null, options = {}) {
+    const { days = 30, interval = null } = options;
+    const bucketMs = interval ? intervalToMs(interval) : null;
+
+    const databaseService = this.getDatabaseService();
+    const record = wallet === null || wallet === undefined || wallet === ''
+      ? await databaseService.getDefaultWallet()
+      : await databaseService.getWallet(wallet);
+    if (!record) {
+      throw new Error(`Unknown wallet: ${wallet}`);
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const snapshots = await databaseService.getPortfolioSnapshots(record.id, {
+      since,
+      paper: this.getTradingService().isPaperTrading()
+    });
+
+    let points = snapshots.map(snapshot => ({
+      timestamp: snapshot.taken_at,
+      totalUsd: snapshot.total_usd,
+      totalGala: snapshot.total_gala,
+      galaPriceUsd: snapshot.gala_price_usd
+    }));
+
+    if (bucketMs) {
+      const buckets = new Map();
+      for (const point of points) {
+        buckets.set(Math.floor(new Date(point.timestamp).getTime() / bucketMs), point);
+      }
+      points = [...buckets.values()];
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const change = first ? {
+      startUsd: first.totalUsd,
+      endUsd: last.totalUsd,
+      changeUsd: last.totalUsd - first.totalUsd,
+      changePercent: first.totalUsd > 0 ? ((last.totalUsd - first.totalUsd) / first.totalUsd) * 100 : null
+    } : null;
+
+    return {
+      wallet: record.name,
+      walletId: record.id,
+      interval,
+      points,
+      change
+    };
+  }
+}
+
+module.exports = PortfolioService;
@@ -2,15 +2,19 @@
  * Class to fetch price data from Gala Exchange API
  */
 const ORACLE_URL = 'https://dex-backend-prod1.defi.gala.com/price-oracle/fetch-price';
+const PRICE_SOURCE = 'price_oracle'; // price_history.source tag for oracle samples
 
 const BaseService = require('./BaseService');
 const ConfigManager = require('../config/ConfigManager');
+const { aggregateCandles, intervalToMs } = require('../utils/candles');
 
 class PriceOracleService extends BaseService {
   constructor() {
     super();
     this.cacheTimestamp = 0;
     this.cacheTimeout = 60000; // Default cache timeout 60 seconds
+    this.syncMaxPages = 20; // Oracle pages fetched per incremental sync
+    this.databaseService = null;
   }
 
   /**
@@ -48,6 +52,10 @@ class PriceOracleService extends BaseService {
       }
 
       const data = await response.json();
+
+      if (data && data.data && Array.isArray(data.data.data)) {
+        await this.storeSamples(symbol, data.data.data);
+      }
       
       // Cache the response
       this.cache[cacheKey] = {
@@ -101,71 +109,252 @@ class PriceOracleService extends BaseService {
   }
 
   /**
-   * Get historical data for Golden Cross analysis
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+      if (!this.databaseService) {
+        throw new Error('DatabaseService not available');
+      }
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Store oracle samples in price_history
+   * Storage failures are logged but never fail the price request
    * @param {string} galaSymbol - Gala symbol format
-   * @param {Object} options - Options including lookbackDays
-   * @returns {Object} - Historical data compatible with Golden Cross analysis
+   * @param {Array} items - Raw oracle samples
+   * @returns {Promise<number>} - Number of new samples stored
    */
-  async getGoldenCrossData(galaSymbol, options = {}) {
+  async storeSamples(galaSymbol, items) {
+    try {
+      const samples = items.map(item => ({
+        symbol: galaSymbol,
+        price: item.price,
+        timestamp: item.timestamp || item.createdAt,
+        source: PRICE_SOURCE
+      }));
+      return await this.getDatabaseService().savePriceSamples(samples);
+    } catch (error) {
+      this.logger.warn(`Failed to store price samples for ${galaSymbol}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Fetch oracle samples newer than the last stored sample and persist them
+   * @param {string} galaSymbol - Gala symbol format
+   * @param {Object} options - Options including lookbackDays for the first sync
+   * @returns {Object} - Sync result {success, from, fetched, stored}
+   */
+  async syncPriceHistory(galaSymbol, options = {}) {
     const {
-      lookbackDays = 250
+      lookbackDays = 250,
+      maxPages = this.syncMaxPages
     } = options;
 
     try {
-      // Check for null or undefined gala_symbol
-      if (!galaSymbol) {
-        return {
-          success: false,
-          error: 'gala_symbol is null or undefined',
-          symbol: galaSymbol
-        };
-      }
+      const lookbackStart = new Date();
+      lookbackStart.setDate(lookbackStart.getDate() - lookbackDays);
 
-      // Calculate start date
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(endDate.getDate() - lookbackDays);
+      // Only request data newer than what we already have
+      const latest = await this.getDatabaseService().getLatestPriceTimestamp(galaSymbol, PRICE_SOURCE);
+      const from = latest && new Date(latest) > lookbackStart
+        ? new Date(new Date(latest).getTime() + 1)
+        : lookbackStart;
 
       // Convert pipe symbols to dollar symbols for API calls
       const apiSymbol = galaSymbol.replace(/\|/g, '$');
-      
-      // Fetch multiple pages to get enough historical data
-      // Need 201+ data points for Golden Cross analysis (200-day MA + 1 for comparison)
+
       const allData = [];
-      const maxPages = 5; // Increased to 5 pages to get 250 data points
       const limit = 50; // Maximum allowed per page
-      
+
       for (let page = 1; page <= maxPages; page++) {
         const params = new URLSearchParams({
           token: apiSymbol,
           page: page,
           limit: limit,
-          from: startDate.toISOString()
+          from: from.toISOString()
         });
 
         const response = await fetch(`${ORACLE_URL}?${params}`);
-        
+
         if (!response.ok) {
           this.logger.warn(`Failed to fetch page ${page} for ${galaSymbol}: HTTP ${response.status}`);
           break; // Stop fetching if we hit an error
         }
 
         const pageData = await response.json();
-        
+
         if (!pageData || !pageData.data || !pageData.data.data || pageData.data.data.length === 0) {
-          this.logger.warn(`No data on page ${page} for ${galaSymbol}`);
-          break; // Stop fetching if no more data
+          break; // No more data
         }
-        
+
         allData.push(...pageData.data.data);
-        
+
         // If we got less than the limit, we've reached the end
         if (pageData.data.data.length < limit) {
           break;
         }
       }
-      
-      if (allData.length === 0) {
+
+      const stored = allData.length > 0 ? await this.storeSamples(galaSymbol, allData) : 0;
+
+      this.logger.debug(`Price history sync for ${galaSymbol}: ${allData.length} fetched, ${stored} new since ${from.toISOString()}`);
+
+      return {
+        success: true,
+        symbol: galaSymbol,
+        from: from.toISOString(),
+        fetched: allData.length,
+        stored
+      };
+    } catch (error) {
+      this.logger.warn(`Price history sync failed for ${galaSymbol}: ${error.message}`);
+      return {
+        success: false,
+        error: error.message,
+        symbol: galaSymbol
+      };
+    }
+  }
+
+  /**
+   * Sync and load stored samples, optionally aggregated into candles
+   * @param {string} galaSymbol - Gala symbol format
+   * @param {Object} options - Options including lookbackDays and candleInterval
+   * @returns {Promise<Array>} - Samples {date, timestamp, open, high, low, close, volume} (oldest first)
+   */
+  async loadHistory(galaSymbol, options = {}) {
+    const {
+      lookbackDays = 250,
+      candleInterval = null
+    } = options;
+
+    await this.syncPriceHistory(galaSymbol, { lookbackDays });
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - lookbackDays);
+
+    const rows = await this.getDatabaseService().getPriceHistory(galaSymbol, {
+      startDate: startDate.toISOString(),
+      source: PRICE_SOURCE
+    });
+
+    if (candleInterval) {
+      return aggregateCandles(rows, candleInterval).map(candle => ({
+        ...candle,
+        date: new Date(candle.timestamp)
+      }));
+    }
+
+    return rows.map(row => ({
+      date: new Date(row.timestamp),
+      timestamp: new Date(row.timestamp).getTime(),
+      open: row.price,
+      high: row.price,
+      low: row.price,
+      close: row.price,
+      volume: row.volume || 0 // Oracle doesn't provide volume
+    }));
+  }
+
+  /**
+   * Get OHLC candles for a symbol from the local price store
+   * @param {string} galaSymbol - Gala symbol format
+   * @param {string} interval - Candle interval ('1m', '5m', '1h' or '1d')
+   * @param {Object} options - Options including startDate, endDate, limit and sync
+   * @returns {Object} - Candles (oldest first)
+   */
+  async getCandles(galaSymbol, interval = '1h', options = {}) {
+    const {
+      startDate = null,
+      endDate = null,
+      limit = null,
+      sync = true,
+      lookbackDays = 30
+    } = options;
+
+    try {
+      if (!galaSymbol) {
+        throw new Error('gala_symbol is null or undefined');
+      }
+
+      // Validate before hitting the network
+      intervalToMs(interval);
+
+      if (sync) {
+        await this.syncPriceHistory(galaSymbol, { lookbackDays });
+      }
+
+      const rows = await this.getDatabaseService().getPriceHistory(galaSymbol, {
+        startDate,
+        endDate,
+        source: PRICE_SOURCE
+      });
+
+      let candles = aggregateCandles(rows, interval);
+      if (limit) {
+        candles = candles.slice(-limit);
+      }
+
+      return {
+        success: true,
+        symbol: galaSymbol,
+        interval,
+        count: candles.length,
+        candles
+      };
+    } catch (error) {
+      this.logger.error(`Failed to get candles for ${galaSymbol}: ${error.message}`, error);
+      return {
+        success: false,
+        error: error.message,
+        symbol: galaSymbol,
+        interval
+      };
+    }
+  }
+
+  /**
+   * Get historical data for Golden Cross analysis
+   * @param {string} galaSymbol - Gala symbol format
+   * @param {Object} options - Options including lookbackDays and candleInterval
+   * @returns {Object} - Historical data compatible with Golden Cross analysis
+   */
+  async getGoldenCrossData(galaSymbol, options = {}) {
+    return await this.getStrategyData(galaSymbol, { lookbackDays: 250, ...options });
+  }
+
+  /**
+   * Get historical candles covering a strategy's data requirements
+   * @param {string} galaSymbol - Gala symbol format
+   * @param {Object} requirements - {lookbackDays, candleInterval} from the strategy
+   * @returns {Object} - Historical data (oldest first)
+   */
+  async getStrategyData(galaSymbol, requirements = {}) {
+    const {
+      lookbackDays = 250,
+      candleInterval = null
+    } = requirements;
+
+    try {
+      // Check for null or undefined gala_symbol
+      if (!galaSymbol) {
+        return {
+          success: false,
+          error: 'gala_symbol is null or undefined',
+          symbol: galaSymbol
+        };
+      }
+
+      const history = await this.loadHistory(galaSymbol, { lookbackDays, candleInterval });
+
+      if (history.length === 0) {
         return {
           success: false,
           error: `No historical data found for ${galaSymbol}`,
@@ -173,18 +362,15 @@ class PriceOracleService extends BaseService {
         };
       }
 
-      // Convert to Yahoo Finance format for compatibility
-      // Sort by date (oldest first) for proper technical analysis
-      const sortedData = allData.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-      
-      const historicalData = sortedData.map(item => ({
-        date: new Date(item.timestamp || item.createdAt || Date.now()),
-        open: parseFloat(item.price),
-        high: parseFloat(item.price),
-        low: parseFloat(item.price),
-        close: parseFloat(item.price),
-        adjClose: parseFloat(item.price),
-        volume: 0 // Oracle doesn't provide volume
+      // Yahoo Finance compatible format, oldest first for technical analysis
+      const historicalData = history.map(item => ({
+        date: item.date,
+        open: item.open,
+        high: item.high,
+        low: item.low,
+        close: item.close,
+        adjClose: item.close,
+        volume: item.volume
       }));
 
       return {
@@ -194,7 +380,7 @@ class PriceOracleService extends BaseService {
         count: historicalData.length
       };
     } catch (error) {
-      this.logger.error(`Failed to get Golden Cross data for ${galaSymbol}: ${error.message}`, error);
+      this.logger.error(`Failed to get strategy data for ${galaSymbol}: ${error.message}`, error);
       return {
         success: false,
         error: error.message,
@@ -212,7 +398,8 @@ class PriceOracleService extends BaseService {
   async getDCAData(galaSymbol, options = {}) {
     const {
       lookbackDays = 365,
-      interval = 'daily' // daily, weekly, monthly
+      interval = 'daily', // daily, weekly, monthly
+      candleInterval = null
     } = options;
 
     try {
@@ -225,49 +412,9 @@ class PriceOracleService extends BaseService {
         };
       }
 
-      // Calculate start date
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(endDate.getDate() - lookbackDays);
-
-      // Convert pipe symbols to dollar symbols for API calls
-      const apiSymbol = galaSymbol.replace(/\|/g, '$');
-      
-      // Fetch historical data for DCA analysis
-      const allData = [];
-      const maxPages = Math.ceil(lookbackDays / 50); // Estimate pages needed
-      const limit = 50; // Maximum allowed per page
-      
-      for (let page = 1; page <= maxPages; page++) {
-        const params = new URLSearchParams({
-          token: apiSymbol,
-          page: page,
-          limit: limit,
-          from: startDate.toISOString()
-        });
-
-        const response = await fetch(`${ORACLE_URL}?${params}`);
-        
-        if (!response.ok) {
-          this.logger.warn(`Failed to fetch DCA page ${page} for ${galaSymbol}: HTTP ${response.status}`);
-          break;
-        }
+      const history = await this.loadHistory(galaSymbol, { lookbackDays, candleInterval });
 
-        const pageData = await response.json();
-        
-        if (!pageData || !pageData.data || !pageData.data.data || pageData.data.data.length === 0) {
-          this.logger.warn(`No DCA data on page ${page} for ${galaSymbol}`);
-          break;
-        }
-        
-        allData.push(...pageData.data.data);
-        
-        if (pageData.data.data.length < limit) {
-          break;
-        }
-      }
-      
-      if (allData.length === 0) {
+      if (history.length === 0) {
         return {
           success: false,
           error: `No DCA historical data found for ${galaSymbol}`,
@@ -275,14 +422,11 @@ class PriceOracleService extends BaseService {
         };
       }
 
-      // Sort by date (oldest first)
-      const sortedData = allData.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-      
-      // Convert to DCA analysis format
-      const dcaData = sortedData.map(item => ({
-        date: new Date(item.timestamp || item.createdAt || Date.now()),
-        price: parseFloat(item.price),
-        timestamp: new Date(item.timestamp || item.createdAt || Date.now()).getTime()
+      // Convert to DCA analysis format (oldest first)
+      const dcaData = history.map(item => ({
+        date: item.date,
+        price: item.close,
+        timestamp: item.timestamp
       }));
 
       // Calculate DCA metrics
@@ -317,12 +461,14 @@ class PriceOracleService extends BaseService {
       };
     }
   }
+
   /**
    * Initialize the service
    */
   async init() {
     await super.init();
     this.cache = {};
+    this.syncMaxPages = parseInt(this.config.get('PRICE_SYNC_MAX_PAGES')) || 20;
     this.logger.info('PriceOracleService initialized');
   }
 }
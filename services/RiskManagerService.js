@@ -0,0 +1,288 @@
+const BaseService = require('./BaseService');
+
+const KILL_SWITCH_KEY = 'kill_switch';
+
+// Rules reported on rejected trades
+const RISK_RULES = {
+  KILL_SWITCH: 'KILL_SWITCH',
+  DAILY_LOSS_LIMIT: 'DAILY_LOSS_LIMIT',
+  MAX_OPEN_POSITIONS: 'MAX_OPEN_POSITIONS',
+  MAX_TOKEN_EXPOSURE: 'MAX_TOKEN_EXPOSURE'
+};
+
+/**
+ * Risk Manager Service - Portfolio-level checks consulted by TradingService before every swap
+ * Limits exposure per token, concurrent open positions and daily realized losses,
+ * and holds a persisted kill switch that halts live trading once a limit is breached.
+ * Exposure and open positions are limited per wallet (a wallet may override the limits);
+ * the daily loss limit covers every wallet, a wallet's own daily limit only that wallet
+ */
+class RiskManagerService extends BaseService {
+  constructor() {
+    super('RiskManagerService');
+    this.databaseService = null;
+    this.portfolioService = null;
+    this.maxTokenExposure = 0.5; // Max share of portfolio value committed to one token (0 = disabled)
+    this.maxOpenPositions = 10; // Max concurrent open positions (0 = disabled)
+    this.dailyLossLimit = 0; // Max realized GALA loss per UTC day (0 = disabled)
+    this.killSwitch = { engaged: false, reason: null, engagedAt: null };
+  }
+
+  /**
+   * Initialize the risk manager and restore the kill switch
+   */
+  async onInit() {
+    this.maxTokenExposure = parseFloat(this.config.get('RISK_MAX_TOKEN_EXPOSURE', '0.5'));
+    this.maxOpenPositions = parseInt(this.config.get('RISK_MAX_OPEN_POSITIONS', '10'));
+    this.dailyLossLimit = parseFloat(this.config.get('RISK_DAILY_LOSS_LIMIT', '0'));
+
+    const storedKillSwitch = await this.getDatabaseService().getRiskState(KILL_SWITCH_KEY);
+    if (storedKillSwitch) {
+      this.killSwitch = storedKillSwitch;
+    }
+
+    this.logger.info('Risk configuration:', {
+      maxTokenExposure: this.maxTokenExposure,
+      maxOpenPositions: this.maxOpenPositions,
+      dailyLossLimit: this.dailyLossLimit,
+      killSwitch: this.killSwitch.engaged ? `ENGAGED (${this.killSwitch.reason})` : 'off'
+    });
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get portfolio service (lazy initialization)
+   * @returns {PortfolioService} Portfolio service instance
+   */
+  getPortfolioService() {
+    if (!this.portfolioService) {
+      const ServiceManager = require('./ServiceManager');
+      this.portfolioService = ServiceManager.get('portfolio');
+    }
+    return this.portfolioService;
+  }
+
+  /**
+   * Resolve the limits that apply to a wallet
+   * @param {Object} wallet - Wallet record (optional)
+   * @returns {Object} - {maxTokenExposure, maxOpenPositions, dailyLossLimit, walletDailyLossLimit}
+   */
+  getWalletLimits(wallet = null) {
+    return {
+      maxTokenExposure: wallet?.max_token_exposure ?? this.maxTokenExposure,
+      maxOpenPositions: wallet?.max_open_positions ?? this.maxOpenPositions,
+      dailyLossLimit: this.dailyLossLimit,
+      walletDailyLossLimit: wallet?.daily_loss_limit || 0
+    };
+  }
+
+  /**
+   * Evaluate a trade against every risk rule
+   * @param {Object} trade - {fromToken, toToken, amount, mode: 'live'|'paper'|'dry_run', strategy, scaleIn, walletId,
+   *   parentTradeId: the algo order or route the swap is a slice or leg of}
+   * @returns {Promise<Object>} - {approved, rule, message}
+   */
+  async evaluateTrade(trade) {
+    const { fromToken, toToken, amount, mode = 'live', strategy = 'Manual', scaleIn = false, walletId = null, parentTradeId = null } = trade;
+    const isLive = mode === 'live';
+    const opensExposure = fromToken.split('|')[0] === 'GALA'; // GALA -> token opens or adds to a position
+
+    const reject = async (rule, message) => {
+      this.logger.warn(`🛑 Trade rejected by ${rule}: ${message}`, { fromToken, toToken, amount, mode, walletId });
+      await this.sendAlert({ rule, message, trade: { fromToken, toToken, amount, mode, strategy, walletId } });
+      return { approved: false, rule, message };
+    };
+
+    if (this.killSwitch.engaged && isLive) {
+      return await reject(RISK_RULES.KILL_SWITCH, `Kill switch engaged: ${this.killSwitch.reason}`);
+    }
+
+    // Exits reduce exposure, so only new exposure is subject to the remaining limits
+    if (!opensExposure) {
+      return { approved: true };
+    }
+
+    const databaseService = this.getDatabaseService();
+    const wallet = walletId ? await databaseService.getWallet(walletId) : null;
+    const limits = this.getWalletLimits(wallet);
+
+    if (this.dailyLossLimit > 0) {
+      const { realizedPnL } = await this.getDailyRealizedPnL(mode);
+      if (realizedPnL <= -this.dailyLossLimit) {
+        const message = `Daily realized loss ${realizedPnL.toFixed(4)} GALA breaches limit of ${this.dailyLossLimit} GALA`;
+        if (isLive) {
+          await this.engageKillSwitch(message);
+        }
+        return await reject(RISK_RULES.DAILY_LOSS_LIMIT, message);
+      }
+    }
+
+    // A wallet's own loss limit only stops that wallet, the kill switch is left to the global limit
+    if (limits.walletDailyLossLimit > 0) {
+      const { realizedPnL } = await this.getDailyRealizedPnL(mode, wallet.id);
+      if (realizedPnL <= -limits.walletDailyLossLimit) {
+        return await reject(RISK_RULES.DAILY_LOSS_LIMIT,
+          `Wallet ${wallet.name} daily realized loss ${realizedPnL.toFixed(4)} GALA breaches its limit of ${limits.walletDailyLossLimit} GALA`);
+      }
+    }
+
+    const exposure = await databaseService.getOpenPositionExposure(walletId);
+
+    if (limits.maxOpenPositions > 0) {
+      // A running algo order or route counts as the one position it opens, from its first fill on
+      const filledOrders = await databaseService.getFilledAlgoOrderIds(walletId);
+      const openPositions = exposure.reduce((sum, row) => sum + row.positions, 0) + filledOrders.length;
+      const existing = (parentTradeId && filledOrders.includes(parentTradeId)) ||
+        (scaleIn ? await databaseService.findOpenPosition(strategy, toToken, walletId || 1) : null);
+      if (!existing && openPositions >= limits.maxOpenPositions) {
+        return await reject(RISK_RULES.MAX_OPEN_POSITIONS, `${openPositions} open positions, limit is ${limits.maxOpenPositions}`);
+      }
+    }
+
+    if (limits.maxTokenExposure > 0) {
+      // Every token the wallet holds, valued in GALA at current oracle prices
+      let portfolio;
+      try {
+        portfolio = await this.getPortfolioService().getPortfolio(walletId);
+      } catch (portfolioError) {
+        return await reject(RISK_RULES.MAX_TOKEN_EXPOSURE, `Portfolio value unavailable: ${portfolioError.message}`);
+      }
+      if (portfolio.totalGala === null) {
+        return await reject(RISK_RULES.MAX_TOKEN_EXPOSURE, 'Portfolio value unavailable: no GALA price');
+      }
+
+      // A holding the oracle cannot price counts at the GALA its open positions cost
+      const holding = portfolio.holdings.find(row => row.galaSymbol === toToken);
+      const tokenValue = holding?.valueGala ?? exposure.find(row => row.gala_symbol === toToken)?.cost_basis ?? 0;
+      const portfolioValue = portfolio.totalGala;
+      const share = portfolioValue > 0 ? (tokenValue + amount) / portfolioValue : Infinity;
+
+      if (share > limits.maxTokenExposure) {
+        const unpriced = portfolio.unpriced.length > 0 ? `, ${portfolio.unpriced.length} unpriced token(s) left out` : '';
+        return await reject(RISK_RULES.MAX_TOKEN_EXPOSURE,
+          `${toToken} exposure would be ${(share * 100).toFixed(1)}% of the wallet's ${portfolioValue.toFixed(4)} GALA ` +
+          `(all holdings at current prices${unpriced}), limit is ${(limits.maxTokenExposure * 100).toFixed(1)}%`);
+      }
+    }
+
+    return { approved: true };
+  }
+
+  /**
+   * Get realized PnL for the current UTC day
+   * @param {string} mode - 'live' counts live trades, anything else counts dry run / paper trades
+   * @param {number} walletId - Only this wallet's trades (optional)
+   * @returns {Promise<Object>} - {realizedPnL, trades, since}
+   */
+  async getDailyRealizedPnL(mode = 'live', walletId = null) {
+    const dayStart = new Date();
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const since = dayStart.toISOString();
+
+    const result = await this.getDatabaseService().getRealizedPnLSince(since, mode !== 'live', walletId);
+    return { ...result, since };
+  }
+
+  /**
+   * Engage the kill switch, halting live trading until it is reset
+   * @param {string} reason - Why trading was halted
+   * @returns {Promise<Object>} - Kill switch state
+   */
+  async engageKillSwitch(reason) {
+    if (this.killSwitch.engaged) {
+      return this.killSwitch;
+    }
+
+    this.killSwitch = { engaged: true, reason, engagedAt: new Date().toISOString() };
+    await this.getDatabaseService().setRiskState(KILL_SWITCH_KEY, this.killSwitch);
+
+    this.logger.error(`🚨 Kill switch engaged: ${reason}`);
+    await this.sendAlert({ rule: RISK_RULES.KILL_SWITCH, message: `Live trading halted: ${reason}`, killSwitch: this.killSwitch });
+
+    return this.killSwitch;
+  }
+
+  /**
+   * Reset the kill switch and resume live trading
+   * @returns {Promise<Object>} - Kill switch state
+   */
+  async resetKillSwitch() {
+    this.killSwitch = { engaged: false, reason: null, engagedAt: null };
+    await this.getDatabaseService().setRiskState(KILL_SWITCH_KEY, this.killSwitch);
+
+    this.logger.info('✅ Kill switch reset, live trading resumed');
+    return this.killSwitch;
+  }
+
+  /**
+   * Send a risk alert through the notification service
+   * @param {Object} alert - {rule, message, trade, killSwitch}
+   * @returns {Promise<void>}
+   */
+  async sendAlert(alert) {
+    try {
+      const ServiceManager = require('./ServiceManager');
+      const notificationService = ServiceManager.get('notification');
+      if (notificationService) {
+        await notificationService.sendRiskAlert(alert);
+      }
+    } catch (notificationError) {
+      this.logger.warn('Failed to send risk alert:', notificationError.message);
+    }
+  }
+
+  /**
+   * Get risk limits and current usage
+   * @returns {Promise<Object>} - Risk status
+   */
+  async getStatus() {
+    const databaseService = this.getDatabaseService();
+    const exposure = await databaseService.getOpenPositionExposure();
+
+    const wallets = [];
+    for (const wallet of await databaseService.getWallets(true)) {
+      const walletExposure = await databaseService.getOpenPositionExposure(wallet.id);
+      wallets.push({
+        id: wallet.id,
+        name: wallet.name,
+        limits: this.getWalletLimits(wallet),
+        openPositions: walletExposure.reduce((sum, row) => sum + row.positions, 0),
+        dailyPnL: {
+          live: await this.getDailyRealizedPnL('live', wallet.id),
+          simulated: await this.getDailyRealizedPnL('dry_run', wallet.id)
+        }
+      });
+    }
+
+    return {
+      limits: {
+        maxTokenExposure: this.maxTokenExposure,
+        maxOpenPositions: this.maxOpenPositions,
+        dailyLossLimit: this.dailyLossLimit
+      },
+      killSwitch: this.killSwitch,
+      openPositions: exposure.reduce((sum, row) => sum + row.positions, 0),
+      exposure,
+      dailyPnL: {
+        live: await this.getDailyRealizedPnL('live'),
+        simulated: await this.getDailyRealizedPnL('dry_run')
+      },
+      wallets
+    };
+  }
+}
+
+RiskManagerService.RISK_RULES = RISK_RULES;
+
+module.exports = RiskManagerService;
@@ -0,0 +1,289 @@
+const BaseService = require('./BaseService');
+const { findCandidatePaths, combinePriceImpact, formatPath } = require('../utils/routing');
+
+/**
+ * Router Service - Multi-hop swaps across GalaSwap pools
+ * Quotes every path through the intermediate tokens (each leg on its best fee tier), ranks them by
+ * final output and executes the best one leg by leg through TradingService.executeSwap. A multi-hop
+ * route is a parent row in trades (execution_algo 'route') with one child trade per leg; when a later
+ * leg fails the legs already filled are swapped back so the wallet is not left holding an intermediate token
+ */
+class RouterService extends BaseService {
+  constructor() {
+    super('RouterService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.intermediateTokens = ['GALA|Unit|none|none', 'GUSDC|Unit|none|none', 'GWETH|Unit|none|none'];
+    this.maxHops = 3;
+  }
+
+  /**
+   * Initialize the routing settings
+   */
+  async onInit() {
+    this.intermediateTokens = String(this.config.get('ROUTER_INTERMEDIATE_TOKENS', ''))
+      .split(',')
+      .map(token => token.trim())
+      .filter(Boolean);
+    this.maxHops = parseInt(this.config.get('ROUTER_MAX_HOPS', '3'));
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Quote a path leg by leg, feeding each leg's output into the next
+   * @param {string[]} path - Token list
+   * @param {number} amount - Amount of the first token
+   * @param {Map} cache - Leg quotes shared by the paths of one lookup
+   * @returns {Promise<Object>} - {path, hops, legs: [{fromToken, toToken, amountIn, amountOut, feeTier, priceImpact}],
+   *                             amountOut, priceImpact}
+   */
+  async quotePath(path, amount, cache = new Map()) {
+    const legs = [];
+    let amountIn = amount;
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const key = `${path[i]}>${path[i + 1]}@${amountIn}`;
+      if (!cache.has(key)) {
+        cache.set(key, this.getTradingService().getQuote(path[i], path[i + 1], amountIn));
+      }
+      const quote = await cache.get(key);
+      if (!quote.success) {
+        throw new Error(`No quote for ${formatPath([path[i], path[i + 1]])}: ${quote.error}`);
+      }
+
+      const amountOut = Number(quote.outputAmount);
+      legs.push({
+        fromToken: path[i],
+        toToken: path[i + 1],
+        amountIn,
+        amountOut,
+        feeTier: quote.feeTier,
+        priceImpact: Number(quote.priceImpact) || 0
+      });
+      amountIn = amountOut;
+    }
+
+    return {
+      path,
+      hops: legs.length,
+      legs,
+      amountOut: amountIn,
+      priceImpact: combinePriceImpact(legs.map(leg => leg.priceImpact))
+    };
+  }
+
+  /**
+   * Quote every candidate path and rank them by output
+   * @param {string} fromToken - Token to sell
+   * @param {string} toToken - Token to buy
+   * @param {number} amount - Amount of fromToken
+   * @param {Object} options - {path: token list to quote instead of searching}
+   * @returns {Promise<Object>} - {fromToken, toToken, amount, best, routes (best first), failed: [{path, error}]}
+   */
+  async findRoutes(fromToken, toToken, amount, options = {}) {
+    if (!(amount > 0)) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+
+    const paths = options.path
+      ? [options.path]
+      : findCandidatePaths(fromToken, toToken, this.intermediateTokens, this.maxHops);
+    const cache = new Map();
+    const routes = [];
+    const failed = [];
+
+    for (const path of paths) {
+      try {
+        routes.push(await this.quotePath(path, amount, cache));
+      } catch (error) {
+        failed.push({ path, error: error.message });
+      }
+    }
+
+    if (routes.length === 0) {
+      throw new Error(`No route from ${formatPath([fromToken])} to ${formatPath([toToken])} (${paths.length} path(s) tried)`);
+    }
+
+    routes.sort((a, b) => b.amountOut - a.amountOut || a.hops - b.hops);
+    return { fromToken, toToken, amount, best: routes[0], routes, failed };
+  }
+
+  /**
+   * Amount a filled leg left in the wallet
+   * Live swaps only guarantee the minimum output until they confirm, so the next leg spends that
+   * @param {Object} result - executeSwap result
+   * @returns {number}
+   */
+  getLegOutput(result) {
+    if (result.actualOutput !== undefined && result.actualOutput !== null) {
+      return Number(result.actualOutput);
+    }
+    if (result.transaction?.amountOut !== undefined) {
+      return Number(result.transaction.amountOut);
+    }
+    return Number(result.transaction ? result.minimumOutput : result.expectedOutput);
+  }
+
+  /**
+   * Swap along the best route
+   * @param {string} fromToken - Token to sell
+   * @param {string} toToken - Token to buy
+   * @param {number} amount - Amount of fromToken
+   * @param {Object} options - {slippage, dryRun, strategy, wallet, path (token list to use instead of the best route)}
+   * @returns {Promise<Object>} - {success, path, hops, parentTradeId, legs, amountIn, amountOut, price, error, rollback, dryRun}
+   */
+  async executeRoute(fromToken, toToken, amount, options = {}) {
+    const tradingService = this.getTradingService();
+    const wallet = tradingService.getWalletContext(options.wallet);
+    const strategy = options.strategy || 'Manual';
+    const dryRun = options.dryRun ?? tradingService.isDryRun;
+    const swapOptions = { slippage: options.slippage, dryRun, strategy, wallet: wallet.id };
+
+    const { best } = await this.findRoutes(fromToken, toToken, amount, { path: options.path });
+    const route = { path: best.path, hops: best.hops, amountIn: amount, dryRun };
+    this.logger.info(`🧭 Routing ${amount} ${formatPath(best.path)} (quoted ${best.amountOut})`);
+
+    // A direct route is an ordinary swap
+    if (best.hops === 1) {
+      const result = await tradingService.executeSwap(fromToken, toToken, amount, swapOptions);
+      const amountOut = result.success ? this.getLegOutput(result) : 0;
+      return {
+        ...route,
+        success: result.success,
+        parentTradeId: null,
+        legs: [{ fromToken, toToken, amountIn: amount, amountOut, tradeId: result.tradeId || null }],
+        amountOut,
+        price: amountOut / amount,
+        error: result.error || null,
+        rollback: null
+      };
+    }
+
+    const parentTradeId = await tradingService.logTradeExecution({
+      fromToken,
+      toToken,
+      amount,
+      expectedPrice: 0,
+      slippage: options.slippage,
+      status: 'PENDING',
+      dryRun: dryRun || tradingService.isPaperTrading(),
+      strategy,
+      walletId: wallet.id,
+      executionAlgo: 'route',
+      notes: `Route ${formatPath(best.path)}`
+    });
+    if (!parentTradeId) {
+      throw new Error('Failed to record the route');
+    }
+
+    const legs = [];
+    let amountIn = amount;
+    let error = null;
+    for (const [i, leg] of best.legs.entries()) {
+      const result = await tradingService.executeSwap(leg.fromToken, leg.toToken, amountIn, {
+        ...swapOptions,
+        parentTradeId,
+        routeLeg: i > 0,
+        trackPosition: false
+      });
+      if (!result.success) {
+        error = `Leg ${i + 1} (${formatPath([leg.fromToken, leg.toToken])}) failed: ${result.error}`;
+        break;
+      }
+
+      const amountOut = this.getLegOutput(result);
+      legs.push({ fromToken: leg.fromToken, toToken: leg.toToken, amountIn, amountOut, tradeId: result.tradeId || null });
+      amountIn = amountOut;
+    }
+
+    const rollback = error && legs.length > 0
+      ? await this.rollbackLegs(legs, { ...swapOptions, parentTradeId, routeLeg: true, trackPosition: false })
+      : null;
+    const amountOut = error ? 0 : amountIn;
+    const notes = `Route ${formatPath(best.path)}` + (error ? `: ${error}` : '') +
+      (rollback ? (rollback.success
+        ? `; rolled back to ${rollback.amount} ${formatPath([rollback.token])}`
+        : `; rollback failed, holding ${rollback.amount} ${formatPath([rollback.token])}: ${rollback.error}`) : '');
+
+    await this.getDatabaseService().finishParentTrade(parentTradeId, {
+      amount,
+      price: amountOut / amount,
+      total_value: amountOut,
+      status: error ? 'FAILED' : 'COMPLETED',
+      notes
+    });
+
+    // The position is the route as a whole, the intermediate tokens were only passed through
+    if (!error && tradingService.formatTokenName(fromToken) === 'GALA') {
+      try {
+        await tradingService.trackOpenPosition({
+          strategy,
+          toToken,
+          tradeId: parentTradeId,
+          executedPrice: amountOut / amount,
+          galaAmount: amount,
+          tokenAmount: amountOut,
+          walletId: wallet.id,
+          notePrefix: dryRun ? 'DRY RUN: ' : ''
+        }, options);
+      } catch (positionError) {
+        this.logger.error('Error creating route open position:', positionError);
+      }
+    }
+
+    this.logger[error ? 'warn' : 'info'](`🧭 Route #${parentTradeId} ${error ? 'failed' : 'completed'}: ${notes}`);
+    return { ...route, success: !error, parentTradeId, legs, amountOut, price: amountOut / amount, error, rollback };
+  }
+
+  /**
+   * Swap the filled legs of a failed route back, last leg first
+   * @param {Array} legs - Filled legs [{fromToken, toToken, amountIn, amountOut}]
+   * @param {Object} swapOptions - executeSwap options
+   * @returns {Promise<Object>} - {success, token, amount (held after the rollback), legs, error}
+   */
+  async rollbackLegs(legs, swapOptions) {
+    const tradingService = this.getTradingService();
+    let token = legs[legs.length - 1].toToken;
+    let amount = legs[legs.length - 1].amountOut;
+    const reversed = [];
+
+    for (const leg of [...legs].reverse()) {
+      const result = await tradingService.executeSwap(leg.toToken, leg.fromToken, amount, swapOptions);
+      if (!result.success) {
+        this.logger.error(`Route rollback stopped holding ${amount} ${formatPath([token])}: ${result.error}`);
+        return { success: false, token, amount, legs: reversed, error: result.error };
+      }
+
+      token = leg.fromToken;
+      amount = this.getLegOutput(result);
+      reversed.push({ fromToken: leg.toToken, toToken: leg.fromToken, amountOut: amount, tradeId: result.tradeId || null });
+    }
+
+    return { success: true, token, amount, legs: reversed, error: null };
+  }
+}
+
+module.exports = RouterService;
@@ -0,0 +1,651 @@
+const os = require('os');
+const BaseService = require('./BaseService');
+const { parseCron, getNextRun } = require('../utils/cron');
+
+// Job types seeded from config
+const JOB_TYPES = {
+  STRATEGY: 'strategy',
+  POSITION_MONITOR: 'position_monitor',
+  DAILY_SUMMARY: 'daily_summary',
+  PORTFOLIO_SNAPSHOT: 'portfolio_snapshot',
+  ORDER_MONITOR: 'order_monitor',
+  RECONCILIATION: 'reconciliation'
+};
+
+// Job types that place trades, skipped while automated trading is paused
+const TRADING_JOB_TYPES = [JOB_TYPES.STRATEGY, JOB_TYPES.POSITION_MONITOR, JOB_TYPES.ORDER_MONITOR];
+
+// risk_state key of the pause switch, stored next to the risk manager's kill switch
+const PAUSE_KEY = 'automated_trading_paused';
+
+/**
+ * Scheduler Service - Runs jobs on cron schedules persisted in SQLite
+ * Every run is recorded in job_runs, a per-job lock in job_locks keeps runs from overlapping
+ * (also across processes), and runs missed while the bot was down are caught up once on restart
+ */
+class SchedulerService extends BaseService {
+  constructor() {
+    super('SchedulerService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.notificationService = null;
+    this.portfolioService = null;
+    this.orderService = null;
+    this.settlementService = null;
+    this.jobTypes = new Map();
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.ticking = false;
+    this.tickMs = 30000; // How often due jobs are checked
+    this.lockTtlMs = 30 * 60 * 1000; // Locks of crashed runs expire after this long
+    this.maxCatchUpHours = 24; // Missed runs older than this are skipped instead of caught up
+
+    this.registerJobType(JOB_TYPES.STRATEGY, (payload) => this.runStrategyJob(payload));
+    this.registerJobType(JOB_TYPES.POSITION_MONITOR, (payload) => this.runPositionMonitorJob(payload));
+    this.registerJobType(JOB_TYPES.DAILY_SUMMARY, (payload, run) => this.runDailySummaryJob(payload, run));
+    this.registerJobType(JOB_TYPES.PORTFOLIO_SNAPSHOT, () => this.runPortfolioSnapshotJob());
+    this.registerJobType(JOB_TYPES.ORDER_MONITOR, () => this.runOrderMonitorJob());
+    this.registerJobType(JOB_TYPES.RECONCILIATION, () => this.runReconciliationJob());
+  }
+
+  /**
+   * Initialize the scheduler settings
+   * Jobs only run once start() is called (e.g. by the monitor command)
+   */
+  async onInit() {
+    this.tickMs = parseInt(this.config.get('SCHEDULER_TICK_MS', 30000));
+    this.lockTtlMs = parseInt(this.config.get('SCHEDULER_LOCK_TTL_MS', 30 * 60 * 1000));
+    this.maxCatchUpHours = parseFloat(this.config.get('SCHEDULER_MAX_CATCH_UP_HOURS', 24));
+
+    for (const key of ['SCHEDULE_STRATEGY', 'SCHEDULE_POSITION_MONITOR', 'SCHEDULE_DAILY_SUMMARY', 'SCHEDULE_PORTFOLIO_SNAPSHOT', 'SCHEDULE_ORDER_MONITOR', 'SCHEDULE_RECONCILIATION']) {
+      const schedule = this.config.get(key);
+      if (schedule) {
+        parseCron(schedule);
+      }
+    }
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Get notification service (lazy initialization)
+   * @returns {NotificationService} Notification service instance
+   */
+  getNotificationService() {
+    if (!this.notificationService) {
+      const ServiceManager = require('./ServiceManager');
+      this.notificationService = ServiceManager.get('notification');
+    }
+    return this.notificationService;
+  }
+
+  /**
+   * Get portfolio service (lazy initialization)
+   * @returns {PortfolioService} Portfolio service instance
+   */
+  getPortfolioService() {
+    if (!this.portfolioService) {
+      const ServiceManager = require('./ServiceManager');
+      this.portfolioService = ServiceManager.get('portfolio');
+    }
+    return this.portfolioService;
+  }
+
+  /**
+   * Get order service (lazy initialization)
+   * @returns {OrderService} Order service instance
+   */
+  getOrderService() {
+    if (!this.orderService) {
+      const ServiceManager = require('./ServiceManager');
+      this.orderService = ServiceManager.get('orders');
+    }
+    return this.orderService;
+  }
+
+  /**
+   * Get settlement service (lazy initialization)
+   * @returns {SettlementService} Settlement service instance
+   */
+  getSettlementService() {
+    if (!this.settlementService) {
+      const ServiceManager = require('./ServiceManager');
+      this.settlementService = ServiceManager.get('settlement');
+    }
+    return this.settlementService;
+  }
+
+  /**
+   * Register a job handler
+   * @param {string} jobType - Job type stored on scheduled_jobs
+   * @param {Function} handler - async (payload, {job, scheduledFor, catchUp}) => result summary
+   */
+  registerJobType(jobType, handler) {
+    this.jobTypes.set(jobType, handler);
+  }
+
+  /**
+   * Build the jobs configured for this bot: one strategy job per trading symbol,
+   * position monitoring, the daily summary, portfolio snapshots, the order monitor and balance reconciliation
+   * A symbol can override its schedule with {"schedule": "*\/15 * * * *"} in strategy_config
+   * @returns {Promise<Array>} - Job definitions {name, job_type, schedule, payload}
+   */
+  async getConfiguredJobs() {
+    const jobs = [];
+    const strategySchedule = this.config.get('SCHEDULE_STRATEGY', '*/5 * * * *');
+    const positionSchedule = this.config.get('SCHEDULE_POSITION_MONITOR', strategySchedule);
+    const summarySchedule = this.config.get('SCHEDULE_DAILY_SUMMARY', '0 0 * * *');
+    const snapshotSchedule = this.config.get('SCHEDULE_PORTFOLIO_SNAPSHOT', '0 * * * *');
+    const orderSchedule = this.config.get('SCHEDULE_ORDER_MONITOR', '* * * * *');
+    const reconciliationSchedule = this.config.get('SCHEDULE_RECONCILIATION', '*/30 * * * *');
+
+    const symbols = await this.getDatabaseService().getTradingSymbols();
+    for (const symbolData of symbols) {
+      jobs.push({
+        name: `${JOB_TYPES.STRATEGY}:${symbolData.symbol}`,
+        job_type: JOB_TYPES.STRATEGY,
+        schedule: symbolData.strategy_config?.schedule || strategySchedule,
+        payload: { symbol: symbolData.symbol, minimumConfidence: 0.7 }
+      });
+    }
+
+    if (positionSchedule) {
+      jobs.push({
+        name: JOB_TYPES.POSITION_MONITOR,
+        job_type: JOB_TYPES.POSITION_MONITOR,
+        schedule: positionSchedule,
+        payload: { strategy: 'dca' }
+      });
+    }
+
+    if (summarySchedule) {
+      jobs.push({
+        name: JOB_TYPES.DAILY_SUMMARY,
+        job_type: JOB_TYPES.DAILY_SUMMARY,
+        schedule: summarySchedule,
+        payload: {},
+        catch_up: false // A late summary of the wrong day is noise
+      });
+    }
+
+    if (snapshotSchedule) {
+      jobs.push({
+        name: JOB_TYPES.PORTFOLIO_SNAPSHOT,
+        job_type: JOB_TYPES.PORTFOLIO_SNAPSHOT,
+        schedule: snapshotSchedule,
+        payload: {},
+        catch_up: false // Balances can only be valued as they are now
+      });
+    }
+
+    if (orderSchedule) {
+      jobs.push({
+        name: JOB_TYPES.ORDER_MONITOR,
+        job_type: JOB_TYPES.ORDER_MONITOR,
+        schedule: orderSchedule,
+        payload: {},
+        catch_up: false // Triggers are checked against current prices only
+      });
+    }
+
+    if (reconciliationSchedule) {
+      jobs.push({
+        name: JOB_TYPES.RECONCILIATION,
+        job_type: JOB_TYPES.RECONCILIATION,
+        schedule: reconciliationSchedule,
+        payload: {},
+        catch_up: false // Balances can only be read as they are now
+      });
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Persist the configured jobs, keeping the next run time of unchanged schedules
+   * and removing strategy jobs of symbols that are no longer traded
+   * @param {Object} overrides - Payload fields merged into every strategy job (e.g. {strategy})
+   * @returns {Promise<Array>} - Stored jobs
+   */
+  async syncJobs(overrides = {}) {
+    const databaseService = this.getDatabaseService();
+    const configured = await this.getConfiguredJobs();
+    const now = new Date();
+
+    for (const job of configured) {
+      const cron = parseCron(job.schedule);
+      const payload = job.job_type === JOB_TYPES.STRATEGY ? { ...job.payload, ...overrides } : job.payload;
+      await databaseService.upsertScheduledJob({
+        ...job,
+        payload,
+        next_run_at: getNextRun(cron, now)?.toISOString() || null
+      });
+    }
+
+    const strategyJobs = configured.filter(job => job.job_type === JOB_TYPES.STRATEGY).map(job => job.name);
+    const removed = await databaseService.removeStaleScheduledJobs(JOB_TYPES.STRATEGY, strategyJobs);
+    if (removed > 0) {
+      this.logger.info(`Removed ${removed} strategy job(s) of symbols no longer traded`);
+    }
+
+    return databaseService.getScheduledJobs();
+  }
+
+  /**
+   * Start running due jobs
+   * @param {Object} options - {overrides: strategy job payload overrides}
+   * @returns {Promise<Array>} - Outcomes of the first tick (including catch-up runs)
+   */
+  async start(options = {}) {
+    if (this.timer) {
+      return [];
+    }
+
+    const databaseService = this.getDatabaseService();
+    const interrupted = await databaseService.failInterruptedJobRuns();
+    if (interrupted > 0) {
+      this.logger.warn(`Marked ${interrupted} interrupted job run(s) as failed`);
+    }
+
+    const jobs = await this.syncJobs(options.overrides);
+    this.logger.info(`Scheduler started with ${jobs.filter(job => job.enabled).length} enabled job(s), checking every ${this.tickMs / 1000}s`);
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => this.logger.error('Scheduler tick failed:', error));
+    }, this.tickMs);
+
+    return this.tick();
+  }
+
+  /**
+   * Stop scheduling new runs (a run in progress finishes)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.logger.info('Scheduler stopped');
+    }
+  }
+
+  /**
+   * Check whether the scheduler is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Run every enabled job that is due, one after another
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} - Run outcomes [{job, status, runId, ...}]
+   */
+  async tick(now = new Date()) {
+    // A slow job must not let the next tick start the same due jobs again
+    if (this.ticking) {
+      return [];
+    }
+
+    this.ticking = true;
+    const outcomes = [];
+
+    try {
+      const jobs = await this.getDatabaseService().getScheduledJobs({ enabledOnly: true });
+
+      for (const job of jobs) {
+        if (job.next_run_at && new Date(job.next_run_at) <= now) {
+          outcomes.push(await this.dispatchDueJob(job, now));
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Run a due job, or record a skipped run when a missed run is too old to catch up
+   * Several missed runs collapse into one catch-up run
+   * @param {Object} job - Scheduled job
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - Run outcome
+   */
+  async dispatchDueJob(job, now) {
+    const scheduledFor = job.next_run_at;
+    const nextRunAt = getNextRun(job.schedule, now)?.toISOString() || null;
+    const lateMs = now.getTime() - new Date(scheduledFor).getTime();
+    const catchUp = lateMs > Math.max(this.tickMs * 2, 60000);
+
+    if (catchUp && (!job.catch_up || lateMs > this.maxCatchUpHours * 60 * 60 * 1000)) {
+      const reason = job.catch_up
+        ? `Missed run older than ${this.maxCatchUpHours}h not caught up`
+        : 'Missed run not caught up (catch-up disabled)';
+      return this.skipRun(job, scheduledFor, nextRunAt, reason, catchUp);
+    }
+
+    if (TRADING_JOB_TYPES.includes(job.job_type) && (await this.getPauseState()).paused) {
+      return this.skipRun(job, scheduledFor, nextRunAt, 'Automated trading paused', catchUp);
+    }
+
+    return this.runJob(job, { scheduledFor, nextRunAt, catchUp });
+  }
+
+  /**
+   * Run a job now, outside its schedule (its next scheduled run is unchanged)
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} - Run outcome
+   */
+  async runJobNow(name) {
+    const job = await this.getDatabaseService().getScheduledJob(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    return this.runJob(job, { scheduledFor: new Date().toISOString(), nextRunAt: null, catchUp: false });
+  }
+
+  /**
+   * Run a job under its lock and record the run
+   * @param {Object} job - Scheduled job
+   * @param {Object} run - {scheduledFor, nextRunAt: advance the schedule when set, catchUp}
+   * @returns {Promise<Object>} - {job, runId, status, result, error, catchUp}
+   */
+  async runJob(job, run) {
+    const databaseService = this.getDatabaseService();
+    const { scheduledFor, nextRunAt, catchUp } = run;
+    const handler = this.jobTypes.get(job.job_type);
+
+    const locked = await databaseService.acquireJobLock(job.name, this.owner, this.lockTtlMs);
+    if (!locked) {
+      return this.skipRun(job, scheduledFor, nextRunAt, 'Previous run still in progress', catchUp);
+    }
+
+    // Advance the schedule first so a crash mid-run does not repeat this slot
+    if (nextRunAt !== null) {
+      await databaseService.updateScheduledJobRun(job.name, scheduledFor, nextRunAt);
+    }
+
+    const runId = await databaseService.createJobRun({
+      job_name: job.name,
+      scheduled_for: scheduledFor,
+      catch_up: catchUp,
+      owner: this.owner
+    });
+
+    this.logger.info(`▶️  Running ${job.name}${catchUp ? ` (catch-up of ${scheduledFor})` : ''}`);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.job_type}`);
+      }
+
+      const result = await handler(job.payload, { job, scheduledFor, catchUp });
+      await databaseService.finishJobRun(runId, 'SUCCEEDED', { result });
+      this.logger.info(`✅ ${job.name} finished`);
+      return { job: job.name, runId, status: 'SUCCEEDED', result, catchUp };
+    } catch (error) {
+      await databaseService.finishJobRun(runId, 'FAILED', { error: error.message });
+      this.logger.error(`❌ ${job.name} failed:`, error.message);
+      return { job: job.name, runId, status: 'FAILED', error: error.message, catchUp };
+    } finally {
+      await databaseService.releaseJobLock(job.name, this.owner);
+    }
+  }
+
+  /**
+   * Record a skipped run and advance the schedule
+   * @param {Object} job - Scheduled job
+   * @param {string} scheduledFor - Skipped scheduled time (ISO)
+   * @param {string|null} nextRunAt - Next scheduled time (ISO), null leaves the schedule alone
+   * @param {string} reason - Why the run was skipped
+   * @param {boolean} catchUp - Whether the skipped run was a missed one
+   * @returns {Promise<Object>} - Run outcome
+   */
+  async skipRun(job, scheduledFor, nextRunAt, reason, catchUp = false) {
+    const databaseService = this.getDatabaseService();
+
+    if (nextRunAt !== null) {
+      await databaseService.updateScheduledJobRun(job.name, scheduledFor, nextRunAt);
+    }
+
+    const runId = await databaseService.createJobRun({
+      job_name: job.name,
+      scheduled_for: scheduledFor,
+      status: 'SKIPPED',
+      catch_up: catchUp,
+      owner: this.owner,
+      error: reason
+    });
+
+    this.logger.warn(`⏭️  Skipped ${job.name}: ${reason}`);
+    return { job: job.name, runId, status: 'SKIPPED', error: reason, catchUp };
+  }
+
+  /**
+   * Enable or disable a job
+   * A re-enabled job resumes at its next scheduled time instead of catching up
+   * @param {string} name - Job name
+   * @param {boolean} enabled - Whether the job should run
+   * @returns {Promise<Object>} - Updated job
+   */
+  async setJobEnabled(name, enabled) {
+    const databaseService = this.getDatabaseService();
+    const job = await databaseService.getScheduledJob(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const nextRunAt = enabled ? getNextRun(job.schedule, new Date())?.toISOString() || null : null;
+    await databaseService.setScheduledJobEnabled(name, enabled, nextRunAt);
+    return databaseService.getScheduledJob(name);
+  }
+
+  /**
+   * Get the automated trading pause switch
+   * @returns {Promise<Object>} - {paused, pausedAt, pausedBy}
+   */
+  async getPauseState() {
+    const state = await this.getDatabaseService().getRiskState(PAUSE_KEY);
+    return state || { paused: false, pausedAt: null, pausedBy: null };
+  }
+
+  /**
+   * Pause automated trading - strategy, position monitor and order monitor runs are skipped until resumed
+   * Persisted, so it holds across restarts and for schedulers in other processes
+   * @param {string} pausedBy - Who paused it (e.g. 'cli', 'telegram:1234')
+   * @returns {Promise<Object>} - Pause state
+   */
+  async pauseAutomatedTrading(pausedBy = 'manual') {
+    const current = await this.getPauseState();
+    if (current.paused) {
+      return current;
+    }
+
+    const state = { paused: true, pausedAt: new Date().toISOString(), pausedBy };
+    await this.getDatabaseService().setRiskState(PAUSE_KEY, state);
+    this.logger.warn(`⏸️  Automated trading paused by ${pausedBy}`);
+    return state;
+  }
+
+  /**
+   * Resume automated trading
+   * @param {string} resumedBy - Who resumed it
+   * @returns {Promise<Object>} - Pause state
+   */
+  async resumeAutomatedTrading(resumedBy = 'manual') {
+    const state = { paused: false, pausedAt: null, pausedBy: null };
+    await this.getDatabaseService().setRiskState(PAUSE_KEY, state);
+    this.logger.info(`▶️  Automated trading resumed by ${resumedBy}`);
+    return state;
+  }
+
+  /**
+   * Get jobs with their latest run
+   * @returns {Promise<Object>} - {running, owner, pause, jobs}
+   */
+  async getStatus() {
+    const databaseService = this.getDatabaseService();
+    const jobs = await databaseService.getScheduledJobs();
+
+    const withRuns = [];
+    for (const job of jobs) {
+      const [lastRun = null] = await databaseService.getJobRuns({ jobName: job.name, limit: 1 });
+      withRuns.push({ ...job, lastRun });
+    }
+
+    return {
+      running: this.isRunning(),
+      owner: this.owner,
+      pause: await this.getPauseState(),
+      jobs: withRuns
+    };
+  }
+
+  /**
+   * Strategy job - analyze one symbol and trade on actionable signals
+   * @param {Object} payload - {symbol, strategy, minimumConfidence}
+   * @returns {Promise<Object>} - Trade summary
+   */
+  async runStrategyJob(payload) {
+    const { symbol, strategy = null, minimumConfidence = 0.7 } = payload;
+
+    const result = await this.getTradingService().executeAutomatedTrading({
+      symbols: [symbol],
+      strategy,
+      minimumConfidence,
+      sendNotifications: true
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || `Automated trading failed for ${symbol}`);
+    }
+    if (result.errors.length > 0) {
+      throw new Error(result.errors.map(err => `${err.symbol}: ${err.error}`).join('; '));
+    }
+
+    return {
+      tradesExecuted: result.tradesExecuted,
+      signals: result.tradeResults.map(trade => ({
+        signal: trade.signal,
+        confidence: trade.confidence,
+        success: Boolean(trade.trade?.success)
+      }))
+    };
+  }
+
+  /**
+   * Position monitor job - check open positions for exit conditions
+   * @param {Object} payload - {strategy}
+   * @returns {Promise<Object>} - Monitoring summary
+   */
+  async runPositionMonitorJob(payload) {
+    const result = await this.getTradingService().monitorOpenPositions(payload.strategy || null);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Position monitoring failed');
+    }
+
+    return {
+      positionsChecked: result.positionsChecked,
+      buybacksExecuted: result.buybacksExecuted,
+      buybacksFailed: result.buybacksFailed
+    };
+  }
+
+  /**
+   * Daily summary job - notify trades and realized PnL of the day before the scheduled time
+   * @param {Object} payload - Unused
+   * @param {Object} run - {scheduledFor}
+   * @returns {Promise<Object>} - Summary sent
+   */
+  async runDailySummaryJob(payload, run) {
+    const databaseService = this.getDatabaseService();
+    const tradingService = this.getTradingService();
+    const dryRun = tradingService.isDryRun || tradingService.isPaperTrading();
+    const since = new Date(new Date(run.scheduledFor).getTime() - 24 * 60 * 60 * 1000).toISOString();
+
+    const trades = await databaseService.getTradeSummarySince(since, dryRun);
+    const { realizedPnL } = await databaseService.getRealizedPnLSince(since, dryRun);
+
+    const summary = {
+      signalsGenerated: trades.total,
+      tradesExecuted: trades.completed,
+      successRate: trades.total > 0 ? (trades.completed / trades.total) * 100 : null,
+      pnl: realizedPnL,
+      fees: trades.fees
+    };
+
+    const sent = await this.getNotificationService().sendDailySummary(summary);
+    return { ...summary, since, sent };
+  }
+
+  /**
+   * Portfolio snapshot job - value every wallet and store the snapshots
+   * @returns {Promise<Object>} - Snapshot summary
+   */
+  async runPortfolioSnapshotJob() {
+    const result = await this.getPortfolioService().takeSnapshots();
+
+    if (result.snapshots.length === 0 && result.errors.length > 0) {
+      throw new Error(result.errors.map(err => `${err.wallet}: ${err.error}`).join('; '));
+    }
+
+    return result;
+  }
+
+  /**
+   * Order monitor job - expire pending orders and fill the triggered ones
+   * @returns {Promise<Object>} - Check summary
+   */
+  async runOrderMonitorJob() {
+    const result = await this.getOrderService().checkOrders();
+
+    if (result.checked === 0 && result.errors.length > 0) {
+      throw new Error(result.errors.map(err => `#${err.orderId}: ${err.error}`).join('; '));
+    }
+
+    return result;
+  }
+
+  /**
+   * Reconciliation job - check every wallet's balances against its trades
+   * @returns {Promise<Object>} - Reconciliation summary
+   */
+  async runReconciliationJob() {
+    const result = await this.getSettlementService().reconcile();
+
+    if (result.wallets.length === 0 && result.errors.length > 0) {
+      throw new Error(result.errors.map(err => `${err.wallet}: ${err.error}`).join('; '));
+    }
+
+    return result;
+  }
+}
+
+SchedulerService.JOB_TYPES = JOB_TYPES;
+
+module.exports = SchedulerService;
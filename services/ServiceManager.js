@@ -6,6 +6,17 @@ const NotificationService = require('./NotificationService');
 const CoinMarketCapService = require('./CoinMarketCapService');
 const BinanceService = require('./BinanceService');
 const PriceOracleService = require('./PriceOracleService');
+const BacktestService = require('./BacktestService');
+const RiskManagerService = require('./RiskManagerService');
+const SchedulerService = require('./SchedulerService');
+const BotCommandService = require('./BotCommandService');
+const AuthService = require('./AuthService');
+const PortfolioService = require('./PortfolioService');
+const AccountingService = require('./AccountingService');
+const OrderService = require('./OrderService');
+const ExecutionService = require('./ExecutionService');
+const RouterService = require('./RouterService');
+const SettlementService = require('./SettlementService');
 
 /**
  * Service initialization and management
@@ -142,11 +153,22 @@ const serviceManager = new ServiceManager();
 
 // Register core services with priorities
 serviceManager.register('database', DatabaseService, 10); // High priority (low number)
+serviceManager.register('auth', new AuthService(), 15); // API keys, users and sessions for the HTTP routes
 serviceManager.register('yahooFinance', new YahooFinanceService(), 20); // Data service
 serviceManager.register('priceOracle', new PriceOracleService(), 25); // Price Oracle service
 serviceManager.register('notification', new NotificationService(), 30); // Notification service
 serviceManager.register('coinMarketCap', new CoinMarketCapService(), 35); // CoinMarketCap service
+serviceManager.register('riskManager', new RiskManagerService(), 38); // Risk checks consulted before every swap
 serviceManager.register('trading', new TradingService(), 40); // Trading service (depends on others)
+serviceManager.register('execution', new ExecutionService(), 41); // TWAP / iceberg orders split into child swaps (uses trading)
+serviceManager.register('orders', new OrderService(), 42); // Limit, stop and OCO orders filled on oracle price triggers (uses trading)
+serviceManager.register('router', new RouterService(), 43); // Multi-hop swaps through intermediate tokens (uses trading)
+serviceManager.register('settlement', new SettlementService(), 44); // Live swap confirmations and balance reconciliation (uses trading)
+serviceManager.register('portfolio', new PortfolioService(), 45); // Wallet valuation and net-worth snapshots (uses trading and priceOracle)
+serviceManager.register('accounting', new AccountingService(), 46); // Lot-based realized / unrealized PnL over the trades table
+serviceManager.register('backtest', new BacktestService(), 50); // Backtest service (replays registered strategies)
+serviceManager.register('scheduler', new SchedulerService(), 60); // Job scheduler (started by the monitor command)
+serviceManager.register('botCommands', new BotCommandService(), 65); // Discord / Telegram commands (uses trading and scheduler)
 
 // Setup graceful shutdown (only in production or when explicitly enabled)
 if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SIGNAL_HANDLERS === 'true') {
@@ -0,0 +1,420 @@
+const BaseService = require('./BaseService');
+const {
+  getTokenSymbol,
+  isFailedTransaction,
+  isWaiterUnavailable,
+  parseSwapFill,
+  getFillDeviation,
+  sumTokenDeltas,
+  reconcileBalances
+} = require('../utils/settlement');
+
+/**
+ * Settlement Service - Confirms live swaps and reconciles wallet balances against the trades table
+ * A submitted swap is recorded as PENDING and confirmed through its transaction's event (wait()) or,
+ * failing that, by polling the wallet until the bought token's balance grows. The confirmed fill replaces
+ * the quoted output on the trade and its open position, and fills that differ from the quote by more
+ * than CONFIRMATION_MISMATCH_THRESHOLD are flagged. Reconciliation compares each wallet's balance changes
+ * since its previous check with the changes its settled trades imply
+ */
+class SettlementService extends BaseService {
+  constructor() {
+    super('SettlementService');
+    this.databaseService = null;
+    this.tradingService = null;
+    this.notificationService = null;
+    this.timeoutMs = 60000;
+    this.pollIntervalMs = 5000;
+    this.maxWaitMs = 15 * 60 * 1000;
+    this.mismatchThreshold = 0.01;
+    this.tolerance = 0.001;
+    this.watching = new Map(); // Trade id -> {submission, completion} of swaps still confirmed in the background
+  }
+
+  /**
+   * Initialize the confirmation and reconciliation settings
+   */
+  async onInit() {
+    this.timeoutMs = parseInt(this.config.get('CONFIRMATION_TIMEOUT_MS', '60000'));
+    this.pollIntervalMs = parseInt(this.config.get('CONFIRMATION_POLL_INTERVAL_MS', '5000'));
+    this.maxWaitMs = parseInt(this.config.get('CONFIRMATION_MAX_WAIT_MS', '900000'));
+    this.mismatchThreshold = parseFloat(this.config.get('CONFIRMATION_MISMATCH_THRESHOLD', '0.01'));
+    this.tolerance = parseFloat(this.config.get('RECONCILIATION_TOLERANCE', '0.001'));
+  }
+
+  /**
+   * Get database service (lazy initialization)
+   * @returns {DatabaseService} Database service instance
+   */
+  getDatabaseService() {
+    if (!this.databaseService) {
+      const ServiceManager = require('./ServiceManager');
+      this.databaseService = ServiceManager.get('database');
+    }
+    return this.databaseService;
+  }
+
+  /**
+   * Get trading service (lazy initialization)
+   * @returns {TradingService} Trading service instance
+   */
+  getTradingService() {
+    if (!this.tradingService) {
+      const ServiceManager = require('./ServiceManager');
+      this.tradingService = ServiceManager.get('trading');
+    }
+    return this.tradingService;
+  }
+
+  /**
+   * Get notification service (lazy initialization)
+   * @returns {NotificationService} Notification service instance
+   */
+  getNotificationService() {
+    if (!this.notificationService) {
+      const ServiceManager = require('./ServiceManager');
+      this.notificationService = ServiceManager.get('notification');
+    }
+    return this.notificationService;
+  }
+
+  /**
+   * Wait between balance polls (replaced in tests)
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get a wallet's balance of one token
+   * @param {number|string} wallet - Wallet id or name
+   * @param {string} token - Token identifier
+   * @returns {Promise<number|null>} - Balance, or null when the wallet could not be read
+   */
+  async getTokenBalance(wallet, token) {
+    try {
+      const assets = await this.getTradingService().getWalletAssets(wallet);
+      const symbol = getTokenSymbol(token);
+      const held = assets.tokens.find(asset => getTokenSymbol(asset.symbol) === symbol);
+      return held ? parseFloat(held.quantity) || 0 : 0;
+    } catch (error) {
+      this.logger.warn(`Could not read the ${getTokenSymbol(token)} balance of wallet ${wallet}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * How much the bought token's balance grew since the swap was submitted
+   * @param {Object} submission - Submitted swap {walletId, toToken, balanceBefore}
+   * @returns {Promise<number|null>} - Increase, or null when balances are unknown
+   */
+  async getBalanceIncrease(submission) {
+    if (submission.balanceBefore === null || submission.balanceBefore === undefined) {
+      return null;
+    }
+    const balance = await this.getTokenBalance(submission.walletId, submission.toToken);
+    return balance === null ? null : balance - submission.balanceBefore;
+  }
+
+  /**
+   * Wait for a submitted swap to settle
+   * The transaction event decides when it arrives; balance polling covers swaps whose event never does
+   * (or whose waiter gave up). Polling attributes the whole balance increase of the bought token to the swap
+   * @param {Object} submission - Submitted swap {walletId, toToken, expectedOutput, balanceBefore}
+   * @param {number} deadline - Time (ms) after which the swap is reported UNCONFIRMED
+   * @param {Promise|null} events - Settles with {result} or {error} when the transaction event arrives
+   * @returns {Promise<Object>} - {status: CONFIRMED | FAILED | UNCONFIRMED, amountOut, source: event | balance | quote, error}
+   */
+  async waitForFill(submission, deadline, events = null) {
+    let event = null;
+    if (events) {
+      events.then(outcome => { event = outcome; });
+    }
+
+    for (;;) {
+      if (event?.error && isWaiterUnavailable(event.error)) {
+        this.logger.warn(`No transaction event for trade #${submission.tradeId} (${event.error.message}), polling balances`);
+        events = null;
+        event = null;
+      }
+
+      if (event) {
+        if (event.error || isFailedTransaction(event.result)) {
+          const error = event.error ? event.error.message : `transaction status ${event.result.status ?? event.result.Status}`;
+          return { status: 'FAILED', amountOut: null, source: 'event', error };
+        }
+
+        const reported = parseSwapFill(event.result, submission.toToken);
+        if (reported !== null) {
+          return { status: 'CONFIRMED', amountOut: reported, source: 'event', error: null };
+        }
+        const increase = await this.getBalanceIncrease(submission);
+        return increase > 0
+          ? { status: 'CONFIRMED', amountOut: increase, source: 'balance', error: null }
+          : { status: 'CONFIRMED', amountOut: submission.expectedOutput, source: 'quote', error: null };
+      }
+
+      const increase = await this.getBalanceIncrease(submission);
+      if (increase > 0) {
+        return { status: 'CONFIRMED', amountOut: increase, source: 'balance', error: null };
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        return { status: 'UNCONFIRMED', amountOut: null, source: null, error: null };
+      }
+      await Promise.race([this.sleep(Math.min(this.pollIntervalMs, remaining)), ...(events ? [events] : [])]);
+    }
+  }
+
+  /**
+   * Wait for a submitted live swap (while its event socket is connected) and record the outcome
+   * @param {Object} submission - {tradeId, walletId, fromToken, toToken, amount, feeTier, expectedOutput, pendingTx, balanceBefore}
+   * @returns {Promise<Object>} - {status, amountOut, source, error, deviation, flagged}
+   */
+  async confirmSwap(submission) {
+    const events = typeof submission.pendingTx?.wait === 'function'
+      ? Promise.resolve()
+        .then(() => submission.pendingTx.wait())
+        .then(result => ({ result }), error => ({ error }))
+      : null;
+
+    const outcome = await this.waitForFill(submission, Date.now() + this.timeoutMs, events);
+    try {
+      return await this.recordFill(submission, outcome);
+    } catch (error) {
+      // A bookkeeping error must not change the outcome the caller acts on
+      this.logger.error(`Error recording the confirmation of trade #${submission.tradeId}:`, error);
+      return { ...outcome, deviation: null, flagged: false };
+    }
+  }
+
+  /**
+   * Keep polling for a swap that did not confirm in time, then record it and correct its position
+   * Only balances are polled: the transaction event is not listened to once the event socket is closed
+   * @param {Object} submission - Submitted swap (see confirmSwap)
+   * @param {Object} position - {positionId, closing} opened (or, with closing, closed) from the quoted output, if any
+   * @returns {Promise<Object>} - Recorded outcome
+   */
+  watch(submission, position = {}) {
+    const completion = this.waitForFill(submission, Date.now() + this.maxWaitMs)
+      .then(async (outcome) => {
+        const recorded = await this.recordFill(submission, outcome);
+
+        if (recorded.status === 'CONFIRMED' && position.positionId && recorded.source !== 'quote') {
+          const delta = recorded.amountOut - submission.expectedOutput;
+          const databaseService = this.getDatabaseService();
+          if (position.closing) {
+            await databaseService.correctPositionClose(position.positionId, submission.tradeId, delta);
+          } else {
+            await databaseService.correctPositionFill(position.positionId, submission.tradeId, delta);
+          }
+          this.logger.info(`Position ${position.positionId} corrected by ${delta} from the fill of trade #${submission.tradeId}`);
+        }
+        return recorded;
+      })
+      .catch(error => {
+        this.logger.error(`Error confirming trade #${submission.tradeId}:`, error);
+        return { status: 'UNCONFIRMED', amountOut: null, source: null, error: error.message };
+      })
+      .finally(() => this.watching.delete(submission.tradeId));
+
+    this.watching.set(submission.tradeId, { submission, completion });
+    return completion;
+  }
+
+  /**
+   * Record the outcome of a submitted swap on its trade
+   * @param {Object} submission - Submitted swap (see confirmSwap)
+   * @param {Object} outcome - waitForFill result
+   * @returns {Promise<Object>} - Outcome with {deviation, flagged}
+   */
+  async recordFill(submission, outcome) {
+    const databaseService = this.getDatabaseService();
+    const { tradeId, amount, feeTier, expectedOutput } = submission;
+
+    if (outcome.status === 'UNCONFIRMED') {
+      this.logger.warn(`⏳ Trade #${tradeId} is still unconfirmed`);
+      return { ...outcome, deviation: null, flagged: false };
+    }
+
+    if (outcome.status === 'FAILED') {
+      this.logger.error(`❌ Trade #${tradeId} failed on chain: ${outcome.error}`);
+      await databaseService.confirmTrade(tradeId, {
+        status: 'FAILED',
+        notes: `Live trade failed on chain on ${feeTier} fee tier: ${outcome.error}`
+      });
+      return { ...outcome, deviation: null, flagged: false };
+    }
+
+    const known = outcome.source !== 'quote';
+    const deviation = known ? getFillDeviation(expectedOutput, outcome.amountOut) : null;
+    const flagged = deviation !== null && Math.abs(deviation) > this.mismatchThreshold;
+    const notes = known
+      ? `Live trade confirmed on ${feeTier} fee tier: received ${outcome.amountOut} (quoted ${expectedOutput}` +
+        (deviation !== null ? `, ${deviation >= 0 ? '+' : ''}${(deviation * 100).toFixed(2)}%` : '') + ')'
+      : `Live trade confirmed on ${feeTier} fee tier, fill not reported: quoted output ${expectedOutput} assumed`;
+
+    await databaseService.confirmTrade(tradeId, {
+      status: 'COMPLETED',
+      actual_output: known ? outcome.amountOut : null,
+      price: outcome.amountOut / amount,
+      total_value: outcome.amountOut,
+      fill_deviation: deviation,
+      notes
+    });
+
+    if (flagged) {
+      this.logger.warn(`⚠️ Trade #${tradeId} filled ${outcome.amountOut} against a quote of ${expectedOutput}`);
+      await this.getNotificationService().sendSettlementAlert({
+        title: `Fill Mismatch on Trade #${tradeId}`,
+        message: notes,
+        fields: [
+          { name: 'Swap', value: `${amount} ${getTokenSymbol(submission.fromToken)} → ${getTokenSymbol(submission.toToken)}`, inline: true },
+          { name: 'Deviation', value: `${(deviation * 100).toFixed(2)}%`, inline: true }
+        ]
+      });
+    }
+
+    this.logger.info(`✅ Trade #${tradeId} confirmed (${outcome.source}): ${outcome.amountOut} ${getTokenSymbol(submission.toToken)}`);
+    return { ...outcome, deviation, flagged };
+  }
+
+  /**
+   * Check one wallet's balances against its settled trades and store the check
+   * The first check of a wallet only records its balances
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @returns {Promise<Object>} - {wallet, walletId, checkedAt, since, trades, pendingTrades, tokens, flagged}
+   */
+  async reconcileWallet(wallet = null) {
+    const databaseService = this.getDatabaseService();
+    const assets = await this.getTradingService().getWalletAssets(wallet);
+    const checkedAt = new Date().toISOString();
+
+    const current = {};
+    for (const token of assets.tokens) {
+      const symbol = getTokenSymbol(token.symbol);
+      current[symbol] = (current[symbol] || 0) + (parseFloat(token.quantity) || 0);
+    }
+
+    const previousRows = await databaseService.getLatestBalanceReconciliation(assets.walletId);
+    const since = previousRows.length > 0 ? previousRows[0].checked_at : null;
+    const previous = since ? Object.fromEntries(previousRows.map(row => [row.token, row.balance])) : null;
+    const trades = since ? await databaseService.getSettledTradesBetween(assets.walletId, since, checkedAt) : [];
+    const pending = await databaseService.getUnconfirmedTrades({ walletId: assets.walletId });
+
+    const tokens = reconcileBalances(previous, current, sumTokenDeltas(trades), this.tolerance);
+    await databaseService.saveBalanceReconciliation(tokens.map(row => ({
+      wallet_id: assets.walletId,
+      token: row.token,
+      balance: row.balance,
+      previous_balance: row.previousBalance,
+      trade_delta: row.tradeDelta,
+      discrepancy: row.discrepancy,
+      flagged: row.flagged,
+      pending_trades: pending.length,
+      checked_at: checkedAt
+    })));
+
+    return {
+      wallet: assets.wallet,
+      walletId: assets.walletId,
+      checkedAt,
+      since,
+      trades: trades.length,
+      pendingTrades: pending.length,
+      tokens,
+      flagged: tokens.filter(row => row.flagged)
+    };
+  }
+
+  /**
+   * Reconcile every loaded wallet and report swaps that never confirmed
+   * Paper balances only move through the simulator, so paper trading is not reconciled
+   * One failing wallet does not stop the others
+   * @returns {Promise<Object>} - {wallets: [{wallet, trades, pendingTrades, flagged}], staleTrades, errors, skipped}
+   */
+  async reconcile() {
+    const tradingService = this.getTradingService();
+    if (tradingService.isPaperTrading()) {
+      return { wallets: [], staleTrades: [], errors: [], skipped: 'Paper trading balances are not reconciled' };
+    }
+
+    const wallets = tradingService.wallets.size > 0
+      ? [...tradingService.wallets.values()]
+      : [tradingService.getWalletContext()];
+    const results = [];
+    const errors = [];
+
+    for (const wallet of wallets) {
+      try {
+        const result = await this.reconcileWallet(wallet.id);
+        results.push({
+          wallet: result.wallet,
+          trades: result.trades,
+          pendingTrades: result.pendingTrades,
+          flagged: result.flagged
+        });
+      } catch (error) {
+        this.logger.error(`Failed to reconcile wallet ${wallet.name}:`, error.message);
+        errors.push({ wallet: wallet.name, error: error.message });
+      }
+    }
+
+    const before = new Date(Date.now() - this.maxWaitMs).toISOString();
+    const staleTrades = (await this.getDatabaseService().getUnconfirmedTrades({ before }))
+      .filter(trade => !this.watching.has(trade.id))
+      .map(trade => trade.id);
+
+    const flagged = results.flatMap(result => result.flagged.map(row => ({ wallet: result.wallet, ...row })));
+    if (flagged.length > 0 || staleTrades.length > 0) {
+      this.logger.warn(`Reconciliation flagged ${flagged.length} balance(s) and ${staleTrades.length} unconfirmed trade(s)`);
+      await this.getNotificationService().sendSettlementAlert({
+        title: 'Balance Reconciliation',
+        message: flagged.length > 0
+          ? 'On-chain balances moved differently than the recorded trades imply'
+          : 'Live trades are still unconfirmed',
+        fields: [
+          ...flagged.map(row => ({
+            name: `${row.wallet}: ${row.token}`,
+            value: `balance ${row.balance}, expected ${row.previousBalance + row.tradeDelta} (off by ${row.discrepancy})`,
+            inline: false
+          })),
+          ...(staleTrades.length > 0 ? [{ name: 'Unconfirmed trades', value: staleTrades.map(id => `#${id}`).join(', '), inline: false }] : [])
+        ]
+      });
+    }
+
+    return { wallets: results, staleTrades, errors, skipped: null };
+  }
+
+  /**
+   * Get the latest reconciliation of a wallet with its unconfirmed and mismatched trades
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @returns {Promise<Object>} - {wallet, walletId, checkedAt, tokens, flagged, unconfirmed, mismatches}
+   */
+  async getReport(wallet = null) {
+    const databaseService = this.getDatabaseService();
+    const context = this.getTradingService().getWalletContext(wallet);
+
+    const [tokens, unconfirmed, mismatches] = await Promise.all([
+      databaseService.getLatestBalanceReconciliation(context.id),
+      databaseService.getUnconfirmedTrades({ walletId: context.id }),
+      databaseService.getFillMismatches(this.mismatchThreshold, { limit: 20 })
+    ]);
+
+    return {
+      wallet: context.name,
+      walletId: context.id,
+      checkedAt: tokens.length > 0 ? tokens[0].checked_at : null,
+      tokens,
+      flagged: tokens.filter(row => row.flagged),
+      unconfirmed: unconfirmed.map(trade => ({ ...trade, watching: this.watching.has(trade.id) })),
+      mismatches: mismatches.filter(trade => trade.wallet_id === context.id)
+    };
+  }
+}
+
+module.exports = SettlementService;
@@ -1,7 +1,11 @@
 const BaseService = require('./BaseService');
 const { GSwap, PrivateKeySigner } = require('@gala-chain/gswap-sdk');
-const { detectGoldenCross, detectRSISignal, calculateRSI, analyzeDCAStrategy } = require('../utils/indicators');
-const { calculatePnLPercentage, shouldBuyback, calculateExpectedBuyback, calculateFinalPnL, formatPnL } = require('../utils/pnl');
+const PaperExchange = require('./PaperExchange');
+const { registry: strategyRegistry } = require('../strategies');
+const { readKeystoreFile, toChecksumAddress, isSameAddress } = require('../utils/keystore');
+const { FEE_TIERS, convertFeeToGala } = require('../utils/poolMath');
+const { resolveGuardLimits, checkQuoteGuards, isQuoteStale } = require('../utils/priceGuards');
+const { calculatePnLPercentage, evaluateExitRules, parseTakeProfitLadder, calculateCostBasis, calculateFinalPnL, formatPnL } = require('../utils/pnl');
 
 /**
  * Trading Service - Handles trade execution and strategy implementation
@@ -11,14 +15,24 @@ class TradingService extends BaseService {
   constructor() {
     super('TradingService');
     this.gSwap = null;
+    this.exchangeMode = 'live'; // 'live' (GSwap) or 'paper' (local simulator)
     this.isDryRun = true; // Default to dry run for safety
     this.defaultSlippage = 0.05; // 5% default slippage
     this.minTradeAmount = 1; // Minimum GALA amount to trade
     this.maxTradeAmount = 100; // Maximum GALA amount to trade
     this.lastTradeTime = null;
     this.minTimeBetweenTrades = 60 * 60 * 1000; // 1 hour minimum between trades
+    this.maxPriceImpact = 0.02; // Reject quotes moving the pool more than 2%
+    this.maxOracleDeviation = 0.05; // Reject quotes more than 5% off the oracle price
+    this.quoteMaxAgeMs = 10000; // Re-quote before submitting an older quote
     this.databaseService = null;
-    this.walletAddress = null;
+    this.walletAddress = null; // Main wallet (WALLET_ADDRESS), signed by PRIVATE_KEY / KEYSTORE_PATH
+    this.wallets = new Map(); // Active wallet id -> {id, name, address, strategies, gSwap, lastTradeTime}
+    this.defaultWalletId = 1; // Wallet used when a trade names none and no wallet runs its strategy
+    this.positionExitRules = {}; // Default trailing stop / ladder / holding period for new positions
+    this.positionScaleIn = false; // Add to an existing open position instead of opening a new one
+    this.assetPageSize = 20; // Tokens per getUserAssets page
+    this.assetMaxPages = 50; // Safety cap when paging through a wallet's tokens
   }
 
   /**
@@ -51,25 +65,293 @@ class TradingService extends BaseService {
   }
 
   /**
-   * Get GALA balance from wallet
-   * @returns {Promise<Object>} GALA balance information
+   * Create a paper exchange account for a wallet, funded with PAPER_INITIAL_BALANCES on first use
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<PaperExchange>}
    */
-  async getGalaBalance() {
-    try {
-      if (!this.gSwap) {
-        throw new Error('GSwap client not initialized');
+  async createPaperExchange(walletAddress) {
+    const paperExchange = new PaperExchange({
+      walletAddress,
+      poolLiquidityUsd: this.config.get('PAPER_POOL_LIQUIDITY_USD'),
+      priceResolver: (token) => this.getPaperPrice(token),
+      logger: this.logger
+    });
+    await paperExchange.init(PaperExchange.parseBalances(this.config.get('PAPER_INITIAL_BALANCES')));
+    return paperExchange;
+  }
+
+  /**
+   * Load the active wallets and their signers
+   * Contexts of wallets whose address and keystore did not change are kept, so keys are not unlocked again
+   * @returns {Promise<Array>} - Loaded wallet contexts
+   */
+  async loadWallets() {
+    const rows = await this.getDatabaseService().getWallets(true);
+    const wallets = new Map();
+
+    for (const wallet of rows) {
+      const current = this.wallets.get(wallet.id);
+      try {
+        const context = current && current.address === (wallet.address || this.walletAddress) && current.keystorePath === wallet.keystore_path
+          ? current
+          : await this.createWalletContext(wallet);
+        wallets.set(wallet.id, Object.assign(context, { name: wallet.name, strategies: wallet.strategies }));
+      } catch (error) {
+        // Trades for the wallet fail until it is fixed; the other wallets keep trading
+        this.logger.error(`Failed to load wallet ${wallet.name}:`, error.message);
+      }
+    }
+
+    this.wallets = wallets;
+    this.defaultWalletId = (rows.find(wallet => wallet.is_default) || rows[0] || { id: 1 }).id;
+    if (rows.length > 1) {
+      this.logger.info(`Wallets loaded: ${[...wallets.values()].map(wallet => wallet.name).join(', ')} (default ${this.getWalletContext().name})`);
+    }
+
+    return [...wallets.values()];
+  }
+
+  /**
+   * Create the signer context of a wallet
+   * The main wallet (no address or keystore of its own) uses the client created in onInit
+   * @param {Object} wallet - Wallet record
+   * @returns {Promise<Object>} - {id, name, address, keystorePath, strategies, gSwap, lastTradeTime}
+   */
+  async createWalletContext(wallet) {
+    const address = wallet.address || this.walletAddress;
+    const context = {
+      id: wallet.id,
+      name: wallet.name,
+      address,
+      keystorePath: wallet.keystore_path,
+      strategies: wallet.strategies,
+      gSwap: null,
+      lastTradeTime: null
+    };
+
+    if (address === this.walletAddress && !wallet.keystore_path) {
+      context.gSwap = this.gSwap;
+    } else if (this.isPaperTrading()) {
+      // Paper swaps are not signed, each wallet only needs its own simulated balances
+      context.gSwap = await this.createPaperExchange(address);
+    } else if (wallet.keystore_path) {
+      const privateKey = await this.config.unlockWalletKey(wallet.keystore_path, address, null, `wallet ${wallet.name} address`);
+      context.gSwap = new GSwap({ signer: new PrivateKeySigner(privateKey) });
+    } else {
+      throw new Error(`Wallet ${wallet.name} (${address}) needs a keystore_path to sign live trades`);
+    }
+
+    return context;
+  }
+
+  /**
+   * Resolve a wallet by id or name
+   * @param {number|string} wallet - Wallet id or name, empty for the default wallet
+   * @returns {Object} - Wallet context
+   * @throws {Error} If the wallet is unknown, inactive or failed to load
+   */
+  getWalletContext(wallet = null) {
+    if (wallet === null || wallet === undefined || wallet === '') {
+      // Before loadWallets() (scripts, unit tests) the main wallet is the only one
+      return this.wallets.get(this.defaultWalletId) || {
+        id: 1,
+        name: 'main',
+        address: this.walletAddress,
+        strategies: [],
+        gSwap: this.gSwap,
+        lastTradeTime: this.lastTradeTime
+      };
+    }
+
+    const context = [...this.wallets.values()].find(candidate => String(candidate.id) === String(wallet) || candidate.name === wallet);
+    if (!context) {
+      throw new Error(`Unknown or inactive wallet: ${wallet}`);
+    }
+    return context;
+  }
+
+  /**
+   * Get the wallet that trades a strategy: the first active wallet listing it, else the default wallet
+   * @param {string} strategyName - Registered strategy name (e.g. 'dca', 'golden_cross')
+   * @returns {Object} - Wallet context
+   */
+  getWalletForStrategy(strategyName) {
+    const routed = [...this.wallets.values()].find(wallet => (wallet.strategies || []).includes(strategyName));
+    return routed || this.getWalletContext();
+  }
+
+  /**
+   * Validate wallet settings from the API or CLI
+   * @param {Object} data - {name, address, keystore_path, strategies, max_open_positions, max_token_exposure, daily_loss_limit, is_active, is_default}
+   * @param {Object} existing - Wallet being updated (optional)
+   * @returns {Object} - Normalized settings
+   */
+  normalizeWalletSettings(data, existing = null) {
+    const settings = {};
+
+    if (!existing) {
+      if (!/^[\w.-]{2,32}$/.test(data.name || '')) {
+        throw new Error('Wallet name must be 2-32 letters, digits or . _ -');
       }
+      settings.name = data.name;
+    }
+
+    if (data.keystore_path !== undefined) {
+      settings.keystore_path = data.keystore_path || null;
+    }
+    if (data.address !== undefined) {
+      settings.address = data.address || null;
+    }
 
-      if (!this.walletAddress) {
-        throw new Error('Wallet address not configured');
+    const keystorePath = settings.keystore_path !== undefined ? settings.keystore_path : existing?.keystore_path;
+    if (keystorePath) {
+      const keystoreAddress = `eth|${toChecksumAddress(readKeystoreFile(keystorePath).address)}`;
+      const address = settings.address !== undefined ? settings.address : existing?.address;
+      if (address && !isSameAddress(address, keystoreAddress)) {
+        throw new Error(`Keystore ${keystorePath} holds ${keystoreAddress}, not ${address}`);
       }
+      settings.address = keystoreAddress;
+    }
 
-      // Get wallet assets
-      const assets = await this.gSwap.assets.getUserAssets(
-        this.walletAddress,
-        1, // page number
-        20 // limit - get more tokens to ensure we find GALA
-      );
+    if (settings.address && !settings.address.startsWith('eth|')) {
+      throw new Error('Wallet address must be in format: eth|123...abc');
+    }
+    if (!existing && !settings.address) {
+      throw new Error('A new wallet needs an address or a keystore_path');
+    }
+
+    if (data.strategies !== undefined) {
+      const strategies = Array.isArray(data.strategies)
+        ? data.strategies
+        : String(data.strategies || '').split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = strategies.filter(name => !strategyRegistry.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown strategy: ${unknown.join(', ')} (available: ${strategyRegistry.names().join(', ')})`);
+      }
+      settings.strategies = strategies;
+    }
+
+    for (const key of ['max_open_positions', 'max_token_exposure', 'daily_loss_limit']) {
+      if (data[key] === undefined) continue;
+      if (data[key] === null || data[key] === '') {
+        settings[key] = null;
+        continue;
+      }
+      const value = key === 'max_open_positions' ? parseInt(data[key]) : parseFloat(data[key]);
+      if (isNaN(value) || value < 0 || (key === 'max_token_exposure' && value > 1)) {
+        throw new Error(`Invalid ${key}: ${data[key]}`);
+      }
+      settings[key] = value;
+    }
+
+    for (const key of ['is_active', 'is_default']) {
+      if (data[key] !== undefined) {
+        settings[key] = data[key] === true || data[key] === 'true';
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Add a wallet and load its signer
+   * @param {Object} data - Wallet settings, see normalizeWalletSettings()
+   * @returns {Promise<Object>} - Created wallet
+   */
+  async createWallet(data) {
+    const databaseService = this.getDatabaseService();
+    const settings = this.normalizeWalletSettings(data);
+
+    if (await databaseService.getWallet(settings.name)) {
+      throw new Error(`Wallet already exists: ${settings.name}`);
+    }
+
+    const wallet = await databaseService.createWallet(settings);
+    await this.loadWallets();
+    this.logger.info(`👛 Added wallet ${wallet.name} (${wallet.address})`);
+    return wallet;
+  }
+
+  /**
+   * Change a wallet's signer, strategies, risk limits or flags
+   * @param {number|string} idOrName - Wallet id or name
+   * @param {Object} updates - Wallet settings, see normalizeWalletSettings()
+   * @returns {Promise<Object>} - Updated wallet
+   */
+  async updateWallet(idOrName, updates) {
+    const databaseService = this.getDatabaseService();
+    const wallet = await databaseService.getWallet(idOrName);
+    if (!wallet) {
+      throw new Error(`Unknown wallet: ${idOrName}`);
+    }
+
+    const settings = this.normalizeWalletSettings(updates, wallet);
+    if (settings.is_active === false) {
+      if (wallet.is_default || settings.is_default) {
+        throw new Error('The default wallet cannot be deactivated');
+      }
+      const openPositions = await databaseService.getOpenPositions(null, wallet.id);
+      if (openPositions.length > 0) {
+        throw new Error(`Wallet ${wallet.name} still has ${openPositions.length} open position(s)`);
+      }
+    }
+
+    const updated = await databaseService.updateWallet(wallet.id, settings);
+    await this.loadWallets();
+    return updated;
+  }
+
+  /**
+   * Get every token a wallet holds, paging through getUserAssets
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @returns {Promise<Object>} - {wallet, walletId, address, tokens, count}
+   */
+  async getWalletAssets(wallet = null) {
+    const context = this.getWalletContext(wallet);
+
+    if (!context.gSwap) {
+      throw new Error('GSwap client not initialized');
+    }
+
+    if (!context.address) {
+      throw new Error('Wallet address not configured');
+    }
+
+    const tokens = [];
+    let count = 0;
+
+    for (let page = 1; page <= this.assetMaxPages; page++) {
+      const assets = await context.gSwap.assets.getUserAssets(context.address, page, this.assetPageSize);
+      const pageTokens = (assets && assets.tokens) || [];
+
+      tokens.push(...pageTokens);
+      count = (assets && assets.count) || tokens.length;
+
+      if (pageTokens.length < this.assetPageSize || tokens.length >= count) {
+        break;
+      }
+      if (page === this.assetMaxPages) {
+        this.logger.warn(`Wallet ${context.name} holds more than ${tokens.length} tokens, only the first ${this.assetMaxPages} pages were read`);
+      }
+    }
+
+    return {
+      wallet: context.name,
+      walletId: context.id,
+      address: context.address,
+      tokens,
+      count
+    };
+  }
+
+  /**
+   * Get GALA balance from wallet
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
+   * @returns {Promise<Object>} GALA balance information
+   */
+  async getGalaBalance(wallet = null) {
+    try {
+      const assets = await this.getWalletAssets(wallet);
 
       // Find GALA token
       const galaToken = assets.tokens.find(token => 
@@ -87,10 +369,11 @@ class TradingService extends BaseService {
 
       const balance = parseFloat(galaToken.quantity) || 0;
 
-      this.logger.info(`GALA Balance: ${balance} GALA`);
+      this.logger.info(`GALA Balance (${assets.wallet}): ${balance} GALA`);
       
       return {
         success: true,
+        wallet: assets.wallet,
         balance: balance,
         hasGala: balance > 0,
         token: galaToken,
@@ -111,11 +394,12 @@ class TradingService extends BaseService {
   /**
    * Check if wallet has sufficient GALA for trading
    * @param {number} requiredAmount - Required GALA amount
+   * @param {number|string} wallet - Wallet id or name (default wallet when omitted)
    * @returns {Promise<Object>} Balance check result
    */
-  async checkGalaBalance(requiredAmount) {
+  async checkGalaBalance(requiredAmount, wallet = null) {
     try {
-      const balanceInfo = await this.getGalaBalance();
+      const balanceInfo = await this.getGalaBalance(wallet);
       
       if (!balanceInfo.success) {
         return {
@@ -163,28 +447,55 @@ class TradingService extends BaseService {
       this.minTradeAmount = parseFloat(this.config.get('MIN_TRADE_AMOUNT', '1'));
       this.maxTradeAmount = parseFloat(this.config.get('MAX_TRADE_AMOUNT', '100'));
       this.minTimeBetweenTrades = parseInt(this.config.get('MIN_TIME_BETWEEN_TRADES_MS', '3600000'));
+      this.maxPriceImpact = parseFloat(this.config.get('MAX_PRICE_IMPACT'));
+      this.maxOracleDeviation = parseFloat(this.config.get('MAX_ORACLE_DEVIATION'));
+      this.quoteMaxAgeMs = parseInt(this.config.get('QUOTE_MAX_AGE_MS'));
       this.walletAddress = this.config.get('WALLET_ADDRESS');
+      this.exchangeMode = this.config.get('EXCHANGE_MODE') === 'paper' ? 'paper' : 'live';
+      this.positionExitRules = {
+        trailing_stop: this.config.get('POSITION_TRAILING_STOP') || null,
+        take_profit_ladder: parseTakeProfitLadder(this.config.get('POSITION_TAKE_PROFIT_LADDER')),
+        max_holding_hours: this.config.get('POSITION_MAX_HOLDING_HOURS') || null
+      };
+      this.positionScaleIn = this.config.get('POSITION_SCALE_IN') === true;
+
+      const strategyPlugins = (this.config.get('STRATEGY_PLUGINS') || '').split(',').map(p => p.trim()).filter(Boolean);
+      if (strategyPlugins.length > 0) {
+        const loaded = strategyRegistry.loadPlugins(strategyPlugins);
+        this.logger.info(`Registered strategy plugins: ${loaded.join(', ')}`);
+      }
 
       this.logger.info('Trading configuration:', {
+        exchangeMode: this.exchangeMode,
         isDryRun: this.isDryRun,
         defaultSlippage: this.defaultSlippage,
         minTradeAmount: this.minTradeAmount,
         maxTradeAmount: this.maxTradeAmount,
-        minTimeBetweenTrades: this.minTimeBetweenTrades
+        minTimeBetweenTrades: this.minTimeBetweenTrades,
+        maxPriceImpact: this.maxPriceImpact,
+        maxOracleDeviation: this.maxOracleDeviation,
+        quoteMaxAgeMs: this.quoteMaxAgeMs
       });
 
-      // Validate required environment variables
-      const privateKey = this.config.get('PRIVATE_KEY');
-      if (!privateKey) {
-        throw new Error('PRIVATE_KEY environment variable is required');
-      }
+      if (this.isPaperTrading()) {
+        // Paper exchange replaces GSwap behind the same quoting/swaps/assets surface; nothing is signed, so no key is needed
+        this.gSwap = await this.createPaperExchange(this.walletAddress);
+        this.logger.info('Paper exchange initialized - swaps are simulated locally');
+      } else {
+        // Validate required environment variables (prompts for the keystore passphrase when KEYSTORE_PATH is set)
+        const privateKey = await this.config.unlockPrivateKey();
+        if (!privateKey) {
+          throw new Error('PRIVATE_KEY environment variable is required (or KEYSTORE_PATH for an encrypted keystore)');
+        }
 
-      // Initialize GSwap connection (but don't connect event socket yet)
-      this.gSwap = new GSwap({
-        signer: new PrivateKeySigner(privateKey),
-      });
+        // Initialize GSwap connection (but don't connect event socket yet)
+        this.gSwap = new GSwap({
+          signer: new PrivateKeySigner(privateKey),
+        });
+        this.logger.info('GSwap client initialized');
+      }
 
-      this.logger.info('GSwap client initialized');
+      await this.loadWallets();
 
     } catch (error) {
       this.logger.error('Failed to initialize TradingService:', error);
@@ -192,6 +503,243 @@ class TradingService extends BaseService {
     }
   }
 
+  /**
+   * Resolve exit rules for a new open position
+   * @param {Object} overrides - Per-trade overrides {trailing_stop, take_profit_ladder, max_holding_hours}
+   * @returns {Object} - Exit rule columns for createOpenPosition
+   */
+  getPositionExitRules(overrides = {}) {
+    const rules = { ...this.positionExitRules, ...overrides };
+    const ladder = parseTakeProfitLadder(rules.take_profit_ladder);
+
+    return {
+      trailing_stop: rules.trailing_stop || null,
+      take_profit_ladder: ladder.length > 0 ? JSON.stringify(ladder) : null,
+      max_holding_hours: rules.max_holding_hours || null
+    };
+  }
+
+  /**
+   * Track the token side of a GALA -> token trade as an open position
+   * Scales into the strategy's existing position for the token when scale-in is enabled
+   * @param {Object} entry - {strategy, toToken, tradeId, executedPrice, galaAmount, tokenAmount, walletId, notePrefix}
+   * @param {Object} options - executeSwap options {scaleIn, exitRules}
+   * @returns {Promise<Object>} - {positionId, scaled}
+   */
+  async trackOpenPosition(entry, options = {}) {
+    const { strategy, toToken, tradeId, executedPrice, galaAmount, tokenAmount, walletId = 1, notePrefix = '' } = entry;
+    const databaseService = this.getDatabaseService();
+    const scaleIn = options.scaleIn !== undefined ? options.scaleIn : this.positionScaleIn;
+
+    if (scaleIn) {
+      const existing = await databaseService.findOpenPosition(strategy, toToken, walletId);
+      if (existing) {
+        await databaseService.scaleIntoPosition(existing.id, {
+          tradeId,
+          galaAmount,
+          tokenAmount,
+          notes: `${notePrefix}Position scaled in from trade ${tradeId}`
+        });
+        return { positionId: existing.id, scaled: true };
+      }
+    }
+
+    const toSymbol = this.formatTokenName(toToken);
+    const positionId = await databaseService.createOpenPosition({
+      strategy,
+      symbol: `GALA/${toSymbol}`,
+      token_symbol: toSymbol,
+      gala_symbol: toToken,
+      entry_trade_id: tradeId,
+      entry_price: executedPrice,
+      entry_amount: galaAmount,
+      token_amount: tokenAmount,
+      ...this.getPositionExitRules(options.exitRules),
+      notes: `${notePrefix}Position opened from trade ${tradeId}`,
+      wallet_id: walletId
+    });
+
+    return { positionId, scaled: false };
+  }
+
+  /**
+   * Consult the risk manager before a swap, logging rejections as CANCELLED trades
+   * @param {string} fromToken - Source token
+   * @param {string} toToken - Target token
+   * @param {number} amount - Amount of fromToken
+   * @param {Object} options - executeSwap options plus mode ('live' | 'paper' | 'dry_run') and walletId
+   * @returns {Promise<Object>} - {approved, rule, message}
+   */
+  async checkTradeRisk(fromToken, toToken, amount, options = {}) {
+    const ServiceManager = require('./ServiceManager');
+    const riskManager = ServiceManager.has('riskManager') ? ServiceManager.get('riskManager') : null;
+    if (!riskManager || !riskManager.isReady()) {
+      // Only happens outside the ServiceManager lifecycle (scripts, unit tests)
+      this.logger.warn('Risk manager not initialized, skipping risk checks');
+      return { approved: true };
+    }
+
+    const strategy = options.strategy || 'Manual';
+    const riskCheck = await riskManager.evaluateTrade({
+      fromToken,
+      toToken,
+      amount,
+      mode: options.mode,
+      strategy,
+      scaleIn: options.scaleIn !== undefined ? options.scaleIn : this.positionScaleIn,
+      walletId: options.walletId,
+      parentTradeId: options.parentTradeId
+    });
+
+    if (!riskCheck.approved) {
+      await this.logTradeExecution({
+        fromToken,
+        toToken,
+        amount,
+        expectedPrice: 0,
+        expectedOutput: '0',
+        feeTier: 'N/A',
+        status: 'CANCELLED',
+        dryRun: options.mode !== 'live',
+        strategy,
+        walletId: options.walletId,
+        notes: `Risk check failed (${riskCheck.rule}): ${riskCheck.message}`
+      });
+    }
+
+    return riskCheck;
+  }
+
+  /**
+   * Get the oracle price of a pair in output token per input token
+   * @param {string} fromToken - From token identifier
+   * @param {string} toToken - To token identifier
+   * @returns {Promise<number|null>} - Price, or null when either token is unpriced
+   */
+  async getOraclePairPrice(fromToken, toToken) {
+    try {
+      const ServiceManager = require('./ServiceManager');
+      if (!ServiceManager.has('priceOracle')) {
+        return null;
+      }
+      const priceOracle = ServiceManager.get('priceOracle');
+      const [fromPrice, toPrice] = await Promise.all([
+        priceOracle.getCurrentPrice(fromToken),
+        priceOracle.getCurrentPrice(toToken)
+      ]);
+      if (!fromPrice?.success || !toPrice?.success || !(fromPrice.price > 0) || !(toPrice.price > 0)) {
+        return null;
+      }
+      return fromPrice.price / toPrice.price;
+    } catch (error) {
+      this.logger.warn(`Could not resolve oracle price for ${this.formatTokenName(fromToken)}/${this.formatTokenName(toToken)}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the price guard limits of a swap from the monitored symbols of its tokens
+   * @param {string} fromToken - From token identifier
+   * @param {string} toToken - To token identifier
+   * @returns {Promise<Object>} - {maxPriceImpact, maxOracleDeviation}
+   */
+  async getQuoteGuardLimits(fromToken, toToken) {
+    const defaults = { maxPriceImpact: this.maxPriceImpact, maxOracleDeviation: this.maxOracleDeviation };
+    try {
+      const db = this.getDatabaseService();
+      const symbols = await Promise.all([fromToken, toToken]
+        .filter(token => this.formatTokenName(token) !== 'GALA')
+        .map(token => db.getMonitoredSymbolByToken(token)));
+      return resolveGuardLimits(symbols, defaults);
+    } catch (error) {
+      this.logger.warn('Could not load per-symbol price guards, using defaults:', error.message);
+      return defaults;
+    }
+  }
+
+  /**
+   * Quote a swap and check the quote against the price guards
+   * Rejections are recorded as CANCELLED trades
+   * @param {string} fromToken - From token identifier
+   * @param {string} toToken - To token identifier
+   * @param {number} amount - Amount to swap
+   * @param {Object} options - executeSwap options plus mode ('live' | 'paper' | 'dry_run') and walletId
+   * @returns {Promise<Object>} - {quoteResult, quotedAt, guard: {approved, rule, message, priceImpact, deviation}}
+   */
+  async getGuardedQuote(fromToken, toToken, amount, options = {}) {
+    const quoteResult = await this.getQuote(fromToken, toToken, amount);
+    if (!quoteResult.success) {
+      throw new Error(`Failed to get quote: ${quoteResult.error}`);
+    }
+    const quotedAt = Date.now();
+
+    const [limits, oraclePrice] = await Promise.all([
+      this.getQuoteGuardLimits(fromToken, toToken),
+      this.getOraclePairPrice(fromToken, toToken)
+    ]);
+    const guard = checkQuoteGuards({
+      priceImpact: quoteResult.priceImpact,
+      quotedPrice: Number(quoteResult.outputAmount) / amount,
+      oraclePrice
+    }, limits);
+
+    if (!guard.approved) {
+      this.logger.warn(`🛡️ Quote rejected (${guard.rule}): ${guard.message}`);
+      await this.logTradeExecution({
+        fromToken,
+        toToken,
+        amount,
+        expectedPrice: Number(quoteResult.outputAmount) / amount,
+        expectedOutput: quoteResult.outputAmount.toString(),
+        slippage: options.slippage,
+        feeTier: quoteResult.feeTier,
+        status: 'CANCELLED',
+        dryRun: options.mode !== 'live',
+        strategy: options.strategy || 'Manual',
+        walletId: options.walletId,
+        parentTradeId: options.parentTradeId,
+        notes: `Price guard failed (${guard.rule}): ${guard.message}`
+      });
+    }
+
+    return { quoteResult, quotedAt, guard };
+  }
+
+  /**
+   * Get the settlement service that confirms live swaps
+   * @returns {SettlementService|null} - null outside the ServiceManager lifecycle (scripts, unit tests)
+   */
+  getSettlementService() {
+    const ServiceManager = require('./ServiceManager');
+    const settlement = ServiceManager.has('settlement') ? ServiceManager.get('settlement') : null;
+    return settlement && settlement.isReady() ? settlement : null;
+  }
+
+  /**
+   * Check whether swaps are routed to the local paper exchange
+   * @returns {boolean}
+   */
+  isPaperTrading() {
+    return this.exchangeMode === 'paper';
+  }
+
+  /**
+   * Resolve a USD price for seeding paper exchange pools
+   * @param {string} token - GalaChain token identifier
+   * @returns {Promise<number|null>} - USD price, or null when unavailable
+   */
+  async getPaperPrice(token) {
+    try {
+      const ServiceManager = require('./ServiceManager');
+      const priceOracle = ServiceManager.get('priceOracle');
+      const result = await priceOracle.getCurrentPrice(token);
+      return result && result.success ? result.price : null;
+    } catch (error) {
+      this.logger.warn(`Could not resolve paper price for ${token}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Connect to GSwap event socket
    */
@@ -229,66 +777,8 @@ class TradingService extends BaseService {
    * @returns {Object} - Analysis result with signals
    */
   analyzeGoldenCrossStrategy(prices, options = {}) {
-    const {
-      shortPeriod = 50,
-      longPeriod = 200,
-      useRSI = true,
-      rsiPeriod = 14
-    } = options;
-
     try {
-      // Detect Golden Cross signal
-      const goldenCrossSignal = detectGoldenCross(prices, shortPeriod, longPeriod);
-      
-      // Calculate RSI for additional confirmation
-      let rsiSignal = null;
-      if (useRSI) {
-        const rsi = calculateRSI(prices, rsiPeriod);
-        rsiSignal = detectRSISignal(rsi);
-      }
-
-      // Combine signals for final decision
-      let finalSignal = null;
-      let confidence = 0;
-      let reasons = [];
-
-      if (goldenCrossSignal.signal === 'BUY') {
-        finalSignal = 'BUY';
-        confidence += 0.7; // Golden Cross has high weight
-        reasons.push(goldenCrossSignal.reason);
-
-        // RSI confirmation
-        if (rsiSignal && rsiSignal.signal === 'BUY') {
-          confidence += 0.3;
-          reasons.push(rsiSignal.reason);
-        } else if (rsiSignal && rsiSignal.signal === 'SELL') {
-          confidence -= 0.2; // Conflicting signal reduces confidence
-          reasons.push(`RSI conflict: ${rsiSignal.reason}`);
-        }
-      } else if (goldenCrossSignal.signal === 'SELL') {
-        finalSignal = 'SELL';
-        confidence += 0.7;
-        reasons.push(goldenCrossSignal.reason);
-
-        // RSI confirmation
-        if (rsiSignal && rsiSignal.signal === 'SELL') {
-          confidence += 0.3;
-          reasons.push(rsiSignal.reason);
-        } else if (rsiSignal && rsiSignal.signal === 'BUY') {
-          confidence -= 0.2;
-          reasons.push(`RSI conflict: ${rsiSignal.reason}`);
-        }
-      }
-
-      return {
-        signal: finalSignal,
-        confidence: Math.min(confidence, 1.0), // Cap at 1.0
-        reasons: reasons,
-        goldenCross: goldenCrossSignal,
-        rsi: rsiSignal,
-        timestamp: new Date().toISOString()
-      };
-
+      return strategyRegistry.get('golden_cross').analyzePrices(prices, options);
     } catch (error) {
       this.logger.error('Error analyzing Golden Cross strategy:', error);
       return {
@@ -309,50 +799,23 @@ class TradingService extends BaseService {
    * @returns {Object} - Analysis result with signals
    */
   analyzeDCAStrategy(currentPrice, recentPrices = [], options = {}) {
-    const {
-      interval = 'daily', // 'daily', 'weekly', 'monthly'
-      amount = 10, // DCA amount in USD
-      priceThreshold = null, // Buy only if price is below this threshold
-      maxVolatility = 0.1, // Max volatility threshold (10%)
-      volatilityWindow = 7,
-      lastExecutionTime = null
-    } = options;
+    const { lastExecutionTime = null, currentTime = null, ...config } = options;
 
     try {
-      const dcaAnalysis = analyzeDCAStrategy({
-        interval,
+      const analysis = strategyRegistry.get('dca').analyzePrice(currentPrice, recentPrices, config, {
         lastExecutionTime,
-        amount,
-        priceThreshold,
-        currentPrice,
-        volatilityWindow,
-        prices: recentPrices,
-        maxVolatility
+        currentTime
       });
 
       this.logger.info('DCA Analysis completed:', {
-        signal: dcaAnalysis.signal,
-        shouldExecute: dcaAnalysis.shouldExecute,
-        confidence: dcaAnalysis.confidence,
-        reasons: dcaAnalysis.reasons,
-        nextExecution: dcaAnalysis.nextExecution
+        signal: analysis.signal,
+        shouldExecute: analysis.shouldExecute,
+        confidence: analysis.confidence,
+        reasons: analysis.reasons,
+        nextExecution: analysis.nextExecution
       });
 
-      return {
-        signal: dcaAnalysis.signal,
-        confidence: dcaAnalysis.confidence,
-        reasons: dcaAnalysis.reasons,
-        shouldExecute: dcaAnalysis.shouldExecute,
-        strategy: 'DCA',
-        interval: interval,
-        amount: amount,
-        currentPrice: currentPrice,
-        priceThreshold: priceThreshold,
-        volatility: dcaAnalysis.volatility,
-        nextExecution: dcaAnalysis.nextExecution,
-        timestamp: new Date().toISOString()
-      };
-
+      return analysis;
     } catch (error) {
       this.logger.error('Error analyzing DCA strategy:', error);
       return {
@@ -366,6 +829,62 @@ class TradingService extends BaseService {
     }
   }
 
+  /**
+   * Analyze a monitored symbol with its registered strategy
+   * Uses the strategy named in strategy_config (or options.strategy) and its data requirements
+   * @param {Object} symbolData - Monitored symbol row
+   * @param {Object} options - {strategy: override the symbol's strategy, config: config overrides}
+   * @returns {Promise<Object>} - {success, strategy, config, analysis, historicalDataPoints, error}
+   */
+  async analyzeSymbol(symbolData, options = {}) {
+    const { strategy: strategyName = null, config: configOverrides = {} } = options;
+
+    try {
+      if (!symbolData.gala_symbol) {
+        throw new Error('No gala_symbol configured');
+      }
+
+      const { strategy, config } = strategyRegistry.resolve(symbolData, {
+        name: strategyName,
+        defaults: { amount: symbolData.min_trade_amount || this.minTradeAmount },
+        overrides: configOverrides
+      });
+      const requirements = strategy.getDataRequirements(config);
+
+      const priceOracleService = require('./ServiceManager').get('priceOracle');
+      if (!priceOracleService) {
+        throw new Error('PriceOracleService not available');
+      }
+
+      const historicalData = await priceOracleService.getStrategyData(symbolData.gala_symbol, requirements);
+      if (!historicalData.success) {
+        throw new Error(`Failed to fetch ${strategy.name} data: ${historicalData.error}`);
+      }
+
+      const context = await strategy.prepareContext(symbolData, {
+        databaseService: this.getDatabaseService(),
+        tradeStrategy: `MonitorStrategy_${strategy.name.toUpperCase()}`,
+        dryRun: this.isDryRun
+      });
+      const analysis = strategy.evaluate(historicalData.data, config, context);
+
+      return {
+        success: true,
+        strategy: strategy.name,
+        config,
+        analysis,
+        historicalDataPoints: historicalData.count
+      };
+    } catch (error) {
+      this.logger.error(`Error analyzing ${symbolData.symbol}:`, error);
+      return {
+        success: false,
+        strategy: strategyName,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get quote for exact input swap
    * @param {string} fromToken - From token identifier
@@ -404,7 +923,8 @@ class TradingService extends BaseService {
         inputAmount: amount,
         outputAmount: quote.outTokenAmount,
         feeTier: quote.feeTier,
-        priceImpact: quote.priceImpact
+        priceImpact: quote.priceImpact,
+        fee: await this.getSwapFee(fromToken, toToken, amount, quote.feeTier, quote.outTokenAmount)
       };
 
     } catch (error) {
@@ -417,6 +937,90 @@ class TradingService extends BaseService {
     }
   }
 
+  /**
+   * Quote a swap on every fee tier, best output first
+   * @param {string} fromToken - From token identifier
+   * @param {string} toToken - To token identifier
+   * @param {number} amount - Amount to swap
+   * @returns {Promise<Object>} - {success, tiers: [{feeTier, outputAmount, priceImpact, fee, outputVsBest}], unavailable: [{feeTier, error}]}
+   */
+  async compareFeeTiers(fromToken, toToken, amount) {
+    if (!this.gSwap) {
+      throw new Error('GSwap not initialized');
+    }
+    if (fromToken === toToken) {
+      throw new Error(`Cannot create pool of same tokens. fromToken and toToken must be different (both are: ${fromToken})`);
+    }
+
+    const tiers = [];
+    const unavailable = [];
+    for (const feeTier of Object.keys(FEE_TIERS).map(Number)) {
+      try {
+        const quote = await this.gSwap.quoting.quoteExactInput(fromToken, toToken, amount, feeTier);
+        tiers.push({
+          feeTier,
+          outputAmount: quote.outTokenAmount.toNumber(),
+          priceImpact: Number(quote.priceImpact),
+          fee: await this.getSwapFee(fromToken, toToken, amount, feeTier, quote.outTokenAmount)
+        });
+      } catch (error) {
+        unavailable.push({ feeTier, error: error.message });
+      }
+    }
+
+    tiers.sort((a, b) => b.outputAmount - a.outputAmount);
+    tiers.forEach(tier => {
+      tier.outputVsBest = tiers[0].outputAmount > 0 ? tier.outputAmount / tiers[0].outputAmount - 1 : 0;
+    });
+
+    return { success: tiers.length > 0, tiers, unavailable };
+  }
+
+  /**
+   * Fee a swap pays to its pool, taken from the input token
+   * @param {string} fromToken - From token identifier
+   * @param {string} toToken - To token identifier
+   * @param {number} amount - Amount of fromToken
+   * @param {number|string} feeTier - Pool fee tier
+   * @param {BigNumber|number} outputAmount - Quoted output
+   * @returns {Promise<Object|null>} - {feeTier, rate, amount, token, gala (null when it cannot be priced)}, null for unknown tiers
+   */
+  async getSwapFee(fromToken, toToken, amount, feeTier, outputAmount) {
+    const rate = FEE_TIERS[Number(feeTier)];
+    if (rate === undefined) {
+      return null;
+    }
+
+    const fromSymbol = this.formatTokenName(fromToken);
+    const toSymbol = this.formatTokenName(toToken);
+    const fee = Number(amount) * rate;
+
+    // Pairs without GALA need USD prices
+    let fromUsd = null;
+    let galaUsd = null;
+    if (fromSymbol !== 'GALA' && toSymbol !== 'GALA') {
+      try {
+        const priceOracle = require('./ServiceManager').get('priceOracle');
+        const [fromPrice, galaPrice] = await Promise.all([
+          priceOracle.getCurrentPrice(fromToken),
+          priceOracle.getCurrentPrice('GALA|Unit|none|none')
+        ]);
+        fromUsd = fromPrice?.success ? fromPrice.price : null;
+        galaUsd = galaPrice?.success ? galaPrice.price : null;
+      } catch (error) {
+        this.logger.debug(`Could not price the ${fromSymbol} swap fee in GALA:`, error.message);
+      }
+    }
+
+    return {
+      feeTier: Number(feeTier),
+      rate,
+      amount: fee,
+      token: fromSymbol,
+      gala: convertFeeToGala({ fromSymbol, toSymbol, amountIn: Number(amount), amountOut: Number(outputAmount), fee, fromUsd, galaUsd })
+    };
+  }
+
   /**
    * Get quote for a monitored symbol (GALA to GUSDC by default)
    * @param {string} symbol - Symbol identifier (e.g., 'GALA')
@@ -475,7 +1079,13 @@ class TradingService extends BaseService {
    * @param {string} fromToken - From token identifier
    * @param {string} toToken - To token identifier
    * @param {number} amount - Amount to swap
-   * @param {Object} options - Trade options
+   * @param {Object} options - Trade options (wallet: id or name, default wallet when omitted;
+   *   parentTradeId: parent trade when the swap is a slice of an execution algorithm order or a route leg;
+   *   routeLeg: a later leg of a route, spending an intermediate token the trade amount limits do not apply to;
+   *   positionExit: a position exit selling its tokens back to GALA, which the GALA trade amount limits do not apply to;
+   *   trackPosition: false to leave position tracking to the caller;
+   *   watchConfirmation: false to return an unconfirmed swap as pendingSubmission for the caller to watch;
+   *   bypassCooldown: skip MIN_TIME_BETWEEN_TRADES_MS, for fills that cannot wait such as triggered orders)
    * @returns {Object} - Trade execution result
    */
   async executeSwap(fromToken, toToken, amount, options = {}) {
@@ -483,29 +1093,75 @@ class TradingService extends BaseService {
       slippage = this.defaultSlippage,
       dryRun = this.isDryRun
     } = options;
+    const paperTrading = this.isPaperTrading();
 
     let eventSocketConnected = false;
+    let wallet = null;
 
     try {
-      // Validate trade amount
-      if (amount < this.minTradeAmount || amount > this.maxTradeAmount) {
+      wallet = this.getWalletContext(options.wallet);
+
+      // Validate trade amount (GALA limits, which neither later route legs nor position exits spend)
+      if (!options.routeLeg && !options.positionExit && (amount < this.minTradeAmount || amount > this.maxTradeAmount)) {
         throw new Error(`Trade amount ${amount} outside allowed range [${this.minTradeAmount}, ${this.maxTradeAmount}]`);
       }
 
-      // Check minimum time between trades
-      if (this.lastTradeTime && Date.now() - this.lastTradeTime < this.minTimeBetweenTrades) {
-        const timeLeft = Math.ceil((this.minTimeBetweenTrades - (Date.now() - this.lastTradeTime)) / 60000);
-        throw new Error(`Must wait ${timeLeft} minutes before next trade`);
+      // Check minimum time between trades (per wallet); slices of one order are paced by the order itself
+      // A swap inside the cooldown is rejected rather than failed: it can go through on a later attempt
+      if (!options.parentTradeId && !options.bypassCooldown && wallet.lastTradeTime && Date.now() - wallet.lastTradeTime < this.minTimeBetweenTrades) {
+        const timeLeft = Math.ceil((this.minTimeBetweenTrades - (Date.now() - wallet.lastTradeTime)) / 60000);
+        return {
+          success: false,
+          rejected: true,
+          rule: 'cooldown',
+          error: `Must wait ${timeLeft} minutes before next trade`,
+          wallet: wallet.name,
+          dryRun,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // Portfolio-level risk checks; rejections are recorded as CANCELLED trades
+      const riskCheck = await this.checkTradeRisk(fromToken, toToken, amount, {
+        ...options,
+        walletId: wallet.id,
+        mode: paperTrading ? 'paper' : (dryRun ? 'dry_run' : 'live')
+      });
+      if (!riskCheck.approved) {
+        return {
+          success: false,
+          rejected: true,
+          rule: riskCheck.rule,
+          error: `Risk check failed (${riskCheck.rule}): ${riskCheck.message}`,
+          wallet: wallet.name,
+          dryRun,
+          timestamp: new Date().toISOString()
+        };
       }
 
-      // Get quote first
-      const quoteResult = await this.getQuote(fromToken, toToken, amount);
-      if (!quoteResult.success) {
-        throw new Error(`Failed to get quote: ${quoteResult.error}`);
+      // Get quote first; quotes with too much price impact or too far off the oracle are cancelled
+      const guardOptions = {
+        ...options,
+        slippage,
+        walletId: wallet.id,
+        mode: paperTrading ? 'paper' : (dryRun ? 'dry_run' : 'live')
+      };
+      const guardRejection = (guard) => ({
+        success: false,
+        rejected: true,
+        rule: guard.rule,
+        error: `Price guard failed (${guard.rule}): ${guard.message}`,
+        wallet: wallet.name,
+        dryRun,
+        timestamp: new Date().toISOString()
+      });
+      let { quoteResult, quotedAt, guard } = await this.getGuardedQuote(fromToken, toToken, amount, guardOptions);
+      if (!guard.approved) {
+        return guardRejection(guard);
       }
 
-      const quote = quoteResult.quote;
-      const minimumOutput = quote.outTokenAmount.multipliedBy(1 - slippage);
+      let quote = quoteResult.quote;
+      let minimumOutput = quote.outTokenAmount.multipliedBy(1 - slippage);
 
       this.logger.info('Executing swap:', {
         fromToken,
@@ -515,10 +1171,14 @@ class TradingService extends BaseService {
         minimumOutput: minimumOutput.toString(),
         slippage: slippage * 100 + '%',
         feeTier: quote.feeTier,
-        dryRun
+        fee: quoteResult.fee ? `${quoteResult.fee.amount} ${quoteResult.fee.token}` : null,
+        wallet: wallet.name,
+        dryRun,
+        paperTrading
       });
 
-      if (dryRun) {
+      // Paper trading always settles against the simulator so balances are tracked
+      if (dryRun && !paperTrading) {
         this.logger.info('DRY RUN: Trade would be executed with above parameters');
         // Log dry run trade
         const executedPrice = quote.outTokenAmount.dividedBy(amount).toNumber();
@@ -530,9 +1190,12 @@ class TradingService extends BaseService {
           expectedOutput: quote.outTokenAmount.toString(),
           slippage,
           feeTier: quote.feeTier,
+          fee: quoteResult.fee?.gala || 0,
           status: 'COMPLETED',
           dryRun: true,
           strategy: options.strategy || 'Manual',
+          walletId: wallet.id,
+          parentTradeId: options.parentTradeId,
           notes: 'Dry run execution - no actual swap performed'
         });
 
@@ -540,22 +1203,20 @@ class TradingService extends BaseService {
         const fromSymbol = this.formatTokenName(fromToken);
         const toSymbol = this.formatTokenName(toToken);
         
-        if (fromSymbol === 'GALA' && tradeId) {
+        if (fromSymbol === 'GALA' && tradeId && options.trackPosition !== false) {
           try {
-            const databaseService = this.getDatabaseService();
-            const positionId = await databaseService.createOpenPosition({
+            const { positionId, scaled } = await this.trackOpenPosition({
               strategy: options.strategy || 'Manual',
-              symbol: `GALA/${toSymbol}`,
-              token_symbol: toSymbol,
-              gala_symbol: toToken,
-              entry_trade_id: tradeId,
-              entry_price: executedPrice,
-              entry_amount: amount,
-              token_amount: parseFloat(quote.outTokenAmount.toString()),
-              notes: `DRY RUN: Position opened from trade ${tradeId}`
-            });
+              toToken,
+              tradeId,
+              executedPrice,
+              galaAmount: amount,
+              tokenAmount: parseFloat(quote.outTokenAmount.toString()),
+              walletId: wallet.id,
+              notePrefix: 'DRY RUN: '
+            }, options);
             
-            this.logger.info(`📊 DRY RUN: Open position created: ${positionId} for ${amount} GALA -> ${quote.outTokenAmount} ${toSymbol}`);
+            this.logger.info(`📊 DRY RUN: Open position ${scaled ? 'scaled in' : 'created'}: ${positionId} for ${amount} GALA -> ${quote.outTokenAmount} ${toSymbol}`);
           } catch (positionError) {
             this.logger.error('Error creating dry run open position:', positionError);
             // Don't fail the trade if position tracking fails
@@ -568,16 +1229,36 @@ class TradingService extends BaseService {
           quote: quoteResult,
           expectedOutput: quote.outTokenAmount.toString(),
           minimumOutput: minimumOutput.toString(),
+          tradeId,
+          wallet: wallet.name,
+          walletId: wallet.id,
           message: 'Dry run completed successfully'
         };
       }
 
       // Execute actual swap
       try {
-        await this.connectEventSocket();
-        eventSocketConnected = true;
+        // Live swaps are confirmed by the settlement service; the balance before lets it poll for the fill
+        const settlement = paperTrading ? null : this.getSettlementService();
+        let balanceBefore = null;
+        if (!paperTrading) {
+          await this.connectEventSocket();
+          eventSocketConnected = true;
+          balanceBefore = settlement ? await settlement.getTokenBalance(wallet.id, toToken) : null;
+        }
+
+        // Never submit a stale quote: re-quote and re-check the guards against the fresh price
+        if (isQuoteStale(quotedAt, this.quoteMaxAgeMs)) {
+          this.logger.info(`Quote is ${Date.now() - quotedAt}ms old, re-quoting before submission`);
+          ({ quoteResult, quotedAt, guard } = await this.getGuardedQuote(fromToken, toToken, amount, guardOptions));
+          if (!guard.approved) {
+            return guardRejection(guard);
+          }
+          quote = quoteResult.quote;
+          minimumOutput = quote.outTokenAmount.multipliedBy(1 - slippage);
+        }
         
-        const pendingTx = await this.gSwap.swaps.swap(
+        const pendingTx = await wallet.gSwap.swaps.swap(
           fromToken,
           toToken,
           quote.feeTier,
@@ -585,67 +1266,120 @@ class TradingService extends BaseService {
             exactIn: amount,
             amountOutMinimum: minimumOutput
           }
-          , this.walletAddress
+          , wallet.address
         );
 
-        this.lastTradeTime = Date.now();
+        wallet.lastTradeTime = this.lastTradeTime = Date.now();
 
-        this.logger.info('Trade executed successfully:', {
+        this.logger.info(settlement ? 'Trade submitted:' : 'Trade executed successfully:', {
           transactionId: pendingTx.transactionId,
+          wallet: wallet.name,
           fromToken,
           toToken,
           amount,
           feeTier: quote.feeTier
         });
 
-        // Log successful trade
-        const executedPrice = quote.outTokenAmount.dividedBy(amount).toNumber();
+        // Log the trade; live swaps stay PENDING until their transaction confirms
+        const expectedOutput = Number(quote.outTokenAmount.toString());
         const tradeId = await this.logTradeExecution({
           fromToken,
           toToken,
           amount,
-          expectedPrice: executedPrice,
-          expectedOutput: quote.outTokenAmount.toString(),
+          expectedPrice: quote.outTokenAmount.dividedBy(amount).toNumber(),
+          expectedOutput,
           slippage,
           feeTier: quote.feeTier,
-          status: 'COMPLETED',
-          dryRun: false,
+          fee: quoteResult.fee?.gala || 0,
+          status: settlement ? 'PENDING' : 'COMPLETED',
+          dryRun: paperTrading,
           strategy: options.strategy || 'Manual',
+          walletId: wallet.id,
+          parentTradeId: options.parentTradeId,
           txHash: pendingTx.transactionId,
-          notes: `Live trade executed successfully on ${quote.feeTier} fee tier`
+          notes: paperTrading
+            ? `Paper trade executed on ${quote.feeTier} fee tier`
+            : (settlement
+              ? `Live trade submitted on ${quote.feeTier} fee tier, awaiting confirmation`
+              : `Live trade executed successfully on ${quote.feeTier} fee tier`)
         });
 
+        const submission = {
+          tradeId,
+          walletId: wallet.id,
+          fromToken,
+          toToken,
+          amount,
+          feeTier: quote.feeTier,
+          expectedOutput,
+          pendingTx,
+          balanceBefore
+        };
+        const confirmation = settlement && tradeId ? await settlement.confirmSwap(submission) : null;
+        if (confirmation?.status === 'FAILED') {
+          return {
+            success: false,
+            error: `Transaction failed: ${confirmation.error}`,
+            transaction: pendingTx,
+            confirmation,
+            tradeId,
+            wallet: wallet.name,
+            dryRun,
+            timestamp: new Date().toISOString()
+          };
+        }
+
+        // Positions open from the confirmed fill, or from the quote until a late confirmation corrects them
+        const actualOutput = confirmation?.status === 'CONFIRMED' ? confirmation.amountOut : null;
+        const tokenAmount = actualOutput ?? expectedOutput;
+        const executedPrice = tokenAmount / amount;
+
         // If this is a SELL trade (GALA -> token), create an open position to track for buyback
         const fromSymbol = this.formatTokenName(fromToken);
         const toSymbol = this.formatTokenName(toToken);
+        let positionId = null;
         
-        if (fromSymbol === 'GALA' && tradeId) {
+        if (fromSymbol === 'GALA' && tradeId && options.trackPosition !== false) {
           try {
-            const databaseService = this.getDatabaseService();
-            const positionId = await databaseService.createOpenPosition({
+            const tracked = await this.trackOpenPosition({
               strategy: options.strategy || 'Manual',
-              symbol: `GALA/${toSymbol}`,
-              token_symbol: toSymbol,
-              gala_symbol: toToken,
-              entry_trade_id: tradeId,
-              entry_price: executedPrice,
-              entry_amount: amount,
-              token_amount: parseFloat(quote.outTokenAmount.toString()),
-              notes: `Position opened from trade ${tradeId}`
-            });
+              toToken,
+              tradeId,
+              executedPrice,
+              galaAmount: amount,
+              tokenAmount,
+              walletId: wallet.id,
+              notePrefix: paperTrading ? 'PAPER: ' : ''
+            }, options);
+            positionId = tracked.positionId;
             
-            this.logger.info(`📊 Open position created: ${positionId} for ${amount} GALA -> ${quote.outTokenAmount} ${toSymbol}`);
+            this.logger.info(`📊 Open position ${tracked.scaled ? 'scaled in' : 'created'}: ${positionId} for ${amount} GALA -> ${tokenAmount} ${toSymbol}`);
           } catch (positionError) {
             this.logger.error('Error creating open position:', positionError);
             // Don't fail the trade if position tracking fails
           }
         }
 
+        // Callers that record the swap elsewhere (position closes) start the watch once their records exist
+        const awaitingConfirmation = confirmation?.status === 'UNCONFIRMED' && balanceBefore !== null;
+        if (awaitingConfirmation && options.watchConfirmation !== false) {
+          settlement.watch(submission, { positionId });
+        }
+
         return {
           success: true,
-          dryRun: false,
+          dryRun: paperTrading,
+          paperTrading,
           transaction: pendingTx,
+          confirmation,
           quote: quoteResult,
+          expectedOutput: quote.outTokenAmount.toString(),
+          minimumOutput: minimumOutput.toString(),
+          actualOutput,
+          pendingSubmission: awaitingConfirmation && options.watchConfirmation === false ? submission : null,
+          tradeId,
+          wallet: wallet.name,
+          walletId: wallet.id,
           executedAt: new Date().toISOString()
         };
 
@@ -685,8 +1419,10 @@ class TradingService extends BaseService {
           slippage,
           feeTier: 'N/A',
           status: 'FAILED',
-          dryRun,
+          dryRun: dryRun || paperTrading,
           strategy: options.strategy || 'Manual',
+          walletId: wallet?.id,
+          parentTradeId: options.parentTradeId,
           notes: `Trade failed: ${error.message}`
         });
       } catch (logError) {
@@ -772,6 +1508,7 @@ class TradingService extends BaseService {
    */
   async executeGoldenCrossStrategy(analysis, amount, options = {}) {
     const { minimumConfidence = 0.6 } = options;
+    const tradeOptions = { ...options, wallet: options.wallet ?? this.getWalletForStrategy('golden_cross').id };
 
     try {
       if (!analysis || !analysis.signal) {
@@ -798,7 +1535,7 @@ class TradingService extends BaseService {
           'GUSDC|Unit|none|none',
           'GALA|Unit|none|none',
           amount,
-          options
+          tradeOptions
         );
       } else if (analysis.signal === 'SELL') {
         // Sell GALA for GUSDC
@@ -806,7 +1543,7 @@ class TradingService extends BaseService {
           'GALA|Unit|none|none',
           'GUSDC|Unit|none|none',
           amount,
-          options
+          tradeOptions
         );
       }
 
@@ -838,9 +1575,8 @@ class TradingService extends BaseService {
    */
   async executeDCAStrategy(analysis, options = {}) {
     const { 
-      targetSymbol = 'GALA', 
       minimumConfidence = 0.5,
-      recordExecution = true // Whether to record execution time in database
+      recordExecution = true // Whether to record the execution as a DCA trade (it dates the next one)
     } = options;
 
     try {
@@ -869,42 +1605,19 @@ class TradingService extends BaseService {
         };
       }
 
-      // DCA is always buying the target symbol with GUSDC
+      // DCA is always buying GALA with GUSDC; the swap's own trade row records the execution
       const tradeResult = await this.executeSwap(
         'GUSDC|Unit|none|none', // From GUSDC
         'GALA|Unit|none|none',  // To GALA
         analysis.amount,
         {
           ...options,
+          strategy: recordExecution ? 'DCA' : (options.strategy || 'Manual'),
+          wallet: options.wallet ?? this.getWalletForStrategy('dca').id,
           slippage: options.slippage || this.defaultSlippage
         }
       );
 
-      // Record execution time if successful and not dry run
-      if (tradeResult.success && !tradeResult.dryRun && recordExecution) {
-        try {
-          const databaseService = this.getDatabaseService();
-          await databaseService.logTrade({
-            strategy: 'DCA',
-            symbol: targetSymbol,
-            side: 'BUY',
-            amount: analysis.amount,
-            price: analysis.currentPrice,
-            total_value: analysis.amount * analysis.currentPrice,
-            slippage: options.slippage || this.defaultSlippage,
-            status: 'COMPLETED',
-            tx_hash: tradeResult.transaction?.transactionId || null,
-            dry_run: false,
-            executed_at: new Date().toISOString(),
-            notes: `DCA ${analysis.interval} - ${analysis.reasons.join(', ')}`
-          });
-
-          this.logger.info('DCA execution recorded in database');
-        } catch (dbError) {
-          this.logger.warn('Failed to record DCA execution in database:', dbError);
-        }
-      }
-
       return {
         success: tradeResult?.success || false,
         strategy: 'DCA',
@@ -934,13 +1647,16 @@ class TradingService extends BaseService {
 
   /**
    * Get the last DCA execution time for a symbol
-   * @param {string} symbol - Symbol to check (default: 'GALA')
+   * Earlier versions dated GALA/GUSDC executions with a separate 'GALA' marker row, which still counts.
+   * A live bot is dated by live executions only
+   * @param {string} symbol - Symbol to check (default: 'GALA/GUSDC', the pair executeDCAStrategy trades)
    * @returns {Promise<string|null>} - Last execution timestamp or null
    */
-  async getLastDCAExecution(symbol = 'GALA') {
+  async getLastDCAExecution(symbol = 'GALA/GUSDC') {
     try {
       const databaseService = this.getDatabaseService();
-      return await databaseService.getLastTradeExecution('DCA', symbol);
+      const symbols = symbol === 'GALA/GUSDC' ? [symbol, 'GALA'] : symbol;
+      return await databaseService.getLastTradeExecution('DCA', symbols, { dryRun: this.isDryRun });
     } catch (error) {
       this.logger.error(`Error getting last DCA execution for ${symbol}:`, error);
       return null;
@@ -955,7 +1671,7 @@ class TradingService extends BaseService {
    * @returns {Promise<Object>} - Complete DCA data
    */
   async getDCAStrategyData(currentPrice, recentPrices = [], options = {}) {
-    const { symbol = 'GALA' } = options;
+    const { symbol = 'GALA/GUSDC' } = options;
 
     try {
       // Get last execution time
@@ -1005,6 +1721,7 @@ class TradingService extends BaseService {
       serviceName: this.serviceName,
       isInitialized: this.isInitialized,
       isDryRun: this.isDryRun,
+      exchangeMode: this.exchangeMode,
       configuration: {
         defaultSlippage: this.defaultSlippage,
         minTradeAmount: this.minTradeAmount,
@@ -1012,7 +1729,16 @@ class TradingService extends BaseService {
         minTimeBetweenTrades: this.minTimeBetweenTrades
       },
       lastTradeTime: this.lastTradeTime,
-      canTrade: !this.lastTradeTime || Date.now() - this.lastTradeTime >= this.minTimeBetweenTrades
+      canTrade: !this.lastTradeTime || Date.now() - this.lastTradeTime >= this.minTimeBetweenTrades,
+      defaultWallet: this.getWalletContext().name,
+      wallets: [...this.wallets.values()].map(wallet => ({
+        id: wallet.id,
+        name: wallet.name,
+        address: wallet.address,
+        strategies: wallet.strategies,
+        lastTradeTime: wallet.lastTradeTime,
+        canTrade: !wallet.lastTradeTime || Date.now() - wallet.lastTradeTime >= this.minTimeBetweenTrades
+      }))
     };
   }
 
@@ -1029,7 +1755,9 @@ class TradingService extends BaseService {
       dryRun = this.isDryRun,
       slippage = this.defaultSlippage,
       sendNotification = true,
-      strategy = 'Manual'
+      strategy = 'Manual',
+      wallet = null,
+      bypassCooldown = false
     } = options;
 
     const swapResult = {
@@ -1038,6 +1766,7 @@ class TradingService extends BaseService {
       fromToken,
       toToken,
       requestedAmount: amount,
+      wallet,
       dryRun
     };
 
@@ -1050,7 +1779,7 @@ class TradingService extends BaseService {
       let balanceCheck;
       if (isStartingWithGala) {
         // Starting with GALA - check we have enough
-        balanceCheck = await this.checkGalaBalance(amount);
+        balanceCheck = await this.checkGalaBalance(amount, wallet);
         if (!balanceCheck.success || !balanceCheck.hasEnough) {
           swapResult.error = 'Insufficient GALA balance';
           swapResult.balanceCheck = balanceCheck;
@@ -1063,13 +1792,13 @@ class TradingService extends BaseService {
         }
       } else {
         // Not starting with GALA - just get current balance for context
-        balanceCheck = await this.getGalaBalance();
+        balanceCheck = await this.getGalaBalance(wallet);
       }
 
       swapResult.initialGalaBalance = balanceCheck.balance || balanceCheck.available;
 
       // Step 3: Execute the swap
-      const tradeResult = await this.executeSwap(fromToken, toToken, amount, { dryRun, slippage, strategy });
+      const tradeResult = await this.executeSwap(fromToken, toToken, amount, { dryRun, slippage, strategy, wallet, bypassCooldown });
       
       swapResult.success = tradeResult.success;
       swapResult.trade = tradeResult;
@@ -1079,7 +1808,7 @@ class TradingService extends BaseService {
       }
 
       // Step 4: Check final GALA balance
-      const finalBalanceCheck = await this.getGalaBalance();
+      const finalBalanceCheck = await this.getGalaBalance(wallet);
       swapResult.finalGalaBalance = finalBalanceCheck.balance || 0;
       swapResult.galaBalanceChange = swapResult.finalGalaBalance - swapResult.initialGalaBalance;
 
@@ -1143,7 +1872,7 @@ class TradingService extends BaseService {
           },
           {
             name: 'Mode',
-            value: swapResult.dryRun ? '🧪 DRY RUN' : '💰 LIVE',
+            value: this.isPaperTrading() ? '📝 PAPER' : (swapResult.dryRun ? '🧪 DRY RUN' : '💰 LIVE'),
             inline: true
           }
         ]
@@ -1186,12 +1915,8 @@ class TradingService extends BaseService {
         }
       }
 
-      const payload = {
-        embeds: [embed]
-      };
-
-      await notificationService.sendWebhook(payload);
-      this.logger.info('Swap notification sent to Discord');
+      await notificationService.notify('swap', embed);
+      this.logger.info('Swap notification sent');
 
     } catch (error) {
       this.logger.error('Failed to send swap notification:', error);
@@ -1219,7 +1944,8 @@ class TradingService extends BaseService {
   async executeAutomatedTrading(options = {}) {
     const {
       symbols = null, // null = all symbols, or array of specific symbols
-      strategy = 'dca', // 'dca' or 'golden_cross'
+      strategy = null, // Registered strategy name, null = each symbol's configured strategy
+      wallet = null, // Wallet id or name, null = the wallet running each strategy
       minimumConfidence = 0.7,
       sendNotifications = true
     } = options;
@@ -1234,7 +1960,7 @@ class TradingService extends BaseService {
     };
 
     try {
-      this.logger.info(`🤖 Starting automated trading - Strategy: ${strategy.toUpperCase()}`);
+      this.logger.info(`🤖 Starting automated trading - Strategy: ${strategy ? strategy.toUpperCase() : 'per symbol'}`);
 
       // Get symbols to analyze
       let symbolsToAnalyze;
@@ -1259,58 +1985,16 @@ class TradingService extends BaseService {
         try {
           this.logger.info(`🔍 Analyzing ${symbolData.symbol}...`);
 
-          // Get price oracle service for data
-          const priceOracleService = require('./ServiceManager').get('priceOracle');
-          if (!priceOracleService) {
-            throw new Error('PriceOracleService not available');
+          const analyzed = await this.analyzeSymbol(symbolData, { strategy });
+          if (!analyzed.success) {
+            throw new Error(analyzed.error);
           }
 
-          // Get historical data based on strategy
-          let historicalData;
-          let analysis;
-
-          if (strategy === 'dca') {
-            historicalData = await priceOracleService.getDCAData(symbolData.gala_symbol, {
-              lookbackDays: 365,
-              interval: 'daily'
-            });
-
-            if (!historicalData.success) {
-              throw new Error(`Failed to fetch DCA data: ${historicalData.error}`);
-            }
-
-            analysis = this.analyzeDCAStrategy(
-              historicalData.data,
-              symbolData.strategy_config?.dca || {
-                investmentAmount: 100,
-                interval: 'daily',
-                volatilityThreshold: 0.15,
-                minInvestmentPeriods: 30
-              }
-            );
-          } else {
-            // Golden Cross strategy
-            historicalData = await priceOracleService.getGoldenCrossData(symbolData.gala_symbol, {
-              lookbackDays: 250
-            });
-
-            if (!historicalData.success) {
-              throw new Error(`Failed to fetch Golden Cross data: ${historicalData.error}`);
-            }
-
-            const prices = historicalData.data.map(item => item.close);
-            analysis = this.analyzeGoldenCrossStrategy(
-              prices,
-              symbolData.strategy_config?.golden_cross || {
-                shortPeriod: 50,
-                longPeriod: 200,
-                useRSI: true
-              }
-            );
-          }
+          const { analysis, config } = analyzed;
+          const plugin = strategyRegistry.get(analyzed.strategy);
 
           // Check if we should execute trade
-          if (analysis.signal === 'BUY' && analysis.confidence >= minimumConfidence) {
+          if (analysis.signal === 'BUY' && plugin.isActionable(analysis, minimumConfidence)) {
             this.logger.info(`🎯 Strong ${analysis.signal} signal for ${symbolData.symbol} (confidence: ${(analysis.confidence * 100).toFixed(1)}%)`);
 
             // Skip trading if trying to swap GALA for GALA (same token)
@@ -1331,7 +2015,10 @@ class TradingService extends BaseService {
 
             // Execute the trade
             let tradeResult;
-            const tradeAmount = symbolData.min_trade_amount || this.minTradeAmount;
+            const tradeAmount = Math.min(
+              plugin.getTradeAmount(analysis, config, symbolData.min_trade_amount || this.minTradeAmount),
+              symbolData.max_trade_amount || this.maxTradeAmount
+            );
 
             if (analysis.signal === 'BUY') {
               // Buy: GALA -> Target Token
@@ -1341,7 +2028,8 @@ class TradingService extends BaseService {
                 tradeAmount,
                 { 
                   sendNotification: sendNotifications,
-                  strategy: `MonitorStrategy_${strategy.toUpperCase()}`
+                  strategy: `MonitorStrategy_${plugin.name.toUpperCase()}`,
+                  wallet: wallet ?? this.getWalletForStrategy(plugin.name).id
                 }
               );
             }
@@ -1355,6 +2043,7 @@ class TradingService extends BaseService {
 
             result.tradeResults.push({
               symbol: symbolData.symbol,
+              strategy: plugin.name,
               signal: analysis.signal,
               confidence: analysis.confidence,
               trade: tradeResult
@@ -1443,7 +2132,11 @@ class TradingService extends BaseService {
         tx_hash: tradeData.txHash || null,
         dry_run: tradeData.dryRun || false,
         executed_at: new Date().toISOString(),
-        notes: tradeData.notes || null
+        notes: tradeData.notes || null,
+        wallet_id: tradeData.walletId || 1,
+        execution_algo: tradeData.executionAlgo || null,
+        parent_trade_id: tradeData.parentTradeId || null,
+        expected_output: Number(tradeData.expectedOutput) || null
       };
 
       this.logger.info(`📝 Logging trade: ${dbTradeData.strategy} ${dbTradeData.side} ${dbTradeData.amount} ${dbTradeData.symbol}`, {
@@ -1599,10 +2292,6 @@ class TradingService extends BaseService {
       token_symbol,
       gala_symbol,
       entry_price,
-      entry_amount,
-      token_amount,
-      profit_threshold,
-      loss_threshold,
       strategy
     } = position;
 
@@ -1616,16 +2305,22 @@ class TradingService extends BaseService {
 
       const currentPrice = priceData.price;
       
-      // Calculate PnL
+      // Calculate PnL and evaluate stop loss, time exit, trailing stop and take-profit rules
       const pnlPercentage = calculatePnLPercentage(entry_price, currentPrice);
-      const buybackDecision = shouldBuyback(
-        pnlPercentage, 
-        profit_threshold * 100, // Convert to percentage 
-        loss_threshold * 100    // Convert to percentage
-      );
+      const buybackDecision = evaluateExitRules(position, pnlPercentage);
 
       this.logger.info(`📊 Position ${positionId} (${symbol}): PnL ${formatPnL(pnlPercentage)} - ${buybackDecision.description}`);
 
+      // Track the high-water mark for trailing stops
+      if (position.high_water_pnl === null || position.high_water_pnl === undefined ||
+          buybackDecision.highWaterPnL > position.high_water_pnl) {
+        try {
+          await this.getDatabaseService().updatePositionHighWater(positionId, buybackDecision.highWaterPnL);
+        } catch (highWaterError) {
+          this.logger.warn(`Failed to update high-water mark for position ${positionId}:`, highWaterError.message);
+        }
+      }
+
       const result = {
         positionId,
         symbol,
@@ -1635,25 +2330,27 @@ class TradingService extends BaseService {
         pnl_percentage: pnlPercentage,
         decision: buybackDecision.reason,
         description: buybackDecision.description,
+        high_water_pnl: buybackDecision.highWaterPnL,
+        partial: buybackDecision.isPartial,
         buybackExecuted: false,
         buybackFailed: false
       };
 
       if (buybackDecision.shouldBuy) {
-        // Execute buyback
+        // Execute buyback (partial for take-profit ladder levels)
         try {
-          const buybackResult = await this.executeBuyback(position, currentPrice);
+          const buybackResult = await this.executeBuyback(position, currentPrice, {
+            tokenAmount: buybackDecision.tokenAmount,
+            exitRule: buybackDecision
+          });
           
           if (buybackResult.success) {
             result.buybackExecuted = true;
             result.buyback_trade_id = buybackResult.tradeId;
             result.final_gala_amount = buybackResult.finalGalaAmount;
+            result.final_pnl = buybackResult.finalPnL;
             
-            // Calculate final PnL
-            const finalPnL = calculateFinalPnL(entry_amount, buybackResult.finalGalaAmount);
-            result.final_pnl = finalPnL;
-            
-            this.logger.info(`✅ Buyback executed for position ${positionId}: ${formatPnL(finalPnL.percentagePnL, finalPnL.absolutePnL)}`);
+            this.logger.info(`✅ ${buybackResult.partial ? 'Partial buyback' : 'Buyback'} executed for position ${positionId} (${buybackDecision.reason}): ${formatPnL(buybackResult.finalPnL.percentagePnL, buybackResult.finalPnL.absolutePnL)}`);
           } else {
             result.buybackFailed = true;
             result.error = buybackResult.error;
@@ -1684,9 +2381,10 @@ class TradingService extends BaseService {
    * Execute buyback for a position (token -> GALA)
    * @param {Object} position - Position record
    * @param {number} currentPrice - Current token price
+   * @param {Object} options - {tokenAmount (default: remaining tokens), exitRule {reason, description, ladderStep}}
    * @returns {Promise<Object>} - Buyback execution result
    */
-  async executeBuyback(position, currentPrice) {
+  async executeBuyback(position, currentPrice, options = {}) {
     const {
       id: positionId,
       symbol,
@@ -1697,68 +2395,116 @@ class TradingService extends BaseService {
       strategy
     } = position;
 
+    const remainingTokens = token_amount - (position.closed_token_amount || 0);
+    const {
+      tokenAmount = remainingTokens,
+      exitRule = { reason: 'MANUAL_CLOSE', description: 'Position closed manually' }
+    } = options;
+    const isPartial = remainingTokens - tokenAmount > 1e-9;
+
     try {
-      this.logger.info(`🔄 Executing buyback for position ${positionId}: ${token_amount} ${token_symbol} -> GALA`);
+      this.logger.info(`🔄 Executing ${isPartial ? 'partial ' : ''}buyback for position ${positionId}: ${tokenAmount} ${token_symbol} -> GALA (${exitRule.reason})`);
 
       // Execute the swap from token back to GALA
       const swapResult = await this.executeSwap(
         gala_symbol, // from token (e.g., 'GUSDC|Unit|none|none')
         'GALA|Unit|none|none', // to GALA
-        token_amount,
+        tokenAmount,
         {
           strategy: strategy,
-          dryRun: this.isDryRun
+          dryRun: this.isDryRun,
+          wallet: position.wallet_id,
+          watchConfirmation: false,
+          positionExit: true,
+          // Multi-step exits (ladder, trailing stop, time exit) cannot wait out the cooldown of the previous step
+          bypassCooldown: true
         }
       );
 
+      // A rejection (risk rule such as the kill switch, price guard or cooldown) is not a failed attempt,
+      // so the position keeps its retries
+      if (swapResult.rejected) {
+        this.logger.warn(`⚠️ Buyback for position ${positionId} blocked: ${swapResult.error}`);
+        return {
+          success: false,
+          positionId,
+          symbol,
+          error: swapResult.error,
+          rejected: true,
+          retryable: true
+        };
+      }
+
       if (!swapResult.success) {
         throw new Error(`Swap execution failed: ${swapResult.error}`);
       }
 
-      // Calculate final GALA amount received
-      const finalGalaAmount = swapResult.dryRun 
-        ? parseFloat(swapResult.expectedOutput)
-        : parseFloat(swapResult.quote.quote.outTokenAmount.toString());
+      // GALA received: the confirmed fill, or the quote until a late confirmation corrects the close
+      const finalGalaAmount = Number(swapResult.actualOutput ?? swapResult.expectedOutput);
 
       // Get the trade ID that was logged by executeSwap
-      // The executeSwap method logs the trade internally, we need to find it
-      let buyTradeId = null;
-      try {
-        const databaseService = this.getDatabaseService();
+      // Falls back to searching recent trades when the swap result does not carry it
+      let buyTradeId = swapResult.tradeId || null;
+      if (!buyTradeId) {
+        try {
+          const databaseService = this.getDatabaseService();
         
-        // Get the most recent BUY trade for this symbol and strategy
-        const recentTrades = await databaseService.getTradeHistory(strategy, {
-          symbol: symbol,
-          limit: 5,
-          startDate: new Date(Date.now() - 60000).toISOString() // Within the last minute
-        });
+          // Get the most recent BUY trade for this symbol and strategy
+          const recentTrades = await databaseService.getTradeHistory(strategy, {
+            symbol: symbol,
+            limit: 5,
+            startDate: new Date(Date.now() - 60000).toISOString() // Within the last minute
+          });
         
-        // Find the most recent BUY trade that matches our swap
-        const buyTrade = recentTrades.find(trade => 
-          trade.side === 'BUY' && 
-          trade.symbol === symbol &&
-          Math.abs(trade.amount - token_amount) < 0.001 // Allow for small floating point differences
-        );
+          // Find the most recent BUY trade that matches our swap
+          const buyTrade = recentTrades.find(trade => 
+            trade.side === 'BUY' && 
+            trade.symbol === symbol &&
+            Math.abs(trade.amount - tokenAmount) < 0.001 // Allow for small floating point differences
+          );
         
-        if (buyTrade) {
-          buyTradeId = buyTrade.id;
-          this.logger.info(`📊 Found corresponding BUY trade ID: ${buyTradeId}`);
-        } else {
-          this.logger.warn(`⚠️ Could not find corresponding BUY trade for position ${positionId}`);
+          if (buyTrade) {
+            buyTradeId = buyTrade.id;
+            this.logger.info(`📊 Found corresponding BUY trade ID: ${buyTradeId}`);
+          } else {
+            this.logger.warn(`⚠️ Could not find corresponding BUY trade for position ${positionId}`);
+          }
+        } catch (tradeIdError) {
+          this.logger.warn('Failed to find BUY trade ID:', tradeIdError.message);
         }
-      } catch (tradeIdError) {
-        this.logger.warn('Failed to find BUY trade ID:', tradeIdError.message);
       }
 
-      // Close the position in database with the proper trade ID
+      // Close (or partially close) the position in database with the proper trade ID
       const databaseService = this.getDatabaseService();
-      const closeNotes = swapResult.dryRun 
-        ? `DRY RUN: Buyback completed, would receive ${finalGalaAmount} GALA`
-        : `Buyback completed: ${swapResult.transaction?.transactionId || 'N/A'}`;
+      const closeLabel = isPartial ? 'Partial buyback' : 'Buyback';
+      let closeNotes;
+      if (swapResult.paperTrading) {
+        closeNotes = `PAPER: ${closeLabel} completed (${exitRule.reason}): ${swapResult.transaction.transactionId}`;
+      } else {
+        closeNotes = swapResult.dryRun
+          ? `DRY RUN: ${closeLabel} completed (${exitRule.reason}), would receive ${finalGalaAmount} GALA`
+          : `${closeLabel} completed (${exitRule.reason}): ${swapResult.transaction?.transactionId || 'N/A'}`;
+      }
+
+      // Partial closes report the PnL of the sold slice, full closes the whole position including earlier partials
+      const finalPnL = isPartial
+        ? calculateFinalPnL(calculateCostBasis(position, tokenAmount), finalGalaAmount)
+        : calculateFinalPnL(entry_amount, (position.realized_gala || 0) + finalGalaAmount);
 
-      await databaseService.closePosition(positionId, buyTradeId, closeNotes);
+      await databaseService.closePosition(positionId, buyTradeId, closeNotes, {
+        tokenAmount,
+        galaAmount: finalGalaAmount,
+        exitReason: exitRule.reason,
+        ladderStep: exitRule.ladderStep
+      });
+
+      if (swapResult.pendingSubmission) {
+        this.getSettlementService()?.watch(swapResult.pendingSubmission, { positionId, closing: true });
+      }
 
-      this.logger.info(`✅ Position ${positionId} closed with BUY trade ID: ${buyTradeId || 'N/A'}`);
+      this.logger.info(isPartial
+        ? `✅ Position ${positionId} partially closed: ${tokenAmount}/${remainingTokens} ${token_symbol}`
+        : `✅ Position ${positionId} closed with BUY trade ID: ${buyTradeId || 'N/A'}`);
 
       // Send notification
       try {
@@ -1766,13 +2512,15 @@ class TradingService extends BaseService {
         const notificationService = ServiceManager.get('notification');
         
         if (notificationService) {
-          const finalPnL = calculateFinalPnL(entry_amount, finalGalaAmount);
           await notificationService.sendBuybackNotification({
             position,
             currentPrice,
             finalGalaAmount,
             finalPnL,
-            swapResult
+            swapResult,
+            exitRule,
+            tokenAmount,
+            partial: isPartial
           });
         }
       } catch (notificationError) {
@@ -1784,6 +2532,9 @@ class TradingService extends BaseService {
         positionId,
         symbol,
         finalGalaAmount,
+        finalPnL,
+        partial: isPartial,
+        exitReason: exitRule.reason,
         swapResult,
         tradeId: buyTradeId
       };
@@ -1832,23 +2583,66 @@ class TradingService extends BaseService {
     }
   }
 
+  /**
+   * Close a percentage of an open position by converting that share of its tokens back to GALA
+   * @param {number} positionId - Position ID
+   * @param {Object} options - {percentage: share of the remaining tokens to close (default 100)}
+   * @returns {Promise<Object>} - Buyback result
+   */
+  async closePosition(positionId, options = {}) {
+    const { percentage = 100 } = options;
+
+    if (!(percentage > 0 && percentage <= 100)) {
+      throw new Error('Percentage must be greater than 0 and at most 100');
+    }
+
+    const position = await this.getDatabaseService().getPosition(positionId);
+    if (!position || position.status !== 'OPEN') {
+      throw new Error(`Open position ${positionId} not found`);
+    }
+
+    // Price is informational for the notification; the swap itself is quoted
+    let currentPrice = null;
+    try {
+      const priceOracleService = require('./ServiceManager').get('priceOracle');
+      const priceData = priceOracleService ? await priceOracleService.getCurrentPrice(position.gala_symbol) : null;
+      currentPrice = priceData?.success ? priceData.price : null;
+    } catch (priceError) {
+      this.logger.warn(`Failed to get current price for position ${positionId}:`, priceError.message);
+    }
+
+    const remainingTokens = position.token_amount - (position.closed_token_amount || 0);
+    const tokenAmount = percentage >= 100 ? remainingTokens : remainingTokens * (percentage / 100);
+
+    this.logger.info(`🔄 Closing ${percentage}% of position ${positionId}: ${tokenAmount} ${position.token_symbol} -> GALA`);
+
+    return await this.executeBuyback(position, currentPrice, {
+      tokenAmount,
+      exitRule: {
+        reason: 'MANUAL_CLOSE',
+        description: `Manual close of ${percentage}% of the remaining position`
+      }
+    });
+  }
+
   /**
    * Close all open positions by converting them back to GALA
-   * @param {Object} options - Close all options
+   * @param {Object} options - Close all options {force, wallet: only this wallet's positions}
    * @returns {Promise<Object>} - Close all result summary
    */
   async closeAllPositions(options = {}) {
-    const { force = false } = options;
+    const { force = false, wallet = null } = options;
     
     try {
-      this.logger.info('🔄 Starting close all positions operation...');
+      this.logger.info(`🔄 Starting close all positions operation${wallet ? ` for wallet ${wallet}` : ''}...`);
       
       const databaseService = this.getDatabaseService();
       if (!databaseService) {
         throw new Error('Database service not available');
       }
       
-      const openPositions = await databaseService.getOpenPositions();
+      const walletId = wallet ? this.getWalletContext(wallet).id : null;
+      const openPositions = await databaseService.getOpenPositions(null, walletId);
       
       if (openPositions.length === 0) {
         return {
@@ -49,6 +49,23 @@ class YahooFinanceService extends BaseService {
     return this.databaseService;
   }
 
+  /**
+   * Store Yahoo Finance samples in price_history
+   * Storage failures are logged but never fail the price request
+   * @param {Array} samples - Samples {symbol, price, volume, timestamp}
+   * @returns {Promise<number>} - Number of new samples stored
+   */
+  async storeSamples(samples) {
+    try {
+      return await this.getDatabaseService().savePriceSamples(
+        samples.map(sample => ({ ...sample, source: 'yahoo_finance' }))
+      );
+    } catch (error) {
+      this.logger.warn(`Failed to store Yahoo Finance samples: ${error.message}`);
+      return 0;
+    }
+  }
+
   /**
    * Get active symbols from database
    * @returns {Promise<Array>} Array of active symbols
@@ -118,6 +135,13 @@ class YahooFinanceService extends BaseService {
         rawData: quote
       };
 
+      await this.storeSamples([{
+        symbol: yahooSymbol,
+        price: quote.regularMarketPrice,
+        volume: quote.regularMarketVolume,
+        timestamp: quote.regularMarketTime || result.timestamp
+      }]);
+
       // Cache the result
       this.cache.set(cacheKey, {
         data: result,
@@ -196,6 +220,13 @@ class YahooFinanceService extends BaseService {
       // Sort by date (newest first for indicator calculations)
       transformedData.sort((a, b) => new Date(b.date) - new Date(a.date));
 
+      await this.storeSamples(transformedData.map(item => ({
+        symbol: yahooSymbol,
+        price: item.close,
+        volume: item.volume,
+        timestamp: item.timestamp
+      })));
+
       const result = {
         success: true,
         symbol: this.symbol,
@@ -0,0 +1,235 @@
+const { normalizeConfirmations, checkConfirmations } = require('./confirmations');
+
+/**
+ * Base Strategy - Interface implemented by every strategy plugin
+ * A strategy declares the price data it needs and a config schema with defaults,
+ * turns candles into a {signal, confidence, reasons} analysis and hints how much to trade
+ */
+
+// Config fields shared by every strategy
+const COMMON_CONFIG_SCHEMA = {
+  candleInterval: {
+    type: 'string',
+    default: null,
+    description: 'Aggregate price samples into candles of this interval (1m, 5m, 1h, 1d), null = raw samples'
+  },
+  confirmations: {
+    type: 'list',
+    default: [],
+    parse: normalizeConfirmations,
+    description: 'Indicators that must agree with a signal: macd, rsi, ema, bollinger, stochastic, vwap'
+  }
+};
+
+/**
+ * Convert snake_case config keys (as stored in strategy_config) to camelCase
+ * @param {string} key - Config key
+ * @returns {string} - camelCase key
+ */
+function toCamelCase(key) {
+  return key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+class BaseStrategy {
+  /**
+   * @param {Object} definition - Strategy definition
+   * @param {string} definition.name - Registry name, also the key of its settings in strategy_config
+   * @param {string} definition.description - Human readable summary
+   * @param {Object} definition.configSchema - {key: {type: 'number'|'boolean'|'string'|'list', default, description, parse}}
+   * @param {Object} definition.dataRequirements - {lookbackDays, minCandles}
+   * @param {number} definition.minimumConfidence - Confidence needed before a signal is acted on
+   */
+  constructor(definition = {}) {
+    const {
+      name,
+      description = '',
+      configSchema = {},
+      dataRequirements = {},
+      minimumConfidence = 0.6
+    } = definition;
+
+    if (!name) {
+      throw new Error('Strategy name is required');
+    }
+
+    this.name = name;
+    this.description = description;
+    this.configSchema = { ...COMMON_CONFIG_SCHEMA, ...configSchema };
+    this.dataRequirements = { lookbackDays: 250, minCandles: 1, ...dataRequirements };
+    this.minimumConfidence = minimumConfidence;
+  }
+
+  /**
+   * Get the default config built from the schema
+   * @returns {Object} - Default config
+   */
+  getDefaultConfig() {
+    const config = {};
+    for (const [key, field] of Object.entries(this.configSchema)) {
+      config[key] = field.default;
+    }
+    return config;
+  }
+
+  /**
+   * Merge a stored config over the defaults and coerce values to their schema types
+   * Accepts camelCase or snake_case keys, keys outside the schema are passed through
+   * @param {Object} config - Config from strategy_config or a caller
+   * @returns {Object} - Resolved config
+   */
+  resolveConfig(config = {}) {
+    const resolved = this.getDefaultConfig();
+
+    for (const [rawKey, value] of Object.entries(config || {})) {
+      const key = this.getSchemaKey(rawKey);
+      const field = this.configSchema[key];
+
+      if (!field || value === null || value === undefined) {
+        resolved[key] = value ?? resolved[key];
+        continue;
+      }
+
+      if (field.type === 'number') {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Invalid ${this.name} config: ${key} must be a number`);
+        }
+        resolved[key] = number;
+      } else if (field.type === 'boolean') {
+        resolved[key] = value === true || value === 'true';
+      } else if (field.type === 'list') {
+        resolved[key] = value;
+      } else {
+        resolved[key] = String(value);
+      }
+
+      if (field.parse) {
+        resolved[key] = field.parse(resolved[key]);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Map a stored config key to its schema key (short_period -> shortPeriod, use_rsi -> useRSI)
+   * @param {string} rawKey - Config key
+   * @returns {string} - Schema key, or the camelCase key when not in the schema
+   */
+  getSchemaKey(rawKey) {
+    const normalized = rawKey.replace(/_/g, '').toLowerCase();
+    return Object.keys(this.configSchema).find(key => key.toLowerCase() === normalized) || toCamelCase(rawKey);
+  }
+
+  /**
+   * Get the price data needed to analyze with a config
+   * @param {Object} config - Resolved config
+   * @returns {Object} - {lookbackDays, candleInterval, minCandles}
+   */
+  getDataRequirements(config = {}) {
+    return {
+      ...this.dataRequirements,
+      candleInterval: config.candleInterval || null
+    };
+  }
+
+  /**
+   * Load strategy-specific context (e.g. last execution time) before analyzing live data
+   * @param {Object} symbolData - Monitored symbol row
+   * @param {Object} services - {databaseService, tradeStrategy, dryRun}
+   * @returns {Promise<Object>} - Context passed to analyze()
+   */
+  async prepareContext(symbolData, services = {}) {
+    return {};
+  }
+
+  /**
+   * Analyze candles and produce a trading signal
+   * @param {Array} candles - Candles up to and including the current bar (oldest first)
+   * @param {Object} config - Resolved config
+   * @param {Object} context - {currentTime, lastExecutionTime, ...}
+   * @returns {Object} - {signal: 'BUY'|'SELL'|null, confidence, reasons, ...}
+   */
+  analyze(candles, config = {}, context = {}) {
+    throw new Error(`Strategy ${this.name} does not implement analyze()`);
+  }
+
+  /**
+   * Analyze candles and drop signals the configured confirmations disagree with
+   * @param {Array} candles - Candles up to and including the current bar (oldest first)
+   * @param {Object} config - Resolved config
+   * @param {Object} context - Passed through to analyze()
+   * @returns {Object} - Analysis result, with confirmation results when any are configured
+   */
+  evaluate(candles, config = {}, context = {}) {
+    const analysis = this.analyze(candles, config, context);
+    const confirmations = config.confirmations || [];
+
+    if (!analysis || !analysis.signal || confirmations.length === 0) {
+      return analysis;
+    }
+
+    const { confirmed, results } = checkConfirmations(analysis.signal, candles, confirmations);
+    const reasons = analysis.reasons || [];
+
+    if (confirmed) {
+      return {
+        ...analysis,
+        reasons: [...reasons, `Confirmed by ${results.map(result => result.indicator).join(', ')}`],
+        confirmations: results
+      };
+    }
+
+    const rejectedBy = results.filter(result => !result.confirmed).map(result => result.indicator);
+    return {
+      ...analysis,
+      signal: null,
+      confidence: 0,
+      unconfirmedSignal: analysis.signal,
+      reasons: [...reasons, `${analysis.signal} not confirmed by ${rejectedBy.join(', ')}`],
+      confirmations: results
+    };
+  }
+
+  /**
+   * Sizing hint - how much to trade on an actionable signal
+   * @param {Object} analysis - Result of analyze()
+   * @param {Object} config - Resolved config
+   * @param {number} defaultAmount - Amount the caller would trade otherwise
+   * @returns {number} - Trade amount
+   */
+  getTradeAmount(analysis, config, defaultAmount) {
+    return defaultAmount;
+  }
+
+  /**
+   * Whether an analysis is strong enough to act on
+   * @param {Object} analysis - Result of analyze()
+   * @param {number} minimumConfidence - Overrides the strategy default
+   * @returns {boolean}
+   */
+  isActionable(analysis, minimumConfidence = this.minimumConfidence) {
+    return Boolean(
+      analysis &&
+      analysis.signal &&
+      analysis.confidence >= minimumConfidence &&
+      analysis.shouldExecute !== false
+    );
+  }
+
+  /**
+   * Describe the strategy for listings
+   * @returns {Object} - Name, description, defaults and schema
+   */
+  describe() {
+    return {
+      name: this.name,
+      description: this.description,
+      minimumConfidence: this.minimumConfidence,
+      dataRequirements: this.getDataRequirements(this.getDefaultConfig()),
+      configSchema: this.configSchema
+    };
+  }
+}
+
+module.exports = BaseStrategy;
@@ -0,0 +1,94 @@
+const BaseStrategy = require('./BaseStrategy');
+const { analyzeDCAStrategy } = require('../utils/indicators');
+
+/**
+ * DCA (Dollar Cost Averaging) Strategy - BUY a fixed amount every interval,
+ * optionally only below a price threshold, with less confidence in volatile markets
+ */
+class DCAStrategy extends BaseStrategy {
+  constructor() {
+    super({
+      name: 'dca',
+      description: 'Fixed-amount buys on a daily, weekly or monthly schedule',
+      configSchema: {
+        interval: { type: 'string', default: 'daily', description: 'Buy interval: daily, weekly or monthly' },
+        amount: { type: 'number', default: 10, description: 'Amount to buy per interval' },
+        priceThreshold: { type: 'number', default: null, description: 'Only buy below this price' },
+        maxVolatility: { type: 'number', default: 0.1, description: 'Volatility above which confidence is reduced' },
+        volatilityWindow: { type: 'number', default: 7, description: 'Candles used for the volatility check' }
+      },
+      dataRequirements: { lookbackDays: 365 },
+      minimumConfidence: 0.5
+    });
+  }
+
+  /**
+   * Look up when this strategy last bought the symbol so the interval is respected
+   */
+  async prepareContext(symbolData, services = {}) {
+    const { databaseService, tradeStrategy, dryRun } = services;
+    if (!databaseService || !tradeStrategy || !symbolData?.gala_symbol) {
+      return {};
+    }
+
+    const tokenSymbol = symbolData.gala_symbol.split('|')[0];
+    const lastExecutionTime = await databaseService.getLastTradeExecution(tradeStrategy, `GALA/${tokenSymbol}`, { dryRun });
+    return { lastExecutionTime };
+  }
+
+  analyze(candles, config = {}, context = {}) {
+    const prices = candles.map(candle => candle.close).reverse();
+    const currentBar = candles[candles.length - 1];
+
+    return this.analyzePrice(currentBar ? currentBar.close : null, prices, config, {
+      lastExecutionTime: context.lastExecutionTime || null,
+      currentTime: context.currentTime || null
+    });
+  }
+
+  /**
+   * Analyze the current price against the DCA schedule
+   * @param {number} currentPrice - Current price of the asset
+   * @param {number[]} recentPrices - Recent prices for volatility analysis (newest first)
+   * @param {Object} config - Strategy config
+   * @param {Object} context - {lastExecutionTime, currentTime}
+   * @returns {Object} - Analysis result with signals
+   */
+  analyzePrice(currentPrice, recentPrices = [], config = {}, context = {}) {
+    const { interval, amount, priceThreshold, maxVolatility, volatilityWindow } = this.resolveConfig(config);
+    const { lastExecutionTime = null, currentTime = null } = context;
+
+    const dcaAnalysis = analyzeDCAStrategy({
+      interval,
+      lastExecutionTime,
+      currentTime,
+      amount,
+      priceThreshold,
+      currentPrice,
+      volatilityWindow,
+      prices: recentPrices,
+      maxVolatility
+    });
+
+    return {
+      signal: dcaAnalysis.signal,
+      confidence: dcaAnalysis.confidence,
+      reasons: dcaAnalysis.reasons,
+      shouldExecute: dcaAnalysis.shouldExecute,
+      strategy: 'DCA',
+      interval,
+      amount,
+      currentPrice,
+      priceThreshold,
+      volatility: dcaAnalysis.volatility,
+      nextExecution: dcaAnalysis.nextExecution,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getTradeAmount(analysis, config, defaultAmount) {
+    return analysis.amount || defaultAmount;
+  }
+}
+
+module.exports = DCAStrategy;
@@ -0,0 +1,100 @@
+const BaseStrategy = require('./BaseStrategy');
+const { detectGoldenCross, detectRSISignal, calculateRSI } = require('../utils/indicators');
+
+/**
+ * Golden Cross Strategy - BUY when the short SMA crosses above the long SMA,
+ * SELL on the death cross, with RSI used as confirmation
+ */
+class GoldenCrossStrategy extends BaseStrategy {
+  constructor() {
+    super({
+      name: 'golden_cross',
+      description: 'Short/long SMA crossover confirmed by RSI',
+      configSchema: {
+        shortPeriod: { type: 'number', default: 50, description: 'Short moving average period' },
+        longPeriod: { type: 'number', default: 200, description: 'Long moving average period' },
+        useRSI: { type: 'boolean', default: true, description: 'Confirm crossovers with RSI' },
+        rsiPeriod: { type: 'number', default: 14, description: 'RSI period' }
+      },
+      dataRequirements: { lookbackDays: 250 },
+      minimumConfidence: 0.6
+    });
+  }
+
+  getDataRequirements(config = {}) {
+    const resolved = this.resolveConfig(config);
+    return {
+      ...super.getDataRequirements(resolved),
+      minCandles: resolved.longPeriod + 1 // Current and previous long MA
+    };
+  }
+
+  analyze(candles, config = {}, context = {}) {
+    const prices = candles.map(candle => candle.close).reverse();
+    return this.analyzePrices(prices, config);
+  }
+
+  /**
+   * Analyze a price series
+   * @param {number[]} prices - Closing prices (newest first)
+   * @param {Object} config - Strategy config
+   * @returns {Object} - Analysis result with signals
+   */
+  analyzePrices(prices, config = {}) {
+    const { shortPeriod, longPeriod, useRSI, rsiPeriod } = this.resolveConfig(config);
+
+    // Detect Golden Cross signal
+    const goldenCrossSignal = detectGoldenCross(prices, shortPeriod, longPeriod);
+
+    // Calculate RSI for additional confirmation
+    let rsiSignal = null;
+    if (useRSI) {
+      const rsi = calculateRSI(prices, rsiPeriod);
+      rsiSignal = detectRSISignal(rsi);
+    }
+
+    // Combine signals for final decision
+    let finalSignal = null;
+    let confidence = 0;
+    const reasons = [];
+
+    if (goldenCrossSignal.signal === 'BUY') {
+      finalSignal = 'BUY';
+      confidence += 0.7; // Golden Cross has high weight
+      reasons.push(goldenCrossSignal.reason);
+
+      // RSI confirmation
+      if (rsiSignal && rsiSignal.signal === 'BUY') {
+        confidence += 0.3;
+        reasons.push(rsiSignal.reason);
+      } else if (rsiSignal && rsiSignal.signal === 'SELL') {
+        confidence -= 0.2; // Conflicting signal reduces confidence
+        reasons.push(`RSI conflict: ${rsiSignal.reason}`);
+      }
+    } else if (goldenCrossSignal.signal === 'SELL') {
+      finalSignal = 'SELL';
+      confidence += 0.7;
+      reasons.push(goldenCrossSignal.reason);
+
+      // RSI confirmation
+      if (rsiSignal && rsiSignal.signal === 'SELL') {
+        confidence += 0.3;
+        reasons.push(rsiSignal.reason);
+      } else if (rsiSignal && rsiSignal.signal === 'BUY') {
+        confidence -= 0.2;
+        reasons.push(`RSI conflict: ${rsiSignal.reason}`);
+      }
+    }
+
+    return {
+      signal: finalSignal,
+      confidence: Math.min(confidence, 1.0), // Cap at 1.0
+      reasons,
+      goldenCross: goldenCrossSignal,
+      rsi: rsiSignal,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = GoldenCrossStrategy;
@@ -0,0 +1,73 @@
+const BaseStrategy = require('./BaseStrategy');
+const { calculateSMA } = require('../utils/indicators');
+
+/**
+ * Mean Reversion Strategy - BUY when price is stretched below its moving average,
+ * SELL when stretched above, measured in standard deviations (z-score)
+ */
+class MeanReversionStrategy extends BaseStrategy {
+  constructor() {
+    super({
+      name: 'mean_reversion',
+      description: 'Fade moves that stretch price beyond N standard deviations from its moving average',
+      configSchema: {
+        period: { type: 'number', default: 20, description: 'Moving average and standard deviation period' },
+        entryZScore: { type: 'number', default: 2, description: 'Distance from the mean (in std devs) that triggers a signal' }
+      },
+      dataRequirements: { lookbackDays: 60 },
+      minimumConfidence: 0.6
+    });
+  }
+
+  getDataRequirements(config = {}) {
+    const resolved = this.resolveConfig(config);
+    return {
+      ...super.getDataRequirements(resolved),
+      minCandles: resolved.period
+    };
+  }
+
+  analyze(candles, config = {}, context = {}) {
+    const { period, entryZScore } = this.resolveConfig(config);
+    const prices = candles.map(candle => candle.close).reverse();
+    const mean = calculateSMA(prices, period);
+
+    if (mean === null) {
+      return {
+        signal: null,
+        confidence: 0,
+        reasons: ['Insufficient historical data'],
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const window = prices.slice(0, period);
+    const stdDev = Math.sqrt(window.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / period);
+    const zScore = stdDev > 0 ? (prices[0] - mean) / stdDev : 0;
+
+    let signal = null;
+    let confidence = 0;
+    const reasons = [];
+
+    if (Math.abs(zScore) >= entryZScore) {
+      signal = zScore < 0 ? 'BUY' : 'SELL';
+      // Confidence grows the further price is stretched beyond the entry threshold
+      confidence = Math.min(0.6 + (Math.abs(zScore) - entryZScore) * 0.2, 1.0);
+      reasons.push(`Price ${Math.abs(zScore).toFixed(2)} std devs ${zScore < 0 ? 'below' : 'above'} its ${period}-period mean`);
+    } else {
+      reasons.push(`Price within ${entryZScore} std devs of its ${period}-period mean (z = ${zScore.toFixed(2)})`);
+    }
+
+    return {
+      signal,
+      confidence,
+      reasons,
+      mean,
+      stdDev,
+      zScore,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = MeanReversionStrategy;
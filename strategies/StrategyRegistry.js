@@ -0,0 +1,122 @@
+const path = require('path');
+const BaseStrategy = require('./BaseStrategy');
+
+// Strategy used when neither the caller nor strategy_config names one
+const DEFAULT_STRATEGY = 'dca';
+
+/**
+ * Strategy Registry - Strategies registered by name and looked up by TradingService,
+ * BacktestService, routes and commands, so a monitored symbol's strategy_config can
+ * name any registered strategy: {"strategy": "mean_reversion", "mean_reversion": {...}}
+ */
+class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  /**
+   * Register a strategy
+   * @param {BaseStrategy} strategy - Strategy instance
+   * @param {Object} options - {replace: allow overriding an existing name}
+   * @returns {BaseStrategy} - The registered strategy
+   */
+  register(strategy, options = {}) {
+    if (!(strategy instanceof BaseStrategy)) {
+      throw new Error('Strategies must extend BaseStrategy');
+    }
+
+    if (this.strategies.has(strategy.name) && !options.replace) {
+      throw new Error(`Strategy already registered: ${strategy.name}`);
+    }
+
+    this.strategies.set(strategy.name, strategy);
+    return strategy;
+  }
+
+  /**
+   * Remove a strategy
+   * @param {string} name - Strategy name
+   * @returns {boolean} - Whether a strategy was removed
+   */
+  unregister(name) {
+    return this.strategies.delete(name);
+  }
+
+  /**
+   * Check whether a strategy is registered
+   * @param {string} name - Strategy name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * Get a registered strategy
+   * @param {string} name - Strategy name
+   * @returns {BaseStrategy} - Strategy instance
+   */
+  get(name) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      throw new Error(`Unknown strategy: ${name} (registered: ${this.names().join(', ')})`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Get registered strategy names
+   * @returns {string[]}
+   */
+  names() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Describe every registered strategy
+   * @returns {Array} - Strategy descriptions
+   */
+  list() {
+    return Array.from(this.strategies.values()).map(strategy => strategy.describe());
+  }
+
+  /**
+   * Resolve the strategy and config for a monitored symbol
+   * Config precedence: schema defaults < options.defaults < strategy_config < options.overrides
+   * @param {Object} symbolData - Monitored symbol row (strategy_config parsed)
+   * @param {Object} options - {name: use instead of the symbol's strategy, defaults, overrides}
+   * @returns {Object} - {strategy, config}
+   */
+  resolve(symbolData, options = {}) {
+    const { name = null, defaults = {}, overrides = {} } = options;
+    const strategyConfig = symbolData?.strategy_config || {};
+    const strategy = this.get(name || strategyConfig.strategy || DEFAULT_STRATEGY);
+
+    return {
+      strategy,
+      config: strategy.resolveConfig({
+        ...defaults,
+        ...(strategyConfig[strategy.name] || {}),
+        ...overrides
+      })
+    };
+  }
+
+  /**
+   * Register strategies from external modules
+   * Each module exports a BaseStrategy subclass or an instance of one
+   * @param {string[]} modulePaths - Module paths, relative paths resolve from the working directory
+   * @returns {string[]} - Names of the registered strategies
+   */
+  loadPlugins(modulePaths = []) {
+    return modulePaths.map(modulePath => {
+      const exported = require(path.resolve(modulePath));
+      const strategy = typeof exported === 'function' ? new exported() : exported;
+      return this.register(strategy, { replace: true }).name;
+    });
+  }
+}
+
+StrategyRegistry.DEFAULT_STRATEGY = DEFAULT_STRATEGY;
+
+module.exports = StrategyRegistry;
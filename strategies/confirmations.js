@@ -0,0 +1,88 @@
+const {
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands,
+  calculateStochastic,
+  calculateVWAP
+} = require('../utils/indicators');
+
+/**
+ * Indicator confirmations - extra indicators a strategy signal must agree with
+ * Each indicator votes the direction of momentum (BUY, SELL or null) from candles (newest first),
+ * and a signal only stands when every required indicator votes the same way
+ */
+const INDICATOR_BIAS = {
+  macd: (candles, { fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 }) => {
+    const macd = calculateMACD(candles.map(candle => candle.close), fastPeriod, slowPeriod, signalPeriod);
+    return { value: macd, bias: !macd ? null : macd.histogram > 0 ? 'BUY' : macd.histogram < 0 ? 'SELL' : null };
+  },
+  rsi: (candles, { period = 14 }) => {
+    const rsi = calculateRSI(candles.map(candle => candle.close), period);
+    return { value: rsi, bias: rsi === null ? null : rsi > 50 ? 'BUY' : rsi < 50 ? 'SELL' : null };
+  },
+  ema: (candles, { period = 20 }) => {
+    const ema = calculateEMA(candles.map(candle => candle.close), period);
+    const price = candles[0]?.close;
+    return { value: ema, bias: ema === null ? null : price > ema ? 'BUY' : price < ema ? 'SELL' : null };
+  },
+  bollinger: (candles, { period = 20, stdDevMultiplier = 2 }) => {
+    const bands = calculateBollingerBands(candles.map(candle => candle.close), period, stdDevMultiplier);
+    return { value: bands, bias: !bands ? null : bands.price > bands.middle ? 'BUY' : bands.price < bands.middle ? 'SELL' : null };
+  },
+  stochastic: (candles, { kPeriod = 14, dPeriod = 3 }) => {
+    const stochastic = calculateStochastic(candles, kPeriod, dPeriod);
+    return { value: stochastic, bias: !stochastic ? null : stochastic.k > stochastic.d ? 'BUY' : stochastic.k < stochastic.d ? 'SELL' : null };
+  },
+  vwap: (candles, { period = null }) => {
+    const vwap = calculateVWAP(candles, period);
+    const price = candles[0]?.close;
+    return { value: vwap, bias: vwap === null ? null : price > vwap ? 'BUY' : price < vwap ? 'SELL' : null };
+  }
+};
+
+/**
+ * Normalize a confirmations config into [{indicator, ...options}]
+ * @param {Array|string} confirmations - ['macd', {indicator: 'rsi', period: 7}] or "macd,rsi"
+ * @returns {Array} - Normalized confirmations
+ */
+function normalizeConfirmations(confirmations) {
+  const list = typeof confirmations === 'string'
+    ? confirmations.split(',').map(name => name.trim()).filter(Boolean)
+    : confirmations || [];
+
+  return list.map(entry => {
+    const confirmation = typeof entry === 'string' ? { indicator: entry } : { ...entry };
+    if (!INDICATOR_BIAS[confirmation.indicator]) {
+      throw new Error(`Unknown confirmation indicator: ${confirmation.indicator} (available: ${Object.keys(INDICATOR_BIAS).join(', ')})`);
+    }
+    return confirmation;
+  });
+}
+
+/**
+ * Check a signal against the required confirmations
+ * @param {string} signal - 'BUY' or 'SELL'
+ * @param {Array} candles - Candles (oldest first)
+ * @param {Array} confirmations - Normalized confirmations
+ * @returns {Object} - {confirmed, results: [{indicator, bias, confirmed, value}]}
+ */
+function checkConfirmations(signal, candles, confirmations = []) {
+  const newestFirst = candles.slice().reverse();
+
+  const results = confirmations.map(({ indicator, ...options }) => {
+    const { value, bias } = INDICATOR_BIAS[indicator](newestFirst, options);
+    return { indicator, bias, confirmed: bias === signal, value };
+  });
+
+  return {
+    confirmed: results.every(result => result.confirmed),
+    results
+  };
+}
+
+module.exports = {
+  INDICATOR_BIAS,
+  normalizeConfirmations,
+  checkConfirmations
+};
@@ -0,0 +1,23 @@
+/**
+ * Strategy plugins and the shared registry with the built-in strategies registered
+ */
+
+const BaseStrategy = require('./BaseStrategy');
+const StrategyRegistry = require('./StrategyRegistry');
+const GoldenCrossStrategy = require('./GoldenCrossStrategy');
+const DCAStrategy = require('./DCAStrategy');
+const MeanReversionStrategy = require('./MeanReversionStrategy');
+
+const registry = new StrategyRegistry();
+registry.register(new GoldenCrossStrategy());
+registry.register(new DCAStrategy());
+registry.register(new MeanReversionStrategy());
+
+module.exports = {
+  registry,
+  BaseStrategy,
+  StrategyRegistry,
+  GoldenCrossStrategy,
+  DCAStrategy,
+  MeanReversionStrategy
+};
@@ -0,0 +1,90 @@
+const AccountingService = require('../services/AccountingService');
+const PortfolioService = require('../services/PortfolioService');
+
+describe('AccountingService', () => {
+  let accountingService;
+  let mockDatabaseService;
+  let mockTradingService;
+  let mockPortfolioService;
+
+  const trade = (id, side, amount, totalValue, executedAt) => ({
+    id, strategy: 'golden_cross', symbol: 'GALA/GUSDC', side, amount, price: totalValue / amount,
+    total_value: totalValue, fee: 0, status: 'COMPLETED', dry_run: 0, wallet_id: 1, executed_at: executedAt
+  });
+
+  beforeEach(async () => {
+    mockDatabaseService = {
+      getCompletedTrades: jest.fn().mockResolvedValue([
+        trade(1, 'SELL', 100, 5, '2025-01-01T00:00:00.000Z'),
+        trade(2, 'BUY', 2, 50, '2025-01-10T00:00:00.000Z')
+      ]),
+      getMonitoredSymbols: jest.fn().mockResolvedValue([]),
+      getWallet: jest.fn().mockResolvedValue(null),
+      getWallets: jest.fn().mockResolvedValue([{ id: 1, name: 'main' }]),
+      getPriceAt: jest.fn().mockResolvedValue({ price: 0.02, timestamp: '2025-01-01T00:00:00.000Z' })
+    };
+    mockTradingService = {
+      isDryRun: false,
+      isPaperTrading: jest.fn().mockReturnValue(false)
+    };
+
+    // Real symbol resolution, oracle prices stubbed: GALA $0.02, GUSDC $1 (= 50 GALA)
+    const portfolioService = new PortfolioService();
+    mockPortfolioService = {
+      resolveGalaSymbol: portfolioService.resolveGalaSymbol.bind(portfolioService),
+      getUsdPrice: jest.fn(async (galaSymbol) => ({ 'GALA|Unit|none|none': 0.02, 'GUSDC|Unit|none|none': 1 }[galaSymbol] ?? null))
+    };
+
+    accountingService = new AccountingService();
+    accountingService.databaseService = mockDatabaseService;
+    accountingService.tradingService = mockTradingService;
+    accountingService.portfolioService = mockPortfolioService;
+    await accountingService.init();
+  });
+
+  test('should report realized and unrealized PnL in GALA', async () => {
+    const report = await accountingService.getPnLReport({ includeLots: true });
+
+    expect(mockDatabaseService.getCompletedTrades).toHaveBeenCalledWith(expect.objectContaining({ dryRun: false, symbol: null, walletId: null }));
+    expect(report).toMatchObject({ method: 'fifo', mode: 'live', unpriced: [], unmatched: [] });
+
+    // 2 of 5 GUSDC bought for 100 GALA sold for 50: cost 40, +10 realized; 3 left worth 150 GALA against a cost of 60
+    expect(report.totals.realizedPnL).toBeCloseTo(10);
+    expect(report.totals.unrealizedPnL).toBeCloseTo(90);
+    expect(report.closedLots).toHaveLength(1);
+    expect(report.openLots[0]).toMatchObject({ token: 'GUSDC', quantity: 3 });
+    expect(report.byPeriod).toEqual([expect.objectContaining({ period: '2025-01', closedLots: 1 })]);
+  });
+
+  test('should filter by wallet and symbol and validate options', async () => {
+    mockDatabaseService.getWallet.mockResolvedValue({ id: 2, name: 'dca' });
+
+    const report = await accountingService.getPnLReport({ wallet: 'dca', symbol: 'GUSDC|Unit|none|none', mode: 'simulated', method: 'average' });
+    expect(mockDatabaseService.getCompletedTrades).toHaveBeenCalledWith(expect.objectContaining({ walletId: 2, symbol: 'GALA/GUSDC', dryRun: true }));
+    expect(report).toMatchObject({ wallet: 'dca', symbol: 'GUSDC', method: 'average' });
+    expect(report.openLots).toBeUndefined();
+
+    mockDatabaseService.getWallet.mockResolvedValue(null);
+    await expect(accountingService.getPnLReport({ wallet: 'nope' })).rejects.toThrow('Unknown wallet: nope');
+    await expect(accountingService.getPnLReport({ mode: 'paper' })).rejects.toThrow('Unknown mode');
+    await expect(accountingService.getPnLReport({ from: 'yesterday' })).rejects.toThrow('Invalid from date');
+  });
+
+  test('should export trades and disposals as CSV', async () => {
+    const koinly = await accountingService.exportTrades('koinly', { from: '2025-01-01', to: '2025-12-31T23:59:59Z' });
+
+    expect(mockDatabaseService.getCompletedTrades).toHaveBeenCalledWith(expect.objectContaining({ since: '2025-01-01', until: '2025-12-31T23:59:59Z', dryRun: false }));
+    expect(mockDatabaseService.getPriceAt).toHaveBeenCalledWith('GALA|Unit|none|none', '2025-01-01T00:00:00.000Z', expect.objectContaining({ source: 'price_oracle' }));
+    expect(koinly).toMatchObject({ filename: 'koinly_live_2025-01-01_to_2025-12-31.csv', contentType: 'text/csv', rows: 2 });
+    expect(koinly.content.split('\n')[1]).toBe('2025-01-01 00:00:00 UTC,100,GALA,5,GUSDC,,,2,USD,,golden_cross trade #1 (main),');
+
+    // 2 of 5 GUSDC: cost 40 GALA ($0.80), proceeds 50 GALA ($1.00)
+    const disposals = await accountingService.exportTrades('disposals', { mode: 'simulated' });
+    expect(mockDatabaseService.getCompletedTrades).toHaveBeenLastCalledWith(expect.objectContaining({ dryRun: true }));
+    expect(disposals.rows).toBe(1);
+    expect(disposals.content.split('\n')[1]).toContain(',40,50,10,0.8,1,0.2,FIFO,golden_cross,main,1,2,');
+
+    await expect(accountingService.exportTrades('turbotax')).rejects.toThrow('Unknown export format');
+    await expect(accountingService.exportTrades('disposals', { mode: 'all' })).rejects.toThrow('Invalid mode for disposals');
+  });
+});
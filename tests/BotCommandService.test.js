@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+// Discord signs interactions with the application's Ed25519 key
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.DISCORD_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+process.env.DISCORD_ALLOWED_USER_IDS = '111, 222';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-secret';
+process.env.TELEGRAM_ALLOWED_USER_IDS = '333';
+
+const BotCommandService = require('../services/BotCommandService');
+
+describe('BotCommandService', () => {
+  let service;
+  let mockTradingService;
+  let mockSchedulerService;
+  let mockDatabaseService;
+
+  const command = (name, args = [], userId = '111') =>
+    service.handleCommand({ platform: 'discord', userId, command: name, args });
+
+  const sign = (timestamp, body) => crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+
+  beforeEach(async () => {
+    mockTradingService = {
+      getStatus: jest.fn().mockReturnValue({ isDryRun: true, exchangeMode: 'paper', lastTradeTime: null, canTrade: true }),
+      getGalaBalance: jest.fn().mockResolvedValue({ success: true, balance: 1234.5 }),
+      closeAllPositions: jest.fn().mockResolvedValue({
+        success: true,
+        message: 'Close all positions completed: 2 closed, 0 failed',
+        positionsClosed: 2,
+        positionsFailed: 0,
+        totalGalaRecovered: 210.5
+      })
+    };
+    mockSchedulerService = {
+      getPauseState: jest.fn().mockResolvedValue({ paused: false, pausedAt: null, pausedBy: null }),
+      pauseAutomatedTrading: jest.fn().mockResolvedValue({ paused: true, pausedAt: '2025-01-01T00:00:00.000Z', pausedBy: 'discord:111' }),
+      resumeAutomatedTrading: jest.fn().mockResolvedValue({ paused: false, pausedAt: null, pausedBy: null })
+    };
+    mockDatabaseService = {
+      getOpenPositions: jest.fn().mockResolvedValue([
+        { id: 7, symbol: 'GALA/GUSDC', token_symbol: 'GUSDC', token_amount: 2.1, entry_amount: 100, strategy: 'dca' }
+      ])
+    };
+
+    service = new BotCommandService();
+    service.tradingService = mockTradingService;
+    service.schedulerService = mockSchedulerService;
+    service.databaseService = mockDatabaseService;
+    service.riskManagerService = { killSwitch: { engaged: false, reason: null } };
+    await service.init();
+  });
+
+  test('should refuse users missing from the allowlist', async () => {
+    const reply = await command('status', [], '999');
+
+    expect(reply.title).toBe('⛔ Not authorized');
+    expect(mockTradingService.getStatus).not.toHaveBeenCalled();
+    expect((await service.handleCommand({ platform: 'telegram', userId: '111', command: 'status' })).title).toBe('⛔ Not authorized');
+  });
+
+  test('should map read-only commands to service calls', async () => {
+    const status = await command('STATUS');
+    expect(status.fields.find(field => field.name === 'Mode').value).toBe('DRY RUN (paper)');
+    expect(status.fields.find(field => field.name === 'Automated trading').value).toBe('Running');
+
+    expect((await command('balance')).description).toBe('**1234.5** GALA');
+
+    const positions = await command('positions');
+    expect(positions.title).toBe('📈 1 open position(s)');
+    expect(positions.fields[0]).toMatchObject({ name: '#7 GALA/GUSDC', value: '2.1 GUSDC for 100 GALA (dca)' });
+
+    expect((await command('nope')).title).toBe('❓ Unknown command /nope');
+  });
+
+  test('should pause right away and resume only after confirmation', async () => {
+    expect((await command('pause')).title).toBe('⏸️ Automated trading paused');
+    expect(mockSchedulerService.pauseAutomatedTrading).toHaveBeenCalledWith('discord:111');
+
+    const pending = await command('resume');
+    expect(pending.confirmCode).toMatch(/^[0-9a-f]{6}$/);
+    expect(mockSchedulerService.resumeAutomatedTrading).not.toHaveBeenCalled();
+
+    expect((await command('confirm', [pending.confirmCode])).title).toBe('▶️ Automated trading resumed');
+    expect(mockSchedulerService.resumeAutomatedTrading).toHaveBeenCalledWith('discord:111');
+  });
+
+  test('should close all positions once with a single-use code', async () => {
+    const pending = await command('closeall', ['force']);
+    expect(mockTradingService.closeAllPositions).not.toHaveBeenCalled();
+
+    // Another user cannot confirm someone else's action
+    expect((await command('confirm', [pending.confirmCode], '222')).title).toBe('Nothing to confirm');
+
+    const reply = await command('confirm', [pending.confirmCode]);
+    expect(reply.fields.find(field => field.name === 'GALA recovered').value).toBe('210.5000');
+    expect(mockTradingService.closeAllPositions).toHaveBeenCalledWith({ force: true });
+
+    expect((await command('confirm', [pending.confirmCode])).title).toBe('Nothing to confirm');
+    expect(mockTradingService.closeAllPositions).toHaveBeenCalledTimes(1);
+  });
+
+  test('should cancel on a wrong or expired code', async () => {
+    await command('closeall');
+    expect((await command('confirm', ['000000'])).title).toBe('❌ Wrong confirmation code');
+
+    service.confirmTtlMs = -1;
+    const expired = await command('closeall');
+    expect((await command('confirm', [expired.confirmCode])).title).toBe('Nothing to confirm');
+    expect(mockTradingService.closeAllPositions).not.toHaveBeenCalled();
+  });
+
+  test('should report service failures in the reply', async () => {
+    mockTradingService.getGalaBalance.mockResolvedValue({ success: false, error: 'GSwap client not initialized' });
+
+    expect(await command('balance')).toMatchObject({ title: '🚨 /balance failed', description: 'GSwap client not initialized' });
+  });
+
+  describe('Discord interactions', () => {
+    test('should verify request signatures', () => {
+      const body = JSON.stringify({ type: 1 });
+      const timestamp = String(Math.floor(Date.now() / 1000));
+
+      expect(service.verifyDiscordRequest(sign(timestamp, body), timestamp, Buffer.from(body))).toBe(true);
+      expect(service.verifyDiscordRequest(sign(timestamp, body), timestamp, Buffer.from('{"type":2}'))).toBe(false);
+      expect(service.verifyDiscordRequest('zz', timestamp, Buffer.from(body))).toBe(false);
+      expect(service.verifyDiscordRequest(undefined, timestamp, Buffer.from(body))).toBe(false);
+    });
+
+    test('should answer pings and slash commands with ephemeral embeds', async () => {
+      expect(await service.handleDiscordInteraction({ type: 1 })).toEqual({ type: 1 });
+
+      const response = await service.handleDiscordInteraction({
+        type: 2,
+        member: { user: { id: '111' } },
+        data: { name: 'balance' }
+      });
+
+      expect(response.type).toBe(4);
+      expect(response.data.flags).toBe(64);
+      expect(response.data.embeds[0]).toMatchObject({ title: '💰 GALA balance', description: '**1234.5** GALA' });
+    });
+
+    test('should confirm destructive commands with a button', async () => {
+      const pending = await service.handleDiscordInteraction({ type: 2, user: { id: '222' }, data: { name: 'closeall' } });
+      const button = pending.data.components[0].components[0];
+      expect(button.custom_id).toMatch(/^confirm:[0-9a-f]{6}$/);
+
+      const confirmed = await service.handleDiscordInteraction({ type: 3, user: { id: '222' }, data: { custom_id: button.custom_id } });
+      expect(confirmed.data.embeds[0].title).toBe('🔄 Close all positions');
+      expect(mockTradingService.closeAllPositions).toHaveBeenCalledTimes(1);
+    });
+
+    test('should defer slow commands and edit the response when done', async () => {
+      let finish;
+      mockTradingService.getGalaBalance.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+      const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true });
+      service.discordDeadlineMs = 10;
+
+      try {
+        const response = await service.handleDiscordInteraction({
+          type: 2,
+          application_id: 'app1',
+          token: 'tok1',
+          user: { id: '111' },
+          data: { name: 'balance' }
+        });
+        expect(response).toEqual({ type: 5, data: { flags: 64 } });
+
+        finish({ success: true, balance: 5 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(fetchSpy).toHaveBeenCalledWith(
+          'https://discord.com/api/v10/webhooks/app1/tok1/messages/@original',
+          expect.objectContaining({ method: 'PATCH' })
+        );
+        expect(JSON.parse(fetchSpy.mock.calls[0][1].body).embeds[0].description).toBe('**5** GALA');
+      } finally {
+        fetchSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('Telegram updates', () => {
+    test('should verify the webhook secret', () => {
+      expect(service.verifyTelegramRequest('telegram-secret')).toBe(true);
+      expect(service.verifyTelegramRequest('telegram-secreT')).toBe(false);
+      expect(service.verifyTelegramRequest(undefined)).toBe(false);
+    });
+
+    test('should reply to commands with a sendMessage call', async () => {
+      const reply = await service.handleTelegramUpdate({
+        update_id: 1,
+        message: { message_id: 10, from: { id: 333 }, chat: { id: -100 }, text: '/pause@GalaBot' }
+      });
+
+      expect(reply).toMatchObject({ method: 'sendMessage', chat_id: -100, reply_to_message_id: 10, parse_mode: 'Markdown' });
+      expect(reply.text).toContain('Automated trading paused');
+      expect(mockSchedulerService.pauseAutomatedTrading).toHaveBeenCalledWith('telegram:333');
+
+      const pending = await service.handleTelegramUpdate({
+        message: { message_id: 11, from: { id: 333 }, chat: { id: -100 }, text: '/closeall' }
+      });
+      const code = pending.text.match(/confirm ([0-9a-f]{6})/)[1];
+      await service.handleTelegramUpdate({ message: { message_id: 12, from: { id: 333 }, chat: { id: -100 }, text: `/confirm ${code}` } });
+      expect(mockTradingService.closeAllPositions).toHaveBeenCalledWith({ force: false });
+
+      expect(await service.handleTelegramUpdate({ message: { message_id: 13, from: { id: 333 }, chat: { id: -100 }, text: 'hello' } })).toBeNull();
+    });
+  });
+});
@@ -30,6 +30,15 @@ describe('ConfigManager', () => {
     process.env = originalEnv;
   });
 
+  test('should not require a private key for paper trading', () => {
+    const originalEnv = process.env;
+    process.env = { NODE_ENV: 'test', WALLET_ADDRESS: originalEnv.WALLET_ADDRESS, EXCHANGE_MODE: 'paper' };
+
+    expect(config.init().EXCHANGE_MODE).toBe('paper');
+
+    process.env = originalEnv;
+  });
+
   test('should provide helper methods', () => {
     config.init();
     
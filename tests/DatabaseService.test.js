@@ -72,6 +72,446 @@ describe('DatabaseService', () => {
     expect(results[1].lastID).toBeDefined();
   });
 
+  test('should queue overlapping transactions instead of nesting them', async () => {
+    const failing = DatabaseService.transaction([
+      { sql: 'INSERT INTO price_history (symbol, price) VALUES (?, ?)', params: ['TX-TEST', 0.01] },
+      { sql: 'INSERT INTO no_such_table (x) VALUES (1)', params: [] }
+    ]);
+    const writes = [1, 2, 3].map(i => DatabaseService.savePriceSamples([
+      { symbol: 'TX-TEST', price: 0.02, timestamp: `2025-01-0${i}T00:00:00.000Z`, source: 'price_oracle' }
+    ]));
+
+    await expect(failing).rejects.toThrow(/no such table/);
+    expect(await Promise.all(writes)).toEqual([1, 1, 1]);
+    expect(await DatabaseService.getPriceHistory('TX-TEST')).toHaveLength(3);
+  });
+
+  test('should return price history oldest first', async () => {
+    await DatabaseService.run(
+      'INSERT INTO price_history (symbol, price, timestamp) VALUES (?, ?, ?)',
+      ['BT-TEST', 0.03, '2025-01-03T00:00:00.000Z']
+    );
+    await DatabaseService.run(
+      'INSERT INTO price_history (symbol, price, timestamp) VALUES (?, ?, ?)',
+      ['BT-TEST', 0.01, '2025-01-01T00:00:00.000Z']
+    );
+
+    const history = await DatabaseService.getPriceHistory('BT-TEST');
+    expect(history).toHaveLength(2);
+    expect(history[0].price).toBe(0.01);
+
+    const filtered = await DatabaseService.getPriceHistory('BT-TEST', { startDate: '2025-01-02T00:00:00.000Z' });
+    expect(filtered).toHaveLength(1);
+  });
+
+  test('should store price samples once and report the latest timestamp', async () => {
+    const samples = [
+      { symbol: 'PS-TEST', price: 0.02, timestamp: '2025-01-01T00:00:00.000Z', source: 'price_oracle' },
+      { symbol: 'PS-TEST', price: 0.03, timestamp: '2025-01-01T00:05:00.000Z', source: 'price_oracle' }
+    ];
+
+    expect(await DatabaseService.savePriceSamples(samples)).toBe(2);
+    expect(await DatabaseService.savePriceSamples(samples)).toBe(0);
+    expect(await DatabaseService.savePriceSamples([
+      { symbol: 'PS-TEST', price: 0.5, timestamp: '2025-01-02T00:00:00.000Z', source: 'yahoo_finance' }
+    ])).toBe(1);
+
+    expect(await DatabaseService.getLatestPriceTimestamp('PS-TEST', 'price_oracle')).toBe('2025-01-01T00:05:00.000Z');
+    expect(await DatabaseService.getLatestPriceTimestamp('PS-TEST')).toBe('2025-01-02T00:00:00.000Z');
+    expect(await DatabaseService.getLatestPriceTimestamp('NOPE')).toBeNull();
+
+    const oracleRows = await DatabaseService.getPriceHistory('PS-TEST', { source: 'price_oracle' });
+    expect(oracleRows).toHaveLength(2);
+  });
+
+  test('should save and retrieve strategy performance', async () => {
+    const id = await DatabaseService.saveStrategyPerformance({
+      strategy_name: 'Backtest_DCA_TEST',
+      period_start: '2025-01-01T00:00:00.000Z',
+      period_end: '2025-02-01T00:00:00.000Z',
+      total_trades: 4,
+      winning_trades: 3,
+      losing_trades: 1,
+      total_pnl: 12.5,
+      max_drawdown: 0.1,
+      sharpe_ratio: 1.4
+    });
+
+    expect(id).toBeDefined();
+
+    const records = await DatabaseService.getStrategyPerformance('Backtest_DCA_TEST');
+    expect(records).toHaveLength(1);
+    expect(records[0].winning_trades).toBe(3);
+    expect(records[0].sharpe_ratio).toBe(1.4);
+  });
+
+  test('should track partial closes and the high-water mark of a position', async () => {
+    const positionId = await DatabaseService.createOpenPosition({
+      strategy: 'test_strategy',
+      symbol: 'GUSDC',
+      token_symbol: 'GUSDC',
+      gala_symbol: 'GUSDC|Unit|none|none',
+      entry_trade_id: 1,
+      entry_price: 0.02,
+      entry_amount: 100,
+      token_amount: 2,
+      trailing_stop: 0.03,
+      take_profit_ladder: [{ pnl: 0.03, portion: 0.5 }, { pnl: 0.06, portion: 0.5 }]
+    });
+
+    expect(await DatabaseService.updatePositionHighWater(positionId, 2.5)).toBe(true);
+    expect(await DatabaseService.updatePositionHighWater(positionId, 1.5)).toBe(false);
+
+    await DatabaseService.closePosition(positionId, null, 'Partial buyback', {
+      tokenAmount: 1,
+      galaAmount: 52,
+      ladderStep: 1,
+      exitReason: 'TAKE_PROFIT_LADDER'
+    });
+
+    let position = await DatabaseService.get('SELECT * FROM open_positions WHERE id = ?', [positionId]);
+    expect(position.status).toBe('OPEN');
+    expect(position.high_water_pnl).toBe(2.5);
+    expect(JSON.parse(position.take_profit_ladder)).toHaveLength(2);
+    expect(position.closed_token_amount).toBe(1);
+    expect(position.realized_gala).toBe(52);
+    expect(position.ladder_step).toBe(1);
+
+    await DatabaseService.closePosition(positionId, null, 'Buyback', { galaAmount: 55, exitReason: 'TRAILING_STOP' });
+
+    position = await DatabaseService.get('SELECT * FROM open_positions WHERE id = ?', [positionId]);
+    expect(position.status).toBe('CLOSED');
+    expect(position.closed_token_amount).toBe(2);
+    expect(position.realized_gala).toBe(107);
+    expect(position.realized_pnl).toBeCloseTo(7);
+    expect(position.exit_reason).toBe('TRAILING_STOP');
+
+    const fills = await DatabaseService.getPositionFills(positionId);
+    expect(fills.map(fill => fill.action)).toEqual(['OPEN', 'PARTIAL_CLOSE', 'CLOSE']);
+    expect(fills[1].cost_basis).toBeCloseTo(50);
+    expect(fills[1].realized_pnl).toBeCloseTo(2);
+    expect(fills[2].realized_pnl).toBeCloseTo(5);
+  });
+
+  test('should scale into an open position with a weighted-average entry', async () => {
+    const positionId = await DatabaseService.createOpenPosition({
+      strategy: 'scale_test',
+      symbol: 'GALA/GWETH',
+      token_symbol: 'GWETH',
+      gala_symbol: 'GWETH|Unit|none|none',
+      entry_trade_id: 1,
+      entry_price: 2,
+      entry_amount: 100,
+      token_amount: 200
+    });
+
+    const found = await DatabaseService.findOpenPosition('scale_test', 'GWETH|Unit|none|none');
+    expect(found.id).toBe(positionId);
+    expect(await DatabaseService.findOpenPosition('other_strategy', 'GWETH|Unit|none|none')).toBeNull();
+
+    // Close a quarter at cost, then add 100 GALA at 1 token per GALA
+    await DatabaseService.closePosition(positionId, null, 'Partial close', { tokenAmount: 50, galaAmount: 25 });
+    const scaled = await DatabaseService.scaleIntoPosition(positionId, { galaAmount: 100, tokenAmount: 100 });
+
+    expect(scaled.entry_amount).toBe(200);
+    expect(scaled.token_amount).toBe(300);
+    // 150 remaining tokens cost 75 GALA, plus 100 tokens for 100 GALA
+    expect(scaled.entry_price).toBeCloseTo(250 / 175);
+
+    const position = await DatabaseService.getPosition(positionId);
+    expect(position.scale_count).toBe(1);
+    expect(position.entry_price).toBeCloseTo(250 / 175);
+
+    // Closing the rest realizes PnL against the remaining 175 GALA of cost
+    await DatabaseService.closePosition(positionId, null, 'Close', { galaAmount: 200 });
+    const closed = await DatabaseService.getPosition(positionId);
+    expect(closed.status).toBe('CLOSED');
+    expect(closed.realized_pnl).toBeCloseTo(25);
+  });
+
+  test('should report open exposure and realized PnL for risk checks', async () => {
+    const since = new Date(Date.now() - 60000).toISOString();
+    const before = await DatabaseService.getRealizedPnLSince(since, true);
+
+    const positionId = await DatabaseService.createOpenPosition({
+      strategy: 'risk_test',
+      symbol: 'GALA/GRISK',
+      token_symbol: 'GRISK',
+      gala_symbol: 'GRISK|Unit|none|none',
+      entry_trade_id: 1,
+      entry_price: 1,
+      entry_amount: 40,
+      token_amount: 40
+    });
+
+    const exposure = await DatabaseService.getOpenPositionExposure();
+    expect(exposure.find(row => row.gala_symbol === 'GRISK|Unit|none|none')).toMatchObject({ positions: 1, cost_basis: 40 });
+
+    const tradeId = await DatabaseService.logTrade({
+      strategy: 'risk_test',
+      symbol: 'GALA/GRISK',
+      side: 'BUY',
+      amount: 10,
+      price: 0.8,
+      total_value: 8,
+      slippage: 0.05,
+      status: 'COMPLETED',
+      dry_run: true,
+      executed_at: new Date().toISOString()
+    });
+    await DatabaseService.closePosition(positionId, tradeId, 'Partial', { tokenAmount: 10, galaAmount: 8 });
+
+    const after = await DatabaseService.getRealizedPnLSince(since, true);
+    expect(after.realizedPnL - before.realizedPnL).toBeCloseTo(-2);
+    expect((await DatabaseService.getRealizedPnLSince(since, false)).realizedPnL).toBe(0);
+  });
+
+  test('should persist risk state', async () => {
+    expect(await DatabaseService.getRiskState('kill_switch')).toBeNull();
+
+    await DatabaseService.setRiskState('kill_switch', { engaged: true, reason: 'test' });
+    await DatabaseService.setRiskState('kill_switch', { engaged: false, reason: null });
+
+    expect(await DatabaseService.getRiskState('kill_switch')).toEqual({ engaged: false, reason: null });
+  });
+
+  test('should keep the next run of an unchanged job schedule', async () => {
+    const job = { name: 'strategy:TEST', job_type: 'strategy', schedule: '*/5 * * * *', payload: { symbol: 'TEST' } };
+
+    await DatabaseService.upsertScheduledJob({ ...job, next_run_at: '2025-01-01T00:05:00.000Z' });
+    const kept = await DatabaseService.upsertScheduledJob({ ...job, next_run_at: '2025-01-02T00:05:00.000Z' });
+    expect(kept).toMatchObject({ next_run_at: '2025-01-01T00:05:00.000Z', payload: { symbol: 'TEST' }, enabled: true });
+
+    const rescheduled = await DatabaseService.upsertScheduledJob({ ...job, schedule: '0 * * * *', next_run_at: '2025-01-02T01:00:00.000Z' });
+    expect(rescheduled.next_run_at).toBe('2025-01-02T01:00:00.000Z');
+
+    expect(await DatabaseService.removeStaleScheduledJobs('strategy', ['strategy:OTHER'])).toBe(1);
+    expect(await DatabaseService.getScheduledJob('strategy:TEST')).toBeNull();
+  });
+
+  test('should let one owner hold a job lock until it expires', async () => {
+    expect(await DatabaseService.acquireJobLock('lock_test', 'host:1', 60000)).toBe(true);
+    expect(await DatabaseService.acquireJobLock('lock_test', 'host:2', 60000)).toBe(false);
+
+    expect(await DatabaseService.releaseJobLock('lock_test', 'host:2')).toBe(false);
+    expect(await DatabaseService.releaseJobLock('lock_test', 'host:1')).toBe(true);
+    expect(await DatabaseService.acquireJobLock('lock_test', 'host:2', -1)).toBe(true);
+
+    // An expired lock is taken over
+    expect(await DatabaseService.acquireJobLock('lock_test', 'host:3', 60000)).toBe(true);
+    await DatabaseService.releaseJobLock('lock_test', 'host:3');
+  });
+
+  test('should record job runs and fail runs interrupted by a crash', async () => {
+    const runId = await DatabaseService.createJobRun({ job_name: 'run_test', scheduled_for: '2025-01-01T00:00:00.000Z', owner: 'host:1' });
+    await DatabaseService.finishJobRun(runId, 'SUCCEEDED', { result: { tradesExecuted: 1 } });
+
+    const crashedId = await DatabaseService.createJobRun({ job_name: 'run_test', scheduled_for: '2025-01-01T00:05:00.000Z', owner: 'host:1' });
+    await DatabaseService.acquireJobLock('run_test', 'host:2', 60000);
+    const liveId = await DatabaseService.createJobRun({ job_name: 'run_test', scheduled_for: '2025-01-01T00:10:00.000Z', owner: 'host:2' });
+
+    expect(await DatabaseService.failInterruptedJobRuns()).toBe(1);
+
+    const runs = await DatabaseService.getJobRuns({ jobName: 'run_test' });
+    expect(runs.find(run => run.id === runId)).toMatchObject({ status: 'SUCCEEDED', result: { tradesExecuted: 1 } });
+    expect(runs.find(run => run.id === crashedId)).toMatchObject({ status: 'FAILED', error: expect.stringContaining('Interrupted') });
+    expect(runs.find(run => run.id === liveId).status).toBe('RUNNING');
+
+    await DatabaseService.releaseJobLock('run_test', 'host:2');
+  });
+
+  test('should move outbox notifications through delivery states', async () => {
+    const [discordId, emailId] = await DatabaseService.enqueueNotification('error', { title: 'Boom' }, ['discord', 'email']);
+
+    const due = await DatabaseService.getDueNotifications();
+    expect(due.map(entry => entry.id)).toEqual(expect.arrayContaining([discordId, emailId]));
+    expect(due.find(entry => entry.id === discordId).message).toEqual({ title: 'Boom' });
+
+    // Only one worker can claim an entry
+    expect(await DatabaseService.claimNotification(discordId)).toBe(true);
+    expect(await DatabaseService.claimNotification(discordId)).toBe(false);
+    await DatabaseService.markNotificationSent(discordId);
+
+    await DatabaseService.claimNotification(emailId);
+    await DatabaseService.markNotificationFailed(emailId, 'timeout', new Date(Date.now() + 60000).toISOString());
+    expect(await DatabaseService.getOutboxNotification(emailId)).toMatchObject({ status: 'PENDING', attempts: 1, last_error: 'timeout' });
+    expect((await DatabaseService.getDueNotifications()).map(entry => entry.id)).not.toContain(emailId);
+
+    await DatabaseService.claimNotification(emailId);
+    await DatabaseService.markNotificationFailed(emailId, 'timeout', null);
+    expect((await DatabaseService.getOutboxNotification(emailId)).status).toBe('DEAD');
+
+    expect(await DatabaseService.replayNotifications({ channel: 'email' })).toBe(1);
+    expect(await DatabaseService.getOutboxNotification(emailId)).toMatchObject({ status: 'PENDING', attempts: 0 });
+
+    const stats = await DatabaseService.getOutboxStats();
+    expect(stats).toEqual(expect.arrayContaining([
+      { channel: 'discord', status: 'SENT', count: 1 },
+      { channel: 'email', status: 'PENDING', count: 1 }
+    ]));
+    expect((await DatabaseService.getOutboxNotifications({ channel: 'discord' }))[0].sent_at).toBeTruthy();
+  });
+
+  test('should store users, API keys and sessions', async () => {
+    const user = await DatabaseService.createUser({ username: 'db-test', password_hash: 'scrypt$hash', role: 'trader' });
+    expect(user).toMatchObject({ username: 'db-test', role: 'trader', active: true });
+    expect(user.password_hash).toBeUndefined();
+    expect((await DatabaseService.getUserCredentials('db-test')).password_hash).toBe('scrypt$hash');
+
+    const key = await DatabaseService.createApiKey({ name: 'ci', key_prefix: 'gtb_abc', key_hash: 'keyhash', role: 'viewer' });
+    expect((await DatabaseService.useApiKey('keyhash')).name).toBe('ci');
+    expect(await DatabaseService.revokeApiKey(key.id)).toBe(true);
+    expect(await DatabaseService.revokeApiKey(key.id)).toBe(false);
+    expect(await DatabaseService.useApiKey('keyhash')).toBeNull();
+
+    await DatabaseService.createSession('live', user.id, new Date(Date.now() + 60000).toISOString());
+    await DatabaseService.createSession('expired', user.id, new Date(Date.now() - 1000).toISOString());
+    expect(await DatabaseService.getSessionUser('live')).toMatchObject({ user_id: user.id, username: 'db-test', role: 'trader' });
+    expect(await DatabaseService.getSessionUser('expired')).toBeNull();
+    expect(await DatabaseService.deleteExpiredSessions()).toBe(1);
+
+    // Sessions of a deactivated user stop resolving
+    await DatabaseService.updateUser(user.id, { active: false });
+    expect(await DatabaseService.getSessionUser('live')).toBeNull();
+  });
+
+  test('should keep wallets and scope positions and PnL to a wallet', async () => {
+    expect(await DatabaseService.getDefaultWallet()).toMatchObject({ id: 1, name: 'main', address: null, is_default: true, strategies: [] });
+
+    const wallet = await DatabaseService.createWallet({
+      name: 'db-test-dca',
+      address: 'eth|1234567890123456789012345678901234567890',
+      strategies: ['dca'],
+      max_open_positions: 2
+    });
+    expect(wallet).toMatchObject({ name: 'db-test-dca', strategies: ['dca'], max_open_positions: 2, max_token_exposure: null, is_default: false, is_active: true });
+    expect((await DatabaseService.getWallet('db-test-dca')).id).toBe(wallet.id);
+
+    const since = new Date(Date.now() - 60000).toISOString();
+    const positionId = await DatabaseService.createOpenPosition({
+      strategy: 'wallet_test',
+      symbol: 'GALA/GWAL',
+      token_symbol: 'GWAL',
+      gala_symbol: 'GWAL|Unit|none|none',
+      entry_trade_id: 1,
+      entry_price: 1,
+      entry_amount: 20,
+      token_amount: 20,
+      wallet_id: wallet.id
+    });
+    const tradeId = await DatabaseService.logTrade({
+      strategy: 'wallet_test',
+      symbol: 'GALA/GWAL',
+      side: 'BUY',
+      amount: 20,
+      price: 0.5,
+      total_value: 10,
+      slippage: 0.05,
+      dry_run: true,
+      wallet_id: wallet.id
+    });
+    await DatabaseService.closePosition(positionId, tradeId, 'Closed', { tokenAmount: 10, galaAmount: 5 });
+
+    expect((await DatabaseService.getOpenPositions(null, wallet.id)).map(position => position.id)).toEqual([positionId]);
+    expect(await DatabaseService.findOpenPosition('wallet_test', 'GWAL|Unit|none|none', 1)).toBeNull();
+    expect(await DatabaseService.getOpenPositionExposure(wallet.id)).toEqual([{ gala_symbol: 'GWAL|Unit|none|none', positions: 1, cost_basis: 10 }]);
+    expect((await DatabaseService.getRealizedPnLSince(since, true, wallet.id)).realizedPnL).toBeCloseTo(-5);
+    expect((await DatabaseService.getTradeHistory('wallet_test', { walletId: 1 }))).toEqual([]);
+
+    // Only one default at a time
+    await DatabaseService.updateWallet(wallet.id, { is_default: true, strategies: [] });
+    expect((await DatabaseService.getDefaultWallet()).id).toBe(wallet.id);
+    expect((await DatabaseService.getWallet(1)).is_default).toBe(false);
+    expect((await DatabaseService.getWallet(wallet.id)).strategies).toEqual([]);
+
+    await DatabaseService.updateWallet(1, { is_default: true });
+    expect((await DatabaseService.getWallets()).map(row => row.name)).toEqual(['main', 'db-test-dca']);
+  });
+
+  test('should list completed trades oldest first for lot accounting', async () => {
+    const base = { strategy: 'lots_test', symbol: 'GALA/GLOT', price: 1, total_value: 10, slippage: 0.05, dry_run: true };
+    const later = await DatabaseService.logTrade({ ...base, side: 'BUY', amount: 10, executed_at: '2025-03-02T00:00:00.000Z' });
+    const earlier = await DatabaseService.logTrade({ ...base, side: 'SELL', amount: 10, executed_at: '2025-03-01T00:00:00.000Z' });
+    await DatabaseService.logTrade({ ...base, side: 'SELL', amount: 10, status: 'FAILED', executed_at: '2025-03-01T12:00:00.000Z' });
+
+    const trades = await DatabaseService.getCompletedTrades({ strategy: 'lots_test', dryRun: true });
+    expect(trades.map(row => row.id)).toEqual([earlier, later]);
+    expect(await DatabaseService.getCompletedTrades({ strategy: 'lots_test', until: '2025-03-01T23:59:59.000Z', symbol: 'GALA/GLOT' })).toHaveLength(1);
+    expect(await DatabaseService.getCompletedTrades({ strategy: 'lots_test', dryRun: false })).toEqual([]);
+    expect(await DatabaseService.getCompletedTrades({ strategy: 'lots_test', since: '2025-03-01T06:00:00.000Z' })).toEqual([expect.objectContaining({ id: later })]);
+  });
+
+  test('should date the last execution of a strategy by symbol and mode', async () => {
+    const base = { strategy: 'last_exec_test', side: 'BUY', amount: 10, price: 0.02, total_value: 0.2, slippage: 0.05 };
+    await DatabaseService.logTrade({ ...base, symbol: 'GALA', dry_run: false, executed_at: '2025-06-01T00:00:00.000Z' });
+    await DatabaseService.logTrade({ ...base, symbol: 'GALA/GUSDC', dry_run: false, executed_at: '2025-06-02T00:00:00.000Z' });
+    await DatabaseService.logTrade({ ...base, symbol: 'GALA/GUSDC', dry_run: true, executed_at: '2025-06-03T00:00:00.000Z' });
+    await DatabaseService.logTrade({ ...base, symbol: 'GALA', dry_run: false, status: 'FAILED', executed_at: '2025-06-04T00:00:00.000Z' });
+
+    expect(await DatabaseService.getLastTradeExecution('last_exec_test', 'GALA')).toBe('2025-06-01T00:00:00.000Z');
+    expect(await DatabaseService.getLastTradeExecution('last_exec_test', ['GALA/GUSDC', 'GALA'])).toBe('2025-06-03T00:00:00.000Z');
+    expect(await DatabaseService.getLastTradeExecution('last_exec_test', ['GALA/GUSDC', 'GALA'], { dryRun: false })).toBe('2025-06-02T00:00:00.000Z');
+    expect(await DatabaseService.getLastTradeExecution('last_exec_test', 'GALA/GWETH')).toBeNull();
+  });
+
+  test('should summarize trades and their fees', async () => {
+    const base = { strategy: 'summary_test', symbol: 'GALA/GSUM', side: 'SELL', amount: 10, price: 1, total_value: 10, slippage: 0.05, dry_run: true };
+    const since = '2025-05-01T00:00:00.000Z';
+    await DatabaseService.run('DELETE FROM trades WHERE executed_at >= ?', [since]);
+    await DatabaseService.logTrade({ ...base, fee: 0.03, executed_at: '2025-05-02T00:00:00.000Z' });
+    await DatabaseService.logTrade({ ...base, fee: 0.01, status: 'FAILED', executed_at: '2025-05-02T01:00:00.000Z' });
+
+    expect(await DatabaseService.getTradeSummarySince(since, true)).toEqual({ total: 2, completed: 1, failed: 1, fees: 0.03 });
+  });
+
+  test('should look up the price at a point in time', async () => {
+    await DatabaseService.savePriceSamples([
+      { symbol: 'PRICEAT|Unit|none|none', price: 1, timestamp: '2025-04-01T00:00:00.000Z', source: 'price_oracle' },
+      { symbol: 'PRICEAT|Unit|none|none', price: 2, timestamp: '2025-04-01T12:00:00.000Z', source: 'price_oracle' },
+      { symbol: 'PRICEAT|Unit|none|none', price: 3, timestamp: '2025-04-01T18:00:00.000Z', source: 'yahoo_finance' }
+    ]);
+
+    const sample = await DatabaseService.getPriceAt('PRICEAT|Unit|none|none', '2025-04-01T20:00:00.000Z', { source: 'price_oracle' });
+    expect(sample).toEqual({ price: 2, timestamp: '2025-04-01T12:00:00.000Z' });
+    expect(await DatabaseService.getPriceAt('PRICEAT|Unit|none|none', '2025-04-03T00:00:00.000Z', { maxAgeMs: 24 * 60 * 60 * 1000 })).toBeNull();
+    expect(await DatabaseService.getPriceAt('PRICEAT|Unit|none|none', '2025-03-31T00:00:00.000Z')).toBeNull();
+  });
+
+  test('should store portfolio snapshots and prune old ones', async () => {
+    const holdings = [{ symbol: 'GALA', galaSymbol: 'GALA|Unit|none|none', quantity: 500, priceUsd: 0.02, valueUsd: 10, valueGala: 500, allocation: 1 }];
+    for (const [takenAt, totalUsd] of [['2025-01-01T00:00:00.000Z', 10], ['2025-01-02T00:00:00.000Z', 12], ['2025-01-03T00:00:00.000Z', 11]]) {
+      await DatabaseService.savePortfolioSnapshot({ wallet_id: 1, total_usd: totalUsd, total_gala: 500, gala_price_usd: totalUsd / 500, holdings, taken_at: takenAt });
+    }
+    await DatabaseService.savePortfolioSnapshot({ wallet_id: 1, total_usd: 99, holdings: [], unpriced: ['GDUST|Unit|none|none'], paper: true, taken_at: '2025-01-02T12:00:00.000Z' });
+
+    const live = await DatabaseService.getPortfolioSnapshots(1, { since: '2025-01-02T00:00:00.000Z', paper: false });
+    expect(live.map(row => row.total_usd)).toEqual([12, 11]);
+    expect(live[0].holdings).toBeUndefined();
+
+    const [latest] = await DatabaseService.getPortfolioSnapshots(1, { limit: 1, withHoldings: true });
+    expect(latest).toMatchObject({ total_usd: 11, paper: false, unpriced: [], holdings });
+
+    const [paper] = await DatabaseService.getPortfolioSnapshots(1, { paper: true });
+    expect(paper).toMatchObject({ total_gala: null, unpriced: ['GDUST|Unit|none|none'] });
+
+    expect(await DatabaseService.deletePortfolioSnapshotsBefore('2025-01-02T06:00:00.000Z')).toBe(2);
+    expect(await DatabaseService.getPortfolioSnapshots(2)).toEqual([]);
+  });
+
+  test('should store per-symbol price guards and look symbols up by token', async () => {
+    await DatabaseService.upsertMonitoredSymbol({
+      symbol: 'GGUARD', display_name: 'Guarded', yahoo_symbol: 'GGUARD-USD', gala_symbol: 'GGUARD|Unit|none|none',
+      max_price_impact: 0.01, max_oracle_deviation: 0.03
+    });
+
+    expect(await DatabaseService.getMonitoredSymbolByToken('GGUARD|Unit|none|none'))
+      .toMatchObject({ symbol: 'GGUARD', max_price_impact: 0.01, max_oracle_deviation: 0.03, is_active: true });
+    expect(await DatabaseService.getMonitoredSymbolByToken('GNONE|Unit|none|none')).toBeNull();
+
+    await DatabaseService.upsertMonitoredSymbol({ symbol: 'GGUARD', display_name: 'Guarded', yahoo_symbol: 'GGUARD-USD', gala_symbol: 'GGUARD|Unit|none|none' });
+    expect(await DatabaseService.getMonitoredSymbol('GGUARD')).toMatchObject({ max_price_impact: null, max_oracle_deviation: null });
+  });
+
   test('should pass health check', async () => {
     const isHealthy = await DatabaseService.healthCheck();
     expect(isHealthy).toBe(true);
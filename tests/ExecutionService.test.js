@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const ExecutionService = require('../services/ExecutionService');
+
+describe('ExecutionService', () => {
+  const testDbPath = path.join(__dirname, 'execution-test.db');
+  const GALA = 'GALA|Unit|none|none';
+  const GUSDC = 'GUSDC|Unit|none|none';
+  let DatabaseService;
+  let executionService;
+  let mockTradingService;
+  let poolPrice;
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM trades');
+
+    // GUSDC per GALA; a swap of 1000 GALA moves the price 1%
+    poolPrice = 0.05;
+    const logTradeExecution = jest.fn((data) => DatabaseService.logTrade({
+      strategy: data.strategy,
+      symbol: 'GALA/GUSDC',
+      side: 'SELL',
+      amount: data.amount,
+      price: data.expectedPrice,
+      total_value: data.amount * data.expectedPrice,
+      slippage: data.slippage ?? 0.05,
+      status: data.status,
+      dry_run: data.dryRun,
+      wallet_id: data.walletId,
+      execution_algo: data.executionAlgo,
+      parent_trade_id: data.parentTradeId
+    }));
+
+    mockTradingService = {
+      minTradeAmount: 1,
+      maxTradeAmount: 1000,
+      defaultSlippage: 0.05,
+      isDryRun: true,
+      isPaperTrading: () => false,
+      formatTokenName: token => token.split('|')[0],
+      trackOpenPosition: jest.fn().mockResolvedValue({ positionId: 3, scaled: false }),
+      getWalletContext: jest.fn(() => ({ id: 1, name: 'main' })),
+      getQuote: jest.fn(async (from, to, amount) => ({
+        success: true,
+        outputAmount: amount * poolPrice * (1 - amount / 100000),
+        priceImpact: amount / 100000
+      })),
+      logTradeExecution,
+      executeSwap: jest.fn(async (from, to, amount, options) => {
+        const output = amount * poolPrice * (1 - amount / 100000);
+        const tradeId = await logTradeExecution({
+          strategy: options.strategy, amount, expectedPrice: output / amount, status: 'COMPLETED',
+          dryRun: true, walletId: 1, parentTradeId: options.parentTradeId
+        });
+        return { success: true, expectedOutput: output.toString(), tradeId };
+      })
+    };
+
+    executionService = new ExecutionService();
+    executionService.databaseService = DatabaseService;
+    executionService.tradingService = mockTradingService;
+    executionService.sleep = jest.fn().mockResolvedValue();
+    await executionService.init();
+  });
+
+  test('should execute a TWAP order as child trades with an aggregate fill', async () => {
+    const result = await executionService.execute({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 3000, slices: 3, intervalSeconds: 30 });
+
+    expect(result).toMatchObject({ status: 'COMPLETED', requested: 3000, filled: 3000, reason: null });
+    expect(result.slices).toHaveLength(3);
+    expect(executionService.sleep).toHaveBeenCalledTimes(2);
+    expect(executionService.sleep).toHaveBeenCalledWith(30000);
+    expect(mockTradingService.executeSwap).toHaveBeenCalledWith(GALA, GUSDC, 1000, expect.objectContaining({ parentTradeId: result.parentTradeId, strategy: 'twap_order', trackPosition: false }));
+    expect(mockTradingService.trackOpenPosition).toHaveBeenCalledTimes(1);
+    expect(mockTradingService.trackOpenPosition).toHaveBeenCalledWith(expect.objectContaining({
+      tradeId: result.parentTradeId, toToken: GUSDC, galaAmount: 3000, tokenAmount: result.output, executedPrice: result.averagePrice
+    }));
+
+    const { order, slices, running } = await executionService.getAlgoOrder(result.parentTradeId);
+    expect(running).toBe(false);
+    expect(order).toMatchObject({ execution_algo: 'twap', status: 'COMPLETED', amount: 3000 });
+    expect(order.total_value).toBeCloseTo(3 * 1000 * 0.05 * 0.99);
+    expect(order.price).toBeCloseTo(0.0495);
+    expect(slices.map(slice => slice.parent_trade_id)).toEqual([result.parentTradeId, result.parentTradeId, result.parentTradeId]);
+
+    // Only the slices count as trades
+    const trades = await DatabaseService.getCompletedTrades();
+    expect(trades).toHaveLength(3);
+  });
+
+  test('should size iceberg slices by price impact', async () => {
+    const result = await executionService.execute({ algo: 'iceberg', fromToken: GALA, toToken: GUSDC, amount: 750.5, maxImpact: 0.003, intervalSeconds: 0 });
+
+    // 1000 (1%) -> 500 -> 250 (0.25%) per slice; the last 0.5 is below the minimum trade, so it is not left on its own
+    expect(result.status).toBe('COMPLETED');
+    expect(result.slices.map(slice => slice.amount)).toEqual([250, 250, 249.5, 1]);
+    expect(executionService.sleep).not.toHaveBeenCalled();
+  });
+
+  test('should stop when the price moves against the order', async () => {
+    mockTradingService.executeSwap.mockImplementationOnce(async (from, to, amount, options) => {
+      poolPrice = 0.045;
+      return { success: true, expectedOutput: String(amount * 0.05), tradeId: await mockTradingService.logTradeExecution({
+        strategy: options.strategy, amount, expectedPrice: 0.05, status: 'COMPLETED', dryRun: true, walletId: 1, parentTradeId: options.parentTradeId
+      }) };
+    });
+
+    const result = await executionService.execute({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 300, slices: 3 });
+
+    expect(result).toMatchObject({ status: 'CANCELLED', filled: 100 });
+    expect(result.reason).toContain('Price moved 10.00% against the order');
+    const parent = await DatabaseService.getTrade(result.parentTradeId);
+    expect(parent).toMatchObject({ status: 'CANCELLED', amount: 100, total_value: 5 });
+    expect(parent.notes).toContain('stopped: Price moved');
+  });
+
+  test('should fail without fills and cancel running orders', async () => {
+    mockTradingService.executeSwap.mockResolvedValueOnce({ success: false, error: 'Insufficient liquidity' });
+    const failed = await executionService.execute({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 300, slices: 3 });
+    expect(failed).toMatchObject({ status: 'FAILED', filled: 0, reason: 'Slice 1 failed: Insufficient liquidity' });
+
+    // Cancel while waiting for the second slice
+    let release;
+    const waiting = new Promise(resolve => {
+      executionService.sleep = jest.fn(() => {
+        resolve();
+        return new Promise(done => { release = done; });
+      });
+    });
+    const { parentTradeId, completion } = await executionService.start({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 300, slices: 3 });
+    await waiting;
+
+    await executionService.cancel(parentTradeId);
+    release();
+    const cancelled = await completion;
+    expect(cancelled).toMatchObject({ status: 'CANCELLED', filled: 100, reason: 'Cancelled' });
+    await expect(executionService.cancel(parentTradeId)).rejects.toThrow('is not running');
+    await expect(executionService.cancel(999)).rejects.toThrow('Unknown algo order');
+
+    const orders = await executionService.getAlgoOrders({ status: 'cancelled' });
+    expect(orders.map(order => order.id)).toEqual([parentTradeId]);
+  });
+
+  test('should validate algo orders', async () => {
+    await expect(executionService.start({ algo: 'vwap', fromToken: GALA, toToken: GUSDC, amount: 100 })).rejects.toThrow('Invalid algo');
+    await expect(executionService.start({ algo: 'twap', fromToken: GALA, toToken: GALA, amount: 100 })).rejects.toThrow('fromToken and toToken');
+    await expect(executionService.start({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 0.5 })).rejects.toThrow('Invalid amount');
+    await expect(executionService.start({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 100, slices: 2.5 })).rejects.toThrow('Invalid slices');
+    await expect(executionService.start({ algo: 'twap', fromToken: GALA, toToken: GUSDC, amount: 50000 })).rejects.toThrow('needs 50 slices');
+    expect(mockTradingService.logTradeExecution).not.toHaveBeenCalled();
+  });
+});
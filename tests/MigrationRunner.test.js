@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const MigrationRunner = require('../services/MigrationRunner');
+
+/**
+ * Minimal promise wrapper exposing the DatabaseService run/all surface
+ */
+function createTestDb() {
+  const db = new sqlite3.Database(':memory:');
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    close: () => new Promise(resolve => db.close(resolve))
+  };
+}
+
+function writeMigration(dir, file, body) {
+  fs.writeFileSync(path.join(dir, file), `module.exports = ${body};\n`);
+}
+
+describe('MigrationRunner', () => {
+  let dir;
+  let db;
+  let runner;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = createTestDb();
+    runner = new MigrationRunner(db, dir);
+
+    writeMigration(dir, '001_widgets.js', `{
+      description: 'widgets',
+      async up(db) { await db.run('CREATE TABLE widgets (id INTEGER PRIMARY KEY)'); },
+      async down(db) { await db.run('DROP TABLE widgets'); }
+    }`);
+    writeMigration(dir, '002_widget_color.js', `{
+      async up(db) { await db.run('ALTER TABLE widgets ADD COLUMN color TEXT'); },
+      async down(db) { await db.run('ALTER TABLE widgets DROP COLUMN color'); }
+    }`);
+    fs.writeFileSync(path.join(dir, 'README.md'), 'ignored');
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should load numbered migrations in order', () => {
+    const migrations = runner.loadMigrations();
+
+    expect(migrations.map(m => m.version)).toEqual([1, 2]);
+    expect(migrations[0].name).toBe('widgets');
+    expect(migrations[0].description).toBe('widgets');
+  });
+
+  test('should apply pending migrations and record them', async () => {
+    const applied = await runner.up();
+    expect(applied.map(m => m.version)).toEqual([1, 2]);
+
+    const columns = await db.all('PRAGMA table_info(widgets)');
+    expect(columns.map(c => c.name)).toEqual(['id', 'color']);
+
+    const status = await runner.status();
+    expect(status.currentVersion).toBe(2);
+    expect(status.pending).toBe(0);
+
+    // Re-running is a no-op
+    expect(await runner.up()).toEqual([]);
+  });
+
+  test('should stop at a target version and roll back newest first', async () => {
+    await runner.up({ to: 1 });
+    expect((await runner.status()).pending).toBe(1);
+
+    await runner.up();
+    const rolledBack = await runner.down();
+    expect(rolledBack).toEqual([{ version: 2, name: 'widget_color' }]);
+
+    const columns = await db.all('PRAGMA table_info(widgets)');
+    expect(columns.map(c => c.name)).toEqual(['id']);
+
+    await runner.down({ to: 0 });
+    expect((await runner.status()).currentVersion).toBe(0);
+  });
+
+  test('should roll back a failed migration atomically', async () => {
+    writeMigration(dir, '003_broken.js', `{
+      async up(db) {
+        await db.run('CREATE TABLE gadgets (id INTEGER PRIMARY KEY)');
+        await db.run('ALTER TABLE missing_table ADD COLUMN nope TEXT');
+      }
+    }`);
+
+    await expect(runner.up()).rejects.toThrow('Migration 3_broken up failed');
+
+    const status = await runner.status();
+    expect(status.currentVersion).toBe(2);
+    const gadgets = await db.all("SELECT name FROM sqlite_master WHERE name = 'gadgets'");
+    expect(gadgets).toHaveLength(0);
+  });
+
+  test('should refuse to roll back irreversible migrations', async () => {
+    writeMigration(dir, '003_one_way.js', `{ async up(db) { await db.run('CREATE TABLE logs (id INTEGER)'); } }`);
+    await runner.up();
+
+    await expect(runner.down()).rejects.toThrow('is irreversible');
+  });
+
+  test('should reject duplicate versions', () => {
+    writeMigration(dir, '002_duplicate.js', `{ async up() {} }`);
+    expect(() => runner.loadMigrations()).toThrow('Duplicate migration version 2');
+  });
+});
+
+describe('DatabaseService migrations', () => {
+  const testDbPath = path.join(__dirname, 'migration-test.db');
+  let DatabaseService;
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  test('should apply every bundled migration on init', async () => {
+    const status = await DatabaseService.getMigrationStatus();
+
+    expect(status.pending).toBe(0);
+    expect(status.migrations[0]).toEqual(expect.objectContaining({ version: 1, name: 'initial_schema', applied: true }));
+  });
+
+  test('should roll back and re-apply the latest migration', async () => {
+    const status = await DatabaseService.getMigrationStatus();
+    const latest = status.currentVersion;
+
+    const rolledBack = await DatabaseService.rollbackMigrations();
+    expect(rolledBack[0].version).toBe(latest);
+    expect((await DatabaseService.getMigrationStatus()).pending).toBe(1);
+
+    const applied = await DatabaseService.migrate();
+    expect(applied[0].version).toBe(latest);
+    expect((await DatabaseService.getMigrationStatus()).currentVersion).toBe(latest);
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const OrderService = require('../services/OrderService');
+
+describe('OrderService', () => {
+  const testDbPath = path.join(__dirname, 'orders-test.db');
+  const GALA = 'GALA|Unit|none|none';
+  const GUSDC = 'GUSDC|Unit|none|none';
+  let DatabaseService;
+  let orderService;
+  let mockTradingService;
+  let usdPrices;
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM pending_orders');
+
+    // GUSDC at $1 and GALA at $0.05 = 20 GALA per GUSDC
+    usdPrices = { [GALA]: 0.05, [GUSDC]: 1 };
+    mockTradingService = {
+      getWalletContext: jest.fn((wallet) => {
+        if (wallet && wallet !== 'main') {
+          throw new Error(`Unknown or inactive wallet: ${wallet}`);
+        }
+        return { id: 1, name: 'main' };
+      }),
+      executeSwapWithBalanceCheck: jest.fn().mockResolvedValue({ success: true, trade: { success: true, tradeId: 42 } })
+    };
+
+    orderService = new OrderService();
+    orderService.databaseService = DatabaseService;
+    orderService.tradingService = mockTradingService;
+    orderService.priceOracleService = {
+      getCurrentPrice: jest.fn(async (symbol) => (usdPrices[symbol] ? { success: true, price: usdPrices[symbol] } : { success: false, error: 'No price data available' }))
+    };
+    await orderService.init();
+  });
+
+  test('should place and validate orders', async () => {
+    const order = await orderService.placeOrder({ type: 'limit', side: 'sell', token: GUSDC, amount: 5, price: 25, expiresInHours: 0, createdBy: 'tester' });
+    expect(order).toMatchObject({ order_type: 'LIMIT', side: 'SELL', token: GUSDC, quote_token: GALA, trigger_price: 25, status: 'PENDING', expires_at: null, created_by: 'tester' });
+
+    const defaulted = await orderService.placeOrder({ type: 'stop', side: 'sell', token: GUSDC, amount: 5, price: 18 });
+    expect(new Date(defaulted.expires_at).getTime()).toBeGreaterThan(Date.now() + 167 * 60 * 60 * 1000);
+
+    await expect(orderService.placeOrder({ type: 'market', side: 'sell', token: GUSDC, amount: 5, price: 1 })).rejects.toThrow('Invalid order type');
+    await expect(orderService.placeOrder({ type: 'limit', side: 'hold', token: GUSDC, amount: 5, price: 1 })).rejects.toThrow('Invalid side');
+    await expect(orderService.placeOrder({ type: 'limit', side: 'buy', token: GALA, amount: 5, price: 1 })).rejects.toThrow('token and quote token');
+    await expect(orderService.placeOrder({ type: 'limit', side: 'buy', token: GUSDC, amount: 5, price: 0 })).rejects.toThrow('Invalid price');
+    await expect(orderService.placeOrder({ type: 'limit', side: 'buy', token: GUSDC, amount: 5, price: 1, expiresAt: '2020-01-01' })).rejects.toThrow('in the past');
+    await expect(orderService.placeOrder({ type: 'limit', side: 'buy', token: GUSDC, amount: 5, price: 1, wallet: 'nope' })).rejects.toThrow('Unknown or inactive wallet');
+  });
+
+  test('should fill triggered orders through the trading service and leave the rest pending', async () => {
+    const limitSell = await orderService.placeOrder({ type: 'limit', side: 'sell', token: GUSDC, amount: 5, price: 19 });
+    const limitBuy = await orderService.placeOrder({ type: 'limit', side: 'buy', token: GUSDC, amount: 100, price: 15, slippage: 0.01 });
+
+    const result = await orderService.checkOrders();
+
+    expect(result).toMatchObject({ checked: 2, triggered: 1, filled: 1, failed: 0, errors: [] });
+    expect(mockTradingService.executeSwapWithBalanceCheck).toHaveBeenCalledTimes(1);
+    expect(mockTradingService.executeSwapWithBalanceCheck).toHaveBeenCalledWith(GUSDC, GALA, 5, expect.objectContaining({ strategy: 'limit_order', wallet: 1, sendNotification: true }));
+    expect(await DatabaseService.getPendingOrder(limitSell.id)).toMatchObject({ status: 'FILLED', trade_id: 42, trigger_observed_price: 20 });
+    expect((await DatabaseService.getPendingOrder(limitBuy.id)).status).toBe('PENDING');
+
+    // A failed swap marks the order failed instead of retrying it
+    usdPrices[GUSDC] = 0.7;
+    mockTradingService.executeSwapWithBalanceCheck.mockResolvedValueOnce({ success: false, error: 'Insufficient GALA balance' });
+    expect(await orderService.checkOrders()).toMatchObject({ triggered: 1, failed: 1 });
+    expect(mockTradingService.executeSwapWithBalanceCheck).toHaveBeenLastCalledWith(GALA, GUSDC, 100, expect.objectContaining({ slippage: 0.01 }));
+    expect(await DatabaseService.getPendingOrder(limitBuy.id)).toMatchObject({ status: 'FAILED', error: 'Insufficient GALA balance' });
+  });
+
+  test('should cancel the other leg when one leg of an OCO pair fills', async () => {
+    const [takeProfit, stopLoss] = await orderService.placeOcoOrder({ side: 'sell', token: GUSDC, amount: 5, limitPrice: 25, stopPrice: 18 });
+    expect(takeProfit).toMatchObject({ order_type: 'LIMIT', oco_group: takeProfit.id });
+    expect(stopLoss).toMatchObject({ order_type: 'STOP', oco_group: takeProfit.id, trigger_price: 18 });
+    await expect(orderService.placeOcoOrder({ side: 'sell', token: GUSDC, amount: 5, limitPrice: 18, stopPrice: 25 })).rejects.toThrow('Invalid OCO prices');
+
+    usdPrices[GALA] = 0.06; // 16.7 GALA per GUSDC
+    const result = await orderService.checkOrders();
+
+    expect(result).toMatchObject({ filled: 1, fills: [expect.objectContaining({ orderId: stopLoss.id, status: 'FILLED' })] });
+    expect(mockTradingService.executeSwapWithBalanceCheck).toHaveBeenCalledWith(GUSDC, GALA, 5, expect.objectContaining({ strategy: 'stop_order' }));
+    expect(await DatabaseService.getPendingOrder(takeProfit.id)).toMatchObject({ status: 'CANCELLED', error: `OCO leg #${stopLoss.id} filled` });
+  });
+
+  test('should fill a triggered stop inside the trade cooldown', async () => {
+    // The wallet traded moments ago: only fills that bypass the cooldown go through
+    mockTradingService.executeSwapWithBalanceCheck.mockImplementation(async (fromToken, toToken, amount, options) => (options.bypassCooldown
+      ? { success: true, trade: { success: true, tradeId: 43 } }
+      : { success: false, error: 'Must wait 59 minutes before next trade' }));
+    const stop = await orderService.placeOrder({ type: 'stop', side: 'sell', token: GUSDC, amount: 5, price: 21 });
+
+    expect(await orderService.checkOrders()).toMatchObject({ triggered: 1, filled: 1, failed: 0 });
+    expect(await DatabaseService.getPendingOrder(stop.id)).toMatchObject({ status: 'FILLED', trade_id: 43 });
+  });
+
+  test('should cancel and expire orders', async () => {
+    const [takeProfit, stopLoss] = await orderService.placeOcoOrder({ side: 'sell', token: GUSDC, amount: 5, limitPrice: 25, stopPrice: 18 });
+    const single = await orderService.placeOrder({ type: 'limit', side: 'buy', token: GUSDC, amount: 50, price: 10 });
+
+    const { cancelled } = await orderService.cancelOrder(stopLoss.id, 'Changed my mind');
+    expect(cancelled).toBe(2);
+    expect((await DatabaseService.getPendingOrder(takeProfit.id)).status).toBe('CANCELLED');
+    await expect(orderService.cancelOrder(stopLoss.id)).rejects.toThrow(`Invalid cancel: order #${stopLoss.id} is CANCELLED`);
+    await expect(orderService.cancelOrder(9999)).rejects.toThrow('Unknown order: 9999');
+
+    await DatabaseService.run('UPDATE pending_orders SET expires_at = ? WHERE id = ?', ['2025-01-01T00:00:00.000Z', single.id]);
+    delete usdPrices[GUSDC];
+    expect(await orderService.checkOrders()).toMatchObject({ expired: 1, checked: 0, errors: [] });
+    expect(await orderService.getOrders({ status: 'expired' })).toEqual([expect.objectContaining({ id: single.id })]);
+    expect(mockTradingService.executeSwapWithBalanceCheck).not.toHaveBeenCalled();
+  });
+
+  test('should report orders that cannot be priced', async () => {
+    const order = await orderService.placeOrder({ type: 'stop', side: 'sell', token: 'GNOPRICE|Unit|none|none', amount: 1, price: 1 });
+
+    const result = await orderService.checkOrders();
+    expect(result).toMatchObject({ checked: 0, errors: [{ orderId: order.id, error: expect.stringContaining('No price for GNOPRICE') }] });
+  });
+});
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  feeTierToRate,
+  sortTokens,
+  getAmountOut,
+  calculatePriceImpact,
+  simulateSwap,
+  convertFeeToGala
+} = require('../utils/poolMath');
+const PaperExchange = require('../services/PaperExchange');
+
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+const WALLET = 'eth|1234567890123456789012345678901234567890';
+
+describe('Pool Math Utilities', () => {
+  test('should map fee tiers to rates', () => {
+    expect(feeTierToRate(500)).toBe(0.0005);
+    expect(feeTierToRate(3000)).toBe(0.003);
+    expect(feeTierToRate(10000)).toBe(0.01);
+    expect(() => feeTierToRate(42)).toThrow('Unsupported fee tier');
+  });
+
+  test('should sort tokens into canonical order', () => {
+    expect(sortTokens(GUSDC, GALA)).toEqual([GALA, GUSDC]);
+    expect(() => sortTokens(GALA, GALA)).toThrow('Cannot create pool of same tokens');
+  });
+
+  test('should apply constant-product pricing with fees', () => {
+    // 100 in, 0.3% fee, 1000/1000 pool
+    const amountOut = getAmountOut(100, 1000, 1000, 0.003);
+    expect(amountOut).toBeCloseTo((99.7 * 1000) / 1099.7);
+    expect(() => getAmountOut(0, 1000, 1000)).toThrow('Swap amount must be positive');
+    expect(() => getAmountOut(1, 0, 1000)).toThrow('Pool has no liquidity');
+  });
+
+  test('should compute price impact relative to spot', () => {
+    expect(calculatePriceImpact(100, 1000, 1000)).toBeCloseTo(100 / 1100);
+    expect(calculatePriceImpact(1, 1e9, 1e9)).toBeLessThan(1e-8);
+  });
+
+  test('should keep k non-decreasing after a swap', () => {
+    const pool = { token0: GALA, token1: GUSDC, fee_tier: 3000, reserve0: 50000, reserve1: 1000 };
+    const result = simulateSwap(pool, GUSDC, 10);
+
+    expect(result.reserve1).toBe(1010);
+    expect(result.reserve0).toBeCloseTo(50000 - result.amountOut);
+    expect(result.reserve0 * result.reserve1).toBeGreaterThanOrEqual(pool.reserve0 * pool.reserve1);
+    expect(result.fee).toBeCloseTo(0.03);
+    expect(() => simulateSwap(pool, 'GWETH|Unit|none|none', 1)).toThrow('is not part of pool');
+  });
+
+  test('should express swap fees in GALA', () => {
+    expect(convertFeeToGala({ fromSymbol: 'GALA', toSymbol: 'GUSDC', amountIn: 1000, amountOut: 50, fee: 3 })).toBe(3);
+    // 0.3 GUSDC fee at 20 GALA per GUSDC
+    expect(convertFeeToGala({ fromSymbol: 'GUSDC', toSymbol: 'GALA', amountIn: 100, amountOut: 2000, fee: 0.3 })).toBeCloseTo(6);
+    expect(convertFeeToGala({ fromSymbol: 'GUSDC', toSymbol: 'GWETH', amountIn: 100, amountOut: 0.05, fee: 0.3, fromUsd: 1, galaUsd: 0.05 })).toBeCloseTo(6);
+    expect(convertFeeToGala({ fromSymbol: 'GUSDC', toSymbol: 'GWETH', amountIn: 100, amountOut: 0.05, fee: 0.3 })).toBeNull();
+  });
+});
+
+describe('PaperExchange', () => {
+  const testDbPath = path.join(__dirname, 'paper-test.db');
+  let DatabaseService;
+  let exchange;
+
+  const quietLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM paper_balances');
+    await DatabaseService.run('DELETE FROM paper_pools');
+    await DatabaseService.run('DELETE FROM paper_transactions');
+
+    exchange = new PaperExchange({
+      walletAddress: WALLET,
+      databaseService: DatabaseService,
+      logger: quietLogger
+    });
+  });
+
+  test('should parse initial balance lists', () => {
+    expect(PaperExchange.parseBalances(`${GALA}=1000, ${GUSDC}=50,bad`)).toEqual({
+      [GALA]: 1000,
+      [GUSDC]: 50
+    });
+    expect(PaperExchange.parseBalances('')).toEqual({});
+  });
+
+  test('should fund the account only on first use', async () => {
+    expect(await exchange.init({ [GALA]: 1000 })).toBe(true);
+    expect(await exchange.init({ [GALA]: 5000 })).toBe(false);
+
+    const assets = await exchange.assets.getUserAssets(WALLET, 1, 20);
+    expect(assets.count).toBe(1);
+    expect(assets.tokens[0].symbol).toBe('GALA');
+    expect(assets.tokens[0].quantity).toBe('1000');
+    expect(assets.tokens[0].compositeKey).toBe(GALA);
+  });
+
+  test('should quote the best fee tier', async () => {
+    await exchange.seedPool(GALA, GUSDC, 50000, 1000, 3000);
+    await exchange.seedPool(GALA, GUSDC, 500000, 10000, 10000);
+
+    const smallQuote = await exchange.quoting.quoteExactInput(GALA, GUSDC, 100);
+    const quote = await exchange.quoting.quoteExactInput(GALA, GUSDC, 5000);
+
+    // Cheaper 0.3% pool wins small trades, deeper 1% pool wins large ones
+    expect(smallQuote.feeTier).toBe(3000);
+    expect(quote.feeTier).toBe(10000);
+    expect(quote.outTokenAmount.toNumber()).toBeCloseTo(getAmountOut(5000, 500000, 10000, 0.01));
+    expect(typeof quote.outTokenAmount.multipliedBy).toBe('function');
+    expect(quote.priceImpact.toNumber()).toBeGreaterThan(0);
+  });
+
+  test('should quote a single fee tier', async () => {
+    await exchange.seedPool(GALA, GUSDC, 50000, 1000, 3000);
+    await exchange.seedPool(GALA, GUSDC, 500000, 10000, 10000);
+
+    const quote = await exchange.quoting.quoteExactInput(GALA, GUSDC, 100, 10000);
+    expect(quote.feeTier).toBe(10000);
+    expect(quote.outTokenAmount.toNumber()).toBeCloseTo(getAmountOut(100, 500000, 10000, 0.01));
+    await expect(exchange.quoteExactInput(GALA, GUSDC, 100, 500)).rejects.toThrow('No paper pool for GALA|Unit|none|none/GUSDC|Unit|none|none on 500 fee tier');
+  });
+
+  test('should settle swaps against balances and pool reserves', async () => {
+    await exchange.init({ [GALA]: 1000 });
+    await exchange.seedPool(GALA, GUSDC, 50000, 1000, 3000);
+
+    const quote = await exchange.quoteExactInput(GALA, GUSDC, 100);
+    const pendingTx = await exchange.swaps.swap(
+      GALA, GUSDC, quote.feeTier,
+      { exactIn: 100, amountOutMinimum: quote.outTokenAmount.multipliedBy(0.95) },
+      WALLET
+    );
+
+    expect(pendingTx.transactionId).toMatch(/^paper-/);
+    expect(pendingTx.amountOut.toNumber()).toBeCloseTo(quote.outTokenAmount.toNumber());
+    await expect(pendingTx.wait()).resolves.toEqual(expect.objectContaining({ status: 'CONFIRMED' }));
+
+    expect(await DatabaseService.getPaperBalance(WALLET, GALA)).toBeCloseTo(900);
+    expect(await DatabaseService.getPaperBalance(WALLET, GUSDC)).toBeCloseTo(quote.outTokenAmount.toNumber());
+
+    const [pool] = await DatabaseService.getPaperPools(GALA, GUSDC);
+    expect(pool.reserve0).toBeCloseTo(50100);
+    expect(pool.reserve1).toBeCloseTo(1000 - quote.outTokenAmount.toNumber());
+
+    const transactions = await DatabaseService.getPaperTransactions(WALLET);
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].transaction_id).toBe(pendingTx.transactionId);
+  });
+
+  test('should reject swaps exceeding balance or slippage', async () => {
+    await exchange.init({ [GALA]: 10 });
+    await exchange.seedPool(GALA, GUSDC, 50000, 1000, 3000);
+
+    await expect(exchange.swap(GALA, GUSDC, 3000, { exactIn: 50 }))
+      .rejects.toThrow('Insufficient paper balance');
+
+    await expect(exchange.swap(GALA, GUSDC, 3000, { exactIn: 5, amountOutMinimum: 1 }))
+      .rejects.toThrow('Slippage exceeded');
+
+    await expect(exchange.swap(GALA, GUSDC, 500, { exactIn: 5 }))
+      .rejects.toThrow('No paper pool');
+
+    expect(await DatabaseService.getPaperBalance(WALLET, GALA)).toBe(10);
+  });
+
+  test('should seed pools from USD prices when missing', async () => {
+    exchange.priceResolver = jest.fn(async (token) => (token === GALA ? 0.02 : 1));
+    exchange.poolLiquidityUsd = 1000;
+
+    const quote = await exchange.quoteExactInput(GUSDC, GALA, 1);
+    const pools = await DatabaseService.getPaperPools(GALA, GUSDC);
+
+    expect(pools).toHaveLength(3);
+    expect(pools[0].reserve0).toBeCloseTo(50000);
+    expect(pools[0].reserve1).toBeCloseTo(1000);
+    expect(quote.outTokenAmount.toNumber()).toBeGreaterThan(49);
+    expect(quote.outTokenAmount.toNumber()).toBeLessThan(50);
+  });
+
+  test('should fail quotes when no pool can be resolved', async () => {
+    await expect(exchange.quoteExactInput(GALA, GUSDC, 1)).rejects.toThrow('No paper pool');
+  });
+});
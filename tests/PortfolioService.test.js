@@ -0,0 +1,108 @@
+const PortfolioService = require('../services/PortfolioService');
+
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+
+describe('PortfolioService', () => {
+  let portfolioService;
+  let mockDatabaseService;
+  let mockTradingService;
+  let mockPriceOracleService;
+
+  const prices = { [GALA]: 0.02, [GUSDC]: 1 };
+  const token = (symbol, quantity) => ({ symbol, quantity: String(quantity), name: symbol, decimals: 8 });
+
+  beforeEach(async () => {
+    mockDatabaseService = {
+      getMonitoredSymbols: jest.fn().mockResolvedValue([{ symbol: 'GUSDC', gala_symbol: GUSDC }]),
+      savePortfolioSnapshot: jest.fn().mockResolvedValue(11),
+      deletePortfolioSnapshotsBefore: jest.fn().mockResolvedValue(0),
+      getDefaultWallet: jest.fn().mockResolvedValue({ id: 1, name: 'main' }),
+      getWallet: jest.fn().mockResolvedValue(null),
+      getPortfolioSnapshots: jest.fn().mockResolvedValue([])
+    };
+    mockTradingService = {
+      wallets: new Map(),
+      isPaperTrading: jest.fn().mockReturnValue(false),
+      getWalletContext: jest.fn().mockReturnValue({ id: 1, name: 'main' }),
+      getWalletAssets: jest.fn().mockResolvedValue({
+        wallet: 'main',
+        walletId: 1,
+        address: 'eth|abc',
+        tokens: [token('GALA', 1000), token('GUSDC', 30), token('GDUST', 5), token('GWETH', 0)],
+        count: 4
+      })
+    };
+    mockPriceOracleService = {
+      getCurrentPrice: jest.fn(async (galaSymbol) => (prices[galaSymbol]
+        ? { success: true, price: prices[galaSymbol] }
+        : { success: false, error: 'No price data available' }))
+    };
+
+    portfolioService = new PortfolioService();
+    portfolioService.databaseService = mockDatabaseService;
+    portfolioService.tradingService = mockTradingService;
+    portfolioService.priceOracleService = mockPriceOracleService;
+    await portfolioService.init();
+  });
+
+  test('should value every held token in USD and GALA', async () => {
+    const portfolio = await portfolioService.getPortfolio();
+
+    expect(portfolio).toMatchObject({ wallet: 'main', walletId: 1, paper: false, galaPriceUsd: 0.02, unpriced: ['GDUST|Unit|none|none'] });
+    expect(portfolio.totalUsd).toBeCloseTo(50);
+    expect(portfolio.totalGala).toBeCloseTo(2500);
+
+    // Largest first, empty balances left out
+    expect(portfolio.holdings.map(holding => holding.symbol)).toEqual(['GUSDC', 'GALA', 'GDUST']);
+    expect(portfolio.holdings[0]).toMatchObject({ galaSymbol: GUSDC, quantity: 30, priceUsd: 1, valueUsd: 30 });
+    expect(portfolio.holdings[0].valueGala).toBeCloseTo(1500);
+    expect(portfolio.holdings[0].allocation).toBeCloseTo(0.6);
+    expect(portfolio.holdings[1]).toMatchObject({ valueGala: 1000 });
+    expect(portfolio.holdings[2]).toMatchObject({ priceUsd: null, valueUsd: null, allocation: null });
+  });
+
+  test('should prefer paper composite keys and monitored symbols when resolving tokens', () => {
+    const symbolMap = new Map([['GUSDC', GUSDC], ['ETIME', 'Gala|ETIME|none|none']]);
+
+    expect(portfolioService.resolveGalaSymbol({ symbol: 'GALA', compositeKey: GALA }, symbolMap)).toBe(GALA);
+    expect(portfolioService.resolveGalaSymbol({ symbol: 'ETIME' }, symbolMap)).toBe('Gala|ETIME|none|none');
+    expect(portfolioService.resolveGalaSymbol({ symbol: 'GWBTC' }, symbolMap)).toBe('GWBTC|Unit|none|none');
+  });
+
+  test('should snapshot every loaded wallet and keep going when one fails', async () => {
+    mockTradingService.wallets = new Map([[1, { id: 1, name: 'main' }], [2, { id: 2, name: 'dca' }]]);
+    mockTradingService.getWalletAssets
+      .mockResolvedValueOnce({ wallet: 'main', walletId: 1, address: 'eth|abc', tokens: [token('GALA', 500)], count: 1 })
+      .mockRejectedValueOnce(new Error('Unknown or inactive wallet: 2'));
+
+    const result = await portfolioService.takeSnapshots();
+
+    expect(result.snapshots).toEqual([{ wallet: 'main', totalUsd: 10, totalGala: 500 }]);
+    expect(result.errors).toEqual([{ wallet: 'dca', error: 'Unknown or inactive wallet: 2' }]);
+    expect(mockDatabaseService.savePortfolioSnapshot).toHaveBeenCalledWith(expect.objectContaining({
+      wallet_id: 1,
+      total_usd: 10,
+      total_gala: 500,
+      paper: false
+    }));
+    expect(mockDatabaseService.deletePortfolioSnapshotsBefore).toHaveBeenCalled();
+  });
+
+  test('should build a bucketed net-worth series with the change over the period', async () => {
+    mockDatabaseService.getPortfolioSnapshots.mockResolvedValue([
+      { taken_at: '2025-01-01T00:00:00.000Z', total_usd: 100, total_gala: 5000, gala_price_usd: 0.02 },
+      { taken_at: '2025-01-01T12:00:00.000Z', total_usd: 110, total_gala: 5000, gala_price_usd: 0.022 },
+      { taken_at: '2025-01-02T00:00:00.000Z', total_usd: 120, total_gala: 5000, gala_price_usd: 0.024 }
+    ]);
+
+    const history = await portfolioService.getNetWorthSeries(null, { days: 7, interval: '1d' });
+
+    expect(mockDatabaseService.getPortfolioSnapshots).toHaveBeenCalledWith(1, expect.objectContaining({ paper: false }));
+    expect(history.points.map(point => point.totalUsd)).toEqual([110, 120]);
+    expect(history.change).toMatchObject({ startUsd: 110, endUsd: 120, changeUsd: 10 });
+
+    await expect(portfolioService.getNetWorthSeries('nope')).rejects.toThrow('Unknown wallet: nope');
+    await expect(portfolioService.getNetWorthSeries(null, { interval: '3d' })).rejects.toThrow('Unsupported candle interval');
+  });
+});
@@ -0,0 +1,141 @@
+const { aggregateCandles, intervalToMs } = require('../utils/candles');
+const PriceOracleService = require('../services/PriceOracleService');
+
+const GALA = 'GALA|Unit|none|none';
+
+describe('Candle Utilities', () => {
+  const samples = [
+    { price: 0.012, timestamp: '2025-01-01T00:04:00.000Z' },
+    { price: 0.010, timestamp: '2025-01-01T00:00:30.000Z' },
+    { price: 0.015, timestamp: '2025-01-01T00:02:00.000Z' },
+    { price: 0.011, timestamp: '2025-01-01T00:06:00.000Z', volume: 5 },
+    { price: null, timestamp: '2025-01-01T00:07:00.000Z' }
+  ];
+
+  test('should aggregate samples into OHLC buckets', () => {
+    const candles = aggregateCandles(samples, '5m');
+
+    expect(candles).toHaveLength(2);
+    expect(candles[0]).toEqual(expect.objectContaining({
+      date: '2025-01-01T00:00:00.000Z',
+      open: 0.010,
+      high: 0.015,
+      low: 0.010,
+      close: 0.012,
+      samples: 3
+    }));
+    expect(candles[1].open).toBe(0.011);
+    expect(candles[1].volume).toBe(5);
+  });
+
+  test('should support every documented interval', () => {
+    expect(aggregateCandles(samples, '1m')).toHaveLength(4);
+    expect(aggregateCandles(samples, '1h')).toHaveLength(1);
+    expect(aggregateCandles(samples, '1d')).toHaveLength(1);
+    expect(intervalToMs('1h')).toBe(3600000);
+    expect(() => intervalToMs('3m')).toThrow('Unsupported candle interval');
+  });
+});
+
+describe('PriceOracleService', () => {
+  let priceOracleService;
+  let mockDatabaseService;
+  const originalFetch = global.fetch;
+
+  const oraclePage = (items) => ({
+    ok: true,
+    json: jest.fn().mockResolvedValue({ data: { data: items } })
+  });
+
+  beforeEach(async () => {
+    priceOracleService = new PriceOracleService();
+    await priceOracleService.init();
+
+    mockDatabaseService = {
+      getLatestPriceTimestamp: jest.fn().mockResolvedValue(null),
+      savePriceSamples: jest.fn().mockImplementation(async (rows) => rows.length),
+      getPriceHistory: jest.fn().mockResolvedValue([])
+    };
+    priceOracleService.databaseService = mockDatabaseService;
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('should only request samples newer than the last stored one', async () => {
+    const latest = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    mockDatabaseService.getLatestPriceTimestamp.mockResolvedValue(latest);
+    global.fetch.mockResolvedValue(oraclePage([
+      { price: '0.02', createdAt: new Date().toISOString() }
+    ]));
+
+    const result = await priceOracleService.syncPriceHistory(GALA);
+
+    expect(result.success).toBe(true);
+    expect(result.stored).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.searchParams.get('token')).toBe('GALA$Unit$none$none');
+    expect(new Date(url.searchParams.get('from')).getTime()).toBe(new Date(latest).getTime() + 1);
+    expect(mockDatabaseService.savePriceSamples).toHaveBeenCalledWith([
+      expect.objectContaining({ symbol: GALA, price: '0.02', source: 'price_oracle' })
+    ]);
+  });
+
+  test('should backfill the lookback window on first sync', async () => {
+    global.fetch.mockResolvedValue(oraclePage([]));
+
+    const result = await priceOracleService.syncPriceHistory(GALA, { lookbackDays: 10 });
+
+    const from = new Date(result.from).getTime();
+    expect(Date.now() - from).toBeGreaterThanOrEqual(10 * 24 * 60 * 60 * 1000 - 1000);
+    expect(mockDatabaseService.savePriceSamples).not.toHaveBeenCalled();
+  });
+
+  test('should build Golden Cross data from the local store', async () => {
+    global.fetch.mockResolvedValue(oraclePage([]));
+    mockDatabaseService.getPriceHistory.mockResolvedValue([
+      { symbol: GALA, price: 0.01, timestamp: '2025-01-01T00:00:00.000Z' },
+      { symbol: GALA, price: 0.02, timestamp: '2025-01-01T12:00:00.000Z' },
+      { symbol: GALA, price: 0.03, timestamp: '2025-01-02T00:00:00.000Z' }
+    ]);
+
+    const raw = await priceOracleService.getGoldenCrossData(GALA);
+    const daily = await priceOracleService.getGoldenCrossData(GALA, { candleInterval: '1d' });
+
+    expect(raw.success).toBe(true);
+    expect(raw.data.map(item => item.close)).toEqual([0.01, 0.02, 0.03]);
+    expect(daily.data).toHaveLength(2);
+    expect(daily.data[0].high).toBe(0.02);
+    expect(mockDatabaseService.getPriceHistory).toHaveBeenCalledWith(GALA, expect.objectContaining({ source: 'price_oracle' }));
+  });
+
+  test('should serve candles and reject unknown intervals', async () => {
+    mockDatabaseService.getPriceHistory.mockResolvedValue([
+      { price: 1, timestamp: '2025-01-01T00:00:00.000Z' },
+      { price: 2, timestamp: '2025-01-01T01:00:00.000Z' },
+      { price: 3, timestamp: '2025-01-01T02:00:00.000Z' }
+    ]);
+
+    const result = await priceOracleService.getCandles(GALA, '1h', { sync: false, limit: 2 });
+    expect(result.success).toBe(true);
+    expect(result.candles.map(c => c.close)).toEqual([2, 3]);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    const invalid = await priceOracleService.getCandles(GALA, '2h');
+    expect(invalid.success).toBe(false);
+    expect(invalid.error).toContain('Unsupported candle interval');
+  });
+
+  test('should report missing history', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+    const result = await priceOracleService.getDCAData(GALA);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No DCA historical data found');
+  });
+});
@@ -0,0 +1,195 @@
+const RiskManagerService = require('../services/RiskManagerService');
+
+const GALA = 'GALA|Unit|none|none';
+const GUSDC = 'GUSDC|Unit|none|none';
+const GWETH = 'GWETH|Unit|none|none';
+
+describe('RiskManagerService', () => {
+  let riskManager;
+  let mockDatabaseService;
+  let mockPortfolioService;
+
+  const entry = (overrides = {}) => ({ fromToken: GALA, toToken: GUSDC, amount: 10, mode: 'live', ...overrides });
+  // A wallet valuation holding {galaSymbol: valueGala}, null for a token the oracle cannot price
+  const portfolioOf = (values) => {
+    const holdings = Object.entries(values).map(([galaSymbol, valueGala]) => ({ galaSymbol, valueGala }));
+    return {
+      totalGala: holdings.reduce((sum, holding) => sum + (holding.valueGala || 0), 0),
+      holdings,
+      unpriced: holdings.filter(holding => holding.valueGala === null).map(holding => holding.galaSymbol)
+    };
+  };
+
+  beforeEach(async () => {
+    mockDatabaseService = {
+      getRiskState: jest.fn().mockResolvedValue(null),
+      setRiskState: jest.fn().mockResolvedValue(),
+      getOpenPositionExposure: jest.fn().mockResolvedValue([]),
+      getFilledAlgoOrderIds: jest.fn().mockResolvedValue([]),
+      getRealizedPnLSince: jest.fn().mockResolvedValue({ realizedPnL: 0, trades: 0 }),
+      findOpenPosition: jest.fn().mockResolvedValue(null),
+      getWallet: jest.fn().mockResolvedValue(null)
+    };
+    mockPortfolioService = {
+      getPortfolio: jest.fn().mockResolvedValue(portfolioOf({ [GALA]: 100 }))
+    };
+
+    riskManager = new RiskManagerService();
+    riskManager.databaseService = mockDatabaseService;
+    riskManager.portfolioService = mockPortfolioService;
+    await riskManager.init();
+
+    riskManager.maxTokenExposure = 0.5;
+    riskManager.maxOpenPositions = 3;
+    riskManager.dailyLossLimit = 50;
+    riskManager.sendAlert = jest.fn().mockResolvedValue();
+  });
+
+  test('should approve trades within every limit', async () => {
+    const result = await riskManager.evaluateTrade(entry());
+
+    expect(result.approved).toBe(true);
+    expect(riskManager.sendAlert).not.toHaveBeenCalled();
+  });
+
+  test('should reject entries that exceed the token exposure limit', async () => {
+    mockDatabaseService.getOpenPositionExposure.mockResolvedValue([
+      { gala_symbol: GUSDC, positions: 1, cost_basis: 40 },
+      { gala_symbol: GWETH, positions: 1, cost_basis: 20 }
+    ]);
+    mockPortfolioService.getPortfolio.mockResolvedValue(portfolioOf({ [GALA]: 100, [GUSDC]: 70, [GWETH]: 20 }));
+
+    // The GUSDC bought for 40 GALA is worth 70 now: 30 more would be 100 of the 190 GALA portfolio
+    const rejected = await riskManager.evaluateTrade(entry({ amount: 30 }));
+    expect(rejected).toMatchObject({ approved: false, rule: 'MAX_TOKEN_EXPOSURE' });
+    expect(rejected.message).toContain('52.6% of the wallet\'s 190.0000 GALA (all holdings at current prices)');
+    expect(riskManager.sendAlert).toHaveBeenCalledWith(expect.objectContaining({ rule: 'MAX_TOKEN_EXPOSURE' }));
+
+    expect((await riskManager.evaluateTrade(entry({ amount: 20 }))).approved).toBe(true);
+    expect((await riskManager.evaluateTrade(entry({ toToken: GWETH, amount: 50 }))).approved).toBe(true);
+  });
+
+  test('should count an unpriced holding at its cost basis', async () => {
+    mockDatabaseService.getOpenPositionExposure.mockResolvedValue([{ gala_symbol: GUSDC, positions: 1, cost_basis: 40 }]);
+    mockPortfolioService.getPortfolio.mockResolvedValue(portfolioOf({ [GALA]: 100, [GUSDC]: null }));
+
+    const result = await riskManager.evaluateTrade(entry({ amount: 20 }));
+    expect(result).toMatchObject({ approved: false, rule: 'MAX_TOKEN_EXPOSURE' });
+    expect(result.message).toContain('60.0% of the wallet\'s 100.0000 GALA (all holdings at current prices, 1 unpriced token(s) left out)');
+  });
+
+  test('should reject entries when the portfolio value is unknown', async () => {
+    mockPortfolioService.getPortfolio.mockRejectedValue(new Error('GSwap client not initialized'));
+
+    const result = await riskManager.evaluateTrade(entry());
+    expect(result).toMatchObject({ approved: false, rule: 'MAX_TOKEN_EXPOSURE' });
+    expect(result.message).toBe('Portfolio value unavailable: GSwap client not initialized');
+
+    mockPortfolioService.getPortfolio.mockResolvedValue({ totalGala: null, holdings: [], unpriced: [GALA] });
+    expect((await riskManager.evaluateTrade(entry())).message).toBe('Portfolio value unavailable: no GALA price');
+  });
+
+  test('should cap concurrent open positions unless scaling into an existing one', async () => {
+    riskManager.maxTokenExposure = 0;
+    mockDatabaseService.getOpenPositionExposure.mockResolvedValue([
+      { gala_symbol: GUSDC, positions: 2, cost_basis: 20 },
+      { gala_symbol: GWETH, positions: 1, cost_basis: 10 }
+    ]);
+
+    expect(await riskManager.evaluateTrade(entry())).toMatchObject({ approved: false, rule: 'MAX_OPEN_POSITIONS' });
+
+    mockDatabaseService.findOpenPosition.mockResolvedValue({ id: 7 });
+    expect((await riskManager.evaluateTrade(entry({ scaleIn: true }))).approved).toBe(true);
+  });
+
+  test('should count a running algo order as one position', async () => {
+    riskManager.maxTokenExposure = 0;
+    mockDatabaseService.getOpenPositionExposure.mockResolvedValue([{ gala_symbol: GUSDC, positions: 2, cost_basis: 20 }]);
+    mockDatabaseService.getFilledAlgoOrderIds.mockResolvedValue([40]);
+
+    // Two positions plus the order filling under parent #40 reach the limit of 3, the order's own slices do not add to it
+    expect(await riskManager.evaluateTrade(entry())).toMatchObject({ approved: false, rule: 'MAX_OPEN_POSITIONS' });
+    expect((await riskManager.evaluateTrade(entry({ parentTradeId: 40 }))).approved).toBe(true);
+    expect(await riskManager.evaluateTrade(entry({ parentTradeId: 41 }))).toMatchObject({ approved: false, rule: 'MAX_OPEN_POSITIONS' });
+  });
+
+  test('should let exits through every limit except the kill switch', async () => {
+    mockDatabaseService.getRealizedPnLSince.mockResolvedValue({ realizedPnL: -500, trades: 3 });
+    const exit = entry({ fromToken: GUSDC, toToken: GALA });
+
+    expect((await riskManager.evaluateTrade(exit)).approved).toBe(true);
+
+    riskManager.killSwitch = { engaged: true, reason: 'test', engagedAt: new Date().toISOString() };
+    expect(await riskManager.evaluateTrade(exit)).toMatchObject({ approved: false, rule: 'KILL_SWITCH' });
+  });
+
+  test('should engage the kill switch when the live daily loss limit is breached', async () => {
+    mockDatabaseService.getRealizedPnLSince.mockResolvedValue({ realizedPnL: -60, trades: 2 });
+
+    const result = await riskManager.evaluateTrade(entry());
+
+    expect(result).toMatchObject({ approved: false, rule: 'DAILY_LOSS_LIMIT' });
+    expect(mockDatabaseService.getRealizedPnLSince).toHaveBeenCalledWith(expect.any(String), false, null);
+    expect(riskManager.killSwitch.engaged).toBe(true);
+    expect(mockDatabaseService.setRiskState).toHaveBeenCalledWith('kill_switch', expect.objectContaining({ engaged: true }));
+
+    // Every live trade is halted until reset, simulated trades are not
+    expect(await riskManager.evaluateTrade(entry({ fromToken: GUSDC, toToken: GALA }))).toMatchObject({ rule: 'KILL_SWITCH' });
+    mockDatabaseService.getRealizedPnLSince.mockResolvedValue({ realizedPnL: 0, trades: 0 });
+    expect((await riskManager.evaluateTrade(entry({ mode: 'paper' }))).approved).toBe(true);
+
+    await riskManager.resetKillSwitch();
+    expect((await riskManager.evaluateTrade(entry())).approved).toBe(true);
+  });
+
+  test('should reject simulated entries over the loss limit without halting live trading', async () => {
+    mockDatabaseService.getRealizedPnLSince.mockResolvedValue({ realizedPnL: -60, trades: 2 });
+
+    const result = await riskManager.evaluateTrade(entry({ mode: 'dry_run' }));
+
+    expect(result).toMatchObject({ approved: false, rule: 'DAILY_LOSS_LIMIT' });
+    expect(mockDatabaseService.getRealizedPnLSince).toHaveBeenCalledWith(expect.any(String), true, null);
+    expect(riskManager.killSwitch.engaged).toBe(false);
+  });
+
+  test('should apply a wallet\'s own limits to its positions and balance', async () => {
+    mockDatabaseService.getWallet.mockResolvedValue({ id: 2, name: 'experimental', max_open_positions: 1, max_token_exposure: 0.2, daily_loss_limit: null });
+    mockDatabaseService.getOpenPositionExposure.mockImplementation(async walletId => (
+      walletId === 2 ? [{ gala_symbol: GWETH, positions: 1, cost_basis: 10 }] : []
+    ));
+
+    expect(await riskManager.evaluateTrade(entry({ walletId: 2 }))).toMatchObject({ approved: false, rule: 'MAX_OPEN_POSITIONS', message: '1 open positions, limit is 1' });
+
+    // 100 GALA + 10 GALA of GWETH: 30 GALA of GUSDC is 27% of the wallet, over its 20% limit
+    mockPortfolioService.getPortfolio.mockResolvedValue(portfolioOf({ [GALA]: 100, [GWETH]: 10 }));
+    mockDatabaseService.getWallet.mockResolvedValue({ id: 2, name: 'experimental', max_open_positions: null, max_token_exposure: 0.2, daily_loss_limit: null });
+    expect(await riskManager.evaluateTrade(entry({ walletId: 2, amount: 30 }))).toMatchObject({ approved: false, rule: 'MAX_TOKEN_EXPOSURE' });
+    expect(mockPortfolioService.getPortfolio).toHaveBeenCalledWith(2);
+    expect((await riskManager.evaluateTrade(entry({ walletId: 2, amount: 20 }))).approved).toBe(true);
+  });
+
+  test('should stop only the wallet that breaches its own daily loss limit', async () => {
+    mockDatabaseService.getWallet.mockResolvedValue({ id: 2, name: 'experimental', daily_loss_limit: 5 });
+    mockDatabaseService.getRealizedPnLSince.mockResolvedValue({ realizedPnL: -8, trades: 1 });
+
+    const result = await riskManager.evaluateTrade(entry({ walletId: 2 }));
+
+    expect(result).toMatchObject({ approved: false, rule: 'DAILY_LOSS_LIMIT' });
+    expect(result.message).toContain('Wallet experimental');
+    expect(mockDatabaseService.getRealizedPnLSince).toHaveBeenCalledWith(expect.any(String), false, 2);
+    expect(riskManager.killSwitch.engaged).toBe(false);
+
+    // The main wallet has no limit of its own and the bot-wide loss is within RISK_DAILY_LOSS_LIMIT
+    mockDatabaseService.getWallet.mockResolvedValue({ id: 1, name: 'main', daily_loss_limit: null });
+    expect((await riskManager.evaluateTrade(entry({ walletId: 1 }))).approved).toBe(true);
+  });
+
+  test('should restore an engaged kill switch on init', async () => {
+    const stored = { engaged: true, reason: 'Daily loss', engagedAt: '2025-01-01T00:00:00.000Z' };
+    const restored = new RiskManagerService();
+    restored.databaseService = { ...mockDatabaseService, getRiskState: jest.fn().mockResolvedValue(stored) };
+    await restored.init();
+
+    expect(restored.killSwitch).toEqual(stored);
+  });
+});
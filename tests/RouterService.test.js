@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const RouterService = require('../services/RouterService');
+const { matchLots } = require('../utils/lots');
+const { describeTrade } = require('../utils/taxExport');
+
+describe('RouterService', () => {
+  const testDbPath = path.join(__dirname, 'router-test.db');
+  const GALA = 'GALA|Unit|none|none';
+  const GUSDC = 'GUSDC|Unit|none|none';
+  const GWETH = 'GWETH|Unit|none|none';
+  const GSOL = 'GSOL|Unit|none|none';
+  let DatabaseService;
+  let routerService;
+  let mockTradingService;
+  let rates;
+  let failingSwaps;
+
+  const symbolOf = token => token.split('|')[0];
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM trades');
+
+    // Output per unit of input of each pool; GSOL has no direct GWETH pool
+    rates = {
+      [`${GSOL}>${GALA}`]: 40,
+      [`${GALA}>${GSOL}`]: 0.025,
+      [`${GALA}>${GUSDC}`]: 0.05,
+      [`${GUSDC}>${GALA}`]: 20,
+      [`${GUSDC}>${GWETH}`]: 0.0005,
+      [`${GWETH}>${GUSDC}`]: 2000,
+      [`${GALA}>${GWETH}`]: 0.00002,
+      [`${GWETH}>${GALA}`]: 50000
+    };
+    failingSwaps = new Set();
+
+    const logTradeExecution = jest.fn((data) => {
+      const from = symbolOf(data.fromToken);
+      const to = symbolOf(data.toToken);
+      const side = from === 'GALA' ? 'SELL' : (to === 'GALA' ? 'BUY' : 'SWAP');
+      return DatabaseService.logTrade({
+        strategy: data.strategy || 'Manual',
+        symbol: side === 'BUY' ? `GALA/${from}` : (side === 'SELL' ? `GALA/${to}` : `${from}/${to}`),
+        side,
+        amount: data.amount,
+        price: data.expectedPrice,
+        total_value: data.amount * data.expectedPrice,
+        slippage: 0.05,
+        status: data.status,
+        dry_run: data.dryRun,
+        wallet_id: data.walletId,
+        execution_algo: data.executionAlgo,
+        parent_trade_id: data.parentTradeId
+      });
+    });
+
+    mockTradingService = {
+      isDryRun: true,
+      isPaperTrading: () => false,
+      formatTokenName: symbolOf,
+      getWalletContext: jest.fn(() => ({ id: 1, name: 'main' })),
+      getQuote: jest.fn(async (from, to, amount) => (rates[`${from}>${to}`]
+        ? { success: true, outputAmount: amount * rates[`${from}>${to}`], feeTier: 3000, priceImpact: 0.001 }
+        : { success: false, error: 'No pool found' })),
+      logTradeExecution,
+      trackOpenPosition: jest.fn().mockResolvedValue({ positionId: 7, scaled: false }),
+      executeSwap: jest.fn(async (from, to, amount, options) => {
+        if (failingSwaps.has(`${from}>${to}`)) {
+          return { success: false, error: 'Pool locked' };
+        }
+        const output = amount * rates[`${from}>${to}`];
+        const tradeId = await logTradeExecution({
+          fromToken: from, toToken: to, amount, expectedPrice: output / amount, status: 'COMPLETED',
+          dryRun: true, walletId: 1, strategy: options.strategy, parentTradeId: options.parentTradeId
+        });
+        return { success: true, dryRun: true, expectedOutput: output.toString(), tradeId };
+      })
+    };
+
+    routerService = new RouterService();
+    routerService.databaseService = DatabaseService;
+    routerService.tradingService = mockTradingService;
+    await routerService.init();
+  });
+
+  test('should rank quoted routes by output', async () => {
+    const { best, routes, failed } = await routerService.findRoutes(GSOL, GWETH, 10);
+
+    expect(best.path).toEqual([GSOL, GALA, GUSDC, GWETH]);
+    expect(best.amountOut).toBeCloseTo(10 * 40 * 0.05 * 0.0005);
+    expect(routes.map(route => route.hops)).toEqual([3, 2]);
+    expect(failed.length).toBeGreaterThan(0);
+
+    // The GSOL -> GALA quote is shared by both routes through GALA
+    const solQuotes = mockTradingService.getQuote.mock.calls.filter(([from, to]) => from === GSOL && to === GALA);
+    expect(solQuotes).toHaveLength(1);
+
+    await expect(routerService.findRoutes(GSOL, 'GFOO|Unit|none|none', 10)).rejects.toThrow('No route from GSOL to GFOO');
+  });
+
+  test('should execute a multi-hop route as child trades of a parent', async () => {
+    const result = await routerService.executeRoute(GALA, GWETH, 1000, { strategy: 'router_test' });
+
+    expect(result).toMatchObject({ success: true, hops: 2, path: [GALA, GUSDC, GWETH], error: null, rollback: null });
+    expect(result.amountOut).toBeCloseTo(0.025);
+    expect(mockTradingService.executeSwap).toHaveBeenNthCalledWith(2, GUSDC, GWETH, 50, expect.objectContaining({
+      parentTradeId: result.parentTradeId, routeLeg: true, trackPosition: false
+    }));
+
+    const parent = await DatabaseService.getTrade(result.parentTradeId);
+    expect(parent).toMatchObject({ execution_algo: 'route', status: 'COMPLETED', side: 'SELL', amount: 1000 });
+    expect(parent.total_value).toBeCloseTo(0.025);
+
+    const legs = await DatabaseService.getChildTrades(result.parentTradeId);
+    expect(legs.map(leg => [leg.side, leg.symbol])).toEqual([['SELL', 'GALA/GUSDC'], ['SWAP', 'GUSDC/GWETH']]);
+    expect(mockTradingService.trackOpenPosition).toHaveBeenCalledWith(expect.objectContaining({
+      toToken: GWETH, tradeId: result.parentTradeId, galaAmount: 1000
+    }), expect.any(Object));
+  });
+
+  test('should account a completed route as one swap of its end tokens', async () => {
+    const route = await routerService.executeRoute(GALA, GWETH, 1000, { strategy: 'router_test' });
+    const exit = await mockTradingService.executeSwap(GWETH, GALA, route.amountOut, { strategy: 'router_test' });
+
+    // The legs only passed GUSDC through: no GUSDC lot, and the GWETH sale has the route's cost basis
+    const trades = await DatabaseService.getCompletedTrades({ strategy: 'router_test' });
+    expect(trades.map(trade => trade.id)).toEqual([route.parentTradeId, exit.tradeId]);
+
+    const ledger = matchLots(trades);
+    expect(ledger).toMatchObject({ openLots: [], unmatched: [] });
+    expect(ledger.closedLots).toEqual([expect.objectContaining({ token: 'GWETH', cost: 1000, openTradeId: route.parentTradeId })]);
+    expect(ledger.closedLots[0].proceeds).toBeCloseTo(1250);
+    expect(describeTrade(trades[0])).toMatchObject({ sentAmount: 1000, sentCurrency: 'GALA', receivedCurrency: 'GWETH' });
+
+    // A route between two other tokens passes through GALA: its legs are the GALA/TOKEN swaps
+    const crossed = await routerService.executeRoute(GSOL, GUSDC, 10, { strategy: 'router_cross' });
+    const crossTrades = await DatabaseService.getCompletedTrades({ strategy: 'router_cross' });
+    expect(crossed.hops).toBe(2);
+    expect(crossTrades.map(trade => [trade.side, trade.symbol])).toEqual([['BUY', 'GALA/GSOL'], ['SELL', 'GALA/GUSDC']]);
+
+    // A failed route's legs and their rollback settled as they are
+    failingSwaps.add(`${GUSDC}>${GWETH}`);
+    const failed = await routerService.executeRoute(GALA, GWETH, 1000, { strategy: 'router_failed' });
+    const settled = await DatabaseService.getCompletedTrades({ strategy: 'router_failed' });
+    expect(settled.map(trade => trade.parent_trade_id)).toEqual([failed.parentTradeId, failed.parentTradeId]);
+    expect(matchLots(settled)).toMatchObject({ openLots: [], unmatched: [], closedLots: [expect.objectContaining({ token: 'GUSDC' })] });
+  });
+
+  test('should swap filled legs back when a later leg fails', async () => {
+    failingSwaps.add(`${GUSDC}>${GWETH}`);
+    const result = await routerService.executeRoute(GALA, GWETH, 1000);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Leg 2 (GUSDC → GWETH) failed: Pool locked');
+    expect(result.rollback).toMatchObject({ success: true, token: GALA, amount: 1000 });
+    expect(mockTradingService.trackOpenPosition).not.toHaveBeenCalled();
+
+    const parent = await DatabaseService.getTrade(result.parentTradeId);
+    expect(parent.status).toBe('FAILED');
+    expect(parent.notes).toContain('rolled back to 1000 GALA');
+    const legs = await DatabaseService.getChildTrades(result.parentTradeId);
+    expect(legs.map(leg => leg.symbol)).toEqual(['GALA/GUSDC', 'GALA/GUSDC']);
+    expect(legs.map(leg => leg.side)).toEqual(['SELL', 'BUY']);
+  });
+
+  test('should send direct routes as a single swap', async () => {
+    rates[`${GALA}>${GWETH}`] = 0.00003;
+    const result = await routerService.executeRoute(GALA, GWETH, 1000);
+
+    expect(result).toMatchObject({ success: true, hops: 1, parentTradeId: null });
+    expect(mockTradingService.executeSwap).toHaveBeenCalledTimes(1);
+    expect(mockTradingService.executeSwap).toHaveBeenCalledWith(GALA, GWETH, 1000, expect.not.objectContaining({ parentTradeId: expect.anything() }));
+  });
+});
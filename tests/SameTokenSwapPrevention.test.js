@@ -34,11 +34,11 @@ describe('TradingService - Same Token Swap Prevention', () => {
         'DEFAULT_SLIPPAGE': '0.05',
         'MIN_TRADE_AMOUNT': '1',
         'MAX_TRADE_AMOUNT': '100',
-        'MIN_TIME_BETWEEN_TRADES_MS': '3600000',
-        'PRIVATE_KEY': 'mock_private_key'
+        'MIN_TIME_BETWEEN_TRADES_MS': '3600000'
       };
       return mockConfig[key] || defaultValue;
     });
+    config.unlockPrivateKey = jest.fn().mockResolvedValue('mock_private_key');
 
     // Create service instance
     tradingService = new TradingService();
@@ -56,6 +56,9 @@ describe('TradingService - Same Token Swap Prevention', () => {
     
     GSwap.mockImplementation(() => mockGSwap);
     
+    // Only the main wallet, signed by the mocked key
+    tradingService.databaseService = { getWallets: jest.fn().mockResolvedValue([]) };
+
     // Initialize the service
     await tradingService.init();
   });
@@ -110,6 +113,7 @@ describe('TradingService - Same Token Swap Prevention', () => {
     test('should skip GALA-to-GALA trades in automated trading', async () => {
       // Mock database service getTradingSymbols to return GALA symbol
       tradingService.getDatabaseService = jest.fn().mockReturnValue({
+        getLastTradeExecution: jest.fn().mockResolvedValue(null),
         getTradingSymbols: jest.fn().mockResolvedValue([{
           symbol: 'GALA',
           display_name: 'Gala Games',
@@ -124,9 +128,10 @@ describe('TradingService - Same Token Swap Prevention', () => {
 
       // Mock the price oracle service
       const mockPriceOracleService = {
-        getDCAData: jest.fn().mockResolvedValue({
+        getStrategyData: jest.fn().mockResolvedValue({
           success: true,
-          data: { prices: [100, 102, 105] }
+          data: [100, 102, 105].map(close => ({ close })),
+          count: 3
         })
       };
       
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const SchedulerService = require('../services/SchedulerService');
+
+describe('SchedulerService', () => {
+  const testDbPath = path.join(__dirname, 'scheduler-test.db');
+  let DatabaseService;
+  let scheduler;
+  let mockTradingService;
+  let mockNotificationService;
+
+  const at = (iso) => new Date(iso);
+
+  const seedJob = (overrides = {}) => DatabaseService.upsertScheduledJob({
+    name: 'strategy:GALA',
+    job_type: 'strategy',
+    schedule: '*/5 * * * *',
+    payload: { symbol: 'GALA' },
+    next_run_at: '2025-01-01T00:05:00.000Z',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM scheduled_jobs');
+    await DatabaseService.run('DELETE FROM job_runs');
+    await DatabaseService.run('DELETE FROM job_locks');
+    await DatabaseService.run('DELETE FROM risk_state');
+
+    mockTradingService = {
+      isDryRun: true,
+      isPaperTrading: jest.fn().mockReturnValue(false),
+      executeAutomatedTrading: jest.fn().mockResolvedValue({
+        success: true,
+        tradesExecuted: 1,
+        tradeResults: [{ symbol: 'GALA', signal: 'BUY', confidence: 0.8, trade: { success: true } }],
+        errors: []
+      }),
+      monitorOpenPositions: jest.fn().mockResolvedValue({ success: true, positionsChecked: 2, buybacksExecuted: 0, buybacksFailed: 0 })
+    };
+    mockNotificationService = { sendDailySummary: jest.fn().mockResolvedValue(true) };
+
+    scheduler = new SchedulerService();
+    scheduler.databaseService = DatabaseService;
+    scheduler.tradingService = mockTradingService;
+    scheduler.notificationService = mockNotificationService;
+    await scheduler.init();
+    scheduler.tickMs = 30000;
+    scheduler.maxCatchUpHours = 24;
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  test('should seed a strategy job per trading symbol plus monitoring, summary, snapshot, order and reconciliation jobs', async () => {
+    const jobs = await scheduler.syncJobs({ strategy: 'mean_reversion' });
+    const symbols = await DatabaseService.getTradingSymbols();
+
+    const strategyJobs = jobs.filter(job => job.job_type === 'strategy');
+    expect(strategyJobs).toHaveLength(symbols.length);
+    expect(strategyJobs[0].payload).toMatchObject({ strategy: 'mean_reversion', minimumConfidence: 0.7 });
+    expect(jobs.find(job => job.name === 'position_monitor')).toMatchObject({ enabled: true, payload: { strategy: 'dca' } });
+    expect(jobs.find(job => job.name === 'daily_summary')).toMatchObject({ schedule: '0 0 * * *', catch_up: false });
+    expect(jobs.find(job => job.name === 'portfolio_snapshot')).toMatchObject({ schedule: '0 * * * *', catch_up: false });
+    expect(jobs.find(job => job.name === 'order_monitor')).toMatchObject({ schedule: '* * * * *', catch_up: false });
+    expect(jobs.find(job => job.name === 'reconciliation')).toMatchObject({ schedule: '*/30 * * * *', catch_up: false });
+    expect(jobs.every(job => new Date(job.next_run_at) > new Date())).toBe(true);
+  });
+
+  test('should run due jobs, record the run and advance the schedule', async () => {
+    await seedJob();
+
+    expect(await scheduler.tick(at('2025-01-01T00:04:59Z'))).toEqual([]);
+
+    const [outcome] = await scheduler.tick(at('2025-01-01T00:05:10Z'));
+    expect(outcome).toMatchObject({ job: 'strategy:GALA', status: 'SUCCEEDED', catchUp: false, result: { tradesExecuted: 1 } });
+    expect(mockTradingService.executeAutomatedTrading).toHaveBeenCalledWith(expect.objectContaining({ symbols: ['GALA'] }));
+
+    const job = await DatabaseService.getScheduledJob('strategy:GALA');
+    expect(job).toMatchObject({ last_run_at: '2025-01-01T00:05:00.000Z', next_run_at: '2025-01-01T00:10:00.000Z' });
+
+    const [run] = await DatabaseService.getJobRuns({ jobName: 'strategy:GALA' });
+    expect(run).toMatchObject({ status: 'SUCCEEDED', scheduled_for: '2025-01-01T00:05:00.000Z', owner: scheduler.owner });
+    expect(run.finished_at).not.toBeNull();
+    expect(await DatabaseService.acquireJobLock('strategy:GALA', 'other:1', 1000)).toBe(true);
+  });
+
+  test('should catch up missed runs once after a restart', async () => {
+    await seedJob();
+
+    // Down from 00:05 until 02:00 - 23 missed runs collapse into one
+    const outcomes = await scheduler.tick(at('2025-01-01T02:00:30Z'));
+
+    expect(outcomes).toHaveLength(1);
+    expect(outcomes[0]).toMatchObject({ status: 'SUCCEEDED', catchUp: true });
+    expect(mockTradingService.executeAutomatedTrading).toHaveBeenCalledTimes(1);
+    expect((await DatabaseService.getScheduledJob('strategy:GALA')).next_run_at).toBe('2025-01-01T02:05:00.000Z');
+    expect((await DatabaseService.getJobRuns())[0].catch_up).toBe(true);
+  });
+
+  test('should skip missed runs that are too old or not meant to catch up', async () => {
+    await seedJob();
+    await seedJob({ name: 'daily_summary', job_type: 'daily_summary', schedule: '0 0 * * *', catch_up: false, next_run_at: '2025-01-02T00:00:00.000Z' });
+
+    const outcomes = await scheduler.tick(at('2025-01-03T12:00:00Z'));
+
+    expect(outcomes.map(outcome => outcome.status)).toEqual(['SKIPPED', 'SKIPPED']);
+    expect(outcomes.find(outcome => outcome.job === 'daily_summary').error).toContain('catch-up disabled');
+    expect(outcomes.find(outcome => outcome.job === 'strategy:GALA').error).toContain('older than 24h');
+    expect(mockTradingService.executeAutomatedTrading).not.toHaveBeenCalled();
+    expect(mockNotificationService.sendDailySummary).not.toHaveBeenCalled();
+    expect((await DatabaseService.getScheduledJob('daily_summary')).next_run_at).toBe('2025-01-04T00:00:00.000Z');
+  });
+
+  test('should skip a run while another process holds the job lock', async () => {
+    await seedJob();
+    await DatabaseService.acquireJobLock('strategy:GALA', 'other-host:42', 60000);
+
+    const [outcome] = await scheduler.tick(at('2025-01-01T00:05:00Z'));
+
+    expect(outcome).toMatchObject({ status: 'SKIPPED', error: 'Previous run still in progress' });
+    expect(mockTradingService.executeAutomatedTrading).not.toHaveBeenCalled();
+    expect((await DatabaseService.getScheduledJob('strategy:GALA')).next_run_at).toBe('2025-01-01T00:10:00.000Z');
+  });
+
+  test('should not start overlapping ticks in the same process', async () => {
+    await seedJob();
+    let finishRun;
+    mockTradingService.executeAutomatedTrading.mockReturnValue(new Promise(resolve => {
+      finishRun = () => resolve({ success: true, tradesExecuted: 0, tradeResults: [], errors: [] });
+    }));
+
+    const first = scheduler.tick(at('2025-01-01T00:05:00Z'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await scheduler.tick(at('2025-01-01T00:05:00Z'))).toEqual([]);
+
+    finishRun();
+    expect((await first)[0].status).toBe('SUCCEEDED');
+    expect(mockTradingService.executeAutomatedTrading).toHaveBeenCalledTimes(1);
+  });
+
+  test('should record failed runs and release the lock', async () => {
+    await seedJob();
+    mockTradingService.executeAutomatedTrading.mockResolvedValue({
+      success: true,
+      tradesExecuted: 0,
+      tradeResults: [],
+      errors: [{ symbol: 'GALA', error: 'No price data' }]
+    });
+
+    const [outcome] = await scheduler.tick(at('2025-01-01T00:05:00Z'));
+
+    expect(outcome).toMatchObject({ status: 'FAILED', error: 'GALA: No price data' });
+    expect((await DatabaseService.getJobRuns({ status: 'FAILED' }))[0].error).toBe('GALA: No price data');
+    expect(await DatabaseService.acquireJobLock('strategy:GALA', 'other:1', 1000)).toBe(true);
+  });
+
+  test('should send the daily summary of the previous day', async () => {
+    await seedJob({ name: 'daily_summary', job_type: 'daily_summary', schedule: '0 0 * * *', catch_up: false, next_run_at: '2025-01-02T00:00:00.000Z' });
+
+    const [outcome] = await scheduler.tick(at('2025-01-02T00:00:20Z'));
+
+    expect(outcome.status).toBe('SUCCEEDED');
+    expect(outcome.result.since).toBe('2025-01-01T00:00:00.000Z');
+    expect(mockNotificationService.sendDailySummary).toHaveBeenCalledWith(expect.objectContaining({ tradesExecuted: 0, pnl: 0 }));
+  });
+
+  test('should run jobs on demand and toggle them', async () => {
+    await seedJob({ name: 'position_monitor', job_type: 'position_monitor', payload: { strategy: 'dca' } });
+
+    const outcome = await scheduler.runJobNow('position_monitor');
+    expect(outcome).toMatchObject({ status: 'SUCCEEDED', result: { positionsChecked: 2 } });
+    expect(mockTradingService.monitorOpenPositions).toHaveBeenCalledWith('dca');
+    expect((await DatabaseService.getScheduledJob('position_monitor')).next_run_at).toBe('2025-01-01T00:05:00.000Z');
+
+    expect((await scheduler.setJobEnabled('position_monitor', false)).enabled).toBe(false);
+    expect(await scheduler.tick(at('2025-01-01T00:05:00Z'))).toEqual([]);
+
+    const enabled = await scheduler.setJobEnabled('position_monitor', true);
+    expect(new Date(enabled.next_run_at) > new Date()).toBe(true);
+    await expect(scheduler.runJobNow('missing')).rejects.toThrow('Unknown job: missing');
+  });
+
+  test('should skip trading jobs while automated trading is paused', async () => {
+    await seedJob();
+    await seedJob({ name: 'daily_summary', job_type: 'daily_summary', schedule: '*/5 * * * *', catch_up: false });
+
+    const state = await scheduler.pauseAutomatedTrading('telegram:42');
+    expect(state).toMatchObject({ paused: true, pausedBy: 'telegram:42' });
+    expect((await scheduler.pauseAutomatedTrading('cli')).pausedBy).toBe('telegram:42');
+
+    const outcomes = await scheduler.tick(at('2025-01-01T00:05:00Z'));
+    expect(outcomes.find(outcome => outcome.job === 'strategy:GALA')).toMatchObject({ status: 'SKIPPED', error: 'Automated trading paused' });
+    expect(outcomes.find(outcome => outcome.job === 'daily_summary').status).toBe('SUCCEEDED');
+    expect(mockTradingService.executeAutomatedTrading).not.toHaveBeenCalled();
+    expect((await scheduler.getStatus()).pause.paused).toBe(true);
+
+    await scheduler.resumeAutomatedTrading('cli');
+    const resumed = await scheduler.tick(at('2025-01-01T00:10:00Z'));
+    expect(resumed.find(outcome => outcome.job === 'strategy:GALA').status).toBe('SUCCEEDED');
+    expect(mockTradingService.executeAutomatedTrading).toHaveBeenCalledTimes(1);
+  });
+});
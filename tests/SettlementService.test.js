@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const SettlementService = require('../services/SettlementService');
+
+describe('SettlementService', () => {
+  const testDbPath = path.join(__dirname, 'settlement-test.db');
+  const GALA = 'GALA|Unit|none|none';
+  const GUSDC = 'GUSDC|Unit|none|none';
+  let DatabaseService;
+  let settlementService;
+  let mockTradingService;
+  let mockNotificationService;
+  let balances;
+
+  beforeAll(async () => {
+    process.env.DB_PATH = testDbPath;
+    DatabaseService = require('../services/DatabaseService');
+    await DatabaseService.init();
+  });
+
+  afterAll(async () => {
+    await DatabaseService.shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  const submitTrade = async (overrides = {}) => {
+    const tradeId = await DatabaseService.logTrade({
+      strategy: 'Manual', symbol: 'GALA/GUSDC', side: 'SELL', amount: 500, price: 0.05, total_value: 25,
+      slippage: 0.05, status: 'PENDING', tx_hash: 'tx-1', dry_run: false, expected_output: 25
+    });
+    return {
+      tradeId, walletId: 1, fromToken: GALA, toToken: GUSDC, amount: 500, feeTier: 3000,
+      expectedOutput: 25, pendingTx: null, balanceBefore: 10, ...overrides
+    };
+  };
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM trades');
+    await DatabaseService.run('DELETE FROM open_positions');
+    await DatabaseService.run('DELETE FROM balance_reconciliations');
+
+    balances = { GALA: 1000, GUSDC: 10 };
+    mockTradingService = {
+      wallets: new Map([[1, { id: 1, name: 'main' }]]),
+      isPaperTrading: () => false,
+      getWalletContext: jest.fn(() => ({ id: 1, name: 'main' })),
+      getWalletAssets: jest.fn(async () => ({
+        wallet: 'main',
+        walletId: 1,
+        tokens: Object.entries(balances).map(([symbol, quantity]) => ({ symbol, quantity: String(quantity) }))
+      }))
+    };
+    mockNotificationService = { sendSettlementAlert: jest.fn().mockResolvedValue(true) };
+
+    settlementService = new SettlementService();
+    settlementService.databaseService = DatabaseService;
+    settlementService.tradingService = mockTradingService;
+    settlementService.notificationService = mockNotificationService;
+    settlementService.sleep = jest.fn().mockResolvedValue();
+    await settlementService.init();
+  });
+
+  test('should confirm a swap from its transaction event and flag a fill off its quote', async () => {
+    const submission = await submitTrade({ pendingTx: { wait: jest.fn().mockResolvedValue({ amountOut: '24.5' }) } });
+
+    const result = await settlementService.confirmSwap(submission);
+
+    expect(result).toMatchObject({ status: 'CONFIRMED', amountOut: 24.5, source: 'event', flagged: true });
+    expect(result.deviation).toBeCloseTo(-0.02);
+    const trade = await DatabaseService.getTrade(submission.tradeId);
+    expect(trade).toMatchObject({ status: 'COMPLETED', actual_output: 24.5, expected_output: 25, total_value: 24.5 });
+    expect(trade.price).toBeCloseTo(0.049);
+    expect(trade.confirmed_at).toBeTruthy();
+    expect(mockNotificationService.sendSettlementAlert).toHaveBeenCalledWith(expect.objectContaining({ title: `Fill Mismatch on Trade #${submission.tradeId}` }));
+    expect(await DatabaseService.getFillMismatches(0.01)).toEqual([expect.objectContaining({ id: submission.tradeId })]);
+  });
+
+  test('should fail a swap whose transaction failed on chain', async () => {
+    const error = Object.assign(new Error('Slippage tolerance exceeded'), { code: 'TRANSACTION_WAIT_FAILED' });
+    const submission = await submitTrade({ pendingTx: { wait: jest.fn().mockRejectedValue(error) } });
+    settlementService.sleep = jest.fn(() => new Promise(resolve => setImmediate(resolve)));
+
+    const result = await settlementService.confirmSwap(submission);
+
+    expect(result).toMatchObject({ status: 'FAILED', error: 'Slippage tolerance exceeded' });
+    expect(await DatabaseService.getTrade(submission.tradeId)).toMatchObject({ status: 'FAILED', actual_output: null });
+  });
+
+  test('should poll the wallet balance when the transaction waiter is unavailable', async () => {
+    const error = Object.assign(new Error('Transaction waiter disabled'), {
+      code: 'TRANSACTION_WAIT_FAILED',
+      details: { message: 'Transaction waiter disabled' }
+    });
+    const submission = await submitTrade({ pendingTx: { wait: jest.fn().mockRejectedValue(error) } });
+    settlementService.sleep = jest.fn(async () => { balances.GUSDC = 34.9; });
+
+    const result = await settlementService.confirmSwap(submission);
+
+    expect(result).toMatchObject({ status: 'CONFIRMED', source: 'balance', flagged: false });
+    expect(result.amountOut).toBeCloseTo(24.9);
+    expect(mockNotificationService.sendSettlementAlert).not.toHaveBeenCalled();
+  });
+
+  test('should leave a swap pending when it does not confirm in time and correct its position later', async () => {
+    settlementService.timeoutMs = 0;
+    const submission = await submitTrade();
+
+    expect(await settlementService.confirmSwap(submission)).toMatchObject({ status: 'UNCONFIRMED' });
+    expect(await DatabaseService.getTrade(submission.tradeId)).toMatchObject({ status: 'PENDING' });
+    expect(await DatabaseService.getUnconfirmedTrades({ walletId: 1 })).toHaveLength(1);
+
+    const positionId = await DatabaseService.createOpenPosition({
+      strategy: 'Manual', symbol: 'GALA/GUSDC', token_symbol: 'GUSDC', gala_symbol: GUSDC,
+      entry_trade_id: submission.tradeId, entry_price: 0.05, entry_amount: 500, token_amount: 25
+    });
+    settlementService.sleep = jest.fn(async () => { balances.GUSDC = 35.5; });
+
+    const watched = settlementService.watch(submission, { positionId });
+    expect(settlementService.watching.has(submission.tradeId)).toBe(true);
+    expect(await watched).toMatchObject({ status: 'CONFIRMED', amountOut: 25.5, source: 'balance' });
+
+    expect(settlementService.watching.has(submission.tradeId)).toBe(false);
+    expect(await DatabaseService.getTrade(submission.tradeId)).toMatchObject({ status: 'COMPLETED', actual_output: 25.5 });
+    const position = await DatabaseService.getPosition(positionId);
+    expect(position.token_amount).toBeCloseTo(25.5);
+    expect(position.entry_price).toBeCloseTo(0.051);
+  });
+
+  test('should correct the GALA a close realized when its swap confirms late', async () => {
+    const { tradeId: entryTradeId } = await submitTrade();
+    const positionId = await DatabaseService.createOpenPosition({
+      strategy: 'Manual', symbol: 'GALA/GUSDC', token_symbol: 'GUSDC', gala_symbol: GUSDC,
+      entry_trade_id: entryTradeId, entry_price: 0.05, entry_amount: 500, token_amount: 25
+    });
+    const tradeId = await DatabaseService.logTrade({
+      strategy: 'Manual', symbol: 'GALA/GUSDC', side: 'BUY', amount: 25, price: 22, total_value: 550,
+      slippage: 0.05, status: 'PENDING', tx_hash: 'tx-2', dry_run: false, expected_output: 550
+    });
+    await DatabaseService.closePosition(positionId, tradeId, 'Buyback completed', { galaAmount: 550 });
+
+    settlementService.sleep = jest.fn(async () => { balances.GALA = 1540; });
+    const submission = {
+      tradeId, walletId: 1, fromToken: GUSDC, toToken: GALA, amount: 25, feeTier: 3000,
+      expectedOutput: 550, pendingTx: null, balanceBefore: 1000
+    };
+
+    expect(await settlementService.watch(submission, { positionId, closing: true })).toMatchObject({ status: 'CONFIRMED', amountOut: 540 });
+
+    const position = await DatabaseService.getPosition(positionId);
+    expect(position).toMatchObject({ status: 'CLOSED', realized_gala: 540, realized_pnl: 40 });
+    const [close] = await DatabaseService.all("SELECT * FROM position_fills WHERE position_id = ? AND action = 'CLOSE'", [positionId]);
+    expect(close).toMatchObject({ trade_id: tradeId, gala_amount: 540, realized_pnl: 40 });
+  });
+
+  test('should reconcile wallet balances against the settled trades', async () => {
+    const first = await settlementService.reconcile();
+    expect(first.wallets).toEqual([{ wallet: 'main', trades: 0, pendingTrades: 0, flagged: [] }]);
+    expect((await DatabaseService.getLatestBalanceReconciliation(1)).map(row => row.token)).toEqual(['GALA', 'GUSDC']);
+
+    // A confirmed swap moves the balances as recorded, an unrecorded deposit does not
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await DatabaseService.logTrade({
+      strategy: 'Manual', symbol: 'GALA/GUSDC', side: 'SELL', amount: 500, price: 0.05, total_value: 25,
+      slippage: 0.05, status: 'COMPLETED', dry_run: false
+    });
+    await DatabaseService.logTrade({
+      strategy: 'DCA', symbol: 'GALA', side: 'BUY', amount: 10, price: 0.02, total_value: 0.2,
+      slippage: 0.05, status: 'COMPLETED', dry_run: false
+    });
+    balances = { GALA: 500, GUSDC: 35, GWETH: 0.01 };
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const second = await settlementService.reconcile();
+    expect(second.wallets[0]).toMatchObject({ trades: 1, flagged: [expect.objectContaining({ token: 'GWETH', discrepancy: 0.01 })] });
+    expect(mockNotificationService.sendSettlementAlert).toHaveBeenCalledWith(expect.objectContaining({ title: 'Balance Reconciliation' }));
+
+    const report = await settlementService.getReport();
+    expect(report).toMatchObject({ wallet: 'main', flagged: [expect.objectContaining({ token: 'GWETH', flagged: true })], unconfirmed: [] });
+    expect(report.tokens.find(row => row.token === 'GALA')).toMatchObject({ previous_balance: 1000, trade_delta: -500, discrepancy: 0 });
+  });
+
+  test('should not reconcile paper trading balances', async () => {
+    mockTradingService.isPaperTrading = () => true;
+
+    const result = await settlementService.reconcile();
+
+    expect(result.skipped).toBeTruthy();
+    expect(mockTradingService.getWalletAssets).not.toHaveBeenCalled();
+  });
+});
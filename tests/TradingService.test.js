@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const TradingService = require('../services/TradingService');
 const config = require('../config/ConfigManager');
 
@@ -34,11 +36,11 @@ describe('TradingService', () => {
         'DEFAULT_SLIPPAGE': '0.05',
         'MIN_TRADE_AMOUNT': '1',
         'MAX_TRADE_AMOUNT': '100',
-        'MIN_TIME_BETWEEN_TRADES_MS': '3600000',
-        'PRIVATE_KEY': 'mock_private_key'
+        'MIN_TIME_BETWEEN_TRADES_MS': '3600000'
       };
       return mockConfig[key] || defaultValue;
     });
+    config.unlockPrivateKey = jest.fn().mockResolvedValue('mock_private_key');
 
     // Create service instance
     tradingService = new TradingService();
@@ -55,6 +57,9 @@ describe('TradingService', () => {
     };
     GSwap.mockImplementation(() => mockGSwap);
 
+    // Only the main wallet, signed by the mocked key
+    tradingService.databaseService = { getWallets: jest.fn().mockResolvedValue([]) };
+
     await tradingService.init();
   });
 
@@ -68,14 +73,26 @@ describe('TradingService', () => {
     });
 
     it('should throw error if PRIVATE_KEY is missing', async () => {
-      config.get.mockImplementation((key, defaultValue) => {
-        if (key === 'PRIVATE_KEY') return null;
-        return defaultValue;
-      });
+      config.get.mockImplementation((key, defaultValue) => defaultValue);
+      config.unlockPrivateKey.mockResolvedValue(null);
 
       const newService = new TradingService();
       await expect(newService.init()).rejects.toThrow('PRIVATE_KEY environment variable is required');
     });
+
+    it('should not unlock a private key for paper trading', async () => {
+      config.get.mockImplementation((key, defaultValue) => (key === 'EXCHANGE_MODE' ? 'paper' : defaultValue));
+      config.unlockPrivateKey = jest.fn().mockResolvedValue(null);
+
+      const newService = new TradingService();
+      newService.databaseService = { getWallets: jest.fn().mockResolvedValue([]) };
+      newService.createPaperExchange = jest.fn().mockResolvedValue(mockGSwap);
+      await newService.init();
+
+      expect(newService.isPaperTrading()).toBe(true);
+      expect(newService.gSwap).toBe(mockGSwap);
+      expect(config.unlockPrivateKey).not.toHaveBeenCalled();
+    });
   });
 
   describe('analyzeGoldenCrossStrategy', () => {
@@ -204,6 +221,72 @@ describe('TradingService', () => {
       expect(result.success).toBe(false);
       expect(result.error).toContain('Must wait');
     });
+
+    const mockQuoteOf = (output, priceImpact) => ({
+      outTokenAmount: {
+        toString: () => String(output),
+        multipliedBy: jest.fn().mockReturnValue({ toString: () => String(output * 0.95) }),
+        dividedBy: jest.fn(amount => ({ toNumber: () => output / amount }))
+      },
+      feeTier: '0.3%',
+      priceImpact
+    });
+
+    it('should cancel a swap whose quote fails the price guards', async () => {
+      tradingService.maxPriceImpact = 0.02;
+      tradingService.logTradeExecution = jest.fn().mockResolvedValue(7);
+      mockGSwap.quoting.quoteExactInput.mockResolvedValue(mockQuoteOf(95.5, 0.08));
+
+      const result = await tradingService.executeSwap(
+        'GALA|Unit|none|none',
+        'GUSDC|Unit|none|none',
+        50,
+        { dryRun: true }
+      );
+
+      expect(result).toMatchObject({ success: false, rejected: true, rule: 'price_impact' });
+      expect(tradingService.logTradeExecution).toHaveBeenCalledTimes(1);
+      expect(tradingService.logTradeExecution).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'CANCELLED',
+        notes: expect.stringContaining('Price guard failed (price_impact)')
+      }));
+      expect(mockGSwap.swaps.swap).not.toHaveBeenCalled();
+    });
+
+    it('should re-quote a stale quote before submitting the swap', async () => {
+      let now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      tradingService.isDryRun = false;
+      tradingService.quoteMaxAgeMs = 10000;
+      tradingService.logTradeExecution = jest.fn().mockResolvedValue(7);
+      tradingService.trackOpenPosition = jest.fn().mockResolvedValue({ positionId: 3, scaled: false });
+      tradingService.disconnectEventSocket = jest.fn();
+      // Connecting to the event socket outlasts the quote
+      tradingService.connectEventSocket = jest.fn(async () => { now += 15000; });
+      mockGSwap.quoting.quoteExactInput
+        .mockResolvedValueOnce(mockQuoteOf(95.5, 0.01))
+        .mockResolvedValueOnce(mockQuoteOf(94, 0.01));
+      mockGSwap.swaps.swap.mockResolvedValue({ transactionId: 'tx-1' });
+
+      try {
+        const result = await tradingService.executeSwap(
+          'GALA|Unit|none|none',
+          'GUSDC|Unit|none|none',
+          50
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.expectedOutput).toBe('94');
+        expect(mockGSwap.quoting.quoteExactInput).toHaveBeenCalledTimes(2);
+        expect(mockGSwap.quoting.quoteExactInput.mock.invocationCallOrder[1])
+          .toBeLessThan(mockGSwap.swaps.swap.mock.invocationCallOrder[0]);
+        const [, , , swapParams] = mockGSwap.swaps.swap.mock.calls[0];
+        expect(swapParams.exactIn).toBe(50);
+        expect(swapParams.amountOutMinimum.toString()).toBe(String(94 * 0.95));
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
   });
 
   describe('executeGoldenCrossStrategy', () => {
@@ -275,6 +358,161 @@ describe('TradingService', () => {
     });
   });
 
+  describe('getLastDCAExecution', () => {
+    it('should count legacy GALA marker rows and only live executions when trading live', async () => {
+      tradingService.databaseService = { getLastTradeExecution: jest.fn().mockResolvedValue('2025-06-01T00:00:00.000Z') };
+
+      expect(await tradingService.getLastDCAExecution()).toBe('2025-06-01T00:00:00.000Z');
+      expect(tradingService.databaseService.getLastTradeExecution).toHaveBeenCalledWith('DCA', ['GALA/GUSDC', 'GALA'], { dryRun: true });
+
+      tradingService.isDryRun = false;
+      await tradingService.getLastDCAExecution('GALA/GWETH');
+      expect(tradingService.databaseService.getLastTradeExecution).toHaveBeenLastCalledWith('DCA', 'GALA/GWETH', { dryRun: false });
+    });
+  });
+
+  describe('executeBuyback', () => {
+    const position = {
+      id: 5,
+      symbol: 'GALA/GUSDC',
+      token_symbol: 'GUSDC',
+      gala_symbol: 'GUSDC|Unit|none|none',
+      entry_amount: 50,
+      token_amount: 1000,
+      closed_token_amount: 0,
+      strategy: 'Manual',
+      wallet_id: null, // The default wallet
+      retry_count: 0
+    };
+    let mockDatabaseService;
+
+    beforeEach(() => {
+      mockDatabaseService = {
+        getWallets: jest.fn().mockResolvedValue([]),
+        closePosition: jest.fn().mockResolvedValue(),
+        updatePositionRetry: jest.fn().mockResolvedValue(),
+        markPositionFailed: jest.fn().mockResolvedValue()
+      };
+      tradingService.databaseService = mockDatabaseService;
+      tradingService.logTradeExecution = jest.fn().mockResolvedValue(11);
+      mockGSwap.quoting.quoteExactInput.mockResolvedValue({
+        outTokenAmount: {
+          toString: () => '25',
+          multipliedBy: jest.fn().mockReturnValue({ toString: () => '23.75' }),
+          dividedBy: jest.fn(amount => ({ toNumber: () => 25 / amount }))
+        },
+        feeTier: '0.3%',
+        priceImpact: 0
+      });
+    });
+
+    it('should fire a second exit inside the trade cooldown', async () => {
+      // A ladder step just filled: the trailing stop that follows cannot wait out the cooldown
+      tradingService.lastTradeTime = Date.now() - 60000;
+
+      const ladderStep = await tradingService.executeBuyback(position, 0.05, {
+        tokenAmount: 500, // Token amount above the GALA MAX_TRADE_AMOUNT
+        exitRule: { reason: 'TAKE_PROFIT_LADDER', description: 'Ladder level 1', ladderStep: 0 }
+      });
+      const trailingStop = await tradingService.executeBuyback({ ...position, closed_token_amount: 500 }, 0.05, {
+        exitRule: { reason: 'TRAILING_STOP', description: 'Trailing stop hit' }
+      });
+
+      expect(ladderStep).toMatchObject({ success: true, partial: true });
+      expect(trailingStop).toMatchObject({ success: true, partial: false, exitReason: 'TRAILING_STOP' });
+      expect(mockDatabaseService.closePosition).toHaveBeenCalledTimes(2);
+      expect(mockDatabaseService.updatePositionRetry).not.toHaveBeenCalled();
+    });
+
+    it('should keep the retries of an exit the cooldown rejects', async () => {
+      tradingService.executeSwap = jest.fn().mockResolvedValue({
+        success: false,
+        rejected: true,
+        rule: 'cooldown',
+        error: 'Must wait 40 minutes before next trade'
+      });
+
+      const result = await tradingService.executeBuyback(position, 0.05);
+
+      expect(result).toMatchObject({ success: false, rejected: true, retryable: true });
+      expect(tradingService.executeSwap).toHaveBeenCalledWith('GUSDC|Unit|none|none', 'GALA|Unit|none|none', 1000,
+        expect.objectContaining({ positionExit: true, bypassCooldown: true }));
+      expect(mockDatabaseService.updatePositionRetry).not.toHaveBeenCalled();
+      expect(mockDatabaseService.markPositionFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('algo order positions', () => {
+    const testDbPath = path.join(__dirname, 'trading-algo-test.db');
+    const ServiceManager = require('../services/ServiceManager');
+    const DatabaseService = require('../services/DatabaseService');
+    const ExecutionService = require('../services/ExecutionService');
+    const riskManager = ServiceManager.get('riskManager');
+
+    beforeAll(async () => {
+      const mockedGet = config.get;
+      config.get = jest.fn((key, defaultValue) => (key === 'DB_PATH' ? testDbPath : mockedGet.call(config, key, defaultValue)));
+      await DatabaseService.init();
+      config.get = mockedGet;
+    });
+
+    afterAll(async () => {
+      await DatabaseService.shutdown();
+      if (fs.existsSync(testDbPath)) {
+        fs.unlinkSync(testDbPath);
+      }
+    });
+
+    beforeEach(async () => {
+      await DatabaseService.run('DELETE FROM open_positions');
+      await DatabaseService.run('DELETE FROM trades');
+
+      riskManager.databaseService = DatabaseService;
+      await riskManager.init();
+      riskManager.maxTokenExposure = 0;
+      riskManager.maxOpenPositions = 2;
+
+      tradingService.databaseService = DatabaseService;
+      // Slices name their wallet by id, as loadWallets() would have registered it
+      tradingService.wallets = new Map([[1, tradingService.getWalletContext()]]);
+      mockGSwap.quoting.quoteExactInput.mockImplementation(async (from, to, amount) => ({
+        outTokenAmount: {
+          toString: () => String(amount * 0.05),
+          multipliedBy: jest.fn().mockReturnValue({ toString: () => String(amount * 0.05 * 0.95) }),
+          dividedBy: jest.fn(() => ({ toNumber: () => 0.05 }))
+        },
+        feeTier: '0.3%',
+        priceImpact: 0
+      }));
+    });
+
+    afterEach(async () => {
+      await riskManager.shutdown();
+    });
+
+    it('should open one position for a TWAP order at its aggregate fill', async () => {
+      // One position is open already: with a limit of 2 the order has a slot, its 12 slices do not
+      await tradingService.executeSwap('GALA|Unit|none|none', 'GWETH|Unit|none|none', 10, { strategy: 'Manual' });
+      const executionService = new ExecutionService();
+      executionService.databaseService = DatabaseService;
+      executionService.tradingService = tradingService;
+      executionService.sleep = jest.fn().mockResolvedValue();
+      await executionService.init();
+
+      const result = await executionService.execute({
+        algo: 'twap', fromToken: 'GALA|Unit|none|none', toToken: 'GUSDC|Unit|none|none', amount: 60, slices: 12, intervalSeconds: 0
+      });
+
+      expect(result).toMatchObject({ status: 'COMPLETED', filled: 60, reason: null });
+      expect(result.slices).toHaveLength(12);
+      const positions = await DatabaseService.getOpenPositions();
+      expect(positions).toHaveLength(2);
+      const position = positions.find(row => row.gala_symbol === 'GUSDC|Unit|none|none');
+      expect(position).toMatchObject({ entry_trade_id: result.parentTradeId, entry_amount: 60, token_amount: 3 });
+      expect(position.entry_price).toBeCloseTo(0.05);
+    });
+  });
+
   describe('closeAllPositions', () => {
     let mockDatabaseService;
     let mockNotificationService;
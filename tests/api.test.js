@@ -1,7 +1,34 @@
+const fs = require('fs');
+const path = require('path');
 const request = require('supertest');
+
+const testDbPath = path.join(__dirname, 'api-test.db');
+process.env.DB_PATH = testDbPath;
+
 const app = require('./testApp'); // Use test app without service initialization
+const serviceManager = require('../services/ServiceManager');
 
 describe('API Integration Tests', () => {
+  let traderKey;
+  let viewerKey;
+
+  beforeAll(async () => {
+    // Only the database and auth services, the rest stay uninitialized
+    await serviceManager.get('database').init();
+    const authService = serviceManager.get('auth');
+    await authService.init();
+
+    traderKey = (await authService.createApiKey('api-test-trader', 'trader')).key;
+    viewerKey = (await authService.createApiKey('api-test-viewer', 'viewer')).key;
+  });
+
+  afterAll(async () => {
+    await serviceManager.get('database').shutdown();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
   test('GET / should return basic response', async () => {
     const response = await request(app)
       .get('/')
@@ -14,7 +41,8 @@ describe('API Integration Tests', () => {
     // This test depends on external API and may fail due to missing services
     // but it should not crash the test runner
     const response = await request(app)
-      .get('/users/get-price');
+      .get('/users/get-price')
+      .set('X-API-Key', viewerKey);
     
     // Should get some response (may be error due to missing services, that's ok)
     expect(response.status).toBeDefined();
@@ -24,6 +52,7 @@ describe('API Integration Tests', () => {
     test('POST /trading/close-all should handle service not available', async () => {
       const response = await request(app)
         .post('/trading/close-all')
+        .set('Authorization', `Bearer ${traderKey}`)
         .send({ force: true });
       
       // Should return error when services are not initialized
@@ -35,6 +64,7 @@ describe('API Integration Tests', () => {
     test('POST /trading/close-all should accept force parameter', async () => {
       const response = await request(app)
         .post('/trading/close-all')
+        .set('Authorization', `Bearer ${traderKey}`)
         .send({ force: false });
       
       // Should handle the request even with different force value
@@ -46,6 +76,7 @@ describe('API Integration Tests', () => {
     test('POST /trading/close-all should handle malformed request', async () => {
       const response = await request(app)
         .post('/trading/close-all')
+        .set('Authorization', `Bearer ${traderKey}`)
         .send({ invalid: 'data' });
       
       // Should still handle the request (force defaults to false)
@@ -53,5 +84,31 @@ describe('API Integration Tests', () => {
       expect(response.body).toHaveProperty('success');
       expect(response.body).toHaveProperty('timestamp');
     });
+
+    test('POST /trading/close-all should require authentication', async () => {
+      const response = await request(app)
+        .post('/trading/close-all')
+        .send({ force: true })
+        .expect(401);
+
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    test('POST /trading/close-all should require the trader role', async () => {
+      const response = await request(app)
+        .post('/trading/close-all')
+        .set('X-API-Key', viewerKey)
+        .send({ force: true })
+        .expect(403);
+
+      expect(response.body.error).toBe('Requires the trader role (you have viewer)');
+    });
+
+    test('should reject unknown API keys', async () => {
+      await request(app)
+        .get('/trading/status')
+        .set('Authorization', 'Bearer gtb_not-a-key')
+        .expect(401);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const AuthService = require('../services/AuthService');
+const authRouter = require('../routes/auth');
+const { authenticate, requireRole, requireTraderForLive, parseDryRun, setAuthService } = require('../middleware/auth');
+
+const testDbPath = path.join(__dirname, 'auth-test.db');
+let DatabaseService;
+
+beforeAll(async () => {
+  process.env.DB_PATH = testDbPath;
+  DatabaseService = require('../services/DatabaseService');
+  await DatabaseService.init();
+});
+
+afterAll(async () => {
+  await DatabaseService.shutdown();
+  if (fs.existsSync(testDbPath)) {
+    fs.unlinkSync(testDbPath);
+  }
+});
+
+describe('AuthService', () => {
+  let service;
+
+  beforeEach(async () => {
+    await DatabaseService.run('DELETE FROM sessions');
+    await DatabaseService.run('DELETE FROM api_keys');
+    await DatabaseService.run('DELETE FROM users');
+
+    service = new AuthService();
+    service.databaseService = DatabaseService;
+    await service.init();
+  });
+
+  test('should hash passwords with a random salt', async () => {
+    const first = await AuthService.hashPassword('correct horse');
+    const second = await AuthService.hashPassword('correct horse');
+
+    expect(first).toMatch(/^scrypt\$16384\$8\$1\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(first).not.toBe(second);
+    expect(await AuthService.verifyPassword('correct horse', first)).toBe(true);
+    expect(await AuthService.verifyPassword('correct horsE', first)).toBe(false);
+    expect(await AuthService.verifyPassword('correct horse', 'plaintext')).toBe(false);
+  });
+
+  test('should rank roles', () => {
+    expect(service.hasRole('admin', 'trader')).toBe(true);
+    expect(service.hasRole('trader', 'trader')).toBe(true);
+    expect(service.hasRole('viewer', 'trader')).toBe(false);
+    expect(service.hasRole('root', 'viewer')).toBe(false);
+  });
+
+  test('should validate new users', async () => {
+    await expect(service.createUser('al', 'long enough password')).rejects.toThrow('Username must be');
+    await expect(service.createUser('alice', 'short')).rejects.toThrow('at least 10 characters');
+    await expect(service.createUser('alice', 'long enough password', 'root')).rejects.toThrow('Unknown role: root');
+
+    const user = await service.createUser('alice', 'long enough password', 'trader');
+    expect(user).toMatchObject({ username: 'alice', role: 'trader', active: true });
+    await expect(service.createUser('alice', 'long enough password')).rejects.toThrow('User already exists');
+  });
+
+  test('should log in, resolve and end sessions', async () => {
+    await service.createUser('alice', 'long enough password', 'trader');
+
+    expect(await service.login('alice', 'wrong password')).toBeNull();
+    expect(await service.login('nobody', 'long enough password')).toBeNull();
+
+    const session = await service.login('alice', 'long enough password');
+    expect(session.user).toEqual({ username: 'alice', role: 'trader' });
+    expect(await service.authenticateSession(session.token)).toMatchObject({ type: 'session', name: 'alice', role: 'trader' });
+    expect((await DatabaseService.getUserCredentials('alice')).last_login_at).toBeTruthy();
+
+    await service.logout(session.token);
+    expect(await service.authenticateSession(session.token)).toBeNull();
+  });
+
+  test('should end sessions on a password change or deactivation', async () => {
+    await service.createUser('alice', 'long enough password', 'trader');
+    const first = await service.login('alice', 'long enough password');
+
+    await service.updateUser('alice', { password: 'another long password' });
+    expect(await service.authenticateSession(first.token)).toBeNull();
+    expect(await service.login('alice', 'long enough password')).toBeNull();
+
+    const second = await service.login('alice', 'another long password');
+    await service.updateUser('alice', { active: false });
+    expect(await service.authenticateSession(second.token)).toBeNull();
+    expect(await service.login('alice', 'another long password')).toBeNull();
+  });
+
+  test('should lock a username out after repeated failures', async () => {
+    await service.createUser('alice', 'long enough password', 'trader');
+
+    for (let i = 0; i < 5; i++) {
+      expect(await service.login('alice', 'wrong password')).toBeNull();
+    }
+
+    await expect(service.login('alice', 'long enough password')).rejects.toMatchObject({ status: 429 });
+  });
+
+  test('should create, resolve and revoke API keys', async () => {
+    const created = await service.createApiKey('ci', 'viewer', 'alice');
+    expect(created.key).toMatch(/^gtb_[\w-]{43}$/);
+    expect(created.key_prefix).toBe(created.key.substring(0, 12));
+
+    const stored = await DatabaseService.get('SELECT key_hash FROM api_keys WHERE id = ?', [created.id]);
+    expect(stored.key_hash).toBe(AuthService.hashToken(created.key));
+
+    expect(await service.authenticateApiKey(created.key)).toEqual({ type: 'api_key', id: created.id, name: 'ci', role: 'viewer' });
+    expect(await service.revokeApiKey(created.id)).toBe(true);
+    expect(await service.authenticateApiKey(created.key)).toBeNull();
+  });
+});
+
+describe('Auth middleware', () => {
+  let service;
+  let app;
+  let keys;
+
+  beforeAll(async () => {
+    await DatabaseService.run('DELETE FROM sessions');
+    await DatabaseService.run('DELETE FROM api_keys');
+    await DatabaseService.run('DELETE FROM users');
+
+    service = new AuthService();
+    service.databaseService = DatabaseService;
+    await service.init();
+    setAuthService(service);
+
+    keys = {
+      viewer: (await service.createApiKey('viewer', 'viewer')).key,
+      trader: (await service.createApiKey('trader', 'trader')).key,
+      admin: (await service.createApiKey('admin', 'admin')).key
+    };
+    await service.createUser('alice', 'long enough password', 'viewer');
+
+    app = express();
+    app.use(express.json());
+    app.use(cookieParser());
+    app.use(authenticate);
+    app.use('/auth', authRouter);
+    app.get('/status', requireRole('viewer'), (req, res) => res.json({ success: true, caller: req.auth?.name ?? null }));
+    app.post('/swap', requireTraderForLive(req => parseDryRun(req.body.dryRun) === true), (req, res) => res.json({ success: true }));
+  });
+
+  afterAll(() => {
+    setAuthService(null);
+  });
+
+  afterEach(() => {
+    service.enabled = true;
+  });
+
+  test('should require credentials', async () => {
+    const response = await request(app).get('/status').expect(401);
+    expect(response.body).toMatchObject({ success: false, error: 'Authentication required' });
+
+    await request(app).get('/status').set('X-API-Key', 'gtb_unknown').expect(401);
+    await request(app).get('/status').set('Cookie', 'gtb_session=unknown').expect(401);
+  });
+
+  test('should accept API keys in either header', async () => {
+    expect((await request(app).get('/status').set('Authorization', `Bearer ${keys.viewer}`).expect(200)).body.caller).toBe('viewer');
+    expect((await request(app).get('/status').set('X-API-Key', keys.trader).expect(200)).body.caller).toBe('trader');
+  });
+
+  test('should require the trader role for live swaps only', async () => {
+    await request(app).post('/swap').set('X-API-Key', keys.viewer).send({ dryRun: true }).expect(200);
+    await request(app).post('/swap').set('X-API-Key', keys.viewer).send({ dryRun: 'true' }).expect(200);
+
+    const response = await request(app).post('/swap').set('X-API-Key', keys.viewer).send({ dryRun: false }).expect(403);
+    expect(response.body.error).toBe('Requires the trader role (you have viewer)');
+    await request(app).post('/swap').set('X-API-Key', keys.viewer).send({}).expect(403);
+
+    await request(app).post('/swap').set('X-API-Key', keys.trader).send({ dryRun: false }).expect(200);
+    await request(app).post('/swap').set('X-API-Key', keys.admin).send({}).expect(200);
+  });
+
+  test('should log in with a session cookie', async () => {
+    await request(app).post('/auth/login').send({ username: 'alice', password: 'wrong password' }).expect(401);
+
+    const login = await request(app).post('/auth/login').send({ username: 'alice', password: 'long enough password' }).expect(200);
+    const cookie = login.headers['set-cookie'][0];
+    expect(cookie).toMatch(/^gtb_session=[\w-]+;/);
+    expect(cookie).toContain('HttpOnly');
+    expect(cookie).toContain('SameSite=Strict');
+
+    const me = await request(app).get('/auth/me').set('Cookie', cookie).expect(200);
+    expect(me.body.user).toMatchObject({ type: 'session', name: 'alice', role: 'viewer' });
+
+    await request(app).post('/auth/logout').set('Cookie', cookie).expect(200);
+    await request(app).get('/auth/me').set('Cookie', cookie).expect(401);
+  });
+
+  test('should restrict user and key management to admins', async () => {
+    await request(app).get('/auth/keys').set('X-API-Key', keys.trader).expect(403);
+
+    const created = await request(app)
+      .post('/auth/keys')
+      .set('X-API-Key', keys.admin)
+      .send({ name: 'grafana', role: 'viewer' })
+      .expect(201);
+    expect(created.body.apiKey.created_by).toBe('admin');
+
+    await request(app).get('/status').set('X-API-Key', created.body.apiKey.key).expect(200);
+    await request(app).delete(`/auth/keys/${created.body.apiKey.id}`).set('X-API-Key', keys.admin).expect(200);
+    await request(app).get('/status').set('X-API-Key', created.body.apiKey.key).expect(401);
+
+    const users = await request(app).get('/auth/users').set('X-API-Key', keys.admin).expect(200);
+    expect(users.body.users.map(user => user.username)).toContain('alice');
+    expect(users.body.users[0].password_hash).toBeUndefined();
+  });
+
+  test('should let everything through when auth is disabled', async () => {
+    service.enabled = false;
+
+    await request(app).post('/swap').send({ dryRun: false }).expect(200);
+    expect((await request(app).get('/auth/me').expect(200)).body.user).toBeNull();
+  });
+});
@@ -0,0 +1,269 @@
+const {
+  simulateFill,
+  calculateMaxDrawdown,
+  calculateReturns,
+  calculateSharpeRatio,
+  inferPeriodsPerYear,
+  calculateWinRate,
+  normalizeCandles,
+  parseCandlesCSV
+} = require('../utils/backtest');
+const BacktestService = require('../services/BacktestService');
+const { registry: strategyRegistry } = require('../strategies');
+
+describe('Backtest Utilities', () => {
+  describe('simulateFill', () => {
+    test('should apply slippage and fees to a BUY', () => {
+      const fill = simulateFill({ side: 'BUY', price: 1, quantity: 100, slippage: 0.01, feeRate: 0.003 });
+
+      expect(fill.fillPrice).toBeCloseTo(1.01);
+      expect(fill.fee).toBeCloseTo(0.3);
+      expect(fill.units).toBeCloseTo(99.7 / 1.01);
+      expect(fill.quoteAmount).toBe(100);
+    });
+
+    test('should apply slippage and fees to a SELL', () => {
+      const fill = simulateFill({ side: 'SELL', price: 2, quantity: 50, slippage: 0.01, feeRate: 0.003 });
+
+      expect(fill.fillPrice).toBeCloseTo(1.98);
+      expect(fill.fee).toBeCloseTo(99 * 0.003);
+      expect(fill.quoteAmount).toBeCloseTo(99 - 99 * 0.003);
+    });
+
+    test('should reject invalid orders', () => {
+      expect(() => simulateFill({ side: 'BUY', price: 0, quantity: 10 })).toThrow('Fill price must be positive');
+      expect(() => simulateFill({ side: 'BUY', price: 1, quantity: 0 })).toThrow('Fill quantity must be positive');
+      expect(() => simulateFill({ side: 'HOLD', price: 1, quantity: 1 })).toThrow('Unsupported fill side');
+    });
+  });
+
+  describe('calculateMaxDrawdown', () => {
+    test('should find the largest peak-to-trough decline', () => {
+      expect(calculateMaxDrawdown([100, 120, 90, 110, 60, 130])).toBeCloseTo(0.5);
+    });
+
+    test('should return 0 for monotonic growth or empty input', () => {
+      expect(calculateMaxDrawdown([1, 2, 3])).toBe(0);
+      expect(calculateMaxDrawdown([])).toBe(0);
+    });
+  });
+
+  describe('calculateSharpeRatio', () => {
+    test('should compute annualized Sharpe from returns', () => {
+      const returns = calculateReturns([100, 101, 100, 102, 103]);
+      const sharpe = calculateSharpeRatio(returns, 365);
+
+      expect(returns).toHaveLength(4);
+      expect(sharpe).toBeGreaterThan(0);
+    });
+
+    test('should return null when volatility is zero or data is insufficient', () => {
+      expect(calculateSharpeRatio([0.01, 0.01, 0.01])).toBeNull();
+      expect(calculateSharpeRatio([0.01])).toBeNull();
+    });
+  });
+
+  describe('inferPeriodsPerYear', () => {
+    test('should annualize by the median bar spacing', () => {
+      const hour = 60 * 60 * 1000;
+      const hourly = [0, 1, 2, 3, 5].map(i => ({ timestamp: i * hour }));
+      const daily = [1, 2, 3, 10].map(day => ({ timestamp: Date.UTC(2025, 0, day) }));
+
+      expect(inferPeriodsPerYear(hourly)).toBe(365 * 24);
+      expect(inferPeriodsPerYear(daily)).toBe(365);
+    });
+
+    test('should fall back to daily bars when the spacing is unknown', () => {
+      expect(inferPeriodsPerYear([{ timestamp: 0 }])).toBe(365);
+      expect(inferPeriodsPerYear([])).toBe(365);
+    });
+  });
+
+  describe('calculateWinRate', () => {
+    test('should count winning and losing lots', () => {
+      const stats = calculateWinRate([{ pnl: 5 }, { pnl: -2 }, { pnl: 1 }, { pnl: 0 }]);
+
+      expect(stats.totalTrades).toBe(4);
+      expect(stats.winningTrades).toBe(2);
+      expect(stats.losingTrades).toBe(2);
+      expect(stats.winRate).toBe(0.5);
+    });
+
+    test('should handle no trades', () => {
+      expect(calculateWinRate([]).winRate).toBe(0);
+    });
+  });
+
+  describe('candle parsing', () => {
+    test('should parse CSV candles and sort oldest first', () => {
+      const csv = [
+        'date,open,high,low,close,volume',
+        '2025-01-02,1.1,1.2,1.0,1.15,500',
+        '2025-01-01,1.0,1.1,0.9,1.05,400'
+      ].join('\n');
+
+      const candles = parseCandlesCSV(csv);
+
+      expect(candles).toHaveLength(2);
+      expect(candles[0].close).toBe(1.05);
+      expect(candles[1].high).toBe(1.2);
+      expect(candles[1].volume).toBe(500);
+    });
+
+    test('should normalize price_history rows', () => {
+      const candles = normalizeCandles([
+        { symbol: 'GALA', price: 0.02, timestamp: '2025-01-02T00:00:00.000Z' },
+        { symbol: 'GALA', price: 0.01, timestamp: '2025-01-01T00:00:00.000Z' },
+        { symbol: 'GALA', price: null, timestamp: '2025-01-03T00:00:00.000Z' }
+      ]);
+
+      expect(candles).toHaveLength(2);
+      expect(candles[0].close).toBe(0.01);
+      expect(candles[0].open).toBe(0.01);
+    });
+  });
+});
+
+describe('BacktestService', () => {
+  let backtestService;
+  let goldenCross;
+  let dca;
+  let mockDatabaseService;
+
+  const candles = normalizeCandles([1, 1, 2, 2, 1.5, 1.5].map((price, i) => ({
+    price,
+    timestamp: Date.UTC(2025, 0, i + 1)
+  })));
+
+  beforeEach(async () => {
+    backtestService = new BacktestService();
+    await backtestService.init();
+
+    goldenCross = jest.spyOn(strategyRegistry.get('golden_cross'), 'analyze');
+    dca = jest.spyOn(strategyRegistry.get('dca'), 'analyze');
+    mockDatabaseService = {
+      getMonitoredSymbol: jest.fn().mockResolvedValue(null),
+      getPriceHistory: jest.fn(),
+      saveStrategyPerformance: jest.fn().mockResolvedValue(7)
+    };
+
+    backtestService.databaseService = mockDatabaseService;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should replay Golden Cross signals bar by bar', () => {
+    // BUY on bar 1 (price 1), SELL on bar 3 (price 2)
+    goldenCross.mockImplementation((history) => {
+      if (history.length === 2) return { signal: 'BUY', confidence: 0.9, reasons: ['cross up'] };
+      if (history.length === 4) return { signal: 'SELL', confidence: 0.9, reasons: ['cross down'] };
+      return { signal: null, confidence: 0, reasons: [] };
+    });
+
+    const result = backtestService.simulate(candles, {
+      strategy: 'golden_cross',
+      initialCapital: 1000,
+      tradeAmount: 100,
+      slippage: 0,
+      feeRate: 0
+    });
+
+    expect(goldenCross).toHaveBeenCalledTimes(candles.length);
+    // Candles up to the current bar, oldest first
+    expect(goldenCross.mock.calls[2][0].map(candle => candle.close)).toEqual([1, 1, 2]);
+    expect(result.fills).toBe(2);
+    expect(result.totalTrades).toBe(1);
+    expect(result.winningTrades).toBe(1);
+    expect(result.winRate).toBe(1);
+    expect(result.totalPnL).toBeCloseTo(100);
+    expect(result.equityCurve).toHaveLength(candles.length);
+  });
+
+  test('should analyze each bar over the strategy lookback only', () => {
+    // 60 days of lookback on 100 daily bars, but never fewer than the 20-bar period
+    const meanReversion = jest.spyOn(strategyRegistry.get('mean_reversion'), 'analyze')
+      .mockReturnValue({ signal: null, confidence: 0, reasons: [] });
+    const daily = normalizeCandles(Array.from({ length: 100 }, (_, i) => ({
+      price: 1 + i / 100,
+      timestamp: Date.UTC(2025, 0, i + 1)
+    })));
+
+    backtestService.simulate(daily, { strategy: 'mean_reversion' });
+
+    const windows = meanReversion.mock.calls.map(([history]) => history);
+    expect(windows[10]).toHaveLength(11);
+    expect(windows[99]).toHaveLength(61);
+    expect(windows[99][0].timestamp).toBe(Date.UTC(2025, 0, 40));
+    expect(windows[99][60]).toBe(daily[99]);
+
+    backtestService.simulate(daily, { strategy: 'mean_reversion', strategyOptions: { period: 80 } });
+    expect(meanReversion.mock.calls[meanReversion.mock.calls.length - 1][0]).toHaveLength(80);
+  });
+
+  test('should annualize the Sharpe ratio by the candle interval', () => {
+    goldenCross.mockReturnValue({ signal: null, confidence: 0, reasons: [] });
+    const hourly = normalizeCandles(candles.map((candle, i) => ({ price: candle.close, timestamp: Date.UTC(2025, 0, 1, i) })));
+
+    expect(backtestService.simulate(hourly, { strategy: 'golden_cross' }).settings.periodsPerYear).toBe(365 * 24);
+    expect(backtestService.simulate(candles, { strategy: 'golden_cross' }).settings.periodsPerYear).toBe(365);
+    expect(backtestService.simulate(hourly, { strategy: 'golden_cross', periodsPerYear: 252 }).settings.periodsPerYear).toBe(252);
+  });
+
+  test('should simulate DCA buys using bar time and close at end', () => {
+    dca.mockImplementation((history, config) => ({
+      signal: 'BUY',
+      confidence: 0.8,
+      shouldExecute: true,
+      amount: config.amount,
+      reasons: ['DCA daily interval reached']
+    }));
+
+    const result = backtestService.simulate(candles, {
+      strategy: 'dca',
+      tradeAmount: 10,
+      slippage: 0,
+      feeRate: 0.01
+    });
+
+    const lastCall = dca.mock.calls[candles.length - 1];
+    expect(lastCall[2].currentTime).toBe(candles[candles.length - 1].timestamp);
+    expect(lastCall[2].lastExecutionTime).toBe(candles[candles.length - 2].timestamp);
+    expect(result.fills).toBe(candles.length + 1); // Six buys plus the closing sell
+    expect(result.totalTrades).toBe(candles.length);
+    expect(result.totalFees).toBeGreaterThan(0);
+    expect(result.equityCurve[result.equityCurve.length - 1].units).toBe(0);
+  });
+
+  test('should reject unsupported strategies', () => {
+    expect(() => backtestService.simulate(candles, { strategy: 'martingale' }))
+      .toThrow('Unsupported backtest strategy');
+  });
+
+  test('should load price_history and record strategy performance', async () => {
+    mockDatabaseService.getPriceHistory.mockResolvedValue(
+      candles.map(c => ({ symbol: 'GALA', price: c.close, timestamp: c.date }))
+    );
+    goldenCross.mockReturnValue({ signal: null, confidence: 0 });
+
+    const result = await backtestService.runBacktest({ strategy: 'golden_cross', symbol: 'GALA' });
+
+    expect(result.success).toBe(true);
+    expect(result.source).toBe('price_history');
+    expect(result.performanceId).toBe(7);
+    expect(mockDatabaseService.saveStrategyPerformance).toHaveBeenCalledWith(
+      expect.objectContaining({ strategy_name: 'Backtest_GOLDEN_CROSS_GALA', total_trades: 0 })
+    );
+  });
+
+  test('should report missing history', async () => {
+    mockDatabaseService.getPriceHistory.mockResolvedValue([]);
+
+    const result = await backtestService.runBacktest({ strategy: 'dca', symbol: 'NOPE' });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No historical candles found');
+    expect(mockDatabaseService.saveStrategyPerformance).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+const { parseCron, isValidCron, getNextRun } = require('../utils/cron');
+
+describe('Cron Utilities', () => {
+  describe('parseCron', () => {
+    it('should expand wildcards, ranges, steps and lists', () => {
+      const cron = parseCron('*/15 9-17 1,15 * 1-5');
+
+      expect(Array.from(cron.minute)).toEqual([0, 15, 30, 45]);
+      expect(cron.hour.size).toBe(9);
+      expect(Array.from(cron.dayOfMonth)).toEqual([1, 15]);
+      expect(cron.month.size).toBe(12);
+      expect(Array.from(cron.dayOfWeek)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should accept aliases and treat 7 as Sunday', () => {
+      expect(parseCron('@daily').expression).toBe('@daily');
+      expect(Array.from(parseCron('0 0 * * 7').dayOfWeek)).toEqual([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCron('* * * *')).toThrow('expected 5 fields');
+      expect(() => parseCron('60 * * * *')).toThrow('minute out of range');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid cron minute step');
+      expect(() => parseCron('a * * * *')).toThrow('Invalid cron minute');
+      expect(isValidCron('*/5 * * * *')).toBe(true);
+      expect(isValidCron('')).toBe(false);
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should find the next matching minute strictly after the given time', () => {
+      expect(getNextRun('*/5 * * * *', '2025-01-01T00:03:30Z').toISOString()).toBe('2025-01-01T00:05:00.000Z');
+      expect(getNextRun('*/5 * * * *', '2025-01-01T00:05:00Z').toISOString()).toBe('2025-01-01T00:10:00.000Z');
+      expect(getNextRun('0 0 * * *', '2025-12-31T23:59:00Z').toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    });
+
+    it('should skip to matching days and months', () => {
+      // Friday 10:00 -> Monday 09:30
+      expect(getNextRun('30 9 * * 1-5', '2025-01-03T10:00:00Z').toISOString()).toBe('2025-01-06T09:30:00.000Z');
+      expect(getNextRun('0 12 1 */3 *', '2025-02-10T00:00:00Z').toISOString()).toBe('2025-04-01T12:00:00.000Z');
+    });
+
+    it('should match either restricted day field', () => {
+      // The 15th or any Sunday, whichever comes first
+      expect(getNextRun('0 0 15 * 0', '2025-01-06T00:00:00Z').toISOString()).toBe('2025-01-12T00:00:00.000Z');
+    });
+
+    it('should return null for schedules that never run', () => {
+      expect(getNextRun('0 0 29 2 *', '2025-01-01T00:00:00Z').toISOString()).toBe('2028-02-29T00:00:00.000Z');
+      expect(getNextRun('0 0 31 2 *', '2025-01-01T00:00:00Z')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,21 @@
+const { planTwapSlices, getPriceMove } = require('../utils/execution');
+
+describe('Execution Utilities', () => {
+  test('should split TWAP orders into equal slices within the trade limits', () => {
+    expect(planTwapSlices(1000, 4)).toEqual([250, 250, 250, 250]);
+
+    // Slices above the maximum raise the count, slices below the minimum lower it
+    expect(planTwapSlices(1000, 2, { maxSlice: 300 })).toEqual([250, 250, 250, 250]);
+    expect(planTwapSlices(30, 10, { minSlice: 10 })).toEqual([10, 10, 10]);
+    expect(planTwapSlices(5, 10, { minSlice: 10 })).toEqual([5]);
+
+    const uneven = planTwapSlices(100, 3);
+    expect(uneven).toHaveLength(3);
+    expect(uneven.reduce((sum, slice) => sum + slice, 0)).toBe(100);
+  });
+
+  test('should measure price moves against the order', () => {
+    expect(getPriceMove(0.05, 0.0485)).toBeCloseTo(0.03);
+    expect(getPriceMove(0.05, 0.051)).toBeLessThan(0);
+  });
+});
@@ -4,7 +4,8 @@ const {
   calculatePercentageChange, 
   isValidWalletAddress, 
   validateTradeAmount,
-  sanitizeForLog 
+  sanitizeForLog,
+  getBackoffDelay
 } = require('../utils/helpers');
 
 describe('Helper Functions', () => {
@@ -55,4 +56,11 @@ describe('Helper Functions', () => {
     const sanitizedWallet = sanitizeForLog(wallet);
     expect(sanitizedWallet).toContain('eth|...');
   });
-});
\ No newline at end of file
+
+  test('getBackoffDelay should double the delay per attempt up to the cap', () => {
+    expect(getBackoffDelay(1)).toBe(1000);
+    expect(getBackoffDelay(2)).toBe(2000);
+    expect(getBackoffDelay(4, 500)).toBe(4000);
+    expect(getBackoffDelay(20, 5000, 3600000)).toBe(3600000);
+  });
+});
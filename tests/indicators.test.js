@@ -4,9 +4,35 @@ const {
   calculateSMAHistory,
   detectGoldenCross,
   calculateRSI,
-  detectRSISignal
+  detectRSISignal,
+  calculateEMA,
+  calculateMACD,
+  detectMACDSignal,
+  calculateBollingerBands,
+  detectBollingerSignal,
+  calculateATR,
+  calculateStochastic,
+  detectStochasticSignal,
+  calculateVWAP,
+  detectVWAPSignal,
+  createEMAStream,
+  createMACDStream,
+  createBollingerStream,
+  createATRStream,
+  createStochasticStream,
+  createVWAPStream
 } = require('../utils/indicators');
 
+// Deterministic oscillating series (oldest first) and matching candles
+const series = Array.from({ length: 60 }, (_, i) => 10 + Math.sin(i / 4) * 2 + i * 0.05);
+const seriesCandles = series.map((close, i) => ({
+  high: close + 0.5,
+  low: close - 0.5,
+  close,
+  volume: 100 + (i % 5) * 10
+}));
+const newestFirst = values => values.slice().reverse();
+
 describe('Indicators Utils', () => {
   describe('calculateSMA', () => {
     it('should calculate simple moving average correctly', () => {
@@ -169,4 +195,170 @@ describe('Indicators Utils', () => {
       expect(result.reason).toContain('not available');
     });
   });
-});
\ No newline at end of file
+
+  describe('calculateEMA', () => {
+    it('should seed with the SMA and weight recent prices', () => {
+      // Oldest first: 1, 2, 3, 4 -> seed SMA(1, 2, 3) = 2, then (4 - 2) * 0.5 + 2 = 3
+      expect(calculateEMA([4, 3, 2, 1], 3)).toBe(3);
+      expect(calculateEMA([3, 2, 1], 3)).toBe(2);
+    });
+
+    it('should return null for insufficient data', () => {
+      expect(calculateEMA([1, 2], 3)).toBeNull();
+      expect(calculateEMA(null, 3)).toBeNull();
+    });
+  });
+
+  describe('calculateMACD', () => {
+    it('should calculate MACD, signal line and histogram', () => {
+      const macd = calculateMACD(newestFirst(series), 12, 26, 9);
+
+      expect(macd.histogram).toBeCloseTo(macd.macd - macd.signal);
+      expect(macd.macd).toBeCloseTo(calculateEMA(newestFirst(series), 12) - calculateEMA(newestFirst(series), 26));
+      expect(macd.previousHistogram).not.toBeNull();
+    });
+
+    it('should require slow + signal periods of data', () => {
+      expect(calculateMACD(newestFirst(series).slice(0, 33), 12, 26, 9)).toBeNull();
+      expect(calculateMACD(newestFirst(series).slice(0, 34), 12, 26, 9)).not.toBeNull();
+      expect(calculateMACD(newestFirst(series), 26, 12, 9)).toBeNull();
+    });
+  });
+
+  describe('detectMACDSignal', () => {
+    it('should detect crossovers', () => {
+      expect(detectMACDSignal({ histogram: 0.1, previousHistogram: -0.1 }).signal).toBe('BUY');
+      expect(detectMACDSignal({ histogram: -0.1, previousHistogram: 0.1 }).signal).toBe('SELL');
+
+      const noCross = detectMACDSignal({ histogram: 0.2, previousHistogram: 0.1 });
+      expect(noCross.signal).toBeNull();
+      expect(noCross.trend).toBe('bullish');
+      expect(detectMACDSignal(null).reason).toContain('not available');
+    });
+  });
+
+  describe('calculateBollingerBands', () => {
+    it('should calculate bands around the SMA', () => {
+      const bands = calculateBollingerBands([4, 2, 4, 2], 4, 2);
+
+      expect(bands.middle).toBe(3);
+      expect(bands.upper).toBe(5); // Population std dev of 1
+      expect(bands.lower).toBe(1);
+      expect(bands.percentB).toBe(0.75);
+      expect(calculateBollingerBands([1, 2], 4)).toBeNull();
+    });
+  });
+
+  describe('detectBollingerSignal', () => {
+    it('should detect band touches', () => {
+      const bands = { upper: 5, middle: 3, lower: 1, percentB: 0 };
+
+      expect(detectBollingerSignal({ ...bands, price: 0.9 }).signal).toBe('BUY');
+      expect(detectBollingerSignal({ ...bands, price: 5 }).position).toBe('above_upper');
+      expect(detectBollingerSignal({ ...bands, price: 3 }).signal).toBeNull();
+    });
+  });
+
+  describe('calculateATR', () => {
+    it('should average true ranges including gaps', () => {
+      const candles = newestFirst([
+        { high: 10, low: 9, close: 10 },
+        { high: 11, low: 10, close: 11 }, // TR 1
+        { high: 14, low: 13, close: 13 } // Gap up: TR = 14 - 11 = 3
+      ]);
+
+      expect(calculateATR(candles, 2)).toBe(2);
+      expect(calculateATR(candles, 3)).toBeNull();
+    });
+  });
+
+  describe('calculateStochastic', () => {
+    it('should place the close within the high/low range', () => {
+      const candles = newestFirst([
+        { high: 10, low: 0, close: 5 },
+        { high: 10, low: 0, close: 10 },
+        { high: 10, low: 0, close: 0 }
+      ]);
+
+      const stochastic = calculateStochastic(candles, 1, 2);
+      expect(stochastic.k).toBe(0);
+      expect(stochastic.d).toBe(50);
+      expect(stochastic.previousD).toBe(75);
+      expect(calculateStochastic(candles, 3, 2)).toBeNull();
+    });
+
+    it('should detect overbought and oversold levels', () => {
+      expect(detectStochasticSignal({ k: 85, d: 80 }).signal).toBe('SELL');
+      expect(detectStochasticSignal({ k: 10, d: 15 }).level).toBe('oversold');
+      expect(detectStochasticSignal(null).signal).toBeNull();
+    });
+  });
+
+  describe('calculateVWAP', () => {
+    it('should weight typical prices by volume', () => {
+      const candles = [
+        { high: 12, low: 12, close: 12, volume: 300 },
+        { high: 10, low: 10, close: 10, volume: 100 }
+      ];
+
+      expect(calculateVWAP(candles)).toBe(11.5);
+      expect(calculateVWAP(candles, 1)).toBe(12);
+      expect(calculateVWAP([{ close: 1, volume: 0 }])).toBeNull();
+    });
+
+    it('should detect price stretched away from VWAP', () => {
+      expect(detectVWAPSignal(10, 9.5).signal).toBe('BUY');
+      expect(detectVWAPSignal(10, 10.5).signal).toBe('SELL');
+      expect(detectVWAPSignal(10, 10.1).signal).toBeNull();
+      expect(detectVWAPSignal(null, 10).reason).toContain('not available');
+    });
+  });
+
+  describe('streaming indicators', () => {
+    it('should match the batch calculations price by price', () => {
+      const ema = createEMAStream(10);
+      const macd = createMACDStream(12, 26, 9);
+      const bollinger = createBollingerStream(20, 2);
+
+      series.forEach(price => {
+        ema.update(price);
+        macd.update(price);
+        bollinger.update(price);
+      });
+
+      const prices = newestFirst(series);
+      expect(ema.getValue()).toBeCloseTo(calculateEMA(prices, 10), 10);
+      expect(macd.getValue().histogram).toBeCloseTo(calculateMACD(prices, 12, 26, 9).histogram, 10);
+      expect(macd.getValue().previousSignal).toBeCloseTo(calculateMACD(prices, 12, 26, 9).previousSignal, 10);
+      expect(bollinger.getValue()).toEqual(calculateBollingerBands(prices, 20, 2));
+    });
+
+    it('should match the batch calculations candle by candle', () => {
+      const atr = createATRStream(14);
+      const stochastic = createStochasticStream(14, 3);
+      const vwap = createVWAPStream();
+      const rollingVWAP = createVWAPStream(10);
+
+      seriesCandles.forEach(candle => {
+        atr.update(candle);
+        stochastic.update(candle);
+        vwap.update(candle);
+        rollingVWAP.update(candle);
+      });
+
+      const candles = newestFirst(seriesCandles);
+      expect(atr.getValue()).toBeCloseTo(calculateATR(candles, 14), 10);
+      expect(stochastic.getValue()).toEqual(calculateStochastic(candles, 14, 3));
+      expect(vwap.getValue()).toBeCloseTo(calculateVWAP(candles), 10);
+      expect(rollingVWAP.getValue()).toBeCloseTo(calculateVWAP(candles, 10), 10);
+    });
+
+    it('should return null until warmed up', () => {
+      const ema = createEMAStream(3);
+      expect(ema.update(1)).toBeNull();
+      expect(ema.update(2)).toBeNull();
+      expect(ema.update(3)).toBe(2);
+      expect(createATRStream(2).update({ high: 2, low: 1, close: 1 })).toBeNull();
+    });
+  });
+});
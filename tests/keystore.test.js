@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  keccak256,
+  normalizePrivateKey,
+  generatePrivateKey,
+  privateKeyToAddress,
+  isSameAddress,
+  validatePassphrase,
+  encryptKeystore,
+  decryptKeystore,
+  readKeystoreFile,
+  writeKeystoreFile,
+  readPassphraseFromFd
+} = require('../utils/keystore');
+const config = require('../config/ConfigManager');
+
+// Well-known test vector (web3.js docs)
+const PRIVATE_KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ADDRESS = '2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+
+// Cheap scrypt so tests stay fast
+const FAST_KDF = { kdfParams: { n: 1024 } };
+
+describe('Keystore Utilities', () => {
+  test('should hash with Keccak-256', () => {
+    expect(keccak256(Buffer.alloc(0)).toString('hex')).toBe('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    expect(keccak256(Buffer.from('hello')).toString('hex')).toBe('1c8aff950685c2ed4bc3174f3472287b56d9517b9c948127319a09a7a36deac8');
+  });
+
+  test('should derive checksummed addresses', () => {
+    expect(privateKeyToAddress(PRIVATE_KEY)).toBe(ADDRESS);
+    expect(privateKeyToAddress(PRIVATE_KEY.slice(2).toUpperCase())).toBe(ADDRESS);
+    expect(isSameAddress(`eth|${ADDRESS.toLowerCase()}`, ADDRESS)).toBe(true);
+    expect(isSameAddress('eth|1234567890123456789012345678901234567890', ADDRESS)).toBe(false);
+  });
+
+  test('should validate private keys and passphrases', () => {
+    expect(normalizePrivateKey(` ${PRIVATE_KEY.slice(2)}\n`)).toBe(PRIVATE_KEY);
+    expect(() => normalizePrivateKey('0x1234')).toThrow('32 bytes of hex');
+    expect(() => normalizePrivateKey('0'.repeat(64))).toThrow('secp256k1 range');
+    expect(() => normalizePrivateKey('f'.repeat(64))).toThrow('secp256k1 range');
+    expect(generatePrivateKey()).toMatch(/^0x[0-9a-f]{64}$/);
+
+    expect(() => validatePassphrase('short')).toThrow('at least 12 characters');
+    expect(() => validatePassphrase('long enough passphrase')).not.toThrow();
+  });
+
+  test('should encrypt and decrypt a keystore', () => {
+    const keystore = encryptKeystore(PRIVATE_KEY, 'correct horse battery', FAST_KDF);
+
+    expect(keystore).toMatchObject({
+      version: 3,
+      address: ADDRESS.toLowerCase(),
+      crypto: { cipher: 'aes-256-gcm', kdf: 'scrypt', kdfparams: { n: 1024, r: 8, p: 1, dklen: 32 } }
+    });
+    expect(JSON.stringify(keystore)).not.toContain(PRIVATE_KEY.slice(2));
+    expect(decryptKeystore(keystore, 'correct horse battery')).toBe(PRIVATE_KEY);
+
+    // Fresh salt and IV every time
+    const again = encryptKeystore(PRIVATE_KEY, 'correct horse battery', FAST_KDF);
+    expect(again.crypto.ciphertext).not.toBe(keystore.crypto.ciphertext);
+    expect(again.crypto.kdfparams.salt).not.toBe(keystore.crypto.kdfparams.salt);
+  });
+
+  test('should reject wrong passphrases and tampered keystores', () => {
+    const keystore = encryptKeystore(PRIVATE_KEY, 'correct horse battery', FAST_KDF);
+
+    expect(() => decryptKeystore(keystore, 'wrong horse battery')).toThrow('Wrong keystore passphrase');
+    expect(() => decryptKeystore({ ...keystore, address: '1'.repeat(40) }, 'correct horse battery')).toThrow('Wrong keystore passphrase');
+
+    const ciphertext = keystore.crypto.ciphertext.replace(/^./, char => (char === '0' ? '1' : '0'));
+    expect(() => decryptKeystore({ ...keystore, crypto: { ...keystore.crypto, ciphertext } }, 'correct horse battery')).toThrow('Wrong keystore passphrase');
+
+    expect(() => decryptKeystore({ ...keystore, crypto: { ...keystore.crypto, cipher: 'aes-128-ctr' } }, 'x')).toThrow('Unsupported keystore format');
+  });
+
+  describe('files', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should write keystores readable by the owner only', () => {
+      const filePath = path.join(tempDir, 'nested', 'keystore.json');
+      const keystore = encryptKeystore(PRIVATE_KEY, 'correct horse battery', FAST_KDF);
+
+      writeKeystoreFile(filePath, keystore);
+
+      expect(readKeystoreFile(filePath)).toEqual(keystore);
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['keystore.json']);
+      expect(() => readKeystoreFile(path.join(tempDir, 'missing.json'))).toThrow('Keystore not found');
+    });
+
+    test('should read a passphrase from a file descriptor', () => {
+      const filePath = path.join(tempDir, 'passphrase');
+      fs.writeFileSync(filePath, 'correct horse battery\n');
+
+      expect(readPassphraseFromFd(fs.openSync(filePath, 'r'))).toBe('correct horse battery');
+    });
+  });
+
+  describe('ConfigManager keystore unlock', () => {
+    const originalEnv = process.env;
+    let tempDir;
+    let keystorePath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+      keystorePath = path.join(tempDir, 'keystore.json');
+      writeKeystoreFile(keystorePath, encryptKeystore(PRIVATE_KEY, 'correct horse battery', FAST_KDF));
+
+      process.env = { ...originalEnv, KEYSTORE_PATH: keystorePath, WALLET_ADDRESS: `eth|${ADDRESS}` };
+      delete process.env.PRIVATE_KEY;
+      config.isInitialized = false;
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      config.isInitialized = false;
+      config.config = {};
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should keep the key locked and out of the config', async () => {
+      config.init();
+      expect(() => config.getPrivateKey()).toThrow('Keystore is locked');
+
+      expect(await config.unlockPrivateKey('correct horse battery')).toBe(PRIVATE_KEY);
+      expect(config.getPrivateKey()).toBe(PRIVATE_KEY);
+      expect(config.get('PRIVATE_KEY')).toBeUndefined();
+      expect(JSON.stringify(config.getAll())).not.toContain(PRIVATE_KEY.slice(2));
+      expect(config.getMaskedConfig().PRIVATE_KEY).toBe('0x4c0883...');
+    });
+
+    test('should unlock from a passphrase file descriptor', async () => {
+      const passphrasePath = path.join(tempDir, 'passphrase');
+      fs.writeFileSync(passphrasePath, 'correct horse battery\n');
+      process.env.KEYSTORE_PASSPHRASE_FD = String(fs.openSync(passphrasePath, 'r'));
+
+      expect(await config.unlockPrivateKey()).toBe(PRIVATE_KEY);
+    });
+
+    test('should refuse a key for another wallet or a leftover PRIVATE_KEY', async () => {
+      process.env.WALLET_ADDRESS = 'eth|1234567890123456789012345678901234567890';
+      await expect(config.unlockPrivateKey('correct horse battery')).rejects.toThrow(`Keystore key belongs to eth|${ADDRESS}`);
+
+      config.isInitialized = false;
+      process.env.PRIVATE_KEY = PRIVATE_KEY;
+      expect(() => config.init()).toThrow('PRIVATE_KEY and KEYSTORE_PATH are both set');
+    });
+  });
+});
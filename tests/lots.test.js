@@ -0,0 +1,128 @@
+const { parseTradeLeg, matchLots, getPeriodKey, summarizeLots } = require('../utils/lots');
+const { simulateSwap, convertFeeToGala } = require('../utils/poolMath');
+
+// GALA -> GUSDC opens a lot (SELL), GUSDC -> GALA closes it (BUY)
+let nextId = 1;
+const open = (galaSpent, tokens, executedAt, overrides = {}) => ({
+  id: nextId++, strategy: 'golden_cross', symbol: 'GALA/GUSDC', side: 'SELL',
+  amount: galaSpent, price: tokens / galaSpent, total_value: tokens, fee: 0, wallet_id: 1, executed_at: executedAt, ...overrides
+});
+const close = (tokens, galaReceived, executedAt, overrides = {}) => ({
+  id: nextId++, strategy: 'golden_cross', symbol: 'GALA/GUSDC', side: 'BUY',
+  amount: tokens, price: galaReceived / tokens, total_value: galaReceived, fee: 0, wallet_id: 1, executed_at: executedAt, ...overrides
+});
+
+describe('Lot Accounting Utilities', () => {
+  // Two buys at different costs, then a sale of 15 tokens for 18 GALA
+  const trades = () => [
+    open(10, 10, '2025-01-01T00:00:00.000Z'),
+    open(20, 10, '2025-01-02T00:00:00.000Z'),
+    close(15, 18, '2025-02-01T00:00:00.000Z')
+  ];
+
+  test('should read GALA/TOKEN trades as lot movements', () => {
+    expect(parseTradeLeg(open(100, 5, '2025-01-01', { fee: 1 }))).toEqual({ token: 'GUSDC', opens: true, quantity: 5, gala: 100, fee: 1 });
+    expect(parseTradeLeg(close(5, 120, '2025-01-01'))).toEqual({ token: 'GUSDC', opens: false, quantity: 5, gala: 120, fee: 0 });
+    expect(parseTradeLeg({ symbol: 'GALA', side: 'BUY', amount: 1, total_value: 1 })).toBeNull();
+  });
+
+  test('should match sales to the oldest lots first with FIFO', () => {
+    const ledger = matchLots(trades(), { method: 'fifo' });
+
+    expect(ledger.closedLots).toHaveLength(2);
+    expect(ledger.closedLots[0]).toMatchObject({ quantity: 10, cost: 10, proceeds: 12, realizedPnL: 2 });
+    expect(ledger.closedLots[1]).toMatchObject({ quantity: 5, cost: 10, proceeds: 6, realizedPnL: -4 });
+    expect(ledger.openLots).toEqual([expect.objectContaining({ quantity: 5, cost: 10, openedAt: '2025-01-02T00:00:00.000Z' })]);
+  });
+
+  test('should match sales to the newest lots first with LIFO', () => {
+    const ledger = matchLots(trades(), { method: 'lifo' });
+
+    expect(ledger.closedLots.map(lot => lot.realizedPnL)).toEqual([-8, 1]);
+    expect(ledger.openLots).toEqual([expect.objectContaining({ quantity: 5, cost: 5 })]);
+  });
+
+  test('should pool lots at their average cost', () => {
+    const ledger = matchLots(trades(), { method: 'average' });
+
+    // 30 GALA for 20 tokens = 1.5 per token
+    expect(ledger.closedLots).toEqual([expect.objectContaining({ quantity: 15, cost: 22.5, proceeds: 18, realizedPnL: -4.5, openTradeId: null })]);
+    expect(ledger.openLots).toEqual([expect.objectContaining({ quantity: 5, cost: 7.5, openedAt: '2025-01-01T00:00:00.000Z' })]);
+  });
+
+  test('should keep lots apart per wallet and strategy and report sales without a purchase', () => {
+    const ledger = matchLots([
+      open(10, 10, '2025-01-01T00:00:00.000Z'),
+      open(10, 10, '2025-01-01T00:00:00.000Z', { wallet_id: 2 }),
+      close(10, 15, '2025-01-03T00:00:00.000Z', { strategy: 'dca' })
+    ]);
+
+    expect(ledger.closedLots).toEqual([]);
+    expect(ledger.unmatched).toEqual([expect.objectContaining({ strategy: 'dca', quantity: 10, proceeds: 15 })]);
+    expect(ledger.openLots).toHaveLength(2);
+  });
+
+  test('should report fees without deducting them from amounts that are already net of them', () => {
+    const ledger = matchLots([
+      open(10, 10, '2025-01-01T00:00:00.000Z', { fee: 0.5 }),
+      close(10, 12, '2025-01-02T00:00:00.000Z', { fee: 0.25 })
+    ]);
+
+    expect(ledger.closedLots[0]).toMatchObject({ cost: 10, proceeds: 12, realizedPnL: 2 });
+    expect(ledger.fees.map(entry => entry.fee)).toEqual([0.5, 0.25]);
+    expect(() => matchLots([], { method: 'hifo' })).toThrow('Unknown lot method');
+  });
+
+  test('should charge the pool fees of a round trip exactly once', () => {
+    // Trades recorded the way a swap logs them: GALA in, the pool's net output out, the fee in GALA
+    let pool = { token0: 'GALA|Unit|none|none', token1: 'GUSDC|Unit|none|none', reserve0: 1000000, reserve1: 50000, fee_tier: 3000 };
+    const entry = simulateSwap(pool, pool.token0, 1000);
+    pool = { ...pool, reserve0: entry.reserve0, reserve1: entry.reserve1 };
+    const exit = simulateSwap(pool, pool.token1, entry.amountOut);
+    const fees = [
+      convertFeeToGala({ fromSymbol: 'GALA', toSymbol: 'GUSDC', amountIn: 1000, amountOut: entry.amountOut, fee: entry.fee }),
+      convertFeeToGala({ fromSymbol: 'GUSDC', toSymbol: 'GALA', amountIn: entry.amountOut, amountOut: exit.amountOut, fee: exit.fee })
+    ];
+
+    const ledger = matchLots([
+      open(1000, entry.amountOut, '2025-01-01T00:00:00.000Z', { fee: fees[0] }),
+      close(entry.amountOut, exit.amountOut, '2025-01-02T00:00:00.000Z', { fee: fees[1] })
+    ]);
+    const summary = summarizeLots(ledger);
+
+    // Without fees the round trip would return the 1000 GALA: the loss is the fees, counted once
+    expect(summary.totals.realizedPnL).toBeCloseTo(exit.amountOut - 1000, 8);
+    expect(summary.totals.realizedPnL).toBeCloseTo(-(fees[0] + fees[1]), 1);
+    expect(summary.totals.fees).toBeCloseTo(fees[0] + fees[1], 8);
+  });
+
+  test('should bucket timestamps into UTC periods', () => {
+    expect(getPeriodKey('2025-01-08T23:59:59.000Z', 'day')).toBe('2025-01-08');
+    expect(getPeriodKey('2025-01-08T10:00:00.000Z', 'week')).toBe('2025-01-06');
+    expect(getPeriodKey('2025-01-05 10:00:00', 'week')).toBe('2024-12-30');
+    expect(getPeriodKey('2025-01-08T10:00:00.000Z', 'month')).toBe('2025-01');
+    expect(getPeriodKey('2025-01-08T10:00:00.000Z', 'year')).toBe('2025');
+    expect(() => getPeriodKey('2025-01-08', 'quarter')).toThrow('Unknown period');
+  });
+
+  test('should summarize realized PnL in range and mark open lots to prices', () => {
+    const ledger = matchLots([
+      ...trades(),
+      open(10, 10, '2025-01-03T00:00:00.000Z', { symbol: 'GALA/GWETH', strategy: 'dca', fee: 1 }),
+      close(2, 5, '2025-03-01T00:00:00.000Z')
+    ]);
+
+    const summary = summarizeLots(ledger, { from: '2025-02-01T00:00:00.000Z', to: '2025-02-28T23:59:59.000Z', prices: { GUSDC: 3, GWETH: null } });
+
+    // Only the February sale is realized in range
+    expect(summary.totals).toMatchObject({ realizedPnL: -2, closedLots: 2, fees: 0, openLots: 2 });
+    expect(summary.byPeriod).toEqual([{ period: '2025-02', realizedPnL: -2, fees: 0, closedLots: 2 }]);
+
+    // Open lots are valued as of the ledger: 3 GUSDC (cost 6) at 3 GALA, GWETH unpriced
+    const gusdc = summary.bySymbol.find(row => row.symbol === 'GUSDC');
+    expect(gusdc).toMatchObject({ realizedPnL: -2, openQuantity: 3, openCost: 6, marketValue: 9, unrealizedPnL: 3, unpriced: false });
+    expect(summary.bySymbol.find(row => row.symbol === 'GWETH')).toMatchObject({ openCost: 10, unpriced: true });
+    expect(summary.byStrategy.map(row => row.strategy)).toEqual(['golden_cross', 'dca']);
+    expect(summary.totals.unrealizedPnL).toBe(3);
+  });
+});
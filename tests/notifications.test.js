@@ -0,0 +1,530 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const {
+  createChannels,
+  BaseChannel,
+  DiscordChannel,
+  SlackChannel,
+  TelegramChannel,
+  EmailChannel,
+  WebhookChannel
+} = require('../notifications');
+const NotificationService = require('../services/NotificationService');
+
+const testDbPath = path.join(__dirname, 'notifications-test.db');
+let DatabaseService;
+
+beforeAll(async () => {
+  process.env.DB_PATH = testDbPath;
+  DatabaseService = require('../services/DatabaseService');
+  await DatabaseService.init();
+});
+
+afterAll(async () => {
+  await DatabaseService.shutdown();
+  if (fs.existsSync(testDbPath)) {
+    fs.unlinkSync(testDbPath);
+  }
+});
+
+/**
+ * Local HTTP server recording JSON requests
+ */
+function startHttpStub(respond = () => ({ status: 200, body: { ok: true } })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, raw: body, body: JSON.parse(body) };
+      requests.push(request);
+      const { status, body: responseBody } = respond(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Local SMTP server accepting AUTH PLAIN and recording messages
+ */
+function startSmtpStub() {
+  const messages = [];
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const envelope = { to: [], commands: [] };
+    sessions.push(envelope);
+    let buffer = '';
+    let inData = false;
+    let data = '';
+
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push({ ...envelope, data });
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            data += `${line.replace(/^\.\./, '.')}\r\n`;
+          }
+          continue;
+        }
+
+        envelope.commands.push(line);
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'EHLO') socket.write('250-stub\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+        else if (command === 'AUTH') socket.write('235 2.7.0 Authentication successful\r\n');
+        else if (command === 'MAIL') { envelope.from = line.match(/<(.+)>/)[1]; socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { envelope.to.push(line.match(/<(.+)>/)[1]); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('502 Command not implemented\r\n');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, messages, sessions, port: server.address().port }));
+  });
+}
+
+const decodePart = (source, contentType) => {
+  const part = source.split(/--gala-[0-9a-f]+/).find(section => section.includes(contentType));
+  return Buffer.from(part.split('\r\n\r\n')[1].replace(/\s/g, ''), 'base64').toString('utf8');
+};
+
+const tradeMessage = {
+  event: 'trade',
+  content: '💰 **Live Trade**',
+  title: '✅ Trade Executed',
+  description: 'Swapped GALA_1 for *GUSDC*',
+  color: 0x00ff00,
+  fields: [
+    { name: 'Signal', value: 'BUY', inline: true },
+    { name: 'Input Amount', value: 50, inline: true }
+  ],
+  footer: { text: 'Gala Trading Bot' },
+  timestamp: '2025-01-01T00:00:00.000Z'
+};
+
+describe('Notification channels', () => {
+  let stub;
+
+  afterEach(async () => {
+    if (stub) {
+      await new Promise(resolve => stub.server.close(resolve));
+      stub = null;
+    }
+  });
+
+  test('should post Discord embeds', async () => {
+    stub = await startHttpStub(() => ({ status: 204, body: {} }));
+    const channel = new DiscordChannel({ webhookUrl: `${stub.url}/discord`, minInterval: 0 });
+
+    await channel.send(tradeMessage);
+
+    const { body } = stub.requests[0];
+    expect(body.content).toBe('💰 **Live Trade**');
+    expect(body.embeds[0]).toMatchObject({
+      title: '✅ Trade Executed',
+      color: 0x00ff00,
+      fields: [{ name: 'Signal', value: 'BUY', inline: true }, { name: 'Input Amount', value: '50', inline: true }]
+    });
+  });
+
+  test('should post Slack blocks with mrkdwn', async () => {
+    stub = await startHttpStub();
+    const channel = new SlackChannel({ webhookUrl: `${stub.url}/slack`, minInterval: 0 });
+
+    await channel.send(tradeMessage);
+
+    const { body } = stub.requests[0];
+    expect(body.text).toBe('✅ Trade Executed');
+    expect(body.blocks.map(block => block.type)).toEqual(['header', 'section', 'section', 'context']);
+    expect(body.blocks[1].text.text).toContain('💰 *Live Trade*');
+    expect(body.blocks[2].fields[0].text).toBe('*Signal*\nBUY');
+  });
+
+  test('should send Telegram Markdown through the Bot API', async () => {
+    stub = await startHttpStub(() => ({ status: 200, body: { ok: true, result: {} } }));
+    const channel = new TelegramChannel({ botToken: '123:abc', chatId: '42', apiUrl: stub.url, minInterval: 0 });
+
+    await channel.send(tradeMessage);
+
+    const { url, body } = stub.requests[0];
+    expect(url).toBe('/bot123:abc/sendMessage');
+    expect(body).toMatchObject({ chat_id: '42', parse_mode: 'Markdown' });
+    expect(body.text).toContain('*✅ Trade Executed*');
+    expect(body.text).toContain('*Live Trade*');
+    expect(body.text).toContain('Swapped GALA\\_1 for \\*GUSDC\\*');
+    expect(body.text).toContain('*Signal:* BUY');
+  });
+
+  test('should surface Telegram API errors', async () => {
+    stub = await startHttpStub(() => ({ status: 200, body: { ok: false, description: 'chat not found' } }));
+    const channel = new TelegramChannel({ botToken: '123:abc', chatId: '42', apiUrl: stub.url, minInterval: 0 });
+
+    await expect(channel.send(tradeMessage)).rejects.toThrow('Telegram API error: chat not found');
+  });
+
+  test('should post plain signed JSON to generic webhooks', async () => {
+    stub = await startHttpStub();
+    const channel = new WebhookChannel({ url: `${stub.url}/hook`, secret: 's3cret', minInterval: 0 });
+
+    await channel.send(tradeMessage);
+
+    const { body, raw, headers } = stub.requests[0];
+    expect(body).toMatchObject({
+      event: 'trade',
+      title: '✅ Trade Executed',
+      content: '💰 Live Trade',
+      color: '#00ff00',
+      fields: [{ name: 'Signal', value: 'BUY' }, { name: 'Input Amount', value: '50' }],
+      source: 'gala-trading-bot'
+    });
+    expect(headers['x-signature-256']).toBe(`sha256=${crypto.createHmac('sha256', 's3cret').update(raw).digest('hex')}`);
+  });
+
+  test('should reject non-2xx HTTP responses', async () => {
+    stub = await startHttpStub(() => ({ status: 500, body: { error: 'down' } }));
+    const channel = new WebhookChannel({ url: stub.url, minInterval: 0 });
+
+    await expect(channel.send(tradeMessage)).rejects.toThrow('HTTP 500');
+  });
+
+  test('should email text and HTML parts through SMTP', async () => {
+    const smtp = await startSmtpStub();
+    stub = smtp;
+    const channel = new EmailChannel({
+      host: '127.0.0.1',
+      port: smtp.port,
+      user: 'bot',
+      pass: 'pw',
+      allowInsecureAuth: true,
+      from: 'Gala Bot <bot@example.com>',
+      to: 'ops@example.com, owner@example.com',
+      minInterval: 0
+    });
+
+    await channel.send(tradeMessage);
+
+    const [message] = smtp.messages;
+    expect(message.from).toBe('bot@example.com');
+    expect(message.to).toEqual(['ops@example.com', 'owner@example.com']);
+    expect(message.commands).toContain(`AUTH PLAIN ${Buffer.from('\0bot\0pw').toString('base64')}`);
+    expect(message.data).toContain(`Subject: =?UTF-8?B?${Buffer.from('[Gala Trading Bot] ✅ Trade Executed').toString('base64')}?=`);
+    expect(decodePart(message.data, 'text/plain')).toContain('Signal: BUY');
+    expect(decodePart(message.data, 'text/html')).toContain('<strong>Live Trade</strong>');
+  });
+
+  test('should refuse to send SMTP credentials without TLS', async () => {
+    const smtp = await startSmtpStub();
+    stub = smtp;
+    const channel = new EmailChannel({
+      host: '127.0.0.1',
+      port: smtp.port,
+      user: 'bot',
+      pass: 'pw',
+      from: 'bot@example.com',
+      to: 'ops@example.com',
+      minInterval: 0
+    });
+
+    await expect(channel.send(tradeMessage)).rejects.toThrow('did not offer STARTTLS');
+    expect(smtp.sessions[0].commands.some(command => command.startsWith('AUTH'))).toBe(false);
+    expect(smtp.messages).toEqual([]);
+  });
+
+  test('should route events and validate routing rules', () => {
+    const channel = new WebhookChannel({ url: 'http://localhost', events: 'error, risk' });
+
+    expect(channel.accepts('error')).toBe(true);
+    expect(channel.accepts('summary')).toBe(false);
+    expect(new WebhookChannel({ url: 'http://localhost', events: '*' }).accepts('summary')).toBe(true);
+    expect(() => new WebhookChannel({ url: 'http://localhost', events: 'errors' })).toThrow('Unknown notification event: errors');
+  });
+
+  test('should build the configured channels', () => {
+    const values = {
+      DISCORD_WEBHOOK_URL: 'http://discord.local/hook',
+      TELEGRAM_BOT_TOKEN: 'token',
+      TELEGRAM_CHAT_ID: '1',
+      TELEGRAM_EVENTS: 'error',
+      SMTP_HOST: 'smtp.local',
+      EMAIL_FROM: 'bot@example.com',
+      EMAIL_TO: 'ops@example.com',
+      EMAIL_EVENTS: 'summary,daily_summary'
+    };
+    const channels = createChannels({ get: key => values[key] });
+
+    expect(channels.map(channel => channel.name)).toEqual(['discord', 'telegram', 'email']);
+    expect(channels[1].events).toEqual(['error']);
+    expect(channels[2].smtp.port).toBe(587);
+  });
+});
+
+describe('NotificationService routing', () => {
+  class RecordingChannel extends BaseChannel {
+    constructor(name, events, fail = false) {
+      super({ name, events, minInterval: 0 });
+      this.sent = [];
+      this.fail = fail;
+    }
+
+    format(message) {
+      return message;
+    }
+
+    async deliver(payload) {
+      if (this.fail) throw new Error('unreachable');
+      this.sent.push(payload);
+    }
+  }
+
+  let service;
+  let telegram;
+  let email;
+
+  beforeEach(async () => {
+    service = new NotificationService();
+    service.databaseService = DatabaseService;
+    await service.init();
+
+    // Drop the startup message sent to the test Discord webhook
+    service.stopOutboxWorker();
+    await DatabaseService.run('DELETE FROM notifications_outbox');
+
+    telegram = new RecordingChannel('telegram', 'error,risk');
+    email = new RecordingChannel('email', 'summary,daily_summary');
+    service.channels = [telegram, email];
+    service.enabled = true;
+  });
+
+  test('should send errors to Telegram and summaries to email', async () => {
+    expect(await service.sendError('Swap failed', new Error('Pool not found'), { symbol: 'GALA' })).toBe(true);
+    expect(await service.sendTradingSummary({
+      success: true,
+      strategy: null,
+      tradesExecuted: 0,
+      tradeResults: [],
+      errors: [],
+      timestamp: '2025-01-01T00:00:00.000Z'
+    })).toBe(true);
+
+    expect(telegram.sent).toHaveLength(1);
+    expect(telegram.sent[0]).toMatchObject({ event: 'error', title: '🚨 Swap failed', description: 'Pool not found' });
+    expect(email.sent).toHaveLength(1);
+    expect(email.sent[0]).toMatchObject({ event: 'summary', title: '📊 Automated Trading - No Trades Executed' });
+  });
+
+  test('should render trade executions and buybacks for routed channels only', async () => {
+    expect(await service.sendTradeExecution({ success: true, dryRun: true, signal: 'BUY', confidence: 0.8 })).toBe(false);
+
+    const catchAll = new RecordingChannel('webhook', '');
+    service.channels.push(catchAll);
+
+    await service.sendBuybackNotification({
+      position: { id: 1, symbol: 'GALA/GUSDC', token_symbol: 'GUSDC', entry_price: 0.02, entry_amount: 100, token_amount: 2, strategy: 'dca' },
+      currentPrice: 0.021,
+      finalGalaAmount: 105,
+      finalPnL: { percentagePnL: 5, absolutePnL: 5 },
+      swapResult: { dryRun: true }
+    });
+
+    expect(catchAll.sent.map(message => message.event)).toEqual(['buyback']);
+    expect(catchAll.sent[0].fields.find(field => field.name === 'Final PnL').value).toContain('+5.00%');
+    expect(telegram.sent).toHaveLength(0);
+  });
+
+  test('should report delivery when any channel succeeds', async () => {
+    service.channels = [new RecordingChannel('slack', '', true), telegram];
+
+    expect(await service.notify('error', { title: 'Boom' })).toBe(true);
+    expect(await service.notify('test', { title: 'Direct' }, { channels: ['slack'] })).toBe(false);
+    expect(service.getStatus().channels.map(channel => channel.name)).toEqual(['slack', 'telegram']);
+  });
+
+  test('should write every routed notification to the outbox', async () => {
+    await service.sendError('Swap failed', new Error('Pool not found'));
+
+    const entries = await DatabaseService.getOutboxNotifications();
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ event: 'error', channel: 'telegram', status: 'SENT', attempts: 1 });
+    expect(entries[0].message.title).toBe('🚨 Swap failed');
+  });
+});
+
+describe('NotificationService outbox', () => {
+  class FlakyChannel extends BaseChannel {
+    constructor(name, failures) {
+      super({ name, minInterval: 0 });
+      this.failures = failures; // Errors thrown by the next deliveries, in order
+      this.sent = [];
+    }
+
+    format(message) {
+      return message;
+    }
+
+    async deliver(payload) {
+      const failure = this.failures.shift();
+      if (failure) throw failure;
+      this.sent.push(payload);
+    }
+  }
+
+  let service;
+  let stub;
+
+  // Make every pending entry due now
+  const makeDue = () => DatabaseService.run(
+    `UPDATE notifications_outbox SET next_attempt_at = ? WHERE status = 'PENDING'`,
+    [new Date(Date.now() - 1000).toISOString()]
+  );
+
+  beforeEach(async () => {
+    service = new NotificationService();
+    service.databaseService = DatabaseService;
+    await service.init();
+
+    // Drop the startup message sent to the test Discord webhook
+    service.stopOutboxWorker();
+    await DatabaseService.run('DELETE FROM notifications_outbox');
+    service.enabled = true;
+    service.maxAttempts = 3;
+    service.retryBaseMs = 1000;
+    service.retryMaxMs = 60000;
+  });
+
+  afterEach(async () => {
+    if (stub) {
+      await new Promise(resolve => stub.server.close(resolve));
+      stub = null;
+    }
+  });
+
+  test("should honor Discord's retry_after on 429 responses", async () => {
+    let limited = true;
+    stub = await startHttpStub(() => limited
+      ? { status: 429, body: { message: 'You are being rate limited.', retry_after: 30, global: false } }
+      : { status: 204, body: {} });
+    service.channels = [new DiscordChannel({ webhookUrl: `${stub.url}/webhook`, minInterval: 0 })];
+
+    const before = Date.now();
+    expect(await service.notify('trade', { title: 'Bought GALA' })).toBe(false);
+
+    const [entry] = await DatabaseService.getOutboxNotifications();
+    expect(entry).toMatchObject({ status: 'PENDING', attempts: 1 });
+    expect(entry.last_error).toContain('HTTP 429');
+    expect(Date.parse(entry.next_attempt_at)).toBeGreaterThanOrEqual(before + 30000);
+    expect(service.isChannelBlocked('discord')).toBe(true);
+
+    // Still rate limited: the worker leaves the channel alone even when the entry is due
+    await makeDue();
+    expect(await service.processOutbox()).toEqual({ processed: 0, sent: 0, failed: 0 });
+    expect(stub.requests).toHaveLength(1);
+
+    limited = false;
+    service.blockedUntil.clear();
+    expect(await service.processOutbox()).toEqual({ processed: 1, sent: 1, failed: 0 });
+
+    const sent = await DatabaseService.getOutboxNotification(entry.id);
+    expect(sent.status).toBe('SENT');
+    expect(sent.sent_at).toBeTruthy();
+    expect(stub.requests[1].body.embeds[0].title).toBe('Bought GALA');
+  });
+
+  test('should back off exponentially between attempts', async () => {
+    const channel = new FlakyChannel('webhook', [new Error('ECONNRESET'), new Error('ECONNRESET')]);
+    service.channels = [channel];
+
+    let before = Date.now();
+    await service.notify('error', { title: 'Boom' });
+    let [entry] = await DatabaseService.getOutboxNotifications();
+    expect(entry.attempts).toBe(1);
+    expect(Date.parse(entry.next_attempt_at) - before).toBeGreaterThanOrEqual(1000);
+    expect(Date.parse(entry.next_attempt_at) - before).toBeLessThan(2000);
+
+    await makeDue();
+    before = Date.now();
+    await service.processOutbox();
+    [entry] = await DatabaseService.getOutboxNotifications();
+    expect(entry.attempts).toBe(2);
+    expect(Date.parse(entry.next_attempt_at) - before).toBeGreaterThanOrEqual(2000);
+    expect(Date.parse(entry.next_attempt_at) - before).toBeLessThan(3000);
+
+    await makeDue();
+    await service.processOutbox();
+    expect((await DatabaseService.getOutboxNotification(entry.id)).status).toBe('SENT');
+    expect(channel.sent).toHaveLength(1);
+  });
+
+  test('should dead-letter after the maximum attempts and replay on request', async () => {
+    const channel = new FlakyChannel('webhook', [new Error('down'), new Error('down'), new Error('still down')]);
+    service.channels = [channel];
+
+    await service.notify('error', { title: 'Boom' });
+    for (let i = 0; i < 2; i++) {
+      await makeDue();
+      await service.processOutbox();
+    }
+
+    const [dead] = await DatabaseService.getOutboxNotifications({ status: 'DEAD' });
+    expect(dead).toMatchObject({ attempts: 3, last_error: 'still down' });
+
+    // Dead letters are never picked up again on their own
+    expect(await service.processOutbox()).toEqual({ processed: 0, sent: 0, failed: 0 });
+
+    expect(await service.replayNotifications({ id: dead.id })).toEqual({ replayed: 1, processed: 1, sent: 1, failed: 0 });
+    expect(await DatabaseService.getOutboxNotification(dead.id)).toMatchObject({ status: 'SENT', attempts: 1 });
+    expect(channel.sent).toHaveLength(1);
+  });
+
+  test('should dead-letter client errors without retrying', async () => {
+    stub = await startHttpStub(() => ({ status: 404, body: { message: 'Unknown Webhook' } }));
+    service.channels = [new SlackChannel({ webhookUrl: `${stub.url}/hooks`, minInterval: 0 })];
+
+    await service.notify('error', { title: 'Boom' });
+
+    const [entry] = await DatabaseService.getOutboxNotifications();
+    expect(entry).toMatchObject({ status: 'DEAD', attempts: 1 });
+    expect(entry.last_error).toContain('HTTP 404');
+  });
+
+  test('should requeue deliveries interrupted mid-send and dead-letter removed channels', async () => {
+    const [stale, orphan] = await DatabaseService.enqueueNotification('error', { title: 'Boom' }, ['webhook', 'telegram']);
+    await DatabaseService.claimNotification(stale);
+    await DatabaseService.run(
+      'UPDATE notifications_outbox SET updated_at = ? WHERE id = ?',
+      [new Date(Date.now() - 10 * 60 * 1000).toISOString(), stale]
+    );
+
+    const channel = new FlakyChannel('webhook', []);
+    service.channels = [channel];
+    await service.startOutboxWorker();
+    service.stopOutboxWorker();
+
+    await service.processOutbox();
+    expect((await DatabaseService.getOutboxNotification(stale)).status).toBe('SENT');
+    expect(await DatabaseService.getOutboxNotification(orphan)).toMatchObject({
+      status: 'DEAD',
+      last_error: 'Channel not configured: telegram'
+    });
+  });
+});
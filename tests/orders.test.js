@@ -0,0 +1,29 @@
+const { isOrderTriggered, getOrderSwap, validateOcoPrices } = require('../utils/orders');
+
+describe('Conditional Order Utilities', () => {
+  const order = (order_type, side, trigger_price) => ({ order_type, side, trigger_price });
+
+  test('should trigger limit orders at or better than their price', () => {
+    expect(isOrderTriggered(order('LIMIT', 'BUY', 10), 10)).toBe(true);
+    expect(isOrderTriggered(order('LIMIT', 'BUY', 10), 10.1)).toBe(false);
+    expect(isOrderTriggered(order('LIMIT', 'SELL', 10), 11)).toBe(true);
+    expect(isOrderTriggered(order('LIMIT', 'SELL', 10), 9.9)).toBe(false);
+  });
+
+  test('should trigger stop orders once the price moves through them', () => {
+    expect(isOrderTriggered(order('STOP', 'SELL', 10), 9)).toBe(true);
+    expect(isOrderTriggered(order('STOP', 'SELL', 10), 11)).toBe(false);
+    expect(isOrderTriggered(order('STOP', 'BUY', 10), 12)).toBe(true);
+    expect(isOrderTriggered(order('STOP', 'SELL', 10), null)).toBe(false);
+  });
+
+  test('should map orders to swaps and validate OCO prices', () => {
+    const base = { token: 'GUSDC|Unit|none|none', quote_token: 'GALA|Unit|none|none', amount: 5 };
+    expect(getOrderSwap({ ...base, side: 'BUY' })).toEqual({ fromToken: 'GALA|Unit|none|none', toToken: 'GUSDC|Unit|none|none', amount: 5 });
+    expect(getOrderSwap({ ...base, side: 'SELL' })).toEqual({ fromToken: 'GUSDC|Unit|none|none', toToken: 'GALA|Unit|none|none', amount: 5 });
+
+    expect(() => validateOcoPrices('SELL', 25, 18)).not.toThrow();
+    expect(() => validateOcoPrices('SELL', 18, 25)).toThrow('Invalid OCO prices');
+    expect(() => validateOcoPrices('BUY', 25, 18)).toThrow('Invalid OCO prices');
+  });
+});
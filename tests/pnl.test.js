@@ -3,7 +3,11 @@ const {
   shouldBuyback,
   calculateExpectedBuyback,
   calculateFinalPnL,
-  formatPnL
+  formatPnL,
+  parseTakeProfitLadder,
+  evaluateExitRules,
+  calculateCostBasis,
+  calculateScaledEntry
 } = require('../utils/pnl');
 
 describe('PnL Utilities', () => {
@@ -165,4 +169,101 @@ describe('PnL Utilities', () => {
       expect(formatted).toContain('+0.00%');
     });
   });
-});
\ No newline at end of file
+
+  describe('parseTakeProfitLadder', () => {
+    test('should parse pnl:portion strings sorted by pnl', () => {
+      expect(parseTakeProfitLadder('0.06:0.5,0.03:0.5')).toEqual([
+        { pnl: 0.03, portion: 0.5 },
+        { pnl: 0.06, portion: 0.5 }
+      ]);
+    });
+
+    test('should parse JSON ladders and treat empty input as no ladder', () => {
+      expect(parseTakeProfitLadder('[{"pnl":0.1,"portion":1}]')).toEqual([{ pnl: 0.1, portion: 1 }]);
+      expect(parseTakeProfitLadder(null)).toEqual([]);
+      expect(parseTakeProfitLadder('')).toEqual([]);
+    });
+
+    test('should reject invalid portions', () => {
+      expect(() => parseTakeProfitLadder('0.03:1.5')).toThrow('Invalid take-profit ladder level');
+      expect(() => parseTakeProfitLadder('abc')).toThrow('Invalid take-profit ladder level');
+    });
+  });
+
+  describe('evaluateExitRules', () => {
+    const basePosition = {
+      token_amount: 100,
+      closed_token_amount: 0,
+      profit_threshold: 0.05,
+      loss_threshold: -0.02,
+      created_at: '2025-01-01 00:00:00'
+    };
+    const now = new Date('2025-01-01T06:00:00Z').getTime();
+
+    test('should fall back to the fixed profit target and stop loss', () => {
+      expect(evaluateExitRules(basePosition, 6, { now })).toMatchObject({ shouldBuy: true, reason: 'PROFIT_TARGET', tokenAmount: 100, isPartial: false });
+      expect(evaluateExitRules(basePosition, -3, { now })).toMatchObject({ shouldBuy: true, reason: 'STOP_LOSS' });
+      expect(evaluateExitRules(basePosition, 1, { now })).toMatchObject({ shouldBuy: false, reason: 'HOLD', highWaterPnL: 1 });
+    });
+
+    test('should fire the trailing stop after a retrace from the high-water mark', () => {
+      const position = { ...basePosition, trailing_stop: 0.02, high_water_pnl: 4 };
+
+      expect(evaluateExitRules(position, 3, { now })).toMatchObject({ shouldBuy: false, highWaterPnL: 4 });
+      expect(evaluateExitRules(position, 1.5, { now })).toMatchObject({ shouldBuy: true, reason: 'TRAILING_STOP' });
+      expect(evaluateExitRules({ ...position, high_water_pnl: 3 }, 4.5, { now })).toMatchObject({ shouldBuy: false, highWaterPnL: 4.5 });
+    });
+
+    test('should not trail positions that never went into profit', () => {
+      const position = { ...basePosition, trailing_stop: 0.01, high_water_pnl: -0.5 };
+      expect(evaluateExitRules(position, -1.8, { now }).shouldBuy).toBe(false);
+    });
+
+    test('should sell ladder portions level by level', () => {
+      const position = { ...basePosition, take_profit_ladder: '0.03:0.5,0.06:0.5' };
+
+      const first = evaluateExitRules(position, 3.5, { now });
+      expect(first).toMatchObject({ shouldBuy: true, reason: 'TAKE_PROFIT_LADDER', tokenAmount: 50, isPartial: true, ladderStep: 1 });
+
+      const afterFirst = { ...position, ladder_step: 1, closed_token_amount: 50 };
+      expect(evaluateExitRules(afterFirst, 5, { now }).shouldBuy).toBe(false);
+      expect(evaluateExitRules(afterFirst, 7, { now })).toMatchObject({ tokenAmount: 50, isPartial: false, ladderStep: 2 });
+    });
+
+    test('should combine every ladder level reached at once', () => {
+      const position = { ...basePosition, take_profit_ladder: [{ pnl: 0.03, portion: 0.25 }, { pnl: 0.06, portion: 0.25 }] };
+      expect(evaluateExitRules(position, 8, { now })).toMatchObject({ tokenAmount: 50, isPartial: true, ladderStep: 2 });
+    });
+
+    test('should exit after the maximum holding period', () => {
+      const position = { ...basePosition, max_holding_hours: 4 };
+      expect(evaluateExitRules(position, 1, { now })).toMatchObject({ shouldBuy: true, reason: 'TIME_EXIT', tokenAmount: 100 });
+      expect(evaluateExitRules({ ...position, max_holding_hours: 12 }, 1, { now }).shouldBuy).toBe(false);
+    });
+  });
+
+  describe('calculateCostBasis', () => {
+    const position = { entry_amount: 100, token_amount: 200, closed_token_amount: 50, closed_cost_basis: 25 };
+
+    test('should use the average cost of the remaining tokens', () => {
+      expect(calculateCostBasis(position, 75)).toBeCloseTo(37.5);
+      expect(calculateCostBasis(position, 150)).toBeCloseTo(75);
+    });
+
+    test('should reject amounts above the remaining tokens', () => {
+      expect(() => calculateCostBasis(position, 151)).toThrow('Token amount must be between 0 and the remaining 150');
+      expect(() => calculateCostBasis(position, 0)).toThrow();
+    });
+  });
+
+  describe('calculateScaledEntry', () => {
+    test('should weight the entry price by the open tokens and their cost', () => {
+      const scaled = calculateScaledEntry({ entry_amount: 100, token_amount: 200 }, 100, 100);
+      expect(scaled).toEqual({ entry_amount: 200, token_amount: 300, entry_price: 1.5 });
+    });
+
+    test('should reject non-positive fills', () => {
+      expect(() => calculateScaledEntry({ entry_amount: 100, token_amount: 200 }, 0, 10)).toThrow('Scale-in amounts must be positive');
+    });
+  });
+});
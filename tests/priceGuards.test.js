@@ -0,0 +1,40 @@
+const { resolveGuardLimits, checkQuoteGuards, isQuoteStale } = require('../utils/priceGuards');
+
+describe('Price Guard Utilities', () => {
+  const defaults = { maxPriceImpact: 0.02, maxOracleDeviation: 0.05 };
+
+  test('should take the tightest per-symbol limit and fall back to the defaults', () => {
+    expect(resolveGuardLimits([null], defaults)).toEqual(defaults);
+    expect(resolveGuardLimits([{ max_price_impact: 0.1, max_oracle_deviation: null }], defaults))
+      .toEqual({ maxPriceImpact: 0.1, maxOracleDeviation: 0.05 });
+    expect(resolveGuardLimits([
+      { max_price_impact: 0.1, max_oracle_deviation: 0.08 },
+      { max_price_impact: 0.01, max_oracle_deviation: null }
+    ], defaults)).toEqual({ maxPriceImpact: 0.01, maxOracleDeviation: 0.08 });
+  });
+
+  test('should reject quotes with too much price impact', () => {
+    const result = checkQuoteGuards({ priceImpact: -0.031, quotedPrice: 20, oraclePrice: 20 }, defaults);
+    expect(result).toMatchObject({ approved: false, rule: 'price_impact', priceImpact: 0.031 });
+    expect(result.message).toBe('Price impact 3.10% exceeds 2.00%');
+
+    expect(checkQuoteGuards({ priceImpact: 0.031, quotedPrice: 20, oraclePrice: 20 }, { ...defaults, maxPriceImpact: 0 }).approved).toBe(true);
+  });
+
+  test('should reject quotes too far off the oracle price', () => {
+    expect(checkQuoteGuards({ priceImpact: 0.001, quotedPrice: 18.8, oraclePrice: 20 }, defaults))
+      .toMatchObject({ approved: false, rule: 'oracle_deviation' });
+    expect(checkQuoteGuards({ priceImpact: 0.001, quotedPrice: 19.2, oraclePrice: 20 }, defaults).deviation).toBeCloseTo(0.04);
+    expect(checkQuoteGuards({ priceImpact: 0.001, quotedPrice: 19.2, oraclePrice: 20 }, defaults).approved).toBe(true);
+
+    // Unpriced pairs skip the oracle check
+    expect(checkQuoteGuards({ priceImpact: 0.001, quotedPrice: 5, oraclePrice: null }, defaults))
+      .toEqual({ approved: true, rule: null, message: null, priceImpact: 0.001, deviation: null });
+  });
+
+  test('should flag quotes older than the maximum age', () => {
+    expect(isQuoteStale(1000, 10000, 12000)).toBe(true);
+    expect(isQuoteStale(1000, 10000, 5000)).toBe(false);
+    expect(isQuoteStale(1000, 0, 1e9)).toBe(false);
+  });
+});
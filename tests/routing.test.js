@@ -0,0 +1,28 @@
+const { findCandidatePaths, combinePriceImpact, formatPath } = require('../utils/routing');
+
+describe('Routing Utilities', () => {
+  const GALA = 'GALA|Unit|none|none';
+  const GUSDC = 'GUSDC|Unit|none|none';
+  const GWETH = 'GWETH|Unit|none|none';
+  const GSOL = 'GSOL|Unit|none|none';
+
+  test('should list direct and multi-hop paths through the intermediate tokens', () => {
+    const paths = findCandidatePaths(GSOL, GWETH, [GALA, GUSDC, GWETH], 3).map(formatPath);
+    expect(paths).toEqual([
+      'GSOL → GWETH',
+      'GSOL → GALA → GWETH',
+      'GSOL → GUSDC → GWETH',
+      'GSOL → GALA → GUSDC → GWETH',
+      'GSOL → GUSDC → GALA → GWETH'
+    ]);
+
+    expect(findCandidatePaths(GSOL, GWETH, [GALA, GUSDC], 2)).toHaveLength(3);
+    expect(findCandidatePaths(GSOL, GWETH, [GALA, GUSDC], 1)).toEqual([[GSOL, GWETH]]);
+    expect(() => findCandidatePaths(GALA, GALA, [])).toThrow('Cannot route a token to itself');
+  });
+
+  test('should combine the price impact of consecutive legs', () => {
+    expect(combinePriceImpact([0.01, 0.02])).toBeCloseTo(0.0298);
+    expect(combinePriceImpact([])).toBe(0);
+  });
+});
@@ -0,0 +1,72 @@
+const {
+  isFailedTransaction,
+  isWaiterUnavailable,
+  parseSwapFill,
+  getFillDeviation,
+  sumTokenDeltas,
+  reconcileBalances
+} = require('../utils/settlement');
+
+describe('Settlement Utilities', () => {
+  test('should read the received amount from a transaction result', () => {
+    expect(parseSwapFill({ amountOut: '24.5' }, 'GUSDC|Unit|none|none')).toBe(24.5);
+
+    // Pool swap responses report pool deltas, the bought token leaves the pool
+    const result = {
+      data: {
+        Data: {
+          token0: { collection: 'GALA', category: 'Unit', type: 'none', additionalKey: 'none' },
+          token1: { collection: 'GUSDC', category: 'Unit', type: 'none', additionalKey: 'none' },
+          amount0: '500',
+          amount1: '-24.87'
+        }
+      }
+    };
+    expect(parseSwapFill(result, 'GUSDC|Unit|none|none')).toBe(24.87);
+    expect(parseSwapFill(result, 'GWETH|Unit|none|none')).toBeNull();
+    expect(parseSwapFill({ transactionId: 'abc' }, 'GUSDC|Unit|none|none')).toBeNull();
+  });
+
+  test('should tell failed transactions from waiters that gave up', () => {
+    expect(isFailedTransaction({ status: 'FAILED' })).toBe(true);
+    expect(isFailedTransaction({ Status: 0 })).toBe(true);
+    expect(isFailedTransaction({ status: 'PROCESSED' })).toBe(false);
+
+    expect(isWaiterUnavailable({ code: 'TRANSACTION_WAIT_FAILED', details: { message: 'Transaction waiter disabled' } })).toBe(true);
+    expect(isWaiterUnavailable({ code: 'TRANSACTION_WAIT_TIMEOUT' })).toBe(true);
+    expect(isWaiterUnavailable({ code: 'TRANSACTION_WAIT_FAILED', details: { message: 'Slippage tolerance exceeded' } })).toBe(false);
+  });
+
+  test('should measure fills against their quote', () => {
+    expect(getFillDeviation(25, 24.5)).toBeCloseTo(-0.02);
+    expect(getFillDeviation(0, 24.5)).toBeNull();
+  });
+
+  test('should sum the balance changes trades imply', () => {
+    expect(sumTokenDeltas([
+      { symbol: 'GALA/GUSDC', side: 'SELL', amount: 500, total_value: 25 },
+      { symbol: 'GALA/GUSDC', side: 'BUY', amount: 10, total_value: 190 },
+      { symbol: 'GUSDC/GWETH', side: 'SWAP', amount: 5, total_value: 0.002 },
+      { symbol: 'GALA', side: 'BUY', amount: 10, total_value: 0.2 }
+    ])).toEqual({ GALA: -310, GUSDC: 10, GWETH: 0.002 });
+  });
+
+  test('should flag balances that moved differently than the trades imply', () => {
+    const first = reconcileBalances(null, { GALA: 1000 }, {}, 0.001);
+    expect(first).toEqual([{ token: 'GALA', balance: 1000, previousBalance: null, tradeDelta: 0, discrepancy: 0, flagged: false }]);
+
+    const rows = reconcileBalances(
+      { GALA: 1000, GUSDC: 10 },
+      { GALA: 500, GUSDC: 40 },
+      { GALA: -500, GUSDC: 25 },
+      0.001
+    );
+    expect(rows.find(row => row.token === 'GALA')).toMatchObject({ discrepancy: 0, flagged: false });
+    expect(rows.find(row => row.token === 'GUSDC')).toMatchObject({ discrepancy: 5, flagged: true });
+
+    // Tokens that left the wallet count as a zero balance
+    expect(reconcileBalances({ GWETH: 0.01 }, {}, {}, 0.001)).toEqual([
+      { token: 'GWETH', balance: 0, previousBalance: 0.01, tradeDelta: 0, discrepancy: -0.01, flagged: true }
+    ]);
+  });
+});
@@ -0,0 +1,226 @@
+const {
+  registry,
+  BaseStrategy,
+  StrategyRegistry,
+  GoldenCrossStrategy,
+  DCAStrategy,
+  MeanReversionStrategy
+} = require('../strategies');
+const BacktestService = require('../services/BacktestService');
+const { normalizeCandles } = require('../utils/backtest');
+
+const toCandles = (closes) => closes.map((close, i) => ({
+  close,
+  timestamp: Date.UTC(2025, 0, i + 1)
+}));
+
+class BreakoutStrategy extends BaseStrategy {
+  constructor() {
+    super({
+      name: 'breakout',
+      configSchema: {
+        level: { type: 'number', default: 10, description: 'Breakout level' }
+      },
+      minimumConfidence: 0.5
+    });
+  }
+
+  analyze(candles, config) {
+    const close = candles[candles.length - 1].close;
+    return close > config.level
+      ? { signal: 'BUY', confidence: 0.9, reasons: ['Breakout'] }
+      : { signal: null, confidence: 0, reasons: [] };
+  }
+}
+
+describe('Strategy plugins', () => {
+  describe('StrategyRegistry', () => {
+    it('should register the built-in strategies', () => {
+      expect(registry.names()).toEqual(expect.arrayContaining(['golden_cross', 'dca', 'mean_reversion']));
+      expect(registry.get('golden_cross')).toBeInstanceOf(GoldenCrossStrategy);
+      expect(registry.list().find(s => s.name === 'dca').configSchema.interval.default).toBe('daily');
+    });
+
+    it('should reject unknown, duplicate and invalid strategies', () => {
+      const local = new StrategyRegistry();
+      local.register(new BreakoutStrategy());
+
+      expect(() => local.get('martingale')).toThrow('Unknown strategy: martingale');
+      expect(() => local.register(new BreakoutStrategy())).toThrow('already registered');
+      expect(() => local.register({ name: 'bad', analyze: () => ({}) })).toThrow('must extend BaseStrategy');
+      expect(local.register(new BreakoutStrategy(), { replace: true }).name).toBe('breakout');
+    });
+
+    it('should resolve the strategy named in strategy_config', () => {
+      const symbolData = {
+        strategy_config: {
+          strategy: 'mean_reversion',
+          mean_reversion: { period: '10', entry_z_score: 1.5 }
+        }
+      };
+
+      const { strategy, config } = registry.resolve(symbolData, { defaults: { period: 30 } });
+      expect(strategy).toBeInstanceOf(MeanReversionStrategy);
+      expect(config).toMatchObject({ period: 10, entryZScore: 1.5, candleInterval: null });
+
+      // Explicit name and overrides win over the symbol's config
+      const override = registry.resolve(symbolData, { name: 'golden_cross', overrides: { longPeriod: 100 } });
+      expect(override.strategy.name).toBe('golden_cross');
+      expect(override.config).toMatchObject({ shortPeriod: 50, longPeriod: 100, useRSI: true });
+
+      // Symbols without a named strategy fall back to DCA
+      expect(registry.resolve({ strategy_config: null }).strategy).toBeInstanceOf(DCAStrategy);
+    });
+  });
+
+  describe('BaseStrategy', () => {
+    it('should coerce config values to their schema types', () => {
+      const strategy = new GoldenCrossStrategy();
+
+      expect(strategy.resolveConfig({ short_period: '20', use_rsi: 'false' })).toMatchObject({
+        shortPeriod: 20,
+        useRSI: false,
+        longPeriod: 200
+      });
+      expect(() => strategy.resolveConfig({ longPeriod: 'abc' })).toThrow('longPeriod must be a number');
+    });
+
+    it('should only act on confident, due signals', () => {
+      const strategy = new DCAStrategy();
+
+      expect(strategy.isActionable({ signal: 'BUY', confidence: 0.8, shouldExecute: true })).toBe(true);
+      expect(strategy.isActionable({ signal: 'BUY', confidence: 0.8, shouldExecute: false })).toBe(false);
+      expect(strategy.isActionable({ signal: 'BUY', confidence: 0.4 })).toBe(false);
+      expect(strategy.isActionable({ signal: null, confidence: 1 })).toBe(false);
+    });
+  });
+
+  describe('Indicator confirmations', () => {
+    const strategy = new BreakoutStrategy();
+    const rising = toCandles([5, 6, 7, 8, 9, 12]);
+
+    it('should keep signals every confirmation agrees with', () => {
+      const config = strategy.resolveConfig({ confirmations: 'ema' });
+      expect(config.confirmations).toEqual([{ indicator: 'ema' }]);
+
+      const analysis = strategy.evaluate(rising, { ...config, confirmations: [{ indicator: 'ema', period: 3 }] });
+
+      expect(analysis.signal).toBe('BUY');
+      expect(analysis.confirmations[0]).toMatchObject({ indicator: 'ema', bias: 'BUY', confirmed: true });
+      expect(analysis.reasons).toContain('Confirmed by ema');
+    });
+
+    it('should drop signals a confirmation disagrees with', () => {
+      // Breakout above 10 while MACD momentum is still negative
+      const candles = toCandles([...Array(30).fill(20), 15, 14, 13, 12, 11]);
+      const config = strategy.resolveConfig({
+        confirmations: [{ indicator: 'macd', fastPeriod: 3, slowPeriod: 6, signalPeriod: 3 }]
+      });
+
+      const analysis = strategy.evaluate(candles, config);
+
+      expect(analysis.signal).toBeNull();
+      expect(analysis.unconfirmedSignal).toBe('BUY');
+      expect(strategy.isActionable(analysis)).toBe(false);
+      expect(analysis.reasons).toContain('BUY not confirmed by macd');
+    });
+
+    it('should let strategy_config require MACD confirmation on a Golden Cross', () => {
+      const { config } = registry.resolve({
+        strategy_config: { strategy: 'golden_cross', golden_cross: { confirmations: ['macd'] } }
+      });
+      expect(config.confirmations).toEqual([{ indicator: 'macd' }]);
+
+      expect(() => registry.resolve({ strategy_config: { dca: { confirmations: ['astrology'] } } }))
+        .toThrow('Unknown confirmation indicator: astrology');
+    });
+  });
+
+  describe('GoldenCrossStrategy', () => {
+    it('should analyze candles oldest first', () => {
+      const strategy = new GoldenCrossStrategy();
+      // Long MA above short MA until the last bar jumps the short MA above it
+      const candles = toCandles([5, 5, 5, 4, 4, 4, 9]);
+      const config = { shortPeriod: 2, longPeriod: 5, useRSI: false };
+
+      const analysis = strategy.analyze(candles, config);
+
+      expect(analysis.signal).toBe('BUY');
+      expect(analysis.confidence).toBeCloseTo(0.7);
+      expect(strategy.getDataRequirements(config).minCandles).toBe(6);
+    });
+  });
+
+  describe('DCAStrategy', () => {
+    it('should honour the interval using the context execution time', () => {
+      const strategy = new DCAStrategy();
+      const candles = toCandles([1, 1, 1]);
+      const currentTime = candles[2].timestamp;
+
+      const due = strategy.analyze(candles, { amount: 25 }, { currentTime, lastExecutionTime: candles[1].timestamp });
+      expect(due).toMatchObject({ signal: 'BUY', shouldExecute: true, amount: 25, currentPrice: 1 });
+      expect(strategy.getTradeAmount(due, {}, 5)).toBe(25);
+
+      const notDue = strategy.analyze(candles, { interval: 'weekly' }, { currentTime, lastExecutionTime: candles[1].timestamp });
+      expect(notDue.shouldExecute).toBe(false);
+    });
+
+    it('should load the last execution of the trading strategy', async () => {
+      const databaseService = { getLastTradeExecution: jest.fn().mockResolvedValue('2025-01-01T00:00:00.000Z') };
+
+      const context = await new DCAStrategy().prepareContext(
+        { gala_symbol: 'GUSDC|Unit|none|none' },
+        { databaseService, tradeStrategy: 'MonitorStrategy_DCA', dryRun: false }
+      );
+
+      expect(context.lastExecutionTime).toBe('2025-01-01T00:00:00.000Z');
+      expect(databaseService.getLastTradeExecution).toHaveBeenCalledWith('MonitorStrategy_DCA', 'GALA/GUSDC', { dryRun: false });
+    });
+  });
+
+  describe('MeanReversionStrategy', () => {
+    const strategy = new MeanReversionStrategy();
+
+    it('should buy when price is stretched below its mean', () => {
+      const analysis = strategy.analyze(toCandles([10, 10, 10, 10, 6]), { period: 5, entryZScore: 1.5 });
+
+      expect(analysis.signal).toBe('BUY');
+      expect(analysis.zScore).toBeLessThan(-1.5);
+      expect(analysis.confidence).toBeGreaterThanOrEqual(0.6);
+    });
+
+    it('should sell above the mean and hold within the band', () => {
+      expect(strategy.analyze(toCandles([10, 10, 10, 10, 14]), { period: 5, entryZScore: 1.5 }).signal).toBe('SELL');
+      expect(strategy.analyze(toCandles([10, 11, 10, 11, 10]), { period: 5 }).signal).toBeNull();
+      expect(strategy.analyze(toCandles([10, 11]), { period: 5 }).reasons).toContain('Insufficient historical data');
+    });
+  });
+
+  describe('Backtesting registered strategies', () => {
+    afterEach(() => {
+      registry.unregister('breakout');
+    });
+
+    it('should replay a newly registered strategy without service changes', async () => {
+      registry.register(new BreakoutStrategy());
+      const backtestService = new BacktestService();
+      await backtestService.init();
+
+      const candles = normalizeCandles([8, 9, 11, 12, 13].map((price, i) => ({
+        price,
+        timestamp: Date.UTC(2025, 0, i + 1)
+      })));
+
+      const result = backtestService.simulate(candles, {
+        strategy: 'breakout',
+        tradeAmount: 100,
+        slippage: 0,
+        feeRate: 0
+      });
+
+      expect(result.settings.minimumConfidence).toBe(0.5);
+      expect(result.totalTrades).toBe(3); // Buys on every bar above the level, closed at the end
+      expect(result.totalPnL).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { escapeCSV, formatAmount, formatDate, describeTrade, renderTrades, renderDisposals } = require('../utils/taxExport');
+
+// GALA -> GUSDC (SELL) spends 100 GALA for 5 GUSDC, GUSDC -> GALA (BUY) sells 2 GUSDC for 50 GALA
+const buy = {
+  id: 1, strategy: 'golden_cross', symbol: 'GALA/GUSDC', side: 'SELL', amount: 100, price: 0.05, total_value: 5,
+  fee: 0.5, dry_run: 0, wallet_id: 1, tx_hash: '0xabc', notes: 'entry, "golden" cross', executed_at: '2025-01-01 09:30:00'
+};
+const sell = {
+  id: 2, strategy: 'golden_cross', symbol: 'GALA/GUSDC', side: 'BUY', amount: 2, price: 25, total_value: 50,
+  fee: 0, dry_run: 0, wallet_id: 1, tx_hash: null, notes: null, executed_at: '2025-01-10T00:00:00.000Z'
+};
+
+describe('Tax Export Utilities', () => {
+  test('should escape fields and format amounts and dates', () => {
+    expect(escapeCSV('a,"b"')).toBe('"a,""b"""');
+    expect(escapeCSV(null)).toBe('');
+    expect(formatAmount(0.00000001)).toBe('0.00000001');
+    expect(formatAmount(10)).toBe('10');
+    expect(formatAmount(null)).toBe('');
+    expect(formatDate('2025-01-31 13:45:00', 'koinly')).toBe('2025-01-31 13:45:00 UTC');
+    expect(formatDate('2025-01-31T13:45:00.000Z', 'cointracker')).toBe('01/31/2025 13:45:00');
+  });
+
+  test('should describe trades as currencies sent and received', () => {
+    expect(describeTrade(buy)).toMatchObject({ sentAmount: 100, sentCurrency: 'GALA', receivedAmount: 5, receivedCurrency: 'GUSDC', fee: 0.5 });
+    expect(describeTrade(sell)).toMatchObject({ sentAmount: 2, sentCurrency: 'GUSDC', receivedAmount: 50, receivedCurrency: 'GALA' });
+    expect(describeTrade({ ...buy, symbol: 'GALA' })).toBeNull();
+  });
+
+  test('should render the Koinly and CoinTracker import formats', () => {
+    const rows = [{ trade: buy, walletName: 'main', galaUsd: 0.02 }, { trade: sell, walletName: 'main', galaUsd: null }];
+
+    const koinly = renderTrades('koinly', rows).trim().split('\n');
+    expect(koinly[0]).toBe('Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash');
+    expect(koinly[1]).toBe('2025-01-01 09:30:00 UTC,100,GALA,5,GUSDC,,,2,USD,,golden_cross trade #1 (main),0xabc');
+    expect(koinly[2]).toBe('2025-01-10 00:00:00 UTC,2,GUSDC,50,GALA,,,,,,golden_cross trade #2 (main),');
+
+    const cointracker = renderTrades('cointracker', rows).trim().split('\n');
+    expect(cointracker[0]).toBe('Date,Received Quantity,Received Currency,Sent Quantity,Sent Currency,Fee Amount,Fee Currency,Tag');
+    expect(cointracker[1]).toBe('01/01/2025 09:30:00,5,GUSDC,100,GALA,,,');
+
+    const ledger = renderTrades('trades', rows);
+    expect(ledger).toContain(',live,0xabc,"entry, ""golden"" cross"\n');
+    expect(ledger.split('\n')[1]).toContain(',0.05,0.5,0.02,2,');
+    expect(() => renderTrades('turbotax', rows)).toThrow('Unknown export format');
+  });
+
+  test('should render disposals with cost basis, proceeds and USD gains', () => {
+    const lot = {
+      token: 'GUSDC', strategy: 'golden_cross', walletId: 1, quantity: 2, cost: 40.2, proceeds: 50, realizedPnL: 9.8,
+      openTradeId: 1, closeTradeId: 2, openedAt: '2025-01-01T09:30:00.000Z', closedAt: '2025-01-10T00:00:00.000Z'
+    };
+    const unmatched = { token: 'GUSDC', strategy: 'dca', walletId: 1, tradeId: 7, quantity: 1, proceeds: 25, closedAt: '2025-01-11T00:00:00.000Z' };
+
+    const lines = renderDisposals([
+      { lot, walletName: 'main', method: 'fifo', openGalaUsd: 0.02, closeGalaUsd: 0.03 },
+      { lot: unmatched, walletName: 'main', method: 'fifo', openGalaUsd: null, closeGalaUsd: 0.03 }
+    ]).trim().split('\n');
+
+    expect(lines[0]).toContain('Cost Basis (GALA),Proceeds (GALA),Gain (GALA),Cost Basis (USD),Proceeds (USD),Gain (USD)');
+    expect(lines[1]).toBe('GUSDC,2,2025-01-01T09:30:00.000Z,2025-01-10T00:00:00.000Z,40.2,50,9.8,0.804,1.5,0.696,FIFO,golden_cross,main,1,2,');
+    expect(lines[2]).toBe('GUSDC,1,,2025-01-11T00:00:00.000Z,,25,,,0.75,,FIFO,dca,main,,7,No recorded purchase - cost basis unknown');
+  });
+});
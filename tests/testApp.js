@@ -9,6 +9,8 @@ const serviceManager = require('../services/ServiceManager');
 var indexRouter = require('../routes/index');
 var usersRouter = require('../routes/users');
 var tradingRouter = require('../routes/trading');
+var authRouter = require('../routes/auth');
+const { authenticate } = require('../middleware/auth');
 
 var app = express();
 
@@ -33,7 +35,11 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Resolve API keys and session cookies before the routes check roles
+app.use(authenticate);
+
 app.use('/', indexRouter);
+app.use('/auth', authRouter);
 app.use('/users', usersRouter);
 app.use('/trading', tradingRouter);
 
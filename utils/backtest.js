@@ -0,0 +1,241 @@
+/**
+ * Backtesting Utilities
+ * Pure functions for simulating fills and computing performance metrics
+ */
+
+/**
+ * Simulate a market fill with slippage and fees
+ * @param {Object} order - Order to fill
+ * @param {string} order.side - 'BUY' (spend quote currency) or 'SELL' (sell asset units)
+ * @param {number} order.price - Reference price of the bar
+ * @param {number} order.quantity - Quote amount to spend for BUY, asset units to sell for SELL
+ * @param {number} order.slippage - Slippage applied against us (0.005 = 0.5%)
+ * @param {number} order.feeRate - Fee charged on the quote amount (0.003 = 0.3%)
+ * @returns {Object} - Fill details {side, fillPrice, units, quoteAmount, fee}
+ */
+function simulateFill({ side, price, quantity, slippage = 0, feeRate = 0 }) {
+  if (!price || price <= 0) {
+    throw new Error('Fill price must be positive');
+  }
+
+  if (!quantity || quantity <= 0) {
+    throw new Error('Fill quantity must be positive');
+  }
+
+  if (side === 'BUY') {
+    const fillPrice = price * (1 + slippage);
+    const fee = quantity * feeRate;
+    return {
+      side,
+      fillPrice,
+      units: (quantity - fee) / fillPrice,
+      quoteAmount: quantity, // Total quote spent, fee included
+      fee
+    };
+  }
+
+  if (side === 'SELL') {
+    const fillPrice = price * (1 - slippage);
+    const grossProceeds = quantity * fillPrice;
+    const fee = grossProceeds * feeRate;
+    return {
+      side,
+      fillPrice,
+      units: quantity,
+      quoteAmount: grossProceeds - fee, // Net quote received
+      fee
+    };
+  }
+
+  throw new Error(`Unsupported fill side: ${side}`);
+}
+
+/**
+ * Calculate maximum drawdown of an equity curve
+ * @param {number[]} equityValues - Equity values (oldest first)
+ * @returns {number} - Max drawdown as a fraction (0.25 = 25%)
+ */
+function calculateMaxDrawdown(equityValues) {
+  if (!Array.isArray(equityValues) || equityValues.length === 0) {
+    return 0;
+  }
+
+  let peak = equityValues[0];
+  let maxDrawdown = 0;
+
+  for (const value of equityValues) {
+    if (value > peak) {
+      peak = value;
+    }
+
+    if (peak > 0) {
+      const drawdown = (peak - value) / peak;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+      }
+    }
+  }
+
+  return maxDrawdown;
+}
+
+/**
+ * Calculate period-over-period returns of an equity curve
+ * @param {number[]} equityValues - Equity values (oldest first)
+ * @returns {number[]} - Array of fractional returns
+ */
+function calculateReturns(equityValues) {
+  if (!Array.isArray(equityValues) || equityValues.length < 2) {
+    return [];
+  }
+
+  const returns = [];
+  for (let i = 1; i < equityValues.length; i++) {
+    const previous = equityValues[i - 1];
+    returns.push(previous > 0 ? (equityValues[i] - previous) / previous : 0);
+  }
+
+  return returns;
+}
+
+/**
+ * Calculate annualized Sharpe ratio
+ * @param {number[]} returns - Period returns
+ * @param {number} periodsPerYear - Number of periods per year (default: 365 for daily bars)
+ * @param {number} riskFreeRate - Annual risk free rate (default: 0)
+ * @returns {number|null} - Sharpe ratio or null if it cannot be computed
+ */
+function calculateSharpeRatio(returns, periodsPerYear = 365, riskFreeRate = 0) {
+  if (!Array.isArray(returns) || returns.length < 2) {
+    return null;
+  }
+
+  const periodRiskFree = riskFreeRate / periodsPerYear;
+  const excessReturns = returns.map(r => r - periodRiskFree);
+  const mean = excessReturns.reduce((sum, r) => sum + r, 0) / excessReturns.length;
+  const variance = excessReturns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (excessReturns.length - 1);
+  const stdDev = Math.sqrt(variance);
+
+  if (stdDev === 0) {
+    return null;
+  }
+
+  return (mean / stdDev) * Math.sqrt(periodsPerYear);
+}
+
+/**
+ * Infer how many bars make a year from the median spacing of the candles,
+ * so hourly or weekly history annualizes like daily bars do
+ * @param {Array} candles - Candles sorted oldest first
+ * @returns {number} - Periods per year (365 when the spacing cannot be measured)
+ */
+function inferPeriodsPerYear(candles) {
+  const spacings = [];
+  for (let i = 1; i < (candles || []).length; i++) {
+    const spacing = candles[i].timestamp - candles[i - 1].timestamp;
+    if (spacing > 0) spacings.push(spacing);
+  }
+
+  if (spacings.length === 0) {
+    return 365;
+  }
+
+  spacings.sort((a, b) => a - b);
+  const middle = Math.floor(spacings.length / 2);
+  const median = spacings.length % 2 ? spacings[middle] : (spacings[middle - 1] + spacings[middle]) / 2;
+
+  return (365 * 24 * 60 * 60 * 1000) / median;
+}
+
+/**
+ * Summarize closed lots into win/loss statistics
+ * @param {Array} closedLots - Array of {pnl} objects
+ * @returns {Object} - {totalTrades, winningTrades, losingTrades, winRate}
+ */
+function calculateWinRate(closedLots) {
+  const totalTrades = Array.isArray(closedLots) ? closedLots.length : 0;
+  const winningTrades = totalTrades ? closedLots.filter(lot => lot.pnl > 0).length : 0;
+  const losingTrades = totalTrades - winningTrades;
+
+  return {
+    totalTrades,
+    winningTrades,
+    losingTrades,
+    winRate: totalTrades > 0 ? winningTrades / totalTrades : 0
+  };
+}
+
+/**
+ * Normalize raw candle rows (JSON fixtures or price_history rows) into OHLC candles
+ * @param {Array} rows - Rows with date/timestamp and close/price fields
+ * @returns {Array} - Candles sorted oldest first: {timestamp, date, open, high, low, close, volume}
+ */
+function normalizeCandles(rows) {
+  if (!Array.isArray(rows)) {
+    return [];
+  }
+
+  return rows
+    .map(row => {
+      const rawTime = row.timestamp !== undefined ? row.timestamp : (row.date || row.time);
+      const timestamp = typeof rawTime === 'number' ? rawTime : new Date(rawTime).getTime();
+      const close = parseFloat(row.close !== undefined ? row.close : row.price);
+
+      return {
+        timestamp,
+        date: new Date(timestamp).toISOString(),
+        open: row.open !== undefined ? parseFloat(row.open) : close,
+        high: row.high !== undefined ? parseFloat(row.high) : close,
+        low: row.low !== undefined ? parseFloat(row.low) : close,
+        close,
+        volume: row.volume !== undefined && row.volume !== null ? parseFloat(row.volume) || 0 : 0
+      };
+    })
+    .filter(candle => !isNaN(candle.timestamp) && !isNaN(candle.close) && candle.close > 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Parse candles from CSV text
+ * Expects a header row containing a date/timestamp column and a close/price column
+ * @param {string} csvText - CSV content
+ * @returns {Array} - Candles sorted oldest first
+ */
+function parseCandlesCSV(csvText) {
+  if (typeof csvText !== 'string' || csvText.trim() === '') {
+    return [];
+  }
+
+  const lines = csvText.trim().split(/\r?\n/);
+  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+
+  const rows = lines.slice(1)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const values = line.split(',').map(v => v.trim());
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index];
+      });
+
+      // Numeric epoch timestamps come through as strings
+      if (row.timestamp !== undefined && /^\d+$/.test(row.timestamp)) {
+        row.timestamp = parseInt(row.timestamp);
+      }
+
+      return row;
+    });
+
+  return normalizeCandles(rows);
+}
+
+module.exports = {
+  simulateFill,
+  calculateMaxDrawdown,
+  calculateReturns,
+  calculateSharpeRatio,
+  inferPeriodsPerYear,
+  calculateWinRate,
+  normalizeCandles,
+  parseCandlesCSV
+};
@@ -0,0 +1,82 @@
+/**
+ * Candle Utilities
+ * Pure functions for bucketing stored price samples into OHLC candles
+ */
+
+/**
+ * Supported candle intervals in milliseconds
+ */
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a candle interval to milliseconds
+ * @param {string} interval - Candle interval ('1m', '5m', '1h' or '1d')
+ * @returns {number} - Interval length in milliseconds
+ */
+function intervalToMs(interval) {
+  const ms = CANDLE_INTERVALS[interval];
+  if (!ms) {
+    throw new Error(`Unsupported candle interval: ${interval}. Use one of ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+  }
+  return ms;
+}
+
+/**
+ * Aggregate price samples into OHLC candles
+ * @param {Array} samples - Samples with timestamp and price (any order)
+ * @param {string} interval - Candle interval ('1m', '5m', '1h' or '1d')
+ * @returns {Array} - Candles {timestamp, date, open, high, low, close, volume, samples} (oldest first)
+ */
+function aggregateCandles(samples, interval) {
+  const bucketMs = intervalToMs(interval);
+
+  const sorted = (samples || [])
+    .map(sample => ({
+      time: new Date(sample.timestamp).getTime(),
+      price: parseFloat(sample.price),
+      volume: parseFloat(sample.volume) || 0
+    }))
+    .filter(sample => !isNaN(sample.time) && !isNaN(sample.price))
+    .sort((a, b) => a.time - b.time);
+
+  const candles = [];
+  let current = null;
+
+  for (const sample of sorted) {
+    const bucketStart = Math.floor(sample.time / bucketMs) * bucketMs;
+
+    if (!current || current.timestamp !== bucketStart) {
+      current = {
+        timestamp: bucketStart,
+        date: new Date(bucketStart).toISOString(),
+        open: sample.price,
+        high: sample.price,
+        low: sample.price,
+        close: sample.price,
+        volume: sample.volume,
+        samples: 1
+      };
+      candles.push(current);
+      continue;
+    }
+
+    current.high = Math.max(current.high, sample.price);
+    current.low = Math.min(current.low, sample.price);
+    current.close = sample.price;
+    current.volume += sample.volume;
+    current.samples++;
+  }
+
+  return candles;
+}
+
+module.exports = {
+  CANDLE_INTERVALS,
+  intervalToMs,
+  aggregateCandles
+};
@@ -0,0 +1,183 @@
+/**
+ * Cron Utilities
+ * Pure functions for parsing five-field cron expressions and finding their next run time (UTC)
+ */
+
+/**
+ * Cron fields in expression order with their allowed ranges
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+/**
+ * Shorthand schedules
+ */
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up searching for a match after this long (e.g. "0 0 31 2 *" never runs, "0 0 29 2 *" every 4 years)
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one cron field into the sorted list of values it matches
+ * @param {string} part - Field text (*, 5, 1-5, *\/15, 1-30/5, 1,15)
+ * @param {Object} field - {name, min, max}
+ * @returns {Object} - {values: number[], wildcard: boolean}
+ */
+function parseField(part, field) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid cron ${field.name} step: ${item}`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2 || !bounds.every(bound => /^\d+$/.test(bound))) {
+        throw new Error(`Invalid cron ${field.name}: ${item}`);
+      }
+      start = parseInt(bounds[0], 10);
+      end = bounds.length === 2 ? parseInt(bounds[1], 10) : (stepText === undefined ? start : field.max);
+    }
+
+    if (start < field.min || end > field.max || start > end) {
+      throw new Error(`Cron ${field.name} out of range (${field.min}-${field.max}): ${item}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return {
+    values: Array.from(values).sort((a, b) => a - b),
+    wildcard: part === '*'
+  };
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression or alias (@hourly, @daily, @weekly, @monthly)
+ * @returns {Object} - {expression, minute, hour, dayOfMonth, month, dayOfWeek} as Sets of matching values
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const trimmed = expression.trim();
+  const parts = (CRON_ALIASES[trimmed] || trimmed).split(/\s+/);
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const parsed = { expression: trimmed };
+  CRON_FIELDS.forEach((field, index) => {
+    const { values, wildcard } = parseField(parts[index], field);
+    parsed[field.name] = new Set(field.name === 'dayOfWeek' ? values.map(day => day % 7) : values);
+    parsed[`${field.name}Wildcard`] = wildcard;
+  });
+
+  return parsed;
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a day matches, using the cron rule that a restricted day-of-month
+ * and day-of-week match when either does
+ * @param {Object} cron - Parsed cron
+ * @param {Date} date - Date (UTC)
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthWildcard || cron.dayOfWeekWildcard) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the first run time strictly after a point in time
+ * @param {string|Object} expression - Cron expression or result of parseCron()
+ * @param {Date|string|number} after - Search start
+ * @returns {Date|null} - Next run time, null if none within five years
+ */
+function getNextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after);
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${after}`);
+  }
+
+  // Cron runs on whole minutes
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = date.getTime() + MAX_SEARCH_MS;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+module.exports = {
+  CRON_ALIASES,
+  parseCron,
+  isValidCron,
+  getNextRun
+};
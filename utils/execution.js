@@ -0,0 +1,49 @@
+/**
+ * Execution Algorithm Utilities
+ * Slice planning and price drift checks for orders split into several swaps
+ */
+
+const EXECUTION_ALGOS = ['twap', 'iceberg'];
+
+/**
+ * Split an amount into equal TWAP slices within the per-swap trade limits
+ * More slices are used when a slice would exceed maxSlice, fewer when one would fall below minSlice
+ * @param {number} amount - Total amount
+ * @param {number} slices - Requested number of slices
+ * @param {Object} limits - {minSlice, maxSlice}
+ * @returns {number[]} - Slice amounts summing to amount
+ */
+function planTwapSlices(amount, slices, limits = {}) {
+  const { minSlice = 0, maxSlice = Infinity } = limits;
+
+  let count = Math.max(1, Math.floor(slices));
+  if (amount / count > maxSlice) {
+    count = Math.ceil(amount / maxSlice);
+  }
+  if (minSlice > 0 && amount / count < minSlice) {
+    count = Math.max(1, Math.floor(amount / minSlice));
+  }
+
+  const slice = amount / count;
+  const plan = Array(count).fill(slice);
+  // Absorb floating point drift in the last slice
+  plan[count - 1] = amount - slice * (count - 1);
+  return plan;
+}
+
+/**
+ * Adverse price move since the first slice
+ * Prices are output per unit of input, so a lower price fills worse
+ * @param {number} referencePrice - Price quoted for the first slice
+ * @param {number} price - Price quoted now
+ * @returns {number} - Fraction the price moved against the order (negative when it improved)
+ */
+function getPriceMove(referencePrice, price) {
+  return (referencePrice - price) / referencePrice;
+}
+
+module.exports = {
+  EXECUTION_ALGOS,
+  planTwapSlices,
+  getPriceMove
+};
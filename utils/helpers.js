@@ -79,6 +79,17 @@ function getTimestamp(date = new Date()) {
   return date.toISOString();
 }
 
+/**
+ * Exponential backoff delay for a failed attempt
+ * @param {number} attempt - Failed attempts so far (1 = first failure)
+ * @param {number} baseDelay - Delay after the first failure in milliseconds
+ * @param {number} maxDelay - Upper bound in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay = 1000, maxDelay = Infinity) {
+  return Math.min(baseDelay * Math.pow(2, Math.max(attempt, 1) - 1), maxDelay);
+}
+
 /**
  * Retry async function with exponential backoff
  * @param {Function} fn - Async function to retry
@@ -99,8 +110,7 @@ async function retry(fn, maxRetries = 3, baseDelay = 1000) {
         throw lastError;
       }
       
-      const delay = baseDelay * Math.pow(2, attempt - 1);
-      await sleep(delay);
+      await sleep(getBackoffDelay(attempt, baseDelay));
     }
   }
 }
@@ -146,6 +156,7 @@ module.exports = {
   isValidWalletAddress,
   validateTradeAmount,
   getTimestamp,
+  getBackoffDelay,
   retry,
   deepClone,
   isEmpty,
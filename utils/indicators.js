@@ -208,10 +208,11 @@ function analyzeDCAStrategy(options = {}) {
     currentPrice = null,
     volatilityWindow = 7, // Days to check for volatility
     prices = [], // Recent prices for volatility check
-    maxVolatility = 0.1 // 10% max volatility threshold
+    maxVolatility = 0.1, // 10% max volatility threshold
+    currentTime = null // Optional: evaluate as of this time instead of now (used by backtests)
   } = options;
 
-  const now = new Date();
+  const now = currentTime ? new Date(currentTime) : new Date();
   const intervalMs = getIntervalMs(interval);
   
   // Check if enough time has passed since last execution
@@ -307,6 +308,549 @@ function calculateVolatility(prices) {
   return Math.sqrt(variance) / avg;
 }
 
+/**
+ * Calculate EMA values for a series
+ * @param {number[]} values - Array of values (oldest first)
+ * @param {number} period - EMA period
+ * @returns {number[]} - EMA values (oldest first), seeded with the SMA of the first period values
+ */
+function calculateEMASeries(values, period) {
+  if (!Array.isArray(values) || values.length < period || period <= 0) {
+    return [];
+  }
+
+  const multiplier = 2 / (period + 1);
+  let ema = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  const series = [ema];
+
+  for (let i = period; i < values.length; i++) {
+    ema = (values[i] - ema) * multiplier + ema;
+    series.push(ema);
+  }
+
+  return series;
+}
+
+/**
+ * Calculate Exponential Moving Average (EMA)
+ * @param {number[]} prices - Array of prices (newest first)
+ * @param {number} period - Number of periods
+ * @returns {number|null} - EMA value or null if insufficient data
+ */
+function calculateEMA(prices, period) {
+  const series = calculateEMASeries(Array.isArray(prices) ? prices.slice().reverse() : null, period);
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+/**
+ * Calculate MACD line, signal line and histogram
+ * @param {number[]} prices - Array of prices (newest first)
+ * @param {number} fastPeriod - Fast EMA period (default: 12)
+ * @param {number} slowPeriod - Slow EMA period (default: 26)
+ * @param {number} signalPeriod - Signal line EMA period (default: 9)
+ * @returns {Object|null} - {macd, signal, histogram, previous*} or null if insufficient data
+ */
+function calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  if (!Array.isArray(prices) || fastPeriod >= slowPeriod || prices.length < slowPeriod + signalPeriod - 1) {
+    return null;
+  }
+
+  const values = prices.slice().reverse();
+  const fast = calculateEMASeries(values, fastPeriod);
+  const slow = calculateEMASeries(values, slowPeriod);
+
+  // Align the fast EMA with the slow EMA, which starts slowPeriod - fastPeriod bars later
+  const offset = slowPeriod - fastPeriod;
+  const macdLine = slow.map((slowEMA, i) => fast[i + offset] - slowEMA);
+  const signalLine = calculateEMASeries(macdLine, signalPeriod);
+
+  const last = macdLine.length - 1;
+  const lastSignal = signalLine.length - 1;
+  const hasPrevious = signalLine.length > 1;
+
+  return {
+    macd: macdLine[last],
+    signal: signalLine[lastSignal],
+    histogram: macdLine[last] - signalLine[lastSignal],
+    previousMACD: hasPrevious ? macdLine[last - 1] : null,
+    previousSignal: hasPrevious ? signalLine[lastSignal - 1] : null,
+    previousHistogram: hasPrevious ? macdLine[last - 1] - signalLine[lastSignal - 1] : null
+  };
+}
+
+/**
+ * Detect MACD crossovers
+ * @param {Object} macd - Result of calculateMACD
+ * @returns {Object} - Signal information
+ */
+function detectMACDSignal(macd) {
+  if (!macd) {
+    return {
+      signal: null,
+      reason: 'MACD value not available',
+      histogram: null,
+      trend: null
+    };
+  }
+
+  const trend = macd.histogram > 0 ? 'bullish' : macd.histogram < 0 ? 'bearish' : 'neutral';
+  let signal = null;
+  let reason = `No MACD crossover (${trend})`;
+
+  if (macd.previousHistogram !== null) {
+    if (macd.histogram > 0 && macd.previousHistogram <= 0) {
+      signal = 'BUY';
+      reason = 'MACD crossed above signal line';
+    } else if (macd.histogram < 0 && macd.previousHistogram >= 0) {
+      signal = 'SELL';
+      reason = 'MACD crossed below signal line';
+    }
+  }
+
+  return {
+    signal,
+    reason,
+    histogram: macd.histogram,
+    trend
+  };
+}
+
+/**
+ * Calculate Bollinger Bands
+ * @param {number[]} prices - Array of prices (newest first)
+ * @param {number} period - Moving average period (default: 20)
+ * @param {number} stdDevMultiplier - Band width in standard deviations (default: 2)
+ * @returns {Object|null} - {upper, middle, lower, price, bandwidth, percentB} or null if insufficient data
+ */
+function calculateBollingerBands(prices, period = 20, stdDevMultiplier = 2) {
+  const middle = calculateSMA(prices, period);
+  if (middle === null) {
+    return null;
+  }
+
+  const window = prices.slice(0, period);
+  const stdDev = Math.sqrt(window.reduce((sum, price) => sum + Math.pow(price - middle, 2), 0) / period);
+  const upper = middle + stdDevMultiplier * stdDev;
+  const lower = middle - stdDevMultiplier * stdDev;
+  const price = prices[0];
+
+  return {
+    upper,
+    middle,
+    lower,
+    price,
+    bandwidth: middle !== 0 ? (upper - lower) / middle : 0,
+    percentB: upper !== lower ? (price - lower) / (upper - lower) : 0.5
+  };
+}
+
+/**
+ * Detect band touches using Bollinger Bands
+ * @param {Object} bands - Result of calculateBollingerBands
+ * @returns {Object} - Signal information
+ */
+function detectBollingerSignal(bands) {
+  if (!bands) {
+    return {
+      signal: null,
+      reason: 'Bollinger Bands not available',
+      percentB: null
+    };
+  }
+
+  let signal = null;
+  let reason = 'Price within Bollinger Bands';
+
+  if (bands.price <= bands.lower) {
+    signal = 'BUY';
+    reason = `Price ${bands.price.toFixed(4)} at or below lower band ${bands.lower.toFixed(4)}`;
+  } else if (bands.price >= bands.upper) {
+    signal = 'SELL';
+    reason = `Price ${bands.price.toFixed(4)} at or above upper band ${bands.upper.toFixed(4)}`;
+  }
+
+  return {
+    signal,
+    reason,
+    percentB: bands.percentB,
+    position: signal === 'BUY' ? 'below_lower' : signal === 'SELL' ? 'above_upper' : 'inside'
+  };
+}
+
+/**
+ * Calculate the true range of a candle
+ * @param {Object} candle - {high, low, close}
+ * @param {number|null} previousClose - Close of the previous candle
+ * @returns {number} - True range
+ */
+function calculateTrueRange(candle, previousClose) {
+  const high = candle.high ?? candle.close;
+  const low = candle.low ?? candle.close;
+
+  if (previousClose === null || previousClose === undefined) {
+    return high - low;
+  }
+
+  return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+}
+
+/**
+ * Calculate Average True Range (ATR) with Wilder smoothing
+ * @param {Array} candles - Array of {high, low, close} objects (newest first)
+ * @param {number} period - ATR period (default: 14)
+ * @returns {number|null} - ATR value or null if insufficient data
+ */
+function calculateATR(candles, period = 14) {
+  if (!Array.isArray(candles) || candles.length < period + 1 || period <= 0) {
+    return null;
+  }
+
+  const ordered = candles.slice().reverse();
+  const trueRanges = [];
+  for (let i = 1; i < ordered.length; i++) {
+    trueRanges.push(calculateTrueRange(ordered[i], ordered[i - 1].close));
+  }
+
+  let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+
+  return atr;
+}
+
+/**
+ * Calculate %K for the most recent kPeriod candles
+ * @param {Array} window - Array of {high, low, close} objects (newest first)
+ * @returns {number} - %K value (0-100)
+ */
+function calculateStochasticK(window) {
+  const highestHigh = Math.max(...window.map(candle => candle.high ?? candle.close));
+  const lowestLow = Math.min(...window.map(candle => candle.low ?? candle.close));
+
+  if (highestHigh === lowestLow) return 50; // Flat range
+
+  return (window[0].close - lowestLow) / (highestHigh - lowestLow) * 100;
+}
+
+/**
+ * Calculate the Stochastic Oscillator
+ * @param {Array} candles - Array of {high, low, close} objects (newest first)
+ * @param {number} kPeriod - %K lookback period (default: 14)
+ * @param {number} dPeriod - %D smoothing period (default: 3)
+ * @returns {Object|null} - {k, d, previousK, previousD} or null if insufficient data
+ */
+function calculateStochastic(candles, kPeriod = 14, dPeriod = 3) {
+  if (!Array.isArray(candles) || candles.length < kPeriod + dPeriod - 1 || kPeriod <= 0 || dPeriod <= 0) {
+    return null;
+  }
+
+  // %K values newest first, one extra when available for the previous %D
+  const kValues = [];
+  for (let i = 0; i <= dPeriod && i + kPeriod <= candles.length; i++) {
+    kValues.push(calculateStochasticK(candles.slice(i, i + kPeriod)));
+  }
+
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const hasPrevious = kValues.length > dPeriod;
+
+  return {
+    k: kValues[0],
+    d: average(kValues.slice(0, dPeriod)),
+    previousK: kValues.length > 1 ? kValues[1] : null,
+    previousD: hasPrevious ? average(kValues.slice(1, dPeriod + 1)) : null
+  };
+}
+
+/**
+ * Detect overbought/oversold conditions using the Stochastic Oscillator
+ * @param {Object} stochastic - Result of calculateStochastic
+ * @param {number} overboughtLevel - Overbought threshold (default: 80)
+ * @param {number} oversoldLevel - Oversold threshold (default: 20)
+ * @returns {Object} - Signal information
+ */
+function detectStochasticSignal(stochastic, overboughtLevel = 80, oversoldLevel = 20) {
+  if (!stochastic) {
+    return {
+      signal: null,
+      reason: 'Stochastic value not available',
+      k: null,
+      d: null
+    };
+  }
+
+  const { k, d } = stochastic;
+  let signal = null;
+  let reason = 'Stochastic within normal range';
+
+  if (k >= overboughtLevel) {
+    signal = 'SELL';
+    reason = `Stochastic overbought (%K ${k.toFixed(2)} >= ${overboughtLevel})`;
+  } else if (k <= oversoldLevel) {
+    signal = 'BUY';
+    reason = `Stochastic oversold (%K ${k.toFixed(2)} <= ${oversoldLevel})`;
+  }
+
+  return {
+    signal,
+    reason,
+    k,
+    d,
+    level: k >= overboughtLevel ? 'overbought' : k <= oversoldLevel ? 'oversold' : 'normal'
+  };
+}
+
+/**
+ * Calculate Volume Weighted Average Price (VWAP)
+ * @param {Array} candles - Array of {high, low, close, volume} objects (newest first)
+ * @param {number|null} period - Candles to include, null = all candles
+ * @returns {number|null} - VWAP or null if there is no volume
+ */
+function calculateVWAP(candles, period = null) {
+  if (!Array.isArray(candles) || candles.length === 0) {
+    return null;
+  }
+
+  const window = period ? candles.slice(0, period) : candles;
+  let priceVolume = 0;
+  let volume = 0;
+
+  for (const candle of window) {
+    const typicalPrice = ((candle.high ?? candle.close) + (candle.low ?? candle.close) + candle.close) / 3;
+    priceVolume += typicalPrice * (candle.volume || 0);
+    volume += candle.volume || 0;
+  }
+
+  return volume > 0 ? priceVolume / volume : null;
+}
+
+/**
+ * Detect price stretched away from VWAP
+ * @param {number} vwap - VWAP value
+ * @param {number} price - Current price
+ * @param {number} threshold - Distance from VWAP that triggers a signal (default: 0.02 = 2%)
+ * @returns {Object} - Signal information
+ */
+function detectVWAPSignal(vwap, price, threshold = 0.02) {
+  if (vwap === null || vwap === undefined || !price) {
+    return {
+      signal: null,
+      reason: 'VWAP value not available',
+      deviation: null
+    };
+  }
+
+  const deviation = (price - vwap) / vwap;
+  let signal = null;
+  let reason = `Price within ${(threshold * 100).toFixed(1)}% of VWAP`;
+
+  if (deviation <= -threshold) {
+    signal = 'BUY';
+    reason = `Price ${(Math.abs(deviation) * 100).toFixed(2)}% below VWAP`;
+  } else if (deviation >= threshold) {
+    signal = 'SELL';
+    reason = `Price ${(deviation * 100).toFixed(2)}% above VWAP`;
+  }
+
+  return {
+    signal,
+    reason,
+    vwap,
+    deviation
+  };
+}
+
+/**
+ * Create a streaming EMA that updates from one new price at a time
+ * @param {number} period - EMA period
+ * @returns {Object} - {update(price), getValue()} returning null until warmed up
+ */
+function createEMAStream(period) {
+  const multiplier = 2 / (period + 1);
+  const seed = [];
+  let ema = null;
+
+  return {
+    update(price) {
+      if (ema === null) {
+        seed.push(price);
+        if (seed.length === period) {
+          ema = seed.reduce((sum, value) => sum + value, 0) / period;
+        }
+      } else {
+        ema = (price - ema) * multiplier + ema;
+      }
+      return ema;
+    },
+    getValue() {
+      return ema;
+    }
+  };
+}
+
+/**
+ * Create a streaming MACD that updates from one new price at a time
+ * @param {number} fastPeriod - Fast EMA period (default: 12)
+ * @param {number} slowPeriod - Slow EMA period (default: 26)
+ * @param {number} signalPeriod - Signal line EMA period (default: 9)
+ * @returns {Object} - {update(price), getValue()} returning calculateMACD-shaped results or null
+ */
+function createMACDStream(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const fast = createEMAStream(fastPeriod);
+  const slow = createEMAStream(slowPeriod);
+  const signalLine = createEMAStream(signalPeriod);
+  let current = null;
+
+  return {
+    update(price) {
+      const fastEMA = fast.update(price);
+      const slowEMA = slow.update(price);
+      if (slowEMA === null) return null;
+
+      const macd = fastEMA - slowEMA;
+      const signal = signalLine.update(macd);
+      if (signal === null) return null;
+
+      current = {
+        macd,
+        signal,
+        histogram: macd - signal,
+        previousMACD: current ? current.macd : null,
+        previousSignal: current ? current.signal : null,
+        previousHistogram: current ? current.histogram : null
+      };
+      return current;
+    },
+    getValue() {
+      return current;
+    }
+  };
+}
+
+/**
+ * Create streaming Bollinger Bands that update from one new price at a time
+ * @param {number} period - Moving average period (default: 20)
+ * @param {number} stdDevMultiplier - Band width in standard deviations (default: 2)
+ * @returns {Object} - {update(price), getValue()} returning calculateBollingerBands-shaped results or null
+ */
+function createBollingerStream(period = 20, stdDevMultiplier = 2) {
+  const window = []; // Newest first
+  let current = null;
+
+  return {
+    update(price) {
+      window.unshift(price);
+      if (window.length > period) window.pop();
+
+      current = calculateBollingerBands(window, period, stdDevMultiplier);
+      return current;
+    },
+    getValue() {
+      return current;
+    }
+  };
+}
+
+/**
+ * Create a streaming ATR that updates from one new candle at a time
+ * @param {number} period - ATR period (default: 14)
+ * @returns {Object} - {update(candle), getValue()} returning null until warmed up
+ */
+function createATRStream(period = 14) {
+  const seed = [];
+  let previousClose = null;
+  let atr = null;
+
+  return {
+    update(candle) {
+      if (previousClose !== null) {
+        const trueRange = calculateTrueRange(candle, previousClose);
+        if (atr === null) {
+          seed.push(trueRange);
+          if (seed.length === period) {
+            atr = seed.reduce((sum, tr) => sum + tr, 0) / period;
+          }
+        } else {
+          atr = (atr * (period - 1) + trueRange) / period;
+        }
+      }
+      previousClose = candle.close;
+      return atr;
+    },
+    getValue() {
+      return atr;
+    }
+  };
+}
+
+/**
+ * Create a streaming Stochastic Oscillator that updates from one new candle at a time
+ * @param {number} kPeriod - %K lookback period (default: 14)
+ * @param {number} dPeriod - %D smoothing period (default: 3)
+ * @returns {Object} - {update(candle), getValue()} returning calculateStochastic-shaped results or null
+ */
+function createStochasticStream(kPeriod = 14, dPeriod = 3) {
+  const window = []; // Candles, newest first
+  const kValues = []; // Newest first
+  let current = null;
+
+  return {
+    update(candle) {
+      window.unshift(candle);
+      if (window.length > kPeriod) window.pop();
+      if (window.length < kPeriod) return null;
+
+      kValues.unshift(calculateStochasticK(window));
+      if (kValues.length > dPeriod + 1) kValues.pop();
+      if (kValues.length < dPeriod) return null;
+
+      const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+      current = {
+        k: kValues[0],
+        d: average(kValues.slice(0, dPeriod)),
+        previousK: kValues.length > 1 ? kValues[1] : null,
+        previousD: kValues.length > dPeriod ? average(kValues.slice(1, dPeriod + 1)) : null
+      };
+      return current;
+    },
+    getValue() {
+      return current;
+    }
+  };
+}
+
+/**
+ * Create a streaming VWAP that updates from one new candle at a time
+ * @param {number|null} period - Rolling window in candles, null = cumulative
+ * @returns {Object} - {update(candle), getValue()} returning null while there is no volume
+ */
+function createVWAPStream(period = null) {
+  const window = []; // Newest first, only kept for rolling windows
+  let priceVolume = 0;
+  let volume = 0;
+  let vwap = null;
+
+  return {
+    update(candle) {
+      if (period) {
+        window.unshift(candle);
+        if (window.length > period) window.pop();
+        vwap = calculateVWAP(window);
+        return vwap;
+      }
+
+      const typicalPrice = ((candle.high ?? candle.close) + (candle.low ?? candle.close) + candle.close) / 3;
+      priceVolume += typicalPrice * (candle.volume || 0);
+      volume += candle.volume || 0;
+      vwap = volume > 0 ? priceVolume / volume : null;
+      return vwap;
+    },
+    getValue() {
+      return vwap;
+    }
+  };
+}
+
 module.exports = {
   calculateSMA,
   calculateMultipleSMA,
@@ -316,5 +860,21 @@ module.exports = {
   detectRSISignal,
   analyzeDCAStrategy,
   getIntervalMs,
-  calculateVolatility
+  calculateVolatility,
+  calculateEMA,
+  calculateMACD,
+  detectMACDSignal,
+  calculateBollingerBands,
+  detectBollingerSignal,
+  calculateATR,
+  calculateStochastic,
+  detectStochasticSignal,
+  calculateVWAP,
+  detectVWAPSignal,
+  createEMAStream,
+  createMACDStream,
+  createBollingerStream,
+  createATRStream,
+  createStochasticStream,
+  createVWAPStream
 };
\ No newline at end of file
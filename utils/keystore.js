@@ -0,0 +1,258 @@
+/**
+ * Keystore Utilities
+ * Encrypts the wallet private key at rest in the bot's own scrypt / AES-256-GCM keystore JSON file.
+ * The layout borrows the field names of Ethereum v3 keystores, but the cipher and the GCM tag
+ * in place of the v3 MAC mean geth, MetaMask and other v3 tools cannot read it
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { keccak_256 } = require('@noble/hashes/sha3');
+
+// geth "standard" scrypt parameters, ~256MB and about a second to unlock
+const DEFAULT_KDF_PARAMS = { n: 262144, r: 8, p: 1, dklen: 32 };
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// secp256k1 group order, private keys must be in [1, n)
+const SECP256K1_N = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+/**
+ * Keccak-256 as used by Ethereum (not NIST SHA3-256, which pads differently)
+ * @param {Buffer} data - Input
+ * @returns {Buffer} - 32-byte digest
+ */
+function keccak256(data) {
+  return Buffer.from(keccak_256(data));
+}
+
+/**
+ * Validate a private key and normalize it to 0x-prefixed lowercase hex
+ * @param {string} privateKey - Hex private key, with or without 0x
+ * @returns {string}
+ */
+function normalizePrivateKey(privateKey) {
+  const hex = String(privateKey || '').trim().replace(/^0x/i, '').toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hex)) {
+    throw new Error('Private key must be 32 bytes of hex');
+  }
+
+  const value = BigInt(`0x${hex}`);
+  if (value === 0n || value >= SECP256K1_N) {
+    throw new Error('Private key is outside the secp256k1 range');
+  }
+
+  return `0x${hex}`;
+}
+
+/**
+ * Generate a new random private key
+ * @returns {string} - 0x-prefixed hex
+ */
+function generatePrivateKey() {
+  for (;;) {
+    try {
+      return normalizePrivateKey(crypto.randomBytes(32).toString('hex'));
+    } catch (error) {
+      // Out of range, astronomically unlikely - draw again
+    }
+  }
+}
+
+/**
+ * EIP-55 mixed-case checksum of an address
+ * @param {string} address - 40 hex characters, with or without 0x
+ * @returns {string} - Checksummed address without 0x
+ */
+function toChecksumAddress(address) {
+  const lower = address.replace(/^0x/i, '').toLowerCase();
+  const hash = keccak256(Buffer.from(lower, 'utf8')).toString('hex');
+  return lower.split('').map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('');
+}
+
+/**
+ * Derive the Ethereum address of a private key
+ * @param {string} privateKey - Hex private key
+ * @returns {string} - Checksummed address without 0x (GalaChain: eth|<address>)
+ */
+function privateKeyToAddress(privateKey) {
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(normalizePrivateKey(privateKey).slice(2), 'hex'));
+  const publicKey = ecdh.getPublicKey(); // 0x04 || x || y
+  return toChecksumAddress(keccak256(publicKey.subarray(1)).subarray(12).toString('hex'));
+}
+
+/**
+ * Whether a GalaChain wallet address (eth|...) belongs to an address
+ * @param {string} walletAddress - WALLET_ADDRESS
+ * @param {string} address - Ethereum address
+ * @returns {boolean}
+ */
+function isSameAddress(walletAddress, address) {
+  const strip = value => String(value || '').replace(/^eth\|/, '').replace(/^0x/i, '').toLowerCase();
+  return strip(walletAddress) === strip(address);
+}
+
+/**
+ * Check that a new passphrase is long enough
+ * @param {string} passphrase - Passphrase
+ */
+function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Derive the encryption key for a keystore
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdfparams - {n, r, p, dklen, salt}
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, kdfparams) {
+  const { n, r, p, dklen, salt } = kdfparams;
+  return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), dklen, {
+    N: n,
+    r,
+    p,
+    maxmem: 256 * n * r // scrypt needs 128 * N * r bytes, Node's default cap is 32MB
+  });
+}
+
+/**
+ * Encrypt a private key into keystore JSON
+ * @param {string} privateKey - Hex private key
+ * @param {string} passphrase - Passphrase
+ * @param {Object} options - {kdfParams: {n, r, p}} to override the scrypt cost
+ * @returns {Object} - Keystore
+ */
+function encryptKeystore(privateKey, passphrase, options = {}) {
+  const key = normalizePrivateKey(privateKey);
+  const address = privateKeyToAddress(key).toLowerCase();
+  const kdfparams = { ...DEFAULT_KDF_PARAMS, ...options.kdfParams, salt: crypto.randomBytes(32).toString('hex') };
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, kdfparams), iv);
+  // Binding the address means an edited address field fails decryption
+  cipher.setAAD(Buffer.from(address, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(key.slice(2), 'hex')), cipher.final()]);
+
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    address,
+    crypto: {
+      cipher: 'aes-256-gcm',
+      cipherparams: { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams
+    }
+  };
+}
+
+/**
+ * Decrypt keystore JSON
+ * @param {Object} keystore - Keystore
+ * @param {string} passphrase - Passphrase
+ * @returns {string} - 0x-prefixed private key
+ */
+function decryptKeystore(keystore, passphrase) {
+  const { cipher, cipherparams, ciphertext, kdf, kdfparams } = keystore?.crypto || {};
+  if (keystore?.version !== 3 || kdf !== 'scrypt' || cipher !== 'aes-256-gcm') {
+    throw new Error('Unsupported keystore format (expected a scrypt / aes-256-gcm keystore written by commands/keystore.js)');
+  }
+
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(String(passphrase ?? ''), kdfparams), Buffer.from(cipherparams.iv, 'hex'));
+    decipher.setAAD(Buffer.from(keystore.address, 'utf8'));
+    decipher.setAuthTag(Buffer.from(cipherparams.tag, 'hex'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new Error('Wrong keystore passphrase or corrupted keystore');
+  }
+
+  const privateKey = normalizePrivateKey(plaintext.toString('hex'));
+  plaintext.fill(0);
+
+  if (!isSameAddress(keystore.address, privateKeyToAddress(privateKey))) {
+    throw new Error('Keystore address does not match its key');
+  }
+  return privateKey;
+}
+
+/**
+ * Read a keystore file
+ * @param {string} filePath - Keystore path
+ * @returns {Object}
+ */
+function readKeystoreFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Keystore not found: ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Write a keystore file readable by the owner only, replacing any existing file atomically
+ * @param {string} filePath - Keystore path
+ * @param {Object} keystore - Keystore
+ */
+function writeKeystoreFile(filePath, keystore) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read a passphrase from an open file descriptor (e.g. `3< passphrase.txt`) and close it
+ * @param {number} fd - File descriptor
+ * @returns {string} - Passphrase without the trailing newline
+ */
+function readPassphraseFromFd(fd) {
+  try {
+    return fs.readFileSync(fd, 'utf8').replace(/\r?\n$/, '');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Ask for a secret on the terminal without echoing it
+ * @param {string} question - Prompt
+ * @returns {Promise<string>}
+ */
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    // Hide what is typed after the prompt
+    rl._writeToOutput = () => {};
+  });
+}
+
+module.exports = {
+  DEFAULT_KDF_PARAMS,
+  MIN_PASSPHRASE_LENGTH,
+  keccak256,
+  normalizePrivateKey,
+  generatePrivateKey,
+  toChecksumAddress,
+  privateKeyToAddress,
+  isSameAddress,
+  validatePassphrase,
+  encryptKeystore,
+  decryptKeystore,
+  readKeystoreFile,
+  writeKeystoreFile,
+  readPassphraseFromFd,
+  promptHidden
+};
@@ -0,0 +1,264 @@
+/**
+ * Lot Accounting Utilities
+ * Realized and unrealized PnL over the trades table, in GALA.
+ * A SELL of GALA/TOKEN spends GALA on TOKEN and opens a lot; a BUY of GALA/TOKEN sells TOKEN
+ * back for GALA and closes lots. Lots are matched per wallet, strategy and token.
+ * Recorded fees are informational: the pool takes them from the swap input, so amount and total_value
+ * are already net of them and PnL must not deduct them again.
+ */
+
+const { parseDbTimestamp } = require('./pnl');
+
+const LOT_METHODS = ['fifo', 'lifo', 'average'];
+const PERIODS = ['day', 'week', 'month', 'year'];
+
+// Quantities within this fraction of each other are treated as equal
+const DUST = 1e-9;
+
+/**
+ * Turn a trades row into a lot movement
+ * The fee (in GALA) is reported alongside; it is already reflected in the GALA and token amounts
+ * @param {Object} trade - trades row
+ * @returns {Object|null} - {token, opens, quantity, gala, fee}, null for rows that are not GALA/TOKEN swaps
+ */
+function parseTradeLeg(trade) {
+  const [base, token] = String(trade.symbol || '').split('/');
+  if (base !== 'GALA' || !token) {
+    return null;
+  }
+
+  const fee = parseFloat(trade.fee) || 0;
+  const amount = parseFloat(trade.amount) || 0;
+  const totalValue = parseFloat(trade.total_value) || 0;
+
+  if (trade.side === 'SELL') {
+    return { token, opens: true, quantity: totalValue, gala: amount, fee };
+  }
+  if (trade.side === 'BUY') {
+    return { token, opens: false, quantity: amount, gala: totalValue, fee };
+  }
+  return null;
+}
+
+/**
+ * Match trades into lots
+ * @param {Array} trades - Completed trades rows
+ * @param {Object} options - {method: 'fifo' | 'lifo' | 'average'}
+ * @returns {Object} - {method, openLots, closedLots, unmatched, fees}
+ */
+function matchLots(trades, options = {}) {
+  const { method = 'fifo' } = options;
+  if (!LOT_METHODS.includes(method)) {
+    throw new Error(`Unknown lot method: ${method}. Use one of ${LOT_METHODS.join(', ')}`);
+  }
+
+  const sorted = [...trades].sort((a, b) =>
+    parseDbTimestamp(a.executed_at || a.created_at) - parseDbTimestamp(b.executed_at || b.created_at) || a.id - b.id);
+
+  const books = new Map();
+  const closedLots = [];
+  const unmatched = [];
+  const fees = [];
+
+  for (const trade of sorted) {
+    const leg = parseTradeLeg(trade);
+    if (!leg || leg.quantity <= 0) continue;
+
+    const walletId = trade.wallet_id || 1;
+    const strategy = trade.strategy;
+    const executedAt = trade.executed_at || trade.created_at;
+    const key = `${walletId}|${strategy}|${leg.token}`;
+    if (!books.has(key)) {
+      books.set(key, []);
+    }
+    const lots = books.get(key);
+
+    if (leg.fee > 0) {
+      fees.push({ token: leg.token, strategy, walletId, tradeId: trade.id, fee: leg.fee, executedAt });
+    }
+
+    if (leg.opens) {
+      const cost = leg.gala;
+      if (method === 'average' && lots.length > 0) {
+        // One pooled lot at the average cost, dated by its first purchase
+        lots[0].quantity += leg.quantity;
+        lots[0].cost += cost;
+        lots[0].tradeId = null;
+      } else {
+        lots.push({ token: leg.token, strategy, walletId, tradeId: trade.id, quantity: leg.quantity, cost, openedAt: executedAt });
+      }
+      continue;
+    }
+
+    const proceedsPerToken = leg.gala / leg.quantity;
+    let remaining = leg.quantity;
+
+    while (remaining > leg.quantity * DUST && lots.length > 0) {
+      const lot = method === 'lifo' ? lots[lots.length - 1] : lots[0];
+      const closesLot = remaining >= lot.quantity * (1 - DUST);
+      const quantity = closesLot ? lot.quantity : remaining;
+      const cost = closesLot ? lot.cost : lot.cost * (quantity / lot.quantity);
+      const proceeds = proceedsPerToken * quantity;
+
+      closedLots.push({
+        token: leg.token,
+        strategy,
+        walletId,
+        quantity,
+        cost,
+        proceeds,
+        realizedPnL: proceeds - cost,
+        openTradeId: lot.tradeId,
+        closeTradeId: trade.id,
+        openedAt: lot.openedAt,
+        closedAt: executedAt
+      });
+
+      remaining -= quantity;
+      if (closesLot) {
+        lots.splice(lots.indexOf(lot), 1);
+      } else {
+        lot.quantity -= quantity;
+        lot.cost -= cost;
+      }
+    }
+
+    if (remaining > leg.quantity * DUST) {
+      // Tokens sold without a recorded purchase (e.g. held before the bot) have no cost basis
+      unmatched.push({ token: leg.token, strategy, walletId, tradeId: trade.id, quantity: remaining, proceeds: proceedsPerToken * remaining, closedAt: executedAt });
+    }
+  }
+
+  const openLots = [...books.values()].flat();
+  return { method, openLots, closedLots, unmatched, fees };
+}
+
+/**
+ * Get the reporting period a timestamp falls in (UTC)
+ * @param {string|Date} timestamp - Timestamp
+ * @param {string} period - 'day', 'week' (starting Monday), 'month' or 'year'
+ * @returns {string} - Period key ('2025-01-06', '2025-01', '2025')
+ */
+function getPeriodKey(timestamp, period = 'month') {
+  const date = parseDbTimestamp(timestamp);
+  const iso = date.toISOString();
+
+  switch (period) {
+    case 'day':
+      return iso.slice(0, 10);
+    case 'week': {
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+      return monday.toISOString().slice(0, 10);
+    }
+    case 'month':
+      return iso.slice(0, 7);
+    case 'year':
+      return iso.slice(0, 4);
+    default:
+      throw new Error(`Unknown period: ${period}. Use one of ${PERIODS.join(', ')}`);
+  }
+}
+
+/**
+ * Summarize a lot ledger: realized PnL and fees within a period, open lots marked to prices
+ * @param {Object} ledger - Result of matchLots
+ * @param {Object} options - {from, to, period, prices: token -> GALA per token (null = unpriced)}
+ * @returns {Object} - {totals, bySymbol, byStrategy, byPeriod, openLots, closedLots, unmatched}
+ */
+function summarizeLots(ledger, options = {}) {
+  const { from = null, to = null, period = 'month', prices = {} } = options;
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Unknown period: ${period}. Use one of ${PERIODS.join(', ')}`);
+  }
+
+  const inRange = (timestamp) => {
+    const time = parseDbTimestamp(timestamp).getTime();
+    return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime());
+  };
+
+  const closedLots = ledger.closedLots.filter(lot => inRange(lot.closedAt));
+  const unmatched = ledger.unmatched.filter(entry => inRange(entry.closedAt));
+  const fees = ledger.fees.filter(entry => inRange(entry.executedAt));
+
+  const openLots = ledger.openLots.map(lot => {
+    const price = prices[lot.token] ?? null;
+    const marketValue = price !== null ? lot.quantity * price : null;
+    return {
+      ...lot,
+      price,
+      marketValue,
+      unrealizedPnL: marketValue !== null ? marketValue - lot.cost : null
+    };
+  });
+
+  const groups = { symbol: new Map(), strategy: new Map(), period: new Map() };
+  const bucket = (kind, key) => {
+    if (!groups[kind].has(key)) {
+      const row = { [kind]: key, realizedPnL: 0, fees: 0, closedLots: 0 };
+      // Open lots are a point-in-time position, not part of any period
+      groups[kind].set(key, kind === 'period'
+        ? row
+        : { ...row, unrealizedPnL: 0, openQuantity: 0, openCost: 0, marketValue: 0, unpriced: false });
+    }
+    return groups[kind].get(key);
+  };
+
+  for (const lot of closedLots) {
+    for (const row of [bucket('symbol', lot.token), bucket('strategy', lot.strategy), bucket('period', getPeriodKey(lot.closedAt, period))]) {
+      row.realizedPnL += lot.realizedPnL;
+      row.closedLots++;
+    }
+  }
+
+  for (const entry of fees) {
+    for (const row of [bucket('symbol', entry.token), bucket('strategy', entry.strategy), bucket('period', getPeriodKey(entry.executedAt, period))]) {
+      row.fees += entry.fee;
+    }
+  }
+
+  for (const lot of openLots) {
+    for (const row of [bucket('symbol', lot.token), bucket('strategy', lot.strategy)]) {
+      row.openQuantity += lot.quantity;
+      row.openCost += lot.cost;
+      if (lot.marketValue === null) {
+        row.unpriced = true;
+      } else {
+        row.marketValue += lot.marketValue;
+        row.unrealizedPnL += lot.unrealizedPnL;
+      }
+    }
+  }
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+  const realizedPnL = sum(closedLots, 'realizedPnL');
+  const unrealizedPnL = sum(openLots, 'unrealizedPnL');
+
+  return {
+    totals: {
+      realizedPnL,
+      unrealizedPnL,
+      totalPnL: realizedPnL + unrealizedPnL,
+      fees: sum(fees, 'fee'),
+      closedLots: closedLots.length,
+      openLots: openLots.length,
+      openCost: sum(openLots, 'cost'),
+      marketValue: sum(openLots, 'marketValue'),
+      unmatchedProceeds: sum(unmatched, 'proceeds')
+    },
+    bySymbol: [...groups.symbol.values()],
+    byStrategy: [...groups.strategy.values()],
+    byPeriod: [...groups.period.values()].sort((a, b) => a.period.localeCompare(b.period)),
+    openLots,
+    closedLots,
+    unmatched
+  };
+}
+
+module.exports = {
+  LOT_METHODS,
+  PERIODS,
+  parseTradeLeg,
+  matchLots,
+  getPeriodKey,
+  summarizeLots
+};
@@ -0,0 +1,59 @@
+/**
+ * Conditional Order Utilities
+ * Trigger rules of limit and stop orders against the token price in quote token units
+ */
+
+const ORDER_TYPES = ['LIMIT', 'STOP'];
+const ORDER_SIDES = ['BUY', 'SELL'];
+
+/**
+ * Check whether an order triggers at a price
+ * LIMIT BUY at or below the price, LIMIT SELL at or above it;
+ * STOP SELL at or below (stop loss), STOP BUY at or above (breakout)
+ * @param {Object} order - {order_type, side, trigger_price}
+ * @param {number} price - Token price in quote token units
+ * @returns {boolean}
+ */
+function isOrderTriggered(order, price) {
+  if (price === null || price === undefined || !isFinite(price) || price <= 0) {
+    return false;
+  }
+
+  const buysLow = (order.order_type === 'LIMIT') === (order.side === 'BUY');
+  return buysLow ? price <= order.trigger_price : price >= order.trigger_price;
+}
+
+/**
+ * Get the swap that fills an order
+ * @param {Object} order - {side, token, quote_token, amount}
+ * @returns {Object} - {fromToken, toToken, amount}
+ */
+function getOrderSwap(order) {
+  return order.side === 'BUY'
+    ? { fromToken: order.quote_token, toToken: order.token, amount: order.amount }
+    : { fromToken: order.token, toToken: order.quote_token, amount: order.amount };
+}
+
+/**
+ * Validate the two prices of an OCO pair: the limit leg must sit on the profitable side of the stop leg
+ * @param {string} side - BUY or SELL
+ * @param {number} limitPrice - Limit leg trigger price
+ * @param {number} stopPrice - Stop leg trigger price
+ * @throws {Error} If the legs could trigger together
+ */
+function validateOcoPrices(side, limitPrice, stopPrice) {
+  if (side === 'SELL' && !(limitPrice > stopPrice)) {
+    throw new Error(`Invalid OCO prices: a SELL limit (${limitPrice}) must be above its stop (${stopPrice})`);
+  }
+  if (side === 'BUY' && !(limitPrice < stopPrice)) {
+    throw new Error(`Invalid OCO prices: a BUY limit (${limitPrice}) must be below its stop (${stopPrice})`);
+  }
+}
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_SIDES,
+  isOrderTriggered,
+  getOrderSwap,
+  validateOcoPrices
+};
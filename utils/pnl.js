@@ -125,9 +125,177 @@ function formatPnL(pnlPercentage, absolutePnL = null) {
   return result;
 }
 
+/**
+ * Parse a take-profit ladder definition
+ * @param {string|Array} ladder - JSON array, array of {pnl, portion}, or "0.03:0.5,0.06:0.5"
+ * @returns {Array} - Levels sorted by pnl [{pnl, portion}] (fractions, 0.03 = +3%)
+ */
+function parseTakeProfitLadder(ladder) {
+  if (!ladder) {
+    return [];
+  }
+
+  let levels = ladder;
+  if (typeof ladder === 'string') {
+    const trimmed = ladder.trim();
+    levels = trimmed.startsWith('[')
+      ? JSON.parse(trimmed)
+      : trimmed.split(',').filter(Boolean).map(entry => {
+        const [pnl, portion] = entry.split(':').map(parseFloat);
+        return { pnl, portion };
+      });
+  }
+
+  return levels
+    .map(level => ({ pnl: parseFloat(level.pnl), portion: parseFloat(level.portion) }))
+    .map(level => {
+      if (isNaN(level.pnl) || isNaN(level.portion) || level.portion <= 0 || level.portion > 1) {
+        throw new Error(`Invalid take-profit ladder level: ${JSON.stringify(level)}`);
+      }
+      return level;
+    })
+    .sort((a, b) => a.pnl - b.pnl);
+}
+
+/**
+ * Parse a SQLite timestamp (CURRENT_TIMESTAMP is UTC without a zone marker)
+ * @param {string} value - Timestamp from the database
+ * @returns {Date} - Parsed date
+ */
+function parseDbTimestamp(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+    return new Date(value.replace(' ', 'T') + 'Z');
+  }
+  return new Date(value);
+}
+
+/**
+ * Evaluate position exit rules in priority order:
+ * stop loss, time exit, trailing stop, take-profit ladder, then the fixed profit target
+ * @param {Object} position - open_positions record
+ * @param {number} pnlPercentage - Current PnL percentage
+ * @param {Object} options - Options {now}
+ * @returns {Object} - Decision {shouldBuy, reason, description, tokenAmount, isPartial, highWaterPnL, ladderStep}
+ */
+function evaluateExitRules(position, pnlPercentage, options = {}) {
+  const { now = Date.now() } = options;
+  const {
+    token_amount,
+    closed_token_amount = 0,
+    profit_threshold = 0.05,
+    loss_threshold = -0.02,
+    trailing_stop = null,
+    max_holding_hours = null,
+    created_at = null
+  } = position;
+
+  const remaining = token_amount - (closed_token_amount || 0);
+  const previousHigh = position.high_water_pnl === null || position.high_water_pnl === undefined
+    ? pnlPercentage
+    : position.high_water_pnl;
+  const highWaterPnL = Math.max(previousHigh, pnlPercentage);
+  const ladder = parseTakeProfitLadder(position.take_profit_ladder);
+  const ladderStep = position.ladder_step || 0;
+
+  const decision = (shouldBuy, reason, description, tokenAmount = remaining, nextStep = ladderStep) => ({
+    shouldBuy,
+    reason,
+    description,
+    tokenAmount,
+    isPartial: shouldBuy && remaining - tokenAmount > 1e-9,
+    highWaterPnL,
+    ladderStep: nextStep
+  });
+
+  if (pnlPercentage <= loss_threshold * 100) {
+    return decision(true, 'STOP_LOSS', `Stop loss triggered: ${pnlPercentage.toFixed(2)}% <= ${loss_threshold * 100}%`);
+  }
+
+  if (max_holding_hours > 0 && created_at) {
+    const heldHours = (now - parseDbTimestamp(created_at).getTime()) / (60 * 60 * 1000);
+    if (heldHours >= max_holding_hours) {
+      return decision(true, 'TIME_EXIT', `Maximum holding period reached: ${heldHours.toFixed(1)}h >= ${max_holding_hours}h`);
+    }
+  }
+
+  if (trailing_stop > 0 && highWaterPnL > 0 && highWaterPnL - pnlPercentage >= trailing_stop * 100) {
+    return decision(true, 'TRAILING_STOP',
+      `Trailing stop triggered: PnL retraced from ${highWaterPnL.toFixed(2)}% to ${pnlPercentage.toFixed(2)}% (>= ${trailing_stop * 100}%)`);
+  }
+
+  if (ladder.length > 0) {
+    let nextStep = ladderStep;
+    let portion = 0;
+    while (nextStep < ladder.length && pnlPercentage >= ladder[nextStep].pnl * 100) {
+      portion += ladder[nextStep].portion;
+      nextStep++;
+    }
+
+    if (nextStep > ladderStep) {
+      const tokenAmount = Math.min(remaining, token_amount * portion);
+      return decision(true, 'TAKE_PROFIT_LADDER',
+        `Take-profit level ${nextStep}/${ladder.length} reached: ${pnlPercentage.toFixed(2)}% >= ${ladder[nextStep - 1].pnl * 100}% (selling ${(portion * 100).toFixed(0)}%)`,
+        tokenAmount, nextStep);
+    }
+  } else if (pnlPercentage >= profit_threshold * 100) {
+    return decision(true, 'PROFIT_TARGET', `Profit target reached: ${pnlPercentage.toFixed(2)}% >= ${profit_threshold * 100}%`);
+  }
+
+  return decision(false, 'HOLD', `Position within exit rules: ${pnlPercentage.toFixed(2)}% (high ${highWaterPnL.toFixed(2)}%)`, 0);
+}
+
+/**
+ * Calculate the GALA cost basis of tokens bought back from a position (average cost)
+ * @param {Object} position - open_positions record
+ * @param {number} tokenAmount - Tokens being bought back
+ * @returns {number} - GALA cost of those tokens
+ */
+function calculateCostBasis(position, tokenAmount) {
+  const remainingTokens = position.token_amount - (position.closed_token_amount || 0);
+  const remainingCost = position.entry_amount - (position.closed_cost_basis || 0);
+
+  if (remainingTokens <= 0) {
+    throw new Error('Position has no remaining tokens');
+  }
+  if (tokenAmount <= 0 || tokenAmount - remainingTokens > 1e-9) {
+    throw new Error(`Token amount must be between 0 and the remaining ${remainingTokens}`);
+  }
+
+  return remainingCost * (tokenAmount / remainingTokens);
+}
+
+/**
+ * Calculate position totals after adding to it
+ * The entry price is the weighted average over the tokens still open,
+ * in the same units as the executed swap price (tokens received per GALA)
+ * @param {Object} position - open_positions record
+ * @param {number} galaAmount - GALA spent on the new fill
+ * @param {number} tokenAmount - Tokens received from the new fill
+ * @returns {Object} - {entry_amount, token_amount, entry_price}
+ */
+function calculateScaledEntry(position, galaAmount, tokenAmount) {
+  if (galaAmount <= 0 || tokenAmount <= 0) {
+    throw new Error('Scale-in amounts must be positive');
+  }
+
+  const remainingTokens = position.token_amount - (position.closed_token_amount || 0);
+  const remainingCost = position.entry_amount - (position.closed_cost_basis || 0);
+
+  return {
+    entry_amount: position.entry_amount + galaAmount,
+    token_amount: position.token_amount + tokenAmount,
+    entry_price: (remainingTokens + tokenAmount) / (remainingCost + galaAmount)
+  };
+}
+
 module.exports = {
   calculatePnLPercentage,
   shouldBuyback,
+  parseTakeProfitLadder,
+  parseDbTimestamp,
+  evaluateExitRules,
+  calculateCostBasis,
+  calculateScaledEntry,
   calculateExpectedBuyback,
   calculateFinalPnL,
   formatPnL
@@ -0,0 +1,134 @@
+/**
+ * Pool Math Utilities
+ * Constant-product (x * y = k) pricing used by the paper exchange, and swap fee accounting
+ */
+
+/**
+ * GalaSwap fee tiers (in hundredths of a basis point) and their fee rates
+ */
+const FEE_TIERS = {
+  500: 0.0005, // 0.05%
+  3000: 0.003, // 0.3%
+  10000: 0.01 // 1%
+};
+
+/**
+ * Convert a fee tier to a fee rate
+ * @param {number} feeTier - Fee tier (500, 3000 or 10000)
+ * @returns {number} - Fee rate (0.003 = 0.3%)
+ */
+function feeTierToRate(feeTier) {
+  const rate = FEE_TIERS[feeTier];
+  if (rate === undefined) {
+    throw new Error(`Unsupported fee tier: ${feeTier}`);
+  }
+  return rate;
+}
+
+/**
+ * Sort two tokens into canonical pool order (token0 < token1)
+ * @param {string} tokenA - First token identifier
+ * @param {string} tokenB - Second token identifier
+ * @returns {Array<string>} - [token0, token1]
+ */
+function sortTokens(tokenA, tokenB) {
+  if (tokenA === tokenB) {
+    throw new Error(`Cannot create pool of same tokens (${tokenA})`);
+  }
+  return tokenA < tokenB ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+/**
+ * Calculate output amount for an exact input swap against a constant-product pool
+ * @param {number} amountIn - Input token amount
+ * @param {number} reserveIn - Pool reserve of the input token
+ * @param {number} reserveOut - Pool reserve of the output token
+ * @param {number} feeRate - Fee rate taken from the input (0.003 = 0.3%)
+ * @returns {number} - Output token amount
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut, feeRate = 0) {
+  if (!amountIn || amountIn <= 0) {
+    throw new Error('Swap amount must be positive');
+  }
+
+  if (!reserveIn || !reserveOut || reserveIn <= 0 || reserveOut <= 0) {
+    throw new Error('Pool has no liquidity');
+  }
+
+  const amountInAfterFee = amountIn * (1 - feeRate);
+  return (amountInAfterFee * reserveOut) / (reserveIn + amountInAfterFee);
+}
+
+/**
+ * Calculate price impact of a swap, excluding the pool fee
+ * @param {number} amountIn - Input token amount
+ * @param {number} reserveIn - Pool reserve of the input token
+ * @param {number} reserveOut - Pool reserve of the output token
+ * @returns {number} - Price impact as a fraction (0.01 = 1%)
+ */
+function calculatePriceImpact(amountIn, reserveIn, reserveOut) {
+  const spotOut = amountIn * (reserveOut / reserveIn);
+  const actualOut = getAmountOut(amountIn, reserveIn, reserveOut, 0);
+  return (spotOut - actualOut) / spotOut;
+}
+
+/**
+ * Simulate an exact input swap and return the resulting pool state
+ * @param {Object} pool - Pool with token0, token1, reserve0, reserve1, fee_tier
+ * @param {string} tokenIn - Token being sold into the pool
+ * @param {number} amountIn - Amount of tokenIn
+ * @returns {Object} - {amountOut, fee, priceImpact, reserve0, reserve1}
+ */
+function simulateSwap(pool, tokenIn, amountIn) {
+  const zeroForOne = tokenIn === pool.token0;
+  if (!zeroForOne && tokenIn !== pool.token1) {
+    throw new Error(`Token ${tokenIn} is not part of pool ${pool.token0}/${pool.token1}`);
+  }
+
+  const feeRate = feeTierToRate(pool.fee_tier);
+  const reserveIn = zeroForOne ? pool.reserve0 : pool.reserve1;
+  const reserveOut = zeroForOne ? pool.reserve1 : pool.reserve0;
+
+  const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, feeRate);
+  const priceImpact = calculatePriceImpact(amountIn, reserveIn, reserveOut);
+
+  // Fee stays in the pool, so the input reserve grows by the full amount
+  const newReserveIn = reserveIn + amountIn;
+  const newReserveOut = reserveOut - amountOut;
+
+  return {
+    amountOut,
+    fee: amountIn * feeRate,
+    priceImpact,
+    reserve0: zeroForOne ? newReserveIn : newReserveOut,
+    reserve1: zeroForOne ? newReserveOut : newReserveIn
+  };
+}
+
+/**
+ * Express a swap fee in GALA
+ * The fee is taken from the input token: as is when the input is GALA, at the quoted rate when the
+ * output is GALA, and through USD prices otherwise
+ * @param {Object} swap - {fromSymbol, toSymbol, amountIn, amountOut, fee (in the input token), fromUsd, galaUsd}
+ * @returns {number|null} - Fee in GALA, null when it cannot be priced
+ */
+function convertFeeToGala(swap) {
+  const { fromSymbol, toSymbol, amountIn, amountOut, fee, fromUsd = null, galaUsd = null } = swap;
+  if (fromSymbol === 'GALA') {
+    return fee;
+  }
+  if (toSymbol === 'GALA') {
+    return amountIn > 0 ? fee * (amountOut / amountIn) : null;
+  }
+  return fromUsd > 0 && galaUsd > 0 ? fee * fromUsd / galaUsd : null;
+}
+
+module.exports = {
+  FEE_TIERS,
+  feeTierToRate,
+  sortTokens,
+  getAmountOut,
+  calculatePriceImpact,
+  simulateSwap,
+  convertFeeToGala
+};
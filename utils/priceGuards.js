@@ -0,0 +1,78 @@
+/**
+ * Pre-trade Price Guard Utilities
+ * Limits a quote must respect before a swap is submitted: pool price impact and distance from the oracle price
+ */
+
+/**
+ * Resolve the price guard limits of a swap
+ * Each limit comes from the tightest monitored symbol of the pair that sets it, else from the global default
+ * @param {Array<Object|null>} symbols - Monitored symbols of the swapped tokens {max_price_impact, max_oracle_deviation}
+ * @param {Object} defaults - {maxPriceImpact, maxOracleDeviation}
+ * @returns {Object} - {maxPriceImpact, maxOracleDeviation} (0 = disabled)
+ */
+function resolveGuardLimits(symbols, defaults) {
+  const pick = (column, fallback) => {
+    const limits = symbols
+      .map(symbol => symbol?.[column])
+      .filter(limit => limit !== null && limit !== undefined && isFinite(limit));
+    return limits.length > 0 ? Math.min(...limits) : fallback;
+  };
+
+  return {
+    maxPriceImpact: pick('max_price_impact', defaults.maxPriceImpact),
+    maxOracleDeviation: pick('max_oracle_deviation', defaults.maxOracleDeviation)
+  };
+}
+
+/**
+ * Check a quote against the price guard limits
+ * The oracle check is skipped when either token has no oracle price
+ * @param {Object} quote - {priceImpact, quotedPrice (output per input), oraclePrice (output per input, null when unpriced)}
+ * @param {Object} limits - {maxPriceImpact, maxOracleDeviation} (0 = disabled)
+ * @returns {Object} - {approved, rule, message, priceImpact, deviation}
+ */
+function checkQuoteGuards(quote, limits) {
+  const priceImpact = Math.abs(Number(quote.priceImpact) || 0);
+  const deviation = quote.oraclePrice > 0 && quote.quotedPrice > 0
+    ? Math.abs(quote.quotedPrice - quote.oraclePrice) / quote.oraclePrice
+    : null;
+
+  if (limits.maxPriceImpact > 0 && priceImpact > limits.maxPriceImpact) {
+    return {
+      approved: false,
+      rule: 'price_impact',
+      message: `Price impact ${(priceImpact * 100).toFixed(2)}% exceeds ${(limits.maxPriceImpact * 100).toFixed(2)}%`,
+      priceImpact,
+      deviation
+    };
+  }
+
+  if (limits.maxOracleDeviation > 0 && deviation !== null && deviation > limits.maxOracleDeviation) {
+    return {
+      approved: false,
+      rule: 'oracle_deviation',
+      message: `Quoted price ${quote.quotedPrice} is ${(deviation * 100).toFixed(2)}% off the oracle price ${quote.oraclePrice} (max ${(limits.maxOracleDeviation * 100).toFixed(2)}%)`,
+      priceImpact,
+      deviation
+    };
+  }
+
+  return { approved: true, rule: null, message: null, priceImpact, deviation };
+}
+
+/**
+ * Check whether a quote is too old to submit
+ * @param {number} quotedAt - Quote time (ms)
+ * @param {number} maxAgeMs - Maximum quote age, 0 = never stale
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+function isQuoteStale(quotedAt, maxAgeMs, now = Date.now()) {
+  return maxAgeMs > 0 && now - quotedAt > maxAgeMs;
+}
+
+module.exports = {
+  resolveGuardLimits,
+  checkQuoteGuards,
+  isQuoteStale
+};
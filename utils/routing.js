@@ -0,0 +1,57 @@
+/**
+ * Routing Utilities
+ * Candidate paths through intermediate tokens for multi-hop swaps
+ */
+
+/**
+ * List the token paths from one token to another through intermediate tokens
+ * Tokens appear at most once per path, the direct path comes first
+ * @param {string} fromToken - Token to sell
+ * @param {string} toToken - Token to buy
+ * @param {string[]} intermediates - Tokens a route may pass through
+ * @param {number} maxHops - Most swaps in one route
+ * @returns {Array<string[]>} - Paths as token lists [fromToken, ..., toToken]
+ */
+function findCandidatePaths(fromToken, toToken, intermediates = [], maxHops = 3) {
+  if (fromToken === toToken) {
+    throw new Error(`Cannot route a token to itself (${fromToken})`);
+  }
+
+  const hubs = [...new Set(intermediates)].filter(token => token !== fromToken && token !== toToken);
+  const paths = [];
+
+  const extend = (path) => {
+    if (path.length > maxHops) {
+      return;
+    }
+    paths.push([...path, toToken]);
+    hubs.filter(token => !path.includes(token)).forEach(token => extend([...path, token]));
+  };
+  extend([fromToken]);
+
+  return paths.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Combine the price impacts of consecutive swaps
+ * @param {number[]} impacts - Price impact per leg (fractions)
+ * @returns {number} - Price impact of the whole route
+ */
+function combinePriceImpact(impacts) {
+  return 1 - impacts.reduce((kept, impact) => kept * (1 - (impact || 0)), 1);
+}
+
+/**
+ * Format a path for logs and notes, e.g. 'GALA → GUSDC → GWETH'
+ * @param {string[]} path - Token list
+ * @returns {string}
+ */
+function formatPath(path) {
+  return path.map(token => String(token).split('|')[0]).join(' → ');
+}
+
+module.exports = {
+  findCandidatePaths,
+  combinePriceImpact,
+  formatPath
+};
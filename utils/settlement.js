@@ -0,0 +1,157 @@
+/**
+ * Settlement Utilities
+ * Reading fills out of confirmed swap transactions and reconciling wallet balances against the trades table
+ */
+
+/**
+ * Get the short symbol of a token ('GALA|Unit|none|none' -> 'GALA', token class objects by collection)
+ * @param {string|Object} token - Token identifier
+ * @returns {string}
+ */
+function getTokenSymbol(token) {
+  if (token && typeof token === 'object') {
+    return token.collection || token.symbol || '';
+  }
+  return String(token || '').split('|')[0];
+}
+
+/**
+ * Check whether a transaction result reports a failure
+ * @param {Object} result - Resolved value of a pending transaction's wait()
+ * @returns {boolean}
+ */
+function isFailedTransaction(result) {
+  if (!result) return false;
+  const status = result.status ?? result.Status;
+  return status === 0 || ['FAILED', 'REJECTED', 'ERROR'].includes(String(status).toUpperCase());
+}
+
+/**
+ * Check whether waiting on a transaction failed for lack of an event rather than because the swap failed
+ * The SDK rejects wait() when the event socket is disconnected (waiter disabled) or the wait times out
+ * @param {Error} error - Rejection of a pending transaction's wait()
+ * @returns {boolean}
+ */
+function isWaiterUnavailable(error) {
+  if (!error) return false;
+  return error.code === 'TRANSACTION_WAIT_TIMEOUT' ||
+    (error.code === 'TRANSACTION_WAIT_FAILED' && error.details?.message === 'Transaction waiter disabled');
+}
+
+/**
+ * Read the output a swap delivered from its transaction result
+ * Results either carry amountOut (paper exchange) or the pool's swap response, whose amounts are pool
+ * deltas: the output token leaves the pool, so its amount is negative
+ * @param {Object} result - Resolved value of a pending transaction's wait()
+ * @param {string} toToken - Token bought
+ * @returns {number|null} - Amount received, or null when the result does not say
+ */
+function parseSwapFill(result, toToken) {
+  if (!result) return null;
+
+  if (result.amountOut !== undefined && result.amountOut !== null) {
+    const amountOut = Math.abs(Number(result.amountOut));
+    return isFinite(amountOut) ? amountOut : null;
+  }
+
+  const data = result.data?.Data || result.Data || result.data;
+  if (!data || data.amount0 === undefined || data.amount1 === undefined) {
+    return null;
+  }
+
+  const symbol = getTokenSymbol(toToken);
+  const amount = getTokenSymbol(data.token0) === symbol ? data.amount0
+    : getTokenSymbol(data.token1) === symbol ? data.amount1
+    : null;
+  if (amount === null) return null;
+
+  const received = Math.abs(Number(amount));
+  return isFinite(received) ? received : null;
+}
+
+/**
+ * Relative difference between the output a swap delivered and its quote
+ * @param {number} expected - Quoted output
+ * @param {number} actual - Output received
+ * @returns {number|null} - (actual - expected) / expected, null without a quote
+ */
+function getFillDeviation(expected, actual) {
+  return expected > 0 ? (actual - expected) / expected : null;
+}
+
+/**
+ * Get the balance changes a trade implies, by token symbol
+ * SELL spends GALA on the token of 'GALA/TOKEN', BUY the reverse, SWAP spends the first token of 'FROM/TO'.
+ * Rows without a pair (older DCA execution markers, symbol 'GALA') moved no balance of their own
+ * @param {Object} trade - {symbol, side, amount, total_value}
+ * @returns {Object} - {SYMBOL: delta}, empty for rows that are not swaps
+ */
+function getTradeTokenDeltas(trade) {
+  const [base, quote] = String(trade.symbol || '').split('/');
+  if (!base || !quote) {
+    return {};
+  }
+  const [spent, received] = trade.side === 'BUY' ? [quote, base] : [base, quote];
+  const deltas = { [spent]: -Number(trade.amount) };
+  deltas[received] = (deltas[received] || 0) + Number(trade.total_value);
+  return deltas;
+}
+
+/**
+ * Sum the balance changes of a list of trades
+ * @param {Array} trades - [{symbol, side, amount, total_value}]
+ * @returns {Object} - {SYMBOL: delta}
+ */
+function sumTokenDeltas(trades) {
+  const totals = {};
+  for (const trade of trades) {
+    for (const [token, delta] of Object.entries(getTradeTokenDeltas(trade))) {
+      totals[token] = (totals[token] || 0) + delta;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Compare the change of each token balance with the change the trades imply
+ * Tokens that disappeared from the wallet count as a zero balance
+ * @param {Object} previous - {SYMBOL: balance} at the previous check, null on the first check
+ * @param {Object} current - {SYMBOL: balance} now
+ * @param {Object} tradeDeltas - {SYMBOL: delta} of the trades settled in between
+ * @param {number} tolerance - Discrepancy allowed, relative to the larger balance (0.001 = 0.1%)
+ * @returns {Array} - [{token, balance, previousBalance, tradeDelta, discrepancy, flagged}] by token
+ */
+function reconcileBalances(previous, current, tradeDeltas, tolerance) {
+  const tokens = new Set([...Object.keys(current), ...Object.keys(previous || {}), ...Object.keys(tradeDeltas)]);
+
+  return [...tokens].sort().map(token => {
+    const balance = current[token] || 0;
+    const tradeDelta = tradeDeltas[token] || 0;
+    if (!previous) {
+      return { token, balance, previousBalance: null, tradeDelta, discrepancy: 0, flagged: false };
+    }
+
+    const previousBalance = previous[token] || 0;
+    const discrepancy = (balance - previousBalance) - tradeDelta;
+    const allowed = Math.max(Math.abs(balance), Math.abs(previousBalance)) * tolerance;
+    return {
+      token,
+      balance,
+      previousBalance,
+      tradeDelta,
+      discrepancy,
+      flagged: Math.abs(discrepancy) > Math.max(allowed, 1e-8)
+    };
+  });
+}
+
+module.exports = {
+  getTokenSymbol,
+  isFailedTransaction,
+  isWaiterUnavailable,
+  parseSwapFill,
+  getFillDeviation,
+  getTradeTokenDeltas,
+  sumTokenDeltas,
+  reconcileBalances
+};
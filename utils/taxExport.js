@@ -0,0 +1,213 @@
+/**
+ * Tax Export Utilities
+ * CSV rendering of trades and disposals for accountants and the import formats of crypto tax tools
+ */
+
+const { parseTradeLeg } = require('./lots');
+const { parseDbTimestamp } = require('./pnl');
+
+const EXPORT_FORMATS = ['trades', 'disposals', 'koinly', 'cointracker'];
+
+/**
+ * Escape a CSV field
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string}
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV
+ * @param {Array} columns - [{header, value: row => field}]
+ * @param {Array} rows - Rows
+ * @returns {string} - CSV with a header line, CRLF-free, ending in a newline
+ */
+function toCSV(columns, rows) {
+  const lines = [columns.map(column => escapeCSV(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCSV(column.value(row))).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format an amount without exponent notation (8 decimals, trailing zeros dropped)
+ * @param {number} value - Amount
+ * @returns {string} - Formatted amount, empty when not a number
+ */
+function formatAmount(value) {
+  if (value === null || value === undefined || !isFinite(value)) {
+    return '';
+  }
+  return value.toFixed(8).replace(/0+$/, '').replace(/\.$/, '');
+}
+
+/**
+ * Format a timestamp for an export format (always UTC)
+ * @param {string|Date} timestamp - Timestamp
+ * @param {string} style - 'iso', 'koinly' (2025-01-31 13:45:00 UTC) or 'cointracker' (01/31/2025 13:45:00)
+ * @returns {string}
+ */
+function formatDate(timestamp, style = 'iso') {
+  if (!timestamp) {
+    return '';
+  }
+  const iso = parseDbTimestamp(timestamp).toISOString();
+  const [date, time] = [iso.slice(0, 10), iso.slice(11, 19)];
+
+  switch (style) {
+    case 'koinly':
+      return `${date} ${time} UTC`;
+    case 'cointracker': {
+      const [year, month, day] = date.split('-');
+      return `${month}/${day}/${year} ${time}`;
+    }
+    default:
+      return iso;
+  }
+}
+
+/**
+ * Describe a trade as the currencies sent and received
+ * @param {Object} trade - trades row
+ * @returns {Object|null} - {sentAmount, sentCurrency, receivedAmount, receivedCurrency, galaAmount, fee}, null for rows that are not GALA/TOKEN swaps
+ */
+function describeTrade(trade) {
+  const leg = parseTradeLeg(trade);
+  if (!leg || leg.quantity <= 0) {
+    return null;
+  }
+
+  return leg.opens
+    ? { sentAmount: leg.gala, sentCurrency: 'GALA', receivedAmount: leg.quantity, receivedCurrency: leg.token, galaAmount: leg.gala, fee: leg.fee }
+    : { sentAmount: leg.quantity, sentCurrency: leg.token, receivedAmount: leg.gala, receivedCurrency: 'GALA', galaAmount: leg.gala, fee: leg.fee };
+}
+
+/**
+ * Multiply a GALA amount by a GALA/USD price when both are known
+ * @param {number} galaAmount - GALA amount
+ * @param {number|null} galaUsd - GALA/USD price
+ * @returns {number|null}
+ */
+function toUsd(galaAmount, galaUsd) {
+  return galaUsd !== null && galaUsd !== undefined && galaAmount !== null ? galaAmount * galaUsd : null;
+}
+
+/**
+ * Render trades in an export format
+ * Sent and received amounts already include the pool fee, so the tax tool formats leave their fee columns
+ * empty: those tools add the fee to the cost basis on top of the amounts. The trades ledger lists it for reference
+ * @param {string} format - 'trades', 'koinly' or 'cointracker'
+ * @param {Array} rows - [{trade, walletName, galaUsd}] (galaUsd = GALA/USD price at execution, null if unknown)
+ * @returns {string} - CSV
+ */
+function renderTrades(format, rows) {
+  const described = rows
+    .map(row => ({ ...row, swap: describeTrade(row.trade) }))
+    .filter(row => row.swap);
+
+  switch (format) {
+    case 'koinly':
+      // Koinly universal CSV
+      return toCSV([
+        { header: 'Date', value: row => formatDate(row.trade.executed_at, 'koinly') },
+        { header: 'Sent Amount', value: row => formatAmount(row.swap.sentAmount) },
+        { header: 'Sent Currency', value: row => row.swap.sentCurrency },
+        { header: 'Received Amount', value: row => formatAmount(row.swap.receivedAmount) },
+        { header: 'Received Currency', value: row => row.swap.receivedCurrency },
+        { header: 'Fee Amount', value: () => '' },
+        { header: 'Fee Currency', value: () => '' },
+        { header: 'Net Worth Amount', value: row => formatAmount(toUsd(row.swap.galaAmount, row.galaUsd)) },
+        { header: 'Net Worth Currency', value: row => (row.galaUsd !== null ? 'USD' : '') },
+        { header: 'Label', value: () => '' },
+        { header: 'Description', value: row => `${row.trade.strategy} trade #${row.trade.id} (${row.walletName})` },
+        { header: 'TxHash', value: row => row.trade.tx_hash }
+      ], described);
+
+    case 'cointracker':
+      // CoinTracker generic CSV
+      return toCSV([
+        { header: 'Date', value: row => formatDate(row.trade.executed_at, 'cointracker') },
+        { header: 'Received Quantity', value: row => formatAmount(row.swap.receivedAmount) },
+        { header: 'Received Currency', value: row => row.swap.receivedCurrency },
+        { header: 'Sent Quantity', value: row => formatAmount(row.swap.sentAmount) },
+        { header: 'Sent Currency', value: row => row.swap.sentCurrency },
+        { header: 'Fee Amount', value: () => '' },
+        { header: 'Fee Currency', value: () => '' },
+        { header: 'Tag', value: () => '' }
+      ], described);
+
+    case 'trades':
+      return toCSV([
+        { header: 'Trade ID', value: row => row.trade.id },
+        { header: 'Date (UTC)', value: row => formatDate(row.trade.executed_at) },
+        { header: 'Wallet', value: row => row.walletName },
+        { header: 'Strategy', value: row => row.trade.strategy },
+        { header: 'Pair', value: row => row.trade.symbol },
+        { header: 'Side', value: row => row.trade.side },
+        { header: 'Sent Amount', value: row => formatAmount(row.swap.sentAmount) },
+        { header: 'Sent Currency', value: row => row.swap.sentCurrency },
+        { header: 'Received Amount', value: row => formatAmount(row.swap.receivedAmount) },
+        { header: 'Received Currency', value: row => row.swap.receivedCurrency },
+        { header: 'Price', value: row => formatAmount(row.trade.price) },
+        { header: 'Fee (GALA)', value: row => formatAmount(row.swap.fee) },
+        { header: 'GALA/USD', value: row => formatAmount(row.galaUsd) },
+        { header: 'Value (USD)', value: row => formatAmount(toUsd(row.swap.galaAmount, row.galaUsd)) },
+        { header: 'Mode', value: row => (row.trade.dry_run ? 'simulated' : 'live') },
+        { header: 'Tx Hash', value: row => row.trade.tx_hash },
+        { header: 'Notes', value: row => row.trade.notes }
+      ], described);
+
+    default:
+      throw new Error(`Unknown export format: ${format}. Use one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Render disposals (closed lots) with cost basis and proceeds
+ * USD values use the GALA/USD price at acquisition and at sale; average-cost lots are dated by their first purchase
+ * @param {Array} rows - [{lot, walletName, method, openGalaUsd, closeGalaUsd}] - lot from matchLots closedLots or unmatched
+ * @returns {string} - CSV
+ */
+function renderDisposals(rows) {
+  const costUsd = row => (row.lot.cost !== undefined ? toUsd(row.lot.cost, row.openGalaUsd) : null);
+  const proceedsUsd = row => toUsd(row.lot.proceeds, row.closeGalaUsd);
+
+  return toCSV([
+    { header: 'Asset', value: row => row.lot.token },
+    { header: 'Quantity', value: row => formatAmount(row.lot.quantity) },
+    { header: 'Date Acquired', value: row => formatDate(row.lot.openedAt) },
+    { header: 'Date Sold', value: row => formatDate(row.lot.closedAt) },
+    { header: 'Cost Basis (GALA)', value: row => formatAmount(row.lot.cost) },
+    { header: 'Proceeds (GALA)', value: row => formatAmount(row.lot.proceeds) },
+    { header: 'Gain (GALA)', value: row => formatAmount(row.lot.realizedPnL) },
+    { header: 'Cost Basis (USD)', value: row => formatAmount(costUsd(row)) },
+    { header: 'Proceeds (USD)', value: row => formatAmount(proceedsUsd(row)) },
+    {
+      header: 'Gain (USD)',
+      value: row => (costUsd(row) !== null && proceedsUsd(row) !== null ? formatAmount(proceedsUsd(row) - costUsd(row)) : '')
+    },
+    { header: 'Method', value: row => row.method.toUpperCase() },
+    { header: 'Strategy', value: row => row.lot.strategy },
+    { header: 'Wallet', value: row => row.walletName },
+    { header: 'Buy Trade ID', value: row => row.lot.openTradeId },
+    { header: 'Sell Trade ID', value: row => row.lot.closeTradeId ?? row.lot.tradeId },
+    { header: 'Note', value: row => (row.lot.cost === undefined ? 'No recorded purchase - cost basis unknown' : '') }
+  ], rows);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeCSV,
+  toCSV,
+  formatAmount,
+  formatDate,
+  describeTrade,
+  renderTrades,
+  renderDisposals
+};